@@ -1,4 +1,4 @@
-// Trellis changes: desktop plugin filtering, duplicate file-watch prevention, and developer-build update gating. // CHANGE
+// Trellis changes: desktop plugin filtering, duplicate file-watch prevention, developer-build update gating, and headless Trellis report runs. // CHANGE
 /**
  * Copyright (c) 2020-2025, JGraph Holdings Ltd
  * Copyright (c) 2020-2025, draw.io AG
@@ -874,6 +874,11 @@ mxStencilRegistry.allowEval = false;
 			this.loadArgs(argsObj)
 		})
 
+		electron.registerMsgListener('trellis-report-run', (request) => // NEW
+		{ // NEW
+			this.runTrellisReports(request); // NEW
+		}); // NEW
+
 		//We do some async stuff during app loading so we need to know exactly when loading is finished (it is not when onload is finished)
 		electron.sendMessage('app-load-finished', null);
 
@@ -881,6 +886,61 @@ mxStencilRegistry.allowEval = false;
 		mxResources.parse('notInOffline=' + mxResources.get('notInDesktop'));
 	}
 	
+	/**
+	 * Headless report run for the --trellis-report CLI: loads the diagram, lets the garden
+	 * plugins rehydrate, then collects the outputs of each requested window.Trellis.reports
+	 * provider and hands them back to the main process.
+	 */
+	App.prototype.runTrellisReports = async function(request) // NEW
+	{ // NEW
+		var result = {reqId: request.reqId, outputs: [], errors: []}; // NEW
+
+		try // NEW
+		{ // NEW
+			var file = new LocalFile(this, request.xml, request.fileName || ''); // NEW
+			await this.fileLoaded(file); // NEW
+
+			// File-loaded listeners in the plugins finish their rehydration on the next tick
+			await new Promise(function(resolve) // NEW
+			{ // NEW
+				window.setTimeout(resolve, 0); // NEW
+			}); // NEW
+
+			var providers = (window.Trellis != null && window.Trellis.reports != null) ? window.Trellis.reports : {}; // NEW
+
+			for (var i = 0; i < request.reports.length; i++) // NEW
+			{ // NEW
+				var kind = request.reports[i]; // NEW
+
+				if (typeof providers[kind] !== 'function') // NEW
+				{ // NEW
+					result.errors.push(kind + ' report plugin is not loaded'); // NEW
+					continue; // NEW
+				} // NEW
+
+				try // NEW
+				{ // NEW
+					var outputs = await providers[kind]({year: request.year}); // NEW
+
+					(outputs || []).forEach(function(output) // NEW
+					{ // NEW
+						result.outputs.push({report: kind, name: output.name, format: output.format, content: output.content}); // NEW
+					}); // NEW
+				} // NEW
+				catch (e) // NEW
+				{ // NEW
+					result.errors.push(kind + ' report failed: ' + (e && e.message ? e.message : String(e))); // NEW
+				} // NEW
+			} // NEW
+		} // NEW
+		catch (e) // NEW
+		{ // NEW
+			result.errors.push('Cannot load diagram: ' + (e && e.message ? e.message : String(e))); // NEW
+		} // NEW
+
+		electron.sendMessage('trellis-report-result', result); // NEW
+	}; // NEW
+
 	App.prototype.loadArgs = function(argsObj)
 	{
 		var paths = argsObj.args;
@@ -311,16 +311,6 @@ Draw.loadPlugin(function (ui) {
         return corners.map(p => rotateModelPoint(p, center, rotatedRect.angleRad)); // NEW
     } // NEW
 
-    function pointInRotatedRectModel(point, rotatedRect) { // NEW
-        if (!point || !rotatedRect) return false; // NEW
-        const center = rotatedRect.center || { x: rotatedRect.cx, y: rotatedRect.cy }; // NEW
-        const local = rotateModelPoint(point, center, -rotatedRect.angleRad); // NEW
-        return local.x >= rotatedRect.x - GEOM_EPS && // NEW
-            local.x <= rotatedRect.x + rotatedRect.w + GEOM_EPS && // NEW
-            local.y >= rotatedRect.y - GEOM_EPS && // NEW
-            local.y <= rotatedRect.y + rotatedRect.h + GEOM_EPS; // NEW
-    } // NEW
-
     function polygonSignedArea(poly) { // NEW
         if (!poly || poly.length < 3) return 0; // NEW
         let sum = 0; // NEW
@@ -480,23 +470,54 @@ Draw.loadPlugin(function (ui) {
         return area > GEOM_EPS ? area : 0; // NEW
     } // NEW
 
+    // Ellipse/polygon beds are split into convex pieces by Garden_Scale; everything else is its rotated rect. // ADDED
+    function cellFootprintPieces(cell) { // ADDED
+        const rr = getRotatedRectModel(cell); // ADDED
+        if (!rr) return []; // ADDED
+        const scale = isGardenBed(cell) ? window.TrellisGardenScale : null; // ADDED
+        const pieces = scale && typeof scale.bedOutlineConvexPieces === 'function' ? scale.bedOutlineConvexPieces(cell) : null; // ADDED
+        if (!Array.isArray(pieces) || !pieces.length) return [rotatedRectCorners(rr)]; // ADDED
+        return pieces // ADDED
+            .filter(piece => Array.isArray(piece) && piece.length >= 3) // ADDED
+            .map(piece => piece.map(p => rotateModelPoint({ x: rr.x + p.x * rr.w, y: rr.y + p.y * rr.h }, rr.center, rr.angleRad))); // ADDED
+    } // ADDED
+
+    function footprintArea(pieces) { // ADDED
+        return (pieces || []).reduce((sum, piece) => sum + polygonArea(piece), 0); // ADDED
+    } // ADDED
+
+    function footprintIntersectionArea(piecesA, piecesB) { // ADDED
+        let area = 0; // ADDED
+        for (const a of (piecesA || [])) { // ADDED
+            for (const b of (piecesB || [])) area += polygonArea(convexPolygonIntersection(a, b)); // ADDED
+        } // ADDED
+        return area > GEOM_EPS ? area : 0; // ADDED
+    } // ADDED
+
+    function pointInFootprint(point, pieces) { // ADDED
+        return (pieces || []).some(piece => { // ADDED
+            const sign = polygonSignedArea(piece) >= 0 ? 1 : -1; // ADDED
+            return polygonEdges(piece).every(edge => isInsideClipEdge(point, edge[0], edge[1], sign)); // ADDED
+        }); // ADDED
+    } // ADDED
+
     function coveredAreaOfTargetByCells(targetCell, coverCells) { // NEW
-        const targetRect = getRotatedRectModel(targetCell); // NEW
-        if (!targetRect) return 0; // NEW
-        const targetPoly = rotatedRectCorners(targetRect); // NEW
+        const targetPieces = cellFootprintPieces(targetCell); // CHANGE
+        if (!targetPieces.length) return 0; // CHANGE
         const clippedPolys = []; // NEW
         for (const cover of (coverCells || [])) { // NEW
-            const coverRect = getRotatedRectModel(cover); // NEW
-            if (!coverRect) continue; // NEW
-            const clipped = convexPolygonIntersection(rotatedRectCorners(coverRect), targetPoly); // NEW
-            if (clipped.length >= 3 && polygonArea(clipped) > GEOM_EPS) clippedPolys.push(clipped); // NEW
+            for (const coverPoly of cellFootprintPieces(cover)) { // CHANGE
+                for (const targetPoly of targetPieces) { // ADDED
+                    const clipped = convexPolygonIntersection(coverPoly, targetPoly); // CHANGE
+                    if (clipped.length >= 3 && polygonArea(clipped) > GEOM_EPS) clippedPolys.push(clipped); // CHANGE
+                } // ADDED
+            } // CHANGE
         } // NEW
         return unionAreaOfConvexPolygons(clippedPolys); // NEW
     } // NEW
 
     function targetCoverageFractionByCells(targetCell, coverCells) { // NEW
-        const targetRect = getRotatedRectModel(targetCell); // NEW
-        const targetArea = rectAreaModel(targetRect); // NEW
+        const targetArea = footprintArea(cellFootprintPieces(targetCell)); // CHANGE
         if (targetArea <= 0) return 0; // NEW
         return Math.min(1, coveredAreaOfTargetByCells(targetCell, coverCells) / targetArea); // NEW
     } // NEW
@@ -504,45 +525,33 @@ Draw.loadPlugin(function (ui) {
     function coverageFractionOfTargetCellsByCoverCells(targetCells, coverCells) { // NEW
         const targetPolys = []; // NEW
         for (const target of (targetCells || [])) { // NEW
-            const targetRect = getRotatedRectModel(target); // NEW
-            if (targetRect) targetPolys.push(rotatedRectCorners(targetRect)); // NEW
+            targetPolys.push(...cellFootprintPieces(target)); // CHANGE
         } // NEW
         const targetArea = unionAreaOfConvexPolygons(targetPolys); // NEW
         if (targetArea <= 0) return 0; // NEW
 
         const coveredPolys = []; // NEW
         for (const cover of (coverCells || [])) { // NEW
-            const coverRect = getRotatedRectModel(cover); // NEW
-            if (!coverRect) continue; // NEW
-            const coverPoly = rotatedRectCorners(coverRect); // NEW
-            for (const targetPoly of targetPolys) { // NEW
-                const clipped = convexPolygonIntersection(coverPoly, targetPoly); // NEW
-                if (clipped.length >= 3 && polygonArea(clipped) > GEOM_EPS) coveredPolys.push(clipped); // NEW
-            } // NEW
+            for (const coverPoly of cellFootprintPieces(cover)) { // CHANGE
+                for (const targetPoly of targetPolys) { // NEW
+                    const clipped = convexPolygonIntersection(coverPoly, targetPoly); // CHANGE
+                    if (clipped.length >= 3 && polygonArea(clipped) > GEOM_EPS) coveredPolys.push(clipped); // CHANGE
+                } // NEW
+            } // CHANGE
         } // NEW
 
         return Math.min(1, unionAreaOfConvexPolygons(coveredPolys) / targetArea); // NEW
     } // NEW
 
-    function significantOverlapRotatedRects(a, b) { // NEW
-        if (!a || !b) return false; // NEW
-        const ia = rotatedRectIntersectionArea(a, b); // NEW
-        if (ia <= 0) return false; // NEW
-        const aa = rectAreaModel(a), ab = rectAreaModel(b); // NEW
-        if (aa <= 0 || ab <= 0) return false; // NEW
-
-        let denom; // NEW
-        if (OVERLAP_PCT_MODE === 'union') { // NEW
-            denom = aa + ab - ia; // NEW
-        } else { // NEW
-            denom = Math.min(aa, ab); // NEW
-        } // NEW
-        if (denom <= 0) return false; // NEW
-        return ia / denom >= OVERLAP_MIN_PCT; // NEW
-    } // NEW
-
     function significantOverlapCells(a, b) { // NEW
-        return significantOverlapRotatedRects(getRotatedRectModel(a), getRotatedRectModel(b)); // NEW
+        const pa = cellFootprintPieces(a); // CHANGE
+        const pb = cellFootprintPieces(b); // ADDED
+        const ia = footprintIntersectionArea(pa, pb); // ADDED
+        if (ia <= 0) return false; // ADDED
+        const aa = footprintArea(pa), ab = footprintArea(pb); // ADDED
+        if (aa <= 0 || ab <= 0) return false; // ADDED
+        const denom = OVERLAP_PCT_MODE === 'union' ? aa + ab - ia : Math.min(aa, ab); // ADDED
+        return denom > 0 && ia / denom >= OVERLAP_MIN_PCT; // ADDED
     } // NEW
 
     function rotationValueFromStyleString(styleText) { // NEW
@@ -604,11 +613,11 @@ Draw.loadPlugin(function (ui) {
         let chosenArea = Infinity; // NEW
         for (let k = 0; k < beds.length; k++) { // NEW
             const bed = beds[k]; // CHANGE
-            const rr = getRotatedRectModel(bed); // CHANGE
-            if (!rr && !bedBounds[k]) continue; // CHANGE
-            const contains = rr ? pointInRotatedRectModel(point, rr) : rectContainsPoint(bedBounds[k], point.x, point.y); // CHANGE
+            const pieces = cellFootprintPieces(bed); // CHANGE
+            if (!pieces.length && !bedBounds[k]) continue; // CHANGE
+            const contains = pieces.length ? pointInFootprint(point, pieces) : rectContainsPoint(bedBounds[k], point.x, point.y); // CHANGE
             if (contains) { // CHANGE
-                const a = rr ? rectAreaModel(rr) : rectArea(bedBounds[k]); // CHANGE
+                const a = pieces.length ? footprintArea(pieces) : rectArea(bedBounds[k]); // CHANGE
                 if (a > 0 && a < chosenArea) { // NEW
                     chosenArea = a; // NEW
                     chosen = bed; // CHANGE
@@ -1277,6 +1286,15 @@ Draw.loadPlugin(function (ui) {
         }); // NEW
     } // NEW
 
+    // Occupancy of every planting group contained in a bed, with the group rectangle in the bed's parent coordinates. // ADDED
+    function bedOccupancyFor(bed) { // ADDED
+        if (!bed || !isGardenBed(bed)) return []; // ADDED
+        return containedPlantingGroupsForBed(bed).map(group => { // ADDED
+            const window = plantingOccupancyWindowOf(group); // ADDED
+            return { cellId: group.id, label: plantingOccupancyLabel(group), startISO: window.startISO, endISO: window.endISO, rect: getModelRect(group) }; // ADDED
+        }); // ADDED
+    } // ADDED
+
     function resolveOccupiedBedMoveUnit(cell) { // NEW
         const bed = resolveOccupiedBedAnchor(cell); // NEW
         if (!bed) return null; // NEW
@@ -1850,7 +1868,8 @@ Draw.loadPlugin(function (ui) {
 
     graph.__trellisBedSuccessionNavigator = Object.assign({}, graph.__trellisBedSuccessionNavigator, { // NEW
         getSelectedClusterOccupancy: selectedClusterOccupancyFor, // CHANGE
-        resolveOccupiedBedMoveUnit: resolveOccupiedBedMoveUnit // NEW
+        resolveOccupiedBedMoveUnit: resolveOccupiedBedMoveUnit, // CHANGE
+        getBedOccupancy: bedOccupancyFor // ADDED
     }); // NEW
 
     // Init
@@ -30,6 +30,7 @@ Draw.loadPlugin(function (ui) {
   const ATTR_EDITED = 'lastEditedAt';
   const ATTR_ORIG_STYLE = 'origStyle';
   const ATTR_HISTORY_ID = 'trellis_history_id';                              // NEW
+  const ATTR_HISTORY_ARCHIVE = 'trellis_history_archive';                      // ADDED
   const ATTR_CREATED_BY = 'createdByUserId';                                  // NEW
   const ATTR_EDITED_BY = 'lastEditedByUserId';                                // NEW
   const GRAPH_OVERLAY_Z = Object.freeze({ ANNOTATION: 10000, CONNECTION: 10010, CONTROL: 10020, CONTROL_TOP: 10030 }); // NEW
@@ -81,6 +82,9 @@ Draw.loadPlugin(function (ui) {
   const HISTORY_SETTLE_MS = 2500;                                             // NEW
   const HISTORY_RETENTION_BYTES = 500 * 1024 * 1024;                          // NEW
   const HISTORY_SCHEMA_VERSION = 1;                                           // NEW
+  const HISTORY_ARCHIVE_FORMAT = 'trellis-history-archive';                    // ADDED
+  const HISTORY_ARCHIVE_VERSION = 1;                                           // ADDED
+  const SYNC_MERGE_ANCESTOR_LIMIT = 40;                                        // ADDED
   const HISTORY_EVENT_BEFORE_RESTORE = 'trellisHistoryBeforeRestore';          // NEW
   const HISTORY_EVENT_AFTER_RESTORE = 'trellisHistoryAfterRestore';            // NEW
   const HISTORY_EVENT_COMPARE_CLEARED = 'trellisHistoryCompareCleared';        // NEW
@@ -127,6 +131,10 @@ Draw.loadPlugin(function (ui) {
   graph.__ccHistoryFilter = 'all';                                           // NEW
   graph.__ccHistoryPreviewMode = false;                                      // NEW
   graph.__ccHistoryCompareOverlays = [];                                     // NEW
+  graph.__ccHistoryCellPicks = null;                                         // ADDED
+  graph.__ccSyncConflicts = [];                                                // ADDED
+  graph.__ccSyncMergeDialog = null;                                            // ADDED
+  graph.__ccSyncMergedPages = {};                                              // ADDED
   graph.__ccHistoryRestoring = false;                                        // NEW
   graph.__ccHistoryLastRestoreAudit = null;                                  // NEW
   graph.__ccHistoryRestoreStatus = '';                                       // NEW
@@ -565,7 +573,7 @@ Draw.loadPlugin(function (ui) {
     }                                                                          // NEW
     if (typeof mxCodec !== 'undefined' && typeof mxUtils !== 'undefined' && mxUtils.getXml) { // NEW
       const enc = new mxCodec();                                               // NEW
-      return mxUtils.getXml(enc.encode(model));                                // NEW
+      return mxUtils.getXml(stripEmbeddedHistoryArchive(enc.encode(model)));   // CHANGE
     }                                                                          // NEW
     throw new Error('Diagram XML serialization is unavailable.');              // NEW
   }                                                                            // NEW
@@ -585,6 +593,33 @@ Draw.loadPlugin(function (ui) {
     return raw;                                                                // NEW
   }                                                                            // NEW
 
+  // Snapshots must never contain the embedded archive, or every export would nest all earlier ones. // ADDED
+  function stripEmbeddedHistoryArchive(node) {                                 // ADDED
+    const nodes = node && node.getElementsByTagName ? node.getElementsByTagName('*') : []; // ADDED
+    for (let i = 0; i < nodes.length; i++) {                                   // ADDED
+      if (nodes[i].hasAttribute && nodes[i].hasAttribute(ATTR_HISTORY_ARCHIVE)) nodes[i].removeAttribute(ATTR_HISTORY_ARCHIVE); // ADDED
+    }                                                                          // ADDED
+    return node;                                                               // ADDED
+  }                                                                            // ADDED
+
+  // -------------------- History archive -------------------- // ADDED
+
+  function packHistoryArchive(body) {                                          // ADDED
+    const packed = compressSnapshotXml(JSON.stringify(body));                  // ADDED
+    return JSON.stringify({ format: HISTORY_ARCHIVE_FORMAT, version: HISTORY_ARCHIVE_VERSION, compressedKind: packed.compressedKind, checksum: hashString(packed.compressed), data: packed.compressed }); // ADDED
+  }                                                                            // ADDED
+
+  function unpackHistoryArchive(text) {                                        // ADDED
+    const wrapper = safeParseJson(text, null);                                 // ADDED
+    if (!wrapper || wrapper.format !== HISTORY_ARCHIVE_FORMAT) throw new Error('Not a Trellis history archive.'); // ADDED
+    if (Number(wrapper.version) > HISTORY_ARCHIVE_VERSION) throw new Error('History archive version ' + wrapper.version + ' is newer than this Trellis build.'); // ADDED
+    if (wrapper.checksum && wrapper.checksum !== hashString(wrapper.data)) throw new Error('History archive checksum does not match.'); // ADDED
+    const json = decompressSnapshotXml({ compressed_kind: wrapper.compressedKind, compressed_xml: wrapper.data }); // ADDED
+    const body = json ? safeParseJson(json, null) : null;                      // ADDED
+    if (!body || !Array.isArray(body.events) || !Array.isArray(body.snapshots)) throw new Error('History archive is unreadable.'); // ADDED
+    return body;                                                               // ADDED
+  }                                                                            // ADDED
+
   function restoreActivePageXml(xml) {                                         // NEW
     if (typeof graph.__trellisHistoryTestRestore === 'function') {             // NEW
       graph.__trellisHistoryTestRestore(xml);                                  // NEW
@@ -753,6 +788,66 @@ Draw.loadPlugin(function (ui) {
       }                                                                        // NEW
     }                                                                          // NEW
 
+    async function exportRows(diagramId) {                                     // ADDED
+      if (!store.ready) return { events: [], snapshots: [] };                  // ADDED
+      const events = await query('SELECT * FROM history_events WHERE diagram_id = ? ORDER BY timestamp ASC', [diagramId]); // ADDED
+      const snapshots = [];                                                    // ADDED
+      const seen = new Set();                                                  // ADDED
+      for (let i = 0; i < events.length; i++) {                                // ADDED
+        const snapshotId = events[i].snapshot_id;                              // ADDED
+        if (!snapshotId || seen.has(snapshotId)) continue;                     // ADDED
+        seen.add(snapshotId);                                                  // ADDED
+        const snapshot = await loadSnapshot(snapshotId);                       // ADDED
+        if (snapshot) snapshots.push(snapshot);                                // ADDED
+      }                                                                        // ADDED
+      return { events, snapshots };                                            // ADDED
+    }                                                                          // ADDED
+
+    /**
+     * Merges archived rows into the given diagram's history. Revisions already
+     * present (same id, or same diagram_hash at the same timestamp) are skipped,
+     * snapshots are reused by id or content hash, and rows whose snapshot is
+     * missing or fails its checksum are rejected.
+     */
+    async function importRows(diagramId, events, snapshots) {                  // ADDED
+      const result = { imported: 0, duplicates: 0, rejected: 0, snapshotsImported: 0 }; // ADDED
+      if (!store.ready) return result;                                         // ADDED
+      const local = await query('SELECT * FROM history_events WHERE diagram_id = ? ORDER BY timestamp ASC', [diagramId]); // ADDED
+      const localIds = new Set(local.map(function (row) { return row.id; }));  // ADDED
+      const localStates = new Set(local.map(function (row) { return row.diagram_hash + '|' + Number(row.timestamp); })); // ADDED
+      const snapshotsById = new Map((snapshots || []).map(function (row) { return [row.snapshot_id, row]; })); // ADDED
+      const snapshotIds = new Map();                                           // ADDED
+      const ordered = (events || []).slice().sort(function (a, b) { return Number(a && a.timestamp) - Number(b && b.timestamp); }); // ADDED
+      for (let i = 0; i < ordered.length; i++) {                               // ADDED
+        const event = ordered[i];                                              // ADDED
+        if (!event || !event.id || !event.snapshot_id || !event.diagram_hash) { result.rejected++; continue; } // ADDED
+        const stateKey = event.diagram_hash + '|' + Number(event.timestamp);   // ADDED
+        if (localIds.has(event.id) || localStates.has(stateKey)) { result.duplicates++; continue; } // ADDED
+        let snapshotId = snapshotIds.get(event.snapshot_id);                   // ADDED
+        if (!snapshotId) {                                                     // ADDED
+          const snapshot = snapshotsById.get(event.snapshot_id);               // ADDED
+          if (!snapshot || hashString(snapshot.compressed_xml) !== snapshot.checksum) { result.rejected++; continue; } // ADDED
+          const existing = (await loadSnapshot(snapshot.snapshot_id)) || (await query('SELECT * FROM history_snapshots WHERE diagram_id = ? AND hash = ? LIMIT 1', [diagramId, snapshot.hash]))[0]; // ADDED
+          if (existing) snapshotId = existing.snapshot_id;                     // ADDED
+          else {                                                               // ADDED
+            await exec('INSERT OR IGNORE INTO history_snapshots (snapshot_id, diagram_id, hash, compressed_kind, compressed_xml, byte_size, checksum, created_at, snapshot_kind) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)', [snapshot.snapshot_id, diagramId, snapshot.hash, snapshot.compressed_kind, snapshot.compressed_xml, Number(snapshot.byte_size) || String(snapshot.compressed_xml).length, snapshot.checksum, Number(snapshot.created_at) || Number(event.timestamp), snapshot.snapshot_kind || 'full']); // ADDED
+            snapshotId = snapshot.snapshot_id;                                 // ADDED
+            result.snapshotsImported++;                                        // ADDED
+          }                                                                    // ADDED
+          snapshotIds.set(event.snapshot_id, snapshotId);                      // ADDED
+        }                                                                      // ADDED
+        const metadata = safeParseJson(event.metadata_json, {});               // ADDED
+        metadata.diagramHistoryId = diagramId;                                 // ADDED
+        metadata.snapshotId = snapshotId;                                      // ADDED
+        await exec('INSERT OR IGNORE INTO history_events (id, diagram_id, timestamp, category, action, origin, title, affected_cell_ids, change_types, counts_json, snapshot_id, parent_revision_id, restored_from_revision_id, tags_json, metadata_json, checkpoint, diagram_hash, schema_version) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)', [event.id, diagramId, Number(event.timestamp), event.category || 'Diagram', event.action || 'change', event.origin || 'import', event.title || 'Imported revision', event.affected_cell_ids || '[]', event.change_types || '[]', event.counts_json || '{}', snapshotId, event.parent_revision_id || null, event.restored_from_revision_id || null, event.tags_json || '[]', JSON.stringify(metadata), Number(event.checkpoint) ? 1 : 0, event.diagram_hash, Number(event.schema_version) || HISTORY_SCHEMA_VERSION]); // ADDED
+        localIds.add(event.id);                                                // ADDED
+        localStates.add(stateKey);                                             // ADDED
+        result.imported++;                                                     // ADDED
+      }                                                                        // ADDED
+      if (result.imported) await thinHistoryIfNeeded(diagramId);               // ADDED
+      return result;                                                           // ADDED
+    }                                                                          // ADDED
+
     function rowToRevision(row) {                                              // NEW
       const metadata = safeParseJson(row.metadata_json, {});                   // NEW
       metadata.id = row.id;                                                    // NEW
@@ -778,6 +873,8 @@ Draw.loadPlugin(function (ui) {
       listRevisions,                                                           // NEW
       loadSnapshot,                                                            // NEW
       recordRevision,                                                          // NEW
+      exportRows,                                                              // ADDED
+      importRows,                                                              // ADDED
       get ready() { return store.ready; },                                     // NEW
       get disabled() { return store.disabled; },                               // NEW
       get warning() { return store.warning; }                                  // NEW
@@ -964,6 +1061,7 @@ Draw.loadPlugin(function (ui) {
     async function initializeBaseline() {                                      // NEW
       await store.init();                                                      // NEW
       if (!store.ready) { updateHistoryUI(); return; }                         // NEW
+      await importEmbeddedHistoryArchive();                                    // ADDED
       const diagramId = getDiagramHistoryId();                                 // NEW
       const latest = await store.getLatestRevision(diagramId);                 // NEW
       if (latest) {                                                            // NEW
@@ -990,12 +1088,118 @@ Draw.loadPlugin(function (ui) {
       await recordStableRevision(true);                                        // NEW
     }                                                                          // NEW
 
-    return { initializeBaseline, recordModelChange, captureActiveTransactionMetadata, run, createCheckpoint, recordRestore, recordStableRevision }; // CHANGE
+    async function recordSelectiveRestore(restoredFromRevisionId, cellIds, audit) { // ADDED
+      const count = uniqueArray(cellIds || []).length;                         // ADDED
+      pending = normalizeMetadata({ category: 'History', action: 'selectiveRestore', origin: 'history', title: 'Restored ' + count + ' cell' + (count === 1 ? '' : 's') + ' from historical revision', affectedCellIds: cellIds, restoredFromRevisionId, restoreAudit: cloneRestoreAudit(audit) }); // ADDED
+      await recordStableRevision(true);                                        // ADDED
+    }                                                                          // ADDED
+
+    async function recordSyncMerge(cellIds, summary) {                         // ADDED
+      const count = uniqueArray(cellIds || []).length;                         // ADDED
+      pending = normalizeMetadata({ category: 'History', action: 'syncMerge', origin: 'history', tags: ['sync'], title: 'Merged ' + count + ' cell' + (count === 1 ? '' : 's') + ' from ' + (summary && summary.sourceName || 'a sync conflict copy'), affectedCellIds: cellIds, restoredFromRevisionId: summary && summary.ancestorRevisionId || null, restoreAudit: cloneRestoreAudit(summary) }); // ADDED
+      await recordStableRevision(true);                                        // ADDED
+    }                                                                          // ADDED
+
+    return { initializeBaseline, recordModelChange, captureActiveTransactionMetadata, run, createCheckpoint, recordRestore, recordSelectiveRestore, recordSyncMerge, recordStableRevision }; // CHANGE
   }                                                                            // NEW
 
   const historyStore = createHistoryStore();                                   // NEW
   const historyRecorder = createHistoryRecorder(historyStore);                 // NEW
 
+  async function exportHistoryArchive() {                                      // ADDED
+    const diagramId = getDiagramHistoryId();                                   // ADDED
+    const rows = await historyStore.exportRows(diagramId);                     // ADDED
+    return packHistoryArchive({ diagramId, exportedAt: nowMs(), schemaVersion: HISTORY_SCHEMA_VERSION, events: rows.events, snapshots: rows.snapshots }); // ADDED
+  }                                                                            // ADDED
+
+  async function importHistoryArchive(text) {                                  // ADDED
+    const body = unpackHistoryArchive(text);                                   // ADDED
+    const result = await historyStore.importRows(getDiagramHistoryId(), body.events, body.snapshots); // ADDED
+    result.sourceDiagramId = body.diagramId || null;                           // ADDED
+    if (result.imported) await refreshHistoryRevisions();                      // ADDED
+    return result;                                                             // ADDED
+  }                                                                            // ADDED
+
+  function describeHistoryImport(result) {                                     // ADDED
+    return 'Imported ' + result.imported + ' revision' + (result.imported === 1 ? '' : 's') + ' (' + result.duplicates + ' already present' + (result.rejected ? ', ' + result.rejected + ' rejected' : '') + ').'; // ADDED
+  }                                                                            // ADDED
+
+  // Diagrams shared over Syncthing or email carry their history on the identity cell. // ADDED
+  async function importEmbeddedHistoryArchive() {                              // ADDED
+    const cell = getHistoryIdentityCell();                                     // ADDED
+    const text = cell && cell !== model.getRoot() ? getAttrStr(cell, ATTR_HISTORY_ARCHIVE) : null; // ADDED
+    if (!text || !historyStore.ready) return null;                             // ADDED
+    try {                                                                      // ADDED
+      return await importHistoryArchive(text);                                 // ADDED
+    } catch (e) {                                                              // ADDED
+      graph.__ccHistoryWarning = 'Embedded history import failed: ' + (e && e.message ? e.message : String(e)); // ADDED
+      updateHistoryUI();                                                       // ADDED
+      return null;                                                             // ADDED
+    }                                                                          // ADDED
+  }                                                                            // ADDED
+
+  async function embedHistoryArchive() {                                       // ADDED
+    const cell = getHistoryIdentityCell();                                     // ADDED
+    if (!cell || cell === model.getRoot()) return false;                       // ADDED
+    const text = await exportHistoryArchive();                                 // ADDED
+    ensureXmlValue(cell);                                                      // ADDED
+    const value = cell.value.cloneNode(true);                                  // ADDED
+    value.setAttribute(ATTR_HISTORY_ARCHIVE, text);                            // ADDED
+    graph.__ccMapInternalChange = true;                                        // ADDED
+    try {                                                                      // ADDED
+      model.setValue(cell, value);                                             // ADDED
+    } finally {                                                                // ADDED
+      graph.__ccMapInternalChange = false;                                     // ADDED
+    }                                                                          // ADDED
+    graph.__ccHistoryRestoreStatus = 'History embedded in diagram. Save to share it.'; // ADDED
+    updateHistoryUI();                                                         // ADDED
+    return true;                                                               // ADDED
+  }                                                                            // ADDED
+
+  function downloadHistoryArchive() {                                          // ADDED
+    exportHistoryArchive().then(function (text) {                              // ADDED
+      const blob = new Blob([text], { type: 'application/json' });             // ADDED
+      const url = URL.createObjectURL(blob);                                   // ADDED
+      const a = document.createElement('a');                                   // ADDED
+      a.href = url;                                                            // ADDED
+      a.download = 'trellis_history_' + getDiagramHistoryId() + '.json';       // ADDED
+      document.body.appendChild(a);                                            // ADDED
+      a.click();                                                               // ADDED
+      setTimeout(function () {                                                 // ADDED
+        URL.revokeObjectURL(url);                                              // ADDED
+        if (a.parentNode) a.parentNode.removeChild(a);                         // ADDED
+      }, 0);                                                                   // ADDED
+      graph.__ccHistoryRestoreStatus = 'History archive exported.';            // ADDED
+      updateHistoryUI();                                                       // ADDED
+    }).catch(function (e) {                                                    // ADDED
+      graph.__ccHistoryWarning = 'History export failed: ' + (e && e.message ? e.message : String(e)); // ADDED
+      updateHistoryUI();                                                       // ADDED
+    });                                                                        // ADDED
+  }                                                                            // ADDED
+
+  function pickHistoryArchiveFile() {                                          // ADDED
+    const input = document.createElement('input');                             // ADDED
+    input.type = 'file';                                                       // ADDED
+    input.accept = 'application/json,.json';                                   // ADDED
+    input.onchange = function () {                                             // ADDED
+      const file = input.files && input.files[0];                              // ADDED
+      if (!file) return;                                                       // ADDED
+      const reader = new FileReader();                                         // ADDED
+      reader.onload = function () {                                            // ADDED
+        importHistoryArchive(String(reader.result || '')).then(function (result) { // ADDED
+          graph.__ccHistoryWarning = '';                                       // ADDED
+          graph.__ccHistoryRestoreStatus = describeHistoryImport(result);      // ADDED
+          updateHistoryUI();                                                   // ADDED
+        }).catch(function (e) {                                                // ADDED
+          graph.__ccHistoryWarning = 'History import failed: ' + (e && e.message ? e.message : String(e)); // ADDED
+          updateHistoryUI();                                                   // ADDED
+        });                                                                    // ADDED
+      };                                                                       // ADDED
+      reader.readAsText(file);                                                 // ADDED
+    };                                                                         // ADDED
+    input.click();                                                             // ADDED
+  }                                                                            // ADDED
+
   // -------------------- Tiler-group ignore --------------------
 
   const TILER_GROUP_STYLE_KEY = 'tiler_group';
@@ -1552,6 +1756,9 @@ Draw.loadPlugin(function (ui) {
   let compareBtn = null;                                                       // NEW
   let restoreBtn = null;                                                       // NEW
   let checkpointBtn = null;                                                    // NEW
+  let exportHistoryBtn = null;                                                 // ADDED
+  let importHistoryBtn = null;                                                 // ADDED
+  let embedHistoryBtn = null;                                                  // ADDED
   let formatPanelState = null;                                                 // NEW
   let nativeFormatState = null;                                                // NEW
 
@@ -1822,6 +2029,15 @@ Draw.loadPlugin(function (ui) {
     historyActions.appendChild(compareBtn);                                    // NEW
     historyActions.appendChild(restoreBtn);                                    // NEW
     historyActions.appendChild(checkpointBtn);                                 // NEW
+    exportHistoryBtn = makeEl('button', { padding: '5px 8px', cursor: 'pointer' }); // ADDED
+    exportHistoryBtn.textContent = 'Export history';                           // ADDED
+    importHistoryBtn = makeEl('button', { padding: '5px 8px', cursor: 'pointer' }); // ADDED
+    importHistoryBtn.textContent = 'Import history';                           // ADDED
+    embedHistoryBtn = makeEl('button', { padding: '5px 8px', cursor: 'pointer', gridColumn: '1 / span 2' }); // ADDED
+    embedHistoryBtn.textContent = 'Embed history in diagram';                  // ADDED
+    historyActions.appendChild(exportHistoryBtn);                              // ADDED
+    historyActions.appendChild(importHistoryBtn);                              // ADDED
+    historyActions.appendChild(embedHistoryBtn);                               // ADDED
     panel.appendChild(historyActions);                                         // NEW
 
     wirePanelEvents();
@@ -1959,6 +2175,14 @@ Draw.loadPlugin(function (ui) {
     compareBtn.addEventListener('click', function () { compareSelectedRevision(); }); // NEW
     restoreBtn.addEventListener('click', function () { confirmRestoreSelectedRevision(); }); // NEW
     checkpointBtn.addEventListener('click', function () { historyRecorder.createCheckpoint('Manual checkpoint'); }); // NEW
+    exportHistoryBtn.addEventListener('click', function () { downloadHistoryArchive(); }); // ADDED
+    importHistoryBtn.addEventListener('click', function () { pickHistoryArchiveFile(); }); // ADDED
+    embedHistoryBtn.addEventListener('click', function () {                    // ADDED
+      embedHistoryArchive().catch(function (e) {                               // ADDED
+        graph.__ccHistoryWarning = 'History embed failed: ' + (e && e.message ? e.message : String(e)); // ADDED
+        updateHistoryUI();                                                     // ADDED
+      });                                                                      // ADDED
+    });                                                                        // ADDED
   }
 
   function syncPanelFromState() {
@@ -2054,6 +2278,7 @@ Draw.loadPlugin(function (ui) {
     const warning = graph.__ccHistoryWarning || historyStore.warning || '';    // NEW
     historyStatus.textContent = warning || graph.__ccHistoryRestoreStatus || (historyStore.ready ? 'History is recording stable revisions.' : 'History storage is starting.'); // NEW
     historyRailWrap.innerHTML = '';                                            // NEW
+    if (graph.__ccSyncConflicts && graph.__ccSyncConflicts.length) historyRailWrap.appendChild(createSyncConflictBanner(graph.__ccSyncConflicts)); // ADDED
     const filter = graph.__ccHistoryFilter || 'all';                           // NEW
     const all = graph.__ccHistoryRevisions || [];                              // NEW
     const categoryFiltered = filter === 'all' ? all : all.filter(function (rev) { return rev.category === filter || (rev.tags || []).indexOf(filter) >= 0; }); // CHANGE
@@ -2122,6 +2347,7 @@ Draw.loadPlugin(function (ui) {
       const diff = makeEl('div', { color: '#333', marginTop: '4px' });          // NEW
       diff.textContent = 'Compare: ' + compareSummary.added + ' added, ' + compareSummary.changed + ' changed, ' + compareSummary.deleted + ' deleted'; // NEW
       historyPreview.appendChild(diff);                                        // NEW
+      if (compareSummary.entries && compareSummary.entries.length) historyPreview.appendChild(createHistoryCellPicker(compareSummary)); // ADDED
     }                                                                          // NEW
     const audit = graph.__ccHistoryLastRestoreAudit;                           // NEW
     if (audit && audit.sourceRevisionId === rev.id) {                          // NEW
@@ -2165,6 +2391,7 @@ Draw.loadPlugin(function (ui) {
     }                                                                          // NEW
     graph.__ccHistoryCompareOverlays = [];                                     // NEW
     graph.__ccHistoryCompareSummary = null;                                    // NEW
+    graph.__ccHistoryCellPicks = null;                                         // ADDED
     fireHistoryLifecycleEvent(HISTORY_EVENT_COMPARE_CLEARED, {});              // NEW
   }                                                                            // NEW
 
@@ -2207,8 +2434,13 @@ Draw.loadPlugin(function (ui) {
     if (!snapshot) return;                                                     // NEW
     const historicalXml = decompressSnapshotXml(snapshot);                     // NEW
     if (!historicalXml) { graph.__ccHistoryWarning = 'History snapshot is unreadable.'; updateHistoryUI(); return; } // NEW
-    const diff = diffSnapshotWithCurrent(historicalXml, serializeActivePageXml()); // NEW
-    graph.__ccHistoryCompareSummary = { revisionId: rev.id, added: diff.added.length, changed: diff.changed.length, deleted: diff.deleted.length }; // NEW
+    const currentXml = serializeActivePageXml();                               // CHANGE
+    const diff = diffSnapshotWithCurrent(historicalXml, currentXml);           // CHANGE
+    const historicalMap = parseXmlCellMap(historicalXml);                      // ADDED
+    const currentMap = parseXmlCellMap(currentXml);                            // ADDED
+    const entries = historyCompareEntries(diff, historicalMap, currentMap);    // ADDED
+    graph.__ccHistoryCompareSummary = { revisionId: rev.id, added: diff.added.length, changed: diff.changed.length, deleted: diff.deleted.length, entries }; // CHANGE
+    graph.__ccHistoryCellPicks = historyPicksFromSelection(entries, historicalMap, currentMap); // ADDED
     for (let i = 0; i < diff.added.length; i++) {                              // NEW
       const cell = model.getCell && model.getCell(diff.added[i]);              // NEW
       if (cell) addCompareOverlay(cellBoundsForOverlay(cell), 'Added: ' + diff.added[i], '#188038', false); // NEW
@@ -2224,6 +2456,62 @@ Draw.loadPlugin(function (ui) {
     updateHistoryPreview();                                                    // NEW
   }                                                                            // NEW
 
+  function historyCompareEntries(diff, historicalMap, currentMap) {            // ADDED
+    function entryFor(kind, id, map) {                                         // ADDED
+      const entry = map.get(id);                                               // ADDED
+      return { id, kind, label: (entry && entry.label) || id };                // ADDED
+    }                                                                          // ADDED
+    return diff.changed.map(function (id) { return entryFor('changed', id, historicalMap); }) // ADDED
+      .concat(diff.deleted.map(function (ghost) { return entryFor('deleted', ghost.id, historicalMap); })) // ADDED
+      .concat(diff.added.map(function (id) { return entryFor('added', id, currentMap); })); // ADDED
+  }                                                                            // ADDED
+
+  // Pre-checks compare entries that sit in (or under) the current graph selection. // ADDED
+  function historyPicksFromSelection(entries, historicalMap, currentMap) {     // ADDED
+    const selected = new Set((graph.getSelectionCells ? graph.getSelectionCells() : []).map(function (cell) { return cell && cell.id; }).filter(Boolean)); // ADDED
+    const picks = new Set();                                                   // ADDED
+    if (!selected.size) return picks;                                          // ADDED
+    for (let i = 0; i < entries.length; i++) {                                 // ADDED
+      let id = entries[i].id;                                                  // ADDED
+      for (let guard = 0; id && guard < 1000; guard++) {                       // ADDED
+        if (selected.has(id)) { picks.add(entries[i].id); break; }             // ADDED
+        const entry = currentMap.get(id) || historicalMap.get(id);             // ADDED
+        id = entry ? entry.parentId : null;                                    // ADDED
+      }                                                                        // ADDED
+    }                                                                          // ADDED
+    return picks;                                                              // ADDED
+  }                                                                            // ADDED
+
+  function createHistoryCellPicker(compareSummary) {                           // ADDED
+    const picks = graph.__ccHistoryCellPicks || (graph.__ccHistoryCellPicks = new Set()); // ADDED
+    const wrap = makeEl('div', { marginTop: '6px', borderTop: '1px solid #eee', paddingTop: '4px' }); // ADDED
+    const list = makeEl('div', { maxHeight: '140px', overflow: 'auto' });      // ADDED
+    const restoreCellsBtn = makeEl('button', { padding: '5px 8px', cursor: 'pointer', marginTop: '4px', width: '100%' }); // ADDED
+    restoreCellsBtn.textContent = 'Restore checked cells';                     // ADDED
+    restoreCellsBtn.disabled = picks.size === 0;                               // ADDED
+    const entries = compareSummary.entries.slice(0, NAV_LIST_MAX);             // ADDED
+    entries.forEach(function (entry) {                                         // ADDED
+      const row = makeEl('label', { display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer', fontSize: '11px' }); // ADDED
+      const box = document.createElement('input');                             // ADDED
+      box.type = 'checkbox';                                                   // ADDED
+      box.checked = picks.has(entry.id);                                       // ADDED
+      box.addEventListener('change', function () {                             // ADDED
+        if (box.checked) picks.add(entry.id); else picks.delete(entry.id);     // ADDED
+        restoreCellsBtn.disabled = picks.size === 0;                           // ADDED
+      });                                                                      // ADDED
+      const text = makeEl('span', { whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }); // ADDED
+      text.textContent = (entry.kind === 'deleted' ? 'Deleted: ' : (entry.kind === 'added' ? 'Added since: ' : 'Changed: ')) + entry.label; // ADDED
+      row.title = entry.id;                                                    // ADDED
+      row.appendChild(box);                                                    // ADDED
+      row.appendChild(text);                                                   // ADDED
+      list.appendChild(row);                                                   // ADDED
+    });                                                                        // ADDED
+    restoreCellsBtn.addEventListener('click', function () { confirmRestoreSelectedCells(); }); // ADDED
+    wrap.appendChild(list);                                                    // ADDED
+    wrap.appendChild(restoreCellsBtn);                                         // ADDED
+    return wrap;                                                               // ADDED
+  }                                                                            // ADDED
+
   function diffSnapshotWithCurrent(historicalXml, currentXml) {                // NEW
     const historical = parseXmlCellMap(historicalXml);                         // NEW
     const current = parseXmlCellMap(currentXml);                               // NEW
@@ -2250,11 +2538,26 @@ Draw.loadPlugin(function (ui) {
       const cells = doc.getElementsByTagName('mxCell');                        // NEW
       for (let i = 0; i < cells.length; i++) {                                 // NEW
         const cell = cells[i];                                                 // NEW
-        const id = cell.getAttribute('id');                                    // NEW
+        // Cells with XML values are encoded as <object id=...><mxCell/></object> // ADDED
+        const wrapper = cell.parentNode && cell.parentNode.nodeName !== 'root' && cell.parentNode.getAttribute ? cell.parentNode : null; // ADDED
+        const id = cell.getAttribute('id') || (wrapper && wrapper.getAttribute('id')); // ADDED
         if (!id) continue;                                                     // NEW
+        const node = wrapper || cell;                                          // ADDED
         const geo = cell.getElementsByTagName('mxGeometry')[0];                // NEW
         const localBounds = geo ? normalizeBounds({ x: geo.getAttribute('x') || 0, y: geo.getAttribute('y') || 0, width: geo.getAttribute('width') || 40, height: geo.getAttribute('height') || 24 }) : null; // NEW
-        out.set(id, { id, parentId: cell.getAttribute('parent') || null, signature: cell.outerHTML || mxUtils.getXml(cell), localBounds, bounds: localBounds }); // NEW
+        out.set(id, {                                                          // CHANGE
+          id,                                                                  // ADDED
+          parentId: cell.getAttribute('parent') || null,                       // ADDED
+          signature: node.outerHTML || mxUtils.getXml(node),                   // ADDED
+          localBounds,                                                         // ADDED
+          bounds: localBounds,                                                 // ADDED
+          sourceId: cell.getAttribute('source') || null,                       // ADDED
+          targetId: cell.getAttribute('target') || null,                       // ADDED
+          edge: cell.getAttribute('edge') === '1',                             // ADDED
+          label: wrapper ? (wrapper.getAttribute('label') || '') : (cell.getAttribute('value') || ''), // ADDED
+          fields: xmlCellFields(node, cell),                                   // ADDED
+          order: i                                                             // ADDED
+        });                                                                    // ADDED
       }                                                                        // NEW
       const offsets = new Map();                                                // NEW
       function offsetFor(id) {                                                  // NEW
@@ -2344,6 +2647,747 @@ Draw.loadPlugin(function (ui) {
     }                                                                          // NEW
   }                                                                            // NEW
 
+  // -------------------- Selective (per-cell) restore -------------------- // ADDED
+
+  function historyChildIndex(map) {                                            // ADDED
+    const index = new Map();                                                   // ADDED
+    map.forEach(function (entry) {                                             // ADDED
+      if (!entry.parentId) return;                                             // ADDED
+      if (!index.has(entry.parentId)) index.set(entry.parentId, []);           // ADDED
+      index.get(entry.parentId).push(entry);                                   // ADDED
+    });                                                                        // ADDED
+    index.forEach(function (list) { list.sort(function (a, b) { return a.order - b.order; }); }); // ADDED
+    return index;                                                              // ADDED
+  }                                                                            // ADDED
+
+  function historyDepth(map, id) {                                             // ADDED
+    let depth = 0;                                                             // ADDED
+    let entry = map.get(id);                                                   // ADDED
+    while (entry && entry.parentId && depth < 1000) {                          // ADDED
+      depth++;                                                                 // ADDED
+      entry = map.get(entry.parentId);                                         // ADDED
+    }                                                                          // ADDED
+    return depth;                                                              // ADDED
+  }                                                                            // ADDED
+
+  /**
+   * Works out which cells must be resurrected, reverted or removed so that the
+   * given cells (and by default their subtrees) match the historical snapshot.
+   * Deleted ancestors of resurrected cells are pulled in so original parents
+   * and IDs survive; edges whose terminals are gone are reported as warnings.
+   */
+  function planSelectiveRestore(historicalXml, currentXml, cellIds, options) { // ADDED
+    const opts = options || {};                                                // ADDED
+    const includeChildren = opts.includeChildren !== false;                    // ADDED
+    const historical = parseXmlCellMap(historicalXml);                         // ADDED
+    const current = parseXmlCellMap(currentXml);                               // ADDED
+    const historicalChildren = historyChildIndex(historical);                  // ADDED
+    const currentChildren = historyChildIndex(current);                        // ADDED
+    const plan = { resurrect: [], restore: [], remove: [], missing: [], warnings: [], cellIds: [] }; // ADDED
+    const seen = new Set();                                                    // ADDED
+
+    function visit(id) {                                                       // ADDED
+      if (!id || id === '0' || id === '1' || seen.has(id)) return;             // ADDED
+      seen.add(id);                                                            // ADDED
+      const past = historical.get(id);                                         // ADDED
+      const cur = current.get(id);                                             // ADDED
+      if (past && cur) { if (past.signature !== cur.signature) plan.restore.push(id); } // ADDED
+      else if (past) plan.resurrect.push(id);                                  // ADDED
+      else if (cur) plan.remove.push(id);                                      // ADDED
+      if (!includeChildren) return;                                            // ADDED
+      (historicalChildren.get(id) || []).forEach(function (entry) { visit(entry.id); }); // ADDED
+      (currentChildren.get(id) || []).forEach(function (entry) { visit(entry.id); }); // ADDED
+    }                                                                          // ADDED
+
+    uniqueArray(cellIds || []).forEach(function (id) {                         // ADDED
+      if (!historical.has(id) && !current.has(id)) plan.missing.push(id);      // ADDED
+      else visit(id);                                                          // ADDED
+    });                                                                        // ADDED
+
+    const resurrecting = new Set(plan.resurrect);                              // ADDED
+    plan.resurrect.slice().forEach(function (id) {                             // ADDED
+      let parentId = historical.get(id).parentId;                              // ADDED
+      while (parentId && !current.has(parentId) && !resurrecting.has(parentId)) { // ADDED
+        const parent = historical.get(parentId);                               // ADDED
+        if (!parent) {                                                         // ADDED
+          plan.warnings.push({ code: 'missingParent', message: 'Cell ' + id + ' has no restorable parent.' }); // ADDED
+          break;                                                               // ADDED
+        }                                                                      // ADDED
+        resurrecting.add(parentId);                                            // ADDED
+        plan.resurrect.push(parentId);                                         // ADDED
+        parentId = parent.parentId;                                            // ADDED
+      }                                                                        // ADDED
+    });                                                                        // ADDED
+    plan.resurrect.sort(function (a, b) {                                      // ADDED
+      return (historyDepth(historical, a) - historyDepth(historical, b)) || (historical.get(a).order - historical.get(b).order); // ADDED
+    });                                                                        // ADDED
+
+    const removing = new Set(plan.remove);                                     // ADDED
+    plan.remove = plan.remove.filter(function (id) {                           // ADDED
+      let parentId = current.get(id).parentId;                                 // ADDED
+      while (parentId) {                                                       // ADDED
+        if (removing.has(parentId)) return false;                              // ADDED
+        parentId = current.has(parentId) ? current.get(parentId).parentId : null; // ADDED
+      }                                                                        // ADDED
+      return true;                                                             // ADDED
+    });                                                                        // ADDED
+
+    plan.resurrect.concat(plan.restore).forEach(function (id) {                // ADDED
+      const entry = historical.get(id);                                        // ADDED
+      if (!entry || !entry.edge) return;                                       // ADDED
+      [entry.sourceId, entry.targetId].forEach(function (terminalId) {         // ADDED
+        if (!terminalId || resurrecting.has(terminalId)) return;               // ADDED
+        if (current.has(terminalId) && !removing.has(terminalId)) return;      // ADDED
+        plan.warnings.push({ code: 'missingTerminal', message: 'Edge ' + id + ' is restored without its missing terminal ' + terminalId + '.' }); // ADDED
+      });                                                                      // ADDED
+    });                                                                        // ADDED
+
+    plan.cellIds = uniqueArray(plan.resurrect.concat(plan.restore, plan.remove)); // ADDED
+    return plan;                                                               // ADDED
+  }                                                                            // ADDED
+
+  function decodeHistoricalModel(xml) {                                        // ADDED
+    const doc = mxUtils.parseXml(xml);                                         // ADDED
+    const pastModel = new mxGraphModel();                                      // ADDED
+    new mxCodec(doc).decode(doc.documentElement, pastModel);                   // ADDED
+    return pastModel;                                                          // ADDED
+  }                                                                            // ADDED
+
+  function historicalChildPosition(pastModel, pastCell, parent) {              // ADDED
+    const pastParent = pastModel.getParent(pastCell);                          // ADDED
+    const index = pastParent ? pastParent.getIndex(pastCell) : 0;              // ADDED
+    return Math.max(0, Math.min(index, model.getChildCount(parent)));          // ADDED
+  }                                                                            // ADDED
+
+  // Runs inside the caller's model update so the whole plan is one undoable edit. // ADDED
+  function applySelectiveRestorePlan(plan, historicalXml) {                    // ADDED
+    if (typeof graph.__trellisHistoryTestRestoreCells === 'function') {        // ADDED
+      graph.__trellisHistoryTestRestoreCells(plan, historicalXml);             // ADDED
+      return;                                                                  // ADDED
+    }                                                                          // ADDED
+    const pastModel = decodeHistoricalModel(historicalXml);                    // ADDED
+    for (let i = 0; i < plan.resurrect.length; i++) {                          // ADDED
+      const id = plan.resurrect[i];                                            // ADDED
+      const pastCell = pastModel.getCell(id);                                  // ADDED
+      const parent = pastCell && model.getCell(pastModel.getParent(pastCell).id); // ADDED
+      if (!parent) continue;                                                   // ADDED
+      const clone = pastCell.clone();                                          // ADDED
+      clone.setId(id);                                                         // ADDED
+      model.add(parent, clone, historicalChildPosition(pastModel, pastCell, parent)); // ADDED
+    }                                                                          // ADDED
+    for (let i = 0; i < plan.restore.length; i++) {                            // ADDED
+      const pastCell = pastModel.getCell(plan.restore[i]);                     // ADDED
+      const cell = model.getCell(plan.restore[i]);                             // ADDED
+      if (!pastCell || !cell) continue;                                        // ADDED
+      model.setValue(cell, pastCell.cloneValue());                             // ADDED
+      model.setStyle(cell, pastCell.getStyle());                               // ADDED
+      model.setGeometry(cell, pastCell.getGeometry() ? pastCell.getGeometry().clone() : null); // ADDED
+      model.setVisible(cell, pastCell.isVisible());                            // ADDED
+      model.setCollapsed(cell, pastCell.isCollapsed());                        // ADDED
+      const parent = model.getCell(pastModel.getParent(pastCell).id);          // ADDED
+      if (parent && parent !== model.getParent(cell)) model.add(parent, cell, historicalChildPosition(pastModel, pastCell, parent)); // ADDED
+    }                                                                          // ADDED
+    const edgeIds = plan.resurrect.concat(plan.restore);                       // ADDED
+    for (let i = 0; i < edgeIds.length; i++) {                                 // ADDED
+      const pastCell = pastModel.getCell(edgeIds[i]);                          // ADDED
+      const cell = model.getCell(edgeIds[i]);                                  // ADDED
+      if (!pastCell || !cell || !pastCell.isEdge()) continue;                  // ADDED
+      const source = pastCell.getTerminal(true);                               // ADDED
+      const target = pastCell.getTerminal(false);                              // ADDED
+      model.setTerminal(cell, source ? model.getCell(source.id) : null, true); // ADDED
+      model.setTerminal(cell, target ? model.getCell(target.id) : null, false); // ADDED
+    }                                                                          // ADDED
+    for (let i = 0; i < plan.remove.length; i++) {                             // ADDED
+      const cell = model.getCell(plan.remove[i]);                              // ADDED
+      if (cell) model.remove(cell);                                            // ADDED
+    }                                                                          // ADDED
+  }                                                                            // ADDED
+
+  async function restoreRevisionCells(rev, cellIds, options) {                 // ADDED
+    const snapshot = rev ? await historyStore.loadSnapshot(rev.snapshotId) : null; // ADDED
+    clearHistoryCompareOverlays();                                             // ADDED
+    graph.__ccHistoryWarning = '';                                             // ADDED
+    graph.__ccHistoryRestoreStatus = '';                                       // ADDED
+    const beforeXml = serializeActivePageXml();                                // ADDED
+    const audit = createRestoreAudit(rev, hashString(beforeXml));              // ADDED
+    audit.selective = true;                                                    // ADDED
+    audit.requestedCellIds = uniqueArray(cellIds || []);                       // ADDED
+    graph.__ccHistoryLastRestoreAudit = audit;                                 // ADDED
+    const xml = snapshot ? decompressSnapshotXml(snapshot) : null;             // ADDED
+    if (!xml) {                                                                // ADDED
+      const message = snapshot ? 'History snapshot is unreadable.' : 'History snapshot is missing.'; // ADDED
+      addRestoreAuditWarning(audit, snapshot ? 'unreadableSnapshot' : 'missingSnapshot', message); // ADDED
+      audit.completedAt = nowMs();                                             // ADDED
+      graph.__ccHistoryWarning = message;                                      // ADDED
+      updateHistoryUI();                                                       // ADDED
+      return null;                                                             // ADDED
+    }                                                                          // ADDED
+    const plan = planSelectiveRestore(xml, beforeXml, cellIds, options);       // ADDED
+    audit.cellIds = plan.cellIds.slice();                                      // ADDED
+    plan.warnings.forEach(function (entry) { addRestoreAuditWarning(audit, entry.code, entry.message); }); // ADDED
+    if (!plan.cellIds.length) {                                                // ADDED
+      audit.completedAt = nowMs();                                             // ADDED
+      graph.__ccHistoryRestoreStatus = 'Selected cells already match this revision.'; // ADDED
+      updateHistoryUI();                                                       // ADDED
+      return plan;                                                             // ADDED
+    }                                                                          // ADDED
+    graph.__ccHistoryRestoring = true;                                         // ADDED
+    fireHistoryLifecycleEvent(HISTORY_EVENT_BEFORE_RESTORE, { revision: rev, audit, cellIds: plan.cellIds.slice() }); // ADDED
+    try {                                                                      // ADDED
+      model.beginUpdate();                                                     // ADDED
+      try {                                                                    // ADDED
+        applySelectiveRestorePlan(plan, xml);                                  // ADDED
+      } finally {                                                              // ADDED
+        model.endUpdate();                                                     // ADDED
+      }                                                                        // ADDED
+      audit.loadedHash = hashString(serializeActivePageXml());                 // ADDED
+      audit.loadedAt = nowMs();                                                // ADDED
+      fireHistoryLifecycleEvent(HISTORY_EVENT_AFTER_RESTORE, { revision: rev, audit, cellIds: plan.cellIds.slice() }); // ADDED
+      await waitForHistoryRehydrateTick();                                     // ADDED
+      audit.afterRehydrateHash = hashString(serializeActivePageXml());         // ADDED
+      audit.rehydratedAt = nowMs();                                            // ADDED
+      if (audit.loadedHash && audit.afterRehydrateHash && audit.loadedHash !== audit.afterRehydrateHash) { // ADDED
+        addRestoreAuditWarning(audit, 'rehydrationMutatedGraph', 'Plugin rehydration changed the graph after restore.'); // ADDED
+      }                                                                        // ADDED
+      audit.completedAt = nowMs();                                             // ADDED
+      graph.__ccHistoryRestoreStatus = 'Restored ' + plan.cellIds.length + ' cell' + (plan.cellIds.length === 1 ? '' : 's') + '. Use Undo to revert.'; // ADDED
+      if (audit.warnings.length) graph.__ccHistoryWarning = audit.warnings.map(function (entry) { return entry.message; }).join(' '); // ADDED
+      await historyRecorder.recordSelectiveRestore(rev.id, plan.cellIds, audit); // ADDED
+      updateHistoryUI();                                                       // ADDED
+      return plan;                                                             // ADDED
+    } catch (e) {                                                              // ADDED
+      addRestoreAuditWarning(audit, 'restoreFailed', e && e.message ? e.message : String(e)); // ADDED
+      audit.completedAt = nowMs();                                             // ADDED
+      graph.__ccHistoryWarning = 'History restore failed: ' + (e && e.message ? e.message : String(e)); // ADDED
+      updateHistoryUI();                                                       // ADDED
+      return null;                                                             // ADDED
+    } finally {                                                                // ADDED
+      graph.__ccHistoryRestoring = false;                                      // ADDED
+    }                                                                          // ADDED
+  }                                                                            // ADDED
+
+  function confirmRestoreSelectedCells() {                                     // ADDED
+    const rev = selectedHistoryRevision();                                     // ADDED
+    const ids = Array.from(graph.__ccHistoryCellPicks || []);                  // ADDED
+    if (!rev || !ids.length) return;                                           // ADDED
+    const message = 'Restore ' + ids.length + ' checked cell' + (ids.length === 1 ? '' : 's') + ' and their children from "' + (rev.title || rev.id) + '"?\n\nOther cells are left as they are and the restore can be undone.'; // ADDED
+    if (typeof window.confirm === 'function' && !window.confirm(message)) return; // ADDED
+    restoreRevisionCells(rev, ids, { includeChildren: true });                 // ADDED
+  }                                                                            // ADDED
+
+  // -------------------- Syncthing conflict merge -------------------- // ADDED
+
+  const SYNC_MERGE_CELL_ATTRS = ['parent', 'style', 'source', 'target', 'vertex', 'edge', 'visible', 'collapsed', 'connectable']; // ADDED
+
+  // Field-level view of one cell so two edits to different parts of the same card can both survive. // ADDED
+  function xmlCellFields(node, cell) {                                         // ADDED
+    const fields = { wrapped: node !== cell ? '1' : '0' };                     // ADDED
+    SYNC_MERGE_CELL_ATTRS.forEach(function (name) {                            // ADDED
+      if (cell.hasAttribute(name)) fields['cell:' + name] = cell.getAttribute(name); // ADDED
+    });                                                                        // ADDED
+    if (node !== cell) {                                                       // ADDED
+      for (let i = 0; i < node.attributes.length; i++) {                       // ADDED
+        const attr = node.attributes[i];                                       // ADDED
+        if (attr.name !== 'id' && attr.name !== ATTR_HISTORY_ARCHIVE) fields['attr:' + attr.name] = attr.value; // ADDED
+      }                                                                        // ADDED
+    } else if (cell.hasAttribute('value')) {                                   // ADDED
+      fields['cell:value'] = cell.getAttribute('value');                       // ADDED
+    }                                                                          // ADDED
+    const geo = cell.getElementsByTagName('mxGeometry')[0];                    // ADDED
+    if (geo) fields.geometry = geo.outerHTML || mxUtils.getXml(geo);           // ADDED
+    return fields;                                                             // ADDED
+  }                                                                            // ADDED
+
+  function syncMergeKind(entry) {                                              // ADDED
+    const fields = (entry && entry.fields) || {};                              // ADDED
+    const style = fields['cell:style'] || '';                                  // ADDED
+    function flag(key) { return fields['attr:' + key] === '1' || new RegExp('(?:^|;)' + key + '=1(?:;|$)').test(style); } // ADDED
+    if (flag('kanban_card')) return 'task';                                    // ADDED
+    if (flag(TILER_GROUP_STYLE_KEY)) return 'tilerGroup';                      // ADDED
+    if (flag('garden_bed') || flag('gardenBed') || flag('is_garden_bed')) return 'bed'; // ADDED
+    return '';                                                                 // ADDED
+  }                                                                            // ADDED
+
+  // Tiles, labels and other children count as part of their nearest task card, tiler group or bed. // ADDED
+  function syncMergeScope(id, maps) {                                          // ADDED
+    for (let m = 0; m < maps.length; m++) {                                    // ADDED
+      let entry = maps[m].get(id);                                             // ADDED
+      let guard = 0;                                                           // ADDED
+      while (entry && guard++ < 1000) {                                        // ADDED
+        const kind = syncMergeKind(entry);                                     // ADDED
+        if (kind) return { kind, ownerId: entry.id };                          // ADDED
+        entry = entry.parentId ? maps[m].get(entry.parentId) : null;           // ADDED
+      }                                                                        // ADDED
+    }                                                                          // ADDED
+    return null;                                                               // ADDED
+  }                                                                            // ADDED
+
+  function mergeCellFields(base, local, remote) {                              // ADDED
+    const fields = {};                                                         // ADDED
+    const conflicts = [];                                                      // ADDED
+    uniqueArray(Object.keys(base).concat(Object.keys(local), Object.keys(remote))).forEach(function (key) { // ADDED
+      const b = base[key];                                                     // ADDED
+      const l = local[key];                                                    // ADDED
+      const r = remote[key];                                                   // ADDED
+      let value;                                                               // ADDED
+      if (l === r || r === b) value = l;                                       // ADDED
+      else if (l === b) value = r;                                             // ADDED
+      else { conflicts.push(key); return; }                                    // ADDED
+      if (value !== undefined) fields[key] = value;                            // ADDED
+    });                                                                        // ADDED
+    return { fields, conflicts };                                              // ADDED
+  }                                                                            // ADDED
+
+  function syncMergeSide(entry) {                                              // ADDED
+    return entry ? { label: entry.label || '', parentId: entry.parentId, bounds: entry.bounds } : null; // ADDED
+  }                                                                            // ADDED
+
+  function syncConflictEntry(id, reason, scope, base, local, remote, fields) { // ADDED
+    return {                                                                   // ADDED
+      id,                                                                      // ADDED
+      reason,                                                                  // ADDED
+      kind: scope ? scope.kind : '',                                           // ADDED
+      fields: fields || [],                                                    // ADDED
+      base: syncMergeSide(base),                                               // ADDED
+      local: syncMergeSide(local),                                             // ADDED
+      remote: syncMergeSide(remote),                                           // ADDED
+      resolution: reason === 'outsideScope' ? 'remote' : 'local'               // ADDED
+    };                                                                         // ADDED
+  }                                                                            // ADDED
+
+  /**
+   * Three-way merge of a page against a Syncthing conflict copy. Cells only the
+   * other device changed are taken from it when they belong to a task card,
+   * tiler group or bed; cells both devices changed are merged field by field
+   * when the fields do not overlap. Everything else is left for the user, with
+   * remote-only edits outside those scopes defaulting to "theirs".
+   */
+  function planThreeWayMerge(baseXml, localXml, remoteXml) {                   // ADDED
+    const base = baseXml ? parseXmlCellMap(baseXml) : new Map();               // ADDED
+    const local = parseXmlCellMap(localXml);                                   // ADDED
+    const remote = parseXmlCellMap(remoteXml);                                 // ADDED
+    const plan = { hasAncestor: !!baseXml, takeRemote: [], fieldMerges: [], conflicts: [], keptLocal: [], unchanged: 0 }; // ADDED
+    const ids = uniqueArray(Array.from(base.keys()).concat(Array.from(local.keys()), Array.from(remote.keys()))); // ADDED
+    ids.forEach(function (id) {                                                // ADDED
+      if (id === '0' || id === '1') return;                                    // ADDED
+      const b = base.get(id);                                                  // ADDED
+      const l = local.get(id);                                                 // ADDED
+      const r = remote.get(id);                                                // ADDED
+      const bs = b ? b.signature : null;                                       // ADDED
+      const ls = l ? l.signature : null;                                       // ADDED
+      const rs = r ? r.signature : null;                                       // ADDED
+      if (ls === rs) { plan.unchanged++; return; }                             // ADDED
+      if (rs === bs) { plan.keptLocal.push(id); return; }                      // ADDED
+      const scope = syncMergeScope(id, [remote, local, base]);                 // ADDED
+      if (ls === bs) {                                                         // ADDED
+        if (scope) plan.takeRemote.push(id);                                   // ADDED
+        else plan.conflicts.push(syncConflictEntry(id, 'outsideScope', scope, b, l, r)); // ADDED
+        return;                                                                // ADDED
+      }                                                                        // ADDED
+      if (scope && b && l && r) {                                              // ADDED
+        const merged = mergeCellFields(b.fields, l.fields, r.fields);          // ADDED
+        if (!merged.conflicts.length) { plan.fieldMerges.push({ id, fields: merged.fields }); return; } // ADDED
+        plan.conflicts.push(syncConflictEntry(id, 'bothChanged', scope, b, l, r, merged.conflicts)); // ADDED
+        return;                                                                // ADDED
+      }                                                                        // ADDED
+      plan.conflicts.push(syncConflictEntry(id, !l ? 'deletedLocally' : (!r ? 'deletedRemotely' : 'bothChanged'), scope, b, l, r)); // ADDED
+    });                                                                        // ADDED
+    return plan;                                                               // ADDED
+  }                                                                            // ADDED
+
+  function xmlCellElements(doc) {                                              // ADDED
+    const out = new Map();                                                     // ADDED
+    const cells = doc.getElementsByTagName('mxCell');                          // ADDED
+    for (let i = 0; i < cells.length; i++) {                                   // ADDED
+      const cell = cells[i];                                                   // ADDED
+      const wrapper = cell.parentNode && cell.parentNode.nodeName !== 'root' && cell.parentNode.getAttribute ? cell.parentNode : null; // ADDED
+      const id = cell.getAttribute('id') || (wrapper && wrapper.getAttribute('id')); // ADDED
+      if (id) out.set(id, { node: wrapper || cell, cell });                    // ADDED
+    }                                                                          // ADDED
+    return out;                                                                // ADDED
+  }                                                                            // ADDED
+
+  function applyXmlCellFields(node, cell, fields) {                            // ADDED
+    if (node !== cell) {                                                       // ADDED
+      Array.from(node.attributes).forEach(function (attr) { if (attr.name !== 'id') node.removeAttribute(attr.name); }); // ADDED
+    }                                                                          // ADDED
+    SYNC_MERGE_CELL_ATTRS.concat(['value']).forEach(function (name) { cell.removeAttribute(name); }); // ADDED
+    Object.keys(fields).forEach(function (key) {                               // ADDED
+      if (key.indexOf('attr:') === 0 && node !== cell) node.setAttribute(key.slice(5), fields[key]); // ADDED
+      else if (key.indexOf('cell:') === 0) cell.setAttribute(key.slice(5), fields[key]); // ADDED
+    });                                                                        // ADDED
+    Array.from(cell.getElementsByTagName('mxGeometry')).forEach(function (geo) { if (geo.parentNode === cell) cell.removeChild(geo); }); // ADDED
+    if (fields.geometry) cell.appendChild(cell.ownerDocument.importNode(mxUtils.parseXml(fields.geometry).documentElement, true)); // ADDED
+  }                                                                            // ADDED
+
+  // The remote page with field-merged cells patched in; selective restore then copies cells from it. // ADDED
+  function buildSyncMergedXml(remoteXml, localXml, fieldMerges) {              // ADDED
+    if (!fieldMerges.length) return remoteXml;                                 // ADDED
+    const doc = mxUtils.parseXml(remoteXml);                                   // ADDED
+    const remoteCells = xmlCellElements(doc);                                  // ADDED
+    const localCells = xmlCellElements(mxUtils.parseXml(localXml));            // ADDED
+    fieldMerges.forEach(function (merge) {                                     // ADDED
+      const remote = remoteCells.get(merge.id);                                // ADDED
+      if (!remote) return;                                                     // ADDED
+      let target = remote;                                                     // ADDED
+      if ((remote.node !== remote.cell ? '1' : '0') !== merge.fields.wrapped) { // ADDED
+        const local = localCells.get(merge.id);                                // ADDED
+        if (!local) return;                                                    // ADDED
+        const node = doc.importNode(local.node, true);                         // ADDED
+        remote.node.parentNode.replaceChild(node, remote.node);                // ADDED
+        target = { node, cell: node.nodeName === 'mxCell' ? node : node.getElementsByTagName('mxCell')[0] }; // ADDED
+      }                                                                        // ADDED
+      applyXmlCellFields(target.node, target.cell, merge.fields);              // ADDED
+    });                                                                        // ADDED
+    return mxUtils.getXml(doc);                                                // ADDED
+  }                                                                            // ADDED
+
+  // Picks the stored revision closest to both sides; the newest wins ties.    // ADDED
+  async function findSyncMergeAncestor(localXml, remoteXml) {                  // ADDED
+    const revisions = await historyStore.listRevisions(getDiagramHistoryId()); // ADDED
+    const candidates = revisions.slice(-SYNC_MERGE_ANCESTOR_LIMIT).reverse();  // ADDED
+    let best = null;                                                           // ADDED
+    for (let i = 0; i < candidates.length; i++) {                              // ADDED
+      const snapshot = await historyStore.loadSnapshot(candidates[i].snapshotId); // ADDED
+      const xml = snapshot ? decompressSnapshotXml(snapshot) : null;           // ADDED
+      if (!xml) continue;                                                      // ADDED
+      const toLocal = diffSnapshotWithCurrent(xml, localXml);                  // ADDED
+      const toRemote = diffSnapshotWithCurrent(xml, remoteXml);                // ADDED
+      const distance = toLocal.added.length + toLocal.changed.length + toLocal.deleted.length + toRemote.added.length + toRemote.changed.length + toRemote.deleted.length; // ADDED
+      if (!best || distance < best.distance) best = { revision: candidates[i], xml, distance }; // ADDED
+      if (distance === 0) break;                                               // ADDED
+    }                                                                          // ADDED
+    return best;                                                               // ADDED
+  }                                                                            // ADDED
+
+  function extractPageModelXml(text, pageId) {                                 // ADDED
+    const raw = String(text || '').trim();                                     // ADDED
+    if (!raw) return null;                                                     // ADDED
+    let root = null;                                                           // ADDED
+    try { root = mxUtils.parseXml(raw).documentElement; } catch (e) { return null; } // ADDED
+    if (!root) return null;                                                    // ADDED
+    if (root.nodeName === 'mxGraphModel') return mxUtils.getXml(root);         // ADDED
+    if (root.nodeName !== 'mxfile') return null;                               // ADDED
+    const diagrams = Array.from(root.getElementsByTagName('diagram'));         // ADDED
+    const diagram = diagrams.find(function (entry) { return pageId && entry.getAttribute('id') === pageId; }) || diagrams[0]; // ADDED
+    if (!diagram) return null;                                                 // ADDED
+    const inline = diagram.getElementsByTagName('mxGraphModel')[0];            // ADDED
+    if (inline) return mxUtils.getXml(inline);                                 // ADDED
+    const packed = (diagram.textContent || '').trim();                         // ADDED
+    if (!packed || typeof Graph === 'undefined' || !Graph || typeof Graph.decompress !== 'function') return null; // ADDED
+    try { return Graph.decompress(packed); } catch (e) { return null; }        // ADDED
+  }                                                                            // ADDED
+
+  function syncConflictPageIds(text) {                                         // ADDED
+    let root = null;                                                           // ADDED
+    try { root = mxUtils.parseXml(String(text || '').trim()).documentElement; } catch (e) { return []; } // ADDED
+    if (!root) return [];                                                      // ADDED
+    if (root.nodeName === 'mxGraphModel') return [''];                         // ADDED
+    if (root.nodeName !== 'mxfile') return [];                                 // ADDED
+    return Array.from(root.getElementsByTagName('diagram')).map(function (entry) { return entry.getAttribute('id') || ''; }); // ADDED
+  }                                                                            // ADDED
+
+  function currentDiagramFilePath() {                                          // ADDED
+    const file = ui && typeof ui.getCurrentFile === 'function' ? ui.getCurrentFile() : null; // ADDED
+    return file && file.fileObject && file.fileObject.path ? String(file.fileObject.path) : ''; // ADDED
+  }                                                                            // ADDED
+
+  function currentPageId() {                                                   // ADDED
+    return ui && ui.currentPage && typeof ui.currentPage.getId === 'function' ? ui.currentPage.getId() : null; // ADDED
+  }                                                                            // ADDED
+
+  function shareBridge() {                                                     // ADDED
+    return typeof window !== 'undefined' ? window.trellisShare : null;         // ADDED
+  }                                                                            // ADDED
+
+  async function refreshSyncConflicts() {                                      // ADDED
+    const share = shareBridge();                                               // ADDED
+    const diagramPath = currentDiagramFilePath();                              // ADDED
+    let conflicts = [];                                                        // ADDED
+    if (share && typeof share.listSyncConflicts === 'function' && diagramPath) { // ADDED
+      try {                                                                    // ADDED
+        const result = await share.listSyncConflicts({ diagramPath });         // ADDED
+        conflicts = result && Array.isArray(result.conflicts) ? result.conflicts : []; // ADDED
+      } catch (e) { }                                                          // ADDED
+    }                                                                          // ADDED
+    graph.__ccSyncConflicts = conflicts;                                       // ADDED
+    updateHistoryUI();                                                         // ADDED
+    return conflicts.slice();                                                  // ADDED
+  }                                                                            // ADDED
+
+  function installSyncConflictWatch() {                                        // ADDED
+    const share = shareBridge();                                               // ADDED
+    if (!share || typeof share.onSyncConflicts !== 'function') return;         // ADDED
+    share.onSyncConflicts(function (payload) {                                 // ADDED
+      if (!payload || payload.path !== currentDiagramFilePath()) return;       // ADDED
+      graph.__ccSyncConflicts = Array.isArray(payload.conflicts) ? payload.conflicts : []; // ADDED
+      updateHistoryUI();                                                       // ADDED
+    });                                                                        // ADDED
+  }                                                                            // ADDED
+
+  async function readSyncConflictText(conflict) {                              // ADDED
+    const bridge = typeof window !== 'undefined' ? window.fsBridge : null;     // ADDED
+    if (!bridge || typeof bridge.readText !== 'function') throw new Error('Conflict copies can only be read in the desktop app.'); // ADDED
+    const result = await bridge.readText(conflict.path);                       // ADDED
+    return result && result.data != null ? String(result.data) : '';           // ADDED
+  }                                                                            // ADDED
+
+  /**
+   * Plans a merge of the open page with a conflict copy. `source` is a conflict
+   * entry from the watcher ({ path, name }) or { name, text } with the copy's
+   * contents already in hand.
+   */
+  async function planSyncConflictMerge(source) {                               // ADDED
+    const conflict = source || {};                                             // ADDED
+    const text = conflict.text != null ? conflict.text : await readSyncConflictText(conflict); // ADDED
+    const remoteXml = extractPageModelXml(text, currentPageId());              // ADDED
+    if (!remoteXml) throw new Error('The conflict copy does not contain a readable diagram page.'); // ADDED
+    const localXml = serializeActivePageXml();                                 // ADDED
+    const ancestor = await findSyncMergeAncestor(localXml, remoteXml);         // ADDED
+    const plan = planThreeWayMerge(ancestor ? ancestor.xml : null, localXml, remoteXml); // ADDED
+    plan.ancestorRevisionId = ancestor ? ancestor.revision.id : null;          // ADDED
+    plan.sourceName = conflict.name || '';                                     // ADDED
+    plan.sourcePath = conflict.path || '';                                     // ADDED
+    plan.copyPageIds = syncConflictPageIds(text);                              // ADDED
+    plan.pageId = plan.copyPageIds.indexOf(currentPageId()) >= 0 ? currentPageId() : (plan.copyPageIds[0] || ''); // ADDED
+    return { plan, localXml, remoteXml };                                      // ADDED
+  }                                                                            // ADDED
+
+  async function applySyncMerge(session, resolutions) {                        // CHANGED
+    const plan = session.plan;                                                 // ADDED
+    const picks = resolutions || {};                                           // ADDED
+    const chosenRemote = plan.conflicts.filter(function (entry) { return (picks[entry.id] || entry.resolution) === 'remote'; }).map(function (entry) { return entry.id; }); // ADDED
+    const remoteIds = uniqueArray(plan.takeRemote.concat(plan.fieldMerges.map(function (entry) { return entry.id; }), chosenRemote)); // ADDED
+    const mergedXml = buildSyncMergedXml(session.remoteXml, session.localXml, plan.fieldMerges); // ADDED
+    const restorePlan = planSelectiveRestore(mergedXml, session.localXml, remoteIds, { includeChildren: false }); // ADDED
+    const summary = {                                                          // ADDED
+      syncMerge: true,                                                         // ADDED
+      sourceName: plan.sourceName,                                             // ADDED
+      ancestorRevisionId: plan.ancestorRevisionId,                             // ADDED
+      hasAncestor: plan.hasAncestor,                                           // ADDED
+      autoMerged: plan.takeRemote.length + plan.fieldMerges.length,            // ADDED
+      fieldMerged: plan.fieldMerges.length,                                    // ADDED
+      conflicts: plan.conflicts.length,                                        // ADDED
+      conflictsTakenFromRemote: chosenRemote.length,                           // ADDED
+      cellIds: restorePlan.cellIds.slice(),                                    // ADDED
+      warnings: restorePlan.warnings.slice()                                   // ADDED
+    };                                                                         // ADDED
+    if (restorePlan.cellIds.length) {                                          // ADDED
+      graph.__ccHistoryRestoring = true;                                       // ADDED
+      fireHistoryLifecycleEvent(HISTORY_EVENT_BEFORE_RESTORE, { revision: null, syncMerge: summary, cellIds: restorePlan.cellIds.slice() }); // ADDED
+      try {                                                                    // ADDED
+        model.beginUpdate();                                                   // ADDED
+        try {                                                                  // ADDED
+          applySelectiveRestorePlan(restorePlan, mergedXml);                   // ADDED
+        } finally {                                                            // ADDED
+          model.endUpdate();                                                   // ADDED
+        }                                                                      // ADDED
+        fireHistoryLifecycleEvent(HISTORY_EVENT_AFTER_RESTORE, { revision: null, syncMerge: summary, cellIds: restorePlan.cellIds.slice() }); // ADDED
+        await waitForHistoryRehydrateTick();                                   // ADDED
+        await historyRecorder.recordSyncMerge(restorePlan.cellIds, summary);   // ADDED
+      } finally {                                                              // ADDED
+        graph.__ccHistoryRestoring = false;                                    // ADDED
+      }                                                                        // ADDED
+    }                                                                          // ADDED
+    recordSyncMergedPage(plan, plan.conflicts.length - chosenRemote.length);   // ADDED
+    summary.unmergedPages = plan.sourcePath ? syncConflictUnmergedPages(plan.sourcePath).length : 0; // ADDED
+    graph.__ccHistoryWarning = summary.warnings.map(function (entry) { return entry.message; }).join(' '); // ADDED
+    graph.__ccHistoryRestoreStatus = 'Merged ' + summary.cellIds.length + ' cell' + (summary.cellIds.length === 1 ? '' : 's') + ' from ' + (plan.sourceName || 'the conflict copy') + '. Use Undo to revert.' + // CHANGED
+      (!plan.sourcePath ? '' : ' The conflict copy is kept' + (summary.unmergedPages ? '; ' + summary.unmergedPages + ' more page' + (summary.unmergedPages === 1 ? '' : 's') + ' to merge.' : '; remove it from the conflict banner once the diagram is saved.')); // CHANGED
+    updateHistoryUI();                                                         // ADDED
+    return summary;                                                            // ADDED
+  }                                                                            // ADDED
+
+  // Merges never delete the conflict copy: its other pages and the versions you // ADDED
+  // chose not to keep exist only there until you remove it yourself.          // ADDED
+  function recordSyncMergedPage(plan, keptLocal) {                             // ADDED
+    if (!plan.sourcePath) return;                                              // ADDED
+    const entry = graph.__ccSyncMergedPages[plan.sourcePath] || { pageIds: plan.copyPageIds.slice(), merged: [], keptLocal: 0 }; // ADDED
+    if (entry.merged.indexOf(plan.pageId) < 0) entry.merged.push(plan.pageId); // ADDED
+    entry.keptLocal += keptLocal;                                              // ADDED
+    graph.__ccSyncMergedPages[plan.sourcePath] = entry;                        // ADDED
+  }                                                                            // ADDED
+
+  function syncConflictUnmergedPages(path) {                                   // ADDED
+    const entry = graph.__ccSyncMergedPages[path];                             // ADDED
+    if (!entry) return null;                                                   // ADDED
+    return entry.pageIds.filter(function (id) { return entry.merged.indexOf(id) < 0; }); // ADDED
+  }                                                                            // ADDED
+
+  function currentFileModified() {                                             // ADDED
+    const file = ui && typeof ui.getCurrentFile === 'function' ? ui.getCurrentFile() : null; // ADDED
+    return !!(file && typeof file.isModified === 'function' && file.isModified()); // ADDED
+  }                                                                            // ADDED
+
+  /**
+   * Deletes a conflict copy after every page in it has been merged and the
+   * merged diagram has been saved, and only once the user confirms.
+   */
+  async function removeSyncConflictCopy(conflict) {                            // ADDED
+    const path = conflict && conflict.path ? String(conflict.path) : '';       // ADDED
+    const share = shareBridge();                                               // ADDED
+    if (!path || !share || typeof share.resolveSyncConflict !== 'function') return { ok: false, reason: 'Conflict copies can only be removed in the desktop app.' }; // ADDED
+    const unmerged = syncConflictUnmergedPages(path);                          // ADDED
+    if (!unmerged) return { ok: false, reason: 'Merge this conflict copy before removing it.' }; // ADDED
+    if (unmerged.length) return { ok: false, reason: unmerged.length + ' page' + (unmerged.length === 1 ? '' : 's') + ' of the conflict copy still need' + (unmerged.length === 1 ? 's' : '') + ' merging.' }; // ADDED
+    if (currentFileModified()) return { ok: false, reason: 'Save the merged diagram before removing the conflict copy.' }; // ADDED
+    const keptLocal = graph.__ccSyncMergedPages[path].keptLocal;               // ADDED
+    const message = 'Delete ' + (conflict.name || 'the conflict copy') + '?\n\nEvery page has been merged and saved.' + (keptLocal ? ' ' + keptLocal + ' version' + (keptLocal === 1 ? '' : 's') + ' from the other device that you did not keep will be lost.' : '') + ' This cannot be undone.'; // ADDED
+    if (typeof window.confirm !== 'function' || !window.confirm(message)) return { ok: false, cancelled: true }; // ADDED
+    let removed = null;                                                        // ADDED
+    try {                                                                      // ADDED
+      removed = await share.resolveSyncConflict({ diagramPath: currentDiagramFilePath(), conflictPath: path }); // ADDED
+    } catch (e) {                                                              // ADDED
+      removed = { ok: false, reason: e && e.message ? e.message : String(e) }; // ADDED
+    }                                                                          // ADDED
+    if (removed && removed.ok) delete graph.__ccSyncMergedPages[path];         // ADDED
+    await refreshSyncConflicts();                                              // ADDED
+    return removed && removed.ok ? { ok: true } : { ok: false, reason: (removed && removed.reason) || 'The conflict copy could not be removed.' }; // ADDED
+  }                                                                            // ADDED
+
+  function describeSyncSide(side) {                                            // ADDED
+    if (!side) return '(absent)';                                              // ADDED
+    return side.label ? String(side.label).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim() : '(no label)'; // ADDED
+  }                                                                            // ADDED
+
+  function describeSyncConflictReason(entry) {                                 // ADDED
+    if (entry.reason === 'deletedLocally') return 'You deleted it; they edited it.'; // ADDED
+    if (entry.reason === 'deletedRemotely') return 'They deleted it; you edited it.'; // ADDED
+    if (entry.reason === 'outsideScope') return 'Only they changed it, outside cards, plantings and beds.'; // ADDED
+    return 'Both changed' + (entry.fields.length ? ': ' + entry.fields.map(function (key) { return key.replace(/^(attr|cell):/, ''); }).join(', ') : '') + '.'; // ADDED
+  }                                                                            // ADDED
+
+  function closeSyncMergeDialog() {                                            // ADDED
+    if (graph.__ccSyncMergeDialog && graph.__ccSyncMergeDialog.parentNode) graph.__ccSyncMergeDialog.parentNode.removeChild(graph.__ccSyncMergeDialog); // ADDED
+    graph.__ccSyncMergeDialog = null;                                          // ADDED
+  }                                                                            // ADDED
+
+  // Side-by-side review: one row per real conflict with the ancestor, your copy and theirs. // ADDED
+  function showSyncMergeDialog(session) {                                      // ADDED
+    closeSyncMergeDialog();                                                    // ADDED
+    const plan = session.plan;                                                 // ADDED
+    const picks = {};                                                          // ADDED
+    const overlay = makeEl('div', { position: 'fixed', inset: '0', background: 'rgba(0,0,0,0.35)', zIndex: String(GRAPH_OVERLAY_Z.CONTROL_TOP + 10), display: 'flex', alignItems: 'center', justifyContent: 'center' }); // ADDED
+    overlay.className = 'trellis-sync-merge-dialog';                           // ADDED
+    const box = makeEl('div', { background: '#fff', borderRadius: '6px', padding: '12px', width: 'min(820px, 94vw)', maxHeight: '84vh', overflow: 'auto', font: '12px system-ui, sans-serif' }); // ADDED
+    const title = makeEl('div', { fontWeight: '600', fontSize: '14px', marginBottom: '4px' }); // ADDED
+    title.textContent = 'Merge ' + (plan.sourceName || 'conflict copy');       // ADDED
+    const intro = makeEl('div', { color: '#555', marginBottom: '8px' });       // ADDED
+    intro.textContent = (plan.takeRemote.length + plan.fieldMerges.length) + ' change' + (plan.takeRemote.length + plan.fieldMerges.length === 1 ? '' : 's') + ' merge automatically. ' + plan.conflicts.length + ' need' + (plan.conflicts.length === 1 ? 's' : '') + ' a decision.' + (plan.hasAncestor ? '' : ' No shared history revision was found, so every difference is treated as a conflict.'); // ADDED
+    box.appendChild(title);                                                    // ADDED
+    box.appendChild(intro);                                                    // ADDED
+    const table = makeEl('div', { display: 'grid', gridTemplateColumns: '1.2fr 1fr 1fr 1fr', gap: '4px 8px', alignItems: 'start' }); // ADDED
+    ['Cell', 'Ancestor', 'Mine', 'Theirs'].forEach(function (text) {           // ADDED
+      const head = makeEl('div', { fontWeight: '600', borderBottom: '1px solid #ddd', paddingBottom: '2px' }); // ADDED
+      head.textContent = text;                                                 // ADDED
+      table.appendChild(head);                                                 // ADDED
+    });                                                                        // ADDED
+    plan.conflicts.forEach(function (entry) {                                  // ADDED
+      picks[entry.id] = entry.resolution;                                      // ADDED
+      const cellInfo = makeEl('div', {});                                      // ADDED
+      cellInfo.textContent = entry.id + (entry.kind ? ' (' + entry.kind + ')' : ''); // ADDED
+      const reason = makeEl('div', { color: '#b06000', fontSize: '11px' });    // ADDED
+      reason.textContent = describeSyncConflictReason(entry);                  // ADDED
+      cellInfo.appendChild(reason);                                            // ADDED
+      const ancestor = makeEl('div', { color: '#666' });                       // ADDED
+      ancestor.textContent = describeSyncSide(entry.base);                     // ADDED
+      table.appendChild(cellInfo);                                             // ADDED
+      table.appendChild(ancestor);                                             // ADDED
+      ['local', 'remote'].forEach(function (side) {                            // ADDED
+        const label = document.createElement('label');                         // ADDED
+        label.style.cssText = 'display:flex;gap:4px;align-items:flex-start;cursor:pointer;'; // ADDED
+        const radio = document.createElement('input');                         // ADDED
+        radio.type = 'radio';                                                  // ADDED
+        radio.name = 'trellis-sync-merge-' + entry.id;                         // ADDED
+        radio.value = side;                                                    // ADDED
+        radio.checked = entry.resolution === side;                             // ADDED
+        radio.addEventListener('change', function () { if (radio.checked) picks[entry.id] = side; }); // ADDED
+        const text = document.createElement('span');                           // ADDED
+        text.textContent = describeSyncSide(entry[side]);                      // ADDED
+        label.appendChild(radio);                                              // ADDED
+        label.appendChild(text);                                               // ADDED
+        table.appendChild(label);                                              // ADDED
+      });                                                                      // ADDED
+    });                                                                        // ADDED
+    if (plan.conflicts.length) box.appendChild(table);                         // ADDED
+    const actions = makeEl('div', { display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '10px' }); // ADDED
+    const cancel = document.createElement('button');                           // ADDED
+    cancel.type = 'button';                                                    // ADDED
+    cancel.textContent = 'Cancel';                                             // ADDED
+    cancel.addEventListener('click', closeSyncMergeDialog);                    // ADDED
+    const apply = document.createElement('button');                            // ADDED
+    apply.type = 'button';                                                     // ADDED
+    apply.textContent = 'Apply merge';                                         // ADDED
+    apply.className = 'trellis-sync-merge-apply';                              // ADDED
+    apply.addEventListener('click', function () {                              // ADDED
+      closeSyncMergeDialog();                                                  // ADDED
+      applySyncMerge(session, picks).catch(function (e) {                      // ADDED
+        graph.__ccHistoryWarning = 'Merge failed: ' + (e && e.message ? e.message : String(e)); // ADDED
+        updateHistoryUI();                                                     // ADDED
+      });                                                                      // ADDED
+    });                                                                        // ADDED
+    actions.appendChild(cancel);                                               // ADDED
+    actions.appendChild(apply);                                                // ADDED
+    box.appendChild(actions);                                                  // ADDED
+    overlay.appendChild(box);                                                  // ADDED
+    document.body.appendChild(overlay);                                        // ADDED
+    graph.__ccSyncMergeDialog = overlay;                                       // ADDED
+    return overlay;                                                            // ADDED
+  }                                                                            // ADDED
+
+  /**
+   * Merges a conflict copy into the open page. With `options.resolutions`
+   * ({ cellId: 'local' | 'remote' }) or nothing left to decide the merge is
+   * applied directly; otherwise the side-by-side dialog opens.
+   */
+  async function mergeSyncConflict(source, options) {                          // ADDED
+    const opts = options || {};                                                // ADDED
+    try {                                                                      // ADDED
+      const session = await planSyncConflictMerge(source);                     // ADDED
+      if (opts.resolutions || opts.interactive === false || !session.plan.conflicts.length) return await applySyncMerge(session, opts.resolutions); // CHANGED
+      showSyncMergeDialog(session);                                            // ADDED
+      return { pending: true, plan: session.plan };                            // ADDED
+    } catch (e) {                                                              // ADDED
+      graph.__ccHistoryWarning = 'Merge failed: ' + (e && e.message ? e.message : String(e)); // ADDED
+      updateHistoryUI();                                                       // ADDED
+      return null;                                                             // ADDED
+    }                                                                          // ADDED
+  }                                                                            // ADDED
+
+  function createSyncConflictBanner(conflicts) {                               // ADDED
+    const banner = makeEl('div', { border: '1px solid #f9ab00', background: 'rgba(249,171,0,0.10)', borderRadius: '4px', padding: '6px', marginBottom: '6px' }); // ADDED
+    banner.className = 'trellis-sync-conflict-banner';                         // ADDED
+    const text = makeEl('div', { marginBottom: '4px' });                       // ADDED
+    text.textContent = conflicts.length + ' Syncthing conflict cop' + (conflicts.length === 1 ? 'y' : 'ies') + ' of this diagram.'; // ADDED
+    banner.appendChild(text);                                                  // ADDED
+    conflicts.forEach(function (conflict) {                                    // ADDED
+      const button = document.createElement('button');                         // ADDED
+      button.type = 'button';                                                  // ADDED
+      button.textContent = 'Merge ' + (conflict.deviceId ? 'from ' + conflict.deviceId : conflict.name); // ADDED
+      button.title = conflict.name + (conflict.conflictAt ? ' - ' + conflict.conflictAt : ''); // ADDED
+      button.style.cssText = 'margin:2px 4px 0 0;cursor:pointer;';             // ADDED
+      button.addEventListener('click', function () { mergeSyncConflict(conflict); }); // ADDED
+      banner.appendChild(button);                                              // ADDED
+      const unmerged = syncConflictUnmergedPages(conflict.path);               // ADDED
+      if (!unmerged || unmerged.length) return;                                // ADDED
+      const remove = document.createElement('button');                         // ADDED
+      remove.type = 'button';                                                  // ADDED
+      remove.textContent = 'Remove copy';                                      // ADDED
+      remove.title = 'Delete ' + conflict.name + ' after saving the merged diagram'; // ADDED
+      remove.className = 'trellis-sync-conflict-remove';                       // ADDED
+      remove.style.cssText = 'margin:2px 4px 0 0;cursor:pointer;';             // ADDED
+      remove.addEventListener('click', function () {                           // ADDED
+        removeSyncConflictCopy(conflict).then(function (result) {              // ADDED
+          if (result.ok || result.cancelled) return;                           // ADDED
+          graph.__ccHistoryWarning = result.reason;                            // ADDED
+          updateHistoryUI();                                                   // ADDED
+        });                                                                    // ADDED
+      });                                                                      // ADDED
+      banner.appendChild(remove);                                              // ADDED
+    });                                                                        // ADDED
+    return banner;                                                             // ADDED
+  }                                                                            // ADDED
+
   const ChangeMapRenderer = {                                                  // NEW
     enable: enableMode,                                                        // NEW
     clear: clearMap,                                                           // NEW
@@ -2501,6 +3545,16 @@ Draw.loadPlugin(function (ui) {
       const rev = (graph.__ccHistoryRevisions || []).find(function (entry) { return entry.id === revisionId; }); // NEW
       return rev ? restoreSelectedRevision(rev) : Promise.resolve(false);      // NEW
     };                                                                         // NEW
+    window.Trellis.history.restoreCells = function (revisionId, cellIds, options) { // ADDED
+      const rev = (graph.__ccHistoryRevisions || []).find(function (entry) { return entry.id === revisionId; }); // ADDED
+      return rev ? restoreRevisionCells(rev, cellIds, options) : Promise.resolve(null); // ADDED
+    };                                                                         // ADDED
+    window.Trellis.history.exportArchive = exportHistoryArchive;               // ADDED
+    window.Trellis.history.importArchive = importHistoryArchive;               // ADDED
+    window.Trellis.history.embedArchive = embedHistoryArchive;                 // ADDED
+    window.Trellis.history.listSyncConflicts = refreshSyncConflicts;           // ADDED
+    window.Trellis.history.mergeSyncConflict = mergeSyncConflict;              // ADDED
+    window.Trellis.history.removeSyncConflictCopy = removeSyncConflictCopy;    // ADDED
     window.Trellis.history.events = {                                          // NEW
       beforeRestore: HISTORY_EVENT_BEFORE_RESTORE,                             // NEW
       afterRestore: HISTORY_EVENT_AFTER_RESTORE,                               // NEW
@@ -2511,6 +3565,11 @@ Draw.loadPlugin(function (ui) {
       serializeActivePageXml,                                                  // NEW
       hashString,                                                              // NEW
       diffSnapshotWithCurrent,                                                 // NEW
+      planSelectiveRestore,                                                    // ADDED
+      planThreeWayMerge,                                                       // ADDED
+      extractPageModelXml,                                                     // ADDED
+      packHistoryArchive,                                                      // ADDED
+      unpackHistoryArchive,                                                    // ADDED
       computeHistoryViewTarget,                                                // NEW
       fitHistoryRevisionTarget,                                                // NEW
       recordStableRevision: historyRecorder.recordStableRevision,              // NEW
@@ -2692,6 +3751,9 @@ Draw.loadPlugin(function (ui) {
     ui.__trellisChangeMapFileBoundaryResetInstalled = true;                     // NEW
     editor.addListener('fileLoaded', function () {                              // NEW
       turnOffChangeMapForFileBoundary();                                        // NEW
+      importEmbeddedHistoryArchive();                                          // ADDED
+      graph.__ccSyncMergedPages = {};                                          // ADDED
+      refreshSyncConflicts();                                                  // ADDED
     });                                                                         // NEW
   }                                                                            // NEW
 
@@ -2731,6 +3793,8 @@ Draw.loadPlugin(function (ui) {
   installHistoryAction();                                                      // NEW
   installHistoryToolbarButton();                                               // NEW
   installDiagramBoundaryReset();                                                // NEW
+  installSyncConflictWatch();                                                  // ADDED
   historyRecorder.initializeBaseline();                                        // NEW
+  refreshSyncConflicts();                                                      // ADDED
 
 });
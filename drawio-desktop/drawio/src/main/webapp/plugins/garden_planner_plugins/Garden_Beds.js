@@ -16,7 +16,10 @@ Draw.loadPlugin(function (ui) { // NEW
 
     const ATTRS = { // NEW
         BED_JSON: "bed_conditions_json", // CHANGE
-        SEASON_EXTENSION_DEFAULTS_JSON: "season_extension_defaults_json" // ADDED
+        SEASON_EXTENSION_DEFAULTS_JSON: "season_extension_defaults_json", // ADDED
+        ROTATION_GAPS_JSON: "rotation_gaps_json", // CHANGE
+        PEST_OBSERVATIONS_JSON: "pest_observations_json", // CHANGE
+        SOIL_TESTS_JSON: "soil_tests_json" // ADDED
     }; // NEW
 
     const MIRROR_ATTRS = { // NEW
@@ -128,7 +131,73 @@ Draw.loadPlugin(function (ui) { // NEW
         resting: { label: "Resting bed", values: { sunExposure: "unknown", soilMoisture: "unknown", drainage: "unknown", fertility: "low", irrigation: "unknown", trellis: "unknown", bedUse: "resting" } } // NEW
     }; // NEW
 
+    const SUN_HOURS_BY_EXPOSURE = Object.freeze({ full_sun: 8, part_sun: 6, part_shade: 4, shade: 2 }); // ADDED
+    const MOISTURE_LEVELS = Object.freeze({ dry: 1, moderate: 2, moist: 3, wet: 4 }); // ADDED
+    const FERTILITY_LEVELS = Object.freeze({ low: 1, medium: 2, high: 3 }); // ADDED
+    const WATER_NEED_LEVELS = Object.freeze({ low: 1, moderate: 2, medium: 2, high: 3 }); // ADDED
+    const WATER_NEED_LABELS = Object.freeze({ 1: "low", 2: "moderate", 3: "high" }); // ADDED
+    const ORGANIC_MATTER_LEVELS = Object.freeze({ low: 1, medium: 2, moderate: 2, high: 3, rich: 3 }); // ADDED
+    const SOIL_TEXTURE_MATCHES = Object.freeze({ sandy: ["sandy"], sandy_loam: ["sandy", "loamy"], loamy: ["loamy"], clay: ["clay"] }); // ADDED
+    const SOIL_TEXTURE_NEIGHBOURS = Object.freeze({ sandy: ["loamy"], sandy_loam: [], loamy: ["sandy", "clay"], clay: ["loamy"] }); // ADDED
+    const SOIL_PREFERENCE_LABELS = Object.freeze({ sandy: "sandy", sandy_loam: "sandy loam", loamy: "loamy", clay: "clay" }); // ADDED
+    const TENDER_TMIN_C = 7; // ADDED
+    const RATING_LABELS = Object.freeze({ good: "Good", fair: "Fair", poor: "Poor", unsuitable: "Unsuitable", unknown: "No data" }); // ADDED
+    const PLANT_REQUIREMENT_COLUMNS = "plant_id, plant_name, abbr, family, crop_category, sun_hours, water, preferred_soil, organic_matter, annual, perennial, tmin_c, soil_ph_range, ideal_NPK, nutrients"; // CHANGE
+    const DEFAULT_ROTATION_GAP_YEARS = Object.freeze({ Brassicaceae: 3, Solanaceae: 3, Amaryllidaceae: 3, Apiaceae: 2, Cucurbitaceae: 2, Amaranthaceae: 2, Asteraceae: 1, Fabaceae: 1, Poaceae: 1 }); // ADDED
+    const FAMILY_ALIASES = Object.freeze({ cruciferae: "Brassicaceae", alliaceae: "Amaryllidaceae", chenopodiaceae: "Amaranthaceae", umbelliferae: "Apiaceae", leguminosae: "Fabaceae", compositae: "Asteraceae", gramineae: "Poaceae" }); // ADDED
+    const ROTATION_EXCLUDED_BED_USES = Object.freeze(["perennials", "resting"]); // ADDED
+    const PEST_KINDS = Object.freeze(["pest", "disease"]); // ADDED
+    const PEST_SEVERITIES = Object.freeze(["low", "moderate", "high", "severe"]); // ADDED
+    const PEST_SEVERITY_COLORS = Object.freeze({ low: "#a16207", moderate: "#c2410c", high: "#b91c1c", severe: "#7f1d1d" }); // ADDED
+    const PEST_SUSCEPTIBILITY = Object.freeze({ // ADDED: persistYears counts the seasons a susceptible crop stays at risk after an observation
+        aphids: Object.freeze({ label: "Aphids", kind: "pest", families: ["Brassicaceae", "Fabaceae", "Solanaceae", "Cucurbitaceae"], persistYears: 0 }), // ADDED
+        allium_leaf_miner: Object.freeze({ label: "Allium leaf miner", kind: "pest", families: ["Amaryllidaceae"], persistYears: 1 }), // ADDED
+        cabbage_root_fly: Object.freeze({ label: "Cabbage root fly", kind: "pest", families: ["Brassicaceae"], persistYears: 1 }), // ADDED
+        carrot_fly: Object.freeze({ label: "Carrot fly", kind: "pest", families: ["Apiaceae"], persistYears: 1 }), // ADDED
+        colorado_potato_beetle: Object.freeze({ label: "Colorado potato beetle", kind: "pest", families: ["Solanaceae"], persistYears: 1 }), // ADDED
+        flea_beetle: Object.freeze({ label: "Flea beetle", kind: "pest", families: ["Brassicaceae", "Solanaceae"], persistYears: 1 }), // ADDED
+        root_knot_nematode: Object.freeze({ label: "Root-knot nematode", kind: "pest", families: ["Solanaceae", "Cucurbitaceae", "Apiaceae", "Fabaceae"], persistYears: 3 }), // ADDED
+        squash_vine_borer: Object.freeze({ label: "Squash vine borer", kind: "pest", families: ["Cucurbitaceae"], persistYears: 1 }), // ADDED
+        wireworm: Object.freeze({ label: "Wireworm", kind: "pest", families: ["Solanaceae", "Apiaceae", "Poaceae"], persistYears: 2 }), // ADDED
+        clubroot: Object.freeze({ label: "Clubroot", kind: "disease", families: ["Brassicaceae"], persistYears: 7 }), // ADDED
+        downy_mildew: Object.freeze({ label: "Downy mildew", kind: "disease", families: ["Amaranthaceae", "Amaryllidaceae", "Asteraceae", "Brassicaceae", "Cucurbitaceae"], persistYears: 1 }), // ADDED
+        early_blight: Object.freeze({ label: "Early blight", kind: "disease", families: ["Solanaceae"], persistYears: 2 }), // ADDED
+        fusarium_wilt: Object.freeze({ label: "Fusarium wilt", kind: "disease", families: ["Solanaceae", "Cucurbitaceae", "Fabaceae"], persistYears: 5 }), // ADDED
+        late_blight: Object.freeze({ label: "Late blight", kind: "disease", families: ["Solanaceae"], persistYears: 1 }), // ADDED
+        powdery_mildew: Object.freeze({ label: "Powdery mildew", kind: "disease", families: ["Cucurbitaceae", "Fabaceae"], persistYears: 0 }), // ADDED
+        verticillium_wilt: Object.freeze({ label: "Verticillium wilt", kind: "disease", families: ["Solanaceae"], persistYears: 4 }), // ADDED
+        white_rot: Object.freeze({ label: "White rot", kind: "disease", families: ["Amaryllidaceae"], persistYears: 8 }) // ADDED
+    }); // ADDED
+    const PEST_MAP_WINDOW_UNITS = Object.freeze({ days: 1, weeks: 7, months: 30 }); // ADDED
+    const SOIL_TEST_FIELDS = Object.freeze([ // ADDED
+        Object.freeze({ key: "ph", label: "pH", min: 3, max: 10 }), // ADDED
+        Object.freeze({ key: "organicMatterPct", label: "Organic matter %", min: 0, max: 100 }), // ADDED
+        Object.freeze({ key: "nitrogenPpm", label: "Nitrate N (ppm)", min: 0, max: 1000 }), // ADDED
+        Object.freeze({ key: "phosphorusPpm", label: "Phosphorus (ppm)", min: 0, max: 1000 }), // ADDED
+        Object.freeze({ key: "potassiumPpm", label: "Potassium (ppm)", min: 0, max: 3000 }), // ADDED
+        Object.freeze({ key: "cec", label: "CEC (meq/100 g)", min: 0, max: 100 }) // ADDED
+    ]); // ADDED
+    const SOIL_DEFAULT_TARGET_PH = 6.5; // ADDED
+    const SOIL_PH_TOLERANCE = 0.3; // ADDED
+    const SOIL_REFERENCE_CEC = 15; // ADDED: loam buffering the lime and sulfur rates below assume
+    const SOIL_ORGANIC_MATTER_TARGET_PCT = Object.freeze({ 1: 2.5, 2: 3.5, 3: 5 }); // ADDED: keyed by ORGANIC_MATTER_LEVELS
+    const SOIL_NUTRIENT_BASELINE_PPM = Object.freeze({ nitrogen: 25, phosphorus: 40, potassium: 160 }); // ADDED
+    const SOIL_NUTRIENT_SYMBOLS = Object.freeze({ nitrogen: "N", phosphorus: "P", potassium: "K" }); // ADDED
+    const SOIL_PPM_TO_G_PER_M2 = 0.195; // ADDED: 1 ppm in the top 15 cm at 1.3 g/cm3 bulk density
+    const SOIL_AMENDMENTS = Object.freeze({ // ADDED
+        lime: Object.freeze({ product: "Ground limestone", kgPerM2PerPhUnit: 0.25 }), // ADDED
+        sulfur: Object.freeze({ product: "Elemental sulfur", kgPerM2PerPhUnit: 0.08 }), // ADDED
+        compost: Object.freeze({ product: "Compost", litersPerM2PerPct: 25, maxLitersPerM2: 50 }), // ADDED
+        nitrogen: Object.freeze({ product: "Blood meal (12-0-0)", nutrientFraction: 0.12 }), // ADDED
+        phosphorus: Object.freeze({ product: "Bone meal (3-15-0)", nutrientFraction: 0.15 * 0.436 }), // ADDED: P2O5 to elemental P
+        potassium: Object.freeze({ product: "Sulfate of potash (0-0-50)", nutrientFraction: 0.5 * 0.83 }) // ADDED: K2O to elemental K
+    }); // ADDED
+    const PX_PER_CM = 5; // ADDED
+    const DRAW_SCALE = 0.18; // ADDED
+
     let copiedProfile = null; // NEW
+    const plantRequirementsById = new Map(); // ADDED
+    const pendingPlantRequirementIds = new Set(); // ADDED
     const selectedBedOverlays = new Map(); // NEW
 
     function isGardenBed(cell) { // NEW
@@ -371,13 +440,194 @@ Draw.loadPlugin(function (ui) { // NEW
         return out; // NEW
     } // NEW
 
-    function isBedCompatibleWithCrop() { // NEW
-        return { compatible: true, hardFailures: [], warnings: [] }; // NEW
-    } // NEW
+    function resolveSuitabilityProfile(bedOrProfile) { // CHANGE
+        if (isGardenBed(bedOrProfile)) return readBedConditions(bedOrProfile); // CHANGE
+        return normalizeProfile(bedOrProfile, { keepExistingDate: true }); // CHANGE
+    } // CHANGE
 
-    function scoreBedSuitability() { // NEW
-        return { score: 0, reasons: [] }; // NEW
-    } // NEW
+    function parseMinSunHours(value) { // CHANGE
+        if (value == null || value === "") return null; // CHANGE
+        if (Number.isFinite(Number(value))) return Number(value); // ADDED
+        const match = String(value).match(/(\d+(?:\.\d+)?)/); // ADDED
+        return match ? Number(match[1]) : null; // ADDED
+    } // ADDED
+
+    function parseLevel(value, levels) { // ADDED
+        const raw = String(value == null ? "" : value).trim().toLowerCase(); // ADDED
+        if (!raw) return null; // ADDED
+        const key = Object.keys(levels).find(function (name) { return raw.indexOf(name) >= 0; }); // ADDED
+        return key ? levels[key] : null; // ADDED
+    } // ADDED
+
+    function parseSoilPreference(value) { // ADDED
+        const raw = String(value == null ? "" : value).trim().toLowerCase(); // ADDED
+        if (!raw) return ""; // ADDED
+        if (raw.indexOf("clay") >= 0) return "clay"; // ADDED
+        if (raw.indexOf("sand") >= 0 && raw.indexOf("loam") < 0) return "sandy"; // ADDED
+        if (raw.indexOf("sand") >= 0) return "sandy_loam"; // ADDED
+        if (raw.indexOf("loam") >= 0) return "loamy"; // ADDED
+        return ""; // ADDED
+    } // ADDED
+
+    function normalizePlantRequirements(plant) { // ADDED
+        const p = plant && typeof plant === "object" ? plant : {}; // ADDED
+        const category = String(p.crop_category || p.cropCategory || "").trim().toLowerCase(); // ADDED
+        return { // ADDED
+            plantId: p.plant_id != null ? String(p.plant_id) : "", // ADDED
+            name: String(p.plant_name || p.name || p.abbr || p.plant_id || "Crop").trim(), // ADDED
+            minSunHours: parseMinSunHours(p.sun_hours ?? p.sunHours), // ADDED
+            waterNeed: parseLevel(p.water, WATER_NEED_LEVELS), // ADDED
+            soilPreference: parseSoilPreference(p.preferred_soil ?? p.preferredSoil), // ADDED
+            feederLevel: parseLevel(p.organic_matter ?? p.organicMatter, ORGANIC_MATTER_LEVELS), // ADDED
+            needsTrellis: category === "vine" || category === "berry cane", // ADDED
+            perennial: Number(p.perennial) === 1 && Number(p.annual) !== 1, // ADDED
+            tminC: finiteNumberOrNull(p.tmin_c ?? p.tminC) // ADDED
+        }; // ADDED
+    } // ADDED
+
+    function suitabilityReason(factor, impact, text) { // ADDED
+        return { factor: factor, impact: impact, text: text }; // ADDED
+    } // ADDED
+
+    function evaluateSunExposure(profile, req, out) { // ADDED
+        if (profile.sunExposure === "unknown" || req.minSunHours == null) return; // ADDED
+        const hours = SUN_HOURS_BY_EXPOSURE[profile.sunExposure]; // ADDED
+        out.evaluated++; // ADDED
+        const shortfall = req.minSunHours - hours; // ADDED
+        if (shortfall <= 0) out.reasons.push(suitabilityReason("sunExposure", 0, `${valueLabel(profile.sunExposure)} meets ${req.minSunHours}+ h of sun`)); // ADDED
+        else if (shortfall <= 2) out.reasons.push(suitabilityReason("sunExposure", -15, `${valueLabel(profile.sunExposure)} is short of ${req.minSunHours}+ h of sun`)); // ADDED
+        else out.reasons.push(suitabilityReason("sunExposure", -35, `${valueLabel(profile.sunExposure)} is far short of ${req.minSunHours}+ h of sun`)); // ADDED
+    } // ADDED
+
+    function evaluateWater(profile, req, out) { // ADDED
+        if (req.waterNeed == null) return; // ADDED
+        const moisture = MOISTURE_LEVELS[profile.soilMoisture]; // ADDED
+        const irrigated = profile.irrigation === "drip" || profile.irrigation === "sprinkler" || profile.irrigation === "self_watering"; // ADDED
+        if (moisture != null) { // ADDED
+            out.evaluated++; // ADDED
+            const gap = moisture - (req.waterNeed + 1); // ADDED
+            if (gap <= -2 && !irrigated) out.reasons.push(suitabilityReason("soilMoisture", -20, `${valueLabel(profile.soilMoisture)} soil for a ${WATER_NEED_LABELS[req.waterNeed]}-water crop`)); // CHANGED
+            else if (gap <= -2) out.reasons.push(suitabilityReason("soilMoisture", -5, `${valueLabel(profile.soilMoisture)} soil offset by ${valueLabel(profile.irrigation).toLowerCase()} irrigation`)); // ADDED
+            else if (gap >= 2) out.reasons.push(suitabilityReason("soilMoisture", -20, `${valueLabel(profile.soilMoisture)} soil for a ${WATER_NEED_LABELS[req.waterNeed]}-water crop`)); // CHANGED
+            else out.reasons.push(suitabilityReason("soilMoisture", 0, `${valueLabel(profile.soilMoisture)} soil suits its water needs`)); // ADDED
+        } else if (req.waterNeed >= 3 && irrigated) { // ADDED
+            out.reasons.push(suitabilityReason("irrigation", 0, `${valueLabel(profile.irrigation)} irrigation supports a high-water crop`)); // ADDED
+        } // ADDED
+        if (profile.drainage === "unknown") return; // ADDED
+        out.evaluated++; // ADDED
+        if (profile.drainage === "slow" && req.waterNeed <= 1) out.reasons.push(suitabilityReason("drainage", -20, "Slow drainage risks root rot for a low-water crop")); // ADDED
+        else if (profile.drainage === "fast" && req.waterNeed >= 3 && !irrigated) out.reasons.push(suitabilityReason("drainage", -10, "Fast drainage dries out a high-water crop")); // ADDED
+        else out.reasons.push(suitabilityReason("drainage", 0, `${valueLabel(profile.drainage)} suits its water needs`)); // ADDED
+    } // ADDED
+
+    function evaluateSoilTexture(profile, req, out) { // ADDED
+        if (!req.soilPreference || profile.soilTexture === "unknown") return; // ADDED
+        out.evaluated++; // ADDED
+        const texture = profile.soilTexture; // ADDED
+        const preferred = SOIL_PREFERENCE_LABELS[req.soilPreference]; // ADDED
+        if (texture === "amended" || texture === "mixed" || (SOIL_TEXTURE_MATCHES[req.soilPreference] || []).indexOf(texture) >= 0) { // ADDED
+            out.reasons.push(suitabilityReason("soilTexture", 0, `${valueLabel(texture)} soil suits its preferred ${preferred} soil`)); // ADDED
+        } else if ((SOIL_TEXTURE_NEIGHBOURS[req.soilPreference] || []).indexOf(texture) >= 0) { // ADDED
+            out.reasons.push(suitabilityReason("soilTexture", -5, `${valueLabel(texture)} soil is close to its preferred ${preferred} soil`)); // ADDED
+        } else { // ADDED
+            out.reasons.push(suitabilityReason("soilTexture", -15, `${valueLabel(texture)} soil differs from its preferred ${preferred} soil`)); // ADDED
+        } // ADDED
+    } // ADDED
+
+    function evaluateFertility(profile, req, out) { // ADDED
+        if (req.feederLevel == null) return; // ADDED
+        const fertility = FERTILITY_LEVELS[profile.fertility]; // ADDED
+        if (fertility == null) return; // ADDED
+        out.evaluated++; // ADDED
+        const gap = req.feederLevel - fertility; // ADDED
+        if (gap >= 2) out.reasons.push(suitabilityReason("fertility", -20, "Low fertility for a heavy feeder")); // ADDED
+        else if (gap === 1) out.reasons.push(suitabilityReason("fertility", -8, `${valueLabel(profile.fertility)} fertility is below its needs`)); // ADDED
+        else out.reasons.push(suitabilityReason("fertility", 0, `${valueLabel(profile.fertility)} fertility meets its needs`)); // ADDED
+    } // ADDED
+
+    function evaluateTrellis(profile, req, out) { // ADDED
+        if (!req.needsTrellis || profile.trellis === "unknown") return; // ADDED
+        out.evaluated++; // ADDED
+        if (profile.trellis === "none") out.reasons.push(suitabilityReason("trellis", -15, "No trellis for a climbing crop")); // ADDED
+        else out.reasons.push(suitabilityReason("trellis", 0, "Trellis available for a climbing crop")); // ADDED
+    } // ADDED
+
+    function evaluateFrost(profile, req, out) { // ADDED
+        if (req.tminC == null || req.tminC < TENDER_TMIN_C) return; // ADDED
+        if (profile.frostRisk === "unknown" && profile.seasonExtension === "unknown") return; // ADDED
+        out.evaluated++; // ADDED
+        const effects = seasonExtensionEffects(profile); // ADDED
+        const protectedBed = effects.frostShiftDays <= -7 || effects.minAirTempC != null; // ADDED
+        if ((profile.frostRisk === "high" || profile.frostRisk === "medium") && !protectedBed) { // ADDED
+            out.reasons.push(suitabilityReason("frostRisk", profile.frostRisk === "high" ? -20 : -10, `${valueLabel(profile.frostRisk)} frost risk for a tender crop`)); // ADDED
+        } else if (protectedBed) { // ADDED
+            out.reasons.push(suitabilityReason("seasonExtension", 0, `${valueLabel(effects.seasonExtension)} protects a tender crop`)); // ADDED
+        } else { // ADDED
+            out.reasons.push(suitabilityReason("frostRisk", 0, `${valueLabel(profile.frostRisk)} frost risk suits a tender crop`)); // ADDED
+        } // ADDED
+    } // ADDED
+
+    function evaluateBedUse(profile, req, out) { // ADDED
+        if (profile.bedUse === "unknown" || profile.bedUse === "mixed") return; // ADDED
+        out.evaluated++; // ADDED
+        if (profile.bedUse === "resting") { // ADDED
+            out.hardFailures.push("Bed is resting"); // ADDED
+            out.reasons.push(suitabilityReason("bedUse", -100, "Bed is resting this season")); // ADDED
+        } else if (profile.bedUse === "annuals" && req.perennial) { // ADDED
+            out.reasons.push(suitabilityReason("bedUse", -25, "Perennial crop in an annuals bed")); // ADDED
+        } else if (profile.bedUse === "perennials" && !req.perennial) { // ADDED
+            out.reasons.push(suitabilityReason("bedUse", -15, "Annual crop in a perennials bed")); // ADDED
+        } else { // ADDED
+            out.reasons.push(suitabilityReason("bedUse", 0, `${valueLabel(profile.bedUse)} bed fits the crop`)); // ADDED
+        } // ADDED
+    } // ADDED
+
+    function evaluateBedSuitability(bedOrProfile, plant) { // ADDED
+        const profile = resolveSuitabilityProfile(bedOrProfile); // ADDED
+        const req = normalizePlantRequirements(plant); // ADDED
+        const out = { reasons: [], hardFailures: [], evaluated: 0 }; // ADDED
+        [evaluateBedUse, evaluateSunExposure, evaluateWater, evaluateSoilTexture, evaluateFertility, evaluateTrellis, evaluateFrost].forEach(function (fn) { // ADDED
+            fn(profile, req, out); // ADDED
+        }); // ADDED
+        out.reasons.sort(function (a, b) { return a.impact - b.impact; }); // ADDED
+        return { profile: profile, requirements: req, reasons: out.reasons, hardFailures: out.hardFailures, evaluated: out.evaluated }; // ADDED
+    } // ADDED
+
+    function suitabilityRating(score, evaluated, compatible) { // ADDED
+        if (!compatible) return "unsuitable"; // ADDED
+        if (!evaluated) return "unknown"; // ADDED
+        if (score >= 80) return "good"; // ADDED
+        if (score >= 55) return "fair"; // ADDED
+        return "poor"; // ADDED
+    } // ADDED
+
+    function isBedCompatibleWithCrop(bedOrProfile, plant) { // CHANGE
+        const evaluation = evaluateBedSuitability(bedOrProfile, plant); // ADDED
+        return { // ADDED
+            compatible: evaluation.hardFailures.length === 0, // ADDED
+            hardFailures: evaluation.hardFailures.slice(), // ADDED
+            warnings: evaluation.reasons.filter(function (reason) { return reason.impact < 0 && reason.impact > -100; }).map(function (reason) { return reason.text; }) // ADDED
+        }; // ADDED
+    } // ADDED
+
+    function scoreBedSuitability(bedOrProfile, plant) { // CHANGE
+        const evaluation = evaluateBedSuitability(bedOrProfile, plant); // ADDED
+        const compatible = evaluation.hardFailures.length === 0; // ADDED
+        const penalty = evaluation.reasons.reduce(function (sum, reason) { return sum + Math.min(0, reason.impact); }, 0); // ADDED
+        const score = !compatible ? 0 : (evaluation.evaluated ? Math.max(0, Math.min(100, 100 + penalty)) : null); // ADDED
+        return { // ADDED
+            score: score, // ADDED
+            rating: suitabilityRating(score, evaluation.evaluated, compatible), // ADDED
+            compatible: compatible, // ADDED
+            evaluated: evaluation.evaluated, // ADDED
+            reasons: evaluation.reasons // ADDED
+        }; // ADDED
+    } // ADDED
+
+    function formatSuitabilityScore(result) { // ADDED
+        if (!result || result.score == null) return "No data"; // ADDED
+        return `${result.score} (${RATING_LABELS[result.rating] || result.rating})`; // ADDED
+    } // ADDED
 
     function getCellId(cell) { // NEW
         return cell && cell.getId ? cell.getId() : (cell && cell.id); // NEW
@@ -554,6 +804,37 @@ Draw.loadPlugin(function (ui) { // NEW
         return { units, section, refresh }; // CHANGED
     } // ADDED
 
+    function makeRotationGapSection(container, targetCell) { // ADDED
+        if (!findGardenModuleAncestor(targetCell)) return null; // ADDED
+        const section = appendSection(container, "Crop rotation"); // ADDED
+        section.setAttribute("data-bed-rotation-gaps", "1"); // ADDED
+        const hint = document.createElement("div"); // ADDED
+        hint.textContent = "Minimum years between crops of the same family in one bed. Shared by every bed in this garden."; // ADDED
+        hint.style.fontSize = "12px"; // ADDED
+        hint.style.color = "#374151"; // ADDED
+        hint.style.margin = "2px 0 8px"; // ADDED
+        section.appendChild(hint); // ADDED
+        const gaps = resolveRotationGaps(targetCell); // ADDED
+        const inputs = {}; // ADDED
+        Object.keys(gaps).sort().forEach(function (family) { // ADDED
+            const input = makeNumberInput(gaps[family]); // ADDED
+            input.step = "1"; // ADDED
+            input.min = "0"; // ADDED
+            input.setAttribute("data-rotation-family", family); // ADDED
+            inputs[family] = input; // ADDED
+            appendField(section, { label: `${family} (years)` }, input); // ADDED
+        }); // ADDED
+        function read() { // ADDED
+            const out = {}; // ADDED
+            Object.keys(inputs).forEach(function (family) { // ADDED
+                const years = finiteNumberOrNull(inputs[family].value); // ADDED
+                if (years != null) out[family] = years; // ADDED
+            }); // ADDED
+            return out; // ADDED
+        } // ADDED
+        return { section, read }; // ADDED
+    } // ADDED
+
     function elevateBedConditionsDialog() { // NEW
         const dlg = ui && ui.dialog; // NEW
         if (dlg && dlg.bg && dlg.bg.style) dlg.bg.style.zIndex = String(TRELLIS_DIALOG_Z - 1); // NEW
@@ -621,6 +902,7 @@ Draw.loadPlugin(function (ui) { // NEW
         notesInput.rows = 3; // NEW
         notesInput.style.width = "100%"; // NEW
         appendField(use, { label: "Notes" }, notesInput); // NEW
+        const rotationGaps = makeRotationGapSection(body, targetCell); // ADDED
 
         presetSelect.addEventListener("change", function () { // NEW
             const preset = PRESETS[presetSelect.value]; // NEW
@@ -690,6 +972,7 @@ Draw.loadPlugin(function (ui) { // NEW
             model.beginUpdate(); // NEW
             try { // NEW
                 writeBedConditions(targetCell, readDialogProfile()); // CHANGE
+                if (rotationGaps) writeModuleRotationGaps(targetCell, rotationGaps.read()); // ADDED
             } finally { // NEW
                 model.endUpdate(); // NEW
             } // NEW
@@ -748,6 +1031,1198 @@ Draw.loadPlugin(function (ui) { // NEW
         return rows; // NEW
     } // NEW
 
+    function isTilerGroup(cell) { // ADDED
+        return !!cell && !!cell.getAttribute && cell.getAttribute("tiler_group") === "1"; // ADDED
+    } // ADDED
+
+    function getModelGeometry(cell) { // ADDED
+        if (!cell) return null; // ADDED
+        return model.getGeometry ? model.getGeometry(cell) : (cell.geometry || null); // ADDED
+    } // ADDED
+
+    function geometryContainsCenter(outerGeo, innerGeo) { // ADDED
+        if (!outerGeo || !innerGeo) return false; // ADDED
+        const cx = Number(innerGeo.x || 0) + Number(innerGeo.width || 0) / 2; // ADDED
+        const cy = Number(innerGeo.y || 0) + Number(innerGeo.height || 0) / 2; // ADDED
+        const x = Number(outerGeo.x || 0); // ADDED
+        const y = Number(outerGeo.y || 0); // ADDED
+        return cx >= x && cx <= x + Number(outerGeo.width || 0) && cy >= y && cy <= y + Number(outerGeo.height || 0); // ADDED
+    } // ADDED
+
+    function collectBedTilerGroups(bedCell) { // ADDED
+        const out = []; // ADDED
+        const seen = new Set(); // ADDED
+        function add(cell) { // ADDED
+            const id = getCellId(cell); // ADDED
+            if (seen.has(id)) return; // ADDED
+            seen.add(id); // ADDED
+            out.push(cell); // ADDED
+        } // ADDED
+        (function visit(cell) { // ADDED
+            const count = model.getChildCount ? model.getChildCount(cell) : 0; // ADDED
+            for (let i = 0; i < count; i++) { // ADDED
+                const child = model.getChildAt(cell, i); // ADDED
+                if (isTilerGroup(child)) add(child); // ADDED
+                else visit(child); // ADDED
+            } // ADDED
+        })(bedCell); // ADDED
+        const parent = model.getParent ? model.getParent(bedCell) : null; // ADDED
+        const bedGeo = getModelGeometry(bedCell); // ADDED
+        const siblingCount = parent && model.getChildCount ? model.getChildCount(parent) : 0; // ADDED
+        for (let i = 0; i < siblingCount; i++) { // ADDED
+            const sibling = model.getChildAt(parent, i); // ADDED
+            if (isTilerGroup(sibling) && geometryContainsCenter(bedGeo, getModelGeometry(sibling))) add(sibling); // ADDED
+        } // ADDED
+        return out; // ADDED
+    } // ADDED
+
+    let dbPathCached = null; // ADDED
+
+    async function queryPlantsDb(sql, params) { // ADDED
+        const bridge = typeof window !== "undefined" ? window.dbBridge : null; // ADDED
+        if (!bridge || typeof bridge.open !== "function" || typeof bridge.resolvePath !== "function") throw new Error("dbBridge not available; check preload/main wiring"); // ADDED
+        if (!dbPathCached) dbPathCached = (await bridge.resolvePath({ dbName: "Trellis_database.sqlite" })).dbPath; // ADDED
+        const opened = await bridge.open(dbPathCached, { readOnly: true }); // ADDED
+        try { // ADDED
+            const res = await bridge.query(opened.dbId, sql, params || []); // ADDED
+            return Array.isArray(res && res.rows) ? res.rows : []; // ADDED
+        } finally { // ADDED
+            try { await bridge.close(opened.dbId); } catch (_) { } // ADDED
+        } // ADDED
+    } // ADDED
+
+    function loadPlantRequirements(plantIds) { // ADDED
+        const missing = Array.from(new Set((plantIds || []).map(String).filter(Boolean))).filter(function (id) { // ADDED
+            return !plantRequirementsById.has(id) && !pendingPlantRequirementIds.has(id); // ADDED
+        }); // ADDED
+        if (!missing.length) return Promise.resolve(false); // ADDED
+        missing.forEach(function (id) { pendingPlantRequirementIds.add(id); }); // ADDED
+        const sql = `SELECT ${PLANT_REQUIREMENT_COLUMNS} FROM Plants WHERE plant_id IN (${missing.map(function () { return "?"; }).join(",")});`; // ADDED
+        return queryPlantsDb(sql, missing.map(Number)).then(function (rows) { // ADDED
+            rows.forEach(function (row) { plantRequirementsById.set(String(row.plant_id), row); }); // ADDED
+            missing.forEach(function (id) { if (!plantRequirementsById.has(id)) plantRequirementsById.set(id, null); }); // ADDED
+            refreshSelectedBedOverlaysSoon(); // ADDED
+            return true; // ADDED
+        }).catch(function (e) { // ADDED
+            console.warn("[GardenBeds] Plant requirements lookup failed:", e); // ADDED
+            return false; // ADDED
+        }).finally(function () { // ADDED
+            missing.forEach(function (id) { pendingPlantRequirementIds.delete(id); }); // ADDED
+        }); // ADDED
+    } // ADDED
+
+    function suitabilityColor(rating) { // ADDED
+        if (rating === "good") return "#15803d"; // ADDED
+        if (rating === "fair") return "#b45309"; // ADDED
+        if (rating === "poor" || rating === "unsuitable") return "#b91c1c"; // ADDED
+        return "#6b7280"; // ADDED
+    } // ADDED
+
+    function buildCropFitRows(bedCell) { // ADDED
+        const groups = collectBedTilerGroups(bedCell); // ADDED
+        const plantIds = groups.map(function (group) { return getCellAttr(group, "plant_id", ""); }).filter(Boolean); // ADDED
+        if (!plantIds.length) return []; // ADDED
+        loadPlantRequirements(plantIds); // ADDED
+        const rows = []; // ADDED
+        const seen = new Set(); // ADDED
+        plantIds.forEach(function (plantId) { // ADDED
+            if (seen.has(plantId) || !plantRequirementsById.get(plantId)) return; // ADDED
+            seen.add(plantId); // ADDED
+            const plant = plantRequirementsById.get(plantId); // ADDED
+            const result = scoreBedSuitability(bedCell, plant); // ADDED
+            const concerns = result.reasons.filter(function (reason) { return reason.impact < 0; }).map(function (reason) { return reason.text; }); // ADDED
+            rows.push({ // ADDED
+                label: normalizePlantRequirements(plant).name, // ADDED
+                value: formatSuitabilityScore(result), // ADDED
+                color: suitabilityColor(result.rating), // ADDED
+                title: concerns.length ? concerns.join("\n") : "No concerns" // ADDED
+            }); // ADDED
+        }); // ADDED
+        if (rows.length) rows.unshift({ type: "heading", label: "Crop fit" }); // ADDED
+        return rows; // ADDED
+    } // ADDED
+
+    function normalizeFamily(value) { // ADDED
+        const key = String(value == null ? "" : value).trim().toLowerCase(); // ADDED
+        if (!key) return ""; // ADDED
+        return FAMILY_ALIASES[key] || key.charAt(0).toUpperCase() + key.slice(1); // ADDED
+    } // ADDED
+
+    function parseRotationGaps(raw) { // ADDED
+        if (!raw) return {}; // ADDED
+        try { // ADDED
+            const parsed = typeof raw === "string" ? JSON.parse(raw) : raw; // ADDED
+            const source = parsed && typeof parsed === "object" && parsed.gaps && typeof parsed.gaps === "object" ? parsed.gaps : parsed; // ADDED
+            const out = {}; // ADDED
+            Object.keys(source && typeof source === "object" ? source : {}).forEach(function (family) { // ADDED
+                const key = normalizeFamily(family); // ADDED
+                const years = finiteNumberOrNull(source[family]); // ADDED
+                if (key && years != null && years >= 0) out[key] = Math.round(years); // ADDED
+            }); // ADDED
+            return out; // ADDED
+        } catch (e) { // ADDED
+            return {}; // ADDED
+        } // ADDED
+    } // ADDED
+
+    function resolveRotationGaps(targetCell) { // ADDED
+        const moduleCell = findGardenModuleAncestor(targetCell); // ADDED
+        return Object.assign({}, DEFAULT_ROTATION_GAP_YEARS, parseRotationGaps(getCellAttr(moduleCell, ATTRS.ROTATION_GAPS_JSON, ""))); // ADDED
+    } // ADDED
+
+    function writeModuleRotationGaps(targetCell, gaps) { // ADDED
+        const moduleCell = findGardenModuleAncestor(targetCell); // ADDED
+        if (!moduleCell) return null; // ADDED
+        const overrides = {}; // ADDED
+        const normalized = parseRotationGaps(gaps); // ADDED
+        Object.keys(normalized).forEach(function (family) { // ADDED
+            if (normalized[family] !== DEFAULT_ROTATION_GAP_YEARS[family]) overrides[family] = normalized[family]; // ADDED
+        }); // ADDED
+        const serialized = Object.keys(overrides).length ? JSON.stringify({ schemaVersion: 1, gaps: overrides }) : ""; // ADDED
+        if (serialized !== getCellAttr(moduleCell, ATTRS.ROTATION_GAPS_JSON, "")) { // ADDED
+            const attrs = {}; // ADDED
+            attrs[ATTRS.ROTATION_GAPS_JSON] = serialized; // ADDED
+            setCellAttrs(moduleCell, attrs); // ADDED
+        } // ADDED
+        return resolveRotationGaps(moduleCell); // ADDED
+    } // ADDED
+
+    function rotationGapYears(gaps, family) { // ADDED
+        const years = Number(gaps && gaps[family]); // ADDED
+        return Number.isFinite(years) && years > 0 ? years : 0; // ADDED
+    } // ADDED
+
+    function tilerGroupFamily(group) { // ADDED
+        const direct = normalizeFamily(getCellAttr(group, "plant_family", "")); // ADDED
+        if (direct) return direct; // ADDED
+        const plant = plantRequirementsById.get(getCellAttr(group, "plant_id", "")); // ADDED
+        return plant ? normalizeFamily(plant.family) : ""; // ADDED
+    } // ADDED
+
+    function readBedRotationHistory(bedCell) { // ADDED
+        const groups = collectBedTilerGroups(bedCell); // ADDED
+        loadPlantRequirements(groups.filter(function (group) { return !getCellAttr(group, "plant_family", ""); }).map(function (group) { return getCellAttr(group, "plant_id", ""); }).filter(Boolean)); // ADDED
+        return groups.map(function (group) { // ADDED
+            const year = finiteNumberOrNull(getCellAttr(group, "season_start_year", "")); // ADDED
+            return { // ADDED
+                cellId: getCellId(group), // ADDED
+                year: year == null ? null : Math.trunc(year), // ADDED
+                family: tilerGroupFamily(group), // ADDED
+                plantId: getCellAttr(group, "plant_id", ""), // ADDED
+                plantName: getCellAttr(group, "plant_name", "") // ADDED
+            }; // ADDED
+        }).filter(function (entry) { // ADDED
+            return entry.family && entry.year != null; // ADDED
+        }).sort(function (a, b) { // ADDED
+            return a.year - b.year || a.family.localeCompare(b.family); // ADDED
+        }); // ADDED
+    } // ADDED
+
+    function findRotationViolations(history, gaps) { // ADDED
+        const yearsByFamily = new Map(); // ADDED
+        (history || []).forEach(function (entry) { // ADDED
+            if (!yearsByFamily.has(entry.family)) yearsByFamily.set(entry.family, new Set()); // ADDED
+            yearsByFamily.get(entry.family).add(entry.year); // ADDED
+        }); // ADDED
+        const out = []; // ADDED
+        yearsByFamily.forEach(function (yearSet, family) { // ADDED
+            const gapYears = rotationGapYears(gaps, family); // ADDED
+            const years = Array.from(yearSet).sort(function (a, b) { return a - b; }); // ADDED
+            for (let i = 1; i < years.length; i++) { // ADDED
+                const yearsApart = years[i] - years[i - 1]; // ADDED
+                if (yearsApart < gapYears) out.push({ family: family, year: years[i], previousYear: years[i - 1], yearsApart: yearsApart, gapYears: gapYears }); // ADDED
+            } // ADDED
+        }); // ADDED
+        return out.sort(function (a, b) { return a.year - b.year || a.family.localeCompare(b.family); }); // ADDED
+    } // ADDED
+
+    function checkCropRotation(bedCell, plantOrFamily, seasonYear, options) { // ADDED
+        const source = plantOrFamily && typeof plantOrFamily === "object" ? (plantOrFamily.family || plantOrFamily.plant_family) : plantOrFamily; // ADDED
+        const year = finiteNumberOrNull(seasonYear); // ADDED
+        const result = { family: normalizeFamily(source), year: year == null ? null : Math.trunc(year), gapYears: 0, conflicts: [], ok: true }; // ADDED
+        if (!bedCell || !result.family || result.year == null) return result; // ADDED
+        result.gapYears = rotationGapYears(resolveRotationGaps(bedCell), result.family); // ADDED
+        const excludeId = options && options.excludeCell ? getCellId(options.excludeCell) : ""; // ADDED
+        result.conflicts = readBedRotationHistory(bedCell).filter(function (entry) { // ADDED
+            return entry.family === result.family && entry.cellId !== excludeId && entry.year !== result.year && Math.abs(entry.year - result.year) < result.gapYears; // ADDED
+        }); // ADDED
+        result.ok = result.conflicts.length === 0; // ADDED
+        return result; // ADDED
+    } // ADDED
+
+    function formatRotationCheck(check) { // ADDED
+        if (!check || check.ok) return ""; // ADDED
+        const years = Array.from(new Set(check.conflicts.map(function (entry) { return entry.year; }))).sort(function (a, b) { return a - b; }); // ADDED
+        return `${check.family} grown in this bed in ${years.join(", ")}; allow ${check.gapYears} years between ${check.family} crops.`; // ADDED
+    } // ADDED
+
+    function bedDisplayName(bedCell) { // ADDED
+        const label = getCellAttr(bedCell, "label", "").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim(); // ADDED
+        return label || `Bed ${getCellId(bedCell)}`; // ADDED
+    } // ADDED
+
+    function listRotationBeds(bedCell) { // ADDED
+        const scope = findGardenModuleAncestor(bedCell) || (model.getRoot ? model.getRoot() : null); // ADDED
+        const out = []; // ADDED
+        (function visit(cell) { // ADDED
+            const count = model.getChildCount ? model.getChildCount(cell) : 0; // ADDED
+            for (let i = 0; i < count; i++) { // ADDED
+                const child = model.getChildAt(cell, i); // ADDED
+                if (isGardenBed(child)) out.push(child); // ADDED
+                else if (!isTilerGroup(child)) visit(child); // ADDED
+            } // ADDED
+        })(scope); // ADDED
+        return out; // ADDED
+    } // ADDED
+
+    function suggestRotationMoves(bedCell, planYear) { // ADDED
+        const history = readBedRotationHistory(bedCell); // ADDED
+        const requestedYear = finiteNumberOrNull(planYear); // ADDED
+        const year = requestedYear != null ? Math.trunc(requestedYear) : (history.length ? history[history.length - 1].year + 1 : null); // ADDED
+        const previous = history.filter(function (entry) { return entry.year < year; }); // ADDED
+        if (year == null || !previous.length) return { year: year, moves: [] }; // ADDED
+        const lastYear = previous[previous.length - 1].year; // ADDED
+        const families = Array.from(new Set(previous.filter(function (entry) { return entry.year === lastYear; }).map(function (entry) { return entry.family; }))); // ADDED
+        const bedId = getCellId(bedCell); // ADDED
+        const gaps = resolveRotationGaps(bedCell); // ADDED
+        const candidates = listRotationBeds(bedCell).filter(function (bed) { // ADDED
+            return getCellId(bed) !== bedId && ROTATION_EXCLUDED_BED_USES.indexOf(getDisplayBedConditions(bed).bedUse) < 0; // ADDED
+        }).map(function (bed) { // ADDED
+            return { bed: bed, history: readBedRotationHistory(bed) }; // ADDED
+        }); // ADDED
+        const taken = new Set(); // ADDED
+        const moves = families.map(function (family) { // ADDED
+            const gapYears = rotationGapYears(gaps, family); // ADDED
+            const ranked = candidates.map(function (candidate) { // ADDED
+                const years = candidate.history.filter(function (entry) { return entry.family === family; }).map(function (entry) { return entry.year; }); // ADDED
+                const blocked = years.some(function (y) { return Math.abs(y - year) < gapYears; }); // ADDED
+                const lastGrown = years.filter(function (y) { return y < year; }).reduce(function (max, y) { return Math.max(max, y); }, -Infinity); // ADDED
+                return { bed: candidate.bed, blocked: blocked, lastGrown: lastGrown }; // ADDED
+            }).filter(function (item) { // ADDED
+                return !item.blocked; // ADDED
+            }).sort(function (a, b) { // ADDED
+                return a.lastGrown - b.lastGrown || bedDisplayName(a.bed).localeCompare(bedDisplayName(b.bed)); // ADDED
+            }); // ADDED
+            const pick = ranked.find(function (item) { return !taken.has(getCellId(item.bed)); }) || ranked[0] || null; // ADDED
+            if (pick) taken.add(getCellId(pick.bed)); // ADDED
+            return { // ADDED
+                family: family, // ADDED
+                fromYear: lastYear, // ADDED
+                bedId: pick ? getCellId(pick.bed) : "", // ADDED
+                bedLabel: pick ? bedDisplayName(pick.bed) : "" // ADDED
+            }; // ADDED
+        }); // ADDED
+        return { year: year, moves: moves }; // ADDED
+    } // ADDED
+
+    function buildRotationRows(bedCell) { // ADDED
+        const history = readBedRotationHistory(bedCell); // ADDED
+        if (!history.length) return []; // ADDED
+        const rows = [{ type: "heading", label: "Rotation" }]; // ADDED
+        const familiesByYear = new Map(); // ADDED
+        history.forEach(function (entry) { // ADDED
+            if (!familiesByYear.has(entry.year)) familiesByYear.set(entry.year, new Set()); // ADDED
+            familiesByYear.get(entry.year).add(entry.family); // ADDED
+        }); // ADDED
+        Array.from(familiesByYear.keys()).sort(function (a, b) { return b - a; }).slice(0, 3).forEach(function (year) { // ADDED
+            rows.push({ label: String(year), value: Array.from(familiesByYear.get(year)).join(", ") }); // ADDED
+        }); // ADDED
+        findRotationViolations(history, resolveRotationGaps(bedCell)).forEach(function (violation) { // ADDED
+            rows.push({ // ADDED
+                label: String(violation.year), // ADDED
+                value: `${violation.family} after ${violation.yearsApart} yr`, // ADDED
+                color: suitabilityColor("unsuitable"), // ADDED
+                title: `${violation.family} was also grown here in ${violation.previousYear}; allow ${violation.gapYears} years between ${violation.family} crops.` // ADDED
+            }); // ADDED
+        }); // ADDED
+        const suggestion = suggestRotationMoves(bedCell); // ADDED
+        suggestion.moves.forEach(function (move) { // ADDED
+            rows.push({ // ADDED
+                label: String(suggestion.year), // ADDED
+                value: move.bedId ? `${move.family} to ${move.bedLabel}` : `${move.family}: no open bed`, // ADDED
+                color: move.bedId ? "" : suitabilityColor("fair"), // ADDED
+                title: move.bedId ? `Suggested bed for ${move.family} after ${move.fromYear}.` : `Every other bed grew ${move.family} too recently.` // ADDED
+            }); // ADDED
+        }); // ADDED
+        return rows; // ADDED
+    } // ADDED
+
+    function localTodayYmd() { // ADDED
+        const d = new Date(); // ADDED
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`; // ADDED
+    } // ADDED
+
+    function shiftYmd(ymd, days) { // ADDED
+        const parts = String(ymd).split("-").map(Number); // ADDED
+        const d = new Date(Date.UTC(parts[0], parts[1] - 1, parts[2] + days)); // ADDED
+        return d.toISOString().slice(0, 10); // ADDED
+    } // ADDED
+
+    function pestKey(name) { // ADDED
+        return String(name == null ? "" : name).trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, ""); // ADDED
+    } // ADDED
+
+    function pestProfile(name) { // ADDED
+        return PEST_SUSCEPTIBILITY[pestKey(name)] || null; // ADDED
+    } // ADDED
+
+    function makeOptionSelect(options, value) { // ADDED
+        const select = document.createElement("select"); // ADDED
+        select.style.width = "100%"; // ADDED
+        options.forEach(function (entry) { // ADDED
+            const option = document.createElement("option"); // ADDED
+            option.value = entry.value; // ADDED
+            option.textContent = entry.label; // ADDED
+            select.appendChild(option); // ADDED
+        }); // ADDED
+        select.value = value; // ADDED
+        return select; // ADDED
+    } // ADDED
+
+    function isPestObservationTarget(cell) { // ADDED
+        return isGardenBed(cell) || isTilerGroup(cell); // ADDED
+    } // ADDED
+
+    function normalizePestObservation(raw) { // ADDED
+        if (!raw || typeof raw !== "object") return null; // ADDED
+        const date = String(raw.date || "").slice(0, 10); // ADDED
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null; // ADDED
+        const profile = pestProfile(raw.name); // ADDED
+        const name = profile ? profile.label : String(raw.name || "").trim(); // ADDED
+        if (!name) return null; // ADDED
+        const kind = PEST_KINDS.indexOf(raw.kind) >= 0 ? raw.kind : (profile ? profile.kind : "pest"); // ADDED
+        return { // ADDED
+            id: String(raw.id || `pest_${date}_${Math.random().toString(36).slice(2, 8)}`), // ADDED
+            date: date, // ADDED
+            kind: kind, // ADDED
+            name: name, // ADDED
+            severity: PEST_SEVERITIES.indexOf(raw.severity) >= 0 ? raw.severity : "moderate", // ADDED
+            photoPath: String(raw.photoPath || "").trim(), // ADDED
+            note: String(raw.note || "").trim(), // ADDED
+            taskCardId: String(raw.taskCardId || "") // ADDED
+        }; // ADDED
+    } // ADDED
+
+    function parsePestObservations(raw) { // ADDED
+        let list = raw; // ADDED
+        if (typeof raw === "string") { // ADDED
+            try { list = raw ? JSON.parse(raw) : []; } catch (e) { list = []; } // ADDED
+        } // ADDED
+        if (list && !Array.isArray(list) && Array.isArray(list.observations)) list = list.observations; // ADDED
+        if (!Array.isArray(list)) return []; // ADDED
+        return list.map(normalizePestObservation).filter(Boolean).sort(function (a, b) { return a.date.localeCompare(b.date); }); // ADDED
+    } // ADDED
+
+    function readPestObservations(cell) { // ADDED
+        return parsePestObservations(getCellAttr(cell, ATTRS.PEST_OBSERVATIONS_JSON, "")); // ADDED
+    } // ADDED
+
+    function writePestObservations(cell, observations) { // ADDED
+        const clean = parsePestObservations(observations); // ADDED
+        const attrs = {}; // ADDED
+        attrs[ATTRS.PEST_OBSERVATIONS_JSON] = clean.length ? JSON.stringify({ schemaVersion: 1, observations: clean }) : ""; // ADDED
+        model.beginUpdate(); // ADDED
+        try { // ADDED
+            setCellAttrs(cell, attrs); // ADDED
+        } finally { // ADDED
+            model.endUpdate(); // ADDED
+        } // ADDED
+        return clean; // ADDED
+    } // ADDED
+
+    function addPestObservation(cell, observation) { // ADDED
+        if (!isPestObservationTarget(cell)) throw new Error("Pest and disease observations can only be logged on a garden bed or plant group."); // ADDED
+        const next = normalizePestObservation(Object.assign({ date: localTodayYmd() }, observation || {})); // ADDED
+        if (!next) throw new Error("Enter an observation date and the pest or disease name."); // ADDED
+        writePestObservations(cell, readPestObservations(cell).concat([next])); // ADDED
+        return next; // ADDED
+    } // ADDED
+
+    function removePestObservation(cell, observationId) { // ADDED
+        const current = readPestObservations(cell); // ADDED
+        const next = current.filter(function (entry) { return entry.id !== String(observationId); }); // ADDED
+        if (next.length === current.length) return false; // ADDED
+        writePestObservations(cell, next); // ADDED
+        return true; // ADDED
+    } // ADDED
+
+    function filterPestObservationsByWindow(observations, options) { // ADDED
+        const opts = options || {}; // ADDED
+        const endDate = /^\d{4}-\d{2}-\d{2}$/.test(String(opts.endDate || "")) ? String(opts.endDate) : localTodayYmd(); // ADDED
+        const days = finiteNumberOrNull(opts.windowDays); // ADDED
+        const startDate = days != null && days > 0 ? shiftYmd(endDate, -(Math.round(days) - 1)) : ""; // ADDED
+        const kind = PEST_KINDS.indexOf(opts.kind) >= 0 ? opts.kind : ""; // ADDED
+        return parsePestObservations(observations).filter(function (entry) { // ADDED
+            return entry.date <= endDate && (!startDate || entry.date >= startDate) && (!kind || entry.kind === kind); // ADDED
+        }); // ADDED
+    } // ADDED
+
+    function worstPestSeverity(observations) { // ADDED
+        return (observations || []).reduce(function (worst, entry) { // ADDED
+            return PEST_SEVERITIES.indexOf(entry.severity) > PEST_SEVERITIES.indexOf(worst) ? entry.severity : worst; // ADDED
+        }, PEST_SEVERITIES[0]); // ADDED
+    } // ADDED
+
+    function collectBedPestObservations(bedCell) { // ADDED
+        const out = []; // ADDED
+        [bedCell].concat(collectBedTilerGroups(bedCell)).forEach(function (cell) { // ADDED
+            readPestObservations(cell).forEach(function (entry) { // ADDED
+                out.push(Object.assign({ cellId: getCellId(cell) }, entry)); // ADDED
+            }); // ADDED
+        }); // ADDED
+        return out.sort(function (a, b) { return a.date.localeCompare(b.date); }); // ADDED
+    } // ADDED
+
+    function checkPestPressure(bedCell, plantOrFamily, seasonYear) { // ADDED
+        const source = plantOrFamily && typeof plantOrFamily === "object" ? (plantOrFamily.family || plantOrFamily.plant_family) : plantOrFamily; // ADDED
+        const year = finiteNumberOrNull(seasonYear); // ADDED
+        const result = { family: normalizeFamily(source), year: year == null ? null : Math.trunc(year), hits: [], ok: true }; // ADDED
+        if (!bedCell || !result.family || result.year == null) return result; // ADDED
+        result.hits = collectBedPestObservations(bedCell).map(function (entry) { // ADDED
+            const profile = pestProfile(entry.name); // ADDED
+            return profile ? Object.assign({ persistYears: profile.persistYears, families: profile.families }, entry) : null; // ADDED
+        }).filter(function (entry) { // ADDED
+            if (!entry || entry.families.indexOf(result.family) < 0) return false; // ADDED
+            const yearsSince = result.year - Number(entry.date.slice(0, 4)); // ADDED
+            return yearsSince >= 0 && yearsSince <= entry.persistYears; // ADDED
+        }); // ADDED
+        result.ok = result.hits.length === 0; // ADDED
+        return result; // ADDED
+    } // ADDED
+
+    function formatPestPressureCheck(check) { // ADDED
+        if (!check || check.ok) return ""; // ADDED
+        const byName = new Map(); // ADDED
+        check.hits.forEach(function (entry) { // ADDED
+            const seen = byName.get(entry.name); // ADDED
+            if (!seen || entry.date > seen.date) byName.set(entry.name, entry); // ADDED
+        }); // ADDED
+        const parts = Array.from(byName.values()).map(function (entry) { return `${entry.name} (${entry.severity}, ${entry.date.slice(0, 4)})`; }); // ADDED
+        return `${check.family} crops are susceptible to ${parts.join(", ")} recorded in this bed.`; // ADDED
+    } // ADDED
+
+    function pestObservationSummary(entry) { // ADDED
+        const parts = [entry.date, `${entry.name} (${entry.kind})`, `severity ${entry.severity}`]; // ADDED
+        if (entry.note) parts.push(entry.note); // ADDED
+        if (entry.photoPath) parts.push(`photo ${entry.photoPath}`); // ADDED
+        return parts.join(" · "); // ADDED
+    } // ADDED
+
+    function createPestTreatmentTask(cell, observationId) { // ADDED
+        const tasksApi = typeof window !== "undefined" && window.USL ? window.USL.tasks : null; // ADDED
+        if (!tasksApi || typeof tasksApi.createTaskForCell !== "function") throw new Error("Task Manager is not available."); // ADDED
+        const observations = readPestObservations(cell); // ADDED
+        const entry = observations.find(function (item) { return item.id === String(observationId); }); // ADDED
+        if (!entry) return ""; // ADDED
+        const where = isGardenBed(cell) ? bedDisplayName(cell) : (getCellAttr(cell, "plant_name", "") || `Group ${getCellId(cell)}`); // ADDED
+        const notes = [`${entry.name} observed on ${where} (${entry.date}, severity ${entry.severity}).`]; // ADDED
+        if (entry.note) notes.push(entry.note); // ADDED
+        if (entry.photoPath) notes.push(`Photo: ${entry.photoPath}`); // ADDED
+        const today = localTodayYmd(); // ADDED
+        let cardId = ""; // ADDED
+        model.beginUpdate(); // ADDED
+        try { // ADDED
+            cardId = String(tasksApi.createTaskForCell(cell, { // ADDED
+                title: `Treat ${entry.name}`, // ADDED
+                notes: notes.join("\n"), // ADDED
+                startISO: today, // ADDED
+                endISO: today, // ADDED
+                attributes: { pest_observation_id: entry.id, pest_observation_cell_id: getCellId(cell) } // ADDED
+            }) || ""); // ADDED
+            if (cardId) { // ADDED
+                writePestObservations(cell, observations.map(function (item) { // ADDED
+                    return item.id === entry.id ? Object.assign({}, item, { taskCardId: cardId }) : item; // ADDED
+                })); // ADDED
+            } // ADDED
+        } finally { // ADDED
+            model.endUpdate(); // ADDED
+        } // ADDED
+        return cardId; // ADDED
+    } // ADDED
+
+    function showPestObservationDialog(targetCell) { // ADDED
+        if (!isPestObservationTarget(targetCell)) return; // ADDED
+        const div = document.createElement("div"); // ADDED
+        div.style.fontSize = "13px"; // ADDED
+        div.style.padding = "14px"; // ADDED
+        const title = document.createElement("h3"); // ADDED
+        title.textContent = `Pests & Disease — ${isGardenBed(targetCell) ? bedDisplayName(targetCell) : (getCellAttr(targetCell, "plant_name", "") || "Plant group")}`; // ADDED
+        title.style.margin = "0 0 10px"; // ADDED
+        div.appendChild(title); // ADDED
+
+        const form = appendSection(div, "New observation"); // ADDED
+        form.setAttribute("data-pest-observation-form", "1"); // ADDED
+        const dateInput = document.createElement("input"); // ADDED
+        dateInput.type = "date"; // ADDED
+        dateInput.value = localTodayYmd(); // ADDED
+        appendField(form, { label: "Date" }, dateInput); // ADDED
+        const kindSelect = makeOptionSelect([{ value: "pest", label: "Pest" }, { value: "disease", label: "Disease" }], "pest"); // ADDED
+        appendField(form, { label: "Type" }, kindSelect); // ADDED
+        const nameInput = document.createElement("input"); // ADDED
+        nameInput.type = "text"; // ADDED
+        nameInput.style.width = "100%"; // ADDED
+        nameInput.placeholder = "e.g. Clubroot"; // ADDED
+        const nameList = document.createElement("datalist"); // ADDED
+        nameList.id = `trellis-pest-names-${getCellId(targetCell)}`; // ADDED
+        Object.keys(PEST_SUSCEPTIBILITY).forEach(function (key) { // ADDED
+            const option = document.createElement("option"); // ADDED
+            option.value = PEST_SUSCEPTIBILITY[key].label; // ADDED
+            nameList.appendChild(option); // ADDED
+        }); // ADDED
+        nameInput.setAttribute("list", nameList.id); // ADDED
+        nameInput.addEventListener("change", function () { // ADDED
+            const profile = pestProfile(nameInput.value); // ADDED
+            if (profile) kindSelect.value = profile.kind; // ADDED
+        }); // ADDED
+        appendField(form, { label: "Pest or disease" }, nameInput); // ADDED
+        form.appendChild(nameList); // ADDED
+        const severitySelect = makeOptionSelect(PEST_SEVERITIES.map(function (value) { return { value: value, label: value.charAt(0).toUpperCase() + value.slice(1) }; }), "moderate"); // ADDED
+        appendField(form, { label: "Severity" }, severitySelect); // ADDED
+        const photoInput = document.createElement("input"); // ADDED
+        photoInput.type = "text"; // ADDED
+        photoInput.style.width = "100%"; // ADDED
+        photoInput.placeholder = "Path to photo (optional)"; // ADDED
+        appendField(form, { label: "Photo path" }, photoInput); // ADDED
+        const noteInput = document.createElement("input"); // ADDED
+        noteInput.type = "text"; // ADDED
+        noteInput.style.width = "100%"; // ADDED
+        appendField(form, { label: "Note" }, noteInput); // ADDED
+        const message = document.createElement("div"); // ADDED
+        message.style.color = "#b91c1c"; // ADDED
+        message.style.minHeight = "16px"; // ADDED
+        form.appendChild(message); // ADDED
+
+        const history = appendSection(div, "Observations"); // ADDED
+        const list = document.createElement("div"); // ADDED
+        list.setAttribute("data-pest-observation-list", "1"); // ADDED
+        list.style.maxHeight = "180px"; // ADDED
+        list.style.overflowY = "auto"; // ADDED
+        history.appendChild(list); // ADDED
+
+        function renderObservations() { // ADDED
+            list.innerHTML = ""; // ADDED
+            const observations = readPestObservations(targetCell); // ADDED
+            if (!observations.length) { // ADDED
+                const empty = document.createElement("div"); // ADDED
+                empty.textContent = "No observations logged."; // ADDED
+                empty.style.color = "#6b7280"; // ADDED
+                list.appendChild(empty); // ADDED
+            } // ADDED
+            observations.slice().reverse().forEach(function (entry) { // ADDED
+                const line = document.createElement("div"); // ADDED
+                line.style.display = "flex"; // ADDED
+                line.style.alignItems = "center"; // ADDED
+                line.style.gap = "8px"; // ADDED
+                line.style.padding = "3px 0"; // ADDED
+                const text = document.createElement("span"); // ADDED
+                text.style.flex = "1"; // ADDED
+                text.style.color = PEST_SEVERITY_COLORS[entry.severity]; // ADDED
+                text.textContent = pestObservationSummary(entry); // ADDED
+                line.appendChild(text); // ADDED
+                const taskButton = mxUtils.button(entry.taskCardId ? "Task created" : "Treatment task", function () { // ADDED
+                    try { // ADDED
+                        createPestTreatmentTask(targetCell, entry.id); // ADDED
+                    } catch (e) { // ADDED
+                        message.textContent = e.message; // ADDED
+                        return; // ADDED
+                    } // ADDED
+                    renderObservations(); // ADDED
+                }); // ADDED
+                taskButton.disabled = !!entry.taskCardId; // ADDED
+                taskButton.setAttribute("data-pest-task-id", entry.id); // ADDED
+                line.appendChild(taskButton); // ADDED
+                const removeButton = mxUtils.button("Remove", function () { // ADDED
+                    removePestObservation(targetCell, entry.id); // ADDED
+                    renderObservations(); // ADDED
+                }); // ADDED
+                removeButton.setAttribute("data-pest-remove-id", entry.id); // ADDED
+                line.appendChild(removeButton); // ADDED
+                list.appendChild(line); // ADDED
+            }); // ADDED
+        } // ADDED
+
+        const buttonRow = document.createElement("div"); // ADDED
+        buttonRow.style.display = "flex"; // ADDED
+        buttonRow.style.justifyContent = "flex-end"; // ADDED
+        buttonRow.style.gap = "8px"; // ADDED
+        buttonRow.style.marginTop = "12px"; // ADDED
+        buttonRow.appendChild(mxUtils.button("Close", function () { ui.hideDialog(); })); // ADDED
+        buttonRow.appendChild(mxUtils.button("Add", function () { // ADDED
+            try { // ADDED
+                addPestObservation(targetCell, { // ADDED
+                    date: dateInput.value, // ADDED
+                    kind: kindSelect.value, // ADDED
+                    name: nameInput.value, // ADDED
+                    severity: severitySelect.value, // ADDED
+                    photoPath: photoInput.value, // ADDED
+                    note: noteInput.value // ADDED
+                }); // ADDED
+            } catch (e) { // ADDED
+                message.textContent = e.message; // ADDED
+                return; // ADDED
+            } // ADDED
+            message.textContent = ""; // ADDED
+            nameInput.value = ""; // ADDED
+            photoInput.value = ""; // ADDED
+            noteInput.value = ""; // ADDED
+            renderObservations(); // ADDED
+        })); // ADDED
+        div.appendChild(buttonRow); // ADDED
+
+        renderObservations(); // ADDED
+        ui.showDialog(div, 560, 520, true, true); // ADDED
+        elevateBedConditionsDialog(); // ADDED
+    } // ADDED
+
+    function buildPestRows(bedCell) { // ADDED
+        const observations = collectBedPestObservations(bedCell); // ADDED
+        if (!observations.length) return []; // ADDED
+        const rows = [{ type: "heading", label: "Pests & disease" }]; // ADDED
+        observations.slice(-3).reverse().forEach(function (entry) { // ADDED
+            rows.push({ // ADDED
+                label: entry.date, // ADDED
+                value: `${entry.name}, ${entry.severity}`, // ADDED
+                color: PEST_SEVERITY_COLORS[entry.severity], // ADDED
+                title: pestObservationSummary(entry) // ADDED
+            }); // ADDED
+        }); // ADDED
+        return rows; // ADDED
+    } // ADDED
+
+    function bedAreaM2(bedCell) { // ADDED
+        const geo = getModelGeometry(bedCell); // ADDED
+        if (!geo) return 0; // ADDED
+        const cmPerUnit = 1 / (PX_PER_CM * DRAW_SCALE); // ADDED
+        const scale = window.TrellisGardenScale; // ADDED
+        const factor = scale && typeof scale.bedOutlineAreaFactor === "function" ? Number(scale.bedOutlineAreaFactor(bedCell)) : 1; // ADDED
+        const areaFactor = Number.isFinite(factor) && factor > 0 ? Math.min(1, factor) : 1; // ADDED
+        return (Number(geo.width || 0) * cmPerUnit) * (Number(geo.height || 0) * cmPerUnit) / 10000 * areaFactor; // ADDED
+    } // ADDED
+
+    function normalizeSoilTest(raw) { // ADDED
+        if (!raw || typeof raw !== "object") return null; // ADDED
+        const date = String(raw.date || "").slice(0, 10); // ADDED
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null; // ADDED
+        const entry = { id: String(raw.id || `soil_${date}_${Math.random().toString(36).slice(2, 8)}`), date: date }; // ADDED
+        let measured = 0; // ADDED
+        SOIL_TEST_FIELDS.forEach(function (field) { // ADDED
+            const value = normalizeOptionalNumber(raw[field.key]); // ADDED
+            entry[field.key] = value != null && value >= field.min && value <= field.max ? value : null; // ADDED
+            if (entry[field.key] != null) measured++; // ADDED
+        }); // ADDED
+        if (!measured) return null; // ADDED
+        entry.lab = String(raw.lab || "").trim(); // ADDED
+        entry.taskCardIds = Array.isArray(raw.taskCardIds) ? raw.taskCardIds.map(String).filter(Boolean) : []; // ADDED
+        return entry; // ADDED
+    } // ADDED
+
+    function parseSoilTests(raw) { // ADDED
+        let list = raw; // ADDED
+        if (typeof raw === "string") { // ADDED
+            try { list = raw ? JSON.parse(raw) : []; } catch (e) { list = []; } // ADDED
+        } // ADDED
+        if (list && !Array.isArray(list) && Array.isArray(list.tests)) list = list.tests; // ADDED
+        if (!Array.isArray(list)) return []; // ADDED
+        return list.map(normalizeSoilTest).filter(Boolean).sort(function (a, b) { return a.date.localeCompare(b.date); }); // ADDED
+    } // ADDED
+
+    function readSoilTests(bedCell) { // ADDED
+        return parseSoilTests(getCellAttr(bedCell, ATTRS.SOIL_TESTS_JSON, "")); // ADDED
+    } // ADDED
+
+    function writeSoilTests(bedCell, tests) { // ADDED
+        const clean = parseSoilTests(tests); // ADDED
+        const attrs = {}; // ADDED
+        attrs[ATTRS.SOIL_TESTS_JSON] = clean.length ? JSON.stringify({ schemaVersion: 1, tests: clean }) : ""; // ADDED
+        model.beginUpdate(); // ADDED
+        try { // ADDED
+            setCellAttrs(bedCell, attrs); // ADDED
+        } finally { // ADDED
+            model.endUpdate(); // ADDED
+        } // ADDED
+        return clean; // ADDED
+    } // ADDED
+
+    function addSoilTest(bedCell, test) { // ADDED
+        if (!isGardenBed(bedCell)) throw new Error("Soil tests can only be recorded on a garden bed."); // ADDED
+        const next = normalizeSoilTest(Object.assign({ date: localTodayYmd() }, test || {}, { taskCardIds: [] })); // ADDED
+        if (!next) throw new Error("Enter a test date and at least one in-range soil measurement."); // ADDED
+        writeSoilTests(bedCell, readSoilTests(bedCell).concat([next])); // ADDED
+        return next; // ADDED
+    } // ADDED
+
+    function removeSoilTest(bedCell, testId) { // ADDED
+        const current = readSoilTests(bedCell); // ADDED
+        const next = current.filter(function (entry) { return entry.id !== String(testId); }); // ADDED
+        if (next.length === current.length) return false; // ADDED
+        writeSoilTests(bedCell, next); // ADDED
+        return true; // ADDED
+    } // ADDED
+
+    function latestSoilTest(bedCell) { // ADDED
+        const tests = readSoilTests(bedCell); // ADDED
+        return tests.length ? tests[tests.length - 1] : null; // ADDED
+    } // ADDED
+
+    function parseNpkRatio(value) { // ADDED
+        const parts = String(value == null ? "" : value).split(/[-:\/]/).map(function (part) { return Number(part.trim()); }); // ADDED
+        if (parts.length !== 3 || parts.some(function (n) { return !Number.isFinite(n) || n < 0; })) return null; // ADDED
+        const mean = (parts[0] + parts[1] + parts[2]) / 3; // ADDED
+        return mean > 0 ? { nitrogen: parts[0] / mean, phosphorus: parts[1] / mean, potassium: parts[2] / mean } : null; // ADDED
+    } // ADDED
+
+    function resolveCropNutrientNeeds(plants) { // ADDED
+        const rows = (plants || []).filter(function (plant) { return plant && typeof plant === "object"; }); // ADDED
+        const phValues = rows.map(function (plant) { return finiteNumberOrNull(plant.soil_ph_range); }).filter(function (ph) { return ph != null && ph >= 3 && ph <= 10; }); // ADDED
+        const organicLevel = rows.reduce(function (level, plant) { return Math.max(level, parseLevel(plant.organic_matter, ORGANIC_MATTER_LEVELS) || 0); }, 0) || 2; // ADDED
+        const weights = { nitrogen: 1, phosphorus: 1, potassium: 1 }; // ADDED
+        rows.forEach(function (plant) { // ADDED
+            const ratio = parseNpkRatio(plant.ideal_NPK); // ADDED
+            const listed = String(plant.nutrients || "").toUpperCase().split(/[^A-Z]+/); // ADDED
+            Object.keys(weights).forEach(function (key) { // ADDED
+                if (ratio) weights[key] = Math.max(weights[key], ratio[key]); // ADDED
+                if (listed.indexOf(SOIL_NUTRIENT_SYMBOLS[key]) >= 0) weights[key] = Math.max(weights[key], 1.25); // ADDED
+            }); // ADDED
+        }); // ADDED
+        const needs = { // ADDED
+            crops: rows.map(function (plant) { return normalizePlantRequirements(plant).name; }), // ADDED
+            targetPh: phValues.length ? Math.round(phValues.reduce(function (sum, ph) { return sum + ph; }, 0) / phValues.length * 10) / 10 : SOIL_DEFAULT_TARGET_PH, // ADDED
+            organicMatterPct: SOIL_ORGANIC_MATTER_TARGET_PCT[organicLevel] // ADDED
+        }; // ADDED
+        Object.keys(weights).forEach(function (key) { // ADDED
+            needs[`${key}Ppm`] = Math.round(SOIL_NUTRIENT_BASELINE_PPM[key] * Math.min(1.5, weights[key])); // ADDED
+        }); // ADDED
+        return needs; // ADDED
+    } // ADDED
+
+    function roundAmount(value) { // ADDED
+        return value >= 10 ? Math.round(value * 10) / 10 : Math.round(value * 100) / 100; // ADDED
+    } // ADDED
+
+    function soilAmendment(key, perM2, unit, areaM2, reason) { // ADDED
+        return { key: key, product: SOIL_AMENDMENTS[key].product, perM2: roundAmount(perM2), amount: roundAmount(perM2 * areaM2), unit: unit, reason: reason }; // ADDED
+    } // ADDED
+
+    function recommendSoilAmendments(test, needs, areaM2) { // ADDED
+        const area = Math.max(0, Number(areaM2) || 0); // ADDED
+        const target = needs || resolveCropNutrientNeeds([]); // ADDED
+        const out = []; // ADDED
+        if (!test) return out; // ADDED
+        if (test.ph != null) { // ADDED
+            const buffer = Math.min(2, Math.max(0.5, (test.cec != null && test.cec > 0 ? test.cec : SOIL_REFERENCE_CEC) / SOIL_REFERENCE_CEC)); // ADDED
+            const gap = target.targetPh - test.ph; // ADDED
+            if (gap > SOIL_PH_TOLERANCE) out.push(soilAmendment("lime", gap * SOIL_AMENDMENTS.lime.kgPerM2PerPhUnit * buffer, "kg", area, `pH ${test.ph} is below the ${target.targetPh} target`)); // ADDED
+            else if (-gap > SOIL_PH_TOLERANCE) out.push(soilAmendment("sulfur", -gap * SOIL_AMENDMENTS.sulfur.kgPerM2PerPhUnit * buffer, "kg", area, `pH ${test.ph} is above the ${target.targetPh} target`)); // ADDED
+        } // ADDED
+        if (test.organicMatterPct != null && target.organicMatterPct - test.organicMatterPct > 0.25) { // ADDED
+            const liters = Math.min(SOIL_AMENDMENTS.compost.maxLitersPerM2, (target.organicMatterPct - test.organicMatterPct) * SOIL_AMENDMENTS.compost.litersPerM2PerPct); // ADDED
+            out.push(soilAmendment("compost", liters, "L", area, `Organic matter ${test.organicMatterPct}% is below the ${target.organicMatterPct}% target`)); // ADDED
+        } // ADDED
+        ["nitrogen", "phosphorus", "potassium"].forEach(function (key) { // ADDED
+            const measured = test[`${key}Ppm`]; // ADDED
+            const wanted = target[`${key}Ppm`]; // ADDED
+            if (measured == null || !(wanted > measured)) return; // ADDED
+            const kgPerM2 = (wanted - measured) * SOIL_PPM_TO_G_PER_M2 / SOIL_AMENDMENTS[key].nutrientFraction / 1000; // ADDED
+            out.push(soilAmendment(key, kgPerM2, "kg", area, `${key.charAt(0).toUpperCase()}${key.slice(1)} ${measured} ppm is below the ${wanted} ppm target`)); // ADDED
+        }); // ADDED
+        return out; // ADDED
+    } // ADDED
+
+    function bedSoilNeeds(bedCell) { // ADDED
+        const plantIds = collectBedTilerGroups(bedCell).map(function (group) { return getCellAttr(group, "plant_id", ""); }).filter(Boolean); // ADDED
+        return resolveCropNutrientNeeds(Array.from(new Set(plantIds)).map(function (id) { return plantRequirementsById.get(id); })); // ADDED
+    } // ADDED
+
+    function formatSoilAmendment(entry) { // ADDED
+        return `${entry.product}: ${entry.amount} ${entry.unit} (${entry.perM2} ${entry.unit}/m²)`; // ADDED
+    } // ADDED
+
+    function createSoilAmendmentTasks(bedCell, testId) { // ADDED
+        const tasksApi = typeof window !== "undefined" && window.USL ? window.USL.tasks : null; // ADDED
+        if (!tasksApi || typeof tasksApi.createTaskForCell !== "function") throw new Error("Task Manager is not available."); // ADDED
+        const tests = readSoilTests(bedCell); // ADDED
+        const entry = tests.find(function (item) { return item.id === String(testId); }); // ADDED
+        if (!entry) return []; // ADDED
+        const area = bedAreaM2(bedCell); // ADDED
+        const recommendations = recommendSoilAmendments(entry, bedSoilNeeds(bedCell), area); // ADDED
+        const today = localTodayYmd(); // ADDED
+        const cardIds = []; // ADDED
+        model.beginUpdate(); // ADDED
+        try { // ADDED
+            recommendations.forEach(function (rec) { // ADDED
+                const cardId = String(tasksApi.createTaskForCell(bedCell, { // ADDED
+                    title: `Apply ${rec.product.replace(/\s*\(.*\)$/, "").toLowerCase()} to ${bedDisplayName(bedCell)}`, // ADDED
+                    notes: `Spread ${rec.amount} ${rec.unit} of ${rec.product} (${rec.perM2} ${rec.unit}/m² over ${Math.round(area * 10) / 10} m²).\n${rec.reason} (soil test ${entry.date}).`, // ADDED
+                    startISO: today, // ADDED
+                    endISO: today, // ADDED
+                    linkToSource: true, // ADDED
+                    attributes: { soil_test_id: entry.id, soil_test_cell_id: getCellId(bedCell), soil_amendment: rec.key } // ADDED
+                }) || ""); // ADDED
+                if (cardId) cardIds.push(cardId); // ADDED
+            }); // ADDED
+            if (cardIds.length) { // ADDED
+                writeSoilTests(bedCell, tests.map(function (item) { // ADDED
+                    return item.id === entry.id ? Object.assign({}, item, { taskCardIds: item.taskCardIds.concat(cardIds) }) : item; // ADDED
+                })); // ADDED
+            } // ADDED
+        } finally { // ADDED
+            model.endUpdate(); // ADDED
+        } // ADDED
+        return cardIds; // ADDED
+    } // ADDED
+
+    function soilTestSummary(entry) { // ADDED
+        const parts = [entry.date]; // ADDED
+        SOIL_TEST_FIELDS.forEach(function (field) { // ADDED
+            if (entry[field.key] != null) parts.push(`${field.label.replace(/\s*\(.*\)$/, "")} ${entry[field.key]}`); // ADDED
+        }); // ADDED
+        if (entry.lab) parts.push(entry.lab); // ADDED
+        return parts.join(" · "); // ADDED
+    } // ADDED
+
+    function showSoilTestDialog(bedCell) { // ADDED
+        if (!isGardenBed(bedCell)) return; // ADDED
+        const div = document.createElement("div"); // ADDED
+        div.style.fontSize = "13px"; // ADDED
+        div.style.padding = "14px"; // ADDED
+        const title = document.createElement("h3"); // ADDED
+        title.textContent = `Soil Tests — ${bedDisplayName(bedCell)}`; // ADDED
+        title.style.margin = "0 0 10px"; // ADDED
+        div.appendChild(title); // ADDED
+
+        const form = appendSection(div, "New soil test"); // ADDED
+        form.setAttribute("data-soil-test-form", "1"); // ADDED
+        const dateInput = document.createElement("input"); // ADDED
+        dateInput.type = "date"; // ADDED
+        dateInput.value = localTodayYmd(); // ADDED
+        appendField(form, { label: "Date" }, dateInput); // ADDED
+        const inputs = {}; // ADDED
+        SOIL_TEST_FIELDS.forEach(function (field) { // ADDED
+            inputs[field.key] = makeNumberInput(null); // ADDED
+            appendField(form, field, inputs[field.key]); // ADDED
+        }); // ADDED
+        const labInput = document.createElement("input"); // ADDED
+        labInput.type = "text"; // ADDED
+        labInput.style.width = "100%"; // ADDED
+        labInput.placeholder = "Lab or kit (optional)"; // ADDED
+        appendField(form, { label: "Lab" }, labInput); // ADDED
+        const message = document.createElement("div"); // ADDED
+        message.style.color = "#b91c1c"; // ADDED
+        message.style.minHeight = "16px"; // ADDED
+        form.appendChild(message); // ADDED
+
+        const history = appendSection(div, "Tests"); // ADDED
+        const list = document.createElement("div"); // ADDED
+        list.setAttribute("data-soil-test-list", "1"); // ADDED
+        list.style.maxHeight = "120px"; // ADDED
+        list.style.overflowY = "auto"; // ADDED
+        history.appendChild(list); // ADDED
+        const advice = appendSection(div, "Amendments for latest test"); // ADDED
+        const adviceBody = document.createElement("div"); // ADDED
+        adviceBody.setAttribute("data-soil-amendments", "1"); // ADDED
+        advice.appendChild(adviceBody); // ADDED
+
+        function renderAdvice() { // ADDED
+            adviceBody.innerHTML = ""; // ADDED
+            const latest = latestSoilTest(bedCell); // ADDED
+            if (!latest) { // ADDED
+                adviceBody.textContent = "Record a soil test to see amendment recommendations."; // ADDED
+                adviceBody.style.color = "#6b7280"; // ADDED
+                return; // ADDED
+            } // ADDED
+            adviceBody.style.color = ""; // ADDED
+            const needs = bedSoilNeeds(bedCell); // ADDED
+            const area = bedAreaM2(bedCell); // ADDED
+            const basis = document.createElement("div"); // ADDED
+            basis.style.color = "#4b5563"; // ADDED
+            basis.textContent = `Targets for ${needs.crops.length ? needs.crops.join(", ") : "general vegetables"}: pH ${needs.targetPh}, OM ${needs.organicMatterPct}%, N ${needs.nitrogenPpm} / P ${needs.phosphorusPpm} / K ${needs.potassiumPpm} ppm over ${Math.round(area * 10) / 10} m².`; // ADDED
+            adviceBody.appendChild(basis); // ADDED
+            const recommendations = recommendSoilAmendments(latest, needs, area); // ADDED
+            recommendations.forEach(function (rec) { // ADDED
+                const line = document.createElement("div"); // ADDED
+                line.style.padding = "3px 0"; // ADDED
+                line.title = rec.reason; // ADDED
+                line.textContent = formatSoilAmendment(rec); // ADDED
+                adviceBody.appendChild(line); // ADDED
+            }); // ADDED
+            if (!recommendations.length) { // ADDED
+                const none = document.createElement("div"); // ADDED
+                none.textContent = "No amendments needed."; // ADDED
+                none.style.color = "#15803d"; // ADDED
+                adviceBody.appendChild(none); // ADDED
+                return; // ADDED
+            } // ADDED
+            const taskButton = mxUtils.button(latest.taskCardIds.length ? "Tasks created" : "Create amendment tasks", function () { // ADDED
+                try { // ADDED
+                    createSoilAmendmentTasks(bedCell, latest.id); // ADDED
+                } catch (e) { // ADDED
+                    message.textContent = e.message; // ADDED
+                    return; // ADDED
+                } // ADDED
+                renderTests(); // ADDED
+            }); // ADDED
+            taskButton.disabled = latest.taskCardIds.length > 0; // ADDED
+            adviceBody.appendChild(taskButton); // ADDED
+        } // ADDED
+
+        function renderTests() { // ADDED
+            list.innerHTML = ""; // ADDED
+            const tests = readSoilTests(bedCell); // ADDED
+            if (!tests.length) { // ADDED
+                const empty = document.createElement("div"); // ADDED
+                empty.textContent = "No soil tests recorded."; // ADDED
+                empty.style.color = "#6b7280"; // ADDED
+                list.appendChild(empty); // ADDED
+            } // ADDED
+            tests.slice().reverse().forEach(function (entry) { // ADDED
+                const line = document.createElement("div"); // ADDED
+                line.style.display = "flex"; // ADDED
+                line.style.alignItems = "center"; // ADDED
+                line.style.gap = "8px"; // ADDED
+                line.style.padding = "3px 0"; // ADDED
+                const text = document.createElement("span"); // ADDED
+                text.style.flex = "1"; // ADDED
+                text.textContent = soilTestSummary(entry); // ADDED
+                line.appendChild(text); // ADDED
+                const removeButton = mxUtils.button("Remove", function () { // ADDED
+                    removeSoilTest(bedCell, entry.id); // ADDED
+                    renderTests(); // ADDED
+                }); // ADDED
+                removeButton.setAttribute("data-soil-remove-id", entry.id); // ADDED
+                line.appendChild(removeButton); // ADDED
+                list.appendChild(line); // ADDED
+            }); // ADDED
+            renderAdvice(); // ADDED
+        } // ADDED
+
+        const buttonRow = document.createElement("div"); // ADDED
+        buttonRow.style.display = "flex"; // ADDED
+        buttonRow.style.justifyContent = "flex-end"; // ADDED
+        buttonRow.style.gap = "8px"; // ADDED
+        buttonRow.style.marginTop = "12px"; // ADDED
+        buttonRow.appendChild(mxUtils.button("Close", function () { ui.hideDialog(); })); // ADDED
+        buttonRow.appendChild(mxUtils.button("Add", function () { // ADDED
+            const values = { date: dateInput.value, lab: labInput.value }; // ADDED
+            SOIL_TEST_FIELDS.forEach(function (field) { values[field.key] = inputs[field.key].value; }); // ADDED
+            try { // ADDED
+                addSoilTest(bedCell, values); // ADDED
+            } catch (e) { // ADDED
+                message.textContent = e.message; // ADDED
+                return; // ADDED
+            } // ADDED
+            message.textContent = ""; // ADDED
+            SOIL_TEST_FIELDS.forEach(function (field) { inputs[field.key].value = ""; }); // ADDED
+            labInput.value = ""; // ADDED
+            renderTests(); // ADDED
+        })); // ADDED
+        div.appendChild(buttonRow); // ADDED
+
+        renderTests(); // ADDED
+        const plantIds = collectBedTilerGroups(bedCell).map(function (group) { return getCellAttr(group, "plant_id", ""); }).filter(Boolean); // ADDED
+        const loading = loadPlantRequirements(plantIds); // ADDED
+        ui.showDialog(div, 560, 620, true, true); // ADDED
+        elevateBedConditionsDialog(); // ADDED
+        return loading.then(function (loaded) { if (loaded) renderAdvice(); }); // ADDED
+    } // ADDED
+
+    function buildSoilRows(bedCell) { // ADDED
+        const latest = latestSoilTest(bedCell); // ADDED
+        if (!latest) return []; // ADDED
+        const rows = [{ type: "heading", label: "Soil test" }, { label: latest.date, value: latest.ph != null ? `pH ${latest.ph}` : "No pH", title: soilTestSummary(latest) }]; // ADDED
+        if (latest.organicMatterPct != null) rows.push({ label: "OM", value: `${latest.organicMatterPct}%` }); // ADDED
+        return rows; // ADDED
+    } // ADDED
+
+    const pestMap = { moduleCell: null, windowValue: 30, windowUnit: "days", endDate: "", kind: "all", panel: null, controls: null, badges: [] }; // ADDED
+
+    function pestMapWindowDays() { // ADDED
+        const value = finiteNumberOrNull(pestMap.windowValue); // ADDED
+        if (value == null || value <= 0) return null; // ADDED
+        return value * (PEST_MAP_WINDOW_UNITS[pestMap.windowUnit] || 1); // ADDED
+    } // ADDED
+
+    function collectPestMapEntries(moduleCell) { // ADDED
+        const out = []; // ADDED
+        const options = { windowDays: pestMapWindowDays(), endDate: pestMap.endDate, kind: pestMap.kind }; // ADDED
+        (function visit(cell) { // ADDED
+            const count = model.getChildCount ? model.getChildCount(cell) : 0; // ADDED
+            for (let i = 0; i < count; i++) { // ADDED
+                const child = model.getChildAt(cell, i); // ADDED
+                if (isPestObservationTarget(child)) { // ADDED
+                    const observations = filterPestObservationsByWindow(readPestObservations(child), options); // ADDED
+                    if (observations.length) out.push({ cell: child, observations: observations, severity: worstPestSeverity(observations) }); // ADDED
+                } // ADDED
+                visit(child); // ADDED
+            } // ADDED
+        })(moduleCell); // ADDED
+        return out.sort(function (a, b) { // ADDED
+            return PEST_SEVERITIES.indexOf(b.severity) - PEST_SEVERITIES.indexOf(a.severity) || getCellId(a.cell).localeCompare(getCellId(b.cell)); // ADDED
+        }); // ADDED
+    } // ADDED
+
+    function pestMapCellLabel(cell) { // ADDED
+        return isGardenBed(cell) ? bedDisplayName(cell) : (getCellAttr(cell, "plant_name", "") || `Group ${getCellId(cell)}`); // ADDED
+    } // ADDED
+
+    function makePestMapRow(label, control) { // ADDED
+        const row = document.createElement("div"); // ADDED
+        row.style.display = "flex"; // ADDED
+        row.style.alignItems = "center"; // ADDED
+        row.style.gap = "8px"; // ADDED
+        row.style.margin = "6px 0"; // ADDED
+        const text = document.createElement("div"); // ADDED
+        text.style.minWidth = "60px"; // ADDED
+        text.textContent = label; // ADDED
+        row.appendChild(text); // ADDED
+        row.appendChild(control); // ADDED
+        return row; // ADDED
+    } // ADDED
+
+    function createPestMapPanel() { // ADDED
+        const panel = createSelectedBedOverlay(); // ADDED
+        panel.className = "trellis-pest-map-panel"; // ADDED
+        panel.style.width = "260px"; // ADDED
+        panel.style.zIndex = String(GRAPH_OVERLAY_Z.CONTROL_TOP); // ADDED
+        const title = document.createElement("div"); // ADDED
+        title.textContent = "Pest & Disease Map"; // ADDED
+        title.style.fontWeight = "700"; // ADDED
+        title.style.marginBottom = "4px"; // ADDED
+        panel.appendChild(title); // ADDED
+
+        const windowValue = document.createElement("input"); // ADDED
+        windowValue.type = "number"; // ADDED
+        windowValue.min = "0"; // ADDED
+        windowValue.style.width = "70px"; // ADDED
+        const windowUnit = makeOptionSelect(Object.keys(PEST_MAP_WINDOW_UNITS).map(function (value) { return { value: value, label: value }; }), "days"); // ADDED
+        windowUnit.style.width = "auto"; // ADDED
+        const windowControls = document.createElement("div"); // ADDED
+        windowControls.style.display = "flex"; // ADDED
+        windowControls.style.gap = "6px"; // ADDED
+        windowControls.appendChild(windowValue); // ADDED
+        windowControls.appendChild(windowUnit); // ADDED
+        panel.appendChild(makePestMapRow("Window", windowControls)); // ADDED
+        const endDate = document.createElement("input"); // ADDED
+        endDate.type = "date"; // ADDED
+        panel.appendChild(makePestMapRow("Ending", endDate)); // ADDED
+        const hint = document.createElement("div"); // ADDED
+        hint.textContent = "Set window=0 to show every observation."; // ADDED
+        hint.style.color = "#6b7280"; // ADDED
+        hint.style.fontSize = "11px"; // ADDED
+        panel.appendChild(hint); // ADDED
+        const kind = makeOptionSelect([{ value: "all", label: "Pests and diseases" }, { value: "pest", label: "Pests" }, { value: "disease", label: "Diseases" }], "all"); // ADDED
+        panel.appendChild(makePestMapRow("Show", kind)); // ADDED
+        const summary = document.createElement("div"); // ADDED
+        summary.setAttribute("data-pest-map-summary", "1"); // ADDED
+        summary.style.marginTop = "6px"; // ADDED
+        summary.style.fontWeight = "600"; // ADDED
+        panel.appendChild(summary); // ADDED
+        const list = document.createElement("div"); // ADDED
+        list.setAttribute("data-pest-map-list", "1"); // ADDED
+        list.style.maxHeight = "200px"; // ADDED
+        list.style.overflowY = "auto"; // ADDED
+        panel.appendChild(list); // ADDED
+        const close = mxUtils.button("Close", hidePestMap); // ADDED
+        close.style.marginTop = "6px"; // ADDED
+        panel.appendChild(close); // ADDED
+
+        function readControls() { // ADDED
+            pestMap.windowValue = Number(windowValue.value || 0); // ADDED
+            pestMap.windowUnit = windowUnit.value; // ADDED
+            pestMap.endDate = endDate.value; // ADDED
+            pestMap.kind = kind.value; // ADDED
+            renderPestMap(); // ADDED
+        } // ADDED
+        [windowValue, windowUnit, endDate, kind].forEach(function (control) { control.addEventListener("change", readControls); }); // ADDED
+        mxEvent.addListener && mxEvent.addListener(panel, "mousedown", function (evt) { evt.stopPropagation(); }); // ADDED
+        pestMap.controls = { windowValue: windowValue, windowUnit: windowUnit, endDate: endDate, kind: kind, summary: summary, list: list }; // ADDED
+        return panel; // ADDED
+    } // ADDED
+
+    function clearPestMapBadges() { // ADDED
+        pestMap.badges.forEach(function (badge) { if (badge.parentNode) badge.parentNode.removeChild(badge); }); // ADDED
+        pestMap.badges = []; // ADDED
+    } // ADDED
+
+    function renderPestMap() { // ADDED
+        clearPestMapBadges(); // ADDED
+        if (!pestMap.moduleCell || !pestMap.panel || !graph.container) return; // ADDED
+        const controls = pestMap.controls; // ADDED
+        controls.windowValue.value = String(pestMap.windowValue); // ADDED
+        controls.windowUnit.value = pestMap.windowUnit; // ADDED
+        controls.endDate.value = pestMap.endDate || localTodayYmd(); // ADDED
+        controls.kind.value = pestMap.kind; // ADDED
+        const entries = collectPestMapEntries(pestMap.moduleCell); // ADDED
+        const total = entries.reduce(function (sum, entry) { return sum + entry.observations.length; }, 0); // ADDED
+        controls.summary.textContent = entries.length ? `${total} observation${total === 1 ? "" : "s"} on ${entries.length} bed${entries.length === 1 ? "" : "s"} or groups` : "No observations in this window"; // ADDED
+        controls.list.innerHTML = ""; // ADDED
+        entries.forEach(function (entry) { // ADDED
+            const latest = entry.observations[entry.observations.length - 1]; // ADDED
+            const line = document.createElement("div"); // ADDED
+            line.style.marginTop = "3px"; // ADDED
+            line.style.cursor = "pointer"; // ADDED
+            line.style.color = PEST_SEVERITY_COLORS[entry.severity]; // ADDED
+            line.textContent = `${pestMapCellLabel(entry.cell)}: ${latest.name} (${entry.severity})`; // ADDED
+            line.title = entry.observations.map(pestObservationSummary).join("\n"); // ADDED
+            line.addEventListener("click", function () { // ADDED
+                if (graph.setSelectionCell) graph.setSelectionCell(entry.cell); // ADDED
+                if (graph.scrollCellToVisible) graph.scrollCellToVisible(entry.cell, true); // ADDED
+            }); // ADDED
+            controls.list.appendChild(line); // ADDED
+
+            const state = graph.view && graph.view.getState ? graph.view.getState(entry.cell) : null; // ADDED
+            if (!state) return; // ADDED
+            const badge = document.createElement("div"); // ADDED
+            badge.className = "trellis-pest-map-badge"; // ADDED
+            badge.style.position = "absolute"; // ADDED
+            badge.style.pointerEvents = "none"; // ADDED
+            badge.style.zIndex = String(GRAPH_OVERLAY_Z.ANNOTATION); // ADDED
+            badge.style.left = Math.round(state.x + 4) + "px"; // ADDED
+            badge.style.top = Math.round(state.y + 4) + "px"; // ADDED
+            badge.style.padding = "1px 6px"; // ADDED
+            badge.style.borderRadius = "9px"; // ADDED
+            badge.style.fontSize = "11px"; // ADDED
+            badge.style.fontWeight = "700"; // ADDED
+            badge.style.color = "#ffffff"; // ADDED
+            badge.style.background = PEST_SEVERITY_COLORS[entry.severity]; // ADDED
+            badge.textContent = `${entry.observations.length} ${latest.name}`; // ADDED
+            badge.title = line.title; // ADDED
+            graph.container.appendChild(badge); // ADDED
+            pestMap.badges.push(badge); // ADDED
+        }); // ADDED
+    } // ADDED
+
+    function showPestMap(moduleCell) { // ADDED
+        const target = isGardenModule(moduleCell) ? moduleCell : findGardenModuleAncestor(moduleCell); // ADDED
+        if (!target || !graph.container) return false; // ADDED
+        ensureOverlayContainer(); // ADDED
+        pestMap.moduleCell = target; // ADDED
+        if (!pestMap.panel) pestMap.panel = createPestMapPanel(); // ADDED
+        pestMap.panel.style.top = "8px"; // ADDED
+        pestMap.panel.style.right = "8px"; // ADDED
+        if (pestMap.panel.parentNode !== graph.container) graph.container.appendChild(pestMap.panel); // ADDED
+        renderPestMap(); // ADDED
+        return true; // ADDED
+    } // ADDED
+
+    function hidePestMap() { // ADDED
+        clearPestMapBadges(); // ADDED
+        if (pestMap.panel && pestMap.panel.parentNode) pestMap.panel.parentNode.removeChild(pestMap.panel); // ADDED
+        pestMap.moduleCell = null; // ADDED
+    } // ADDED
+
+    function isPestMapVisible(moduleCell) { // ADDED
+        if (!pestMap.moduleCell) return false; // ADDED
+        return !moduleCell || getCellId(pestMap.moduleCell) === getCellId(isGardenModule(moduleCell) ? moduleCell : findGardenModuleAncestor(moduleCell)); // ADDED
+    } // ADDED
+
+    function togglePestMap(moduleCell) { // ADDED
+        if (isPestMapVisible(moduleCell)) { // ADDED
+            hidePestMap(); // ADDED
+            return false; // ADDED
+        } // ADDED
+        return showPestMap(moduleCell); // ADDED
+    } // ADDED
+
     function createSelectedBedOverlay() { // NEW
         const div = document.createElement("div"); // NEW
         div.className = "trellis-bed-conditions-overlay"; // NEW
@@ -779,14 +2254,22 @@ Draw.loadPlugin(function (ui) { // NEW
         button.style.width = "100%"; // NEW
         button.style.marginBottom = "6px"; // NEW
         entry.div.appendChild(button); // NEW
-        const rows = buildOverlayRows(getDisplayBedConditions(entry.cell)); // CHANGE
-        if (!rows.length) { // NEW
+        const pestButton = mxUtils.button("Log Pest / Disease", function () { showPestObservationDialog(entry.cell); }); // ADDED
+        pestButton.style.width = "100%"; // ADDED
+        pestButton.style.marginBottom = "6px"; // ADDED
+        entry.div.appendChild(pestButton); // ADDED
+        const soilButton = mxUtils.button("Soil Tests", function () { showSoilTestDialog(entry.cell); }); // ADDED
+        soilButton.style.width = "100%"; // ADDED
+        soilButton.style.marginBottom = "6px"; // ADDED
+        entry.div.appendChild(soilButton); // ADDED
+        const conditionRows = buildOverlayRows(getDisplayBedConditions(entry.cell)); // CHANGE
+        if (!conditionRows.length) { // NEW
             const empty = document.createElement("div"); // NEW
             empty.textContent = "No set conditions"; // NEW
             empty.style.color = "#6b7280"; // NEW
             entry.div.appendChild(empty); // NEW
-            return; // NEW
         } // NEW
+        const rows = conditionRows.concat(buildCropFitRows(entry.cell), buildRotationRows(entry.cell), buildSoilRows(entry.cell), buildPestRows(entry.cell)); // CHANGE
         rows.forEach(function (row) { // NEW
             if (row.type === "heading") { // NEW
                 const heading = document.createElement("div"); // NEW
@@ -829,6 +2312,8 @@ Draw.loadPlugin(function (ui) { // NEW
             const value = document.createElement("span"); // NEW
             value.textContent = row.value; // NEW
             value.style.fontWeight = "600"; // NEW
+            if (row.color) value.style.color = row.color; // ADDED
+            if (row.title) line.title = row.title; // ADDED
             line.appendChild(label); // NEW
             line.appendChild(value); // NEW
             entry.div.appendChild(line); // NEW
@@ -894,7 +2379,11 @@ Draw.loadPlugin(function (ui) { // NEW
     function refreshSelectedBedOverlaysSoon() { // NEW
         if (refreshSelectedBedOverlaysSoon.pending) return; // CHANGE
         refreshSelectedBedOverlaysSoon.pending = true; // CHANGE
-        setTimeout(function () { refreshSelectedBedOverlaysSoon.pending = false; syncSelectedBedOverlays(); }, 0); // CHANGE
+        setTimeout(function () { // CHANGE
+            refreshSelectedBedOverlaysSoon.pending = false; // ADDED
+            syncSelectedBedOverlays(); // ADDED
+            if (pestMap.moduleCell) renderPestMap(); // ADDED
+        }, 0); // ADDED
     } // NEW
 
     const selectionModel = graph.getSelectionModel ? graph.getSelectionModel() : null; // NEW
@@ -906,7 +2395,7 @@ Draw.loadPlugin(function (ui) { // NEW
         graph.view.addListener(mxEvent.SCALE_AND_TRANSLATE, refreshSelectedBedOverlaysSoon); // NEW
     } // NEW
     if (graph.container && graph.container.addEventListener) graph.container.addEventListener("scroll", refreshSelectedBedOverlaysSoon, { passive: true }); // NEW
-    graph.addListener && graph.addListener(mxEvent.DESTROY, clearSelectedBedOverlays); // NEW
+    graph.addListener && graph.addListener(mxEvent.DESTROY, function () { clearSelectedBedOverlays(); hidePestMap(); }); // CHANGE
 
     window.TrellisGardenBeds = { // CHANGE
         getDisplayBedConditions: getDisplayBedConditions, // CHANGE
@@ -917,7 +2406,37 @@ Draw.loadPlugin(function (ui) { // NEW
         isGardenBed: isGardenBed, // NEW
         isBedCompatibleWithCrop: isBedCompatibleWithCrop, // NEW
         scoreBedSuitability: scoreBedSuitability, // NEW
+        formatSuitabilityScore: formatSuitabilityScore, // ADDED
         seasonExtensionEffects: seasonExtensionEffects, // ADDED
+        normalizeFamily: normalizeFamily, // ADDED
+        resolveRotationGaps: resolveRotationGaps, // ADDED
+        writeModuleRotationGaps: writeModuleRotationGaps, // ADDED
+        readBedRotationHistory: readBedRotationHistory, // ADDED
+        findRotationViolations: findRotationViolations, // ADDED
+        checkCropRotation: checkCropRotation, // ADDED
+        formatRotationCheck: formatRotationCheck, // ADDED
+        suggestRotationMoves: suggestRotationMoves, // ADDED
+        pestSusceptibility: PEST_SUSCEPTIBILITY, // ADDED
+        readPestObservations: readPestObservations, // ADDED
+        addPestObservation: addPestObservation, // ADDED
+        removePestObservation: removePestObservation, // ADDED
+        filterPestObservationsByWindow: filterPestObservationsByWindow, // ADDED
+        checkPestPressure: checkPestPressure, // ADDED
+        formatPestPressureCheck: formatPestPressureCheck, // ADDED
+        createPestTreatmentTask: createPestTreatmentTask, // ADDED
+        showPestObservationDialog: showPestObservationDialog, // ADDED
+        showPestMap: showPestMap, // ADDED
+        hidePestMap: hidePestMap, // ADDED
+        togglePestMap: togglePestMap, // ADDED
+        isPestMapVisible: isPestMapVisible, // ADDED
+        readSoilTests: readSoilTests, // ADDED
+        addSoilTest: addSoilTest, // ADDED
+        removeSoilTest: removeSoilTest, // ADDED
+        latestSoilTest: latestSoilTest, // ADDED
+        resolveCropNutrientNeeds: resolveCropNutrientNeeds, // ADDED
+        recommendSoilAmendments: recommendSoilAmendments, // ADDED
+        createSoilAmendmentTasks: createSoilAmendmentTasks, // ADDED
+        showSoilTestDialog: showSoilTestDialog, // ADDED
         _test: { // NEW
             buildOverlayRows: buildOverlayRows, // NEW
             normalizeProfile: normalizeProfile, // NEW
@@ -928,7 +2447,17 @@ Draw.loadPlugin(function (ui) { // NEW
             getDisplayBedConditions: getDisplayBedConditions, // CHANGE
             showConditionEditorDialog: showConditionEditorDialog, // NEW
             syncSelectedBedOverlays: syncSelectedBedOverlays, // NEW
-            collectSelectedBeds: collectSelectedBeds // NEW
+            collectSelectedBeds: collectSelectedBeds, // CHANGE
+            normalizePlantRequirements: normalizePlantRequirements, // ADDED
+            collectBedTilerGroups: collectBedTilerGroups, // ADDED
+            buildCropFitRows: buildCropFitRows, // CHANGE
+            buildRotationRows: buildRotationRows, // CHANGE
+            buildPestRows: buildPestRows, // ADDED
+            collectPestMapEntries: collectPestMapEntries, // CHANGE
+            parseSoilTests: parseSoilTests, // ADDED
+            parseNpkRatio: parseNpkRatio, // ADDED
+            bedAreaM2: bedAreaM2, // ADDED
+            buildSoilRows: buildSoilRows // ADDED
         } // NEW
     }; // NEW
     window.TrellisBedConditions = window.TrellisGardenBeds; // NEW
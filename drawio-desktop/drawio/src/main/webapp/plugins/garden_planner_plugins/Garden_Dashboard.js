@@ -436,6 +436,19 @@ Draw.loadPlugin(function (ui) {
         return plant || variety || "(Unnamed crop)";
     }
 
+    // Sums Plant Tiler harvest log weights dated in the selected year.
+    function loggedHarvestKgForYear(tg, selectedYear) { // ADDED
+        const parsed = safeJsonParse(getCellAttr(tg, "harvest_log_json", ""), []); // ADDED
+        const entries = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.entries) ? parsed.entries : []); // ADDED
+        const prefix = `${selectedYear}-`; // ADDED
+        let total = 0; // ADDED
+        for (const entry of entries) { // ADDED
+            const kg = Number(entry && entry.kg); // ADDED
+            if (String(entry && entry.date || "").startsWith(prefix) && Number.isFinite(kg) && kg > 0) total += kg; // ADDED
+        } // ADDED
+        return total; // ADDED
+    } // ADDED
+
     function computeModuleMetrics(moduleCell, selectedYear) {
         const all = getDescendants(moduleCell);
         const tilers = all.filter(isTilerGroup);
@@ -454,6 +467,7 @@ Draw.loadPlugin(function (ui) {
         let totalPlanSeedsAdj = 0;
         let totalTargetKg = 0;
         let totalExpectedKg = 0;
+        let totalLoggedKg = 0; // ADDED
 
         // --- Seed rows from plan first (prevents double-counting and shows plan-only crops) --- 
         if (planIndex && Array.isArray(planIndex.crops)) {
@@ -477,6 +491,7 @@ Draw.loadPlugin(function (ui) {
                     germ_rate: NaN,
                     target_kg: 0,
                     expected_kg: 0,
+                    logged_kg: 0, // ADDED
                     count: 0,
                     _planBound: false,
                     _planCropId: null
@@ -514,6 +529,7 @@ Draw.loadPlugin(function (ui) {
 
             const actualPlants = toNum(getCellAttr(tg, "plant_count", 0), 0);
             const expectedKg = toNum(getCellAttr(tg, "plant_yield", 0), 0);
+            const loggedKg = loggedHarvestKgForYear(tg, selectedYear); // ADDED
 
             const targetDirect = toNum(getCellAttr(tg, "planting_target_yield_kg", NaN), NaN);
             const targetLegacy = toNum(getCellAttr(tg, "target_yield", NaN), NaN);
@@ -539,6 +555,7 @@ Draw.loadPlugin(function (ui) {
 
                 target_kg: 0,
                 expected_kg: 0,
+                logged_kg: 0, // ADDED
                 count: 0,
 
                 _planBound: false,
@@ -564,6 +581,7 @@ Draw.loadPlugin(function (ui) {
 
             cur.target_kg += targetKg;
             cur.expected_kg += expectedKg;
+            cur.logged_kg += loggedKg; // ADDED
             cur.count += 1;
 
             byCrop.set(crop, cur);
@@ -574,6 +592,7 @@ Draw.loadPlugin(function (ui) {
             totalActualSeedsAdj += actualSeedsAdj;
             totalExpectedKg += expectedKg;
             totalTargetKg += targetKg;
+            totalLoggedKg += loggedKg; // ADDED
         }
 
         // --- Compute plan totals from rows (each row has plan bound at most once) --- 
@@ -608,6 +627,7 @@ Draw.loadPlugin(function (ui) {
 
             totalTargetKg,
             totalExpectedKg,
+            totalLoggedKg, // ADDED
             irrigation: readIrrigationDashboardSummary(moduleCell), // NEW
             rows
         };
@@ -753,6 +773,7 @@ Draw.loadPlugin(function (ui) {
         const fmt0 = (n) => (Number.isFinite(n) ? Math.round(n).toString() : "0");
         const esc = (v) => mxUtils.htmlEntities(String(v ?? ""));
         const fmtPct = (n) => (Number.isFinite(n) ? (n * 100).toFixed(0) + "%" : "");
+        const fmtLoggedPct = (logged, target) => (logged > 0 && target > 0 ? ` (${fmtPct(logged / target)})` : ""); // ADDED
         const irrigation = metrics.irrigation || null; // NEW
         const fmtPctWhole = (n) => Number.isFinite(Number(n)) ? Math.round(Number(n)) + "%" : "0%"; // NEW
         const fmtMoney = (n) => "$" + (Number.isFinite(Number(n)) ? Number(n).toFixed(Number(n) % 1 === 0 ? 0 : 2) : "0"); // NEW
@@ -760,13 +781,13 @@ Draw.loadPlugin(function (ui) {
         const irrigationRows = irrigation ? ` 
       <tr class="trellis-irrigation-dashboard-summary" title="Open Irrigation Planner" style="cursor:pointer;">
         <td style="border:1px solid #999; padding:4px; font-weight:700;">Irrigation</td>
-        <td colspan="8" style="border:1px solid #999; padding:4px; pointer-events:auto;">
+        <td colspan="9" style="border:1px solid #999; padding:4px; pointer-events:auto;">
           ${esc(fmtPctWhole(irrigation.percentIrrigated))} irrigated | ${esc(fmtMoney(irrigation.purchaseNeededCost))} needed | ${esc(irrigation.zoneCount || 0)} zones | ${esc(fmtPctWhole(irrigation.completeness))} complete | ${esc(fmtMargin(irrigation.worstHydraulicMarginPsi))} worst margin | ${esc(irrigation.purchaseNeededCount || 0)} purchase parts | ${esc(irrigation.criticalWarningCount || 0)} critical warnings
         </td>
       </tr>` : `
       <tr class="trellis-irrigation-dashboard-summary" title="Open Irrigation Planner" style="cursor:pointer;">
         <td style="border:1px solid #999; padding:4px; font-weight:700;">Irrigation</td>
-        <td colspan="8" style="border:1px solid #999; padding:4px; pointer-events:auto;">Not planned</td>
+        <td colspan="9" style="border:1px solid #999; padding:4px; pointer-events:auto;">Not planned</td>
       </tr>`; // NEW
 
         const cropRows = (metrics.rows || []).map((r) => `
@@ -783,6 +804,7 @@ Draw.loadPlugin(function (ui) {
       
           <td style="border:1px solid #999; padding:4px; text-align:right;">${fmt1(r.target_kg)}</td>
           <td style="border:1px solid #999; padding:4px; text-align:right;">${fmt1(r.expected_kg)}</td>
+          <td style="border:1px solid #999; padding:4px; text-align:right;">${fmt1(r.logged_kg)}${fmtLoggedPct(r.logged_kg, r.target_kg)}</td>
         </tr>
       `).join("");
 
@@ -829,12 +851,13 @@ Draw.loadPlugin(function (ui) {
 
     <th style="border:1px solid #999; padding:6px; text-align:right;">Target (kg)</th>
     <th style="border:1px solid #999; padding:6px; text-align:right;">Expected (kg)</th>
+    <th style="border:1px solid #999; padding:6px; text-align:right;">Logged (kg)</th>
     </tr>
 
 
       ${cropRows || `
       <tr>
-        <td colspan="9" style="border:1px solid #999; padding:8px; text-align:left;">
+        <td colspan="10" style="border:1px solid #999; padding:8px; text-align:left;">
           No crops found for ${esc(year)}.
         </td>
       </tr>
@@ -855,6 +878,7 @@ Draw.loadPlugin(function (ui) {
 
         <td style="border:1px solid #999; padding:6px; text-align:right; font-weight:700;">${fmt1(metrics.totalTargetKg)}</td>
         <td style="border:1px solid #999; padding:6px; text-align:right; font-weight:700;">${fmt1(metrics.totalExpectedKg)}</td>
+        <td style="border:1px solid #999; padding:6px; text-align:right; font-weight:700;">${fmt1(metrics.totalLoggedKg)}${fmtLoggedPct(metrics.totalLoggedKg, metrics.totalTargetKg)}</td>
     </tr>
     </tfoot>
 
@@ -895,7 +919,7 @@ Draw.loadPlugin(function (ui) {
         push(["Filter", `perennial OR season_start_year == ${year} OR harvest overlaps ${year}`]);
 
         push([""]);
-        push(["Crop", "Area (m²)", "Plan plants", "Actual plants", "Delta", "Germ", "Plan seeds", "Target (kg)", "Expected (kg)"]);
+        push(["Crop", "Area (m²)", "Plan plants", "Actual plants", "Delta", "Germ", "Plan seeds", "Target (kg)", "Expected (kg)", "Logged (kg)"]); // CHANGE
 
         const list = metrics.rows || [];
         if (list.length === 0) {
@@ -913,7 +937,8 @@ Draw.loadPlugin(function (ui) {
                     germPct,
                     String(Math.round(r.plan_seeds_adj || 0)),
                     Number.isFinite(r.target_kg) ? r.target_kg.toFixed(1) : "0.0",
-                    Number.isFinite(r.expected_kg) ? r.expected_kg.toFixed(1) : "0.0"
+                    Number.isFinite(r.expected_kg) ? r.expected_kg.toFixed(1) : "0.0", // CHANGE
+                    Number.isFinite(r.logged_kg) ? r.logged_kg.toFixed(1) : "0.0" // ADDED
                 ]);
             }
         }
@@ -926,7 +951,8 @@ Draw.loadPlugin(function (ui) {
             "",
             String(Math.round(metrics.totalPlanSeedsAdj ?? 0)),
             Number.isFinite(metrics.totalTargetKg) ? metrics.totalTargetKg.toFixed(1) : "0.0",
-            Number.isFinite(metrics.totalExpectedKg) ? metrics.totalExpectedKg.toFixed(1) : "0.0"
+            Number.isFinite(metrics.totalExpectedKg) ? metrics.totalExpectedKg.toFixed(1) : "0.0", // CHANGE
+            Number.isFinite(metrics.totalLoggedKg) ? metrics.totalLoggedKg.toFixed(1) : "0.0" // ADDED
         ]);
 
 
@@ -1149,13 +1175,15 @@ Draw.loadPlugin(function (ui) {
         const send = createToolbarButton("Create Email", "Create invite and open an email draft"); // NEW
         cancel.addEventListener("click", function () { closeShareDialog(overlay); }); // NEW
         send.addEventListener("click", function () { // NEW
-            const result = users.createPendingInvite({ email: email.value, scopeCellIds: scopes.map(function (scope) { return scope.id; }), preset: preset.value, capabilities: selectedInviteCapabilities(), shareInfo }); // CHANGE
-            if (!result.ok) { status.textContent = result.reason; return; } // NEW
-            const bridge = window.trellisShare; // NEW
-            bridge.openEmailDraft(result.emailDraft).then(function (draftResult) { // NEW
-                if (!draftResult || draftResult.ok === false) { status.textContent = (draftResult && draftResult.reason) || "Email draft could not be opened."; return; } // NEW
-                closeShareDialog(overlay); // NEW
-            }).catch(function (err) { status.textContent = err && err.message ? err.message : String(err); }); // NEW
+            send.disabled = true; // ADDED
+            Promise.resolve(users.createPendingInvite({ email: email.value, scopeCellIds: scopes.map(function (scope) { return scope.id; }), preset: preset.value, capabilities: selectedInviteCapabilities(), shareInfo })).then(function (result) { // CHANGED
+                if (!result.ok) { status.textContent = result.reason; return; } // CHANGED
+                const bridge = window.trellisShare; // CHANGED
+                return bridge.openEmailDraft(result.emailDraft).then(function (draftResult) { // CHANGED
+                    if (!draftResult || draftResult.ok === false) { status.textContent = (draftResult && draftResult.reason) || "Email draft could not be opened."; return; } // CHANGED
+                    closeShareDialog(overlay); // CHANGED
+                }); // CHANGED
+            }).catch(function (err) { status.textContent = err && err.message ? err.message : String(err); }).then(function () { send.disabled = false; }); // CHANGED
         }); // NEW
         buttons.appendChild(cancel); // NEW
         buttons.appendChild(send); // NEW
@@ -1198,10 +1226,13 @@ Draw.loadPlugin(function (ui) {
         const enable = createToolbarButton("Enable", "Enable users and continue sharing"); // NEW
         cancel.addEventListener("click", function () { closeShareDialog(overlay); }); // NEW
         enable.addEventListener("click", function () { // NEW
-            const result = users.enableUsers(name.value, pin.value); // NEW
-            if (!result.ok) { status.textContent = result.reason; return; } // NEW
-            closeShareDialog(overlay); // NEW
-            setTimeout(openShareGardenCanvasDialog, 0); // NEW
+            enable.disabled = true; // ADDED
+            Promise.resolve(users.enableUsers(name.value, pin.value)).then(function (result) { // CHANGED
+                enable.disabled = false; // ADDED
+                if (!result.ok) { status.textContent = result.reason; return; } // CHANGED
+                closeShareDialog(overlay); // CHANGED
+                setTimeout(openShareGardenCanvasDialog, 0); // CHANGED
+            }); // ADDED
         }); // NEW
         buttons.appendChild(cancel); // NEW
         buttons.appendChild(enable); // NEW
@@ -1314,6 +1345,7 @@ Draw.loadPlugin(function (ui) {
         const planBtn = createToolbarButton("Plan", "Open the year planner"); // NEW
         const equipmentBtn = createToolbarButton("Equipment", "Open garden equipment"); // NEW
         const irrigationBtn = createToolbarButton("Irrigation", "Open irrigation planner"); // NEW
+        const pestsBtn = createToolbarButton("Pests", "Show the pest and disease map"); // ADDED
         const allocateBtn = createToolbarButton("Allocate", "Allocate the current plan"); // NEW
         const messagesBtn = createToolbarButton("Messages", "Review access requests"); // NEW
         const exportBtn = createToolbarButton("Export", "Export dashboard CSV"); // NEW
@@ -1335,6 +1367,7 @@ Draw.loadPlugin(function (ui) {
         leftControls.appendChild(planBtn); // NEW
         leftControls.appendChild(equipmentBtn); // NEW
         leftControls.appendChild(irrigationBtn); // NEW
+        leftControls.appendChild(pestsBtn); // ADDED
         leftControls.appendChild(allocateBtn); // NEW
         rightActions.appendChild(messagesBtn); // NEW
         rightActions.appendChild(exportBtn); // NEW
@@ -1347,7 +1380,7 @@ Draw.loadPlugin(function (ui) {
         wrap.appendChild(panel); // NEW
         host.appendChild(wrap); // NEW
 
-        viewportToolbar = { wrap, panel, controls, leftControls, rightActions, prev, next, yearLabel, planBtn, equipmentBtn, irrigationBtn, allocateBtn, messagesBtn, exportBtn, shareBtn, tableBtn, table }; // CHANGE
+        viewportToolbar = { wrap, panel, controls, leftControls, rightActions, prev, next, yearLabel, planBtn, equipmentBtn, irrigationBtn, pestsBtn, allocateBtn, messagesBtn, exportBtn, shareBtn, tableBtn, table }; // CHANGE
 
         mxEvent.addListener(wrap, "mousedown", function (evt) { mxEvent.consume(evt); }); // NEW
         mxEvent.addListener(wrap, "click", function (evt) { evt.stopPropagation(); }); // NEW
@@ -1374,6 +1407,12 @@ Draw.loadPlugin(function (ui) {
             if (equipmentApi && typeof equipmentApi.openDialog === "function") equipmentApi.openDialog(activeToolbarModule); // NEW
         }); // NEW
         irrigationBtn.addEventListener("click", function () { openIrrigationPlannerForModule(activeToolbarModule); }); // NEW
+        pestsBtn.addEventListener("click", function () { // ADDED
+            const bedsApi = window.TrellisGardenBeds; // ADDED
+            if (!activeToolbarModule || !bedsApi || typeof bedsApi.togglePestMap !== "function") return; // ADDED
+            bedsApi.togglePestMap(activeToolbarModule); // ADDED
+            renderViewportToolbar(activeToolbarModule); // ADDED
+        }); // ADDED
         allocateBtn.addEventListener("click", function () { // NEW
             if (!activeToolbarModule) return; // NEW
             const year = getToolbarYear(activeToolbarModule); // NEW
@@ -1417,6 +1456,9 @@ Draw.loadPlugin(function (ui) {
         entry.messagesBtn.textContent = messagesButtonLabel(moduleCell); // NEW
         entry.messagesBtn.title = "Review access requests"; // NEW
         entry.tableBtn.textContent = expanded ? "Hide Table" : "Table"; // NEW
+        const pestMapVisible = !!(window.TrellisGardenBeds && typeof window.TrellisGardenBeds.isPestMapVisible === "function" && window.TrellisGardenBeds.isPestMapVisible(moduleCell)); // ADDED
+        entry.pestsBtn.textContent = pestMapVisible ? "Hide Pests" : "Pests"; // ADDED
+        entry.pestsBtn.title = pestMapVisible ? "Hide the pest and disease map" : "Show the pest and disease map"; // ADDED
         entry.tableBtn.title = expanded ? "Hide dashboard table" : "Show dashboard table"; // NEW
         const shareState = shareSelectionState(); // NEW
         setButtonDisabled(entry.shareBtn, !shareState.ok, shareState.ok ? "Share selected scope(s)" : shareState.reason); // NEW
@@ -2176,6 +2218,25 @@ Draw.loadPlugin(function (ui) {
         } // CHANGE
     }); // CHANGE
 
+    // -------------------- Headless reports --------------------
+    // Used by the --trellis-report CLI: one metrics CSV per garden module, same table as the Export button. // ADDED
+    function buildDashboardReports(options) { // ADDED
+        const requestedYear = toInt(options && options.year, NaN); // ADDED
+        const usedNames = new Set(); // ADDED
+        return getDescendants(model.getRoot()).filter(isGardenModule).map((moduleCell) => { // ADDED
+            const year = isValidYear(requestedYear) ? requestedYear : getToolbarYear(moduleCell); // ADDED
+            const metrics = computeModuleMetrics(moduleCell, year); // ADDED
+            let name = "dashboard-" + String(metrics.moduleName || "garden").replace(/[^\w\-]+/g, "_").slice(0, 60); // ADDED
+            if (usedNames.has(name)) name += "-" + cellId(moduleCell); // ADDED
+            usedNames.add(name); // ADDED
+            return { name, format: "csv", content: buildDashboardCsvSingleTable(metrics, year) }; // ADDED
+        }); // ADDED
+    } // ADDED
+
+    window.Trellis = window.Trellis || {}; // ADDED
+    window.Trellis.reports = window.Trellis.reports || {}; // ADDED
+    window.Trellis.reports.dashboard = buildDashboardReports; // ADDED
+
     // -------------------- If dashboards already exist in file, attach overlays --------------------
     function attachExistingDashboards() {
         return; // CHANGE
@@ -6,6 +6,8 @@
  * - Stores task type and capability registries used by Scheduler/Workload plugins.
  * - Checks scheduler tasks for missing required equipment and optional equipment opportunities.
  * - Exposes a small public API at graph.__trellisEquipment for other Trellis plugins.
+ * - Counts usage from completed task cards and files maintenance and replacement cards when due.
+ * - Flags task cards that book the same equipment or crew beyond what a day has, with substitutes.
  *
  * MVP Scope
  * - Standalone menu/dialog entry point.
@@ -19,6 +21,8 @@
  * - Garden modules are mxCells with garden_module="1" or trellis_garden_module="1".
  * - Scheduler task cells may store task_type_id, task_quantity_basis, task_quantity_value,
  *   task_complexity, and task_equipment_ids as XML attributes.
+ * - Kanban task cards (kanban_card="1") that list task_equipment_ids count toward each item's
+ *   usage once they carry a completed date.
  */
 Draw.loadPlugin(function (ui) {
     const graph = ui && ui.editor && ui.editor.graph;
@@ -70,6 +74,11 @@ Draw.loadPlugin(function (ui) {
     ];
 
     const AVAILABLE_STATUSES = new Set(["owned", "rented", "borrowed"]);
+    // Rented and borrowed items are serviced by their owners, so only owned equipment gets service cards. // ADDED
+    const SERVICED_STATUSES = new Set(["owned", "needs_repair"]); // ADDED
+    const SERVICE_KINDS = ["maintenance", "replacement"]; // ADDED
+    // scheduled: a task card is open; done: the card was completed; dismissed: the card was deleted unfinished. // ADDED
+    const SERVICE_STATUSES = ["scheduled", "done", "dismissed"]; // ADDED
 
     const EQUIPMENT_CATEGORIES = [
         "hand_tool",
@@ -114,6 +123,7 @@ Draw.loadPlugin(function (ui) {
         "Maintenance Every": "Frequency interval for the selected maintenance basis.", // NEW
         "Maintenance Time (hours)": "Labor required each maintenance interval.", // NEW
         "Maintenance Cost ($)": "Recurring maintenance cost each interval; separate from replacement reserve.", // NEW
+        "Quantity": "Identical units on hand. Task cards on the same day can book up to this many before they conflict.", // ADDED
         "ID": "Stable internal ID used by saved equipment links and cross-plugin references." // NEW
     }; // NEW
     const ROW_FIELD_TOOLTIPS = { // NEW
@@ -500,6 +510,8 @@ Draw.loadPlugin(function (ui) {
             maintenanceFrequency: { basis: "year", every: 1 },
             maintenanceTimeHours: 0,
             maintenanceCost: 0,
+            usage: null, // ADDED
+            serviceHistory: [], // ADDED
             storageNotes: "",
             setupTimeHours: 0,
             cleanupTimeHours: 0,
@@ -512,6 +524,7 @@ Draw.loadPlugin(function (ui) {
             maximumUsefulScale: { value: 0, unit: "tasks" },
             crewSizeMin: 1,
             crewSizeMax: 1,
+            quantity: 1, // ADDED
             skillLevelRequired: "basic",
             availability: { mode: "always", from: "", to: "" },
             usesConsumables: [],
@@ -715,6 +728,7 @@ Draw.loadPlugin(function (ui) {
         out.maximumUsefulScale.value = coerceNumber(out.maximumUsefulScale.value, 0);
         out.crewSizeMin = Math.max(1, coerceNumber(out.crewSizeMin, 1));
         out.crewSizeMax = Math.max(out.crewSizeMin, coerceNumber(out.crewSizeMax, out.crewSizeMin));
+        out.quantity = Math.max(1, Math.round(coerceNumber(out.quantity, 1))); // ADDED
         out.skillLevelRequired = SKILL_LEVELS.indexOf(out.skillLevelRequired) >= 0 ? out.skillLevelRequired : "basic";
         out.availability = Object.assign({ mode: "always", from: "", to: "" }, out.availability || {});
         out.usesConsumables = Array.isArray(out.usesConsumables) ? out.usesConsumables : [];
@@ -726,11 +740,39 @@ Draw.loadPlugin(function (ui) {
             ? !!out.replacementDateOverride // NEW
             : !!out.replacementDate && (!calculatedReplacementDate || out.replacementDate !== calculatedReplacementDate); // NEW
         syncCalculatedReplacementDate(out); // NEW
+        out.usage = normalizeUsage(out.usage); // ADDED
+        out.serviceHistory = Array.isArray(out.serviceHistory) ? out.serviceHistory.map(normalizeServiceEntry) : []; // ADDED
         out.storageNotes = trim(out.storageNotes);
         out.notes = trim(out.notes);
         return out;
     }
 
+    function normalizeUsage(record) { // ADDED
+        const out = Object.assign({ hoursUsed: 0, taskCount: 0, seasons: [], lastUsedDate: "", countedTaskIds: [] }, record || {}); // ADDED
+        out.hoursUsed = Math.max(0, coerceNumber(out.hoursUsed, 0)); // ADDED
+        out.taskCount = Math.max(0, Math.round(coerceNumber(out.taskCount, 0))); // ADDED
+        out.seasons = uniqueStrings(splitCsv(out.seasons).filter(function (year) { return /^\d{4}$/.test(year); })).sort(); // ADDED
+        out.lastUsedDate = isIsoDate(out.lastUsedDate) ? trim(out.lastUsedDate) : ""; // ADDED
+        out.countedTaskIds = uniqueStrings(splitCsv(out.countedTaskIds)); // ADDED
+        return out; // ADDED
+    } // ADDED
+
+    function normalizeServiceEntry(record) { // ADDED
+        const out = Object.assign({}, record || {}); // ADDED
+        out.kind = SERVICE_KINDS.indexOf(out.kind) >= 0 ? out.kind : "maintenance"; // ADDED
+        out.status = SERVICE_STATUSES.indexOf(out.status) >= 0 ? out.status : "scheduled"; // ADDED
+        out.id = trim(out.id) || makeId("svc", out.kind); // ADDED
+        out.createdDate = isIsoDate(out.createdDate) ? trim(out.createdDate) : ""; // ADDED
+        out.dueDate = isIsoDate(out.dueDate) ? trim(out.dueDate) : ""; // ADDED
+        out.closedDate = isIsoDate(out.closedDate) ? trim(out.closedDate) : ""; // ADDED
+        out.reason = trim(out.reason); // ADDED
+        out.taskCardId = trim(out.taskCardId); // ADDED
+        out.hoursUsed = Math.max(0, coerceNumber(out.hoursUsed, 0)); // ADDED
+        out.taskCount = Math.max(0, Math.round(coerceNumber(out.taskCount, 0))); // ADDED
+        out.seasonCount = Math.max(0, Math.round(coerceNumber(out.seasonCount, 0))); // ADDED
+        return out; // ADDED
+    } // ADDED
+
     function normalizeEffect(record) {
         const out = Object.assign({}, record || {});
         out.taskTypeId = trim(out.taskTypeId);
@@ -1101,6 +1143,15 @@ Draw.loadPlugin(function (ui) {
         return true;
     }
 
+    function isEquipmentAvailableOn(item, dateIso) { // ADDED
+        if (!isEquipmentAvailable(item)) return false; // ADDED
+        const span = item.availability || {}; // ADDED
+        if (span.mode === "always" || !isIsoDate(dateIso)) return true; // ADDED
+        if (isIsoDate(span.from) && dateIso < span.from) return false; // ADDED
+        if (isIsoDate(span.to) && dateIso > span.to) return false; // ADDED
+        return true; // ADDED
+    } // ADDED
+
     function findAvailableEquipmentByCapability(capabilityId, inventory) {
         return (inventory || []).filter(function (item) {
             return isEquipmentAvailable(item) && item.capabilities.indexOf(capabilityId) >= 0;
@@ -1236,6 +1287,119 @@ Draw.loadPlugin(function (ui) {
         return warnings;
     }
 
+    // -------------------------------------------------------------------------
+    // Booking conflicts across same-day task cards
+    // -------------------------------------------------------------------------
+
+    // Day lanes run their cards back to back, so equipment and the board's roster are both booked per day. // CHANGED
+    const BOOKING_SUGGESTION_LIMIT = 3; // ADDED
+
+    function countDayBookings(records) { // ADDED
+        const byDate = new Map(); // ADDED
+        records.forEach(function (record) { // ADDED
+            if (!byDate.has(record.dateISO)) byDate.set(record.dateISO, new Map()); // ADDED
+            const day = byDate.get(record.dateISO); // ADDED
+            record.equipmentIds.forEach(function (id) { day.set(id, (day.get(id) || 0) + 1); }); // ADDED
+        }); // ADDED
+        return byDate; // ADDED
+    } // ADDED
+
+    function bookedOn(bookings, dateIso, equipmentId) { // ADDED
+        const day = bookings.get(dateIso); // ADDED
+        return day ? day.get(equipmentId) || 0 : 0; // ADDED
+    } // ADDED
+
+    // A card ties up its assignees or its equipment's minimum crew, whichever is larger. // ADDED
+    function crewDemand(record, byId) { // ADDED
+        return record.equipmentIds.reduce(function (max, id) { return Math.max(max, byId.get(id).crewSizeMin); }, record.assigneeCount); // ADDED
+    } // ADDED
+
+    function sumDayCrewDemand(records, byId) { // ADDED
+        const byDate = new Map(); // ADDED
+        records.forEach(function (record) { byDate.set(record.dateISO, (byDate.get(record.dateISO) || 0) + crewDemand(record, byId)); }); // ADDED
+        return byDate; // ADDED
+    } // ADDED
+
+    function findBookingConflicts(records, options) { // ADDED
+        const opts = options || {}; // ADDED
+        const inventory = opts.inventory || (opts.moduleCell ? readEquipmentInventory(opts.moduleCell) : []); // ADDED
+        const byId = new Map(inventory.map(function (eq) { return [eq.id, eq]; })); // ADDED
+        const headcount = Math.max(0, Math.round(coerceNumber(opts.headcount, 0))); // CHANGED: 0 means no roster, so crew is not checked
+        const today = isIsoDate(opts.today) ? opts.today : ""; // ADDED
+        const days = (opts.days || []).filter(function (day) { return day && isIsoDate(day.dateISO) && !day.closed; }); // ADDED
+        const list = (records || []).map(function (record) { // ADDED
+            return { // ADDED
+                id: trim(record && record.id), // ADDED
+                dateISO: trim(record && record.dateISO), // ADDED
+                equipmentIds: uniqueStrings(splitCsv(record && record.equipmentIds)).filter(function (id) { return byId.has(id); }), // ADDED
+                assigneeCount: Math.max(0, Math.round(coerceNumber(record && record.assigneeCount, 0))) // ADDED
+            }; // ADDED
+        }).filter(function (record) { return record.id && isIsoDate(record.dateISO) && record.equipmentIds.length; }); // ADDED
+        const bookings = countDayBookings(list); // ADDED
+        const crewByDate = sumDayCrewDemand(list, byId); // ADDED
+
+        function hasSpare(item, dateIso) { // ADDED
+            return isEquipmentAvailableOn(item, dateIso) && bookedOn(bookings, dateIso, item.id) < item.quantity; // ADDED
+        } // ADDED
+
+        const conflicts = []; // ADDED
+        list.forEach(function (record) { // ADDED
+            const overbooked = record.equipmentIds.filter(function (id) { // ADDED
+                const item = byId.get(id); // ADDED
+                return !isEquipmentAvailableOn(item, record.dateISO) || bookedOn(bookings, record.dateISO, id) > item.quantity; // ADDED
+            }); // ADDED
+            const crewNeeded = crewByDate.get(record.dateISO) || 0; // CHANGED
+            const crewShort = headcount > 0 && crewNeeded > headcount; // CHANGED
+            if (!overbooked.length && !crewShort) return; // ADDED
+
+            const substitutes = []; // ADDED
+            record.equipmentIds.forEach(function (id) { // ADDED
+                const item = byId.get(id); // ADDED
+                const crewSwap = crewShort && item.crewSizeMin > 1; // ADDED
+                if (overbooked.indexOf(id) < 0 && !crewSwap) return; // CHANGED
+                inventory.filter(function (candidate) { // ADDED
+                    return record.equipmentIds.indexOf(candidate.id) < 0 && // ADDED
+                        (!headcount || candidate.crewSizeMin <= headcount) && // CHANGED
+                        (!crewSwap || candidate.crewSizeMin < item.crewSizeMin) && // ADDED
+                        candidate.capabilities.some(function (capabilityId) { return item.capabilities.indexOf(capabilityId) >= 0; }) && // ADDED
+                        hasSpare(candidate, record.dateISO); // ADDED
+                }).sort(byName).slice(0, BOOKING_SUGGESTION_LIMIT).forEach(function (candidate) { // ADDED
+                    substitutes.push({ equipmentId: id, substituteId: candidate.id, name: candidate.name }); // ADDED
+                }); // ADDED
+            }); // ADDED
+
+            // Another day must have the equipment spare and, when crew is short, room on the roster for this card. // CHANGED
+            const alternativeDays = days.filter(function (day) { // CHANGED
+                return day.dateISO !== record.dateISO && (!today || day.dateISO >= today) && // ADDED
+                    record.equipmentIds.every(function (id) { return hasSpare(byId.get(id), day.dateISO); }) && // CHANGED
+                    (!crewShort || (crewByDate.get(day.dateISO) || 0) + crewDemand(record, byId) <= headcount); // ADDED
+            }).slice(0, BOOKING_SUGGESTION_LIMIT).map(function (day) { return day.dateISO; }); // CHANGED
+
+            const messages = overbooked.map(function (id) { // ADDED
+                const item = byId.get(id); // ADDED
+                return isEquipmentAvailableOn(item, record.dateISO) // ADDED
+                    ? `${item.name} is booked by ${bookedOn(bookings, record.dateISO, id)} tasks on ${record.dateISO}; ${item.quantity} available.` // ADDED
+                    : `${item.name} is not available on ${record.dateISO}.`; // ADDED
+            }); // ADDED
+            if (crewShort) messages.push(`Cards on ${record.dateISO} need a crew of ${crewNeeded}; ${headcount} on the roster.`); // CHANGED
+
+            conflicts.push({ // ADDED
+                id: record.id, // ADDED
+                dateISO: record.dateISO, // ADDED
+                equipment: overbooked.map(function (id) { // ADDED
+                    return { equipmentId: id, name: byId.get(id).name, booked: bookedOn(bookings, record.dateISO, id), quantity: byId.get(id).quantity }; // ADDED
+                }), // ADDED
+                crew: crewShort ? { needed: crewNeeded, available: headcount } : null, // CHANGED
+                label: overbooked.map(function (id) { return byId.get(id).name; }) // ADDED
+                    .concat(crewShort ? [`crew ${crewNeeded}/${headcount}`] : []).join(", "), // CHANGED
+                message: messages.join(" "), // ADDED
+                alternativeDays, // ADDED
+                substitutes // ADDED
+            }); // ADDED
+        }); // ADDED
+        return conflicts; // ADDED
+    } // ADDED
+
     function chooseBestEquipmentEffect(taskType, quantity, inventory) {
         const taskTypeId = taskType && taskType.id;
         const available = (inventory || []).filter(isEquipmentAvailable);
@@ -1354,6 +1518,259 @@ Draw.loadPlugin(function (ui) {
         };
     }
 
+    // -------------------------------------------------------------------------
+    // Usage tracking and service task generation
+    // -------------------------------------------------------------------------
+
+    function localTodayIso() { // ADDED
+        const d = new Date(); // ADDED
+        return formatIsoDate(d.getFullYear(), d.getMonth() + 1, d.getDate()); // ADDED
+    } // ADDED
+
+    function collectTaskCards(moduleCell) { // ADDED
+        const cards = new Map(); // ADDED
+        walkCells(moduleCell, function (cell) { // ADDED
+            if (getCellAttr(cell, "kanban_card") === "1") cards.set(String(cell.id), cell); // ADDED
+        }); // ADDED
+        return cards; // ADDED
+    } // ADDED
+
+    function completedDateOf(card) { // ADDED
+        const completed = trim(getCellAttr(card, "completed")); // ADDED
+        return isIsoDate(completed) ? completed : ""; // ADDED
+    } // ADDED
+
+    // Hours a completed card kept its equipment busy: the stored estimate, else the task type model. // ADDED
+    function completedTaskHours(card, moduleCell, inventory) { // ADDED
+        const stored = coerceNumber(getCellAttr(card, TASK_ATTRS.TASK_ESTIMATED_HOURS), 0); // ADDED
+        if (stored > 0) return stored; // ADDED
+        if (!getCellAttr(card, TASK_ATTRS.TASK_TYPE_ID)) return 0; // ADDED
+        const estimate = estimateTaskHours({ cell: card }, { moduleCell: moduleCell, inventory: inventory }); // ADDED
+        return estimate && estimate.estimatedHours > 0 ? estimate.estimatedHours : 0; // ADDED
+    } // ADDED
+
+    function recordCompletedTaskUsage(inventory, cards, moduleCell) { // ADDED
+        const byId = new Map(inventory.map(function (eq) { return [eq.id, eq]; })); // ADDED
+        let recorded = 0; // ADDED
+        cards.forEach(function (card, cardId) { // ADDED
+            const completed = completedDateOf(card); // ADDED
+            const equipmentIds = completed ? splitCsv(getCellAttr(card, TASK_ATTRS.TASK_EQUIPMENT_IDS)) : []; // ADDED
+            if (!equipmentIds.length) return; // ADDED
+            let hours = null; // ADDED
+            uniqueStrings(equipmentIds).forEach(function (id) { // ADDED
+                const eq = byId.get(id); // ADDED
+                if (!eq || eq.usage.countedTaskIds.indexOf(cardId) >= 0) return; // ADDED
+                if (hours == null) hours = completedTaskHours(card, moduleCell, inventory); // ADDED
+                eq.usage.hoursUsed += hours; // ADDED
+                eq.usage.taskCount += 1; // ADDED
+                eq.usage.seasons = uniqueStrings(eq.usage.seasons.concat([completed.slice(0, 4)])).sort(); // ADDED
+                if (completed > eq.usage.lastUsedDate) eq.usage.lastUsedDate = completed; // ADDED
+                eq.usage.countedTaskIds.push(cardId); // ADDED
+                recorded += 1; // ADDED
+            }); // ADDED
+        }); // ADDED
+        return recorded; // ADDED
+    } // ADDED
+
+    function snapshotUsage(entry, usage) { // ADDED
+        entry.hoursUsed = usage.hoursUsed; // ADDED
+        entry.taskCount = usage.taskCount; // ADDED
+        entry.seasonCount = usage.seasons.length; // ADDED
+    } // ADDED
+
+    // Scheduled entries close when their card is completed, or are dismissed when the card is deleted unfinished. // ADDED
+    function closeFinishedServiceEntries(inventory, cards, today) { // ADDED
+        let closed = 0; // ADDED
+        inventory.forEach(function (eq) { // ADDED
+            eq.serviceHistory.forEach(function (entry) { // ADDED
+                if (entry.status !== "scheduled") return; // ADDED
+                const card = entry.taskCardId ? cards.get(entry.taskCardId) : null; // ADDED
+                const completed = card ? completedDateOf(card) : ""; // ADDED
+                if (card && !completed) return; // ADDED
+                entry.status = card ? "done" : "dismissed"; // ADDED
+                entry.closedDate = completed || today; // ADDED
+                snapshotUsage(entry, eq.usage); // ADDED
+                closed += 1; // ADDED
+            }); // ADDED
+        }); // ADDED
+        return closed; // ADDED
+    } // ADDED
+
+    function lastClosedService(eq, kind) { // ADDED
+        return eq.serviceHistory // ADDED
+            .filter(function (entry) { return entry.kind === kind && entry.status !== "scheduled"; }) // ADDED
+            .sort(function (a, b) { return a.closedDate.localeCompare(b.closedDate); }) // ADDED
+            .pop() || null; // ADDED
+    } // ADDED
+
+    function hasOpenService(eq, kind) { // ADDED
+        return eq.serviceHistory.some(function (entry) { return entry.kind === kind && entry.status === "scheduled"; }); // ADDED
+    } // ADDED
+
+    /**
+     * Works out whether an item needs a maintenance or replacement card on the given day. Maintenance
+     * intervals run from the last closed service (or the purchase date for yearly maintenance); a
+     * dismissed card restarts the interval the same way a completed one does.
+     */
+    function evaluateServiceDue(eq, today) { // ADDED
+        const due = { maintenance: null, replacement: null }; // ADDED
+        if (!eq || !SERVICED_STATUSES.has(eq.status)) return due; // ADDED
+
+        const every = coerceNumber(eq.maintenanceFrequency && eq.maintenanceFrequency.every, 0); // ADDED
+        if (every > 0 && !hasOpenService(eq, "maintenance")) { // ADDED
+            const last = lastClosedService(eq, "maintenance"); // ADDED
+            const basis = eq.maintenanceFrequency.basis; // ADDED
+            if (basis === "year") { // ADDED
+                const anchor = last ? last.closedDate : eq.purchaseDate; // ADDED
+                const dueDate = calculateReplacementDate(anchor, Math.max(1, every)); // ADDED
+                if (dueDate && today >= dueDate) due.maintenance = { dueDate: dueDate, reason: `Yearly service due ${dueDate}.` }; // ADDED
+            } else if (basis === "hours_used") { // ADDED
+                const used = eq.usage.hoursUsed - (last ? last.hoursUsed : 0); // ADDED
+                if (used >= every) due.maintenance = { dueDate: today, reason: `${formatHours(used)} of use since the last service (every ${formatHours(every)}).` }; // ADDED
+            } else if (basis === "task_count") { // ADDED
+                const tasks = eq.usage.taskCount - (last ? last.taskCount : 0); // ADDED
+                if (tasks >= every) due.maintenance = { dueDate: today, reason: `${tasks} completed tasks since the last service (every ${every}).` }; // ADDED
+            } else if (basis === "season") { // ADDED
+                const seasons = eq.usage.seasons.length - (last ? last.seasonCount : 0); // ADDED
+                if (seasons >= every) due.maintenance = { dueDate: today, reason: `${seasons} season${seasons === 1 ? "" : "s"} of use since the last service (every ${every}).` }; // ADDED
+            } // ADDED
+        } // ADDED
+
+        const replacementDate = eq.replacementDate; // ADDED
+        const replacementHandled = eq.serviceHistory.some(function (entry) { return entry.kind === "replacement" && entry.dueDate === replacementDate; }); // ADDED
+        if (isIsoDate(replacementDate) && today >= replacementDate && !replacementHandled) { // ADDED
+            due.replacement = { dueDate: replacementDate, reason: `Replacement date ${replacementDate} reached.` }; // ADDED
+        } // ADDED
+        return due; // ADDED
+    } // ADDED
+
+    function serviceTaskFor(eq, kind, due) { // ADDED
+        const notes = [due.reason]; // ADDED
+        if (kind === "maintenance") { // ADDED
+            if (eq.maintenanceTimeHours > 0) notes.push(`Allow ${formatHours(eq.maintenanceTimeHours)}.`); // ADDED
+            if (eq.maintenanceCost > 0) notes.push(`Budgeted cost $${eq.maintenanceCost.toFixed(2)}.`); // ADDED
+        } else if (eq.replacementCost > 0) { // ADDED
+            notes.push(`Budgeted replacement cost $${eq.replacementCost.toFixed(2)}.`); // ADDED
+        } // ADDED
+        return { // ADDED
+            title: `${kind === "maintenance" ? "Service" : "Replace"} ${eq.name}`, // ADDED
+            notes: notes.join("\n"), // ADDED
+            attributes: { // ADDED
+                equipment_id: eq.id, // ADDED
+                equipment_service_kind: kind, // ADDED
+                task_estimated_hours: kind === "maintenance" && eq.maintenanceTimeHours > 0 ? eq.maintenanceTimeHours : null // ADDED
+            } // ADDED
+        }; // ADDED
+    } // ADDED
+
+    /**
+     * Brings a module's equipment up to date with its task board: counts usage from completed cards,
+     * closes finished service entries and files a card for every maintenance or replacement now due.
+     * Items stay due until the Task Manager is loaded to receive their cards.
+     */
+    function syncEquipmentService(moduleCell, options) { // ADDED
+        const result = { usageRecorded: 0, closed: 0, created: [], pending: 0 }; // ADDED
+        if (!moduleCell) return result; // ADDED
+        const today = (options && options.today) || localTodayIso(); // ADDED
+        const tasksApi = typeof window !== "undefined" && window.USL ? window.USL.tasks : null; // ADDED
+        const canCreate = !!(tasksApi && typeof tasksApi.createTaskForCell === "function"); // ADDED
+        const cards = collectTaskCards(moduleCell); // ADDED
+        const inventory = readEquipmentInventory(moduleCell); // ADDED
+
+        model.beginUpdate(); // ADDED
+        try { // ADDED
+            result.usageRecorded = recordCompletedTaskUsage(inventory, cards, moduleCell); // ADDED
+            result.closed = closeFinishedServiceEntries(inventory, cards, today); // ADDED
+            inventory.forEach(function (eq) { // ADDED
+                const due = evaluateServiceDue(eq, today); // ADDED
+                SERVICE_KINDS.forEach(function (kind) { // ADDED
+                    if (!due[kind]) return; // ADDED
+                    if (!canCreate) { result.pending += 1; return; } // ADDED
+                    const task = serviceTaskFor(eq, kind, due[kind]); // ADDED
+                    const entry = normalizeServiceEntry({ kind: kind, status: "scheduled", createdDate: today, dueDate: due[kind].dueDate, reason: due[kind].reason }); // ADDED
+                    task.attributes.equipment_service_id = entry.id; // ADDED
+                    entry.taskCardId = String(tasksApi.createTaskForCell(moduleCell, Object.assign({ startISO: today, endISO: today }, task)) || ""); // ADDED
+                    if (!entry.taskCardId) { result.pending += 1; return; } // ADDED
+                    snapshotUsage(entry, eq.usage); // ADDED
+                    eq.serviceHistory.push(entry); // ADDED
+                    result.created.push({ equipmentId: eq.id, kind: kind, cardId: entry.taskCardId }); // ADDED
+                }); // ADDED
+            }); // ADDED
+            if (result.usageRecorded || result.closed || result.created.length) writeEquipmentInventory(moduleCell, inventory); // ADDED
+        } finally { // ADDED
+            model.endUpdate(); // ADDED
+        } // ADDED
+        return result; // ADDED
+    } // ADDED
+
+    // The dialog edits a snapshot of the inventory; usage and service history are owned by the sync, so // ADDED
+    // saving keeps whatever the sync recorded while the dialog was open. // ADDED
+    function mergeServiceRecords(inventory, stored) { // ADDED
+        const storedById = new Map((stored || []).map(function (eq) { return [eq.id, eq]; })); // ADDED
+        (inventory || []).forEach(function (eq) { // ADDED
+            const latest = storedById.get(eq.id); // ADDED
+            if (!latest) return; // ADDED
+            eq.usage = clone(latest.usage); // ADDED
+            eq.serviceHistory = clone(latest.serviceHistory); // ADDED
+        }); // ADDED
+    } // ADDED
+
+    const serviceSync = { running: false, timer: null, modules: new Set(), lastFullSyncDay: "" }; // ADDED
+
+    function runScheduledServiceSync() { // ADDED
+        serviceSync.timer = null; // ADDED
+        const modules = Array.from(serviceSync.modules); // ADDED
+        serviceSync.modules.clear(); // ADDED
+        const history = typeof window !== "undefined" && window.Trellis && window.Trellis.history; // ADDED
+        if (history && typeof history.isRestoring === "function" && history.isRestoring()) return; // ADDED
+        serviceSync.running = true; // ADDED
+        try { // ADDED
+            modules.forEach(function (moduleCell) { // ADDED
+                if (!model.getParent(moduleCell) && moduleCell !== model.getRoot()) return; // ADDED
+                try { // ADDED
+                    syncEquipmentService(moduleCell); // ADDED
+                } catch (err) { // ADDED
+                    console.warn("Trellis Equipment: service sync failed", err); // ADDED
+                } // ADDED
+            }); // ADDED
+        } finally { // ADDED
+            serviceSync.running = false; // ADDED
+        } // ADDED
+    } // ADDED
+
+    function scheduleServiceSync(moduleCells) { // ADDED
+        (moduleCells || []).forEach(function (moduleCell) { if (moduleCell) serviceSync.modules.add(moduleCell); }); // ADDED
+        if (!serviceSync.modules.size || serviceSync.timer) return; // ADDED
+        serviceSync.timer = setTimeout(runScheduledServiceSync, 0); // ADDED
+    } // ADDED
+
+    function findAllGardenModules() { // ADDED
+        const out = []; // ADDED
+        walkCells(model.getRoot && model.getRoot(), function (cell) { if (isGardenModule(cell)) out.push(cell); }); // ADDED
+        return out; // ADDED
+    } // ADDED
+
+    // Card edits sync their own module; the first change of each day also checks every module for // ADDED
+    // date-based maintenance and replacement dates. // ADDED
+    function onModelChangedForService(sender, evt) { // ADDED
+        if (serviceSync.running) return; // ADDED
+        const edit = evt && evt.getProperty ? evt.getProperty("edit") : null; // ADDED
+        const changes = edit && edit.changes ? edit.changes : []; // ADDED
+        const modules = []; // ADDED
+        changes.forEach(function (change) { // ADDED
+            const cell = change && (change.cell || change.child); // ADDED
+            if (!cell || getCellAttr(cell, "kanban_card") !== "1") return; // ADDED
+            const moduleCell = findAncestorGardenModule(model.getParent(cell) || (change.child ? change.previous : null)); // ADDED
+            if (moduleCell) modules.push(moduleCell); // ADDED
+        }); // ADDED
+        const today = localTodayIso(); // ADDED
+        if (serviceSync.lastFullSyncDay !== today) { // ADDED
+            serviceSync.lastFullSyncDay = today; // ADDED
+            modules.push.apply(modules, findAllGardenModules()); // ADDED
+        } // ADDED
+        scheduleServiceSync(modules); // ADDED
+    } // ADDED
+
     // -------------------------------------------------------------------------
     // Public scheduler-control helper
     // -------------------------------------------------------------------------
@@ -1579,7 +1996,8 @@ Draw.loadPlugin(function (ui) {
             cropOptionsStatus: "loading", // NEW
             cropOptionsError: "", // NEW
             bedConditionGroups: getBedConditionOptionGroups(), // NEW
-            validationReport: null // NEW
+            validationReport: null, // NEW
+            serviceSyncMessage: "" // ADDED
         };
 
         if (state.inventory.length) state.selectedEquipmentId = state.inventory[0].id;
@@ -1601,6 +2019,7 @@ Draw.loadPlugin(function (ui) {
                 alert("Fix equipment validation errors before saving."); // NEW
                 return false; // NEW
             } // NEW
+            mergeServiceRecords(state.inventory, readEquipmentInventory(state.moduleCell)); // ADDED
             writeEquipmentInventory(state.moduleCell, state.inventory);
             writeTaskTypeRegistry(state.moduleCell, state.taskTypes);
             writeCapabilityRegistry(state.moduleCell, state.capabilities);
@@ -1629,7 +2048,7 @@ Draw.loadPlugin(function (ui) {
             else if (state.activeTab === "taskTypes") body.appendChild(renderTaskTypesPane(state, render));
             else if (state.activeTab === "capabilities") body.appendChild(renderCapabilitiesPane(state, render));
             else if (state.activeTab === "efficiency") body.appendChild(renderEfficiencyPane(state, render));
-            else if (state.activeTab === "maintenance") body.appendChild(renderMaintenancePane(state));
+            else if (state.activeTab === "maintenance") body.appendChild(renderMaintenancePane(state, render)); // CHANGE
             else if (state.activeTab === "warnings") body.appendChild(renderWarningsPane(state));
 
             dialog.appendChild(renderFooter(state, render, saveAll, saveAndClose, close));
@@ -1880,6 +2299,7 @@ Draw.loadPlugin(function (ui) {
         grid.appendChild(field("Cleanup Time (hours)", numberInput(eq.cleanupTimeHours, function (e) { eq.cleanupTimeHours = coerceNumber(e.target.value, 0); })));
         grid.appendChild(field("Crew Size Min", numberInput(eq.crewSizeMin, function (e) { eq.crewSizeMin = coerceNumber(e.target.value, 1); })));
         grid.appendChild(field("Crew Size Max", numberInput(eq.crewSizeMax, function (e) { eq.crewSizeMax = coerceNumber(e.target.value, 1); })));
+        grid.appendChild(field("Quantity", wholeNumberInput(eq.quantity, function (e) { eq.quantity = Math.max(1, Math.round(coerceNumber(e.target.value, 1))); }))); // ADDED
         grid.appendChild(field("Minimum Useful Scale Value", numberInput(eq.minimumUsefulScale.value, function (e) { eq.minimumUsefulScale.value = coerceNumber(e.target.value, 0); })));
         grid.appendChild(field("Minimum Useful Scale Unit", selectInput(QUANTITY_BASES.map(optPair), eq.minimumUsefulScale.unit, function (e) { eq.minimumUsefulScale.unit = e.target.value; })));
         grid.appendChild(field("Maximum Useful Scale Value", numberInput(eq.maximumUsefulScale.value, function (e) { eq.maximumUsefulScale.value = coerceNumber(e.target.value, 0); })));
@@ -1962,6 +2382,35 @@ Draw.loadPlugin(function (ui) {
         grid.appendChild(field("Maintenance Time (hours)", numberInput(eq.maintenanceTimeHours, function (e) { eq.maintenanceTimeHours = coerceNumber(e.target.value, 0); })));
         grid.appendChild(field("Maintenance Cost ($)", numberInput(eq.maintenanceCost, function (e) { eq.maintenanceCost = coerceNumber(e.target.value, 0); })));
         body.appendChild(grid);
+        body.appendChild(renderServiceHistory(eq)); // ADDED
+    } // ADDED
+
+    function renderServiceHistory(eq) { // ADDED
+        const wrap = div("trellis-eq-service-history"); // ADDED
+        wrap.appendChild(textDiv("trellis-eq-section-title", "Usage & Service History")); // ADDED
+        wrap.appendChild(textDiv("trellis-eq-small-muted", `${formatHours(eq.usage.hoursUsed)} over ${eq.usage.taskCount} completed task${eq.usage.taskCount === 1 ? "" : "s"} in ${eq.usage.seasons.length} season${eq.usage.seasons.length === 1 ? "" : "s"}${eq.usage.lastUsedDate ? `, last used ${eq.usage.lastUsedDate}` : ""}.`)); // ADDED
+        if (!eq.serviceHistory.length) { // ADDED
+            wrap.appendChild(textDiv("trellis-eq-small-muted", "No maintenance or replacement cards have been filed yet.")); // ADDED
+            return wrap; // ADDED
+        } // ADDED
+        const table = document.createElement("table"); // ADDED
+        table.className = "trellis-eq-table"; // ADDED
+        table.innerHTML = "<thead><tr><th>Filed</th><th>Kind</th><th>Status</th><th>Closed</th><th>Usage at Close</th><th>Reason</th></tr></thead>"; // ADDED
+        const tbody = document.createElement("tbody"); // ADDED
+        eq.serviceHistory.slice().reverse().forEach(function (entry) { // ADDED
+            const tr = document.createElement("tr"); // ADDED
+            tr.setAttribute("data-service-entry-id", entry.id); // ADDED
+            tr.appendChild(td(entry.createdDate || "—")); // ADDED
+            tr.appendChild(td(entry.kind)); // ADDED
+            tr.appendChild(td(entry.status)); // ADDED
+            tr.appendChild(td(entry.closedDate || "—")); // ADDED
+            tr.appendChild(td(entry.status === "scheduled" ? "—" : `${formatHours(entry.hoursUsed)} / ${entry.taskCount} tasks`)); // ADDED
+            tr.appendChild(td(entry.reason)); // ADDED
+            tbody.appendChild(tr); // ADDED
+        }); // ADDED
+        table.appendChild(tbody); // ADDED
+        wrap.appendChild(table); // ADDED
+        return wrap; // ADDED
     }
 
     function renderEquipmentNotes(body, eq, render) {
@@ -2167,13 +2616,24 @@ Draw.loadPlugin(function (ui) {
         return pane;
     }
 
-    function renderMaintenancePane(state) {
+    function renderMaintenancePane(state, render) { // CHANGE
         const pane = div("trellis-eq-warning-list");
         pane.appendChild(textDiv("trellis-eq-section-title", "Maintenance & Costs"));
+        const toolbar = div("trellis-eq-toolbar"); // ADDED
+        toolbar.appendChild(buttonEl("Check Service Now", "trellis-eq-btn", function () { // ADDED
+            const result = syncEquipmentService(state.moduleCell); // ADDED
+            mergeServiceRecords(state.inventory, readEquipmentInventory(state.moduleCell)); // ADDED
+            state.serviceSyncMessage = result.created.length // ADDED
+                ? `Filed ${result.created.length} service card${result.created.length === 1 ? "" : "s"} on the task board.` // ADDED
+                : result.pending ? `${result.pending} service card${result.pending === 1 ? " is" : "s are"} due, but the Task Manager is not available.` : "No maintenance or replacement is due."; // ADDED
+            render(); // ADDED
+        }, "Count usage from completed task cards and file maintenance or replacement cards that are due.")); // ADDED
+        if (state.serviceSyncMessage) toolbar.appendChild(textDiv("trellis-eq-small-muted", state.serviceSyncMessage)); // ADDED
+        pane.appendChild(toolbar); // ADDED
         const tableWrap = div("trellis-eq-table-wrap");
         const table = document.createElement("table");
         table.className = "trellis-eq-table";
-        table.innerHTML = "<thead><tr><th>Equipment</th><th>Status</th><th>Maintenance Basis</th><th>Annual Hours</th><th>Annual Cost</th><th>Replacement</th></tr></thead>";
+        table.innerHTML = "<thead><tr><th>Equipment</th><th>Status</th><th>Maintenance Basis</th><th>Annual Hours</th><th>Annual Cost</th><th>Replacement</th><th>Usage</th><th>Last Service</th></tr></thead>"; // CHANGE
         const tbody = document.createElement("tbody");
         state.inventory.sort(byName).forEach(function (eq) {
             const tr = document.createElement("tr");
@@ -2183,6 +2643,9 @@ Draw.loadPlugin(function (ui) {
             tr.appendChild(td(formatHours(annualMaintenanceHours(eq))));
             tr.appendChild(td("$" + annualMaintenanceCost(eq).toFixed(2)));
             tr.appendChild(td(eq.replacementDate || (eq.expectedLifespanYears ? `${eq.expectedLifespanYears} yrs` : "—")));
+            tr.appendChild(td(`${formatHours(eq.usage.hoursUsed)} / ${eq.usage.taskCount} tasks`)); // ADDED
+            const lastService = lastClosedService(eq, "maintenance"); // ADDED
+            tr.appendChild(td(hasOpenService(eq, "maintenance") ? "Card open" : lastService ? `${lastService.closedDate} (${lastService.status})` : "—")); // ADDED
             tbody.appendChild(tr);
         });
         table.appendChild(tbody);
@@ -2870,10 +3333,14 @@ Draw.loadPlugin(function (ui) {
         writeCapabilityRegistry: writeCapabilityRegistry,
         isEquipmentAvailable: isEquipmentAvailable,
         findAvailableEquipmentByCapability: findAvailableEquipmentByCapability,
+        isEquipmentAvailableOn: isEquipmentAvailableOn, // ADDED
+        findBookingConflicts: findBookingConflicts, // ADDED
         checkCapabilities: checkCapabilities,
         buildTaskEquipmentWarnings: buildTaskEquipmentWarnings,
         buildAllWarnings: buildAllWarnings,
         estimateTaskHours: estimateTaskHours,
+        syncEquipmentService: syncEquipmentService, // ADDED
+        evaluateServiceDue: evaluateServiceDue, // ADDED
         renderTaskTypeControls: renderTaskTypeControls,
         __test: { // NEW
             normalizeEquipment: normalizeEquipment, // NEW
@@ -2898,5 +3365,6 @@ Draw.loadPlugin(function (ui) {
     };
 
     addActionAndMenus();
+    if (model.addListener && typeof mxEvent !== "undefined") model.addListener(mxEvent.CHANGE, onModelChangedForService); // ADDED
     fireTrellisEvent("trellisEquipmentPluginReady", { graph, api: graph.__trellisEquipment });
 });
@@ -7,6 +7,7 @@
  * - Diagram-native HUD irrigation mode.
  * - Compatibility-filtered graph connections.
  * - Bed-template commits and dashboard-ready report summaries.
+ * - Zone watering schedules from crop stage and reference ET0, synced as board tasks.
  */
 Draw.loadPlugin(function (ui) {
     const graph = ui && ui.editor && ui.editor.graph;
@@ -26,6 +27,15 @@ Draw.loadPlugin(function (ui) {
     const CM_PER_FOOT = 30.48;
     const HUD_SYNC_DEBOUNCE_MS = 200; // NEW
     const TRELLIS_DIALOG_Z = 2000000000; // NEW
+    const WATERING_HORIZON_DAYS = 7; // ADDED
+    const WATERING_EFFECTIVE_RAIN_FACTOR = 0.8; // ADDED
+    const WATERING_APPLICATION_EFFICIENCY = 0.9; // ADDED
+    const WATERING_SOIL_BUFFER_MM = 20; // surplus rain the root zone holds for following days // ADDED
+    const WATERING_MIN_RUN_MINUTES = 2; // ADDED
+    const WATERING_KC = Object.freeze({ initial: 0.4, mid: 1.05, end: 0.8, perennial: 0.85 }); // ADDED
+    const WATERING_TASK_METHOD = "Irrigation"; // ADDED
+    const LITERS_PER_HOUR_PER_GPM = 227.1247; // ADDED
+    const CROP_TIMELINE_ATTRS = ["sow_date", "transplant_date", "maturity_date", "harvest_start", "harvest_end", "lifespan_start", "lifespan_end"]; // ADDED
 
     const ATTRS = {
         CATALOG_JSON: "irrigation_catalog_json",
@@ -2577,9 +2587,17 @@ Draw.loadPlugin(function (ui) {
     function bedAreaM2(bed) {
         const geo = getGeometry(bed);
         if (!geo) return 0;
-        return unitsToAreaM2(Number(geo.width) || 0, Number(geo.height) || 0);
+        return unitsToAreaM2(Number(geo.width) || 0, Number(geo.height) || 0) * bedOutlineAreaFactor(bed); // CHANGE
     }
 
+    // Ellipse and polygon beds cover only part of their bounds; Garden_Scale owns the outline math. // ADDED
+    function bedOutlineAreaFactor(bed) { // ADDED
+        const scale = typeof window !== "undefined" && window.TrellisGardenScale; // ADDED
+        if (!scale || typeof scale.bedOutlineAreaFactor !== "function") return 1; // ADDED
+        const factor = Number(scale.bedOutlineAreaFactor(bed)); // ADDED
+        return Number.isFinite(factor) && factor > 0 ? Math.min(1, factor) : 1; // ADDED
+    } // ADDED
+
     function createReportUsage() { // NEW
         return { partIds: [], partCosts: [], controlledZones: new Set() }; // NEW
     } // NEW
@@ -2606,7 +2624,7 @@ Draw.loadPlugin(function (ui) {
         if (path.pipeSegments && path.pipeSegments.length) { // NEW
             (path.pipeSegments || []).forEach(function (segment) { // NEW
                 const pipePart = partById(catalog, segment.pipePartId); // NEW
-                addReportPartUsage(usage, segment.pipePartId, finiteNumber(pipePart && pipePart.unitCost, pipePart && pipePart.cost || 0) * finiteNumber(segment.lengthFt, 0)); // NEW
+                addReportPartUsage(usage, segment.pipePartId, finiteNumber(pipePart && pipePart.unitCost, pipePart && pipePart.cost || 0) * finiteNumber(segment.lengthFt, 0), finiteNumber(segment.lengthFt, 0) * METERS_PER_FOOT); // CHANGE
             }); // NEW
         } else if (path.pipePartIds && path.pipePartIds.length) { // NEW
             (path.pipePartIds || []).forEach(function (pipePartId) { addReportPartUsage(usage, pipePartId, Hydraulics.partCostForReport(moduleCell, catalog, path, pipePartId)); }); // CHANGE
@@ -2634,11 +2652,17 @@ Draw.loadPlugin(function (ui) {
         const irrigatedBedIds = new Set();
         const completeBedIds = new Set();
         const usage = createReportUsage(); // CHANGE
+        const bedPartCosts = {}; // ADDED
         const criticalWarnings = [];
         let worstHydraulicMarginPsi = null;
 
         paths.forEach(function (path) {
+            const firstCostIndex = usage.partCosts.length; // ADDED
             collectPathReportUsage(moduleCell, catalog, path, usage); // CHANGE
+            if (path.targetBedId) { // ADDED
+                const pathCost = usage.partCosts.slice(firstCostIndex).reduce(function (sum, entry) { return sum + finiteNumber(entry.cost, 0); }, 0); // ADDED
+                bedPartCosts[path.targetBedId] = finiteNumber(bedPartCosts[path.targetBedId], 0) + pathCost; // ADDED
+            } // ADDED
             if (path.bedTemplateCommitted && path.targetBedId) {
                 irrigatedBedIds.add(path.targetBedId);
                 const blockers = pathBlockingErrors(path, catalog).concat(Hydraulics.validateSharedCapacity(moduleCell, path)); // CHANGE
@@ -2673,6 +2697,7 @@ Draw.loadPlugin(function (ui) {
             percentIrrigated: totalBedAreaM2 > 0 ? (irrigatedAreaM2 / totalBedAreaM2) * 100 : 0,
             purchaseNeededCost,
             totalDesignValue,
+            bedPartCosts, // ADDED
             zoneCount: zoneReport.zoneCount || usage.controlledZones.size, // CHANGE
             emptyZoneCount: zoneReport.emptyZoneCount, // NEW
             unzonedBedCount: zoneReport.unzonedBedCount, // NEW
@@ -2692,6 +2717,47 @@ Draw.loadPlugin(function (ui) {
         return summary;
     } // NEW
 
+    // Bill of materials over the same part usage the report summary prices, one line per catalog part. // ADDED
+    function buildReportBom(moduleCell, options) { // ADDED
+        const catalog = options && options.catalog ? options.catalog : IrrigationCatalog.read(moduleCell); // ADDED
+        const paths = options && options.paths ? options.paths : ReportModel.deriveAssemblyPaths(moduleCell); // ADDED
+        const usage = createReportUsage(); // ADDED
+        paths.forEach(function (path) { collectPathReportUsage(moduleCell, catalog, path, usage); }); // ADDED
+        const lines = new Map(); // ADDED
+        usage.partCosts.forEach(function (entry) { // ADDED
+            let line = lines.get(entry.partId); // ADDED
+            if (!line) { // ADDED
+                const part = partById(catalog, entry.partId); // ADDED
+                line = { partId: entry.partId, name: part ? part.name : "", category: part ? part.category : "", stockState: part ? part.stockState : "missing", quantity: 0, quantityMeters: 0, cost: 0, purchaseNeeded: !!(part && PURCHASE_NEEDED.has(part.stockState)) }; // ADDED
+                lines.set(entry.partId, line); // ADDED
+            } // ADDED
+            if (entry.quantityMeters != null) line.quantityMeters += finiteNumber(entry.quantityMeters, 0); // ADDED
+            else line.quantity += 1; // ADDED
+            line.cost += finiteNumber(entry.cost, 0); // ADDED
+        }); // ADDED
+        return Array.from(lines.values()).sort(function (a, b) { // ADDED
+            return a.category.localeCompare(b.category) || a.name.localeCompare(b.name) || a.partId.localeCompare(b.partId); // ADDED
+        }); // ADDED
+    } // ADDED
+
+    // Headless --trellis-report output: summary and BOM per garden module, computed without writing to the diagram. // ADDED
+    function buildIrrigationReports() { // ADDED
+        const usedNames = new Set(); // ADDED
+        return collectDescendants(model.getRoot(), isGardenModule).map(function (moduleCell) { // ADDED
+            const paths = ReportModel.deriveAssemblyPaths(moduleCell); // ADDED
+            const moduleName = GraphStore.getAttr(moduleCell, "label", "") || getCellId(moduleCell); // ADDED
+            let name = "irrigation-" + String(moduleName).replace(/[^\w\-]+/g, "_").slice(0, 60); // ADDED
+            if (usedNames.has(name)) name += "-" + getCellId(moduleCell); // ADDED
+            usedNames.add(name); // ADDED
+            const report = { // ADDED
+                module: { id: getCellId(moduleCell), name: moduleName }, // ADDED
+                summary: ReportModel.buildSummary(moduleCell, { paths: paths }), // ADDED
+                bom: ReportModel.buildBom(moduleCell, { paths: paths }) // ADDED
+            }; // ADDED
+            return { name: name, format: "json", content: JSON.stringify(report, null, 2) }; // ADDED
+        }); // ADDED
+    } // ADDED
+
     function persistReportSummary(moduleCell, summary) { // NEW
         GraphStore.writeJsonAttr(moduleCell, ATTRS.REPORT_JSON, { version: PLUGIN_VERSION, summary }); // NEW
         GraphStore.writeJsonAttr(moduleCell, ATTRS.DASHBOARD_JSON, summary); // NEW
@@ -4979,6 +5045,7 @@ Draw.loadPlugin(function (ui) {
         } // NEW
         const controls = hudActions(); // NEW
         controls.appendChild(button("New Manual Zone", function () { runIrrigationEdit("newManualZone", function () { ZoneModel.createManual(moduleCell, "Manual Zone", []); HudController.syncGraphState(moduleCell); }); renderZoneManager(container, moduleCell, state, session); if (session) renderIrrigationMode(session); })); // CHANGE
+        controls.appendChild(button("Watering Schedule", function () { openWateringScheduleDialog(moduleCell); })); // ADDED
         controls.appendChild(button("Close", hideDialog)); // NEW
         container.appendChild(controls); // NEW
     } // NEW
@@ -5772,7 +5839,358 @@ Draw.loadPlugin(function (ui) {
         else if (typeof alert !== "undefined") alert(message);
     }
 
-    // Architecture seams: GraphStore owns diagram cell/JSON persistence, ConnectorRules owns connector/port decisions, Hydraulics owns demand/route/capacity checks, ReportModel owns report/dashboard build and writes, ZoneModel owns zone derivation and overrides, and HudController owns UI mode orchestration. Rendering paths must remain write-free; explicit sync/report/write methods persist derived state. // CHANGE
+    // -------------------- Watering schedule --------------------
+    // FAO-56 style crop water balance: ET0 (forecast, or Hargreaves from temperatures) x stage Kc, less effective rain, divided by the zone's application rate. // ADDED
+    function isoDayNumber(value) { // ADDED
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || "")); // ADDED
+        return match ? Math.round(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / 86400000) : null; // ADDED
+    } // ADDED
+
+    function isoFromDayNumber(dayNumber) { // ADDED
+        return new Date(dayNumber * 86400000).toISOString().slice(0, 10); // ADDED
+    } // ADDED
+
+    function localTodayISO() { // ADDED
+        const now = new Date(); // ADDED
+        return [now.getFullYear(), String(now.getMonth() + 1).padStart(2, "0"), String(now.getDate()).padStart(2, "0")].join("-"); // ADDED
+    } // ADDED
+
+    function dayOfYear(dateISO) { // ADDED
+        const day = isoDayNumber(dateISO); // ADDED
+        return day == null ? null : day - isoDayNumber(String(dateISO).slice(0, 4) + "-01-01") + 1; // ADDED
+    } // ADDED
+
+    function firstDayNumber(values) { // ADDED
+        for (let i = 0; i < values.length; i++) { // ADDED
+            const day = isoDayNumber(values[i]); // ADDED
+            if (day != null) return day; // ADDED
+        } // ADDED
+        return null; // ADDED
+    } // ADDED
+
+    function optionalNumber(value) { // ADDED
+        return value == null || value === "" ? null : finiteNumber(value, null); // ADDED
+    } // ADDED
+
+    function roundTo(value, places) { // ADDED
+        const factor = Math.pow(10, places || 0); // ADDED
+        return Math.round(finiteNumber(value, 0) * factor) / factor; // ADDED
+    } // ADDED
+
+    function cropCoefficientOnDate(timeline, dateISO) { // ADDED
+        const t = timeline || {}; // ADDED
+        const day = isoDayNumber(dateISO); // ADDED
+        if (day == null) return null; // ADDED
+        const lifespanStart = isoDayNumber(t.lifespan_start); // ADDED
+        if (lifespanStart != null) { // ADDED
+            const lifespanEnd = isoDayNumber(t.lifespan_end); // ADDED
+            if (day < lifespanStart || (lifespanEnd != null && day > lifespanEnd)) return null; // ADDED
+            return { stage: "perennial", kc: WATERING_KC.perennial }; // ADDED
+        } // ADDED
+        const start = firstDayNumber([t.transplant_date, t.sow_date]); // ADDED
+        const end = firstDayNumber([t.harvest_end, t.harvest_start, t.maturity_date]); // ADDED
+        if (start == null || end == null || day < start || day > end) return null; // ADDED
+        const maturity = firstDayNumber([t.maturity_date, t.harvest_start, t.harvest_end]); // ADDED
+        const lateStart = Math.max(start, firstDayNumber([t.harvest_start, t.maturity_date, t.harvest_end])); // ADDED
+        const fraction = (day - start) / Math.max(1, maturity - start); // ADDED
+        if (fraction < 0.2) return { stage: "initial", kc: WATERING_KC.initial }; // ADDED
+        if (fraction < 0.5) return { stage: "development", kc: WATERING_KC.initial + (fraction - 0.2) / 0.3 * (WATERING_KC.mid - WATERING_KC.initial) }; // ADDED
+        if (day < lateStart || end <= lateStart) return { stage: "mid", kc: WATERING_KC.mid }; // ADDED
+        return { stage: "late", kc: WATERING_KC.mid - (day - lateStart) / (end - lateStart) * (WATERING_KC.mid - WATERING_KC.end) }; // ADDED
+    } // ADDED
+
+    function extraterrestrialRadiationMm(latitudeDeg, doy) { // ADDED
+        const phi = latitudeDeg * Math.PI / 180; // ADDED
+        const angle = 2 * Math.PI * doy / 365; // ADDED
+        const inverseDistance = 1 + 0.033 * Math.cos(angle); // ADDED
+        const declination = 0.409 * Math.sin(angle - 1.39); // ADDED
+        const sunset = Math.acos(Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(declination)))); // ADDED
+        const radiationMj = 24 * 60 / Math.PI * 0.082 * inverseDistance * (sunset * Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.sin(sunset)); // ADDED
+        return Math.max(0, radiationMj * 0.408); // ADDED
+    } // ADDED
+
+    function hargreavesEt0Mm(tempMinC, tempMaxC, latitudeDeg, doy) { // ADDED
+        const tMin = optionalNumber(tempMinC); // ADDED
+        const tMax = optionalNumber(tempMaxC); // ADDED
+        const latitude = optionalNumber(latitudeDeg); // ADDED
+        if (tMin == null || tMax == null || latitude == null || !(doy > 0)) return null; // ADDED
+        const mean = (tMin + tMax) / 2; // ADDED
+        return Math.max(0, 0.0023 * extraterrestrialRadiationMm(latitude, doy) * (mean + 17.8) * Math.sqrt(Math.max(0, tMax - tMin))); // ADDED
+    } // ADDED
+
+    function weatherRowRainMm(row) { // ADDED
+        const rain = optionalNumber(row && row.rain_mm); // ADDED
+        return rain != null ? rain : finiteNumber(row && row.precipitation_mm, 0); // ADDED
+    } // ADDED
+
+    function buildWateringWeather(input) { // ADDED
+        const options = input || {}; // ADDED
+        const startDay = isoDayNumber(options.startISO); // ADDED
+        const dayCount = Math.max(0, Math.floor(finiteNumber(options.days, WATERING_HORIZON_DAYS))); // ADDED
+        if (startDay == null) return []; // ADDED
+        const latestForecast = new Map(); // ADDED
+        (options.forecastRows || []).forEach(function (row) { // ADDED
+            const date = String(row && row.forecast_date || "").slice(0, 10); // ADDED
+            const prior = latestForecast.get(date); // ADDED
+            if (!prior || String(row.run_timestamp || "") >= String(prior.run_timestamp || "")) latestForecast.set(date, row); // ADDED
+        }); // ADDED
+        const historyByMonthDay = new Map(); // ADDED
+        (options.historyRows || []).forEach(function (row) { // ADDED
+            const key = String(row && row.weather_date || "").slice(5, 10); // ADDED
+            if (!historyByMonthDay.has(key)) historyByMonthDay.set(key, []); // ADDED
+            historyByMonthDay.get(key).push(row); // ADDED
+        }); // ADDED
+        const out = []; // ADDED
+        for (let i = 0; i < dayCount; i++) { // ADDED
+            const dateISO = isoFromDayNumber(startDay + i); // ADDED
+            const doy = dayOfYear(dateISO); // ADDED
+            const forecast = latestForecast.get(dateISO); // ADDED
+            if (forecast) { // ADDED
+                const reported = optionalNumber(forecast.et0_fao_evapotranspiration_mm); // ADDED
+                const et0 = reported != null ? reported : hargreavesEt0Mm(forecast.temp_min_c, forecast.temp_max_c, options.latitude, doy); // ADDED
+                out.push({ dateISO, et0Mm: et0 == null ? null : roundTo(et0, 2), rainMm: roundTo(weatherRowRainMm(forecast), 2), source: et0 == null ? "missing" : (reported != null ? "forecast" : "forecast_hargreaves") }); // ADDED
+                continue; // ADDED
+            } // ADDED
+            const history = historyByMonthDay.get(dateISO.slice(5)) || []; // ADDED
+            const et0Values = history.map(function (row) { return hargreavesEt0Mm(row.temp_min_c, row.temp_max_c, options.latitude, doy); }).filter(function (value) { return value != null; }); // ADDED
+            const rain = history.length ? history.reduce(function (sum, row) { return sum + weatherRowRainMm(row); }, 0) / history.length : 0; // ADDED
+            const et0 = et0Values.length ? et0Values.reduce(function (sum, value) { return sum + value; }, 0) / et0Values.length : null; // ADDED
+            out.push({ dateISO, et0Mm: et0 == null ? null : roundTo(et0, 2), rainMm: roundTo(rain, 2), source: et0 == null ? "missing" : "history" }); // ADDED
+        } // ADDED
+        return out; // ADDED
+    } // ADDED
+
+    function zoneApplicationRateMmPerHour(flowGpm, areaM2) { // ADDED
+        const flow = finiteNumber(flowGpm, 0); // ADDED
+        const area = finiteNumber(areaM2, 0); // ADDED
+        return flow > 0 && area > 0 ? flow * LITERS_PER_HOUR_PER_GPM / area : 0; // ADDED
+    } // ADDED
+
+    function buildWateringSchedule(input) { // ADDED
+        const options = input || {}; // ADDED
+        const weather = options.weather || []; // ADDED
+        const efficiency = finiteNumber(options.efficiency, WATERING_APPLICATION_EFFICIENCY); // ADDED
+        const missingWeatherDays = weather.filter(function (day) { return day.source === "missing"; }).length; // ADDED
+        const zones = (options.zones || []).map(function (zone) { // ADDED
+            const rateMmPerHour = zoneApplicationRateMmPerHour(zone.flowGpm, zone.areaM2); // ADDED
+            const warnings = []; // ADDED
+            if (!(rateMmPerHour > 0)) warnings.push("Zone has no emitter flow or bed area, so run time cannot be computed."); // ADDED
+            let storedRainMm = 0; // ADDED
+            let carriedMm = 0; // ADDED
+            const days = weather.map(function (day) { // ADDED
+                let kc = 0; // ADDED
+                let stage = ""; // ADDED
+                (zone.beds || []).forEach(function (bed) { // ADDED
+                    (bed.crops || []).forEach(function (crop) { // ADDED
+                        const coefficient = cropCoefficientOnDate(crop && crop.timeline, day.dateISO); // ADDED
+                        if (coefficient && coefficient.kc > kc) { kc = coefficient.kc; stage = coefficient.stage; } // ADDED
+                    }); // ADDED
+                }); // ADDED
+                const etcMm = day.et0Mm == null ? 0 : day.et0Mm * kc; // ADDED
+                storedRainMm = Math.min(WATERING_SOIL_BUFFER_MM, storedRainMm + finiteNumber(day.rainMm, 0) * WATERING_EFFECTIVE_RAIN_FACTOR); // ADDED
+                const fromRain = Math.min(storedRainMm, etcMm + carriedMm); // ADDED
+                storedRainMm -= fromRain; // ADDED
+                const netMm = etcMm + carriedMm - fromRain; // ADDED
+                const exactMinutes = rateMmPerHour > 0 ? netMm / (rateMmPerHour * efficiency) * 60 : 0; // ADDED
+                const runMinutes = exactMinutes >= WATERING_MIN_RUN_MINUTES ? Math.round(exactMinutes) : 0; // ADDED
+                carriedMm = runMinutes ? 0 : netMm; // ADDED
+                return { dateISO: day.dateISO, et0Mm: day.et0Mm, rainMm: day.rainMm, source: day.source, kc: roundTo(kc, 2), stage, etcMm: roundTo(etcMm, 2), netMm: runMinutes ? roundTo(netMm, 2) : 0, runMinutes }; // ADDED
+            }); // ADDED
+            return { // ADDED
+                id: zone.id, // ADDED
+                name: zone.name, // ADDED
+                targetCellId: zone.targetCellId || "", // ADDED
+                flowGpm: roundTo(zone.flowGpm, 2), // ADDED
+                areaM2: roundTo(zone.areaM2, 2), // ADDED
+                rateMmPerHour: roundTo(rateMmPerHour, 2), // ADDED
+                days, // ADDED
+                totalMinutes: days.reduce(function (sum, day) { return sum + day.runMinutes; }, 0), // ADDED
+                wateringDays: days.filter(function (day) { return day.runMinutes > 0; }).length, // ADDED
+                warnings // ADDED
+            }; // ADDED
+        }); // ADDED
+        const warnings = missingWeatherDays ? [missingWeatherDays + " day(s) have no forecast or weather history; they are treated as zero demand."] : []; // ADDED
+        return { startISO: weather.length ? weather[0].dateISO : (options.startISO || ""), days: weather.length, zones, warnings }; // ADDED
+    } // ADDED
+
+    function buildWateringTasks(zoneSchedule) { // ADDED
+        const zone = zoneSchedule || {}; // ADDED
+        return (zone.days || []).filter(function (day) { return day.runMinutes > 0; }).map(function (day) { // ADDED
+            return { // ADDED
+                title: "Irrigate " + zone.name, // ADDED
+                notes: "Run " + day.runMinutes + " min to apply " + day.netMm + " mm (ET0 " + day.et0Mm + " mm x Kc " + day.kc + ", " + day.rainMm + " mm rain).", // ADDED
+                startISO: day.dateISO, // ADDED
+                endISO: day.dateISO, // ADDED
+                method: WATERING_TASK_METHOD, // ADDED
+                scheduler_task_key: "irrigation|" + zone.id + "|" + day.dateISO // ADDED
+            }; // ADDED
+        }); // ADDED
+    } // ADDED
+
+    function isTilerGroup(cell) { // ADDED
+        return !!cell && !!cell.getAttribute && cell.getAttribute("tiler_group") === "1"; // ADDED
+    } // ADDED
+
+    function collectBedCropGroups(bedCell) { // ADDED
+        const out = collectDescendants(bedCell, isTilerGroup); // ADDED
+        const parent = model.getParent ? model.getParent(bedCell) : null; // ADDED
+        const bedGeo = getGeometry(bedCell); // ADDED
+        getChildCells(parent).forEach(function (sibling) { // ADDED
+            if (!isTilerGroup(sibling) || out.indexOf(sibling) >= 0) return; // ADDED
+            const geo = getGeometry(sibling); // ADDED
+            if (!bedGeo || !geo) return; // ADDED
+            const cx = Number(geo.x || 0) + Number(geo.width || 0) / 2; // ADDED
+            const cy = Number(geo.y || 0) + Number(geo.height || 0) / 2; // ADDED
+            if (cx >= Number(bedGeo.x || 0) && cx <= Number(bedGeo.x || 0) + Number(bedGeo.width || 0) && cy >= Number(bedGeo.y || 0) && cy <= Number(bedGeo.y || 0) + Number(bedGeo.height || 0)) out.push(sibling); // ADDED
+        }); // ADDED
+        return out; // ADDED
+    } // ADDED
+
+    function cropTimelineForGroup(group) { // ADDED
+        return CROP_TIMELINE_ATTRS.reduce(function (timeline, key) { // ADDED
+            timeline[key] = getCellAttr(group, key, ""); // ADDED
+            return timeline; // ADDED
+        }, {}); // ADDED
+    } // ADDED
+
+    function wateringZoneInputs(moduleCell) { // ADDED
+        return ZoneModel.summary(moduleCell).zones.map(function (detail) { // ADDED
+            const beds = detail.memberBedIds.map(function (bedAssemblyId) { // ADDED
+                return bedCellForAssembly(moduleCell, findCellById(moduleCell, bedAssemblyId)); // ADDED
+            }).filter(Boolean); // ADDED
+            const bedFlowGpm = beds.reduce(function (sum, bed) { return sum + Hydraulics.demandFromBedCell(bed).flowGpm; }, 0); // ADDED
+            return { // ADDED
+                id: detail.id, // ADDED
+                name: detail.name, // ADDED
+                targetCellId: detail.memberBedIds[0] || "", // ADDED
+                flowGpm: detail.demandGpm > 0 ? detail.demandGpm : bedFlowGpm, // ADDED
+                areaM2: beds.reduce(function (sum, bed) { return sum + bedAreaM2(bed); }, 0), // ADDED
+                beds: beds.map(function (bed) { // ADDED
+                    return { id: getCellId(bed), name: getCellAttr(bed, "label", getCellId(bed)), crops: collectBedCropGroups(bed).map(function (group) { return { name: getCellAttr(group, "plant_name", ""), timeline: cropTimelineForGroup(group) }; }) }; // ADDED
+                }) // ADDED
+            }; // ADDED
+        }); // ADDED
+    } // ADDED
+
+    let wateringDbPath = null; // ADDED
+
+    async function queryTrellisDb(sql, params) { // ADDED
+        const bridge = typeof window !== "undefined" ? window.dbBridge : null; // ADDED
+        if (!bridge || typeof bridge.open !== "function" || typeof bridge.resolvePath !== "function") throw new Error("dbBridge not available; check preload/main wiring"); // ADDED
+        if (!wateringDbPath) wateringDbPath = (await bridge.resolvePath({ dbName: "Trellis_database.sqlite" })).dbPath; // ADDED
+        const opened = await bridge.open(wateringDbPath, { readOnly: true }); // ADDED
+        try { // ADDED
+            const res = await bridge.query(opened.dbId, sql, params || []); // ADDED
+            return (res && res.rows) || []; // ADDED
+        } finally { // ADDED
+            try { await bridge.close(opened.dbId); } catch (e) { } // ADDED
+        } // ADDED
+    } // ADDED
+
+    async function loadWateringWeather(moduleCell, startISO, days) { // ADDED
+        const cityId = getCellAttr(moduleCell, "city_id", ""); // ADDED
+        const cityName = getCellAttr(moduleCell, "city_name", ""); // ADDED
+        const cities = cityId // ADDED
+            ? await queryTrellisDb("SELECT city_id, latitude FROM Cities WHERE city_id = ? LIMIT 1;", [cityId]) // ADDED
+            : (cityName ? await queryTrellisDb("SELECT city_id, latitude FROM Cities WHERE city_name = ? LIMIT 1;", [cityName]) : []); // ADDED
+        const city = cities[0]; // ADDED
+        if (!city) throw new Error("Set the garden's city before generating a watering schedule."); // ADDED
+        const startDay = isoDayNumber(startISO); // ADDED
+        const endISO = isoFromDayNumber(startDay + days - 1); // ADDED
+        const forecastRows = await queryTrellisDb("SELECT forecast_date, run_timestamp, temp_min_c, temp_max_c, rain_mm, precipitation_mm, et0_fao_evapotranspiration_mm FROM CityWeatherForecastDaily WHERE city_id = ? AND forecast_date BETWEEN ? AND ? ORDER BY forecast_date, run_timestamp;", [city.city_id, startISO, endISO]); // ADDED
+        const monthDays = []; // ADDED
+        for (let i = 0; i < days; i++) monthDays.push(isoFromDayNumber(startDay + i).slice(5)); // ADDED
+        const historyRows = await queryTrellisDb("SELECT weather_date, temp_min_c, temp_max_c, rain_mm, precipitation_mm FROM CityWeatherDaily WHERE city_id = ? AND substr(weather_date, 6, 5) IN (" + monthDays.map(function () { return "?"; }).join(", ") + ");", [city.city_id].concat(monthDays)); // ADDED
+        return buildWateringWeather({ startISO, days, latitude: city.latitude, forecastRows, historyRows }); // ADDED
+    } // ADDED
+
+    async function planWateringSchedule(moduleCell, options) { // ADDED
+        const opts = options || {}; // ADDED
+        const startISO = opts.startISO || localTodayISO(); // ADDED
+        const days = Math.max(1, Math.floor(finiteNumber(opts.days, WATERING_HORIZON_DAYS))); // ADDED
+        const weather = opts.weather || await loadWateringWeather(moduleCell, startISO, days); // ADDED
+        return buildWateringSchedule({ startISO, weather, zones: wateringZoneInputs(moduleCell) }); // ADDED
+    } // ADDED
+
+    function applyWateringSchedule(moduleCell, schedule) { // ADDED
+        const tasksApi = typeof window !== "undefined" && window.USL && window.USL.tasks; // ADDED
+        if (!tasksApi || typeof tasksApi.applySchedulerTaskReplacement !== "function") throw new Error("Task manager is unavailable; cannot create irrigation tasks."); // ADDED
+        return runIrrigationEdit("applyWateringSchedule", function () { // ADDED
+            return ((schedule && schedule.zones) || []).filter(function (zone) { return zone.targetCellId; }).map(function (zone) { // ADDED
+                const tasks = buildWateringTasks(zone); // ADDED
+                tasksApi.applySchedulerTaskReplacement({ mode: "sync", targetGroupId: zone.targetCellId, tasks }, { insideUpdate: true }); // ADDED
+                return { zoneId: zone.id, taskCount: tasks.length }; // ADDED
+            }); // ADDED
+        }); // ADDED
+    } // ADDED
+
+    function openWateringScheduleDialog(moduleCell) { // ADDED
+        const div = document.createElement("div"); // ADDED
+        div.className = "trellis-irrigation-watering-schedule"; // ADDED
+        div.style.cssText = "width:880px;max-width:96vw;max-height:84vh;overflow:auto;font:12px Arial,sans-serif;padding:12px;"; // ADDED
+        showDialog(div, 900, 560); // ADDED
+        div.appendChild(hudText("Loading weather...")); // ADDED
+        return planWateringSchedule(moduleCell).then(function (schedule) { // ADDED
+            renderWateringSchedule(div, moduleCell, schedule); // ADDED
+            return schedule; // ADDED
+        }, function (err) { // ADDED
+            div.innerHTML = ""; // ADDED
+            div.appendChild(hudWarning("Watering schedule unavailable: " + (err && err.message ? err.message : String(err)))); // ADDED
+            const controls = hudActions(); // ADDED
+            controls.appendChild(button("Close", hideDialog)); // ADDED
+            div.appendChild(controls); // ADDED
+            return null; // ADDED
+        }); // ADDED
+    } // ADDED
+
+    function renderWateringSchedule(container, moduleCell, schedule) { // ADDED
+        container.innerHTML = ""; // ADDED
+        const title = document.createElement("h2"); // ADDED
+        title.textContent = "Watering Schedule"; // ADDED
+        title.style.cssText = "font-size:16px;margin:0 0 8px;"; // ADDED
+        container.appendChild(title); // ADDED
+        container.appendChild(hudText("Run minutes per zone for " + schedule.days + " days from " + schedule.startISO + ", from reference ET0, crop stage and zone application rate.")); // ADDED
+        const table = document.createElement("table"); // ADDED
+        table.style.cssText = "width:100%;border-collapse:collapse;margin-top:8px;"; // ADDED
+        const dates = schedule.zones.length ? schedule.zones[0].days.map(function (day) { return day.dateISO; }) : []; // ADDED
+        table.innerHTML = "<thead><tr><th>Zone</th><th>Rate</th>" + dates.map(function (dateISO) { return "<th>" + dateISO.slice(5) + "</th>"; }).join("") + "<th>Total</th></tr></thead>"; // ADDED
+        const tbody = document.createElement("tbody"); // ADDED
+        schedule.zones.forEach(function (zone) { // ADDED
+            const tr = document.createElement("tr"); // ADDED
+            tr.setAttribute("data-zone-id", zone.id); // ADDED
+            const cells = [zone.name, zone.rateMmPerHour ? zone.rateMmPerHour.toFixed(1) + " mm/h" : "-"] // ADDED
+                .concat(zone.days.map(function (day) { return day.runMinutes ? day.runMinutes + " min" : "-"; })) // ADDED
+                .concat([zone.totalMinutes + " min"]); // ADDED
+            cells.forEach(function (text, index) { // ADDED
+                const td = document.createElement("td"); // ADDED
+                td.textContent = text; // ADDED
+                if (index >= 2 && index < cells.length - 1) td.title = "ET0 " + zone.days[index - 2].et0Mm + " mm, Kc " + zone.days[index - 2].kc + (zone.days[index - 2].stage ? " (" + zone.days[index - 2].stage + ")" : "") + ", rain " + zone.days[index - 2].rainMm + " mm"; // ADDED
+                td.style.border = "1px solid #ccc"; // ADDED
+                td.style.padding = "4px"; // ADDED
+                tr.appendChild(td); // ADDED
+            }); // ADDED
+            tbody.appendChild(tr); // ADDED
+        }); // ADDED
+        table.appendChild(tbody); // ADDED
+        container.appendChild(table); // ADDED
+        schedule.warnings.concat(schedule.zones.reduce(function (out, zone) { return out.concat(zone.warnings.map(function (warning) { return zone.name + ": " + warning; })); }, [])).forEach(function (warning) { // ADDED
+            container.appendChild(hudWarning(warning)); // ADDED
+        }); // ADDED
+        const controls = hudActions(); // ADDED
+        controls.appendChild(button("Create Irrigation Tasks", function () { // ADDED
+            try { // ADDED
+                const results = applyWateringSchedule(moduleCell, schedule); // ADDED
+                const count = results.reduce(function (sum, result) { return sum + result.taskCount; }, 0); // ADDED
+                container.appendChild(hudText(count + " irrigation task(s) synced to the garden board.")); // ADDED
+            } catch (err) { // ADDED
+                alertUser(err && err.message ? err.message : String(err)); // ADDED
+            } // ADDED
+        })); // ADDED
+        controls.appendChild(button("Close", hideDialog)); // ADDED
+        container.appendChild(controls); // ADDED
+    } // ADDED
+
+    // Architecture seams: GraphStore owns diagram cell/JSON persistence, ConnectorRules owns connector/port decisions, Hydraulics owns demand/route/capacity checks, ReportModel owns report/dashboard build and writes, ZoneModel owns zone derivation and overrides, WateringSchedule owns ET0-driven zone run times and their board tasks, and HudController owns UI mode orchestration. Rendering paths must remain write-free; explicit sync/report/write methods persist derived state. // CHANGE
     const IrrigationCatalog = { // NEW
         read: readCatalog, // NEW
         write: writeCatalog, // NEW
@@ -5849,6 +6267,7 @@ Draw.loadPlugin(function (ui) {
 
     const ReportModel = { // NEW
         buildSummary: buildReportSummary, // NEW
+        buildBom: buildReportBom, // ADDED
         persistSummary: persistReportSummary, // NEW
         generate: generateReport, // NEW
         readDashboardSummary, // NEW
@@ -5856,6 +6275,20 @@ Draw.loadPlugin(function (ui) {
         syncDashboardState: function (moduleCell, paths) { return persistReportSummary(moduleCell, buildReportSummary(moduleCell, { paths: paths || deriveAssemblyPaths(moduleCell) })); } // NEW
     }; // NEW
 
+    const WateringSchedule = { // ADDED
+        cropCoefficient: cropCoefficientOnDate, // ADDED
+        hargreavesEt0Mm, // ADDED
+        buildWeather: buildWateringWeather, // ADDED
+        applicationRate: zoneApplicationRateMmPerHour, // ADDED
+        build: buildWateringSchedule, // ADDED
+        buildTasks: buildWateringTasks, // ADDED
+        zoneInputs: wateringZoneInputs, // ADDED
+        loadWeather: loadWateringWeather, // ADDED
+        plan: planWateringSchedule, // ADDED
+        apply: applyWateringSchedule, // ADDED
+        openDialog: openWateringScheduleDialog // ADDED
+    }; // ADDED
+
     const HudController = { // NEW
         open: openIrrigationMode, // NEW
         close: closeIrrigationMode, // NEW
@@ -5924,6 +6357,9 @@ Draw.loadPlugin(function (ui) {
         openIrrigationMode: HudController.open, // CHANGE
         closeIrrigationMode: HudController.close, // CHANGE
         openCatalogManager,
+        planWateringSchedule: WateringSchedule.plan, // ADDED
+        applyWateringSchedule: WateringSchedule.apply, // ADDED
+        openWateringSchedule: WateringSchedule.openDialog, // ADDED
         __test: {
             GraphStore, // NEW
             IrrigationCatalog, // NEW
@@ -5932,6 +6368,7 @@ Draw.loadPlugin(function (ui) {
             ZoneModel, // NEW
             ReportModel, // NEW
             HudController, // NEW
+            WateringSchedule, // ADDED
             normalizeCatalogPart: IrrigationCatalog.normalizePart, // CHANGE
             normalizeEndpointProfile,
             connectorMatches: ConnectorRules.connectorMatches, // CHANGE
@@ -5963,6 +6400,7 @@ Draw.loadPlugin(function (ui) {
             resolveTemplateAnchorPart, // NEW
             boundaryMatchForAnchor, // NEW
             buildReportSummary: ReportModel.buildSummary, // NEW
+            buildReportBom: ReportModel.buildBom, // ADDED
             persistReportSummary: ReportModel.persistSummary, // NEW
             readPaths,
             writePaths,
@@ -6019,6 +6457,9 @@ Draw.loadPlugin(function (ui) {
 
     if (typeof window !== "undefined") {
         window.TrellisIrrigationPlanner = graph.__trellisIrrigationPlanner;
+        window.Trellis = window.Trellis || {}; // ADDED
+        window.Trellis.reports = window.Trellis.reports || {}; // ADDED
+        window.Trellis.reports.irrigation = buildIrrigationReports; // ADDED
         window.addEventListener('trellisHistoryBeforeRestore', function () { // NEW
             cancelPendingHudGraphStateSync(); // NEW
         }); // NEW
@@ -5,6 +5,8 @@
  * (garden_bed=1) and tiler groups (tiler_group=1). The chip uses the nearest
  * garden module's unit_system setting, and the same formatter is reused for
  * draw.io's built-in resize hint while garden beds/groups are resized.
+ * Ellipse and polygon beds also show their true area; their outline helpers
+ * are shared on window.TrellisGardenScale for tiling and overlap math.
  *
  * If a plant circle (plant_tiler=1) is selected, the overlay is shown for its
  * tiler group ancestor.
@@ -22,6 +24,9 @@ Draw.loadPlugin(function (ui) {
     const DRAW_SCALE = 0.18;
     const CM_PER_FOOT = 30.48; // NEW
     const CM_PER_INCH = 2.54; // NEW
+    const CM2_PER_SQUARE_FOOT = CM_PER_FOOT * CM_PER_FOOT; // ADDED
+    const BED_OUTLINE_ELLIPSE_SEGMENTS = 48; // ADDED
+    const BED_OUTLINE_POLYGON_SHAPE = "mxgraph.basic.polygon"; // ADDED
 
     const MAX_OVERLAYS = 6; // cap to avoid clutter
     const OVERLAY_PADDING = "3px 7px"; // CHANGE
@@ -139,7 +144,10 @@ Draw.loadPlugin(function (ui) {
 
     function formatDimensionsFromUnits(widthUnits, heightUnits, cell) { // NEW
         const unitSystem = resolveUnitSystem(cell);
-        return `${formatLengthCm(unitsToCm(widthUnits), unitSystem)} x ${formatLengthCm(unitsToCm(heightUnits), unitSystem)}`;
+        const text = `${formatLengthCm(unitsToCm(widthUnits), unitSystem)} x ${formatLengthCm(unitsToCm(heightUnits), unitSystem)}`; // CHANGE
+        const outline = isGardenBed(cell) ? getBedOutline(cell) : null; // ADDED
+        if (!outline || outline.kind === "rect") return text; // ADDED
+        return `${text} · ${formatAreaCm2(unitsToCm(widthUnits) * unitsToCm(heightUnits) * outline.areaFactor, unitSystem)}`; // ADDED
     }
 
     function formatCellDimensions(cell, bounds) { // NEW
@@ -148,6 +156,130 @@ Draw.loadPlugin(function (ui) {
         return formatDimensionsFromUnits(measured.width, measured.height, cell);
     }
 
+    // -------------------- Bed outlines --------------------
+    // Beds keep a rectangular geometry; the drawn shape inside it comes from the style: // ADDED
+    // "ellipse" or draw.io's basic polygon shape with polyCoords relative to the bounds. // ADDED
+    function parsePolyCoords(raw) { // ADDED
+        let list = raw; // ADDED
+        if (typeof raw === "string") { // ADDED
+            try { list = JSON.parse(raw); } catch (e) { list = null; } // ADDED
+        } // ADDED
+        if (!Array.isArray(list)) return null; // ADDED
+        const points = []; // ADDED
+        for (const entry of list) { // ADDED
+            const x = Number(Array.isArray(entry) ? entry[0] : entry && entry.x); // ADDED
+            const y = Number(Array.isArray(entry) ? entry[1] : entry && entry.y); // ADDED
+            if (!Number.isFinite(x) || !Number.isFinite(y)) continue; // ADDED
+            const point = { x: Math.max(0, Math.min(1, x)), y: Math.max(0, Math.min(1, y)) }; // ADDED
+            const prev = points[points.length - 1]; // ADDED
+            if (prev && Math.abs(prev.x - point.x) < 1e-9 && Math.abs(prev.y - point.y) < 1e-9) continue; // ADDED
+            points.push(point); // ADDED
+        } // ADDED
+        if (points.length > 1 && Math.abs(points[0].x - points[points.length - 1].x) < 1e-9 && Math.abs(points[0].y - points[points.length - 1].y) < 1e-9) points.pop(); // ADDED
+        return points.length >= 3 && Math.abs(polygonSignedArea(points)) > 1e-9 ? points : null; // ADDED
+    } // ADDED
+
+    function polygonSignedArea(points) { // ADDED
+        let sum = 0; // ADDED
+        for (let i = 0; i < points.length; i++) { // ADDED
+            const a = points[i]; // ADDED
+            const b = points[(i + 1) % points.length]; // ADDED
+            sum += a.x * b.y - a.y * b.x; // ADDED
+        } // ADDED
+        return sum / 2; // ADDED
+    } // ADDED
+
+    function ellipseOutlinePoints(segments) { // ADDED
+        const points = []; // ADDED
+        for (let i = 0; i < segments; i++) { // ADDED
+            const a = (i / segments) * Math.PI * 2; // ADDED
+            points.push({ x: 0.5 + 0.5 * Math.cos(a), y: 0.5 + 0.5 * Math.sin(a) }); // ADDED
+        } // ADDED
+        return points; // ADDED
+    } // ADDED
+
+    function outlineFromStyle(style) { // ADDED
+        const st = style || {}; // ADDED
+        const shape = String(st.shape || "").trim(); // ADDED
+        if (shape === "ellipse" || shape === "doubleEllipse") { // ADDED
+            return { kind: "ellipse", points: ellipseOutlinePoints(BED_OUTLINE_ELLIPSE_SEGMENTS), areaFactor: Math.PI / 4 }; // ADDED
+        } // ADDED
+        if (shape === BED_OUTLINE_POLYGON_SHAPE) { // ADDED
+            const points = parsePolyCoords(st.polyCoords); // ADDED
+            if (points) return { kind: "polygon", points, areaFactor: Math.abs(polygonSignedArea(points)) }; // ADDED
+        } // ADDED
+        return { kind: "rect", points: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }], areaFactor: 1 }; // ADDED
+    } // ADDED
+
+    // u/v are relative to the unrotated bounds (0..1 on each axis). // ADDED
+    function pointInOutline(outline, u, v) { // ADDED
+        if (!outline || outline.kind === "rect") return u >= 0 && u <= 1 && v >= 0 && v <= 1; // ADDED
+        if (outline.kind === "ellipse") return ((u - 0.5) * (u - 0.5) + (v - 0.5) * (v - 0.5)) <= 0.25 + 1e-9; // ADDED
+        const pts = outline.points; // ADDED
+        let inside = false; // ADDED
+        for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) { // ADDED
+            const a = pts[i], b = pts[j]; // ADDED
+            if ((a.y > v) !== (b.y > v) && u < (b.x - a.x) * (v - a.y) / (b.y - a.y) + a.x) inside = !inside; // ADDED
+        } // ADDED
+        return inside; // ADDED
+    } // ADDED
+
+    function isConvexPolygon(points) { // ADDED
+        let sign = 0; // ADDED
+        for (let i = 0; i < points.length; i++) { // ADDED
+            const a = points[i], b = points[(i + 1) % points.length], c = points[(i + 2) % points.length]; // ADDED
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x); // ADDED
+            if (Math.abs(cross) < 1e-12) continue; // ADDED
+            if (sign && Math.sign(cross) !== sign) return false; // ADDED
+            sign = Math.sign(cross); // ADDED
+        } // ADDED
+        return true; // ADDED
+    } // ADDED
+
+    function pointInTriangle(p, a, b, c) { // ADDED
+        const d1 = (p.x - b.x) * (a.y - b.y) - (a.x - b.x) * (p.y - b.y); // ADDED
+        const d2 = (p.x - c.x) * (b.y - c.y) - (b.x - c.x) * (p.y - c.y); // ADDED
+        const d3 = (p.x - a.x) * (c.y - a.y) - (c.x - a.x) * (p.y - a.y); // ADDED
+        const hasNeg = d1 < 0 || d2 < 0 || d3 < 0; // ADDED
+        const hasPos = d1 > 0 || d2 > 0 || d3 > 0; // ADDED
+        return !(hasNeg && hasPos); // ADDED
+    } // ADDED
+
+    // Convex pieces let overlap code keep using convex clipping; concave polygons are ear-clipped. // ADDED
+    function convexOutlinePieces(outline) { // ADDED
+        if (!outline || !Array.isArray(outline.points) || outline.points.length < 3) return []; // ADDED
+        if (outline.kind !== "polygon" || isConvexPolygon(outline.points)) return [outline.points.slice()]; // ADDED
+        const ring = polygonSignedArea(outline.points) > 0 ? outline.points.slice() : outline.points.slice().reverse(); // ADDED
+        const pieces = []; // ADDED
+        let guard = ring.length * ring.length; // ADDED
+        while (ring.length > 3 && guard-- > 0) { // ADDED
+            let clipped = false; // ADDED
+            for (let i = 0; i < ring.length; i++) { // ADDED
+                const a = ring[(i + ring.length - 1) % ring.length], b = ring[i], c = ring[(i + 1) % ring.length]; // ADDED
+                if ((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x) <= 1e-12) continue; // ADDED
+                if (ring.some(p => p !== a && p !== b && p !== c && pointInTriangle(p, a, b, c))) continue; // ADDED
+                pieces.push([a, b, c]); // ADDED
+                ring.splice(i, 1); // ADDED
+                clipped = true; // ADDED
+                break; // ADDED
+            } // ADDED
+            if (!clipped) break; // ADDED
+        } // ADDED
+        if (ring.length >= 3) pieces.push(ring); // ADDED
+        return pieces; // ADDED
+    } // ADDED
+
+    function getBedOutline(cell) { // ADDED
+        return outlineFromStyle(graph.getCellStyle ? graph.getCellStyle(cell) : null); // ADDED
+    } // ADDED
+
+    function formatAreaCm2(cm2, unitSystem) { // ADDED
+        if (!Number.isFinite(cm2)) return "?"; // ADDED
+        return normalizeUnitSystem(unitSystem) === "imperial" // ADDED
+            ? `${(cm2 / CM2_PER_SQUARE_FOOT).toFixed(1)} ft²` // ADDED
+            : `${(cm2 / 10000).toFixed(2)} m²`; // ADDED
+    } // ADDED
+
     // -------------------- Target resolution --------------------
     function resolveTargetCellForOverlay(cell) { // CHANGE
         if (!cell) return null;
@@ -396,8 +528,13 @@ Draw.loadPlugin(function (ui) {
         replaceResizeHintText
     };
 
-    // -------------------- Test surface --------------------
+    // -------------------- Public API and test surface -------------------- // CHANGE
     window.TrellisGardenScale = window.TrellisGardenScale || {}; // NEW
+    window.TrellisGardenScale.getBedOutline = getBedOutline; // ADDED
+    window.TrellisGardenScale.bedOutlineAreaFactor = function (cell) { return getBedOutline(cell).areaFactor; }; // ADDED
+    window.TrellisGardenScale.pointInOutline = pointInOutline; // ADDED
+    window.TrellisGardenScale.pointInBedOutline = function (cell, u, v) { return pointInOutline(getBedOutline(cell), u, v); }; // ADDED
+    window.TrellisGardenScale.bedOutlineConvexPieces = function (cell) { return convexOutlinePieces(getBedOutline(cell)); }; // ADDED
     window.TrellisGardenScale._test = { // NEW
         unitsToCm,
         formatLengthCm,
@@ -405,6 +542,11 @@ Draw.loadPlugin(function (ui) {
         formatImperialLengthCm,
         formatCellDimensions,
         formatDimensionsFromUnits,
+        formatAreaCm2, // ADDED
+        parsePolyCoords, // ADDED
+        outlineFromStyle, // ADDED
+        pointInOutline, // ADDED
+        convexOutlinePieces, // ADDED
         getMeasuredGeometryUnits,
         resolveUnitSystem,
         resolveTargetCellForOverlay,
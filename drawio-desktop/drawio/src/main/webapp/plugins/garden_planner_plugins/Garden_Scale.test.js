@@ -170,6 +170,23 @@ function run() {
     global.window.TrellisGardenScale._test.markResizeTarget({ state: { cell: bed } }, false);
     assert.strictEqual(api.activeResizeCellIds.has("bed"), false);
     assert.strictEqual(container.children[0].style.display, "");
+
+    const roundBed = makeCell("roundBed", { garden_bed: "1", style: { shape: "ellipse" } }, { width: cmToUnits(200), height: cmToUnits(200) }); // ADDED
+    const lBed = makeCell("lBed", { garden_bed: "1", style: { shape: "mxgraph.basic.polygon", polyCoords: "[[0,0],[1,0],[1,0.5],[0.5,0.5],[0.5,1],[0,1]]" } }, { width: cmToUnits(200), height: cmToUnits(200) }); // ADDED
+    assert.strictEqual(api.formatCellDimensions(roundBed), "2.00 m x 2.00 m · 3.14 m²"); // ADDED
+    assert.strictEqual(api.formatCellDimensions(lBed), "2.00 m x 2.00 m · 3.00 m²"); // ADDED
+    assert.strictEqual(global.window.TrellisGardenScale.bedOutlineAreaFactor(bed), 1); // ADDED
+    assert.strictEqual(global.window.TrellisGardenScale.pointInBedOutline(lBed, 0.25, 0.75), true); // ADDED
+    assert.strictEqual(global.window.TrellisGardenScale.pointInBedOutline(lBed, 0.75, 0.75), false); // ADDED
+    assert.strictEqual(global.window.TrellisGardenScale.pointInBedOutline(roundBed, 0.05, 0.05), false); // ADDED
+    const pieces = global.window.TrellisGardenScale.bedOutlineConvexPieces(lBed); // ADDED
+    const pieceArea = pieces.reduce((sum, pts) => sum + Math.abs(pts.reduce((acc, p, i) => { // ADDED
+        const q = pts[(i + 1) % pts.length]; // ADDED
+        return acc + p.x * q.y - p.y * q.x; // ADDED
+    }, 0)) / 2, 0); // ADDED
+    assert.ok(pieces.length > 1); // ADDED
+    assert.ok(Math.abs(pieceArea - 0.75) < 1e-9); // ADDED
+    assert.strictEqual(api.parsePolyCoords("not json"), null); // ADDED
 }
 
 run();
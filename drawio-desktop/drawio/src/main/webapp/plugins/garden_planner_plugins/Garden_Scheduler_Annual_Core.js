@@ -36,6 +36,8 @@
         bedAdjustedTemperatureRecordOnDate, // ADDED
         bedAdjustedMeanTemperatureOnDate, // ADDED
         buildDailyTemperatureSeries,
+        resolveChillingRequirement, // ADDED
+        countChillingDays, // ADDED
         gddRateForDate,
         meanTemperatureOnDate,
         resolveMethodBehavior,
@@ -48,6 +50,8 @@
     const DIAGNOSTIC_POLICIES = Object.freeze(new Set(['off', 'warn', 'block'])); // ADDED
     const THERMAL_GDD_SCALE_CAP = 2; // ADDED
     const KILL_TEMP_ESTIMATE_BUFFER_C = 3; // CHANGED
+    // Plantings within this many days of the planned curve count as on track. // ADDED
+    const SEASON_TRACKING_DEFAULT_THRESHOLD_DAYS = 5; // ADDED
 
     function monthMeanAt(date, monthlyAvgTemp) {
         return monthlyAvgTemp?.[date.getUTCMonth() + 1] ?? null;
@@ -194,6 +198,66 @@
         } // ADDED
         return { date: cur, gdd: acc, reached: acc >= targetGDD, scaleFactor: scale }; // ADDED
     } // ADDED
+    function observedGddRateOn(observedRates, date) { // ADDED
+        const rate = finiteNumberOrNull(observedRates?.[fmtISO(date)]); // ADDED
+        return rate == null ? null : Math.max(0, rate); // ADDED
+    } // ADDED
+    function shiftedISO(value, days) { // ADDED
+        const date = parseISODateUTCValue(value); // ADDED
+        return date ? fmtISO(addDaysUTC(date, days)) : ''; // ADDED
+    } // ADDED
+    // Observed heat since sowing (gaps filled from the planned curve), then the planned curve to maturity. // ADDED
+    // The shift is measured against maturity on that same curve, so the plan only moves when the weather differs. // ADDED
+    function projectSeasonGddProgress({ sowDate, asOfDate, targetGdd, observedRates, plannedRates, plannedDates = {}, seasonEnd = null, thresholdDays = SEASON_TRACKING_DEFAULT_THRESHOLD_DAYS }) { // ADDED
+        const target = finiteNumberOrNull(targetGdd); // ADDED
+        const threshold = Math.max(0, finiteNumberOrNull(thresholdDays) ?? SEASON_TRACKING_DEFAULT_THRESHOLD_DAYS); // ADDED
+        const tracked = { status: 'no_observations', thresholdDays: threshold, targetGdd: target, observedGdd: 0, plannedGdd: 0, gddDelta: 0, progress: 0, observedDays: 0, missingDays: 0, lastObservedISO: null, matured: false, shiftDays: 0, plannedCurveMaturityISO: null, projectedMaturityISO: null, maturityISO: null, harvestStartISO: null, harvestEndISO: null }; // ADDED
+        if (!sowDate || !asOfDate || target == null || target <= 0) return { ...tracked, status: 'invalid' }; // ADDED
+        if (asOfDate < sowDate) return { ...tracked, status: 'not_started' }; // ADDED
+
+        let running = 0; // ADDED
+        let plannedRunning = 0; // ADDED
+        let filled = 0; // ADDED
+        let maturedDate = null; // ADDED
+        let last = null; // ADDED
+        for (let d = new Date(sowDate); d <= asOfDate; d = addDaysUTC(d, 1)) { // ADDED
+            const planned = gddRateForDate(plannedRates, d); // ADDED
+            const observed = observedGddRateOn(observedRates, d); // ADDED
+            plannedRunning += planned; // ADDED
+            running += observed ?? planned; // ADDED
+            if (observed == null) { filled += 1; continue; } // ADDED
+            tracked.observedDays += 1; // ADDED
+            tracked.missingDays = filled; // ADDED
+            tracked.observedGdd = running; // ADDED
+            tracked.plannedGdd = plannedRunning; // ADDED
+            if (!maturedDate && running >= target) maturedDate = new Date(d); // ADDED
+            last = new Date(d); // ADDED
+        } // ADDED
+        if (!last) return tracked; // ADDED
+        tracked.lastObservedISO = fmtISO(last); // ADDED
+        tracked.gddDelta = tracked.observedGdd - tracked.plannedGdd; // ADDED
+        tracked.progress = Math.min(1, tracked.observedGdd / target); // ADDED
+        tracked.matured = !!maturedDate; // ADDED
+
+        const plannedCurve = accumulateGDDUntil(sowDate, target, plannedRates, seasonEnd); // ADDED
+        const projected = maturedDate // ADDED
+            ? { date: maturedDate, reached: true } // ADDED
+            : accumulateGDDUntil(addDaysUTC(last, 1), target - tracked.observedGdd, plannedRates, seasonEnd); // ADDED
+        const baseline = plannedCurve.reached ? plannedCurve.date : parseISODateUTCValue(plannedDates.maturityISO); // ADDED
+        if (!projected.reached || !baseline) return { ...tracked, status: 'unreachable', plannedCurveMaturityISO: plannedCurve.reached ? fmtISO(plannedCurve.date) : null }; // ADDED
+
+        const shift = Math.round((projected.date.getTime() - baseline.getTime()) / 86400000); // ADDED
+        return { // ADDED
+            ...tracked, // ADDED
+            status: shift < -threshold ? 'ahead' : (shift > threshold ? 'behind' : 'on_track'), // ADDED
+            shiftDays: shift, // ADDED
+            plannedCurveMaturityISO: fmtISO(baseline), // ADDED
+            projectedMaturityISO: fmtISO(projected.date), // ADDED
+            maturityISO: shiftedISO(plannedDates.maturityISO, shift) || fmtISO(projected.date), // ADDED
+            harvestStartISO: shiftedISO(plannedDates.harvestStartISO, shift) || null, // ADDED
+            harvestEndISO: shiftedISO(plannedDates.harvestEndISO, shift) || null // ADDED
+        }; // ADDED
+    } // ADDED
     function pickFallFrostByRisk(city, risk = 'p50') { // ADDED
         const p90 = finiteNumberOrNull(city?.first_fall_frost_p90_doy); // ADDED
         const p50 = finiteNumberOrNull(city?.first_fall_frost_p50_doy); // ADDED
@@ -401,18 +465,19 @@
             } // ADDED
         } // ADDED
 
-        const chillingRequired = numberOrNull(plant.chilling_required_days) ?? (numberOrNull(plant.chilling_required_hours) != null ? numberOrNull(plant.chilling_required_hours) / 24 : null); // ADDED
-        const chillingMin = numberOrNull(plant.chilling_temp_min_c) ?? -2; // ADDED
-        const chillingMax = numberOrNull(plant.chilling_temp_max_c) ?? 10; // ADDED
+        const chilling = resolveChillingRequirement(plant); // CHANGE
+        const chillingRequired = chilling.requiredDays; // CHANGE
         const chillingPolicy = policyForFactor(plant, 'chilling', 'warn'); // ADDED
-        if (chillingRequired != null && chillingRequired > 0 && chillingPolicy !== 'off') { // ADDED
+        if (chillingRequired != null && chillingPolicy !== 'off') { // CHANGE
             const stage = String(plant.chilling_stage || 'maturity').trim() || 'maturity'; // ADDED
             const stageDate = dateForDiagnosticStage(stage, sowDate, feasibleResult, plant); // ADDED
-            let count = 0; // ADDED
-            for (let d = new Date(sowDate); d < stageDate; d = addDaysUTC(d, 1)) { // CHANGED
-                const temp = weightedMeanTempOverRange(d, addDaysUTC(d, 1), ctx.monthlyAvg, ctx.dailyRates, ctx.Tbase, ctx.dailyClimate, ctx.bedProfile); // CHANGED
-                if (temp >= chillingMin && temp <= chillingMax) count += 1; // ADDED
-            } // ADDED
+            const { count } = countChillingDays({ // CHANGE
+                startDate: sowDate, // CHANGE
+                endDate: stageDate, // CHANGE
+                meanTempOnDate: d => weightedMeanTempOverRange(d, addDaysUTC(d, 1), ctx.monthlyAvg, ctx.dailyRates, ctx.Tbase, ctx.dailyClimate, ctx.bedProfile), // CHANGE
+                minC: chilling.minC, // CHANGE
+                maxC: chilling.maxC // ADDED
+            }); // ADDED
             if (count < chillingRequired) diagnostics.push(makeDiagnostic({ // ADDED
                 factor: 'chilling', // ADDED
                 stage, // ADDED
@@ -1193,9 +1258,12 @@
         Planner,
         accumulateGDDUntil,
         accumulateGDDBackward,
+        projectSeasonGddProgress, // ADDED
+        SEASON_TRACKING_DEFAULT_THRESHOLD_DAYS, // ADDED
         maturityDateFromBudget,
         thermalYieldFactor,
         weightedMeanTempOverRange,
+        coldSurvivalThresholdC, // ADDED
         dayLengthHours, // ADDED
         evaluateScheduleQualityDiagnostics, // ADDED
         evaluateSowDateDiagnostics, // ADDED
@@ -0,0 +1,198 @@
+// USL Draw.io Plugin Module: Garden Scheduler biennial seed-crop planning core. // ADDED
+(function (root) { // ADDED
+    'use strict'; // ADDED
+
+    const win = root || {}; // ADDED
+    win.USL = win.USL || {}; // ADDED
+    win.USL.scheduler = win.USL.scheduler || {}; // ADDED
+
+    const shared = win.USL.scheduler.sharedCore; // ADDED
+    const annual = win.USL.scheduler.annualCore; // ADDED
+    if (!shared || !annual) { // ADDED
+        throw new Error('Garden_Scheduler_Biennial_Core.js requires Garden_Scheduler_Shared_Core.js and Garden_Scheduler_Annual_Core.js.'); // ADDED
+    } // ADDED
+
+    const { // ADDED
+        addDaysUTC, // ADDED
+        asUTCDate, // ADDED
+        fmtISO, // ADDED
+        finiteNumberOrNull, // ADDED
+        parseISODateUTCValue, // ADDED
+        bedAdjustedMeanTemperatureOnDate, // ADDED
+        bedAdjustedTemperatureRecordOnDate, // ADDED
+        resolveHarvestWindowDays, // ADDED
+        resolveChillingRequirement, // ADDED
+        countChillingDays, // ADDED
+        BIENNIAL_SEED_MODE // ADDED
+    } = shared; // ADDED
+    const { accumulateGDDUntil, coldSurvivalThresholdC, computeAnnualScheduleResult } = annual; // ADDED
+
+    // Roots and bulbs only vernalize once they reach size, so cold is counted from vegetative maturity until Jun 1. // ADDED
+    const VERNALIZATION_END_MONTH = 6; // ADDED
+    // Carrots, beets and onions typically bolt after six weeks in the chilling range. // ADDED
+    const BIENNIAL_DEFAULT_VERNALIZATION_DAYS = 42; // ADDED
+    // Seed set without a plant-specific budget: roughly three months from bolting to dry seed heads. // ADDED
+    const BIENNIAL_DEFAULT_SEED_DAYS = 90; // ADDED
+
+    function biennialWarning(type, message, extra = {}) { // ADDED
+        return Object.freeze({ type, severity: 'warning', message, ...extra }); // ADDED
+    } // ADDED
+
+    function isBiennialSeedSchedule(inputs) { // ADDED
+        const plant = inputs?.plant; // ADDED
+        return !!(plant && typeof plant.isBiennial === 'function' && plant.isBiennial() && inputs.biennialMode === BIENNIAL_SEED_MODE); // ADDED
+    } // ADDED
+
+    function resolveVernalizationRequirement(plant) { // ADDED
+        const chilling = resolveChillingRequirement(plant); // ADDED
+        return Object.freeze({ ...chilling, requiredDays: chilling.requiredDays ?? BIENNIAL_DEFAULT_VERNALIZATION_DAYS }); // ADDED
+    } // ADDED
+
+    // Seed ripening prefers heat units after bolting; otherwise a day count from bolting. // ADDED
+    function resolveSeedBudget(plant) { // ADDED
+        const gdd = finiteNumberOrNull(plant?.gdd_to_seed); // ADDED
+        if (gdd != null && gdd > 0) return { mode: 'gdd', amount: gdd }; // ADDED
+        const days = finiteNumberOrNull(plant?.days_to_seed); // ADDED
+        return { mode: 'days', amount: days != null && days > 0 ? days : BIENNIAL_DEFAULT_SEED_DAYS }; // ADDED
+    } // ADDED
+
+    function firstDateMatching(startDate, endDate, predicate) { // ADDED
+        for (let d = new Date(startDate); d <= endDate; d = addDaysUTC(d, 1)) { // ADDED
+            if (predicate(d)) return d; // ADDED
+        } // ADDED
+        return null; // ADDED
+    } // ADDED
+
+    function computeSeedSeason({ inputs, plant, vegetativeMaturity, seedYear, derived }) { // ADDED
+        const { env, dailyRates, dailyClimate, monthlyAvg } = derived; // ADDED
+        const climate = dailyClimate || monthlyAvg; // ADDED
+        const meanTempOnDate = d => bedAdjustedMeanTemperatureOnDate(d, climate, inputs.bedProfile); // ADDED
+        const yearStart = asUTCDate(seedYear, 1, 1); // ADDED
+        const yearEnd = asUTCDate(seedYear, 12, 31); // ADDED
+        const warnings = []; // ADDED
+
+        const vernalization = resolveVernalizationRequirement(plant); // ADDED
+        const chill = countChillingDays({ // ADDED
+            startDate: vegetativeMaturity, // ADDED
+            endDate: asUTCDate(seedYear, VERNALIZATION_END_MONTH, 1), // ADDED
+            meanTempOnDate, // ADDED
+            minC: vernalization.minC, // ADDED
+            maxC: vernalization.maxC, // ADDED
+            requiredDays: vernalization.requiredDays // ADDED
+        }); // ADDED
+        const vernalizationMet = chill.satisfiedDate != null; // ADDED
+
+        let bolting = null; // ADDED
+        if (vernalizationMet) { // ADDED
+            bolting = firstDateMatching(chill.satisfiedDate > yearStart ? chill.satisfiedDate : yearStart, yearEnd, d => { // ADDED
+                const temp = meanTempOnDate(d); // ADDED
+                return temp != null && temp >= env.Tbase; // ADDED
+            }); // ADDED
+        } else { // ADDED
+            warnings.push(biennialWarning('biennial_insufficient_vernalization', `${chill.count} of ${Math.ceil(vernalization.requiredDays)} vernalization days between vegetative maturity and June ${seedYear}; plants may not bolt for seed.`, { year: seedYear })); // ADDED
+        } // ADDED
+
+        // Overwintering roots must survive until they regrow; lethal cold before bolting loses the seed crop. // ADDED
+        const threshold = coldSurvivalThresholdC(plant); // ADDED
+        const overwinterEnd = bolting || asUTCDate(seedYear, VERNALIZATION_END_MONTH, 1); // ADDED
+        const winterKill = firstDateMatching(vegetativeMaturity, addDaysUTC(overwinterEnd, -1), d => { // ADDED
+            const min = finiteNumberOrNull(bedAdjustedTemperatureRecordOnDate(d, climate, inputs.bedProfile)?.min); // ADDED
+            return min != null && min < threshold; // ADDED
+        }); // ADDED
+        if (winterKill) { // ADDED
+            warnings.push(biennialWarning('biennial_winter_kill', `Overwintering plants see ${fmtISO(winterKill)} lows below ${threshold.toFixed(1)} °C; mulch heavily or lift and store the roots.`, { year: seedYear, date: fmtISO(winterKill) })); // ADDED
+        } // ADDED
+
+        let harvestStart = null; // ADDED
+        let harvestEnd = null; // ADDED
+        if (bolting) { // ADDED
+            const budget = resolveSeedBudget(plant); // ADDED
+            if (budget.mode === 'days') { // ADDED
+                harvestStart = addDaysUTC(bolting, Math.round(budget.amount)); // ADDED
+            } else { // ADDED
+                const reached = accumulateGDDUntil(bolting, budget.amount, dailyRates, yearEnd); // ADDED
+                if (reached.reached) harvestStart = reached.date; // ADDED
+                else warnings.push(biennialWarning('biennial_insufficient_gdd', `${Math.round(reached.gdd)} GDD after bolting in ${seedYear}, below the ${Math.round(budget.amount)} needed to ripen seed.`, { year: seedYear })); // ADDED
+            } // ADDED
+            if (harvestStart) harvestEnd = addDaysUTC(harvestStart, resolveHarvestWindowDays(inputs.harvestWindowDays, plant)); // ADDED
+        } // ADDED
+
+        return { // ADDED
+            timeline: { // ADDED
+                cycleYear: seedYear, // ADDED
+                phase: 'seed', // ADDED
+                sow: null, // ADDED
+                germ: null, // ADDED
+                transplant: null, // ADDED
+                maturity: null, // ADDED
+                bolting, // ADDED
+                harvestStart, // ADDED
+                harvestEnd, // ADDED
+                vernalizationDays: chill.count, // ADDED
+                vernalizationMet // ADDED
+            }, // ADDED
+            warnings // ADDED
+        }; // ADDED
+    } // ADDED
+
+    /** // ADDED
+     * Schedules a biennial grown for seed: the first season follows the annual core up to // ADDED
+     * vegetative maturity, then the plants overwinter, vernalize and bolt in the next season. // ADDED
+     */ // ADDED
+    function computeBiennialScheduleResult(inputs, options = {}) { // ADDED
+        const { plant } = inputs; // ADDED
+        if (!isBiennialSeedSchedule(inputs)) { // ADDED
+            throw new Error('Biennial seed scheduler received a plant that is not scheduled for seed.'); // ADDED
+        } // ADDED
+
+        const vegetative = computeAnnualScheduleResult(inputs, options); // ADDED
+        const firstSeason = vegetative.timelines[0]; // ADDED
+        const sowDate = parseISODateUTCValue(inputs.startISO); // ADDED
+        const seedYear = Number(inputs.seasonStartYear || sowDate.getUTCFullYear()) + 1; // ADDED
+        const seed = computeSeedSeason({ // ADDED
+            inputs, // ADDED
+            plant, // ADDED
+            vegetativeMaturity: firstSeason.maturity, // ADDED
+            seedYear, // ADDED
+            derived: inputs.derived() // ADDED
+        }); // ADDED
+
+        // The first season ends at vegetative maturity; the root harvest is not taken from a seed crop. // ADDED
+        const timelines = [ // ADDED
+            { ...firstSeason, cycleYear: seedYear - 1, phase: 'vegetative', harvestStart: null, harvestEnd: null, bolting: null }, // ADDED
+            seed.timeline // ADDED
+        ]; // ADDED
+
+        return { // ADDED
+            ...vegetative, // ADDED
+            kind: 'biennial', // ADDED
+            timelines, // ADDED
+            rows: timelines.map(timeline => ({ // ADDED
+                plant: plant.plant_name, // ADDED
+                method: vegetative.method, // ADDED
+                year: timeline.cycleYear, // ADDED
+                phase: timeline.phase, // ADDED
+                sow: fmtISO(timeline.sow), // ADDED
+                germ: fmtISO(timeline.germ), // ADDED
+                trans: fmtISO(timeline.transplant), // ADDED
+                maturity: fmtISO(timeline.maturity), // ADDED
+                bolting: fmtISO(timeline.bolting), // ADDED
+                harvStart: fmtISO(timeline.harvestStart), // ADDED
+                harvEnd: fmtISO(timeline.harvestEnd), // ADDED
+                mult: '', // ADDED
+                plantsReq: '' // ADDED
+            })), // ADDED
+            seedSeasonYear: seedYear, // ADDED
+            firstScheduledHarvestISO: seed.timeline.harvestStart ? fmtISO(seed.timeline.harvestStart) : null, // ADDED
+            lastScheduledHarvestEndISO: seed.timeline.harvestEnd ? fmtISO(seed.timeline.harvestEnd) : null, // ADDED
+            warnings: Object.freeze([...vegetative.warnings, ...seed.warnings]) // ADDED
+        }; // ADDED
+    } // ADDED
+
+    win.USL.scheduler.biennialCore = Object.freeze({ // ADDED
+        isBiennialSeedSchedule, // ADDED
+        resolveVernalizationRequirement, // ADDED
+        resolveSeedBudget, // ADDED
+        computeBiennialScheduleResult // ADDED
+    }); // ADDED
+})(typeof window !== 'undefined' ? window : globalThis); // ADDED
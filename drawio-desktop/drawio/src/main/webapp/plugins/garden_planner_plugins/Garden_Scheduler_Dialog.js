@@ -9,7 +9,7 @@
 //  * Overwinter-aware feasibility & scanning
 //  * Yield multipliers computed over HARVEST window
 //  * UI keeps the same behavior (manual/auto dates, minimum yield filter, preview)
-//  * Loads shared, annual, and perennial scheduler cores before runtime installation. // ADDED
+//  * Loads shared, annual, perennial, and biennial scheduler cores before runtime installation. // ADDED
 //
 // ---------------------------------------------------------------------------------------------
 
@@ -21,7 +21,8 @@
     const CORE_FILES = [ // ADDED
         'Garden_Scheduler_Shared_Core.js', // ADDED
         'Garden_Scheduler_Annual_Core.js', // ADDED
-        'Garden_Scheduler_Perennial_Core.js' // ADDED
+        'Garden_Scheduler_Perennial_Core.js', // ADDED
+        'Garden_Scheduler_Biennial_Core.js' // ADDED
     ]; // ADDED
 
     function coreBasePath() { // ADDED
@@ -37,6 +38,7 @@
         const shared = scheduler && scheduler.sharedCore; // ADDED
         const annual = scheduler && scheduler.annualCore; // ADDED
         const perennial = scheduler && scheduler.perennialCore; // ADDED
+        const biennial = scheduler && scheduler.biennialCore; // ADDED
         if (!shared || typeof shared.ScheduleInputs !== 'function' || typeof shared.resolveHarvestWindowDays !== 'function') { // ADDED
             throw new Error('Garden scheduler shared core did not expose the expected API.'); // ADDED
         } // ADDED
@@ -46,7 +48,10 @@
         if (!perennial || typeof perennial.computePerennialScheduleResult !== 'function') { // ADDED
             throw new Error('Garden scheduler perennial core did not expose the expected API.'); // ADDED
         } // ADDED
-        return { shared, annual, perennial }; // ADDED
+        if (!biennial || typeof biennial.computeBiennialScheduleResult !== 'function') { // CHANGE
+            throw new Error('Garden scheduler biennial core did not expose the expected API.'); // ADDED
+        } // ADDED
+        return { shared, annual, perennial, biennial }; // ADDED
     } // ADDED
 
     const loader = root.USL.scheduler.__coreLoader || { // ADDED
@@ -130,6 +135,7 @@ Draw.loadPlugin(function (ui) {
             ));
     }
     function fmtISO(d) { return d ? d.toISOString().slice(0, 10) : ''; }
+    function localTodayISO(now = new Date()) { return fmtISO(asUTCDate(now.getFullYear(), now.getMonth() + 1, now.getDate())); } // ADDED
     function iso(d) { return d ? d.toISOString().slice(0, 10) : null; }
     function shiftDays(isoStr, days) {
         if (!isoStr) return null;
@@ -157,6 +163,7 @@ Draw.loadPlugin(function (ui) {
     let sharedCore = null; // CHANGED
     let annualCore = null; // CHANGED
     let perennialCore = null; // CHANGED
+    let biennialCore = null; // ADDED
     function bindRequiredSchedulerCores() { // CHANGED
         const scheduler = typeof window !== 'undefined' && window.USL && window.USL.scheduler
             ? window.USL.scheduler
@@ -164,10 +171,11 @@ Draw.loadPlugin(function (ui) {
         sharedCore = scheduler && scheduler.sharedCore;
         annualCore = scheduler && scheduler.annualCore;
         perennialCore = scheduler && scheduler.perennialCore;
-        if (!sharedCore || !annualCore || !perennialCore) {
-            throw new Error('Garden scheduler requires shared, annual, and perennial core modules.');
+        biennialCore = scheduler && scheduler.biennialCore; // CHANGE
+        if (!sharedCore || !annualCore || !perennialCore || !biennialCore) { // CHANGE
+            throw new Error('Garden scheduler requires shared, annual, perennial, and biennial core modules.'); // ADDED
         }
-        return { sharedCore, annualCore, perennialCore };
+        return { sharedCore, annualCore, perennialCore, biennialCore }; // CHANGE
     }
     function monthlyMeanOnDate(date, monthlyAvgTemp) {
         const year = date.getUTCFullYear();
@@ -582,6 +590,7 @@ Draw.loadPlugin(function (ui) {
     }
 
     const PHYSIOLOGY_PLANT_COLUMNS = Object.freeze({ // ADDED
+        family: 'TEXT', // ADDED
         establishment_temp_max_c: 'REAL', // ADDED
         establishment_heat_window_days: 'INTEGER', // ADDED
         establishment_heat_policy: 'TEXT', // ADDED
@@ -601,7 +610,11 @@ Draw.loadPlugin(function (ui) {
         killtemp_c: 'REAL', // ADDED
         diagnostic_policy: 'TEXT', // CHANGED
         spacing_x_cm: 'REAL', // ADDED
-        spacing_y_cm: 'REAL' // ADDED
+        spacing_y_cm: 'REAL', // ADDED
+        years_to_first_harvest: 'INTEGER', // ADDED
+        years_to_full_yield: 'INTEGER', // ADDED
+        days_to_seed: 'INTEGER', // ADDED
+        gdd_to_seed: 'REAL' // ADDED
     }); // ADDED
     const PHYSIOLOGY_CITY_COLUMNS = Object.freeze({ // CHANGED: scheduler owns lightweight city geography columns for grouped city selection.
         country_name: 'TEXT', // ADDED
@@ -709,11 +722,12 @@ Draw.loadPlugin(function (ui) {
                  tmin_c, topt_low_c, topt_high_c, tmax_c, tbase_c, killtemp_c,
                  harvest_window_days, days_maturity, days_transplant, days_germ,
                  direct_sow, transplant, default_planting_method_category, default_planting_method, overwinter_ok, start_cooling_threshold_c,
-                  soil_temp_min_plant_c, annual, biennial, perennial, lifespan_years, veg_diameter_cm, spacing_cm, spacing_x_cm, spacing_y_cm,
+                  soil_temp_min_plant_c, annual, biennial, perennial, lifespan_years, years_to_first_harvest, years_to_full_yield, days_to_seed, gdd_to_seed, veg_diameter_cm, spacing_cm, spacing_x_cm, spacing_y_cm,
                  establishment_temp_max_c, establishment_heat_window_days, establishment_heat_policy,
                  quality_temp_max_c, heat_stress_stage, quality_heat_policy,
                  photoperiod_response, critical_daylength_hours, photoperiod_stage, photoperiod_policy,
-                 chilling_required_days, chilling_required_hours, chilling_temp_min_c, chilling_temp_max_c, chilling_stage, chilling_policy, diagnostic_policy
+                 chilling_required_days, chilling_required_hours, chilling_temp_min_c, chilling_temp_max_c, chilling_stage, chilling_policy, diagnostic_policy,
+                 family, crop_category, sun_hours, water, preferred_soil, organic_matter
           FROM Plants
           WHERE abbr IS NOT NULL
           ORDER BY plant_name;`;
@@ -1288,8 +1302,8 @@ Draw.loadPlugin(function (ui) {
             return this._safeParseTemplateRow(rows[0] || null);
         }
 
-        static async loadMethodBuiltinTemplate(methodId) {
-            return getDefaultTaskTemplateForPlantingMethods(methodId); // ADDED
+        static async loadMethodBuiltinTemplate(methodId, options = {}) { // CHANGE
+            return getDefaultTaskTemplateForPlantingMethods(methodId, options); // ADDED
         }
 
         static async savePlantTemplate(plantId, methodId, template) {
@@ -1710,6 +1724,9 @@ Draw.loadPlugin(function (ui) {
         return row ? String(row.variety_name || '').trim() : '';
     }
 
+    // Rows imported from the farm's own weather station (City Manager); they replace seeded weather month by month. // ADDED
+    const LOCAL_WEATHER_STATION_PROVIDER = 'local_station'; // ADDED
+
     class CityClimate {
         constructor(row) {
             Object.assign(this, row);
@@ -1833,16 +1850,21 @@ Draw.loadPlugin(function (ui) {
 
             if (Number.isFinite(cityId)) { // ADDED
                 try { // ADDED
-                    const monthlyRows = normalsSource === 'city_weather_daily' || normalsSource === 'city_monthly_columns' ? [] : await queryAll(` // CHANGED
-                        SELECT CAST(substr(weather_month, 6, 2) AS INTEGER) AS month,
-                               AVG(temp_min_c) AS min,
-                               AVG(temp_max_c) AS max,
-                               AVG(temp_mean_c) AS mean
-                        FROM CityWeatherMonthly
-                        WHERE city_id = ?
-                        GROUP BY CAST(substr(weather_month, 6, 2) AS INTEGER)
+                    const monthlyRows = normalsSource === 'city_weather_daily' || normalsSource === 'city_monthly_columns' ? [] : await queryAll(`
+                        SELECT CAST(substr(w.weather_month, 6, 2) AS INTEGER) AS month,
+                               AVG(w.temp_min_c) AS min,
+                               AVG(w.temp_max_c) AS max,
+                               AVG(w.temp_mean_c) AS mean
+                        FROM CityWeatherMonthly AS w
+                        WHERE w.city_id = ?
+                          AND (w.provider = ? OR NOT EXISTS (
+                              SELECT 1 FROM CityWeatherMonthly AS own
+                              WHERE own.city_id = w.city_id
+                                AND own.provider = ?
+                                AND substr(own.weather_month, 6, 2) = substr(w.weather_month, 6, 2)))
+                        GROUP BY CAST(substr(w.weather_month, 6, 2) AS INTEGER)
                         ORDER BY month;
-                    `, [cityId]); // ADDED
+                    `, [cityId, LOCAL_WEATHER_STATION_PROVIDER, LOCAL_WEATHER_STATION_PROVIDER]); // CHANGED
                     const monthlyFromWeather = {}; // ADDED
                     (monthlyRows || []).forEach(function (row) { // ADDED
                         const month = Number(row.month); // ADDED
@@ -1853,15 +1875,20 @@ Draw.loadPlugin(function (ui) {
                         source = 'CityWeatherMonthly normals'; // ADDED
                     } else if (normalsSource !== 'city_weather_monthly' && normalsSource !== 'city_monthly_columns') { // CHANGED
                         const dailyRows = await queryAll(`
-                            SELECT CAST(substr(weather_date, 6, 2) AS INTEGER) AS month,
-                                   AVG(temp_min_c) AS min,
-                                   AVG(temp_max_c) AS max,
-                                   AVG(temp_mean_c) AS mean
-                            FROM CityWeatherDaily
-                            WHERE city_id = ?
-                            GROUP BY CAST(substr(weather_date, 6, 2) AS INTEGER)
+                            SELECT CAST(substr(w.weather_date, 6, 2) AS INTEGER) AS month,
+                                   AVG(w.temp_min_c) AS min,
+                                   AVG(w.temp_max_c) AS max,
+                                   AVG(w.temp_mean_c) AS mean
+                            FROM CityWeatherDaily AS w
+                            WHERE w.city_id = ?
+                              AND (w.provider = ? OR NOT EXISTS (
+                                  SELECT 1 FROM CityWeatherDaily AS own
+                                  WHERE own.city_id = w.city_id
+                                    AND own.provider = ?
+                                    AND substr(own.weather_date, 6, 2) = substr(w.weather_date, 6, 2)))
+                            GROUP BY CAST(substr(w.weather_date, 6, 2) AS INTEGER)
                             ORDER BY month;
-                        `, [cityId]); // ADDED
+                        `, [cityId, LOCAL_WEATHER_STATION_PROVIDER, LOCAL_WEATHER_STATION_PROVIDER]); // CHANGED
                         const monthlyFromDaily = {}; // ADDED
                         (dailyRows || []).forEach(function (row) { // ADDED
                             const month = Number(row.month); // ADDED
@@ -1900,6 +1927,37 @@ Draw.loadPlugin(function (ui) {
                 forecastBlendWeights: normalizedPolicy // ADDED
             }); // ADDED
         }
+
+        // Observed days for in-season tracking; farm station rows win over seeded providers on the same date. // ADDED
+        async loadObservedDailyWeather({ startDate, endDate } = {}) { // ADDED
+            const cityId = Number(this.city_id); // ADDED
+            const days = {}; // ADDED
+            if (!Number.isFinite(cityId) || !startDate || !endDate || endDate < startDate) return { days, source: 'CityWeatherDaily observations' }; // ADDED
+            const rows = await queryAll(`
+                SELECT w.weather_date AS date,
+                       AVG(w.temp_min_c) AS min,
+                       AVG(w.temp_max_c) AS max,
+                       AVG(w.temp_mean_c) AS mean
+                FROM CityWeatherDaily AS w
+                WHERE w.city_id = ?
+                  AND w.weather_date BETWEEN ? AND ?
+                  AND (w.provider = ? OR NOT EXISTS (
+                      SELECT 1 FROM CityWeatherDaily AS own
+                      WHERE own.city_id = w.city_id
+                        AND own.provider = ?
+                        AND own.weather_date = w.weather_date))
+                GROUP BY w.weather_date
+                ORDER BY w.weather_date;
+            `, [cityId, fmtISO(startDate), fmtISO(endDate), LOCAL_WEATHER_STATION_PROVIDER, LOCAL_WEATHER_STATION_PROVIDER]); // ADDED
+            (rows || []).forEach(function (row) { // ADDED
+                const min = finiteNumberOrNull(row.min); // ADDED
+                const max = finiteNumberOrNull(row.max); // ADDED
+                const mean = finiteNumberOrNull(row.mean); // ADDED
+                if (min == null && max == null && mean == null) return; // ADDED
+                days[String(row.date).slice(0, 10)] = { min, max, mean }; // ADDED
+            }); // ADDED
+            return { days, source: 'CityWeatherDaily observations' }; // ADDED
+        } // ADDED
     }
 
     async function saveSchedulerCityLatitude({ cityName, latitudeValue, cities, recomputeAll, updateTaskPreview }) { // ADDED
@@ -2042,7 +2100,7 @@ Draw.loadPlugin(function (ui) {
     async function countCityWeatherMonthlyRows(cityId) { // ADDED
         if (!Number.isFinite(Number(cityId))) return 0; // ADDED
         try { // ADDED
-            const rows = await queryAll(` // ADDED
+            const rows = await queryAll(`
                 SELECT COUNT(*) AS count
                 FROM (
                     SELECT CAST(substr(weather_month, 6, 2) AS INTEGER) AS month
@@ -2059,7 +2117,7 @@ Draw.loadPlugin(function (ui) {
     async function countCityWeatherDailyMonthlyRows(cityId) { // ADDED
         if (!Number.isFinite(Number(cityId))) return 0; // ADDED
         try { // ADDED
-            const rows = await queryAll(` // ADDED
+            const rows = await queryAll(`
                 SELECT COUNT(*) AS count
                 FROM (
                     SELECT CAST(substr(weather_date, 6, 2) AS INTEGER) AS month
@@ -2073,12 +2131,26 @@ Draw.loadPlugin(function (ui) {
         } // ADDED
     } // ADDED
 
+    async function countLocalStationWeatherMonths(cityId) { // ADDED
+        if (!Number.isFinite(Number(cityId))) return 0; // ADDED
+        try { // ADDED
+            const rows = await queryAll(`
+                SELECT COUNT(DISTINCT substr(weather_month, 6, 2)) AS count
+                FROM CityWeatherMonthly
+                WHERE city_id = ? AND provider = ?;`, [Number(cityId), LOCAL_WEATHER_STATION_PROVIDER]); // ADDED
+            return Number(rows?.[0]?.count || 0); // ADDED
+        } catch (_) { // ADDED
+            return 0; // ADDED
+        } // ADDED
+    } // ADDED
+
     async function resolveWeatherNormalsSourceStatus(city, requestedSource) { // ADDED
         const source = normalizeClimateModelPatch({ weatherNormalsSource: requestedSource }).weatherNormalsSource || 'auto'; // ADDED
         const cityId = Number(city?.city_id); // ADDED
         const monthlyCount = await countCityWeatherMonthlyRows(cityId); // ADDED
         const dailyCount = await countCityWeatherDailyMonthlyRows(cityId); // ADDED
         const cityColumnCount = countMonthlyNormals(sharedCore.monthlyTemperatureNormalsFromCity(city)); // ADDED
+        const stationCount = await countLocalStationWeatherMonths(cityId); // ADDED
         let actual = 'city monthly columns'; // ADDED
         let text = ''; // ADDED
         if (source === 'auto') { // ADDED
@@ -2096,9 +2168,10 @@ Draw.loadPlugin(function (ui) {
             actual = cityColumnCount > 0 ? 'city monthly columns' : 'no normals'; // ADDED
             text = cityColumnCount > 0 ? 'City monthly columns available' : 'City monthly columns missing'; // ADDED
         } // ADDED
+        if (stationCount > 0 && actual === 'CityWeatherMonthly') text += ` (farm station for ${stationCount} month${stationCount === 1 ? '' : 's'})`; // ADDED
         return { // ADDED
             text, // ADDED
-            tooltip: `Requested source: ${source}. Monthly weather months: ${monthlyCount}; daily weather months: ${dailyCount}; city monthly column months: ${cityColumnCount}. Actual source: ${actual}.` // ADDED
+            tooltip: `Requested source: ${source}. Monthly weather months: ${monthlyCount}; daily weather months: ${dailyCount}; city monthly column months: ${cityColumnCount}; farm station months: ${stationCount}. Actual source: ${actual}.` // CHANGED
         }; // ADDED
     } // ADDED
 
@@ -2603,14 +2676,41 @@ Draw.loadPlugin(function (ui) {
         return parts.filter(Boolean).join(', '); // ADDED
     } // ADDED
 
-    function makeCropPickerOptions(plants, scoreByPlantId = new Map(), metadataByPlantId = new Map()) { // ADDED
+    function scoreCropBedFit(plant, bedCell) { // CHANGE
+        const bedsApi = typeof window !== 'undefined' ? window.TrellisGardenBeds : null; // ADDED
+        if (!bedCell || !bedsApi || typeof bedsApi.scoreBedSuitability !== 'function') return null; // ADDED
+        const result = bedsApi.scoreBedSuitability(bedCell, plant); // ADDED
+        return result && result.score != null ? result : null; // ADDED
+    } // ADDED
+
+    function cropRotationWarning(plant, bedCell, seasonYear, scheduleCell = null) { // ADDED
+        const bedsApi = typeof window !== 'undefined' ? window.TrellisGardenBeds : null; // ADDED
+        if (!bedCell || !bedsApi || typeof bedsApi.checkCropRotation !== 'function') return ''; // ADDED
+        const check = bedsApi.checkCropRotation(bedCell, plant, seasonYear, { excludeCell: scheduleCell }); // ADDED
+        return check && !check.ok ? bedsApi.formatRotationCheck(check) : ''; // ADDED
+    } // ADDED
+
+    function pestPressureWarning(plant, bedCell, seasonYear) { // ADDED
+        const bedsApi = typeof window !== 'undefined' ? window.TrellisGardenBeds : null; // ADDED
+        if (!bedCell || !bedsApi || typeof bedsApi.checkPestPressure !== 'function') return ''; // ADDED
+        const check = bedsApi.checkPestPressure(bedCell, plant, seasonYear); // ADDED
+        return check && !check.ok ? bedsApi.formatPestPressureCheck(check) : ''; // ADDED
+    } // ADDED
+
+    function bedFitPickerHint(bedFit) { // ADDED
+        if (!bedFit) return ''; // ADDED
+        return bedFit.compatible ? `bed fit ${bedFit.score}` : 'bed unsuitable'; // ADDED
+    } // ADDED
+
+    function makeCropPickerOptions(plants, scoreByPlantId = new Map(), metadataByPlantId = new Map(), bedCell = null) { // CHANGED
         return (plants || []).map(plant => { // ADDED
             const label = cropPickerBaseLabel(plant); // ADDED
             const score = scoreByPlantId.get(String(plant?.plant_id)) || null; // ADDED
             const metadata = metadataByPlantId.get(String(plant?.plant_id)) || null; // ADDED
             const metadataHint = companionPickerHint(metadata); // ADDED
             const scoreHint = score?.hint || ''; // ADDED
-            const hint = [scoreHint, metadataHint].filter(Boolean).join(' - '); // ADDED
+            const bedFit = scoreCropBedFit(plant, bedCell); // CHANGE
+            const hint = [scoreHint, bedFitPickerHint(bedFit), metadataHint].filter(Boolean).join(' - '); // CHANGED
             return { // ADDED
                 value: String(plant?.plant_id), // ADDED
                 label, // ADDED
@@ -2618,6 +2718,7 @@ Draw.loadPlugin(function (ui) {
                 lifecycle: getCropLifecycle(plant), // ADDED
                 plant, // ADDED
                 score, // ADDED
+                bedFit, // ADDED
                 metadata // ADDED
             }; // ADDED
         }); // ADDED
@@ -2882,7 +2983,7 @@ Draw.loadPlugin(function (ui) {
         for (const plant of (plants || [])) { // ADDED
             scoreByPlantId.set(String(plant?.plant_id), await scoreCropSuitability(plant, { ...context, cache })); // ADDED
         } // ADDED
-        return makeCropPickerOptions(plants, scoreByPlantId, context.metadataByPlantId || new Map()); // CHANGED
+        return makeCropPickerOptions(plants, scoreByPlantId, context.metadataByPlantId || new Map(), context.bedCell || null); // CHANGED
     } // ADDED
 
 
@@ -2970,7 +3071,8 @@ Draw.loadPlugin(function (ui) {
             varietyName,
             bedProfile: options.bedProfile || formState.bedProfile || null, // ADDED: reuse resolved bed conditions for soil gates.
             bedProfileSource: options.bedProfileSource || formState.bedProfileSource || 'generic garden bed', // ADDED
-            dailyClimate // ADDED
+            dailyClimate, // ADDED
+            biennialMode: formState.biennialMode // ADDED
         });
 
         return {
@@ -4304,6 +4406,7 @@ Draw.loadPlugin(function (ui) {
             GERM: 'Germ', // ADDED
             TRANSPLANT: 'Transplant', // ADDED
             MATURITY: 'Maturity', // ADDED
+            BOLTING: 'Bolting', // ADDED
             HARVEST_START: 'First harvest', // ADDED
             HARVEST_END: 'Harvest end' // ADDED
         }; // ADDED
@@ -4313,6 +4416,7 @@ Draw.loadPlugin(function (ui) {
         const abbreviations = { // ADDED
             SOW: 'S', // ADDED
             TRANSPLANT: 'T', // ADDED
+            BOLTING: 'B', // ADDED
             HARVEST_START: 'HS', // ADDED
             HARVEST_END: 'HE' // ADDED
         }; // ADDED
@@ -4498,13 +4602,17 @@ Draw.loadPlugin(function (ui) {
         }).filter(Boolean); // ADDED
         const firstTimeline = Array.isArray(scheduleResult?.timelines) ? scheduleResult.timelines[0] : null; // ADDED
         const sowDate = Array.isArray(scheduleResult?.schedule) ? scheduleResult.schedule[0] : parseISODateUTCValue(startISO); // ADDED
+        // Biennial seed crops bolt and ripen seed on their second-season timeline. // ADDED
+        const seedTimeline = scheduleResult?.kind === 'biennial' ? scheduleResult.timelines[1] : null; // ADDED
+        const harvestTimeline = seedTimeline || firstTimeline; // ADDED
         const rawMilestones = [ // ADDED
             buildLifecycleTimelineMilestone('SOW', sowDate || startISO, { taskStage: 'SOW' }), // ADDED
             buildLifecycleTimelineMilestone('GERM', firstTimeline?.germ, { visible: false, taskStage: 'GERM' }), // ADDED
             buildLifecycleTimelineMilestone('TRANSPLANT', firstTimeline?.transplant, { taskStage: 'TRANSPLANT' }), // ADDED
             buildLifecycleTimelineMilestone('MATURITY', firstTimeline?.maturity, { visible: false }), // ADDED
-            buildLifecycleTimelineMilestone('HARVEST_START', firstTimeline?.harvestStart, { taskStage: 'HARVEST_START' }), // ADDED
-            buildLifecycleTimelineMilestone('HARVEST_END', firstTimeline?.harvestEnd, { taskStage: 'HARVEST_END' }) // ADDED
+            buildLifecycleTimelineMilestone('BOLTING', seedTimeline?.bolting, { taskStage: 'BOLTING' }), // CHANGE
+            buildLifecycleTimelineMilestone('HARVEST_START', harvestTimeline?.harvestStart, { taskStage: 'HARVEST_START' }), // CHANGE
+            buildLifecycleTimelineMilestone('HARVEST_END', harvestTimeline?.harvestEnd, { taskStage: 'HARVEST_END' }) // CHANGE
         ].filter(Boolean); // ADDED
         const seenStageDates = new Set(); // ADDED
         const milestones = rawMilestones.filter(milestone => { // ADDED
@@ -5417,10 +5525,12 @@ Draw.loadPlugin(function (ui) {
     function renderPerennialPreview(ui, result) { // FIX: preview perennials without annual stage columns
         const div = document.createElement('div');
         div.style.padding = '12px';
-        div.style.width = '420px';
+        div.style.width = '620px'; // CHANGE
+        div.style.maxHeight = '70vh'; // ADDED
+        div.style.overflow = 'auto'; // ADDED
 
         const title = document.createElement('div');
-        title.textContent = 'Perennial Lifespan Preview';
+        title.textContent = 'Perennial Bearing Preview'; // CHANGE
         title.style.fontWeight = '600';
         title.style.marginBottom = '10px';
         div.appendChild(title);
@@ -5431,12 +5541,25 @@ Draw.loadPlugin(function (ui) {
             ['Lifespan end', result?.lifespanEndISO || '']
         ].forEach(([label, value]) => div.appendChild(row(label + ':', makeDisplayValue(value)).row));
 
+        div.appendChild(buildLifecycleSeasonTable( // CHANGE
+            ['Year', 'Bud break', 'Harvest start', 'Harvest end', 'Yield multiplier', 'Dormancy'], // ADDED
+            (Array.isArray(result?.timelines) ? result.timelines : []).map(timeline => [ // CHANGE
+                timeline.cycleYear, // ADDED
+                fmtISO(timeline.dormancyEnd), // ADDED
+                fmtISO(timeline.harvestStart), // ADDED
+                fmtISO(timeline.harvestEnd), // ADDED
+                timeline.harvestStart ? Number(timeline.yieldMultiplier).toFixed(2) : '', // ADDED
+                fmtISO(timeline.dormancyStart) // ADDED
+            ]) // CHANGE
+        )); // CHANGE
+        appendScheduleWarningNotes(div, result); // CHANGE
+
         const btns = document.createElement('div');
         btns.style.marginTop = '12px';
         btns.style.textAlign = 'right';
         btns.appendChild(mxUtils.button('Close', () => ui.hideDialog()));
         div.appendChild(btns);
-        ui.showDialog(div, 440, 240, true, true); // CHANGE
+        ui.showDialog(div, 640, 480, true, true); // CHANGE
         elevateTrellisDialog(ui); // NEW
 
         function makeDisplayValue(value) {
@@ -5446,6 +5569,94 @@ Draw.loadPlugin(function (ui) {
         }
     }
 
+    function buildLifecycleSeasonTable(headers, valueRows) { // ADDED
+        const table = document.createElement('table'); // ADDED
+        table.style.borderCollapse = 'collapse'; // ADDED
+        table.style.width = '100%'; // ADDED
+        table.style.marginTop = '10px'; // ADDED
+        const trh = document.createElement('tr'); // ADDED
+        headers.forEach(h => { // ADDED
+            const th = document.createElement('th'); // ADDED
+            th.textContent = h; // ADDED
+            th.style.border = '1px solid #ddd'; // ADDED
+            th.style.padding = '4px 6px'; // ADDED
+            th.style.background = '#f3f4f6'; // ADDED
+            th.style.textAlign = 'left'; // ADDED
+            trh.appendChild(th); // ADDED
+        }); // ADDED
+        table.appendChild(trh); // ADDED
+        valueRows.forEach(values => { // ADDED
+            const tr = document.createElement('tr'); // ADDED
+            values.forEach(value => { // ADDED
+                const td = document.createElement('td'); // ADDED
+                td.textContent = String(value ?? ''); // ADDED
+                td.style.border = '1px solid #eee'; // ADDED
+                td.style.padding = '4px 6px'; // ADDED
+                tr.appendChild(td); // ADDED
+            }); // ADDED
+            table.appendChild(tr); // ADDED
+        }); // ADDED
+        return table; // ADDED
+    } // ADDED
+
+    function appendScheduleWarningNotes(div, result) { // ADDED
+        (Array.isArray(result?.warnings) ? result.warnings : []).forEach(warning => { // ADDED
+            const note = document.createElement('div'); // ADDED
+            note.textContent = String(warning?.message || warning || ''); // ADDED
+            note.style.color = '#92400e'; // ADDED
+            note.style.marginTop = '6px'; // ADDED
+            div.appendChild(note); // ADDED
+        }); // ADDED
+    } // ADDED
+
+    function renderBiennialSeedPreview(ui, result) { // ADDED
+        const div = document.createElement('div'); // ADDED
+        div.style.padding = '12px'; // ADDED
+        div.style.width = '620px'; // ADDED
+        div.style.maxHeight = '70vh'; // ADDED
+        div.style.overflow = 'auto'; // ADDED
+
+        const title = document.createElement('div'); // ADDED
+        title.textContent = 'Biennial Seed Preview'; // ADDED
+        title.style.fontWeight = '600'; // ADDED
+        title.style.marginBottom = '10px'; // ADDED
+        div.appendChild(title); // ADDED
+
+        [ // ADDED
+            ['Plant', result?.plant?.plant_name || ''], // ADDED
+            ['Sow date', fmtISO(result?.schedule?.[0])], // ADDED
+            ['Seed season', result?.seedSeasonYear ?? ''] // ADDED
+        ].forEach(([label, value]) => { // ADDED
+            const span = document.createElement('span'); // ADDED
+            span.textContent = String(value || ''); // ADDED
+            div.appendChild(row(label + ':', span).row); // ADDED
+        }); // ADDED
+
+        div.appendChild(buildLifecycleSeasonTable( // ADDED
+            ['Season', 'Phase', 'Sow', 'Transplant', 'Vegetative maturity', 'Vernalization days', 'Bolting', 'Seed harvest start', 'Seed harvest end'], // ADDED
+            (Array.isArray(result?.timelines) ? result.timelines : []).map(timeline => [ // ADDED
+                timeline.cycleYear, // ADDED
+                timeline.phase === 'seed' ? 'Seed' : 'Vegetative', // ADDED
+                fmtISO(timeline.sow), // ADDED
+                fmtISO(timeline.transplant), // ADDED
+                fmtISO(timeline.maturity), // ADDED
+                timeline.vernalizationDays ?? '', // ADDED
+                fmtISO(timeline.bolting), // ADDED
+                fmtISO(timeline.harvestStart), // ADDED
+                fmtISO(timeline.harvestEnd) // ADDED
+            ]) // ADDED
+        )); // ADDED
+        appendScheduleWarningNotes(div, result); // ADDED
+
+        const btns = document.createElement('div'); // ADDED
+        btns.style.marginTop = '12px'; // ADDED
+        btns.style.textAlign = 'right'; // ADDED
+        btns.appendChild(mxUtils.button('Close', () => ui.hideDialog())); // ADDED
+        div.appendChild(btns); // ADDED
+        ui.showDialog(div, 640, 420, true, true); // ADDED
+        elevateTrellisDialog(ui); // ADDED
+    } // ADDED
+
 
 
 
@@ -5862,6 +6073,13 @@ Draw.loadPlugin(function (ui) {
         abbrInput.style.width = '100%';
         abbrInput.style.padding = '6px';
 
+        const familyInput = document.createElement('input'); // ADDED
+        familyInput.type = 'text'; // ADDED
+        familyInput.value = existing?.family ?? ''; // ADDED
+        familyInput.placeholder = 'e.g. Brassicaceae'; // ADDED
+        familyInput.style.width = '100%'; // ADDED
+        familyInput.style.padding = '6px'; // ADDED
+
         const varietyNameInput = document.createElement('input');
         varietyNameInput.type = 'text';
         varietyNameInput.value = '';
@@ -5889,6 +6107,7 @@ Draw.loadPlugin(function (ui) {
         leftCol.appendChild(maturityClassRow.row); // ADDED
         leftCol.appendChild(maturityClassWarning); // ADDED
         leftCol.appendChild(row('Abbreviation (abbr):', abbrInput).row);
+        leftCol.appendChild(row('Botanical family:', familyInput).row); // ADDED
 
         function buildDraftVarietyRowForMaturityWarning() { // ADDED
             return { // ADDED
@@ -5940,6 +6159,16 @@ Draw.loadPlugin(function (ui) {
         const lifeRow = row('Lifespan (years):', lifespanInput);
         leftCol.appendChild(lifeRow.row);
 
+        const firstHarvestYearsInput = makeNullableNumber(existing?.years_to_first_harvest ?? null, { min: 0, step: 1 }); // ADDED
+        const fullYieldYearsInput = makeNullableNumber(existing?.years_to_full_yield ?? null, { min: 0, step: 1 }); // ADDED
+        leftCol.appendChild(row('Years to first harvest:', firstHarvestYearsInput).row); // ADDED
+        leftCol.appendChild(row('Years to full yield:', fullYieldYearsInput).row); // ADDED
+
+        const seedDaysInput = makeNullableNumber(existing?.days_to_seed ?? null, { min: 1, step: 1 }); // ADDED
+        const seedGddInput = makeNullableNumber(existing?.gdd_to_seed ?? null, { min: 0, step: 1 }); // ADDED
+        leftCol.appendChild(row('Days bolting to seed:', seedDaysInput).row); // ADDED
+        leftCol.appendChild(row('GDD bolting to seed:', seedGddInput).row); // ADDED
+
         const overwinterRow = row('Overwinter OK:', overwinterChk);
         leftCol.appendChild(overwinterRow.row);
 
@@ -5953,6 +6182,10 @@ Draw.loadPlugin(function (ui) {
             const lifecycle = typeSel.value;
             const fixed = lifecycleToFixedYears(lifecycle);
 
+            firstHarvestYearsInput.disabled = fixed != null; // ADDED
+            fullYieldYearsInput.disabled = fixed != null; // ADDED
+            seedDaysInput.disabled = lifecycle !== 'biennial'; // ADDED
+            seedGddInput.disabled = lifecycle !== 'biennial'; // ADDED
             if (fixed != null) {
                 lifespanInput.value = String(fixed);
                 lifespanInput.disabled = true;
@@ -6617,6 +6850,7 @@ Draw.loadPlugin(function (ui) {
         const PLANT_FIELD_BINDINGS = [ // ADDED
             { key: 'plant_name', input: nameInput, kind: 'text', empty: '' }, // ADDED
             { key: 'abbr', input: abbrInput, kind: 'text', empty: '' }, // ADDED
+            { key: 'family', input: familyInput, kind: 'text', empty: '' }, // ADDED
 
             { key: 'days_germ', input: daysGermInput, kind: 'number', empty: '0' }, // ADDED
             { key: 'days_transplant', input: daysTransInput, kind: 'number', empty: '0' }, // ADDED
@@ -6651,6 +6885,10 @@ Draw.loadPlugin(function (ui) {
             { key: 'chilling_stage', input: chillingStageSel, kind: 'text', empty: '' }, // ADDED
             { key: 'chilling_policy', input: chillingPolicySel, kind: 'text', empty: '' }, // ADDED
             { key: 'diagnostic_policy', input: diagnosticPolicySel, kind: 'text', empty: '' }, // ADDED
+            { key: 'years_to_first_harvest', input: firstHarvestYearsInput, kind: 'nullable-number', empty: '' }, // ADDED
+            { key: 'years_to_full_yield', input: fullYieldYearsInput, kind: 'nullable-number', empty: '' }, // ADDED
+            { key: 'days_to_seed', input: seedDaysInput, kind: 'nullable-number', empty: '' }, // ADDED
+            { key: 'gdd_to_seed', input: seedGddInput, kind: 'nullable-number', empty: '' }, // ADDED
 
             { key: 'veg_height_cm', input: vegHeightInput, kind: 'nullable-number', empty: '' }, // ADDED
             { key: 'veg_diameter_cm', input: vegDiamInput, kind: 'nullable-number', empty: '' }, // ADDED
@@ -6690,7 +6928,7 @@ Draw.loadPlugin(function (ui) {
 
         function setPlantControlsEnabled(enabled) {
             const els = [
-                nameInput, abbrInput, typeSel, /* lifespanInput, */ overwinterChk,
+                nameInput, abbrInput, familyInput, typeSel, /* lifespanInput, */ overwinterChk, // CHANGE
                 defaultMethodSel, budgetModeSel, gddInput, daysMatInput,
                 daysGermInput, daysTransInput, yieldInput, hwInput,
                 tbaseInput, tminInput, toptLowInput, toptHighInput, tmaxInput,
@@ -6714,6 +6952,11 @@ Draw.loadPlugin(function (ui) {
             syncLifecycleFields();
             const isPerennial = (String(typeSel.value) === 'perennial');
             lifespanInput.disabled = (!enabled) || (!isPerennial);
+            firstHarvestYearsInput.disabled = (!enabled) || (!isPerennial); // ADDED
+            fullYieldYearsInput.disabled = (!enabled) || (!isPerennial); // ADDED
+            const isBiennial = (String(typeSel.value) === 'biennial'); // ADDED
+            seedDaysInput.disabled = (!enabled) || (!isBiennial); // ADDED
+            seedGddInput.disabled = (!enabled) || (!isBiennial); // ADDED
         }
 
         async function refreshAllowedMethodCategoriesUIForPlant(pid) {
@@ -6995,6 +7238,16 @@ Draw.loadPlugin(function (ui) {
                 } else {
                     lifespan_years = annual ? 1 : 2;
                 }
+                const years_to_first_harvest = perennial && firstHarvestYearsInput.value !== '' ? readIntGE0(firstHarvestYearsInput) : null; // ADDED
+                const years_to_full_yield = perennial && fullYieldYearsInput.value !== '' ? readIntGE0(fullYieldYearsInput) : null; // ADDED
+                if (years_to_first_harvest != null && years_to_full_yield != null && years_to_full_yield < years_to_first_harvest) { // ADDED
+                    throw new Error('Years to full yield must be at least the years to first harvest'); // ADDED
+                } // ADDED
+                const days_to_seed = biennial ? readOptionalIntGE1(seedDaysInput) : null; // ADDED
+                const gdd_to_seed = biennial ? readNullableNumber(seedGddInput) : null; // ADDED
+                if (gdd_to_seed != null && !(gdd_to_seed > 0)) { // ADDED
+                    throw new Error('GDD bolting to seed must be greater than 0'); // ADDED
+                } // ADDED
 
                 const allowedmethodCategoryIds = getAllowedmethodCategoryIdsFromUI();
                 if (!allowedmethodCategoryIds.length) throw new Error('Enable at least one method');
@@ -7018,8 +7271,13 @@ Draw.loadPlugin(function (ui) {
                 const patch = {
                     plant_name,
                     abbr: String(abbrInput.value || '').trim() || null,
+                    family: String(familyInput.value || '').trim() || null, // ADDED
                     annual, biennial, perennial,
                     lifespan_years,
+                    years_to_first_harvest, // ADDED
+                    years_to_full_yield, // ADDED
+                    days_to_seed, // ADDED
+                    gdd_to_seed, // ADDED
                     overwinter_ok,
                     default_planting_method,
                     gdd_to_maturity, days_maturity,
@@ -7230,9 +7488,9 @@ Draw.loadPlugin(function (ui) {
         if (!startDate) {
             throw new Error('Select a planting date.'); // FIX: empty no-window state must not become an invalid Date
         }
-        return isPerennialPlant(plant)
-            ? perennialCore.computePerennialScheduleResult(inputs)
-            : annualCore.computeAnnualScheduleResult(inputs, { allowThermalWarnings: true }); // CHANGED
+        if (isPerennialPlant(plant)) return perennialCore.computePerennialScheduleResult(inputs); // CHANGE
+        if (biennialCore.isBiennialSeedSchedule(inputs)) return biennialCore.computeBiennialScheduleResult(inputs, { allowThermalWarnings: true }); // CHANGE
+        return annualCore.computeAnnualScheduleResult(inputs, { allowThermalWarnings: true }); // CHANGED
     }
 
 
@@ -7266,18 +7524,29 @@ Draw.loadPlugin(function (ui) {
             derivedContext = null // ADDED
         } = options || {};
         const cropMetadataByPlantId = derivedContext?.metadataByPlantId || new Map(); // ADDED
+        const cropPickerBedCell = findContainingBedForScheduleCell(cell); // ADDED
         let hasPersistedSchedule = !!initialHasPersistedSchedule; // FIX: provenance changes after an automatic replacement
 
         // Helper to centralize plant mode (perennial vs annual/biennial)          
         function getModeForPlant(plant) {
             const perennial = !!(plant && plant.isPerennial && plant.isPerennial());
-            return { perennial };
+            const biennial = !!(plant && plant.isBiennial && plant.isBiennial()); // CHANGE
+            return { perennial, biennial }; // ADDED
+        } // ADDED
+
+        function isBiennialSeedSelection() { // ADDED
+            return mode.biennial && formState.biennialMode === sharedCore.BIENNIAL_SEED_MODE; // ADDED
+        } // ADDED
+
+        // Lifecycle flags that add dormancy or bolting anchors and their built-in task rules. // ADDED
+        function lifecycleTaskOptions() { // ADDED
+            return { perennial: isPerennialPlant(selPlant), biennialSeed: isBiennialSeedSelection() }; // ADDED
         }
 
         async function reloadPlantsList() {
             const prev = plantSel.value;
             plantsLocal = derivedContext?.candidatePlants ? derivedContext.candidatePlants.slice() : await PlantModel.listBasic(); // CHANGED
-            renderSchedulerCropPicker(makeCropPickerOptions(plantsLocal, new Map(), cropMetadataByPlantId), prev); // CHANGED
+            renderSchedulerCropPicker(makeCropPickerOptions(plantsLocal, new Map(), cropMetadataByPlantId, cropPickerBedCell), prev); // CHANGED
             if (!findPlantById(Number(plantSel.value)) && plantsLocal[0]) { // CHANGED
                 plantSel.value = String(plantsLocal[0].plant_id); // CHANGED
             }
@@ -7439,7 +7708,7 @@ Draw.loadPlugin(function (ui) {
         } // CHANGED
 
         // Plant selector
-        let currentCropPickerOptions = makeCropPickerOptions(plantsLocal, new Map(), cropMetadataByPlantId); // ADDED
+        let currentCropPickerOptions = makeCropPickerOptions(plantsLocal, new Map(), cropMetadataByPlantId, cropPickerBedCell); // ADDED
         let currentCropPickerSelectedValue = String(initialPlant?.plant_id ?? plantsLocal[0]?.plant_id ?? ''); // ADDED
         const lifecycleFilterSel = buildLifecycleFilterControl(); // ADDED
         const plantSel = document.createElement('select'); // CHANGED
@@ -7517,6 +7786,20 @@ Draw.loadPlugin(function (ui) {
         const plantSelectRow = row('Plant:', plantControlsWrap); // CHANGED
         plantSelectRow.row.classList.add('usl-scheduler-row--crop-picker'); // ADDED
         plantSection.body.appendChild(plantSelectRow.row); // CHANGED
+        const rotationWarning = document.createElement('div'); // ADDED
+        rotationWarning.className = 'usl-scheduler-rotation-warning'; // ADDED
+        rotationWarning.style.display = 'none'; // ADDED
+        rotationWarning.style.fontSize = '12px'; // ADDED
+        rotationWarning.style.color = '#92400e'; // ADDED
+        rotationWarning.style.margin = '0 0 8px'; // ADDED
+        plantSection.body.appendChild(rotationWarning); // ADDED
+        const pestWarning = document.createElement('div'); // ADDED
+        pestWarning.className = 'usl-scheduler-pest-warning'; // ADDED
+        pestWarning.style.display = 'none'; // ADDED
+        pestWarning.style.fontSize = '12px'; // ADDED
+        pestWarning.style.color = '#991b1b'; // ADDED
+        pestWarning.style.margin = '0 0 8px'; // ADDED
+        plantSection.body.appendChild(pestWarning); // ADDED
 
         const findPlantById = (id) => (plantsLocal || []).find(p => Number(p.plant_id) === Number(id)) || null;
 
@@ -7995,6 +8278,9 @@ Draw.loadPlugin(function (ui) {
         const seasonYearInput = makeNumber(seasonStartYear0, { min: 1900 });
         seasonYearInput.step = '1';
 
+        // --- Biennial seed crops run into the season after season_start_year --- // ADDED
+        const biennialSeedChk = makeCheckbox(String(cell.getAttribute?.('biennial_mode') || '') === sharedCore.BIENNIAL_SEED_MODE); // ADDED
+
         let taskTemplate = null;
         let taskRules = Array.isArray(taskTemplate?.rules) ? [...taskTemplate.rules] : [];
         // --- task reset helpers ----------------------------------------------------   
@@ -8031,6 +8317,7 @@ Draw.loadPlugin(function (ui) {
             seasonEndISO: mode.perennial ? seasonEndInput.value : '', // CHANGED: reserve seasonEndISO for perennial lifespan end.
             latestHarvestEndISO: mode.perennial ? '' : initialLatestHarvestEndISO, // ADDED: annual display output is not a scheduling constraint.
             seasonStartYear: Number(seasonYearInput.value || (new Date()).getUTCFullYear()),
+            biennialMode: biennialSeedChk.checked ? sharedCore.BIENNIAL_SEED_MODE : sharedCore.BIENNIAL_VEGETATIVE_MODE, // ADDED
             harvestWindowDays: (harvestWindowInput.value === '' ? null : Number(harvestWindowInput.value)),
             minYieldMultiplier: Number(minYieldMultInput.value || 0),
             sowingSeasons: [], // ADDED
@@ -8492,16 +8779,17 @@ Draw.loadPlugin(function (ui) {
                     bedProfileSource: formState.bedProfileSource, // ADDED
                     cache: schedulerCropSuitabilityCache, // CHANGED
                     metadataByPlantId: cropMetadataByPlantId, // ADDED
+                    bedCell: cropPickerBedCell, // ADDED
                     deferMissingWindows: true // ADDED
                 } : null; // ADDED
                 const nextOptions = context // ADDED
                     ? await scoreCropPickerOptions(plantsLocal, context) // ADDED
-                    : makeCropPickerOptions(plantsLocal, new Map(), cropMetadataByPlantId); // CHANGED
+                    : makeCropPickerOptions(plantsLocal, new Map(), cropMetadataByPlantId, cropPickerBedCell); // CHANGED
                 if (refreshVersion !== schedulerCropPickerRefreshVersion) return; // ADDED
                 renderSchedulerCropPicker(nextOptions, currentCropPickerSelectedValue); // CHANGED
             } catch (e) { // ADDED
                 console.warn('[Scheduler] Crop suitability ranking failed; falling back to grouped crop order.', e); // ADDED
-                if (refreshVersion === schedulerCropPickerRefreshVersion) renderSchedulerCropPicker(makeCropPickerOptions(plantsLocal, new Map(), cropMetadataByPlantId), currentCropPickerSelectedValue); // CHANGED
+                if (refreshVersion === schedulerCropPickerRefreshVersion) renderSchedulerCropPicker(makeCropPickerOptions(plantsLocal, new Map(), cropMetadataByPlantId, cropPickerBedCell), currentCropPickerSelectedValue); // CHANGED
             } // ADDED
         } // ADDED
 
@@ -8548,6 +8836,7 @@ Draw.loadPlugin(function (ui) {
             if (mode.perennial) formState.seasonEndISO = seasonEndInput.value; // CHANGED
             else formState.latestHarvestEndISO = seasonEndInput.value; // ADDED
             formState.seasonStartYear = Number(seasonYearInput.value || (new Date()).getUTCFullYear());
+            formState.biennialMode = biennialSeedChk.checked ? sharedCore.BIENNIAL_SEED_MODE : sharedCore.BIENNIAL_VEGETATIVE_MODE; // ADDED
             formState.harvestWindowDays = (harvestWindowInput.value === '' ? null : Number(harvestWindowInput.value));
             formState.minYieldMultiplier = Number(minYieldMultInput.value || 0);
             syncLayoutDraftFromControls(); // ADDED
@@ -8741,6 +9030,8 @@ Draw.loadPlugin(function (ui) {
         const transplantDaysRowObj = row('Transplant lead days:', transplantDaysWrap); // ADDED
         setTooltip(transplantDaysRowObj.label, 'Days from sowing to transplant for this planting group.'); // ADDED
         setTooltip(transplantDaysInput, 'Unchecked: inherit the plant or variety default. Checked: save a group-specific days_transplant override.'); // ADDED
+        const biennialSeedRowObj = row('Grow on for seed:', biennialSeedChk); // ADDED
+        setTooltip(biennialSeedRowObj.label, 'Overwinter the plants and schedule bolting and seed harvest in the following season.'); // ADDED
 
         const endRow = row('Latest harvest end:', seasonEndInput); // CHANGED
         const harvestStartRowObj = row('Expected first harvest:', harvestStartInput); // CHANGED
@@ -8749,6 +9040,7 @@ Draw.loadPlugin(function (ui) {
 
         appendFieldRows(contextSection.body, fieldRows, ['seasonStartYear', 'cityName', 'methodSelection']); // CHANGED
         contextSection.body.appendChild(transplantDaysRowObj.row); // ADDED
+        contextSection.body.appendChild(biennialSeedRowObj.row); // ADDED
         const legacyMethodControls = document.createElement('div'); // ADDED
         legacyMethodControls.style.display = 'none'; // ADDED
         legacyMethodControls.appendChild(methodCategorySel); // ADDED
@@ -8765,6 +9057,15 @@ Draw.loadPlugin(function (ui) {
         contextSummary.style.color = '#374151'; // ADDED
         contextSection.body.appendChild(contextSummary); // ADDED
 
+        function refreshRotationWarning() { // ADDED
+            const text = cropRotationWarning(selPlant, cropPickerBedCell, formState.seasonStartYear, cell); // ADDED
+            rotationWarning.textContent = text; // ADDED
+            rotationWarning.style.display = text ? 'block' : 'none'; // ADDED
+            const pestText = pestPressureWarning(selPlant, cropPickerBedCell, formState.seasonStartYear); // ADDED
+            pestWarning.textContent = pestText; // ADDED
+            pestWarning.style.display = pestText ? 'block' : 'none'; // ADDED
+        } // ADDED
+
         function refreshContextSummary() { // ADDED
             const bed = normalizeBedProfile(formState.bedProfile); // ADDED
             const gardenName = formatGardenName(climateModelModuleCell); // ADDED
@@ -8823,7 +9124,7 @@ Draw.loadPlugin(function (ui) {
         function climateModelTooltipFor(def) { // ADDED
             const map = { // ADDED
                 springFrostRisk: 'Frost percentile used for the field frost gate. The tip shows the selected season-year date when city data exists.', // ADDED
-                weatherNormalsSource: 'Preferred source for monthly temperature normals. Auto chooses monthly weather, daily weather, then city monthly columns.', // ADDED
+                weatherNormalsSource: 'Preferred source for monthly temperature normals. Auto chooses monthly weather, daily weather, then city monthly columns. Months imported from a farm weather station replace seeded weather for those months.', // CHANGED
                 forecastBlendWeight0To3Days: 'Weight applied to forecast temperatures for dates 0-3 days ahead. 1 uses forecast only; 0 uses normals only.', // ADDED
                 forecastBlendWeight4To7Days: 'Weight applied to forecast temperatures for dates 4-7 days ahead.', // ADDED
                 forecastBlendWeight8To16Days: 'Weight applied to forecast temperatures for dates 8-16 days ahead.', // ADDED
@@ -9038,12 +9339,14 @@ Draw.loadPlugin(function (ui) {
                 sowingSeasonRowObj.label.textContent = transplantDateInput ? 'Transplant season:' : 'Sowing season:'; // ADDED
                 sowingSeasonBoundsRowObj.label.textContent = transplantDateInput ? 'Transplant window:' : 'Sowing window:'; // ADDED
                 endRow.label.textContent = 'Latest harvest end:'; // CHANGED
+                harvestStartRowObj.label.textContent = isBiennialSeedSelection() ? 'Expected seed harvest:' : 'Expected first harvest:'; // ADDED
                 harvestStartRowObj.row.style.display = ''; // CHANGED
                 harvestEndRowObj.row.style.display = ''; // CHANGED
                 daysToFirstHarvestRowObj.row.style.display = ''; // CHANGED
             }
 
             sowingSeasonRowObj.row.style.display = perennial ? 'none' : ''; // CHANGED
+            biennialSeedRowObj.row.style.display = mode.biennial ? '' : 'none'; // ADDED
             sowingSeasonBoundsRowObj.row.style.display = perennial ? 'none' : ''; // CHANGED
             timelineSection.wrap.style.display = perennial ? 'none' : ''; // CHANGED
             if (windowActions) windowActions.style.display = perennial ? 'none' : ''; // FIX
@@ -9310,6 +9613,7 @@ Draw.loadPlugin(function (ui) {
         async function recomputeAll(reason) {
             syncStateFromControls();
             refreshContextSummary(); // ADDED
+            refreshRotationWarning(); // ADDED
             void refreshClimateModelTips(); // ADDED
 
             const isPerennial = mode.perennial;
@@ -9392,7 +9696,8 @@ Draw.loadPlugin(function (ui) {
                     await recomputeLastHarvestFromSchedule();
                     break;
 
-                case 'hwChanged': {
+                case 'hwChanged': // CHANGE
+                case 'biennialModeChanged': { // ADDED
                     await recomputeAnchors(false, false); // CHANGED
                     await recomputeLastHarvestFromSchedule();
                     break;
@@ -9835,6 +10140,13 @@ Draw.loadPlugin(function (ui) {
             });
         });
 
+        biennialSeedChk.addEventListener('change', () => { // ADDED
+            void runUiAsync('Biennial mode change error', async () => { // ADDED
+                await recomputeAll('biennialModeChanged'); // ADDED
+                await refreshTaskTemplateFromSelection(); // ADDED
+            }); // ADDED
+        }); // ADDED
+
         harvestWindowInput.addEventListener('input', () => {
             void runUiAsync('Harvest window change error', async () => { // FIX
                 syncStateFromControls();
@@ -10166,6 +10478,10 @@ Draw.loadPlugin(function (ui) {
                     renderPerennialPreview(ui, result); // FIX
                     return;
                 }
+                if (result.kind === 'biennial') { // ADDED
+                    renderBiennialSeedPreview(ui, result); // ADDED
+                    return; // ADDED
+                } // ADDED
                 const rows = result.rows;
                 if (!rows.length) { showErrorInline('No feasible planting dates in the chosen season.'); return; }
                 renderPreviewTable(ui, rows);
@@ -10358,7 +10674,8 @@ Draw.loadPlugin(function (ui) {
             cell,
             plantId: formState.plantId,
             varietyId: formState.varietyId,
-            methodId: formState.methodId
+            methodId: formState.methodId, // CHANGE
+            ...lifecycleTaskOptions() // ADDED
         });
 
         taskTemplate = normalizeTaskTemplate(resolved?.template ?? null); // CHANGED
@@ -10450,7 +10767,7 @@ Draw.loadPlugin(function (ui) {
             try {
                 syncStateFromControls();
 
-                const methodTpl = await getDefaultTaskTemplateForPlantingMethods(formState.methodId);
+                const methodTpl = await getDefaultTaskTemplateForPlantingMethods(formState.methodId, lifecycleTaskOptions()); // CHANGE
                 const defaultRules = Array.isArray(methodTpl?.rules) ? methodTpl.rules : [];
 
                 taskRules = mergeMissingCanonicalRules(taskRules, defaultRules).map(normalizeTaskRule);
@@ -10684,7 +11001,8 @@ Draw.loadPlugin(function (ui) {
                 cell,
                 plantId: formState.plantId,
                 varietyId: formState.varietyId,
-                methodId: formState.methodId
+                methodId: formState.methodId, // CHANGE
+                ...lifecycleTaskOptions() // ADDED
             });
 
             taskTemplate = normalizeTaskTemplate(resolved?.template ?? null); // CHANGED
@@ -10785,7 +11103,7 @@ Draw.loadPlugin(function (ui) {
                 }
             );
 
-            const allowedStages = await getAllowedAnchorStagesForMethod(formState.methodId);
+            const allowedStages = await getAllowedAnchorStagesForMethod(formState.methodId, lifecycleTaskOptions()); // CHANGE
             let stageOptions = allowedStages.map(k => ({
                 value: k,
                 label: TASK_STAGE_LABELS[k] || k
@@ -10970,7 +11288,7 @@ Draw.loadPlugin(function (ui) {
                     r.repeatCutoffOffsetDays = (r.repeatMode === "interval") ? Number(repeatCutoffOffsetNum.value) : 0; // ADDED
                     r.repeatCutoffOffsetDirection = (r.repeatMode === "interval") ? repeatCutoffOffsetDir.value : "after"; // ADDED
 
-                    const allowedStages = await getAllowedAnchorStagesForMethod(formState.methodId);
+                    const allowedStages = await getAllowedAnchorStagesForMethod(formState.methodId, lifecycleTaskOptions()); // CHANGE
                     const normalized = validateTaskRule(r, { allowedStages, requireTaskType: customTaskRule }); // CHANGE
                     try { // ADDED
                         const { inputs } = await buildScheduleContextFromForm(formState, selPlant, { currentVarieties }); // ADDED
@@ -11012,7 +11330,7 @@ Draw.loadPlugin(function (ui) {
 
                 const methodId = normId(formState.methodId); // FIX
                 const methodTemplate = methodId
-                    ? await getDefaultTaskTemplateForPlantingMethods(methodId)
+                    ? await getDefaultTaskTemplateForPlantingMethods(methodId, lifecycleTaskOptions()) // CHANGE
                     : null;
 
                 taskTemplate = normalizeTaskTemplate(methodTemplate);
@@ -11274,9 +11592,17 @@ Draw.loadPlugin(function (ui) {
         GERM: "Germination",
         TRANSPLANT: "Transplant",
         HARVEST_START: "Harvest start",
-        HARVEST_END: "Harvest end"
+        HARVEST_END: "Harvest end", // CHANGE
+        DORMANCY_END: "Bud break", // ADDED
+        DORMANCY_START: "Dormancy start", // ADDED
+        BOLTING: "Bolting" // ADDED
     };
 
+    // Perennial plans repeat these anchors once per bearing-cycle year. // ADDED
+    const PERENNIAL_TASK_STAGES = Object.freeze(["DORMANCY_END", "DORMANCY_START"]); // ADDED
+    // Biennial seed crops add the second-season bolting anchor. // ADDED
+    const BIENNIAL_SEED_TASK_STAGES = Object.freeze(["BOLTING"]); // ADDED
+
     const METHOD_TASK_STAGE_POLICY = Object.freeze({
         "transplant.indoor": {
             allowedStages: ["SOW", "TRANSPLANT", "HARVEST_START", "HARVEST_END"]
@@ -11389,7 +11715,13 @@ Draw.loadPlugin(function (ui) {
         } // CHANGED
     } // CHANGED
     
-    async function getAllowedAnchorStagesForMethod(methodId) {
+    async function getAllowedAnchorStagesForMethod(methodId, { perennial = false, biennialSeed = false } = {}) { // CHANGE
+        const stages = await getMethodAnchorStages(methodId); // ADDED
+        const lifecycleStages = [].concat(perennial ? PERENNIAL_TASK_STAGES : [], biennialSeed ? BIENNIAL_SEED_TASK_STAGES : []); // CHANGE
+        return stages.concat(lifecycleStages.filter(stage => !stages.includes(stage))); // CHANGE
+    } // ADDED
+
+    async function getMethodAnchorStages(methodId) { // ADDED
         const id = normId(methodId); // FIX
     
         if (!id) {
@@ -11698,10 +12030,22 @@ Draw.loadPlugin(function (ui) {
             GERM: iso(currentTimeline.germ), // ADDED
             TRANSPLANT: iso(currentTimeline.transplant), // ADDED
             HARVEST_START: iso(currentTimeline.harvestStart), // ADDED
-            HARVEST_END: iso(currentTimeline.harvestEnd) // ADDED
+            HARVEST_END: iso(currentTimeline.harvestEnd), // ADDED
+            DORMANCY_END: iso(currentTimeline.dormancyEnd), // ADDED
+            DORMANCY_START: iso(currentTimeline.dormancyStart), // ADDED
+            BOLTING: iso(currentTimeline.bolting) // ADDED
         }; // ADDED
     } // ADDED
 
+    function taskAnchorCyclesForPlan(schedule, timelines) { // ADDED
+        const sowDate = Array.isArray(schedule) ? schedule[0] : schedule; // ADDED
+        const list = (Array.isArray(timelines) ? timelines : [timelines]).filter(Boolean); // ADDED
+        if (!sowDate || !list.length) return []; // ADDED
+        // Perennial and biennial seed results carry one timeline per season; only the first season is planted. // CHANGE
+        if (list[0].cycleYear == null) return [taskAnchorDatesForTimeline(list[0], sowDate)]; // ADDED
+        return list.map((timeline, index) => taskAnchorDatesForTimeline(timeline, index === 0 ? sowDate : null)); // ADDED
+    } // ADDED
+
     function resolveTaskAnchorISO(anchors, stage) { // ADDED
         let anchorISO = anchors[String(stage || '').trim()] || null; // ADDED
         if (!anchorISO && stage === 'GERM') anchorISO = anchors.SOW || null; // ADDED
@@ -11748,10 +12092,11 @@ Draw.loadPlugin(function (ui) {
 
     function validateTaskRuleAnchorOrder(rule, { schedule, timelines } = {}) { // ADDED
         const r = normalizeTaskRule(rule); // ADDED
-        const sowDate = Array.isArray(schedule) ? schedule[0] : schedule; // ADDED
-        const timeline = Array.isArray(timelines) ? timelines[0] : timelines; // ADDED
-        if (!sowDate || !timeline) return r; // ADDED
-        const anchors = taskAnchorDatesForTimeline(timeline, sowDate); // ADDED
+        taskAnchorCyclesForPlan(schedule, timelines).forEach(anchors => validateTaskRuleAnchorDates(r, anchors)); // CHANGE
+        return r; // ADDED
+    } // ADDED
+
+    function validateTaskRuleAnchorDates(r, anchors) { // ADDED
         const startAnchorISO = resolveTaskAnchorISO(anchors, r.startAnchorStage); // ADDED
         const startISO = applyTaskAnchorOffset(startAnchorISO, r.startOffsetDays, r.startOffsetDirection); // ADDED
         if (!startISO) return r; // ADDED
@@ -11778,18 +12123,22 @@ Draw.loadPlugin(function (ui) {
         const omitted = new Set(); // ADDED
         const tpl = normalizeTaskTemplate(taskTemplate ?? null); // ADDED
         const rules = Array.isArray(tpl?.rules) ? tpl.rules : []; // ADDED
-        const sowDate = Array.isArray(schedule) ? schedule[0] : schedule; // ADDED
-        const timeline = Array.isArray(timelines) ? timelines[0] : timelines; // ADDED
-        if (!sowDate || !timeline) return omitted; // ADDED
-        const anchors = taskAnchorDatesForTimeline(timeline, sowDate); // ADDED
+        const cycles = taskAnchorCyclesForPlan(schedule, timelines); // CHANGE
+        if (!cycles.length) return omitted; // ADDED
 
         rules.forEach((sourceRule, ruleIndex) => { // ADDED
             const rule = normalizeTaskRule(sourceRule); // ADDED
             if (rule.repeatMode !== 'interval') return; // ADDED
-            const range = resolveTaskRuleRange(rule, anchors); // ADDED
-            const cutoffISO = resolveRepeatCutoffISO(rule, anchors); // ADDED
-            if (!range || !cutoffISO) return; // ADDED
-            if (range.rangeStartISO >= cutoffISO) { // ADDED
+            let cutoffOmitted = false; // CHANGE
+            let generated = false; // CHANGE
+            cycles.forEach(anchors => { // CHANGE
+                const range = resolveTaskRuleRange(rule, anchors); // ADDED
+                const cutoffISO = resolveRepeatCutoffISO(rule, anchors); // ADDED
+                if (!range || !cutoffISO) return; // ADDED
+                if (range.rangeStartISO >= cutoffISO) cutoffOmitted = true; // ADDED
+                else generated = true; // ADDED
+            }); // ADDED
+            if (cutoffOmitted && !generated) { // ADDED
                 omitted.add(getTaskPreviewRuleKey(rule, ruleIndex)); // ADDED
             } // ADDED
         }); // ADDED
@@ -11797,6 +12146,43 @@ Draw.loadPlugin(function (ui) {
         return omitted; // ADDED
     } // ADDED
 
+    function taskRuleOccurrencesForAnchors(rule, anchors) { // ADDED
+        const range = resolveTaskRuleRange(rule, anchors); // MOVED
+        if (!range) return []; // ADDED
+        const { rangeStartISO, rangeEndISO } = range; // MOVED
+
+        const occurrences = []; // MOVED
+        if (rule.repeatMode !== 'interval') { // MOVED
+            occurrences.push({ startISO: rangeStartISO, endISO: rangeEndISO }); // MOVED
+            return occurrences; // ADDED
+        } // MOVED
+        const every = Number(rule.repeatEveryDays ?? 0); // MOVED
+        if (!Number.isFinite(every) || every < 1) return occurrences; // ADDED
+        const cutoffISO = resolveRepeatCutoffISO(rule, anchors); // MOVED
+        if (!cutoffISO) return occurrences; // ADDED
+        if (rule.repeatUntilMode === 'x_times') { // MOVED
+            const times = Number(rule.repeatTimes ?? 1); // MOVED
+            if (!Number.isFinite(times) || times < 1) return occurrences; // ADDED
+            let currentStart = rangeStartISO; // MOVED
+            let currentEnd = rangeEndISO; // MOVED
+            for (let occurrenceIndex = 0; occurrenceIndex < times; occurrenceIndex++) { // MOVED
+                if (currentStart >= cutoffISO) break; // MOVED
+                occurrences.push({ startISO: currentStart, endISO: currentEnd }); // MOVED
+                currentStart = shiftDays(currentStart, every); // MOVED
+                currentEnd = shiftDays(currentEnd, every); // MOVED
+            } // MOVED
+        } else if (rule.repeatUntilMode === 'until_anchor') { // MOVED
+            let currentStart = rangeStartISO; // MOVED
+            let currentEnd = rangeEndISO; // MOVED
+            while (currentStart < cutoffISO) { // MOVED
+                occurrences.push({ startISO: currentStart, endISO: currentEnd }); // MOVED
+                currentStart = shiftDays(currentStart, every); // MOVED
+                currentEnd = shiftDays(currentEnd, every); // MOVED
+            } // MOVED
+        } // MOVED
+        return occurrences; // ADDED
+    } // ADDED
+
     async function buildTasksForPlan({ // ADDED
         plant, // ADDED
         schedule, // ADDED
@@ -11812,53 +12198,20 @@ Draw.loadPlugin(function (ui) {
         const cropDisplayName = formatCropDisplayName(plantName, varietyName); // ADDED
         const tpl = normalizeTaskTemplate(taskTemplate ?? null); // ADDED
         const rules = Array.isArray(tpl?.rules) ? tpl.rules : []; // ADDED
-        const sowDate = Array.isArray(schedule) ? schedule[0] : schedule; // ADDED
-        const timeline = Array.isArray(timelines) ? timelines[0] : timelines; // ADDED
-        if (!sowDate || !timeline) return tasks; // ADDED
+        const cycles = taskAnchorCyclesForPlan(schedule, timelines); // CHANGE
+        if (!cycles.length) return tasks; // ADDED
 
         function substituteTitle(template) { // ADDED
             return buildGeneratedTaskTitle(template, cropDisplayName, plantName, varietyName); // CHANGED
         } // ADDED
 
-        const anchors = taskAnchorDatesForTimeline(timeline, sowDate); // CHANGED
         for (let ruleIndex = 0; ruleIndex < rules.length; ruleIndex++) { // ADDED
             const rule = normalizeTaskRule(rules[ruleIndex]); // ADDED
-            validateTaskRuleAnchorOrder(rule, { schedule: sowDate, timelines: timeline }); // ADDED
-            const range = resolveTaskRuleRange(rule, anchors); // CHANGED
-            if (!range) continue; // ADDED
-            const { rangeStartISO, rangeEndISO } = range; // ADDED
-
             const occurrences = []; // ADDED
-            if (rule.repeatMode !== 'interval') { // ADDED
-                occurrences.push({ startISO: rangeStartISO, endISO: rangeEndISO }); // ADDED
-            } else { // ADDED
-                const every = Number(rule.repeatEveryDays ?? 0); // ADDED
-                if (!Number.isFinite(every) || every < 1) continue; // ADDED
-                const cutoffISO = resolveRepeatCutoffISO(rule, anchors); // ADDED
-                if (!cutoffISO) continue; // ADDED
-                if (rule.repeatUntilMode === 'x_times') { // ADDED
-                    const times = Number(rule.repeatTimes ?? 1); // ADDED
-                    if (!Number.isFinite(times) || times < 1) continue; // ADDED
-                    let currentStart = rangeStartISO; // ADDED
-                    let currentEnd = rangeEndISO; // ADDED
-                    for (let occurrenceIndex = 0; occurrenceIndex < times; occurrenceIndex++) { // ADDED
-                        if (currentStart >= cutoffISO) break; // ADDED
-                        occurrences.push({ startISO: currentStart, endISO: currentEnd }); // ADDED
-                        currentStart = shiftDays(currentStart, every); // ADDED
-                        currentEnd = shiftDays(currentEnd, every); // ADDED
-                    } // ADDED
-                } else if (rule.repeatUntilMode === 'until_anchor') { // ADDED
-                    let currentStart = rangeStartISO; // ADDED
-                    let currentEnd = rangeEndISO; // ADDED
-                    while (currentStart < cutoffISO) { // CHANGED
-                        occurrences.push({ startISO: currentStart, endISO: currentEnd }); // ADDED
-                        currentStart = shiftDays(currentStart, every); // ADDED
-                        currentEnd = shiftDays(currentEnd, every); // ADDED
-                    } // ADDED
-                } else { // ADDED
-                    continue; // ADDED
-                } // ADDED
-            } // ADDED
+            cycles.forEach(anchors => { // CHANGE
+                validateTaskRuleAnchorDates(rule, anchors); // CHANGE
+                occurrences.push(...taskRuleOccurrencesForAnchors(rule, anchors)); // CHANGE
+            }); // CHANGE
 
             const title = substituteTitle(rule.title) || `Task for ${cropDisplayName}`; // CHANGED
             const previewRuleKey = getTaskPreviewRuleKey(rule, ruleIndex); // ADDED
@@ -12155,7 +12508,7 @@ Draw.loadPlugin(function (ui) {
             `Source: ${prettySourceLabel(taskTemplateSource)}${dirtyLabel}`;
     }
 
-    async function resolveTaskTemplate({ cell, plantId, varietyId = null, methodId }) {
+    async function resolveTaskTemplate({ cell, plantId, varietyId = null, methodId, perennial = false, biennialSeed = false }) { // CHANGE
         const raw = String(cell?.getAttribute?.("task_template_json") ?? "").trim();
         if (raw.length > 0) {
             try {
@@ -12178,7 +12531,7 @@ Draw.loadPlugin(function (ui) {
             return { template: pTpl, source: "plant" };
         }
 
-        const methodTpl = await TaskTemplateModel.loadMethodBuiltinTemplate(methodId); // CHANGED
+        const methodTpl = await TaskTemplateModel.loadMethodBuiltinTemplate(methodId, { perennial, biennialSeed }); // CHANGED
         if (methodTpl) {
             return { template: methodTpl, source: "method_builtin" };
         }
@@ -12330,6 +12683,49 @@ Draw.loadPlugin(function (ui) {
         };
     }
 
+    function perennialTaskRuleLibrary() { // ADDED
+        return { // ADDED
+            prune: { // ADDED
+                id: "prune", // ADDED
+                title: "Prune – {plant}", // ADDED
+                taskTypeId: "pruning", // ADDED
+                startAnchorStage: "DORMANCY_END", // ADDED
+                startOffsetDays: 14, // ADDED
+                startOffsetDirection: "before", // ADDED
+                endMode: "fixed_days", // ADDED
+                durationDays: 7, // ADDED
+                repeatMode: "none" // ADDED
+            }, // ADDED
+            dormant_feed: { // ADDED
+                id: "dormant_feed", // ADDED
+                title: "Dormant feed – {plant}", // ADDED
+                taskTypeId: "compost_application", // ADDED
+                startAnchorStage: "DORMANCY_START", // ADDED
+                startOffsetDays: 7, // ADDED
+                startOffsetDirection: "after", // ADDED
+                endMode: "fixed_days", // ADDED
+                durationDays: 3, // ADDED
+                repeatMode: "none" // ADDED
+            } // ADDED
+        }; // ADDED
+    } // ADDED
+
+    function biennialSeedTaskRuleLibrary() { // ADDED
+        return { // ADDED
+            stake_seed_stalks: { // ADDED
+                id: "stake_seed_stalks", // ADDED
+                title: "Stake seed stalks – {plant}", // ADDED
+                taskTypeId: "trellising", // ADDED
+                startAnchorStage: "BOLTING", // ADDED
+                startOffsetDays: 14, // ADDED
+                startOffsetDirection: "after", // ADDED
+                endMode: "fixed_days", // ADDED
+                durationDays: 3, // ADDED
+                repeatMode: "none" // ADDED
+            } // ADDED
+        }; // ADDED
+    } // ADDED
+
     function applyTaskOverrides(rule, override) {
         const base = normalizeTaskRule(rule); // CHANGED
         if (!override || typeof override !== "object") return { ...base }; // CHANGED
@@ -12338,7 +12734,7 @@ Draw.loadPlugin(function (ui) {
 
     // -------------------- Default template from method --------------------------
 
-    async function getDefaultTaskTemplateForPlantingMethods(methodId) { // CHANGED
+    async function getDefaultTaskTemplateForPlantingMethods(methodId, { perennial = false, biennialSeed = false } = {}) { // CHANGED
         if (!methodId) return null;
     
         const method = await getPlantingMethodById(methodId);
@@ -12372,7 +12768,15 @@ Draw.loadPlugin(function (ui) {
             rules.push(applyTaskOverrides(lib[id], override));
         }
 
-        const allowedStages = await getAllowedAnchorStagesForMethod(methodId); // FIX: enforce method-specific built-in anchors
+        const lifecycleLibs = [perennial ? perennialTaskRuleLibrary() : null, biennialSeed ? biennialSeedTaskRuleLibrary() : null].filter(Boolean); // CHANGE
+        lifecycleLibs.forEach(lifecycleLib => { // CHANGE
+            Object.keys(lifecycleLib).forEach(id => { // ADDED
+                const override = (required[id] && typeof required[id] === "object") ? required[id] : null; // ADDED
+                rules.push(applyTaskOverrides(lifecycleLib[id], override)); // CHANGE
+            }); // ADDED
+        }); // CHANGE
+
+        const allowedStages = await getAllowedAnchorStagesForMethod(methodId, { perennial, biennialSeed }); // FIX: enforce method-specific built-in anchors
         const validRules = rules.flatMap((rule) => {
             try {
                 return [validateTaskRule(rule, { allowedStages })];
@@ -12462,7 +12866,9 @@ Draw.loadPlugin(function (ui) {
         const { plant, city } = inputs;
         const env = plant.cropTempEnvelope(); // FIX: persistence needs Tbase, not perennial GDD rates
         const perennial = result?.kind === 'perennial';
+        const biennialSeed = result?.kind === 'biennial'; // ADDED
         const timeline = result?.timelines?.[0] || {};
+        const harvestTimeline = biennialSeed ? (result.timelines[1] || {}) : timeline; // ADDED
         const sowDate = result?.schedule?.[0] || null;
         const budget = perennial ? null : plant.firstHarvestBudget();
         const fmt = d => d instanceof Date && !Number.isNaN(d.getTime()) ? fmtISO(d) : '';
@@ -12476,6 +12882,9 @@ Draw.loadPlugin(function (ui) {
             gdd_to_maturity: perennial || budget?.mode !== 'gdd' ? '' : String(budget.amount),
             lifespan_start: perennial ? String(result.lifespanStartISO || '') : '',
             lifespan_end: perennial ? String(result.lifespanEndISO || '') : '',
+            perennial_harvest_plan_json: perennial ? JSON.stringify(Array.from(result.bearingYears || [])) : null, // ADDED
+            biennial_mode: plant.isBiennial && plant.isBiennial() ? String(inputs.biennialMode || '') : null, // ADDED
+            bolting_date: biennialSeed ? fmt(harvestTimeline.bolting) : null, // ADDED
             variety_id: String(inputs.varietyId ?? ''),
             variety_name: String(inputs.varietyName || ''),
             start_cooling_threshold_c: String(finiteNumberOrNull(plant.start_cooling_threshold_c) ?? ''),
@@ -12483,6 +12892,7 @@ Draw.loadPlugin(function (ui) {
             plant_id: String(plant.plant_id),
             plant_name: String(plant.plant_name || ''),
             plant_abbr: String(plant.abbr || ''),
+            plant_family: String(plant.family || ''), // ADDED
             annual: plant.isAnnual && plant.isAnnual() ? '1' : '0', // ADDED
             biennial: plant.isBiennial && plant.isBiennial() ? '1' : '0', // ADDED
             perennial: plant.isPerennial && plant.isPerennial() ? '1' : '0', // ADDED
@@ -12500,8 +12910,8 @@ Draw.loadPlugin(function (ui) {
             germ_date: perennial ? '' : fmt(timeline.germ),
             transplant_date: perennial ? '' : fmt(timeline.transplant),
             maturity_date: perennial ? '' : fmt(timeline.maturity),
-            harvest_start: perennial ? '' : fmt(timeline.harvestStart),
-            harvest_end: perennial ? '' : fmt(timeline.harvestEnd),
+            harvest_start: perennial ? '' : fmt(harvestTimeline.harvestStart), // CHANGE
+            harvest_end: perennial ? '' : fmt(harvestTimeline.harvestEnd), // CHANGE
             plant_yield: String(Number.isFinite(numericYield) && numericYield > 0 ? numericYield : 0),
             yield_unit: 'kg'
         };
@@ -12521,6 +12931,48 @@ Draw.loadPlugin(function (ui) {
         return patch;
     }
 
+    function getSeedInventoryApi() { // ADDED
+        const api = typeof window !== 'undefined' ? window.TrellisSeedInventory : null; // ADDED
+        return api && typeof api.reserveForSchedule === 'function' ? api : null; // ADDED
+    } // ADDED
+
+    /**
+     * Germination rate of the module's year-plan crop for this plant/variety, so lots without a
+     * tested rate of their own are drawn the same way the Year Planner draws them.
+     */
+    function findPlanCropGermRate(moduleCell, plantId, varietyId, year) { // ADDED
+        const plans = safeJsonParse(readGraphCellAttribute(moduleCell, 'plan_year_json') || '', null); // ADDED
+        const crops = Array.isArray(plans?.[String(year)]?.crops) ? plans[String(year)].crops : []; // ADDED
+        const plantKey = String(plantId ?? '').trim(); // ADDED
+        const varietyKey = String(varietyId ?? '').trim(); // ADDED
+        if (!plantKey) return null; // ADDED
+        const matches = crops.filter(crop => String(crop?.plantId ?? '').trim() === plantKey); // ADDED
+        const crop = matches.find(item => String(item?.varietyId ?? '').trim() === varietyKey) // ADDED
+            || matches.find(item => !String(item?.varietyId ?? '').trim()); // ADDED
+        return crop ? crop.germRate ?? null : null; // ADDED
+    } // ADDED
+
+    /**
+     * Reserves seed/transplant stock for the saved group's plant count on its garden module.
+     * Returns null when the module tracks no inventory, so untouched modules gain no attribute.
+     */
+    function buildSeedReservationPatch(api, moduleCell, cell, inputs) { // ADDED
+        if (!api || !moduleCell || !cell) return null; // ADDED
+        const inventory = api.normalize(readGraphCellAttribute(moduleCell, api.ATTR) || ''); // ADDED
+        const cellId = String(cell.id ?? ''); // ADDED
+        if (!inventory.lots.length && !inventory.reservations.some(reservation => reservation.scheduleCellId === cellId)) return null; // ADDED
+        const plantCount = Math.trunc(Number(readGraphCellAttribute(cell, 'plant_count'))); // ADDED
+        const next = api.reserveForSchedule(inventory, { // ADDED
+            scheduleCellId: cellId, // ADDED
+            plantId: inputs?.plant?.plant_id, // ADDED
+            varietyId: inputs?.varietyId ?? '', // ADDED
+            year: inputs?.seasonStartYear, // ADDED
+            plants: Number.isFinite(plantCount) && plantCount > 0 ? plantCount : 0, // CHANGED
+            germRate: findPlanCropGermRate(moduleCell, inputs?.plant?.plant_id, inputs?.varietyId, inputs?.seasonStartYear) // ADDED
+        }); // ADDED
+        return { [api.ATTR]: api.serialize(next) }; // ADDED
+    } // ADDED
+
     function snapshotCellAttributes(cell, keys) { // FIX: retain absent versus empty attribute state
         const value = cell?.value;
         const snapshot = {};
@@ -12655,6 +13107,9 @@ Draw.loadPlugin(function (ui) {
             cell: spec.cell, // ADDED
             snapshot: snapshotCellAttributes(spec.cell, Object.keys(spec.patch)) // ADDED
         })); // ADDED
+        const seedInventoryApi = getSeedInventoryApi(); // ADDED
+        const seedInventoryModule = seedInventoryApi ? findGardenModuleAncestor(model, cell) : null; // ADDED
+        const seedInventorySnapshot = seedInventoryModule ? snapshotCellAttributes(seedInventoryModule, [seedInventoryApi.ATTR]) : null; // ADDED
         const taskReplacement = await buildTaskReplacementForPlan({ // NEW
             method,
             plant,
@@ -12684,6 +13139,8 @@ Draw.loadPlugin(function (ui) {
                     } else { // ADDED
                         retileAndFitGroupIfAvailable(graph, cell, { source: 'schedule-save' }); // CHANGE
                     } // ADDED
+                    const seedReservationPatch = buildSeedReservationPatch(seedInventoryApi, seedInventoryModule, cell, inputs); // ADDED: reads the retiled plant_count
+                    if (seedReservationPatch) applyCellAttributePatch(seedInventoryModule, seedReservationPatch, model); // ADDED
                 } finally {
                     model.endUpdate();
                 }
@@ -12697,6 +13154,7 @@ Draw.loadPlugin(function (ui) {
             try {
                 restoreCellAttributeSnapshot(cell, attributeSnapshot, model);
                 extraAttributeSnapshots.forEach(spec => restoreCellAttributeSnapshot(spec.cell, spec.snapshot, model)); // ADDED
+                if (seedInventorySnapshot) restoreCellAttributeSnapshot(seedInventoryModule, seedInventorySnapshot, model); // ADDED
             } finally {
                 model.endUpdate();
             }
@@ -13352,6 +13810,357 @@ Draw.loadPlugin(function (ui) {
         return openScheduleDialog(ui, sourceCell, { derivedMode: mode }); // ADDED
     } // ADDED
 
+    // -------------------- Season GDD tracking --------------------------------------------
+    const SEASON_TRACKING_THRESHOLD_ATTR = 'season_tracking_threshold_days'; // ADDED
+    const HARVEST_TASK_ANCHOR_STAGES = Object.freeze(['HARVEST_START', 'HARVEST_END']); // ADDED
+    const SEASON_TRACKING_STATUS_LABELS = Object.freeze({ // ADDED
+        ahead: 'Ahead', // ADDED
+        behind: 'Behind', // ADDED
+        on_track: 'On track', // ADDED
+        no_observations: 'No observed weather', // ADDED
+        not_started: 'Not sown yet', // ADDED
+        unreachable: 'Maturity out of reach', // ADDED
+        invalid: 'Missing GDD budget', // ADDED
+        skipped: 'Skipped', // ADDED
+        error: 'Error' // ADDED
+    }); // ADDED
+
+    function readSeasonTrackingThresholdDays(moduleCell) { // ADDED
+        const days = finiteNumberOrNull(readGraphCellAttribute(moduleCell, SEASON_TRACKING_THRESHOLD_ATTR)); // ADDED
+        return days != null && days >= 0 ? Math.round(days) : annualCore.SEASON_TRACKING_DEFAULT_THRESHOLD_DAYS; // ADDED
+    } // ADDED
+
+    // Only annual GDD budgets have a heat curve to compare; other scheduled groups are listed with the reason. // ADDED
+    function seasonTrackingSkipReason(cell) { // ADDED
+        if (String(readGraphCellAttribute(cell, 'perennial') || '') === '1' || String(readGraphCellAttribute(cell, 'lifespan_start') || '').trim()) return 'Perennial plantings have no maturity date to re-forecast.'; // ADDED
+        if (String(readGraphCellAttribute(cell, 'biennial_mode') || '') === sharedCore.BIENNIAL_SEED_MODE) return 'Biennial seed crops ripen on the second-season bolting anchor.'; // ADDED
+        if (!parseISODateUTCValue(readGraphCellAttribute(cell, 'sow_date'))) return 'No sow date; schedule the planting first.'; // ADDED
+        if (!(finiteNumberOrNull(readGraphCellAttribute(cell, 'gdd_to_maturity')) > 0)) return 'Scheduled by days to maturity; there is no GDD budget to track.'; // ADDED
+        if (finiteNumberOrNull(readGraphCellAttribute(cell, 'city_id')) == null && !String(readGraphCellAttribute(cell, 'city_name') || '').trim()) return 'No city is set for this planting.'; // ADDED
+        return ''; // ADDED
+    } // ADDED
+
+    function collectSeasonTrackingGroups(model, rootCell) { // ADDED
+        const out = []; // ADDED
+        function visit(cell) { // ADDED
+            if (!cell) return; // ADDED
+            if (isTilerGroup(cell) && parseISODateUTCValue(readGraphCellAttribute(cell, 'sow_date'))) out.push(cell); // ADDED
+            const count = model.getChildCount(cell); // ADDED
+            for (let i = 0; i < count; i++) visit(model.getChildAt(cell, i)); // ADDED
+        } // ADDED
+        visit(rootCell || model.getRoot()); // ADDED
+        return out; // ADDED
+    } // ADDED
+
+    function findLinkedHarvestTaskCards(model, cell) { // ADDED
+        return normalizeLinkedCellIds(readGraphCellAttribute(cell, 'linkedTo')) // ADDED
+            .map(id => model.getCell(id)) // ADDED
+            .filter(card => { // ADDED
+                if (String(readGraphCellAttribute(card, 'kanban_card') || '') !== '1') return false; // ADDED
+                const stage = String(readGraphCellAttribute(card, 'scheduler_anchor_stage') || '').trim(); // ADDED
+                return stage ? HARVEST_TASK_ANCHOR_STAGES.includes(stage) : /harvest/i.test(String(readGraphCellAttribute(card, 'title') || '')); // ADDED
+            }); // ADDED
+    } // ADDED
+
+    function buildHarvestTaskShiftEntries(cards, shiftDays) { // ADDED
+        const days = Math.trunc(Number(shiftDays) || 0); // ADDED
+        if (!days) return []; // ADDED
+        return (cards || []).map(card => ({ card, startISO: shiftISODate(readGraphCellAttribute(card, 'start'), days) })).filter(entry => entry.startISO); // ADDED
+    } // ADDED
+
+    // Cards already moved by an earlier re-forecast only move by the difference. // ADDED
+    function readAppliedSeasonShiftDays(cell) { // ADDED
+        return Math.trunc(finiteNumberOrNull(readGraphCellAttribute(cell, 'season_shift_days')) ?? 0); // ADDED
+    } // ADDED
+
+    // Each harvest card keeps the shift it actually took, so a locked or completed card stays pending; // ADDED
+    // cards from before that fall back to their group's shift. // ADDED
+    function readCardSeasonShiftDays(card, groupCell) { // ADDED
+        const own = finiteNumberOrNull(readGraphCellAttribute(card, 'season_shift_days')); // ADDED
+        return own != null ? Math.trunc(own) : readAppliedSeasonShiftDays(groupCell); // ADDED
+    } // ADDED
+
+    function countPendingSeasonShiftCards(row) { // ADDED
+        return (row.harvestCards || []).filter(card => readCardSeasonShiftDays(card, row.cell) !== row.tracking.shiftDays).length; // ADDED
+    } // ADDED
+
+    function isSeasonShiftPending(row) { // ADDED
+        return row.tracking.shiftDays !== readAppliedSeasonShiftDays(row.cell) || countPendingSeasonShiftCards(row) > 0; // ADDED
+    } // ADDED
+
+    function buildSeasonForecastPatch(tracking, todayISO, appliedShiftDays = tracking.shiftDays) { // CHANGED
+        return { // ADDED
+            gdd_observed: String(Math.round(tracking.observedGdd)), // ADDED
+            season_tracked_on: String(todayISO || ''), // ADDED
+            season_shift_days: String(appliedShiftDays), // CHANGED: the shift every linked harvest card took
+            maturity_forecast: String(tracking.maturityISO || ''), // ADDED
+            harvest_start_forecast: String(tracking.harvestStartISO || ''), // ADDED
+            harvest_end_forecast: String(tracking.harvestEndISO || '') // ADDED
+        }; // ADDED
+    } // ADDED
+
+    async function loadSeasonTrackingClimate(city, year, climatePolicy, todayISO, cache) { // ADDED
+        const key = `${city.city_id ?? city.city_name}|${year}|${JSON.stringify(climatePolicy || {})}`; // ADDED
+        if (!cache.has(key)) { // ADDED
+            cache.set(key, city.loadDailyClimateModel({ // ADDED
+                scanStart: asUTCDate(year, 1, 1), // ADDED
+                scanEndHard: asUTCDate(year + 1, 12, 31), // ADDED
+                todayISO, // ADDED
+                climatePolicy // ADDED
+            })); // ADDED
+        } // ADDED
+        return cache.get(key); // ADDED
+    } // ADDED
+
+    /**
+     * Tracks one scheduled group: observed CityWeatherDaily heat since sowing against the normals and
+     * forecast curve the plan was built on, with maturity and the harvest window re-projected.
+     */
+    async function trackPlantingGroupSeason(cell, { todayISO, thresholdDays, moduleCell = null, climateCache = new Map() } = {}) { // ADDED
+        const skipReason = seasonTrackingSkipReason(cell); // ADDED
+        if (skipReason) return { status: 'skipped', reason: skipReason }; // ADDED
+        const sowISO = String(readGraphCellAttribute(cell, 'sow_date') || '').trim(); // ADDED
+        const sowDate = parseISODateUTCValue(sowISO); // ADDED
+        const asOfDate = parseISODateUTCValue(todayISO); // ADDED
+        const city = await CityClimate.resolve({ // ADDED
+            cityId: finiteNumberOrNull(readGraphCellAttribute(cell, 'city_id')), // ADDED
+            cityName: String(readGraphCellAttribute(cell, 'city_name') || '').trim() // ADDED
+        }); // ADDED
+        if (!city) return { status: 'skipped', reason: 'City not found.' }; // ADDED
+        const plantId = finiteNumberOrNull(readGraphCellAttribute(cell, 'plant_id')); // ADDED
+        const plant = plantId != null ? await PlantModel.loadById(plantId) : null; // ADDED
+        const env = Object.assign({}, plant ? plant.cropTempEnvelope() : {}); // ADDED
+        const tbase = finiteNumberOrNull(readGraphCellAttribute(cell, 'tbase_c')); // ADDED
+        if (tbase != null) env.Tbase = tbase; // ADDED
+        const year = finiteNumberOrNull(readGraphCellAttribute(cell, 'season_start_year')) ?? sowDate.getUTCFullYear(); // ADDED
+        const climatePolicy = resolveClimateModelPolicy(moduleCell, city.city_name || '', plantId, null).effective; // ADDED
+        const bedProfile = resolveScheduleBedContext(cell).profile; // ADDED
+        const dailyClimate = await loadSeasonTrackingClimate(city, year, climatePolicy, todayISO, climateCache); // ADDED
+        const observed = await city.loadObservedDailyWeather({ startDate: sowDate, endDate: asOfDate }); // ADDED
+        const tracking = annualCore.projectSeasonGddProgress({ // ADDED
+            sowDate, // ADDED
+            asOfDate, // ADDED
+            targetGdd: finiteNumberOrNull(readGraphCellAttribute(cell, 'gdd_to_maturity')), // ADDED
+            // Observations are ground truth, so only the planned curve keeps the city GDD calibration. // ADDED
+            observedRates: sharedCore.buildDailyGddMap({ dailyClimate: observed, cropTemp: env, bedProfile }), // ADDED
+            plannedRates: sharedCore.buildDailyGddMap({ dailyClimate, cropTemp: env, bedProfile, city, year, gddCalibrationEnabled: climatePolicy.gddCalibrationEnabled !== false }), // ADDED
+            plannedDates: { // ADDED
+                maturityISO: readGraphCellAttribute(cell, 'maturity_date'), // ADDED
+                harvestStartISO: readGraphCellAttribute(cell, 'harvest_start'), // ADDED
+                harvestEndISO: readGraphCellAttribute(cell, 'harvest_end') // ADDED
+            }, // ADDED
+            seasonEnd: asUTCDate(year + 1, 12, 31), // ADDED
+            thresholdDays // ADDED
+        }); // ADDED
+        return { ...tracking, reason: '' }; // ADDED
+    } // ADDED
+
+    function applySeasonTrackingShift(graph, rows, todayISO) { // ADDED
+        const model = graph.getModel(); // ADDED
+        const tasksApi = window.USL && window.USL.tasks; // ADDED
+        const result = { groups: 0, cards: 0, skippedCards: 0 }; // ADDED
+        model.beginUpdate(); // ADDED
+        try { // ADDED
+            rows.forEach(row => { // ADDED
+                let leftBehind = 0; // ADDED
+                findLinkedHarvestTaskCards(model, row.cell).forEach(card => { // ADDED
+                    const pendingShift = row.tracking.shiftDays - readCardSeasonShiftDays(card, row.cell); // CHANGED
+                    if (!pendingShift) return; // ADDED
+                    const entries = buildHarvestTaskShiftEntries([card], pendingShift); // CHANGED
+                    // One card per call, so the card's own shift is only recorded once its start actually moved. // ADDED
+                    const applied = !entries.length ? { changed: 0, unchanged: 1 } // ADDED
+                        : (tasksApi && typeof tasksApi.applyCardStartDates === 'function' ? tasksApi.applyCardStartDates(entries) : null); // ADDED
+                    if (!applied || !(applied.changed || applied.unchanged)) { leftBehind += 1; return; } // ADDED
+                    writeCellAttribute(card, 'season_shift_days', String(row.tracking.shiftDays), model); // ADDED
+                    result.cards += applied.changed; // CHANGED
+                }); // ADDED
+                const appliedShift = leftBehind ? readAppliedSeasonShiftDays(row.cell) : row.tracking.shiftDays; // ADDED
+                applyCellAttributePatch(row.cell, buildSeasonForecastPatch(row.tracking, todayISO, appliedShift), model); // CHANGED
+                result.groups += 1; // ADDED
+                result.skippedCards += leftBehind; // CHANGED
+            }); // ADDED
+        } finally { // ADDED
+            model.endUpdate(); // ADDED
+        } // ADDED
+        rows.forEach(row => graph.refresh(row.cell)); // ADDED
+        return result; // ADDED
+    } // ADDED
+
+    function seasonTrackingRowValues(row) { // ADDED
+        const t = row.tracking; // ADDED
+        const crop = String(readGraphCellAttribute(row.cell, 'label') || readGraphCellAttribute(row.cell, 'plant_name') || row.cell.id); // ADDED
+        const sow = String(readGraphCellAttribute(row.cell, 'sow_date') || ''); // ADDED
+        if (t.status === 'skipped' || t.status === 'error') return [crop, sow, '', '', '', SEASON_TRACKING_STATUS_LABELS[t.status], t.reason]; // ADDED
+        const gdd = t.lastObservedISO ? `${Math.round(t.observedGdd)} / ${Math.round(t.plannedGdd)} (${Math.round(t.progress * 100)}% of ${Math.round(t.targetGdd)})` : ''; // ADDED
+        const maturity = t.maturityISO ? `${readGraphCellAttribute(row.cell, 'maturity_date') || 'n/a'} -> ${t.maturityISO}` : ''; // ADDED
+        const harvest = t.harvestStartISO ? `${readGraphCellAttribute(row.cell, 'harvest_start') || 'n/a'} -> ${t.harvestStartISO}` : ''; // ADDED
+        const notes = [ // ADDED
+            t.lastObservedISO ? `observed through ${t.lastObservedISO}` : '', // ADDED
+            t.missingDays ? `${t.missingDays} day(s) filled from normals` : '', // ADDED
+            t.matured ? 'maturity GDD reached' : '', // ADDED
+            readAppliedSeasonShiftDays(row.cell) ? `harvest tasks shifted ${formatSignedDays(readAppliedSeasonShiftDays(row.cell))}` : '', // CHANGED
+            countPendingSeasonShiftCards(row) ? `${countPendingSeasonShiftCards(row)} harvest task card(s) not yet shifted` : '' // ADDED
+        ].filter(Boolean).join('; '); // ADDED
+        const status = SEASON_TRACKING_STATUS_LABELS[t.status] + (t.status === 'ahead' || t.status === 'behind' || t.status === 'on_track' ? ` (${formatSignedDays(t.shiftDays)})` : ''); // ADDED
+        return [crop, sow, gdd, maturity, harvest, status, notes]; // ADDED
+    } // ADDED
+
+    async function openSeasonTrackingDialog(ui, cell) { // ADDED
+        if (!ui || !ui.editor || !ui.editor.graph) throw new Error('Draw.io UI is unavailable.'); // ADDED
+        const graph = ui.editor.graph; // ADDED
+        const model = graph.getModel(); // ADDED
+        const moduleCell = cell ? (isGardenModule(cell) ? cell : findGardenModuleAncestor(model, cell)) : null; // ADDED
+        const todayISO = localTodayISO(); // CHANGED: the grower's calendar day, not UTC's
+        const climateCache = new Map(); // ADDED
+        let rows = []; // ADDED
+
+        const div = document.createElement('div'); // ADDED
+        div.style.padding = '12px'; // ADDED
+        const title = document.createElement('div'); // ADDED
+        title.textContent = 'Season GDD Tracking'; // ADDED
+        title.style.fontWeight = '600'; // ADDED
+        title.style.marginBottom = '6px'; // ADDED
+        div.appendChild(title); // ADDED
+        const intro = document.createElement('div'); // ADDED
+        intro.textContent = `Observed heat since sowing, from CityWeatherDaily through ${todayISO}, against the planned curve. Maturity and harvest dates move by the same number of days.`; // ADDED
+        intro.style.fontSize = '12px'; // ADDED
+        intro.style.color = '#374151'; // ADDED
+        div.appendChild(intro); // ADDED
+
+        const controls = document.createElement('div'); // ADDED
+        controls.style.display = 'flex'; // ADDED
+        controls.style.alignItems = 'center'; // ADDED
+        controls.style.gap = '8px'; // ADDED
+        controls.style.margin = '8px 0'; // ADDED
+        const thresholdLabel = document.createElement('label'); // ADDED
+        thresholdLabel.textContent = 'Flag plantings more than'; // ADDED
+        thresholdLabel.style.fontSize = '12px'; // ADDED
+        const thresholdInput = document.createElement('input'); // ADDED
+        thresholdInput.type = 'number'; // ADDED
+        thresholdInput.min = '0'; // ADDED
+        thresholdInput.step = '1'; // ADDED
+        thresholdInput.style.width = '56px'; // ADDED
+        thresholdInput.value = String(readSeasonTrackingThresholdDays(moduleCell)); // ADDED
+        const thresholdSuffix = document.createElement('span'); // ADDED
+        thresholdSuffix.textContent = 'days ahead or behind'; // ADDED
+        thresholdSuffix.style.fontSize = '12px'; // ADDED
+        controls.appendChild(thresholdLabel); // ADDED
+        controls.appendChild(thresholdInput); // ADDED
+        controls.appendChild(thresholdSuffix); // ADDED
+        div.appendChild(controls); // ADDED
+
+        const status = document.createElement('div'); // ADDED
+        status.style.fontSize = '12px'; // ADDED
+        status.style.margin = '6px 0'; // ADDED
+        div.appendChild(status); // ADDED
+        const wrap = document.createElement('div'); // ADDED
+        wrap.style.maxHeight = '380px'; // ADDED
+        wrap.style.overflow = 'auto'; // ADDED
+        div.appendChild(wrap); // ADDED
+
+        const checks = new Map(); // ADDED
+        function renderRows() { // ADDED
+            wrap.innerHTML = ''; // ADDED
+            checks.clear(); // ADDED
+            const table = document.createElement('table'); // ADDED
+            table.style.borderCollapse = 'collapse'; // ADDED
+            table.style.width = '100%'; // ADDED
+            table.style.fontSize = '12px'; // ADDED
+            const headRow = document.createElement('tr'); // ADDED
+            ['', 'Planting', 'Sown', 'GDD observed / planned', 'Maturity', 'Harvest start', 'Status', 'Notes'].forEach(header => { // ADDED
+                const th = document.createElement('th'); // ADDED
+                th.textContent = header; // ADDED
+                th.style.border = '1px solid #ddd'; // ADDED
+                th.style.padding = '6px 8px'; // ADDED
+                th.style.background = '#f3f4f6'; // ADDED
+                th.style.textAlign = 'left'; // ADDED
+                headRow.appendChild(th); // ADDED
+            }); // ADDED
+            table.appendChild(headRow); // ADDED
+            rows.forEach(row => { // ADDED
+                const tr = document.createElement('tr'); // ADDED
+                const checkCell = document.createElement('td'); // ADDED
+                checkCell.style.border = '1px solid #eee'; // ADDED
+                const flagged = row.tracking.status === 'ahead' || row.tracking.status === 'behind'; // ADDED
+                if (flagged || row.tracking.status === 'on_track') { // ADDED
+                    const chk = document.createElement('input'); // ADDED
+                    chk.type = 'checkbox'; // ADDED
+                    const pending = isSeasonShiftPending(row); // CHANGED
+                    chk.checked = flagged && pending; // ADDED
+                    chk.disabled = !pending; // ADDED
+                    chk.title = `${row.harvestCards.length} linked harvest task card(s)`; // ADDED
+                    checks.set(row, chk); // ADDED
+                    checkCell.appendChild(chk); // ADDED
+                } // ADDED
+                tr.appendChild(checkCell); // ADDED
+                seasonTrackingRowValues(row).forEach((value, index) => { // ADDED
+                    const td = document.createElement('td'); // ADDED
+                    td.textContent = value; // ADDED
+                    td.style.border = '1px solid #eee'; // ADDED
+                    td.style.padding = '6px 8px'; // ADDED
+                    td.style.verticalAlign = 'top'; // ADDED
+                    if (index === 5) { // ADDED
+                        td.style.fontWeight = '600'; // ADDED
+                        td.style.color = flagged ? '#92400e' : (row.tracking.status === 'on_track' ? '#166534' : '#6b7280'); // ADDED
+                    } // ADDED
+                    tr.appendChild(td); // ADDED
+                }); // ADDED
+                table.appendChild(tr); // ADDED
+            }); // ADDED
+            wrap.appendChild(table); // ADDED
+        } // ADDED
+
+        async function refreshRows() { // ADDED
+            const thresholdDays = Math.max(0, Math.round(finiteNumberOrNull(thresholdInput.value) ?? annualCore.SEASON_TRACKING_DEFAULT_THRESHOLD_DAYS)); // ADDED
+            status.textContent = 'Accumulating observed GDD...'; // ADDED
+            const groups = collectSeasonTrackingGroups(model, moduleCell); // ADDED
+            const next = []; // ADDED
+            for (const group of groups) { // ADDED
+                const tracking = await runUiAsyncOperation('Season tracking failed', () => trackPlantingGroupSeason(group, { todayISO, thresholdDays, moduleCell, climateCache }), message => { // ADDED
+                    next.push({ cell: group, tracking: { status: 'error', reason: message }, harvestCards: [] }); // ADDED
+                }); // ADDED
+                if (tracking) next.push({ cell: group, tracking, harvestCards: findLinkedHarvestTaskCards(model, group) }); // ADDED
+            } // ADDED
+            rows = next; // ADDED
+            const flagged = rows.filter(row => row.tracking.status === 'ahead' || row.tracking.status === 'behind').length; // ADDED
+            status.textContent = rows.length // ADDED
+                ? `${rows.length} scheduled planting(s); ${flagged} running more than ${thresholdDays} day(s) ahead or behind.` // ADDED
+                : 'No scheduled planting groups found.'; // ADDED
+            renderRows(); // ADDED
+        } // ADDED
+
+        const btns = document.createElement('div'); // ADDED
+        btns.style.display = 'flex'; // ADDED
+        btns.style.justifyContent = 'flex-end'; // ADDED
+        btns.style.gap = '8px'; // ADDED
+        btns.style.marginTop = '10px'; // ADDED
+        const refreshBtn = mxUtils.button('Refresh', () => { // ADDED
+            if (moduleCell) setAttr(moduleCell, SEASON_TRACKING_THRESHOLD_ATTR, String(Math.max(0, Math.round(finiteNumberOrNull(thresholdInput.value) ?? 0)))); // ADDED
+            refreshRows(); // ADDED
+        }); // ADDED
+        const shiftBtn = mxUtils.button('Shift Harvest Tasks', () => { // ADDED
+            const selected = rows.filter(row => checks.get(row)?.checked); // ADDED
+            if (!selected.length) { mxUtils.alert('Select at least one planting to shift.'); return; } // ADDED
+            const allowed = selected.filter(row => { // ADDED
+                try { requireCanSchedulePlantingGroup(row.cell); return true; } catch (_) { return false; } // ADDED
+            }); // ADDED
+            const result = applySeasonTrackingShift(graph, allowed, todayISO); // ADDED
+            renderRows(); // ADDED
+            status.textContent = `Saved forecasts on ${result.groups} planting(s); shifted ${result.cards} harvest task card(s)` + // ADDED
+                (result.skippedCards ? `; ${result.skippedCards} completed or locked card(s) left as they were.` : '.') + // ADDED
+                (allowed.length < selected.length ? ` ${selected.length - allowed.length} planting(s) skipped without planting permission.` : ''); // ADDED
+        }); // ADDED
+        const closeBtn = mxUtils.button('Close', () => ui.hideDialog()); // ADDED
+        btns.appendChild(refreshBtn); // ADDED
+        btns.appendChild(shiftBtn); // ADDED
+        btns.appendChild(closeBtn); // ADDED
+        div.appendChild(btns); // ADDED
+
+        ui.showDialog(div, 980, 560, true, true); // ADDED
+        elevateTrellisDialog(ui); // ADDED
+        await refreshRows(); // ADDED
+    } // ADDED
+
 
 
 
@@ -13424,6 +14233,7 @@ Draw.loadPlugin(function (ui) {
         openScheduleDialog: (ui, cell) => openScheduleDialog(ui, cell),
         openDerivedScheduleDialog: (ui, sourceCell, options) => openDerivedScheduleDialog(ui, sourceCell, options), // ADDED
         openSetPlantDialog: (ui, cell) => openSetPlantDialog(ui, cell), // CHANGE
+        openSeasonTrackingDialog: (ui, cell) => openSeasonTrackingDialog(ui, cell), // ADDED
         listPlantOptions: listPlantOptions // NEW
     });
     window.openUSLScheduleDialog = window.USL.scheduler.openScheduleDialog;
@@ -13443,6 +14253,7 @@ Draw.loadPlugin(function (ui) {
         const cityName = String(cell?.getAttribute?.('city_name') || gardenParent?.getAttribute?.('city_name') || '').trim(); // ADDED
         const setPlantCity = (cityId != null || cityName) ? await CityClimate.resolve({ cityId, cityName }) : null; // ADDED
         const setPlantBedContext = resolveScheduleBedContext(cell); // ADDED
+        const setPlantBedCell = findContainingBedForScheduleCell(cell); // ADDED
         const setPlantCropSuitabilityCache = makeCropSuitabilityCache(); // ADDED
         const setPlantScoringContext = setPlantCity ? { // ADDED
             city: setPlantCity, // ADDED
@@ -13452,12 +14263,13 @@ Draw.loadPlugin(function (ui) {
             climateModelModuleCell: gardenParent, // ADDED
             bedProfile: setPlantBedContext.profile, // ADDED
             bedProfileSource: setPlantBedContext.source, // ADDED
+            bedCell: setPlantBedCell, // ADDED
             cache: setPlantCropSuitabilityCache, // ADDED
             deferMissingWindows: true // ADDED
         } : null; // ADDED
         let setPlantCropOptions = setPlantCity // ADDED
             ? await scoreCropPickerOptions(allPlants, setPlantScoringContext) // CHANGED
-            : makeCropPickerOptions(allPlants); // ADDED
+            : makeCropPickerOptions(allPlants, new Map(), new Map(), setPlantBedCell); // CHANGED
 
         const div = document.createElement('div'); // ADDED
         div.style.padding = '12px'; // ADDED
@@ -13519,6 +14331,7 @@ Draw.loadPlugin(function (ui) {
                 setAttr(cell, 'plant_id', String(row.plant_id)); // ADDED
                 setAttr(cell, 'plant_name', row.plant_name); // ADDED
                 if (row.abbr) setAttr(cell, 'plant_abbr', row.abbr); // ADDED
+                setAttr(cell, 'plant_family', String(row.family || '')); // ADDED
                 setAttr(cell, 'plant_locked', '1'); // ADDED
                 setAttr(cell, 'label', row.plant_name + ' group'); // ADDED
 
@@ -13580,6 +14393,34 @@ Draw.loadPlugin(function (ui) {
 
         // Schedule entry is now rendered by Vertex_Linking_Standalone.js so it can live inside the linked-task overlay. // CHANGED
 
+        // --- Season GDD tracking entry on garden modules and everything inside them ---
+        function registerTrellisContextMenuContributor(contributor) { // ADDED
+            function finishRegistration() { // ADDED
+                if (!window.TrellisContextMenu) return; // ADDED
+                window.TrellisContextMenu.install(ui); // ADDED
+                window.TrellisContextMenu.register(contributor); // ADDED
+            } // ADDED
+
+            if (window.TrellisContextMenu) { // ADDED
+                finishRegistration(); // ADDED
+            } else if (typeof mxscript === "function") { // ADDED
+                mxscript("plugins/garden_planner_plugins/Trellis_Context_Menu.js", finishRegistration); // ADDED
+            } // ADDED
+        } // ADDED
+
+        registerTrellisContextMenuContributor({ // ADDED
+            id: "gardenScheduler", // ADDED
+            priority: 400, // ADDED
+            addItems: function (menu, cell) { // ADDED
+                const moduleCell = cell ? (isGardenModule(cell) ? cell : findGardenModuleAncestor(graph.getModel(), cell)) : null; // ADDED
+                if (!moduleCell) return; // ADDED
+                menu.addSeparator(); // ADDED
+                menu.addItem('Season GDD Tracking...', null, function () { // ADDED
+                    openSeasonTrackingDialog(ui, moduleCell).catch(e => mxUtils.alert('Season tracking error: ' + (e && e.message ? e.message : String(e)))); // ADDED
+                }); // ADDED
+            } // ADDED
+        }); // ADDED
+
         // --- Harvest window bridge (installed once) ---
         if (!graph.__uslHarvestWindowsBridgeInstalled) {
             graph.__uslHarvestWindowsBridgeInstalled = true;
@@ -13898,6 +14739,7 @@ Draw.loadPlugin(function (ui) {
             openScheduleDialog: function (uiArg) { showDisabledMessage(uiArg); }, // ADDED
             openDerivedScheduleDialog: function (uiArg) { showDisabledMessage(uiArg); }, // ADDED
             openSetPlantDialog: function (uiArg) { showDisabledMessage(uiArg); }, // ADDED
+            openSeasonTrackingDialog: function (uiArg) { showDisabledMessage(uiArg); }, // ADDED
             listPlantOptions: async function () { throw new Error(message); } // ADDED
         }); // ADDED
         window.openUSLScheduleDialog = window.USL.scheduler.openScheduleDialog; // ADDED
@@ -13939,6 +14781,7 @@ Draw.loadPlugin(function (ui) {
             firstCoolingCrossingDate: annualCore.firstCoolingCrossingDate, // CHANGED
             getPlantScanYears,
             getCropLifecycle, // ADDED
+            buildSeedReservationPatch, // ADDED
             buildLifecycleFilterControl, // ADDED
             buildGroupedCropOptions, // ADDED
             renderGroupedCropOptions, // ADDED
@@ -13948,6 +14791,8 @@ Draw.loadPlugin(function (ui) {
             manualVarietyMaturityMismatch, // ADDED
             normalizeVarietyMaturityClass, // ADDED
             makeCropPickerOptions, // ADDED
+            cropRotationWarning, // ADDED
+            pestPressureWarning, // ADDED
             createSchedulerCropCombobox, // ADDED
             scoreSowingWindowsForDate, // ADDED
             scoreCropSuitability, // ADDED
@@ -14026,6 +14871,9 @@ Draw.loadPlugin(function (ui) {
             attachLifecycleTimelineMarkerTooltip, // ADDED
             findFirstLifecycleTimelineTaskRule, // ADDED
             taskRuleLibraryForPlanningMode, // ADDED
+            perennialTaskRuleLibrary, // ADDED
+            biennialSeedTaskRuleLibrary, // ADDED
+            getAllowedAnchorStagesForMethod, // ADDED
             resolveTaskRuleTaskTypeId, // NEW
             normalizeTaskRule, // ADDED
             validateTaskRule, // ADDED
@@ -14048,7 +14896,16 @@ Draw.loadPlugin(function (ui) {
             restoreCellAttributeSnapshot,
             runCompensatedSaveSteps,
             readGraphCellAttribute, // ADDED
+            resolveWeatherNormalsSourceStatus, // ADDED
             normalizeLinkedCellIds, // ADDED
+            seasonTrackingSkipReason, // ADDED
+            collectSeasonTrackingGroups, // ADDED
+            findLinkedHarvestTaskCards, // ADDED
+            buildHarvestTaskShiftEntries, // ADDED
+            buildSeasonForecastPatch, // ADDED
+            trackPlantingGroupSeason, // ADDED
+            applySeasonTrackingShift, // ADDED
+            localTodayISO, // ADDED
             lifecycleRankForPlant, // ADDED
             lifecycleEligibleForDerivedCompanion, // ADDED
             sourceOccupancyWindowForDerived, // ADDED
@@ -14072,7 +14929,8 @@ Draw.loadPlugin(function (ui) {
             formatSignedDays, // ADDED
             sharedCore, // CHANGED
             annualCore, // CHANGED
-            perennialCore // CHANGED
+            perennialCore, // CHANGED
+            biennialCore // ADDED
         };
         return; // FIX: tests do not install Draw.io menus
     }
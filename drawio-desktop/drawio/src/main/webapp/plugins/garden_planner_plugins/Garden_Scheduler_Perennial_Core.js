@@ -13,13 +13,170 @@
 
     const {
         HARVEST_END_SEMANTICS,
+        addDaysUTC, // ADDED
+        asUTCDate, // ADDED
         fmtISO,
+        finiteNumberOrNull, // ADDED
         parseISODateUTCValue,
+        monthlyTemperatureNormalsFromCity, // ADDED
+        buildDailyTemperatureSeries, // ADDED
+        bedAdjustedMeanTemperatureOnDate, // ADDED
+        buildDailyGddMap, // ADDED
+        gddRateForDate, // ADDED
+        resolveHarvestWindowDays, // ADDED
+        resolveChillingRequirement, // ADDED
+        countChillingDays, // ADDED
         isPerennialPlant,
         requirePerennialLifespanYears,
         computePerennialLifespanEndISO
     } = shared;
 
+    // Winter chill is counted from Sep 1 of the previous year and must be met before Jun 1. // ADDED
+    const CHILLING_SEASON_START_MONTH = 9; // ADDED
+    const CHILLING_SEASON_END_MONTH = 6; // ADDED
+    // Dormancy onset is looked for from Aug 1, or after the harvest window when that is later. // ADDED
+    const DORMANCY_ONSET_SEARCH_MONTH = 8; // ADDED
+
+    function perennialWarning(type, message, extra = {}) { // ADDED
+        return Object.freeze({ type, severity: 'warning', message, ...extra }); // ADDED
+    } // ADDED
+
+    // Yearly harvest timing prefers heat units; days are counted from bud break when no GDD target exists. // ADDED
+    function resolvePerennialHarvestBudget(plant) { // ADDED
+        const gdd = finiteNumberOrNull(plant?.gdd_to_maturity); // ADDED
+        if (gdd != null && gdd > 0) return { mode: 'gdd', amount: gdd }; // ADDED
+        const days = finiteNumberOrNull(plant?.days_maturity); // ADDED
+        if (days != null && days > 0) return { mode: 'days', amount: days }; // ADDED
+        return null; // ADDED
+    } // ADDED
+
+    // Ages count whole seasons since planting: age 0 is the planting year. // ADDED
+    function resolvePerennialBearingAges(plant) { // ADDED
+        const firstHarvestAge = Math.max(0, Math.floor(finiteNumberOrNull(plant?.years_to_first_harvest) ?? 1)); // ADDED
+        const fullYieldAge = Math.max(firstHarvestAge, Math.floor(finiteNumberOrNull(plant?.years_to_full_yield) ?? (firstHarvestAge + 2))); // ADDED
+        return { firstHarvestAge, fullYieldAge }; // ADDED
+    } // ADDED
+
+    function perennialYieldMultiplier(age, { firstHarvestAge, fullYieldAge }) { // ADDED
+        if (age < firstHarvestAge) return 0; // ADDED
+        if (age >= fullYieldAge) return 1; // ADDED
+        return (age - firstHarvestAge + 1) / (fullYieldAge - firstHarvestAge + 1); // ADDED
+    } // ADDED
+
+    function cropTempForPlant(plant) { // ADDED
+        if (typeof plant?.cropTempEnvelope === 'function') return plant.cropTempEnvelope(); // ADDED
+        const Tbase = finiteNumberOrNull(plant?.tbase_c) ?? 10; // ADDED
+        return { Tbase, Tmax: finiteNumberOrNull(plant?.tmax_c) ?? (Tbase + 24) }; // ADDED
+    } // ADDED
+
+    // City normals for one bearing cycle, with any supplied daily records (forecast blends) taking precedence. // ADDED
+    function buildPerennialCycleClimate(inputs, monthlyNormals, year) { // ADDED
+        const series = buildDailyTemperatureSeries({ // ADDED
+            startDate: asUTCDate(year - 1, CHILLING_SEASON_START_MONTH, 1), // ADDED
+            endDate: asUTCDate(year, 12, 31), // ADDED
+            monthlyNormals, // ADDED
+            source: 'city monthly normals' // ADDED
+        }); // ADDED
+        const supplied = inputs.dailyClimate?.days || {}; // ADDED
+        const days = {}; // ADDED
+        Object.keys(series.days).forEach(key => { days[key] = supplied[key] || series.days[key]; }); // ADDED
+        return { days }; // ADDED
+    } // ADDED
+
+    function firstDateMatching(startDate, endDate, predicate) { // ADDED
+        for (let d = new Date(startDate); d <= endDate; d = addDaysUTC(d, 1)) { // ADDED
+            if (predicate(d)) return d; // ADDED
+        } // ADDED
+        return null; // ADDED
+    } // ADDED
+
+    function computePerennialCycle({ inputs, plantingDate, age, year, monthlyNormals, env, chilling, budget, bearingAges, harvestWindowDays }) { // ADDED
+        const climate = buildPerennialCycleClimate(inputs, monthlyNormals, year); // ADDED
+        const meanTempOnDate = d => bedAdjustedMeanTemperatureOnDate(d, climate, inputs.bedProfile); // ADDED
+        const yearStart = asUTCDate(year, 1, 1); // ADDED
+        const yearEnd = asUTCDate(year, 12, 31); // ADDED
+        const warnings = []; // ADDED
+
+        let chillingDays = null; // ADDED
+        let chillingMet = true; // ADDED
+        let growthStart = yearStart; // ADDED
+        if (chilling.requiredDays != null) { // ADDED
+            const chillStart = asUTCDate(year - 1, CHILLING_SEASON_START_MONTH, 1); // ADDED
+            const chill = countChillingDays({ // ADDED
+                startDate: plantingDate > chillStart ? plantingDate : chillStart, // ADDED
+                endDate: asUTCDate(year, CHILLING_SEASON_END_MONTH, 1), // ADDED
+                meanTempOnDate, // ADDED
+                minC: chilling.minC, // ADDED
+                maxC: chilling.maxC, // ADDED
+                requiredDays: chilling.requiredDays // ADDED
+            }); // ADDED
+            chillingDays = chill.count; // ADDED
+            chillingMet = chill.satisfiedDate != null; // ADDED
+            if (chill.satisfiedDate && chill.satisfiedDate > growthStart) growthStart = chill.satisfiedDate; // ADDED
+        } // ADDED
+
+        let dormancyEnd = firstDateMatching(growthStart, yearEnd, d => { // ADDED
+            const temp = meanTempOnDate(d); // ADDED
+            return temp != null && temp >= env.Tbase; // ADDED
+        }); // ADDED
+        // A plant set out after bud break has no dormancy end in its planting year. // ADDED
+        if (age === 0 && dormancyEnd && dormancyEnd < plantingDate) dormancyEnd = null; // ADDED
+
+        const yieldMultiplier = perennialYieldMultiplier(age, bearingAges); // ADDED
+        let harvestStart = null; // ADDED
+        let harvestEnd = null; // ADDED
+        if (yieldMultiplier > 0 && budget && dormancyEnd) { // ADDED
+            if (!chillingMet) { // ADDED
+                warnings.push(perennialWarning('perennial_insufficient_chilling', `${year}: ${chillingDays} of ${Math.ceil(chilling.requiredDays)} chilling days before bud break; no harvest expected.`, { year })); // ADDED
+            } else if (budget.mode === 'days') { // ADDED
+                harvestStart = addDaysUTC(dormancyEnd, Math.round(budget.amount)); // ADDED
+            } else { // ADDED
+                const dailyRates = buildDailyGddMap({ // ADDED
+                    dailyClimate: { days: Object.fromEntries(Object.entries(climate.days).filter(([key]) => key.startsWith(String(year)))) }, // ADDED
+                    cropTemp: env, // ADDED
+                    bedProfile: inputs.bedProfile, // ADDED
+                    city: inputs.city, // ADDED
+                    year, // ADDED
+                    gddCalibrationEnabled: inputs.policy?.gddCalibrationEnabled !== false // ADDED
+                }); // ADDED
+                let accumulated = 0; // ADDED
+                harvestStart = firstDateMatching(dormancyEnd, yearEnd, d => { // ADDED
+                    accumulated += gddRateForDate(dailyRates, d); // ADDED
+                    return accumulated >= budget.amount; // ADDED
+                }); // ADDED
+                if (!harvestStart) { // ADDED
+                    warnings.push(perennialWarning('perennial_insufficient_gdd', `${year}: ${Math.round(accumulated)} GDD after bud break, below the ${Math.round(budget.amount)} needed for harvest.`, { year })); // ADDED
+                } // ADDED
+            } // ADDED
+            if (harvestStart) harvestEnd = addDaysUTC(harvestStart, harvestWindowDays); // ADDED
+        } // ADDED
+
+        const onsetSearch = asUTCDate(year, DORMANCY_ONSET_SEARCH_MONTH, 1); // ADDED
+        const dormancyStart = firstDateMatching(harvestEnd && harvestEnd > onsetSearch ? harvestEnd : onsetSearch, yearEnd, d => { // ADDED
+            const temp = meanTempOnDate(d); // ADDED
+            return temp != null && temp < env.Tbase; // ADDED
+        }); // ADDED
+
+        return { // ADDED
+            timeline: { // ADDED
+                cycleYear: year, // ADDED
+                age, // ADDED
+                sow: age === 0 ? new Date(plantingDate) : null, // ADDED
+                germ: null, // ADDED
+                transplant: null, // ADDED
+                maturity: null, // ADDED
+                harvestStart, // ADDED
+                harvestEnd, // ADDED
+                dormancyEnd, // ADDED
+                dormancyStart, // ADDED
+                chillingDays, // ADDED
+                chillingMet, // ADDED
+                yieldMultiplier: harvestStart ? yieldMultiplier : 0 // ADDED
+            }, // ADDED
+            warnings // ADDED
+        }; // ADDED
+    } // ADDED
+
     function computePerennialScheduleResult(inputs) {
         const { plant, methodId } = inputs;
         const method = methodId;
@@ -38,41 +195,68 @@
             inputs.seasonStartYear,
             lifespanYears
         );
-        const timeline = {
-            sow: new Date(startDate),
-            germ: null,
-            transplant: null,
-            maturity: null,
-            harvestStart: null,
-            harvestEnd: null
+        const lifespanEndYear = parseISODateUTCValue(lifespanEndISO).getUTCFullYear(); // CHANGE
+        const cycleContext = { // CHANGE
+            inputs, // CHANGE
+            plant, // CHANGE
+            plantingDate: startDate, // CHANGE
+            monthlyNormals: monthlyTemperatureNormalsFromCity(inputs.city), // CHANGE
+            env: cropTempForPlant(plant), // CHANGE
+            chilling: resolveChillingRequirement(plant), // ADDED
+            budget: resolvePerennialHarvestBudget(plant), // ADDED
+            bearingAges: resolvePerennialBearingAges(plant), // ADDED
+            harvestWindowDays: resolveHarvestWindowDays(inputs.harvestWindowDays, plant) // ADDED
         };
 
+        const timelines = []; // ADDED
+        const warnings = []; // ADDED
+        for (let year = startDate.getUTCFullYear(); year <= lifespanEndYear; year++) { // ADDED
+            const cycle = computePerennialCycle({ ...cycleContext, age: year - startDate.getUTCFullYear(), year }); // ADDED
+            timelines.push(cycle.timeline); // ADDED
+            warnings.push(...cycle.warnings); // ADDED
+        } // ADDED
+
+        const bearingYears = timelines // ADDED
+            .filter(timeline => timeline.harvestStart) // ADDED
+            .map(timeline => Object.freeze({ // ADDED
+                year: timeline.cycleYear, // ADDED
+                age: timeline.age, // ADDED
+                harvestStartISO: fmtISO(timeline.harvestStart), // ADDED
+                harvestEndISO: fmtISO(timeline.harvestEnd), // ADDED
+                yieldMultiplier: Number(timeline.yieldMultiplier.toFixed(2)) // ADDED
+            })); // ADDED
+
         return {
             kind: 'perennial',
             harvestEndSemantics: HARVEST_END_SEMANTICS,
             plant,
             method,
             schedule: [new Date(startDate)],
-            timelines: [timeline],
-            rows: [{
+            timelines, // CHANGE
+            rows: timelines.map(timeline => ({ // CHANGE
                 plant: plant.plant_name,
                 method,
-                sow: fmtISO(startDate),
+                year: timeline.cycleYear, // CHANGE
+                sow: fmtISO(timeline.sow), // ADDED
                 germ: fmtISO(timeline.germ),
                 trans: fmtISO(timeline.transplant),
-                harvStart: '',
-                harvEnd: '',
-                mult: '',
+                harvStart: fmtISO(timeline.harvestStart), // CHANGE
+                harvEnd: fmtISO(timeline.harvestEnd), // CHANGE
+                mult: timeline.harvestStart ? timeline.yieldMultiplier.toFixed(2) : '', // CHANGE
                 plantsReq: ''
-            }],
-            firstScheduledHarvestISO: null,
-            lastScheduledHarvestEndISO: null,
+            })), // CHANGE
+            bearingYears, // CHANGE
+            firstScheduledHarvestISO: bearingYears.length ? bearingYears[0].harvestStartISO : null, // CHANGE
+            lastScheduledHarvestEndISO: bearingYears.length ? bearingYears[bearingYears.length - 1].harvestEndISO : null, // ADDED
+            warnings: Object.freeze(warnings), // ADDED
             lifespanStartISO,
             lifespanEndISO
         };
     }
 
     win.USL.scheduler.perennialCore = Object.freeze({
-        computePerennialScheduleResult
+        computePerennialScheduleResult, // CHANGE
+        resolvePerennialBearingAges, // ADDED
+        perennialYieldMultiplier // ADDED
     });
 })(typeof window !== 'undefined' ? window : globalThis);
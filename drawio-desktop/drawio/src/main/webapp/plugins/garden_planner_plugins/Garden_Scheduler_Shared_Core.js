@@ -8,6 +8,9 @@
 
     const DEFAULT_HARVEST_WINDOW_DAYS = 7;
     const HARVEST_END_SEMANTICS = 'exclusive';
+    // Biennials are scheduled like annuals unless the planting is grown on for seed in a second season. // ADDED
+    const BIENNIAL_VEGETATIVE_MODE = 'vegetative'; // ADDED
+    const BIENNIAL_SEED_MODE = 'seed'; // ADDED
     const SEASON_EXTENSION_EFFECTS = Object.freeze({ // ADDED
         unknown: Object.freeze({ airOffsetC: 0, soilOffsetC: 0, frostShiftDays: 0, minAirTempC: null }), // ADDED
         none: Object.freeze({ airOffsetC: 0, soilOffsetC: 0, frostShiftDays: 0, minAirTempC: null }), // ADDED
@@ -519,6 +522,27 @@
         const years = Math.max(1, Math.floor(Number(lifespanYears) || 0));
         return asUTCDate(start.getUTCFullYear() + years, 12, 31).toISOString().slice(0, 10);
     }
+    function resolveChillingRequirement(plant) { // ADDED
+        const days = finiteNumberOrNull(plant?.chilling_required_days); // ADDED
+        const hours = finiteNumberOrNull(plant?.chilling_required_hours); // ADDED
+        const requiredDays = days ?? (hours != null ? hours / 24 : null); // ADDED
+        return Object.freeze({ // ADDED
+            requiredDays: requiredDays != null && requiredDays > 0 ? requiredDays : null, // ADDED
+            minC: finiteNumberOrNull(plant?.chilling_temp_min_c) ?? -2, // ADDED
+            maxC: finiteNumberOrNull(plant?.chilling_temp_max_c) ?? 10 // ADDED
+        }); // ADDED
+    } // ADDED
+    function countChillingDays({ startDate, endDate, meanTempOnDate, minC = -2, maxC = 10, requiredDays = null }) { // ADDED
+        let count = 0; // ADDED
+        let satisfiedDate = null; // ADDED
+        for (let d = new Date(startDate); d < endDate; d = addDaysUTC(d, 1)) { // ADDED
+            const temp = meanTempOnDate(d); // ADDED
+            if (temp == null || temp < minC || temp > maxC) continue; // ADDED
+            count += 1; // ADDED
+            if (!satisfiedDate && requiredDays != null && count >= requiredDays) satisfiedDate = addDaysUTC(d, 1); // ADDED
+        } // ADDED
+        return { count, satisfiedDate }; // ADDED
+    } // ADDED
     async function runUiAsyncOperation(label, fn, onError) {
         try {
             return await fn();
@@ -643,7 +667,8 @@
             varietyName = '',
             bedProfile = null,
             bedProfileSource = 'generic garden bed',
-            dailyClimate = null
+            dailyClimate = null, // CHANGE
+            biennialMode = BIENNIAL_VEGETATIVE_MODE // ADDED
         }) {
             Object.assign(this, {
                 plant,
@@ -661,7 +686,8 @@
                 varietyName: String(varietyName || ''),
                 bedProfile: normalizeBedProfile(bedProfile), // ADDED: carry bed conditions into soil-temperature gates.
                 bedProfileSource: String(bedProfileSource || 'generic garden bed'), // ADDED
-                dailyClimate
+                dailyClimate, // CHANGE
+                biennialMode: biennialMode === BIENNIAL_SEED_MODE ? BIENNIAL_SEED_MODE : BIENNIAL_VEGETATIVE_MODE // ADDED
             });
             Object.freeze(this);
         }
@@ -819,6 +845,8 @@
     win.USL.scheduler.sharedCore = Object.freeze({
         DEFAULT_HARVEST_WINDOW_DAYS,
         HARVEST_END_SEMANTICS,
+        BIENNIAL_VEGETATIVE_MODE, // ADDED
+        BIENNIAL_SEED_MODE, // ADDED
         daysInMonth,
         addDaysUTC,
         asUTCDate,
@@ -863,6 +891,8 @@
         isPerennialPlant,
         requirePerennialLifespanYears,
         computePerennialLifespanEndISO,
+        resolveChillingRequirement, // ADDED
+        countChillingDays, // ADDED
         runUiAsyncOperation,
         pickFrostByRisk,
         isCrossYearCrop,
@@ -1194,6 +1194,370 @@ function planRepeatSeriesVisibility(records) { // NEW: pure planner keeps board
     return input.map(record => plannedById.get(String(record && record.id || ''))); // NEW
 } // NEW
 
+// -------------------- Pure task policy: iCalendar export and import --------------------
+const TASK_ICS_PRODID = '-//Trellis//Garden Task Manager//EN'; // ADDED
+const TASK_ICS_UID_DOMAIN = 'trellis-garden'; // ADDED
+const TASK_ICS_OCCURRENCES_PROP = 'X-TRELLIS-OCCURRENCES'; // ADDED
+const TASK_ICS_MAX_SERIES_OCCURRENCES = 520; // ADDED
+
+function escapeIcsText(value) { // ADDED
+    return String(value == null ? '' : value) // ADDED
+        .replace(/\\/g, '\\\\') // ADDED
+        .replace(/;/g, '\\;') // ADDED
+        .replace(/,/g, '\\,') // ADDED
+        .replace(/\r\n|\r|\n/g, '\\n'); // ADDED
+} // ADDED
+
+function unescapeIcsText(value) { // ADDED
+    return String(value == null ? '' : value).replace(/\\([\\;,nN])/g, (_match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch)); // ADDED
+} // ADDED
+
+function quoteIcsParam(value) { // ADDED
+    const text = String(value == null ? '' : value).replace(/["\r\n]/g, ' ').trim(); // ADDED
+    return /[;:,]/.test(text) ? `"${text}"` : text; // ADDED
+} // ADDED
+
+function foldIcsLine(line) { // ADDED: RFC 5545 3.1 allows 75 octets per physical line, continuation lines start with a space
+    const chars = Array.from(String(line || '')); // ADDED
+    const out = []; // ADDED
+    let current = ''; // ADDED
+    let octets = 0; // ADDED
+    chars.forEach(ch => { // ADDED
+        const code = ch.codePointAt(0); // ADDED
+        const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4; // ADDED
+        const limit = out.length ? 74 : 75; // ADDED
+        if (octets + size > limit) { // ADDED
+            out.push(current); // ADDED
+            current = ''; // ADDED
+            octets = 0; // ADDED
+        } // ADDED
+        current += ch; // ADDED
+        octets += size; // ADDED
+    }); // ADDED
+    out.push(current); // ADDED
+    return out.join('\r\n '); // ADDED
+} // ADDED
+
+function formatIcsDate(iso) { // ADDED
+    return parseTaskCalendarISO(iso) ? String(iso).trim().replace(/-/g, '') : ''; // ADDED
+} // ADDED
+
+function parseIcsDate(value) { // ADDED
+    const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T\d{6}Z?)?$/); // ADDED
+    if (!match) return null; // ADDED
+    const iso = `${match[1]}-${match[2]}-${match[3]}`; // ADDED
+    return parseTaskCalendarISO(iso) ? iso : null; // ADDED
+} // ADDED
+
+function formatIcsTimestamp(date) { // ADDED
+    const value = date && typeof date.getTime === 'function' && !Number.isNaN(date.getTime()) ? new Date(date.getTime()) : new Date(0); // ADDED
+    return value.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''); // ADDED
+} // ADDED
+
+function buildTaskIcsUid(record) { // ADDED: scheduler keys survive regeneration; manual cards fall back to the cell id
+    const key = String(record && record.schedulerTaskKey || '').trim(); // ADDED
+    const id = String(record && record.id || '').trim(); // ADDED
+    const local = key ? `task-${key}` : `card-${id}`; // ADDED
+    return `${local.replace(/[^A-Za-z0-9._:-]+/g, '_')}@${TASK_ICS_UID_DOMAIN}`; // ADDED
+} // ADDED
+
+function detectTaskIcsRecurrence(occurrences) { // ADDED: only evenly spaced occurrences with one duration become an RRULE
+    if (!Array.isArray(occurrences) || occurrences.length < 2 || occurrences.length > TASK_ICS_MAX_SERIES_OCCURRENCES) return null; // ADDED
+    const ranges = occurrences.map(record => getTaskDateRange({ start: record && record.startISO, end: record && record.endISO })); // ADDED
+    if (ranges.some(range => !range)) return null; // ADDED
+    const starts = ranges.map(range => parseTaskCalendarISO(range.startISO).dayNumber); // ADDED
+    const step = starts[1] - starts[0]; // ADDED
+    if (step <= 0) return null; // ADDED
+    for (let index = 1; index < ranges.length; index++) { // ADDED
+        if (starts[index] - starts[index - 1] !== step) return null; // ADDED
+        if (ranges[index].durationDays !== ranges[0].durationDays) return null; // ADDED
+    } // ADDED
+    return step % 7 === 0 // ADDED
+        ? { freq: 'WEEKLY', interval: step / 7, count: ranges.length } // ADDED
+        : { freq: 'DAILY', interval: step, count: ranges.length }; // ADDED
+} // ADDED
+
+function planTaskIcsEvents(records) { // ADDED: repeat series collapse to one VEVENT when an RRULE can reproduce them exactly
+    const input = (Array.isArray(records) ? records : []).filter(record => getTaskDateRange({ start: record && record.startISO, end: record && record.endISO })); // ADDED
+    const bySeries = new Map(); // ADDED
+    input.forEach(record => { // ADDED
+        if (!record.seriesKey) return; // ADDED
+        if (!bySeries.has(record.seriesKey)) bySeries.set(record.seriesKey, []); // ADDED
+        bySeries.get(record.seriesKey).push(record); // ADDED
+    }); // ADDED
+    const consumed = new Set(); // ADDED
+    const events = []; // ADDED
+    input.forEach(record => { // ADDED
+        if (consumed.has(record)) return; // ADDED
+        const series = record.seriesKey ? bySeries.get(record.seriesKey).slice().sort(compareRepeatOccurrenceRecords) : [record]; // ADDED
+        const rule = detectTaskIcsRecurrence(series); // ADDED
+        if (rule) { // ADDED
+            series.forEach(item => consumed.add(item)); // ADDED
+            events.push({ record: series[0], occurrences: series, rule }); // ADDED
+            return; // ADDED
+        } // ADDED
+        consumed.add(record); // ADDED
+        events.push({ record, occurrences: [record], rule: null }); // ADDED
+    }); // ADDED
+    return events; // ADDED
+} // ADDED
+
+function buildTaskIcsEventLines(event, dtstamp) { // ADDED
+    const record = event.record; // ADDED
+    const range = getTaskDateRange({ start: record.startISO, end: record.endISO }); // ADDED
+    const uid = buildTaskIcsUid(record); // ADDED
+    const descriptionParts = []; // ADDED
+    if (record.note) descriptionParts.push(String(record.note)); // ADDED
+    if (record.plantName) descriptionParts.push(`Plant: ${record.plantName}`); // ADDED
+    if (record.method) descriptionParts.push(`Method: ${record.method}`); // ADDED
+    if (record.state) descriptionParts.push(`State: ${record.state}`); // ADDED
+    const lines = [ // ADDED
+        'BEGIN:VEVENT', // ADDED
+        `UID:${uid}`, // ADDED
+        `DTSTAMP:${dtstamp}`, // ADDED
+        `DTSTART;VALUE=DATE:${formatIcsDate(range.startISO)}`, // ADDED
+        `DTEND;VALUE=DATE:${formatIcsDate(shiftTaskCalendarISO(range.endISO, 1))}`, // ADDED: all-day DTEND is exclusive
+        `SUMMARY:${escapeIcsText(record.title || 'Task')}` // ADDED
+    ]; // ADDED
+    if (descriptionParts.length) lines.push(`DESCRIPTION:${escapeIcsText(descriptionParts.join('\n'))}`); // ADDED
+    if (record.state) lines.push(`CATEGORIES:${escapeIcsText(record.state)}`); // ADDED
+    if (record.state) lines.push(`X-TRELLIS-STATE:${escapeIcsText(record.state)}`); // ADDED
+    (record.assignees || []).forEach(assignee => { // ADDED
+        const label = assignee.roleTitle ? `${assignee.name} (${assignee.roleTitle})` : assignee.name; // ADDED
+        lines.push(`ATTENDEE;CN=${quoteIcsParam(label || 'Unnamed person')};ROLE=REQ-PARTICIPANT:urn:trellis:role:${encodeURIComponent(String(assignee.id || ''))}`); // ADDED
+    }); // ADDED
+    if (event.rule) { // ADDED
+        lines.push(`RRULE:FREQ=${event.rule.freq};INTERVAL=${event.rule.interval};COUNT=${event.rule.count}`); // ADDED
+        lines.push(`${TASK_ICS_OCCURRENCES_PROP}:${event.occurrences.map(buildTaskIcsUid).join(',')}`); // ADDED
+    } // ADDED
+    lines.push('END:VEVENT'); // ADDED
+    return lines; // ADDED
+} // ADDED
+
+function buildTaskIcsCalendar(records, options) { // ADDED: CRLF line endings and folding per RFC 5545
+    const opts = options || {}; // ADDED
+    const dtstamp = formatIcsTimestamp(opts.now || new Date()); // ADDED
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${TASK_ICS_PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH']; // ADDED
+    if (opts.calendarName) lines.push(`X-WR-CALNAME:${escapeIcsText(opts.calendarName)}`); // ADDED
+    planTaskIcsEvents(records).forEach(event => lines.push(...buildTaskIcsEventLines(event, dtstamp))); // ADDED
+    lines.push('END:VCALENDAR'); // ADDED
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n'; // ADDED
+} // ADDED
+
+function parseIcsContentLine(line) { // ADDED
+    let inQuotes = false; // ADDED
+    for (let index = 0; index < line.length; index++) { // ADDED
+        const ch = line[index]; // ADDED
+        if (ch === '"') inQuotes = !inQuotes; // ADDED
+        else if (ch === ':' && !inQuotes) { // ADDED
+            const head = line.slice(0, index).split(';'); // ADDED
+            const params = {}; // ADDED
+            head.slice(1).forEach(param => { // ADDED
+                const eq = param.indexOf('='); // ADDED
+                if (eq > 0) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, ''); // ADDED
+            }); // ADDED
+            return { name: head[0].toUpperCase(), params, value: line.slice(index + 1) }; // ADDED
+        } // ADDED
+    } // ADDED
+    return null; // ADDED
+} // ADDED
+
+function parseIcsRecurrenceRule(value) { // ADDED
+    const parts = {}; // ADDED
+    String(value || '').split(';').forEach(part => { // ADDED
+        const eq = part.indexOf('='); // ADDED
+        if (eq > 0) parts[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1); // ADDED
+    }); // ADDED
+    const freq = String(parts.FREQ || '').toUpperCase(); // ADDED
+    if (freq !== 'DAILY' && freq !== 'WEEKLY') return null; // ADDED
+    const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1; // ADDED
+    const count = Number(parts.COUNT); // ADDED
+    if (!Number.isInteger(interval) || interval < 1) return null; // ADDED
+    return { freq, interval, count: Number.isInteger(count) && count > 0 ? count : null, until: parseIcsDate(parts.UNTIL) }; // ADDED
+} // ADDED
+
+function parseTaskIcsEvents(text) { // ADDED: only the fields the importer needs; other components are ignored
+    const physical = String(text || '').split(/\r\n|\n|\r/); // ADDED
+    const lines = []; // ADDED
+    physical.forEach(line => { // ADDED
+        if ((line.startsWith(' ') || line.startsWith('\t')) && lines.length) lines[lines.length - 1] += line.slice(1); // ADDED
+        else if (line) lines.push(line); // ADDED
+    }); // ADDED
+    const events = []; // ADDED
+    let current = null; // ADDED
+    lines.forEach(line => { // ADDED
+        const prop = parseIcsContentLine(line); // ADDED
+        if (!prop) return; // ADDED
+        if (prop.name === 'BEGIN' && prop.value.toUpperCase() === 'VEVENT') { current = { uid: '', startISO: null, endISO: null, rule: null, recurrenceId: null, occurrenceUids: [], summary: '' }; return; } // ADDED
+        if (prop.name === 'END' && prop.value.toUpperCase() === 'VEVENT') { if (current && current.uid) events.push(current); current = null; return; } // ADDED
+        if (!current) return; // ADDED
+        if (prop.name === 'UID') current.uid = prop.value.trim(); // ADDED
+        else if (prop.name === 'DTSTART') current.startISO = parseIcsDate(prop.value); // ADDED
+        else if (prop.name === 'DTEND') current.endISO = parseIcsDate(prop.value); // ADDED
+        else if (prop.name === 'RRULE') current.rule = parseIcsRecurrenceRule(prop.value); // ADDED
+        else if (prop.name === 'RECURRENCE-ID') current.recurrenceId = parseIcsDate(prop.value); // ADDED
+        else if (prop.name === 'SUMMARY') current.summary = unescapeIcsText(prop.value); // ADDED
+        else if (prop.name === TASK_ICS_OCCURRENCES_PROP) current.occurrenceUids = prop.value.split(',').map(uid => uid.trim()).filter(Boolean); // ADDED
+    }); // ADDED
+    return events; // ADDED
+} // ADDED
+
+function expandTaskIcsRecurrence(startISO, rule, limit) { // ADDED
+    if (!parseTaskCalendarISO(startISO) || !rule) return [startISO].filter(Boolean); // ADDED
+    const step = rule.freq === 'WEEKLY' ? rule.interval * 7 : rule.interval; // ADDED
+    const max = Math.min(rule.count || limit || TASK_ICS_MAX_SERIES_OCCURRENCES, TASK_ICS_MAX_SERIES_OCCURRENCES); // ADDED
+    const untilDay = rule.until ? parseTaskCalendarISO(rule.until).dayNumber : Infinity; // ADDED
+    const out = []; // ADDED
+    for (let index = 0; index < max; index++) { // ADDED
+        const iso = shiftTaskCalendarISO(startISO, index * step); // ADDED
+        if (parseTaskCalendarISO(iso).dayNumber > untilDay) break; // ADDED
+        out.push(iso); // ADDED
+    } // ADDED
+    return out; // ADDED
+} // ADDED
+
+/**
+ * Maps imported VEVENT start dates back onto cards by UID.
+ * Series masters re-expand their RRULE onto the exported occurrence list; RECURRENCE-ID
+ * overrides then replace single occurrences, matched by their position in the master's own
+ * expansion so a shifted series still finds the moved occurrence.
+ */
+function planTaskIcsImport(records, events) { // ADDED
+    const byUid = new Map(); // ADDED
+    (Array.isArray(records) ? records : []).forEach(record => byUid.set(buildTaskIcsUid(record), record)); // ADDED
+    const nextStartById = new Map(); // ADDED
+    const unmatched = []; // ADDED
+    const assign = (record, startISO) => { if (record && parseTaskCalendarISO(startISO)) nextStartById.set(String(record.id), startISO); }; // ADDED
+    const list = Array.isArray(events) ? events : []; // ADDED
+    list.filter(event => !event.recurrenceId).forEach(event => { // ADDED
+        const master = byUid.get(event.uid); // ADDED
+        if (!master) { unmatched.push(event.uid); return; } // ADDED
+        if (!event.rule || !event.occurrenceUids.length) { assign(master, event.startISO); return; } // ADDED
+        const occurrences = event.occurrenceUids.map(uid => byUid.get(uid) || null); // ADDED
+        expandTaskIcsRecurrence(event.startISO, event.rule, occurrences.length).forEach((iso, index) => assign(occurrences[index], iso)); // ADDED
+    }); // ADDED
+    list.filter(event => event.recurrenceId).forEach(event => { // ADDED
+        const master = list.find(candidate => candidate.uid === event.uid && !candidate.recurrenceId); // ADDED
+        const uids = master && master.occurrenceUids.length ? master.occurrenceUids : [event.uid]; // ADDED
+        const occurrence = master && master.rule && master.occurrenceUids.length // CHANGED
+            ? byUid.get(uids[expandTaskIcsRecurrence(master.startISO, master.rule, uids.length).indexOf(event.recurrenceId)]) // ADDED
+            : uids.map(uid => byUid.get(uid)).find(record => record && record.startISO === event.recurrenceId); // ADDED
+        if (occurrence) assign(occurrence, event.startISO); // ADDED
+        else unmatched.push(`${event.uid} (${event.recurrenceId})`); // ADDED
+    }); // ADDED
+    const updates = []; // ADDED
+    let unchanged = 0; // ADDED
+    nextStartById.forEach((startISO, id) => { // ADDED
+        const record = (records || []).find(item => String(item.id) === id); // ADDED
+        if (record && record.startISO === startISO) unchanged += 1; // ADDED
+        else updates.push({ id, startISO }); // ADDED
+    }); // ADDED
+    return { updates, unchanged, unmatched }; // ADDED
+} // ADDED
+
+// -------------------- Pure task policy: labor capacity --------------------
+function resolveTaskEstimatedMinutes(source, estimatedHours) { // ADDED: a stored card estimate wins over the equipment model
+    const stored = Number(readAttributeValue(source, 'task_estimated_hours')); // ADDED
+    const hours = Number.isFinite(stored) && stored > 0 ? stored : Number(estimatedHours); // ADDED
+    return Number.isFinite(hours) && hours > 0 ? Math.round(hours * 60) : null; // ADDED
+} // ADDED
+
+function buildWeekWorkloadSummary(records, options) { // ADDED: one person per roster role; an empty roster still counts as one worker
+    const opts = options || {}; // ADDED
+    const weekStartISO = getTaskWeekStartISO(opts.weekStartISO); // ADDED
+    if (!weekStartISO) return null; // ADDED
+    const weekStart = parseTaskCalendarISO(weekStartISO); // ADDED
+    const roleIds = normalizeTaskAssigneeRoleIds(opts.roleIds); // ADDED
+    const headcount = Math.max(1, roleIds.length); // ADDED
+    const windows = WEEK_DAY_LANE_KEYS.map((_laneKey, index) => normalizeWorkHourWindow(Array.isArray(opts.days) ? opts.days[index] : null)); // ADDED
+    const days = WEEK_DAY_LANE_KEYS.map((laneKey, index) => ({ // ADDED
+        laneKey, // ADDED
+        dateISO: shiftTaskCalendarISO(weekStartISO, index), // ADDED
+        closed: windows[index].closed, // ADDED
+        capacityMinutes: workWindowDurationMinutes(windows[index]) * headcount, // ADDED
+        loadMinutes: 0, // ADDED
+        cardIds: [] // ADDED
+    })); // ADDED
+    const roles = roleIds.map(roleId => ({ // ADDED
+        roleId, // ADDED
+        days: windows.map(window => ({ capacityMinutes: workWindowDurationMinutes(window), loadMinutes: 0 })) // ADDED
+    })); // ADDED
+    const roleById = new Map(roles.map(role => [role.roleId, role])); // ADDED
+    const unestimatedIds = []; // ADDED
+
+    (Array.isArray(records) ? records : []).forEach(record => { // ADDED
+        if (!record || (record.state && !isOpenWorkflowState(record.state))) return; // ADDED
+        const date = parseTaskCalendarISO(record.assignedDay); // ADDED
+        const offset = date ? date.dayNumber - weekStart.dayNumber : -1; // ADDED
+        if (offset < 0 || offset >= days.length) return; // ADDED
+        const minutes = Number(record.minutes); // ADDED
+        if (!Number.isFinite(minutes) || minutes <= 0) { unestimatedIds.push(String(record.id)); return; } // ADDED
+        days[offset].loadMinutes += minutes; // ADDED
+        days[offset].cardIds.push(String(record.id)); // ADDED
+        const assignees = normalizeTaskAssigneeRoleIds(record.roleIds).filter(id => roleById.has(id)); // ADDED
+        assignees.forEach(id => { roleById.get(id).days[offset].loadMinutes += minutes / assignees.length; }); // ADDED
+    }); // ADDED
+
+    days.forEach(day => { day.overloaded = day.loadMinutes > day.capacityMinutes; }); // ADDED
+    roles.forEach(role => { // ADDED
+        role.days.forEach(day => { day.overloaded = day.loadMinutes > day.capacityMinutes; }); // ADDED
+        role.capacityMinutes = role.days.reduce((sum, day) => sum + day.capacityMinutes, 0); // ADDED
+        role.loadMinutes = role.days.reduce((sum, day) => sum + day.loadMinutes, 0); // ADDED
+        role.overloaded = role.loadMinutes > role.capacityMinutes; // ADDED
+    }); // ADDED
+    const capacityMinutes = days.reduce((sum, day) => sum + day.capacityMinutes, 0); // ADDED
+    const loadMinutes = days.reduce((sum, day) => sum + day.loadMinutes, 0); // ADDED
+    return { // ADDED
+        weekStartISO, // ADDED
+        headcount, // ADDED
+        days, // ADDED
+        roles, // ADDED
+        capacityMinutes, // ADDED
+        loadMinutes, // ADDED
+        overloaded: loadMinutes > capacityMinutes || roles.some(role => role.overloaded), // ADDED
+        overloadedDayCount: days.filter(day => day.overloaded).length, // ADDED
+        unestimatedIds // ADDED
+    }; // ADDED
+} // ADDED
+
+function planStagedWorkloadRebalance(summary, stagedRecords, options) { // ADDED: greedy fill of the least-loaded open day that still fits the card
+    const opts = options || {}; // ADDED
+    const moves = []; // ADDED
+    const unplaced = []; // ADDED
+    if (!summary || !Array.isArray(summary.days)) return { moves, unplaced }; // ADDED
+    const today = parseTaskCalendarISO(opts.today); // ADDED
+    const weekEnd = parseTaskCalendarISO(summary.days[summary.days.length - 1].dateISO); // ADDED
+    const spare = summary.days.map(day => day.closed ? 0 : Math.max(0, day.capacityMinutes - day.loadMinutes)); // ADDED
+    const roleSpare = new Map((summary.roles || []).map(role => [role.roleId, role.days.map(day => Math.max(0, day.capacityMinutes - day.loadMinutes))])); // ADDED
+
+    (Array.isArray(stagedRecords) ? stagedRecords : []).forEach(record => { // ADDED
+        const id = String(record && record.id); // ADDED
+        const minutes = Number(record && record.minutes); // ADDED
+        if (!Number.isFinite(minutes) || minutes <= 0) { unplaced.push({ id, reason: 'unestimated' }); return; } // ADDED
+        const start = parseTaskCalendarISO(record.startISO); // ADDED
+        if (start && weekEnd && start.dayNumber > weekEnd.dayNumber) { unplaced.push({ id, reason: 'startsLater' }); return; } // ADDED
+        const assignees = normalizeTaskAssigneeRoleIds(record.roleIds).filter(roleId => roleSpare.has(roleId)); // ADDED
+        const share = assignees.length ? minutes / assignees.length : 0; // ADDED
+        let best = -1; // ADDED
+        summary.days.forEach((day, index) => { // ADDED
+            const date = parseTaskCalendarISO(day.dateISO); // ADDED
+            if (day.closed || !date || (today && date.dayNumber < today.dayNumber) || (start && date.dayNumber < start.dayNumber)) return; // ADDED
+            if (spare[index] < minutes || assignees.some(roleId => roleSpare.get(roleId)[index] < share)) return; // ADDED
+            if (best < 0 || spare[index] > spare[best]) best = index; // ADDED
+        }); // ADDED
+        if (best < 0) { unplaced.push({ id, reason: 'noCapacity' }); return; } // ADDED
+        spare[best] -= minutes; // ADDED
+        assignees.forEach(roleId => { roleSpare.get(roleId)[best] -= share; }); // ADDED
+        moves.push({ id, dateISO: summary.days[best].dateISO, laneKey: summary.days[best].laneKey, minutes }); // ADDED
+    }); // ADDED
+    return { moves, unplaced }; // ADDED
+} // ADDED
+
+function formatWorkloadHours(minutes) { // ADDED
+    const hours = Math.round((Number(minutes) || 0) / 6) / 10; // ADDED
+    return hours + 'h'; // ADDED
+} // ADDED
+
 function isEditableCardDateLane(laneKey) { // NEW
     return EDITABLE_CARD_DATE_LANES.has(String(laneKey || ''));
 }
@@ -1269,7 +1633,15 @@ const TaskPolicyCore = Object.freeze({ // CHANGE
     buildSelectedPeriodStagedDueText, // CHANGE
     buildStagedStartDateAllocationPatch, // CHANGE
     normalizeTaskReflowScopePlan, // NEW
-    getTaskReflowScopeForCommand // NEW
+    getTaskReflowScopeForCommand, // CHANGE
+    escapeIcsText, // ADDED
+    foldIcsLine, // ADDED
+    buildTaskIcsUid, // ADDED
+    detectTaskIcsRecurrence, // ADDED
+    buildTaskIcsCalendar, // ADDED
+    parseTaskIcsEvents, // ADDED
+    expandTaskIcsRecurrence, // ADDED
+    planTaskIcsImport // ADDED
 }); // CHANGE
 
 const SchedulePolicyCore = Object.freeze({ // CHANGE
@@ -1299,7 +1671,11 @@ const SchedulePolicyCore = Object.freeze({ // CHANGE
     buildWeekTimeScale, // NEW
     getWeekTimeScaleOffsetPx, // NEW
     defaultScheduleDurationFromHours, // CHANGE
-    buildStackSchedulePlan // CHANGE
+    buildStackSchedulePlan, // CHANGE
+    resolveTaskEstimatedMinutes, // ADDED
+    buildWeekWorkloadSummary, // ADDED
+    planStagedWorkloadRebalance, // ADDED
+    formatWorkloadHours // ADDED
 }); // CHANGE
 
 const TASK_REFLOW_TEST_COUNTER_KEYS = Object.freeze(['classification', 'layout', 'lanes', 'badges', 'boardLayout', 'schedulePack', 'labelWriteSkip']); // NEW
@@ -1395,6 +1771,9 @@ if (typeof globalThis !== 'undefined' && globalThis.__TRELLIS_TASK_MANAGER_TEST_
         getWeekTimeScaleOffsetPx: SchedulePolicyCore.getWeekTimeScaleOffsetPx, // NEW
         defaultScheduleDurationFromHours: SchedulePolicyCore.defaultScheduleDurationFromHours, // CHANGE
         buildStackSchedulePlan: SchedulePolicyCore.buildStackSchedulePlan, // CHANGE
+        resolveTaskEstimatedMinutes: SchedulePolicyCore.resolveTaskEstimatedMinutes, // ADDED
+        buildWeekWorkloadSummary: SchedulePolicyCore.buildWeekWorkloadSummary, // ADDED
+        planStagedWorkloadRebalance: SchedulePolicyCore.planStagedWorkloadRebalance, // ADDED
         getTaskDateRange, // NEW
         buildInitialCardDateAttributes, // NEW
         buildSchedulerTaskMetadataAttributes, // NEW
@@ -1418,6 +1797,9 @@ if (typeof globalThis !== 'undefined' && globalThis.__TRELLIS_TASK_MANAGER_TEST_
         isCardVisibilityEligible, // NEW
         buildTaskLanePagePlan, // NEW
         planRepeatSeriesVisibility, // CHANGE
+        buildTaskIcsCalendar: TaskPolicyCore.buildTaskIcsCalendar, // ADDED
+        parseTaskIcsEvents: TaskPolicyCore.parseTaskIcsEvents, // ADDED
+        planTaskIcsImport: TaskPolicyCore.planTaskIcsImport, // ADDED
         getKanbanCellType, // NEW
         canParentKanbanCell // NEW
     };
@@ -1486,6 +1868,8 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
     const REPEAT_HIDDEN_ATTR = 'repeat_hidden'; // NEW
     const REPEAT_EXPANDED_ATTR = 'repeat_expanded'; // NEW
     const REPEAT_BADGE_ATTR = 'repeat_badge'; // NEW
+    const BOOKING_CONFLICT_ATTR = 'booking_conflict'; // ADDED
+    const BOOKING_SUGGESTIONS_ATTR = 'booking_suggestions_json'; // ADDED
 
     const LANES = KANBAN_LANE_DEFS; // CHANGE: template and policy use the same canonical lane list
     const lanePagingStates = new Map(); // NEW: current plans drive DOM rendering without a public API
@@ -2818,13 +3202,14 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
         const noteBadge = renderBadge('Note', getCardNote(card)); // NEW
         const editedDateBadge = hasCardDateOverride(card) ? renderBadge('Dates', 'Edited') : ''; // NEW
         const repeatBadge = renderBadge('Repeat', getAttr(card, REPEAT_BADGE_ATTR)); // NEW
+        const bookingBadge = renderBadge('Booking', getAttr(card, BOOKING_CONFLICT_ATTR)); // ADDED
         const scheduleTimeBadge = renderScheduleTimeBadge(card, laneKey); // NEW
         const stateBadge = viewMode === 'WEEK' && getEffectiveWorkflowState(card.value, laneKey) === 'DOING' ? renderBadge('State', 'DOING') : ''; // NEW
         const missingBadge = viewMode !== 'FULL' && getAttr(card, TASK_SCHEDULER_MISSING_ATTR) === '1' ? renderBadge('Scheduler', 'Missing') : ''; // NEW
         const incompleteBadge = viewMode !== 'FULL' ? renderBadge('Incomplete', getAttr(card, TASK_INCOMPLETE_DAY_ATTR)) : ''; // NEW
 
-        const badgesBlock = (scheduleTimeBadge || badgesHtml || stateBadge || missingBadge || incompleteBadge || repeatBadge || noteBadge || editedDateBadge || linkBadge) // CHANGE
-            ? ('<br/>' + scheduleTimeBadge + badgesHtml + stateBadge + missingBadge + incompleteBadge + repeatBadge + noteBadge + editedDateBadge + linkBadge) // CHANGE
+        const badgesBlock = (scheduleTimeBadge || badgesHtml || stateBadge || missingBadge || incompleteBadge || repeatBadge || noteBadge || editedDateBadge || linkBadge || bookingBadge) // CHANGE
+            ? ('<br/>' + scheduleTimeBadge + badgesHtml + stateBadge + missingBadge + incompleteBadge + repeatBadge + noteBadge + editedDateBadge + linkBadge + bookingBadge) // CHANGE
             : '';
 
         const html = title + badgesBlock;
@@ -2866,6 +3251,7 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
             getAttr(card, TASK_INCOMPLETE_DAY_ATTR) || '', // NEW
             getAttr(card, REPEAT_BADGE_ATTR) || '', // NEW
             getAttr(card, REPEAT_HIDDEN_ATTR) || '', // NEW
+            getAttr(card, BOOKING_CONFLICT_ATTR) || '', // ADDED
             getAttr(card, 'year_hidden') || '', // NEW
             getAttr(card, 'date_override') || '', // NEW
             getAttr(card, 'base_start') || '', // NEW
@@ -3061,6 +3447,33 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
         return card;
     }
 
+    function createTaskForCell(sourceCell, task) { // ADDED: standalone card for another plugin's record; `linkToSource` links it to that cell like scheduler cards
+        if (!sourceCell || !task) return ''; // ADDED
+        const gardenModule = findGardenModuleAncestor(sourceCell); // ADDED
+        const sourceId = String(sourceCell.id || (sourceCell.getId && sourceCell.getId()) || ''); // ADDED
+        return runTrellisHistoryTransaction({ category: "Tasks", action: "create", origin: "Garden_Task_Manager", title: task.title || "Create task", affectedCellIds: [sourceId].filter(Boolean) }, function () { // ADDED
+            let card = null; // ADDED
+            let board = null; // ADDED
+            model.beginUpdate(); // ADDED
+            try { // ADDED
+                const template = boardLayoutService.ensureBoardTemplateIn(gardenModule, { insideUpdate: true }); // ADDED
+                board = template.board; // ADDED
+                const laneKey = decideUpcomingLaneKey(task.startISO); // ADDED
+                const parentLane = template.lanes[laneKey] || template.lanes['TODO_STAGED']; // ADDED
+                card = createCard(parentLane, { title: task.title, notes: task.notes, startISO: task.startISO, endISO: task.endISO }, /*suppressRefresh*/ true); // ADDED
+                Object.entries(task.attributes || {}).forEach(([key, value]) => { // ADDED
+                    if (value != null && value !== '') setAttrNoUndo(card, key, String(value), true); // ADDED
+                }); // ADDED
+                if (task.linkToSource && card) linkBothWays(card, sourceCell); // ADDED
+                updateBadgeForLane(card, getAttr(parentLane, 'lane_key')); // ADDED
+                if (board) scanAndReflowBoard(board, { insideUpdate: true }); // ADDED
+            } finally { // ADDED
+                model.endUpdate(); // ADDED
+            } // ADDED
+            return card ? String(card.id) : ''; // ADDED
+        }); // ADDED
+    } // ADDED
+
 
 
 
@@ -3437,6 +3850,73 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
         return changed; // NEW
     } // NEW
 
+    function getBoardBookingRecords(board) { // ADDED: open cards in the visible week's day lanes
+        const records = []; // ADDED
+        snapshotBoardCardsByLane(boardLanes(board)).forEach(snapshot => { // ADDED
+            if (!isWeekDayLane(snapshot.laneKey)) return; // ADDED
+            const dateISO = getVisibleDateForWeekLane(board, snapshot.laneKey); // ADDED
+            snapshot.cards.forEach(card => { // ADDED
+                if (isScheduleBreakCard(card) || isRepeatHiddenCard(card)) return; // ADDED
+                if (!isOpenWorkflowState(getEffectiveWorkflowState(card.value, snapshot.laneKey))) return; // ADDED
+                const equipmentIds = getAttr(card, 'task_equipment_ids') || ''; // ADDED
+                if (!equipmentIds) return; // ADDED
+                records.push({ id: String(card.id), dateISO, equipmentIds, assigneeCount: getTaskAssigneeRoleIds(card).length }); // ADDED
+            }); // ADDED
+        }); // ADDED
+        return records; // ADDED
+    } // ADDED
+
+    function rebuildBookingConflicts(board, dirtyLanes) { // ADDED: equipment owns the booking rules; the board stores one result per card
+        const equipment = graph.__trellisEquipment; // ADDED
+        const records = getBoardViewMode(board) === 'WEEK' ? getBoardBookingRecords(board) : []; // ADDED
+        const workHours = getBoardWeekWorkHours(board); // ADDED
+        let conflicts = []; // ADDED
+        if (records.length && equipment && typeof equipment.findBookingConflicts === 'function') { // ADDED
+            try { // ADDED
+                conflicts = equipment.findBookingConflicts(records, { // ADDED
+                    moduleCell: findGardenModuleAncestor(board), // ADDED
+                    days: WEEK_DAY_LANE_KEYS.map((laneKey, index) => ({ dateISO: getVisibleDateForWeekLane(board, laneKey), closed: !!(workHours[index] && workHours[index].closed) })), // ADDED
+                    headcount: getBoardRoleRoster(board).length, // ADDED
+                    today: todayISO() // ADDED
+                }) || []; // ADDED
+            } catch (_) { // ADDED
+                conflicts = []; // ADDED
+            } // ADDED
+        } // ADDED
+        const conflictById = new Map(conflicts.map(conflict => [String(conflict.id), conflict])); // ADDED
+        let changed = false; // ADDED
+
+        collectKanbanCardsIn(board).forEach(card => { // ADDED
+            const conflict = conflictById.get(String(card.id)); // ADDED
+            const suggestions = conflict ? JSON.stringify({ message: conflict.message, alternativeDays: conflict.alternativeDays, substitutes: conflict.substitutes }) : null; // ADDED
+            const badgeChanged = setDerivedCardAttribute(card, BOOKING_CONFLICT_ATTR, conflict ? conflict.label : null); // ADDED
+            const suggestionsChanged = setDerivedCardAttribute(card, BOOKING_SUGGESTIONS_ATTR, suggestions); // ADDED
+
+            if (badgeChanged) refreshCardLabel(card, true); // ADDED
+            if (badgeChanged || suggestionsChanged) { // ADDED
+                markDirtyCardLane(dirtyLanes, card); // ADDED
+                changed = true; // ADDED
+            } // ADDED
+        }); // ADDED
+
+        return changed; // ADDED
+    } // ADDED
+
+    function getBookingSuggestions(card) { // ADDED
+        const raw = getAttr(card, BOOKING_SUGGESTIONS_ATTR); // ADDED
+        if (!raw) return null; // ADDED
+        try { // ADDED
+            const parsed = JSON.parse(raw); // ADDED
+            return { // ADDED
+                message: String(parsed.message || ''), // ADDED
+                alternativeDays: Array.isArray(parsed.alternativeDays) ? parsed.alternativeDays.filter(day => parseTaskCalendarISO(day)) : [], // ADDED
+                substitutes: Array.isArray(parsed.substitutes) ? parsed.substitutes.filter(item => item && item.equipmentId && item.substituteId) : [] // ADDED
+            }; // ADDED
+        } catch (_) { // ADDED
+            return null; // ADDED
+        } // ADDED
+    } // ADDED
+
     function boardLanes(board) { return lanesMap(board); }
 
     function normalizeTaskCardHeight(value, fallback) { // NEW: shared guard for persisted full-view heights and restored geometry
@@ -3658,6 +4138,10 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
             boardDirty = true; // NEW
         } // NEW
 
+        if (rebuildBookingConflicts(board, dirtyLanes)) { // ADDED
+            boardDirty = true; // ADDED
+        } // ADDED
+
         return boardDirty; // NEW
     } // NEW
 
@@ -5284,6 +5768,47 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
         return changedCount; // NEW
     } // NEW
 
+    function applyStagedWorkloadRebalance(board, moves) { // ADDED: staged cards become TODO on the proposed day, like a week-lane drop
+        const list = (moves || []).map(move => ({ card: model.getCell(move.id), dateISO: move.dateISO })) // ADDED
+            .filter(entry => entry.card && isWorkflowActionCard(entry.card) && findBoardAncestor(entry.card) === board); // ADDED
+        let changedCount = 0; // ADDED
+        if (!board || !list.length) return 0; // ADDED
+        model.beginUpdate(); // ADDED
+        try { // ADDED
+            list.forEach(entry => { // ADDED
+                const patch = buildWorkflowPatch(entry.card.value, 'TODO', { mode: 'WEEK', dropDay: entry.dateISO }); // ADDED
+                if (patch && patch.attributes && applyCardPatchInsideUpdate(entry.card, patch.attributes)) changedCount += 1; // ADDED
+            }); // ADDED
+            if (changedCount) scanAndReflowBoard(board, { insideUpdate: true, scope: getTaskReflowScopeForCommand('workflow') }); // ADDED
+        } finally { // ADDED
+            model.endUpdate(); // ADDED
+        } // ADDED
+        return changedCount; // ADDED
+    } // ADDED
+
+    function applyBookingSuggestion(card, suggestion) { // ADDED: a free day keeps the workflow state; a substitute swaps one equipment id
+        const board = card && findBoardAncestor(card); // ADDED
+        if (!board || !isWorkflowActionCard(card) || !suggestion) return false; // ADDED
+        let attributes = null; // ADDED
+        if (suggestion.dateISO) { // ADDED
+            const patch = buildWorkflowPatch(card.value, getEffectiveWorkflowState(card.value, laneKeyOfCard(card)), { mode: 'WEEK', dropDay: suggestion.dateISO }); // ADDED
+            attributes = patch && patch.attributes; // ADDED
+        } else if (suggestion.equipmentId && suggestion.substituteId) { // ADDED
+            const ids = String(getAttr(card, 'task_equipment_ids') || '').split(',').map(id => id.trim()).filter(Boolean); // ADDED
+            if (ids.indexOf(suggestion.equipmentId) < 0) return false; // ADDED
+            attributes = { task_equipment_ids: Array.from(new Set(ids.map(id => id === suggestion.equipmentId ? suggestion.substituteId : id))).join(',') }; // ADDED
+        } // ADDED
+        if (!attributes) return false; // ADDED
+        model.beginUpdate(); // ADDED
+        try { // ADDED
+            applyCardPatchInsideUpdate(card, attributes); // ADDED
+            scanAndReflowBoard(board, { insideUpdate: true, scope: getTaskReflowScopeForCommand('workflow') }); // ADDED
+        } finally { // ADDED
+            model.endUpdate(); // ADDED
+        } // ADDED
+        return true; // ADDED
+    } // ADDED
+
     function applyBulkCardEdit(cards, opts) { // NEW
         const selected = uniqueKanbanCards(cards); // NEW
         const options = opts || {}; // NEW
@@ -5331,6 +5856,30 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
         return result; // NEW
     } // NEW
 
+    function applyCardStartDates(entries) { // ADDED: per-card starts from calendar import reuse the date-override path
+        const affectedBoards = new Map(); // ADDED
+        const result = { changed: 0, skipped: 0, unchanged: 0 }; // ADDED
+        const list = (entries || []).filter(entry => entry && entry.card && isKanbanCard(entry.card)); // ADDED
+        if (!list.length) return result; // ADDED
+        model.beginUpdate(); // ADDED
+        try { // ADDED
+            list.forEach(entry => { // ADDED
+                if (!canEditCardDates(entry.card)) { result.skipped += 1; return; } // ADDED
+                const patch = buildCardDateOverridePatch(entry.card.value, entry.startISO); // ADDED
+                if (!patch) { result.skipped += 1; return; } // ADDED
+                if (patch.changed === false) { result.unchanged += 1; return; } // ADDED
+                if (!applyCardPatchInsideUpdate(entry.card, patch.attributes)) return; // ADDED
+                result.changed += 1; // ADDED
+                const board = findBoardAncestor(entry.card); // ADDED
+                if (board) affectedBoards.set(board.id || board.getId && board.getId() || result.changed, board); // ADDED
+            }); // ADDED
+            affectedBoards.forEach(board => scanAndReflowBoard(board, { insideUpdate: true, scope: getTaskReflowScopeForCommand('dateEdit') })); // ADDED
+        } finally { // ADDED
+            model.endUpdate(); // ADDED
+        } // ADDED
+        return result; // ADDED
+    } // ADDED
+
     function resetCardDatesForCards(cards) { // NEW
         const selected = uniqueKanbanCards(cards); // NEW
         const affectedBoards = new Map(); // NEW
@@ -5377,6 +5926,7 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
         return Object.freeze({ // CHANGE
             runModelUpdate: transactions.runModelUpdate, // CHANGE
             createTasks, // CHANGE
+            createTaskForCell, // ADDED
             removeTasksLinkedOnlyTo, // CHANGE
             replaceTasks, // CHANGE
             applySchedulerTaskReplacement, // NEW
@@ -5385,6 +5935,7 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
             applyCardDateOverride, // CHANGE
             resetCardDates, // CHANGE
             resetCardDatesForCards, // CHANGE
+            applyCardStartDates, // ADDED
             setCardNote, // CHANGE
             clearCardNote, // CHANGE
             setRepeatSeriesExpanded, // CHANGE
@@ -5399,6 +5950,8 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
             applyCardWorkflowAction, // CHANGE
             applyCardWorkflowActions, // CHANGE
             applyStagedStartDateAllocation, // CHANGE
+            applyStagedWorkloadRebalance, // ADDED
+            applyBookingSuggestion, // ADDED
             applyBulkCardEdit, // CHANGE
             scanAndReflowBoard, // CHANGE
             scanAllBoards, // CHANGE
@@ -5419,7 +5972,9 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
 
     window.USL = window.USL || {}; // NEW
     window.USL.tasks = Object.assign({}, window.USL.tasks, { // NEW
-        applySchedulerTaskReplacement: taskCommands.applySchedulerTaskReplacement // NEW
+        applySchedulerTaskReplacement: taskCommands.applySchedulerTaskReplacement, // CHANGE
+        createTaskForCell: taskCommands.createTaskForCell, // ADDED
+        applyCardStartDates: taskCommands.applyCardStartDates // ADDED
     }); // NEW
 
     // -------------------- DOM overlay host and installers -------------------- // NEW
@@ -6386,12 +6941,129 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
         noteInput.focus(); // NEW
     } // NEW
 
+    function showWorkloadDialogImpl(board, focusRoleId) { // ADDED
+        if (!board) return; // ADDED
+        const workload = buildBoardWorkload(board); // ADDED
+        const formatLoad = (load, capacity) => schedulePolicy.formatWorkloadHours(load) + ' / ' + schedulePolicy.formatWorkloadHours(capacity); // ADDED
+        const div = document.createElement('div'); // ADDED
+        div.className = 'trellis-task-workload-dialog'; // ADDED
+        div.style.cssText = 'padding:12px;box-sizing:border-box;font:12px Arial,sans-serif;overflow:auto;max-height:560px;'; // ADDED
+        const title = document.createElement('div'); // ADDED
+        title.textContent = 'Workload & Capacity'; // ADDED
+        title.style.cssText = 'font-size:16px;font-weight:bold;margin-bottom:4px;'; // ADDED
+        div.appendChild(title); // ADDED
+        const intro = document.createElement('div'); // ADDED
+        const unestimated = new Set(workload.weeks.flatMap(week => week.unestimatedIds)).size; // ADDED
+        intro.textContent = 'Estimated hours of scheduled TODO and DOING cards against board work hours' + // ADDED
+            (workload.roster.length ? ' for ' + workload.roster.length + ' linked role' + (workload.roster.length === 1 ? '' : 's') + '.' : ' for one person (no role cards linked).') + // ADDED
+            (unestimated ? ' ' + unestimated + ' scheduled card' + (unestimated === 1 ? ' has' : 's have') + ' no estimate and ' + (unestimated === 1 ? 'is' : 'are') + ' not counted.' : ''); // ADDED
+        intro.style.cssText = 'color:#4b5563;margin-bottom:10px;'; // ADDED
+        div.appendChild(intro); // ADDED
+
+        function appendTable(headers, rows) { // ADDED
+            const table = document.createElement('table'); // ADDED
+            table.style.cssText = 'border-collapse:collapse;width:100%;margin-bottom:12px;'; // ADDED
+            const head = document.createElement('tr'); // ADDED
+            headers.forEach(text => { // ADDED
+                const th = document.createElement('th'); // ADDED
+                th.textContent = text; // ADDED
+                th.style.cssText = 'text-align:left;padding:3px 6px;border-bottom:1px solid #d1d5db;color:#374151;'; // ADDED
+                head.appendChild(th); // ADDED
+            }); // ADDED
+            table.appendChild(head); // ADDED
+            rows.forEach(row => { // ADDED
+                const tr = document.createElement('tr'); // ADDED
+                Object.keys(row.data || {}).forEach(key => tr.setAttribute('data-' + key, row.data[key])); // ADDED
+                row.cells.forEach(cell => { // ADDED
+                    const td = document.createElement('td'); // ADDED
+                    td.textContent = cell.text; // ADDED
+                    td.style.cssText = 'padding:3px 6px;border-bottom:1px solid #f3f4f6;' + (cell.overloaded ? 'color:#b91c1c;font-weight:bold;' : '') + (cell.focus ? 'background:#EFF6FF;' : ''); // ADDED
+                    tr.appendChild(td); // ADDED
+                }); // ADDED
+                if (row.overloaded) tr.style.background = '#FEF2F2'; // ADDED
+                table.appendChild(tr); // ADDED
+            }); // ADDED
+            div.appendChild(table); // ADDED
+        } // ADDED
+
+        function appendHeading(text) { // ADDED
+            const heading = document.createElement('div'); // ADDED
+            heading.textContent = text; // ADDED
+            heading.style.cssText = 'font-weight:bold;margin:4px 0 6px;'; // ADDED
+            div.appendChild(heading); // ADDED
+        } // ADDED
+
+        appendHeading('Weeks'); // ADDED
+        appendTable(['Week of', 'Board'].concat(workload.roster.map(profile => profile.name)), workload.weeks.map(week => ({ // ADDED
+            data: { 'workload-week': week.weekStartISO, overloaded: week.overloaded ? '1' : '0' }, // ADDED
+            overloaded: week.overloaded, // ADDED
+            cells: [ // ADDED
+                { text: week.weekStartISO + (week.overloadedDayCount ? ' (' + week.overloadedDayCount + ' day' + (week.overloadedDayCount === 1 ? '' : 's') + ' over)' : '') }, // ADDED
+                { text: formatLoad(week.loadMinutes, week.capacityMinutes), overloaded: week.loadMinutes > week.capacityMinutes } // ADDED
+            ].concat(week.roles.map(role => ({ text: formatLoad(role.loadMinutes, role.capacityMinutes), overloaded: role.overloaded, focus: role.roleId === focusRoleId }))) // ADDED
+        }))); // ADDED
+
+        const selectedWeek = workload.weeks[0]; // ADDED
+        appendHeading('Days, week of ' + selectedWeek.weekStartISO); // ADDED
+        appendTable(['Day', 'Board'].concat(workload.roster.map(profile => profile.name)), selectedWeek.days.map((day, index) => ({ // ADDED
+            data: { 'workload-day': day.dateISO, overloaded: day.overloaded ? '1' : '0' }, // ADDED
+            overloaded: day.overloaded, // ADDED
+            cells: [ // ADDED
+                { text: KANBAN_LANE_DEFS.find(lane => lane.key === day.laneKey).label + (day.closed ? ' (closed)' : '') }, // ADDED
+                { text: formatLoad(day.loadMinutes, day.capacityMinutes), overloaded: day.overloaded } // ADDED
+            ].concat(selectedWeek.roles.map(role => ({ text: formatLoad(role.days[index].loadMinutes, role.days[index].capacityMinutes), overloaded: role.days[index].overloaded, focus: role.roleId === focusRoleId }))) // ADDED
+        }))); // ADDED
+
+        appendHeading('Rebalance staged cards'); // ADDED
+        const recordById = new Map(workload.records.map(record => [record.id, record])); // ADDED
+        const moves = workload.rebalance.moves; // ADDED
+        const proposal = document.createElement('div'); // ADDED
+        proposal.className = 'trellis-task-workload-rebalance'; // ADDED
+        proposal.style.cssText = 'margin-bottom:10px;color:#374151;'; // ADDED
+        if (!workload.staged.length) { // ADDED
+            proposal.textContent = 'No staged cards to place.'; // ADDED
+        } else if (!moves.length) { // ADDED
+            proposal.textContent = 'No staged card fits the spare hours left this week.'; // ADDED
+        } else { // ADDED
+            moves.forEach(move => { // ADDED
+                const line = document.createElement('div'); // ADDED
+                line.setAttribute('data-rebalance-card-id', move.id); // ADDED
+                line.textContent = (recordById.get(move.id) || {}).title + ' → ' + formatTaskWeekdayShort(parseTaskCalendarISO(move.dateISO).dayNumber) + ' ' + move.dateISO + ' (' + schedulePolicy.formatWorkloadHours(move.minutes) + ')'; // ADDED
+                proposal.appendChild(line); // ADDED
+            }); // ADDED
+        } // ADDED
+        const skipped = workload.rebalance.unplaced.length; // ADDED
+        if (skipped) { // ADDED
+            const note = document.createElement('div'); // ADDED
+            note.style.cssText = 'color:#6b7280;margin-top:4px;'; // ADDED
+            note.textContent = skipped + ' staged card' + (skipped === 1 ? ' stays' : 's stay') + ' staged (no estimate, starts after this week, or no day with enough spare hours).'; // ADDED
+            proposal.appendChild(note); // ADDED
+        } // ADDED
+        div.appendChild(proposal); // ADDED
+
+        const buttons = document.createElement('div'); // ADDED
+        buttons.style.cssText = 'display:flex;justify-content:flex-end;gap:8px;margin-top:12px;'; // ADDED
+        const close = mxUtils.button('Close', function () { ui.hideDialog(); }); // ADDED
+        const rebalance = mxUtils.button('Rebalance ' + moves.length + ' card' + (moves.length === 1 ? '' : 's'), function () { // ADDED
+            runTrellisHistoryTransaction({ category: "Tasks", action: "rebalanceWorkload", origin: "Garden_Task_Manager", title: "Rebalance staged cards onto under-used days", affectedCellIds: moves.map(move => move.id) }, function () { // ADDED
+                return taskCommands.applyStagedWorkloadRebalance(board, moves); // ADDED
+            }); // ADDED
+            ui.hideDialog(); // ADDED
+        }); // ADDED
+        rebalance.disabled = !moves.length; // ADDED
+        buttons.appendChild(close); // ADDED
+        buttons.appendChild(rebalance); // ADDED
+        div.appendChild(buttons); // ADDED
+        taskDialogs.showTaskManagerDialog(div, 640, 600, true, true); // ADDED
+    } // ADDED
+
     function createTaskDialogRuntime({ ui, document, commands, adapters }) { // CHANGE: dialog seam owns DOM/input flow only
         return Object.freeze({ // CHANGE
             showEditCardDialog: showEditCardDialogImpl, // CHANGE
             showEditHoursDialog: showEditHoursDialogImpl, // CHANGE
             showEditDayHoursDialog: showEditDayHoursDialogImpl, // NEW
             showBulkEditCardsDialog: showBulkEditCardsDialogImpl, // CHANGE
+            showWorkloadDialog: showWorkloadDialogImpl, // ADDED
             showTaskManagerDialog: showTaskManagerDialogImpl, // CHANGE
             elevateTaskManagerDialog: elevateTaskManagerDialogImpl // CHANGE
         }); // CHANGE
@@ -6759,6 +7431,236 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
         requestRefresh(); // CHANGE
     } // NEW
 
+    // -------------------- Calendar (.ics) export and import --------------------
+    function collectKanbanCardsIn(container) { // ADDED
+        const out = []; // ADDED
+        const stack = container ? [container] : []; // ADDED
+        while (stack.length) { // ADDED
+            const cell = stack.pop(); // ADDED
+            const count = model.getChildCount(cell); // ADDED
+            for (let i = 0; i < count; i++) { // ADDED
+                const child = model.getChildAt(cell, i); // ADDED
+                if (!child) continue; // ADDED
+                if (model.isVertex(child) && isKanbanCard(child)) out.push(child); // ADDED
+                else stack.push(child); // ADDED
+            } // ADDED
+        } // ADDED
+        return out.filter(card => !!findBoardAncestor(card)); // ADDED
+    } // ADDED
+
+    function buildTaskCalendarRecord(card) { // ADDED
+        const board = findBoardAncestor(card); // ADDED
+        return { // ADDED
+            id: String(card.id), // ADDED
+            card, // ADDED
+            schedulerTaskKey: getSchedulerTaskKey(card.value), // ADDED
+            title: getAttr(card, 'title') || 'Task', // ADDED
+            note: getCardNote(card), // ADDED
+            plantName: getAttr(card, 'plant_name') || '', // ADDED
+            method: getAttr(card, 'method') || '', // ADDED
+            startISO: getAttr(card, 'start') || '', // ADDED
+            endISO: getAttr(card, 'end') || '', // ADDED
+            state: getEffectiveWorkflowState(card.value, laneKeyOfCard(card)), // ADDED
+            seriesKey: buildRepeatSeriesKey(card.value), // ADDED
+            assignees: resolveCardAssigneeProfiles(card, board).filter(profile => profile.cell) // ADDED
+        }; // ADDED
+    } // ADDED
+
+    function resolveTaskCalendarScope(cell) { // ADDED: role cards export their assignments, boards and modules their cards
+        if (!cell || !model.isVertex(cell)) return null; // ADDED
+        if (isRoleCard(cell)) { // ADDED
+            const profile = readRoleProfile(cell, null); // ADDED
+            const roleId = String(cell.id); // ADDED
+            const cards = collectKanbanCardsIn(model.getRoot()).filter(card => getTaskAssigneeRoleIds(card).includes(roleId)); // ADDED
+            return { kind: 'role', label: profile ? profile.name : 'Role', cards }; // ADDED
+        } // ADDED
+        const board = isKanbanCard(cell) ? null : findBoardAncestor(cell); // ADDED
+        if (board) return { kind: 'board', label: getCellDisplayText(board) || 'Task board', cards: collectKanbanCardsIn(board) }; // ADDED
+        if (isGardenModule(cell)) return { kind: 'module', label: getAttr(cell, 'label') || getCellDisplayText(cell) || 'Garden', cards: collectKanbanCardsIn(cell) }; // ADDED
+        return null; // ADDED
+    } // ADDED
+
+    function taskCalendarFileName(scope) { // ADDED
+        const safe = String(scope.label || 'tasks').replace(/[^\w\-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'tasks'; // ADDED
+        return `${safe}_tasks.ics`; // ADDED
+    } // ADDED
+
+    function exportTaskCalendar(scope) { // ADDED
+        const records = scope.cards.map(buildTaskCalendarRecord); // ADDED
+        const text = buildTaskIcsCalendar(records, { calendarName: `${scope.label} tasks` }); // ADDED
+        const blob = new Blob([text], { type: 'text/calendar;charset=utf-8' }); // ADDED
+        const url = URL.createObjectURL(blob); // ADDED
+        const a = document.createElement('a'); // ADDED
+        a.href = url; // ADDED
+        a.download = taskCalendarFileName(scope); // ADDED
+        document.body.appendChild(a); // ADDED
+        a.click(); // ADDED
+        setTimeout(function () { // ADDED
+            URL.revokeObjectURL(url); // ADDED
+            if (a.parentNode) a.parentNode.removeChild(a); // ADDED
+        }, 0); // ADDED
+    } // ADDED
+
+    function applyTaskCalendarText(scope, text) { // ADDED
+        const records = scope.cards.map(buildTaskCalendarRecord); // ADDED
+        const plan = planTaskIcsImport(records, parseTaskIcsEvents(text)); // ADDED
+        const cardById = new Map(records.map(record => [record.id, record.card])); // ADDED
+        const entries = plan.updates.map(update => ({ card: cardById.get(update.id), startISO: update.startISO })).filter(entry => entry.card); // ADDED
+        const result = entries.length // ADDED
+            ? runTrellisHistoryTransaction({ category: "Tasks", action: "importCalendar", origin: "Garden_Task_Manager", title: "Import task dates from calendar", affectedCellIds: entries.map(entry => entry.card.id) }, function () { // ADDED
+                return taskCommands.applyCardStartDates(entries); // ADDED
+            }) // ADDED
+            : { changed: 0, skipped: 0, unchanged: 0 }; // ADDED
+        return Object.assign({}, result, { unchanged: result.unchanged + plan.unchanged, unmatched: plan.unmatched.length }); // ADDED
+    } // ADDED
+
+    function importTaskCalendar(scope) { // ADDED
+        const input = document.createElement('input'); // ADDED
+        input.type = 'file'; // ADDED
+        input.accept = '.ics,text/calendar'; // ADDED
+        input.onchange = function () { // ADDED
+            const file = input.files && input.files[0]; // ADDED
+            if (!file) return; // ADDED
+            const reader = new FileReader(); // ADDED
+            reader.onload = function () { // ADDED
+                try { // ADDED
+                    const result = applyTaskCalendarText(scope, String(reader.result || '')); // ADDED
+                    alert(`Updated ${result.changed} card date${result.changed === 1 ? '' : 's'}. ` + // ADDED
+                        `${result.unchanged} unchanged, ${result.skipped} not editable (completed or archived), ${result.unmatched} calendar event${result.unmatched === 1 ? '' : 's'} not found on this ${scope.kind}.`); // ADDED
+                } catch (err) { // ADDED
+                    alert('Could not import calendar: ' + err.message); // ADDED
+                } // ADDED
+            }; // ADDED
+            reader.readAsText(file); // ADDED
+        }; // ADDED
+        input.click(); // ADDED
+    } // ADDED
+
+    // -------------------- Headless task reports --------------------
+    const TASK_REPORT_COLUMNS = ['Board', 'Task ID', 'Title', 'Lane', 'Workflow state', 'Start', 'End', 'Completed', 'Assigned day', 'Estimated hours', 'Assignees', 'Linked to']; // ADDED
+
+    function taskReportCsvCell(value) { // ADDED
+        const text = value == null ? '' : String(value); // ADDED
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text; // ADDED
+    } // ADDED
+
+    function taskReportBoardLabel(board) { // ADDED
+        return getCellDisplayText(board) || 'Task board'; // ADDED
+    } // ADDED
+
+    function buildBoardTaskReportRows(board) { // ADDED
+        const boardLabel = taskReportBoardLabel(board); // ADDED
+        return collectKanbanCardsIn(board) // ADDED
+            .filter(card => isWorkflowActionCard(card) && findBoardAncestor(card) === board) // ADDED
+            .map(card => { // ADDED
+                const laneKey = laneKeyOfCard(card); // ADDED
+                return [ // ADDED
+                    boardLabel, // ADDED
+                    String(card.id), // ADDED
+                    getAttr(card, 'title') || 'Task', // ADDED
+                    laneKey || '', // ADDED
+                    getEffectiveWorkflowState(card.value, laneKey), // ADDED
+                    getAttr(card, 'start') || '', // ADDED
+                    getAttr(card, 'end') || '', // ADDED
+                    getAttr(card, 'completed') || '', // ADDED
+                    getAttr(card, TASK_ASSIGNED_DAY_ATTR) || '', // ADDED
+                    getAttr(card, 'task_estimated_hours') || '', // ADDED
+                    resolveCardAssigneeProfiles(card, board).map(profile => profile.name).join('; '), // ADDED
+                    getAttr(card, 'linkedTo') || '' // ADDED
+                ]; // ADDED
+            }) // ADDED
+            .sort((left, right) => String(left[5]).localeCompare(String(right[5])) || String(left[2]).localeCompare(String(right[2])) || left[1].localeCompare(right[1])); // ADDED
+    } // ADDED
+
+    // One CSV per task board for the --trellis-report CLI; read-only, so it never opens a history transaction. // ADDED
+    function buildTaskReports() { // ADDED
+        const boards = []; // ADDED
+        (function walk(cell) { // ADDED
+            const count = model.getChildCount(cell); // ADDED
+            for (let i = 0; i < count; i++) { // ADDED
+                const child = model.getChildAt(cell, i); // ADDED
+                if (!child) continue; // ADDED
+                if (isBoardCell(child)) boards.push(child); // ADDED
+                walk(child); // ADDED
+            } // ADDED
+        })(model.getRoot()); // ADDED
+        const usedNames = new Set(); // ADDED
+        return boards.map(board => { // ADDED
+            let name = 'tasks-' + taskReportBoardLabel(board).replace(/[^\w\-]+/g, '_').slice(0, 60); // ADDED
+            if (usedNames.has(name)) name += '-' + board.id; // ADDED
+            usedNames.add(name); // ADDED
+            const lines = [TASK_REPORT_COLUMNS].concat(buildBoardTaskReportRows(board)); // ADDED
+            return { name, format: 'csv', content: lines.map(row => row.map(taskReportCsvCell).join(',')).join('\n') + '\n' }; // ADDED
+        }); // ADDED
+    } // ADDED
+
+    window.Trellis = window.Trellis || {}; // ADDED
+    window.Trellis.reports = window.Trellis.reports || {}; // ADDED
+    window.Trellis.reports.tasks = buildTaskReports; // ADDED
+
+    // -------------------- Labor capacity -------------------- // ADDED
+    const WORKLOAD_FORECAST_WEEKS = 6; // ADDED
+
+    function estimateCardWorkMinutes(card) { // ADDED: equipment model fills in cards that carry a task type but no stored estimate
+        const equipment = graph.__trellisEquipment; // ADDED
+        let estimatedHours = null; // ADDED
+        if (!(Number(getAttr(card, 'task_estimated_hours')) > 0) && getAttr(card, 'task_type_id') && equipment && typeof equipment.estimateTaskHours === 'function') { // ADDED
+            try { // ADDED
+                const estimate = equipment.estimateTaskHours({ cell: card }, { moduleCell: findGardenModuleAncestor(card) }); // ADDED
+                estimatedHours = estimate && estimate.estimatedHours; // ADDED
+            } catch (_) { // ADDED
+                estimatedHours = null; // ADDED
+            } // ADDED
+        } // ADDED
+        return schedulePolicy.resolveTaskEstimatedMinutes(card.value, estimatedHours); // ADDED
+    } // ADDED
+
+    function buildWorkloadRecord(card) { // ADDED
+        return { // ADDED
+            id: String(card.id), // ADDED
+            card, // ADDED
+            title: getAttr(card, 'title') || 'Task', // ADDED
+            state: getEffectiveWorkflowState(card.value, laneKeyOfCard(card)), // ADDED
+            assignedDay: getAttr(card, TASK_ASSIGNED_DAY_ATTR) || '', // ADDED
+            startISO: getAttr(card, 'start') || '', // ADDED
+            roleIds: getTaskAssigneeRoleIds(card), // ADDED
+            minutes: estimateCardWorkMinutes(card) // ADDED
+        }; // ADDED
+    } // ADDED
+
+    function resolveWorkloadScope(cell) { // ADDED: role cards open the board they are reciprocally linked to
+        if (!cell || !model.isVertex(cell) || isKanbanCard(cell)) return null; // ADDED
+        if (isRoleCard(cell)) { // ADDED
+            const roleId = String(cell.id); // ADDED
+            const board = Array.from(getLinkSet(cell)).map(id => model.getCell(id)).find(linked => isBoardCell(linked) && getLinkSet(linked).has(roleId)); // ADDED
+            return board ? { board, focusRoleId: roleId } : null; // ADDED
+        } // ADDED
+        const board = findBoardAncestor(cell); // ADDED
+        return board ? { board, focusRoleId: null } : null; // ADDED
+    } // ADDED
+
+    function buildBoardWorkload(board) { // ADDED
+        const roster = getBoardRoleRoster(board); // ADDED
+        const records = collectKanbanCardsIn(board).filter(isWorkflowActionCard).map(buildWorkloadRecord); // ADDED
+        const firstWeek = getSelectedWeekStart(board); // ADDED
+        const defaults = getAttr(board, TASK_WORK_HOURS_DEFAULTS_ATTR); // ADDED
+        const overrides = getAttr(board, TASK_WORK_HOURS_WEEK_OVERRIDES_ATTR); // ADDED
+        const weeks = []; // ADDED
+        for (let i = 0; i < WORKLOAD_FORECAST_WEEKS; i += 1) { // ADDED
+            const weekStartISO = shiftTaskCalendarISO(firstWeek, i * 7); // ADDED
+            weeks.push(schedulePolicy.buildWeekWorkloadSummary(records, { // ADDED
+                weekStartISO, // ADDED
+                days: schedulePolicy.resolveWeekWorkHours(defaults, overrides, weekStartISO), // ADDED
+                roleIds: roster.map(profile => profile.id) // ADDED
+            })); // ADDED
+        } // ADDED
+        const context = buildCardWorkflowContext(board); // ADDED
+        const staged = records.filter(record => record.state === 'STAGED') // ADDED
+            .sort((left, right) => compareSelectedPeriodStagedRecords(left.card.value, right.card.value, Object.assign({}, context, { mode: 'WEEK' }))); // ADDED
+        const rebalance = schedulePolicy.planStagedWorkloadRebalance(weeks[0], staged, { today: context.today }); // ADDED
+        return { board, roster, records, weeks, staged, rebalance }; // ADDED
+    } // ADDED
+
     // -------------------- Context menu installer -------------------- // CHANGE
     (function addMenuHook() {
         function registerTrellisContextMenuContributor(contributor) { // NEW
@@ -6799,6 +7701,48 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
                     }); // NEW
                 } // NEW
 
+                const harvestGroup = /harvest/i.test(getAttr(card, 'title') || '') ? getLinkedCellsOf(card).find(isTilerGroup) : null; // ADDED
+                if (harvestGroup && window.TrellisHarvestLog) { // ADDED
+                    menu.addItem('Log Harvest...', null, function () { // ADDED
+                        window.TrellisHarvestLog.showDialog(harvestGroup); // ADDED
+                    }); // ADDED
+                } // ADDED
+
+                const pestSource = getAttr(card, 'pest_observation_cell_id') ? model.getCell(getAttr(card, 'pest_observation_cell_id')) : null; // ADDED
+                if (pestSource && window.TrellisGardenBeds && typeof window.TrellisGardenBeds.showPestObservationDialog === 'function') { // ADDED
+                    menu.addItem('Pest & Disease Log...', null, function () { // ADDED
+                        window.TrellisGardenBeds.showPestObservationDialog(pestSource); // ADDED
+                    }); // ADDED
+                } // ADDED
+
+                const soilSource = getAttr(card, 'soil_test_cell_id') ? model.getCell(getAttr(card, 'soil_test_cell_id')) : null; // ADDED
+                if (soilSource && window.TrellisGardenBeds && typeof window.TrellisGardenBeds.showSoilTestDialog === 'function') { // ADDED
+                    menu.addItem('Soil Tests...', null, function () { // ADDED
+                        window.TrellisGardenBeds.showSoilTestDialog(soilSource); // ADDED
+                    }); // ADDED
+                } // ADDED
+
+                const booking = getBookingSuggestions(card); // ADDED
+                if (booking) { // ADDED
+                    const bookingMenu = menu.addItem('Booking Conflict', null, null); // ADDED
+                    const resolveBooking = function (suggestion) { // ADDED
+                        runTrellisHistoryTransaction({ category: "Tasks", action: "resolveBooking", origin: "Garden_Task_Manager", title: "Resolve equipment booking conflict", affectedCellIds: [card.id] }, function () { // ADDED
+                            return taskCommands.applyBookingSuggestion(card, suggestion); // ADDED
+                        }); // ADDED
+                    }; // ADDED
+                    menu.addItem(booking.message, null, null, bookingMenu, null, false); // ADDED
+                    booking.alternativeDays.forEach(dateISO => { // ADDED
+                        menu.addItem('Move to ' + formatTaskWeekdayShort(parseTaskCalendarISO(dateISO).dayNumber) + ' ' + dateISO, null, function () { // ADDED
+                            resolveBooking({ dateISO }); // ADDED
+                        }, bookingMenu); // ADDED
+                    }); // ADDED
+                    booking.substitutes.forEach(item => { // ADDED
+                        menu.addItem('Use ' + item.name + ' instead', null, function () { // ADDED
+                            resolveBooking(item); // ADDED
+                        }, bookingMenu); // ADDED
+                    }); // ADDED
+                } // ADDED
+
                 const repeatContext = getRepeatSeriesContext(card); // NEW
                 if (repeatContext) { // NEW
                     menu.addItem( // NEW
@@ -6811,6 +7755,25 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
                 } // NEW
             } // NEW
 
+            const calendarScope = card ? null : resolveTaskCalendarScope(cell); // ADDED
+            if (calendarScope && calendarScope.kind !== 'module') { // ADDED
+                menu.addSeparator(); // ADDED
+                menu.addItem(calendarScope.kind === 'role' ? 'Export Assigned Tasks (.ics)...' : 'Export Board Calendar (.ics)...', null, function () { // ADDED
+                    exportTaskCalendar(calendarScope); // ADDED
+                }, null, null, calendarScope.cards.length > 0); // ADDED
+                menu.addItem('Import Calendar Dates (.ics)...', null, function () { // ADDED
+                    importTaskCalendar(calendarScope); // ADDED
+                }, null, null, calendarScope.cards.length > 0); // ADDED
+            } // ADDED
+
+            const workloadScope = card ? null : resolveWorkloadScope(cell); // ADDED
+            if (workloadScope) { // ADDED
+                if (!calendarScope || calendarScope.kind === 'module') menu.addSeparator(); // ADDED
+                menu.addItem('Workload & Capacity...', null, function () { // ADDED
+                    taskDialogs.showWorkloadDialog(workloadScope.board, workloadScope.focusRoleId); // ADDED
+                }); // ADDED
+            } // ADDED
+
             const gm = cell && model.isVertex(cell) && isGardenModule(cell) ? cell : null;           // CHANGE
             if (!gm) return;                                                                         // CHANGE
 
@@ -6818,6 +7781,14 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
             menu.addItem('Add Kanban Board', null, function () {
                 taskCommands.ensureBoardTemplateInUpdate(gm); // CHANGE
             });
+            if (calendarScope && calendarScope.cards.length) { // ADDED
+                menu.addItem('Export Module Tasks (.ics)...', null, function () { // ADDED
+                    exportTaskCalendar(calendarScope); // ADDED
+                }); // ADDED
+                menu.addItem('Import Calendar Dates (.ics)...', null, function () { // ADDED
+                    importTaskCalendar(calendarScope); // ADDED
+                }); // ADDED
+            } // ADDED
             } // CHANGE
         }); // CHANGE
     })();
@@ -6858,6 +7829,10 @@ function createGardenTaskManagerRuntime({ ui, taskPolicy, schedulePolicy }) { //
         try { taskCommands.scanAllBoards({ insideUpdate: false }); } catch (e) { } // NEW
     }); // NEW
 
+    document.addEventListener('trellisEquipmentChanged', function () { // ADDED: quantity and availability edits change booking conflicts
+        try { taskCommands.scanAllBoards({ insideUpdate: false }); } catch (e) { } // ADDED
+    }); // ADDED
+
     window.addEventListener("yearFilterChanged", function (ev) {                         // NEW
         try {                                                                           // NEW
             // simplest: rescan boards so paging respects year_hidden                   // NEW
@@ -1,6 +1,6 @@
 /**
- * Draw.io Plugin: Drag Circle → Auto Group → Resize to Tile (Square Grid, SQLite-backed)
- * With debug logs, re-entrancy guard, resize debounce, and max-tile cap.
+ * Draw.io Plugin: Drag Circle → Auto Group → Resize to Tile (Square, Hex or Row Patterns, SQLite-backed)
+ * With debug logs, re-entrancy guard, resize debounce, and a max-tile cap beyond which plants render virtually.
  */
 Draw.loadPlugin(function (ui) {
     const graph = ui.editor.graph;
@@ -12,7 +12,7 @@ Draw.loadPlugin(function (ui) {
     const MIN_ICON_DIAM_PX = 12;
     const MAX_ICON_DIAM_PX = 28;
     const GROUP_PADDING_PX = 4;
-    const MAX_TILES = 1000; // hard cap to avoid freezes
+    const MAX_TILES = 1000; // hard cap on plant mxCells; larger groups switch to virtual rendering // CHANGE
     const RESIZE_DEBOUNCE_MS = 120; // debounce tiling during resize // RESTORE
     const ROTATION_RETILE_DEBOUNCE_MS = 150; // CHANGE
     const DEBUG_PLANT_TILER = false; // CHANGE
@@ -40,11 +40,15 @@ Draw.loadPlugin(function (ui) {
     // ---------- LOD settings ----------
     const LOD_TILE_THRESHOLD = 300; // collapse if rows*cols > this
     const LOD_SUMMARY_MIN_SIZE = 24; // min px size of summary marker
+    const ATTR_PLANT_RENDER_MODE = "plant_render_mode"; // ADDED: "virtual" paints plants on a canvas overlay instead of mxCells
+    const VIRTUAL_DOT_MIN_RADIUS_PX = 1.5; // ADDED: smaller virtual plants are painted as single pixels
 
     // ----------- Yield ---------------
     const YIELD_UNIT = "kg"; // default display unit
     const ATTR_YIELD_EXPECTED = "planting_expected_yield_kg";
     const ATTR_YIELD_ACTUAL = "planting_actual_yield_kg"; // RESTORE
+    const ATTR_HARVEST_LOG = "harvest_log_json"; // ADDED: totals mirror into ATTR_YIELD_ACTUAL
+    const HARVEST_GRADES = ["A", "B", "C", "Cull"]; // ADDED
 
     const SHOW_YIELD_IN_GROUP_LABEL = false; // update group title with total yield
     const SHOW_YIELD_IN_SUMMARY = true; // append total yield in summary label
@@ -396,6 +400,29 @@ Draw.loadPlugin(function (ui) {
         } // ADDED
     } // ADDED
 
+    async function execWriteTransaction(statements) { // ADDED
+        if (!window.dbBridge || typeof window.dbBridge.open !== "function") throw new Error("dbBridge not available; check preload/main wiring"); // ADDED
+        const dbPath = await getDbPath(); // ADDED
+        const opened = await window.dbBridge.open(dbPath, { readOnly: false }); // ADDED
+        async function run(sql, params) { // ADDED
+            if (typeof window.dbBridge.exec === "function") return await window.dbBridge.exec(opened.dbId, sql, params || []); // ADDED
+            if (typeof window.dbBridge.run === "function") return await window.dbBridge.run(opened.dbId, sql, params || []); // ADDED
+            throw new Error("dbBridge.exec/run not available"); // ADDED
+        } // ADDED
+        try { // ADDED
+            await run("BEGIN;", []); // ADDED
+            try { // ADDED
+                for (const statement of statements) await run(statement.sql, statement.params); // ADDED
+                await run("COMMIT;", []); // ADDED
+            } catch (e) { // ADDED
+                try { await run("ROLLBACK;", []); } catch (_) { } // ADDED
+                throw e; // ADDED
+            } // ADDED
+        } finally { // ADDED
+            try { await window.dbBridge.close(opened.dbId); } catch (_) { } // ADDED
+        } // ADDED
+    } // ADDED
+
     function quoteSqlIdentifier(value) { // ADDED
         return `"${String(value).replace(/"/g, '""')}"`; // ADDED
     } // ADDED
@@ -781,6 +808,84 @@ Draw.loadPlugin(function (ui) {
     }
 
 
+    // -------------------- Planting patterns --------------------
+    // Slots keep their (tile_r, tile_c) keys in every pattern; only the slot centers, // ADDED
+    // the row pitch and the number of slots in odd rows change. // ADDED
+    const PLANTING_PATTERN_ATTR = "planting_pattern"; // ADDED
+    const PLANTING_PATTERNS = Object.freeze({ // ADDED
+        square: "Square grid", // ADDED
+        hex: "Hex / triangular", // ADDED
+        staggered: "Staggered rows", // ADDED
+        single_row: "Single row", // ADDED
+        double_row: "Double row (staggered)" // ADDED
+    }); // ADDED
+    const HEX_ROW_PITCH_RATIO = Math.sqrt(3) / 2; // ADDED
+    const OFFSET_ROW_PATTERNS = Object.freeze(["hex", "staggered", "double_row"]); // ADDED
+
+    function normalizePlantingPattern(value) { // ADDED
+        const key = String(value == null ? "" : value).trim().toLowerCase().replace(/[\s-]+/g, "_"); // ADDED
+        if (key === "triangular") return "hex"; // ADDED
+        return Object.prototype.hasOwnProperty.call(PLANTING_PATTERNS, key) ? key : "square"; // ADDED
+    } // ADDED
+
+    // usableW/usableH are the planting frame (group minus padding and label band). // ADDED
+    function computePatternLayout(usableW, usableH, spacingXpx, spacingYpx, pattern) { // ADDED
+        const key = normalizePlantingPattern(pattern); // ADDED
+        const rowPitch = key === "hex" ? spacingYpx * HEX_ROW_PITCH_RATIO : spacingYpx; // ADDED
+        if (!(usableW > 0) || !(usableH > 0)) return { pattern: key, rows: 0, cols: 0, oddCols: 0, count: 0, rowPitch, rowInset: 0 }; // ADDED
+        const cols = Math.max(1, Math.floor(usableW / spacingXpx)); // ADDED
+        let rows = key === "hex" // ADDED
+            ? Math.max(1, Math.floor((usableH - spacingYpx) / rowPitch) + 1) // ADDED
+            : Math.max(1, Math.floor(usableH / spacingYpx)); // ADDED
+        if (key === "single_row") rows = 1; // ADDED
+        if (key === "double_row") rows = Math.min(2, rows); // ADDED
+        const oddCols = OFFSET_ROW_PATTERNS.includes(key) // ADDED
+            ? Math.max(0, Math.floor((usableW - spacingXpx / 2) / spacingXpx)) // ADDED
+            : cols; // ADDED
+        const rowInset = key === "single_row" || key === "double_row" // ADDED
+            ? Math.max(0, (usableH - spacingYpx - (rows - 1) * rowPitch) / 2) // ADDED
+            : 0; // ADDED
+        const count = Math.ceil(rows / 2) * cols + Math.floor(rows / 2) * oddCols; // ADDED
+        return { pattern: key, rows, cols, oddCols, count, rowPitch, rowInset }; // ADDED
+    } // ADDED
+
+    function patternColsInRow(layout, r) { // ADDED
+        if (!layout || r < 0 || r >= layout.rows) return 0; // ADDED
+        return r % 2 === 1 ? layout.oddCols : layout.cols; // ADDED
+    } // ADDED
+
+    function patternHasSlot(layout, r, c) { // ADDED
+        if (layout && layout.clipped && layout.clipped.has(`${r},${c}`)) return false; // ADDED
+        return c >= 0 && c < patternColsInRow(layout, r); // ADDED
+    } // ADDED
+
+    // Slot center relative to the planting frame's top-left corner. // ADDED
+    function patternSlotOffset(layout, r, c, spacingXpx, spacingYpx) { // ADDED
+        const shift = OFFSET_ROW_PATTERNS.includes(layout.pattern) && r % 2 === 1 ? spacingXpx / 2 : 0; // ADDED
+        return { // ADDED
+            x: spacingXpx / 2 + c * spacingXpx + shift, // ADDED
+            y: layout.rowInset + spacingYpx / 2 + r * layout.rowPitch // ADDED
+        }; // ADDED
+    } // ADDED
+
+    function getPlantingPattern(groupCell) { // ADDED
+        return normalizePlantingPattern(getXmlAttr(groupCell, PLANTING_PATTERN_ATTR, "")); // ADDED
+    } // ADDED
+
+    function layoutSlotCenterLocal(layout, r, c, spacingXpx, spacingYpx, bandPx) { // ADDED
+        const offset = patternSlotOffset(layout, r, c, spacingXpx, spacingYpx); // ADDED
+        return { // ADDED
+            x: GROUP_PADDING_PX + offset.x, // ADDED
+            y: GROUP_PADDING_PX + (bandPx || GROUP_LABEL_BAND_PX) + offset.y // ADDED
+        }; // ADDED
+    } // ADDED
+
+    function patternSlotCenterLocal(groupCell, r, c, spacingXpx, spacingYpx, bandPx) { // ADDED
+        if (getPlantingPattern(groupCell) === "square") return logicalSlotCenterLocal(r, c, spacingXpx, spacingYpx, bandPx); // ADDED
+        return layoutSlotCenterLocal(computePlantingFrameLayout(groupCell, spacingXpx, spacingYpx), r, c, spacingXpx, spacingYpx, bandPx); // CHANGE
+    } // ADDED
+
+
     // -------------------- Rotation-aware tile placement -------------------- // NEW
     const ROTATION_EPS_DEG = 0.000001; // NEW
 
@@ -840,8 +945,8 @@ Draw.loadPlugin(function (ui) {
     } // ADDED
 
     function interplantSlotCenterLocal(groupCell, r, c, spacingXpx, spacingYpx, bandPx) { // ADDED
-        const center = logicalSlotCenterLocal(r, c, spacingXpx, spacingYpx, bandPx); // ADDED
-        if (!isInterplantLayoutGroup(groupCell)) return center; // ADDED
+        const center = patternSlotCenterLocal(groupCell, r, c, spacingXpx, spacingYpx, bandPx); // CHANGE
+        if (!isInterplantLayoutGroup(groupCell) || getPlantingPattern(groupCell) !== "square") return center; // CHANGE
         if ((r + c) % 2 !== 0) return center; // ADDED
         const geo = groupCell && groupCell.getGeometry ? groupCell.getGeometry() : null; // ADDED
         const maxX = Math.max(GROUP_PADDING_PX, Number(geo?.width || 0) - GROUP_PADDING_PX); // ADDED
@@ -979,7 +1084,8 @@ Draw.loadPlugin(function (ui) {
                 spacingYpx
             );
             const g = groupCell.getGeometry();
-            const size = Math.max(
+            const virtual = isVirtualPlantGroup(groupCell); // ADDED
+            const size = virtual ? LOD_SUMMARY_MIN_SIZE * 2 : Math.max( // CHANGE
                 LOD_SUMMARY_MIN_SIZE,
                 Math.min(g.width, g.height) * 0.35
             );
@@ -1004,7 +1110,8 @@ Draw.loadPlugin(function (ui) {
                 "movable=0",
                 "rotation=0", // NEW
                 "editable=0",
-            ].join(";");
+                virtual ? "fillOpacity=75" : "", // ADDED: keep virtual plants visible around the badge
+            ].filter(Boolean).join(";"); // CHANGE
 
 
             const disabledSet = readDisabledSet(groupCell);
@@ -1139,12 +1246,120 @@ Draw.loadPlugin(function (ui) {
     } // NEW
 
 
+    // -------------------- Virtualized plant rendering --------------------
+    // Virtual groups stay collapsed (summary badge only); plant positions come from the // ADDED
+    // group's spacing/pattern and are painted by installVirtualPlantLayer. Disabling still // ADDED
+    // uses the stored "r,c" slot keys, so counts stay exact without one mxCell per plant. // ADDED
+    function isVirtualPlantGroup(groupCell) { // ADDED
+        return getXmlAttr(groupCell, ATTR_PLANT_RENDER_MODE, "") === "virtual"; // ADDED
+    } // ADDED
+
+    function setPlantRenderMode(model, groupCell, mode) { // ADDED
+        const next = mode === "virtual" ? "virtual" : ""; // ADDED
+        if (getXmlAttr(groupCell, ATTR_PLANT_RENDER_MODE, "") === next) return false; // ADDED
+        model.beginUpdate(); // ADDED
+        try { // ADDED
+            setCellAttrsNoTxn(model, groupCell, { [ATTR_PLANT_RENDER_MODE]: next }); // ADDED
+        } finally { // ADDED
+            model.endUpdate(); // ADDED
+        } // ADDED
+        return true; // ADDED
+    } // ADDED
+
+    // Logical (unrotated, group-local) centers of every enabled plant in the layout. // ADDED
+    function virtualPlantCenters(layout, disabledSet, spacingXpx, spacingYpx, bandPx, snapMap) { // ADDED
+        const centers = []; // ADDED
+        if (!layout) return centers; // ADDED
+        for (let r = 0; r < layout.rows; r++) { // ADDED
+            const cols = patternColsInRow(layout, r); // ADDED
+            for (let c = 0; c < cols; c++) { // ADDED
+                if (!patternHasSlot(layout, r, c)) continue; // ADDED
+                const key = `${r},${c}`; // ADDED
+                if (disabledSet && disabledSet.has(key)) continue; // ADDED
+                const snap = snapMap ? snapMap.get(key) : null; // ADDED
+                const center = snap && Number.isFinite(Number(snap.x)) && Number.isFinite(Number(snap.y)) // ADDED
+                    ? { x: Number(snap.x) + (Number(snap.w) || 0) / 2, y: Number(snap.y) + (Number(snap.h) || 0) / 2 } // ADDED
+                    : layoutSlotCenterLocal(layout, r, c, spacingXpx, spacingYpx, bandPx); // ADDED
+                centers.push({ r, c, key, x: center.x, y: center.y }); // ADDED
+            } // ADDED
+        } // ADDED
+        return centers; // ADDED
+    } // ADDED
+
+    // Nearest slot (enabled or disabled) to a logical group-local point, within half a pitch. // ADDED
+    function virtualSlotAtLocalPoint(layout, point, spacingXpx, spacingYpx, bandPx) { // ADDED
+        if (!layout || !point || !layout.rows) return null; // ADDED
+        const first = layoutSlotCenterLocal(layout, 0, 0, spacingXpx, spacingYpx, bandPx); // ADDED
+        const rGuess = Math.round((point.y - first.y) / layout.rowPitch); // ADDED
+        let best = null; // ADDED
+        let bestDist = Infinity; // ADDED
+        for (let r = rGuess - 1; r <= rGuess + 1; r++) { // ADDED
+            if (r < 0 || r >= layout.rows) continue; // ADDED
+            const rowStart = layoutSlotCenterLocal(layout, r, 0, spacingXpx, spacingYpx, bandPx); // ADDED
+            const cGuess = Math.round((point.x - rowStart.x) / spacingXpx); // ADDED
+            for (let c = cGuess - 1; c <= cGuess + 1; c++) { // ADDED
+                if (!patternHasSlot(layout, r, c)) continue; // ADDED
+                const center = layoutSlotCenterLocal(layout, r, c, spacingXpx, spacingYpx, bandPx); // ADDED
+                const dist = Math.hypot(center.x - point.x, center.y - point.y); // ADDED
+                if (dist < bestDist) { // ADDED
+                    bestDist = dist; // ADDED
+                    best = { r, c, key: `${r},${c}` }; // ADDED
+                } // ADDED
+            } // ADDED
+        } // ADDED
+        return best && bestDist <= Math.max(spacingXpx, layout.rowPitch) / 2 ? best : null; // ADDED
+    } // ADDED
+
+    function virtualPlantSpacing(groupCell) { // ADDED
+        const spacingXpx = toPx(Number(groupCell.getAttribute("spacing_x_cm") || groupCell.getAttribute("spacing_cm") || "30")); // ADDED
+        const spacingYpx = toPx(Number(groupCell.getAttribute("spacing_y_cm") || groupCell.getAttribute("spacing_cm") || "30")); // ADDED
+        const vegDiamCm = Number(groupCell.getAttribute("veg_diameter_cm") || 0); // ADDED
+        const iconDiamPx = Math.max(vegDiamCm > 0 ? toPx(vegDiamCm) : clamp(DEFAULT_ICON_DIAM_RATIO * Math.min(spacingXpx, spacingYpx), MIN_ICON_DIAM_PX, MAX_ICON_DIAM_PX), 6); // ADDED
+        return { spacingXpx, spacingYpx, iconDiamPx }; // ADDED
+    } // ADDED
+
+    // Graph point (e.g. from graph.getPointForEvent) -> virtual slot under it. // ADDED
+    function virtualSlotAtGraphPoint(graphArg, groupCell, point) { // ADDED
+        const state = graphArg.view.getState(groupCell); // ADDED
+        if (!state || !point) return null; // ADDED
+        const scale = graphArg.view.scale || 1; // ADDED
+        const tr = graphArg.view.translate || { x: 0, y: 0 }; // ADDED
+        const visual = { x: point.x - (state.x / scale - tr.x), y: point.y - (state.y / scale - tr.y) }; // ADDED
+        const logical = rotatePointAround(visual, groupCenterLocal(groupCell), -getTilerRotationDeg(groupCell)); // ADDED
+        const { spacingXpx, spacingYpx } = virtualPlantSpacing(groupCell); // ADDED
+        const { bandPx } = groupLabelMetrics(groupCell); // ADDED
+        return virtualSlotAtLocalPoint(computeGridStatsXY(groupCell, spacingXpx, spacingYpx), logical, spacingXpx, spacingYpx, bandPx); // ADDED
+    } // ADDED
+
+    function setVirtualPlantDisabled(graphArg, groupCell, key, disabled) { // ADDED
+        if (!groupCell || !isVirtualPlantGroup(groupCell) || !key) return false; // ADDED
+        const set = readDisabledSet(groupCell); // ADDED
+        if (set.has(key) === !!disabled) return false; // ADDED
+        if (disabled) set.add(key); // ADDED
+        else set.delete(key); // ADDED
+        const model = graphArg.getModel(); // ADDED
+        const { spacingXpx, spacingYpx } = virtualPlantSpacing(groupCell); // ADDED
+        model.beginUpdate(); // ADDED
+        try { // ADDED
+            writeDisabledSet(model, groupCell, set); // ADDED
+            collapseToSummary(graphArg, groupCell, groupCell.getAttribute("plant_abbr") || "?", spacingXpx, spacingYpx); // ADDED
+        } finally { // ADDED
+            model.endUpdate(); // ADDED
+        } // ADDED
+        graphArg.refresh(groupCell); // ADDED
+        return true; // ADDED
+    } // ADDED
+
     function shouldExpandLOD(graph, groupCell, spacingXpx, spacingYpx) {
         const { count } = computeGridStatsXY(groupCell, spacingXpx, spacingYpx);
         return count <= LOD_TILE_THRESHOLD;
     }
 
     function expandTiles(graph, groupCell, abbr, spacingXpx, spacingYpx, iconDiamPx, opts = {}) { // CHANGE
+        if (isVirtualPlantGroup(groupCell)) { // ADDED
+            collapseToSummary(graph, groupCell, abbr, spacingXpx, spacingYpx, opts); // ADDED
+            return; // ADDED
+        } // ADDED
 
         const { bandPx } = groupLabelMetrics(groupCell);
         const fontPx = tileFontPx(iconDiamPx);
@@ -1156,14 +1371,16 @@ Draw.loadPlugin(function (ui) {
         try {
             clearChildren(graph, groupCell);
 
-            const { rows, cols, count } = computeGridStatsXY(groupCell, spacingXpx, spacingYpx);
+            const layout = computeGridStatsXY(groupCell, spacingXpx, spacingYpx); // CHANGE
+            const { rows, cols, count } = layout; // CHANGE
 
-            pruneDisabledToGrid(model, groupCell, rows, cols);
+            pruneDisabledToGrid(model, groupCell, layout); // CHANGE
             const disabledSet2 = readDisabledSet(groupCell);
             const { actual } = applyCounts(model, groupCell, count, disabledSet2);
             updateGroupYield(model, groupCell, { abbr, countOverride: actual });
 
             if (count > MAX_TILES) {
+                setCellAttrsNoTxn(model, groupCell, { [ATTR_PLANT_RENDER_MODE]: "virtual" }); // ADDED
                 collapseToSummary(graph, groupCell, abbr, spacingXpx, spacingYpx, { layoutSnapshot: snapObj, useLiveSnapshot: false }); // CHANGE
                 return;
             }
@@ -1171,6 +1388,7 @@ Draw.loadPlugin(function (ui) {
             const cells = [];
             for (let r = 0; r < rows; r++) {
                 for (let c = 0; c < cols; c++) {
+                    if (!patternHasSlot(layout, r, c)) continue; // ADDED
                     if (disabledSet2.has(`${r},${c}`)) continue;
 
                     const snap = snapMap.get(`${r},${c}`);
@@ -1271,7 +1489,8 @@ Draw.loadPlugin(function (ui) {
         const { bandPx } = groupLabelMetrics(groupCell); // NEW
         const fontPx = tileFontPx(iconDiamPx); // NEW
         const nextStyle = plantCircleStyle(fontPx || tileFontPx(iconDiamPx)); // NEW
-        const { rows, cols, count } = computeGridStatsXY(groupCell, spacingXpx, spacingYpx); // NEW
+        const layout = computeGridStatsXY(groupCell, spacingXpx, spacingYpx); // CHANGE
+        const { rows, cols, count } = layout; // CHANGE
         if (count > MAX_TILES) return { changed: false, fallback: true, reason: "max-tiles" }; // NEW
 
         const kids = graph.getChildVertices(groupCell) || []; // NEW
@@ -1315,7 +1534,7 @@ Draw.loadPlugin(function (ui) {
         const ownsUpdate = !opts.inTransaction; // NEW
         if (ownsUpdate) model.beginUpdate(); // NEW
         try {
-            pruneDisabledToGrid(model, groupCell, rows, cols); // NEW
+            pruneDisabledToGrid(model, groupCell, layout); // CHANGE
             const disabledSet2 = readDisabledSet(groupCell); // NEW
             const { actual } = applyCounts(model, groupCell, count, disabledSet2); // NEW
             updateGroupYield(model, groupCell, { abbr, countOverride: actual }); // NEW
@@ -1324,7 +1543,7 @@ Draw.loadPlugin(function (ui) {
                 const parts = key.split(","); // NEW
                 const r = Number(parts[0]); // NEW
                 const c = Number(parts[1]); // NEW
-                if (r >= rows || c >= cols || disabledSet2.has(key)) { // NEW
+                if (!patternHasSlot(layout, r, c) || disabledSet2.has(key)) { // CHANGE
                     if (isAutoTile(tile) && !isDirty(tile)) toRemove.push(tile); // NEW
                     else if (isChildOutOfGroupBounds(groupCell, tile)) toRemove.push(tile); // NEW
                     continue; // NEW
@@ -1366,7 +1585,7 @@ Draw.loadPlugin(function (ui) {
             for (let r = 0; r < rows; r++) { // NEW
                 for (let c = 0; c < cols; c++) { // NEW
                     const key = `${r},${c}`; // NEW
-                    if (disabledSet2.has(key) || slotMap.has(key)) continue; // NEW
+                    if (!patternHasSlot(layout, r, c) || disabledSet2.has(key) || slotMap.has(key)) continue; // CHANGE
                     const v = addTileAtSlot(graph, groupCell, abbr, r, c, spacingXpx, spacingYpx, iconDiamPx, disabledSet2, bandPx, fontPx); // NEW
                     if (v) changed = true; // NEW
                 } // NEW
@@ -1582,6 +1801,380 @@ Draw.loadPlugin(function (ui) {
         } // NEW
     } // NEW
 
+    // -------------------- Weather station import --------------------
+    // Daily rows from a farm station or archive export; the scheduler prefers this provider's months over seeded weather. // ADDED
+    const WEATHER_IMPORT_PROVIDER = "local_station"; // ADDED
+    const WEATHER_IMPORT_DATASET = "station_import"; // ADDED
+    const WEATHER_IMPORT_GDD_BASE_C = 5; // ADDED
+    // Months below this share of imported days stay out of CityWeatherMonthly; fuller months scale totals to the whole month. // ADDED
+    const WEATHER_IMPORT_MONTH_MIN_COVERAGE = 0.8; // ADDED
+    const WEATHER_IMPORT_CHUNK_ROWS = 50; // ADDED
+    const WEATHER_IMPORT_FIELDS = Object.freeze([ // ADDED
+        Object.freeze({ key: "date", label: "Date", aliases: ["date", "day", "time", "date_time", "datetime", "weather_date", "obs_date", "observation_date"] }), // ADDED
+        Object.freeze({ key: "tempMin", label: "Min temperature", aliases: ["temp_min", "tmin", "min_temp", "min_temperature", "temperature_min", "temperature_2m_min", "low", "low_temp", "min"] }), // ADDED
+        Object.freeze({ key: "tempMax", label: "Max temperature", aliases: ["temp_max", "tmax", "max_temp", "max_temperature", "temperature_max", "temperature_2m_max", "high", "high_temp", "max"] }), // ADDED
+        Object.freeze({ key: "tempMean", label: "Mean temperature", aliases: ["temp_mean", "tmean", "tavg", "mean_temp", "avg_temp", "mean_temperature", "average_temperature", "temperature_mean", "temperature_2m_mean", "mean", "avg"] }), // ADDED
+        Object.freeze({ key: "precipitation", label: "Precipitation", aliases: ["precipitation", "precip", "prcp", "total_precip", "precip_total", "precipitation_sum", "rain", "rainfall", "ppt"] }) // ADDED
+    ]); // ADDED
+
+    function roundWeatherValue(value) { // ADDED
+        return value == null ? null : Math.round(value * 100) / 100; // ADDED
+    } // ADDED
+
+    function normalizeWeatherHeader(name) { // ADDED
+        return String(name == null ? "" : name) // ADDED
+            .toLowerCase() // ADDED
+            .replace(/\(.*?\)|\[.*?\]/g, " ") // ADDED
+            .replace(/[^a-z0-9]+/g, "_") // ADDED
+            .replace(/^_+|_+$/g, "") // ADDED
+            .replace(/_(c|f|mm|in|inch|inches)$/, ""); // ADDED
+    } // ADDED
+
+    function weatherTemperatureUnitHint(text) { // ADDED
+        const s = String(text || "").toLowerCase(); // ADDED
+        if (/fahrenheit|°\s*f\b|\(f\)|\[f\]|_f$|\bdeg\s*f\b/.test(s)) return "F"; // ADDED
+        if (/celsius|°\s*c\b|\(c\)|\[c\]|_c$|\bdeg\s*c\b/.test(s)) return "C"; // ADDED
+        return null; // ADDED
+    } // ADDED
+
+    function weatherPrecipitationUnitHint(text) { // ADDED
+        const s = String(text || "").toLowerCase(); // ADDED
+        if (/\binch(es)?\b|\(in\)|\[in\]|_in$|\bin\.?$/.test(s)) return "in"; // ADDED
+        if (/\bmm\b|millimet/.test(s)) return "mm"; // ADDED
+        return null; // ADDED
+    } // ADDED
+
+    function splitWeatherCsvLine(line, delimiter) { // ADDED
+        const cells = []; // ADDED
+        let cell = ""; // ADDED
+        let quoted = false; // ADDED
+        for (let i = 0; i < line.length; i += 1) { // ADDED
+            const ch = line[i]; // ADDED
+            if (quoted) { // ADDED
+                if (ch === "\"" && line[i + 1] === "\"") { cell += "\""; i += 1; } // ADDED
+                else if (ch === "\"") quoted = false; // ADDED
+                else cell += ch; // ADDED
+            } else if (ch === "\"") quoted = true; // ADDED
+            else if (ch === delimiter) { cells.push(cell.trim()); cell = ""; } // ADDED
+            else cell += ch; // ADDED
+        } // ADDED
+        cells.push(cell.trim()); // ADDED
+        return cells; // ADDED
+    } // ADDED
+
+    function parseWeatherImportJson(data) { // ADDED
+        const daily = data && !Array.isArray(data) && data.daily && typeof data.daily === "object" ? data.daily : null; // ADDED
+        if (daily) { // ADDED
+            // Open-Meteo style exports keep one array per variable plus a units map. // ADDED
+            const columns = Object.keys(daily).filter(key => Array.isArray(daily[key])); // ADDED
+            const length = columns.reduce((max, key) => Math.max(max, daily[key].length), 0); // ADDED
+            const rows = []; // ADDED
+            for (let i = 0; i < length; i += 1) { // ADDED
+                const row = {}; // ADDED
+                columns.forEach(key => { row[key] = daily[key][i]; }); // ADDED
+                rows.push(row); // ADDED
+            } // ADDED
+            return { columns, rows, unitHints: Object.assign({}, data.daily_units || {}) }; // ADDED
+        } // ADDED
+        const list = Array.isArray(data) ? data : (data && (data.data || data.rows || data.records || data.observations)); // ADDED
+        if (!Array.isArray(list)) throw new Error("JSON weather data must be an array of daily records or an object with a daily series."); // ADDED
+        const rows = list.filter(item => item && typeof item === "object"); // ADDED
+        const columns = []; // ADDED
+        rows.forEach(item => Object.keys(item).forEach(key => { if (columns.indexOf(key) < 0) columns.push(key); })); // ADDED
+        return { columns, rows, unitHints: Object.assign({}, (data && data.units) || {}) }; // ADDED
+    } // ADDED
+
+    function parseWeatherImportText(text) { // ADDED
+        const source = String(text == null ? "" : text).trim(); // ADDED
+        if (!source) throw new Error("The weather file is empty."); // ADDED
+        if (source[0] === "{" || source[0] === "[") { // ADDED
+            let data = null; // ADDED
+            try { data = JSON.parse(source); } catch (e) { throw new Error(`The JSON is not valid: ${e.message}`); } // ADDED
+            return parseWeatherImportJson(data); // ADDED
+        } // ADDED
+        const lines = source.split(/\r?\n/).filter(line => line.trim() && !/^\s*#/.test(line)); // ADDED
+        const header = lines[0] || ""; // ADDED
+        const delimiter = [";", "\t"].reduce((best, candidate) => header.split(candidate).length > header.split(best).length ? candidate : best, ","); // ADDED
+        const columns = splitWeatherCsvLine(header, delimiter); // ADDED
+        const rows = lines.slice(1).map(line => { // ADDED
+            const cells = splitWeatherCsvLine(line, delimiter); // ADDED
+            const row = {}; // ADDED
+            columns.forEach((column, index) => { row[column] = cells[index] == null ? "" : cells[index]; }); // ADDED
+            return row; // ADDED
+        }); // ADDED
+        return { columns, rows, unitHints: {} }; // ADDED
+    } // ADDED
+
+    function guessWeatherImportMapping(columns) { // ADDED
+        const list = columns || []; // ADDED
+        const normalized = list.map(normalizeWeatherHeader); // ADDED
+        const used = new Set(); // ADDED
+        const mapping = {}; // ADDED
+        WEATHER_IMPORT_FIELDS.forEach(field => { // ADDED
+            mapping[field.key] = ""; // ADDED
+            for (const alias of field.aliases) { // ADDED
+                const index = normalized.findIndex((name, i) => name === alias && !used.has(i)); // ADDED
+                if (index < 0) continue; // ADDED
+                mapping[field.key] = list[index]; // ADDED
+                used.add(index); // ADDED
+                return; // ADDED
+            } // ADDED
+        }); // ADDED
+        return mapping; // ADDED
+    } // ADDED
+
+    function parseWeatherImportDate(value) { // ADDED
+        const raw = String(value == null ? "" : value).trim(); // ADDED
+        const match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s])/.exec(raw) || /^(\d{4})(\d{2})(\d{2})$/.exec(raw); // ADDED
+        if (!match) return null; // ADDED
+        const year = Number(match[1]); // ADDED
+        const month = Number(match[2]); // ADDED
+        const day = Number(match[3]); // ADDED
+        const date = new Date(Date.UTC(year, month - 1, day)); // ADDED
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null; // ADDED
+        return date.toISOString().slice(0, 10); // ADDED
+    } // ADDED
+
+    function parseWeatherImportNumber(value) { // ADDED
+        if (typeof value === "number") return Number.isFinite(value) ? value : null; // ADDED
+        const raw = String(value == null ? "" : value).trim(); // ADDED
+        if (!raw) return null; // ADDED
+        // Archives mark trace precipitation with T; other non-numeric markers (M, NA, --) mean missing. // ADDED
+        if (/^t(race)?$/i.test(raw)) return 0; // ADDED
+        const n = Number(/^-?\d+,\d+$/.test(raw) ? raw.replace(",", ".") : raw); // ADDED
+        return Number.isFinite(n) ? n : null; // ADDED
+    } // ADDED
+
+    function weatherImportDayNumber(dateISO) { // ADDED
+        return Math.round(Date.parse(`${dateISO}T00:00:00Z`) / 86400000); // ADDED
+    } // ADDED
+
+    function findWeatherImportGaps(dates) { // ADDED
+        const gaps = []; // ADDED
+        for (let i = 1; i < dates.length; i += 1) { // ADDED
+            const prev = weatherImportDayNumber(dates[i - 1]); // ADDED
+            const next = weatherImportDayNumber(dates[i]); // ADDED
+            if (next - prev <= 1) continue; // ADDED
+            gaps.push({ // ADDED
+                from: new Date((prev + 1) * 86400000).toISOString().slice(0, 10), // ADDED
+                to: new Date((next - 1) * 86400000).toISOString().slice(0, 10), // ADDED
+                days: next - prev - 1 // ADDED
+            }); // ADDED
+        } // ADDED
+        return gaps; // ADDED
+    } // ADDED
+
+    function summarizeWeatherImportMonths(rows) { // ADDED
+        const groups = new Map(); // ADDED
+        rows.forEach(row => { // ADDED
+            const month = row.weather_date.slice(0, 7); // ADDED
+            if (!groups.has(month)) groups.set(month, []); // ADDED
+            groups.get(month).push(row); // ADDED
+        }); // ADDED
+        const months = []; // ADDED
+        const skippedMonths = []; // ADDED
+        groups.forEach((list, month) => { // ADDED
+            const daysInMonth = new Date(Date.UTC(Number(month.slice(0, 4)), Number(month.slice(5, 7)), 0)).getUTCDate(); // ADDED
+            if (list.length / daysInMonth < WEATHER_IMPORT_MONTH_MIN_COVERAGE) { // ADDED
+                skippedMonths.push(month); // ADDED
+                return; // ADDED
+            } // ADDED
+            const valuesOf = key => list.map(row => row[key]).filter(value => value != null); // ADDED
+            const sum = values => values.reduce((total, value) => total + value, 0); // ADDED
+            const average = key => { const values = valuesOf(key); return values.length ? sum(values) / values.length : null; }; // ADDED
+            const monthTotal = key => { const values = valuesOf(key); return values.length ? sum(values) * daysInMonth / values.length : null; }; // ADDED
+            months.push({ // ADDED
+                weather_month: month, // ADDED
+                days: list.length, // ADDED
+                temp_min_c: roundWeatherValue(average("temp_min_c")), // ADDED
+                temp_max_c: roundWeatherValue(average("temp_max_c")), // ADDED
+                temp_mean_c: roundWeatherValue(average("temp_mean_c")), // ADDED
+                precipitation_mm: roundWeatherValue(monthTotal("precipitation_mm")), // ADDED
+                gdd_base_5c: roundWeatherValue(monthTotal("gdd_base_5c")) // ADDED
+            }); // ADDED
+        }); // ADDED
+        return { months, skippedMonths }; // ADDED
+    } // ADDED
+
+    /**
+     * Maps an export to CityWeatherDaily rows in °C and mm. Mapping problems are blocking errors; bad rows are
+     * rejected one by one so the rest of the file can still be imported. Gaps and partial months are reported.
+     */
+    function buildWeatherImportPlan(table, options = {}) { // ADDED
+        const sourceRows = (table && table.rows) || []; // ADDED
+        const unitHints = (table && table.unitHints) || {}; // ADDED
+        const mapping = Object.assign(guessWeatherImportMapping(table && table.columns), options.mapping || {}); // ADDED
+        const errors = []; // ADDED
+        const warnings = []; // ADDED
+        const rejected = []; // ADDED
+        const tempColumns = [mapping.tempMin, mapping.tempMax, mapping.tempMean].filter(Boolean); // ADDED
+        if (!mapping.date) errors.push("Choose the date column."); // ADDED
+        if (!mapping.tempMean && !(mapping.tempMin && mapping.tempMax)) errors.push("Choose the min and max temperature columns, or a mean temperature column."); // ADDED
+
+        let tempUnit = options.tempUnit === "C" || options.tempUnit === "F" ? options.tempUnit : null; // ADDED
+        if (!tempUnit) tempUnit = tempColumns.map(column => weatherTemperatureUnitHint(unitHints[column]) || weatherTemperatureUnitHint(column)).find(Boolean) || null; // ADDED
+        if (!tempUnit && tempColumns.length) { // ADDED
+            const highest = sourceRows.reduce((max, row) => Math.max(max, ...tempColumns.map(column => parseWeatherImportNumber(row[column]) ?? -Infinity)), -Infinity); // ADDED
+            // Farm air temperatures stay below 50 °C, so hotter readings mean the export is in Fahrenheit. // ADDED
+            tempUnit = highest > 50 ? "F" : "C"; // ADDED
+            warnings.push(`Temperature unit is not labelled; the values look like °${tempUnit}. Set the unit if that is wrong.`); // ADDED
+        } // ADDED
+        tempUnit = tempUnit || "C"; // ADDED
+
+        let precipUnit = options.precipUnit === "mm" || options.precipUnit === "in" ? options.precipUnit : null; // ADDED
+        if (!precipUnit && mapping.precipitation) { // ADDED
+            precipUnit = weatherPrecipitationUnitHint(unitHints[mapping.precipitation]) || weatherPrecipitationUnitHint(mapping.precipitation); // ADDED
+            if (!precipUnit) { // ADDED
+                precipUnit = tempUnit === "F" ? "in" : "mm"; // ADDED
+                warnings.push(`Precipitation unit is not labelled; assuming ${precipUnit} to match the temperatures.`); // ADDED
+            } // ADDED
+        } // ADDED
+        precipUnit = precipUnit || "mm"; // ADDED
+
+        const toC = value => value == null ? null : (tempUnit === "F" ? (value - 32) * 5 / 9 : value); // ADDED
+        const read = (row, column) => column ? parseWeatherImportNumber(row[column]) : null; // ADDED
+        const byDate = new Map(); // ADDED
+        let duplicates = 0; // ADDED
+        let missingTemperature = 0; // ADDED
+        if (!errors.length) { // ADDED
+            sourceRows.forEach((row, index) => { // ADDED
+                const dateISO = parseWeatherImportDate(row[mapping.date]); // ADDED
+                if (!dateISO) { // ADDED
+                    rejected.push(`Row ${index + 1}: unrecognised date "${String(row[mapping.date] ?? "")}"; use YYYY-MM-DD.`); // ADDED
+                    return; // ADDED
+                } // ADDED
+                const label = `Row ${index + 1} (${dateISO})`; // ADDED
+                const min = toC(read(row, mapping.tempMin)); // ADDED
+                const max = toC(read(row, mapping.tempMax)); // ADDED
+                let mean = toC(read(row, mapping.tempMean)); // ADDED
+                const rawPrecip = read(row, mapping.precipitation); // ADDED
+                const precip = rawPrecip == null ? null : (precipUnit === "in" ? rawPrecip * 25.4 : rawPrecip); // ADDED
+                if (min != null && max != null && min > max) { // ADDED
+                    rejected.push(`${label}: minimum temperature is above the maximum.`); // ADDED
+                    return; // ADDED
+                } // ADDED
+                if ([min, max, mean].some(value => value != null && (value < -90 || value > 60))) { // ADDED
+                    rejected.push(`${label}: temperature outside -90 to 60 °C; check the temperature unit.`); // ADDED
+                    return; // ADDED
+                } // ADDED
+                if (precip != null && (precip < 0 || precip > 1000)) { // ADDED
+                    rejected.push(`${label}: precipitation outside 0 to 1000 mm; check the precipitation unit.`); // ADDED
+                    return; // ADDED
+                } // ADDED
+                if (mean == null && min != null && max != null) mean = (min + max) / 2; // ADDED
+                if (mean == null) { // ADDED
+                    missingTemperature += 1; // ADDED
+                    return; // ADDED
+                } // ADDED
+                if (byDate.has(dateISO)) duplicates += 1; // ADDED
+                byDate.set(dateISO, { // ADDED
+                    weather_date: dateISO, // ADDED
+                    temp_min_c: roundWeatherValue(min), // ADDED
+                    temp_max_c: roundWeatherValue(max), // ADDED
+                    temp_mean_c: roundWeatherValue(mean), // ADDED
+                    precipitation_mm: roundWeatherValue(precip), // ADDED
+                    gdd_base_5c: roundWeatherValue(Math.max(0, mean - WEATHER_IMPORT_GDD_BASE_C)) // ADDED
+                }); // ADDED
+            }); // ADDED
+        } // ADDED
+        if (duplicates) warnings.push(`${duplicates} duplicate date${duplicates === 1 ? "" : "s"}; the last row for each date is kept.`); // ADDED
+        if (missingTemperature) warnings.push(`${missingTemperature} row${missingTemperature === 1 ? " has" : "s have"} no temperature and ${missingTemperature === 1 ? "was" : "were"} skipped.`); // ADDED
+
+        const rows = Array.from(byDate.values()).sort((a, b) => a.weather_date < b.weather_date ? -1 : 1); // ADDED
+        const gaps = findWeatherImportGaps(rows.map(row => row.weather_date)); // ADDED
+        const missingDays = gaps.reduce((total, gap) => total + gap.days, 0); // ADDED
+        if (gaps.length) { // ADDED
+            const largest = gaps.reduce((best, gap) => gap.days > best.days ? gap : best, gaps[0]); // ADDED
+            warnings.push(`${missingDays} missing day${missingDays === 1 ? "" : "s"} in ${gaps.length} gap${gaps.length === 1 ? "" : "s"}; the largest runs ${largest.from} to ${largest.to}.`); // ADDED
+        } // ADDED
+        const { months, skippedMonths } = summarizeWeatherImportMonths(rows); // ADDED
+        if (skippedMonths.length) warnings.push(`${skippedMonths.join(", ")} ${skippedMonths.length === 1 ? "has" : "have"} under ${Math.round(WEATHER_IMPORT_MONTH_MIN_COVERAGE * 100)}% of days and will not be used for monthly normals.`); // ADDED
+
+        return { // ADDED
+            mapping, // ADDED
+            units: { temperature: tempUnit, precipitation: precipUnit }, // ADDED
+            rows, // ADDED
+            months, // ADDED
+            gaps, // ADDED
+            missingDays, // ADDED
+            skippedMonths, // ADDED
+            firstDate: rows.length ? rows[0].weather_date : null, // ADDED
+            lastDate: rows.length ? rows[rows.length - 1].weather_date : null, // ADDED
+            errors, // ADDED
+            warnings, // ADDED
+            rejected // ADDED
+        }; // ADDED
+    } // ADDED
+
+    function describeWeatherImportPlan(plan) { // ADDED
+        if (plan.errors.length) return plan.errors.slice(); // ADDED
+        const lines = [ // ADDED
+            plan.rows.length // ADDED
+                ? `${plan.rows.length} day${plan.rows.length === 1 ? "" : "s"} from ${plan.firstDate} to ${plan.lastDate}; ${plan.months.length} month${plan.months.length === 1 ? "" : "s"} for normals.` // ADDED
+                : "No valid daily rows found.", // ADDED
+            `Reading temperatures as °${plan.units.temperature} and precipitation as ${plan.units.precipitation}.` // ADDED
+        ].concat(plan.warnings); // ADDED
+        if (plan.rejected.length) { // ADDED
+            lines.push(`${plan.rejected.length} row${plan.rejected.length === 1 ? "" : "s"} rejected:`); // ADDED
+            plan.rejected.slice(0, 5).forEach(message => lines.push(`  ${message}`)); // ADDED
+            if (plan.rejected.length > 5) lines.push(`  ...and ${plan.rejected.length - 5} more.`); // ADDED
+        } // ADDED
+        return lines; // ADDED
+    } // ADDED
+
+    function weatherImportUpsertStatements(table, dateColumn, records, base) { // ADDED
+        const valueColumns = ["timezone", "temp_min_c", "temp_max_c", "temp_mean_c", "precipitation_mm", "gdd_base_5c", "fetched_at", "source_url"]; // ADDED
+        const columns = ["city_id", dateColumn, "provider", "dataset"].concat(valueColumns); // ADDED
+        const placeholders = `(${columns.map(() => "?").join(", ")})`; // ADDED
+        const updates = valueColumns.map(column => `${column} = excluded.${column}`).join(", "); // ADDED
+        const statements = []; // ADDED
+        for (let i = 0; i < records.length; i += WEATHER_IMPORT_CHUNK_ROWS) { // ADDED
+            const chunk = records.slice(i, i + WEATHER_IMPORT_CHUNK_ROWS); // ADDED
+            statements.push({ // ADDED
+                sql: `INSERT INTO ${table} (${columns.join(", ")}) VALUES ${chunk.map(() => placeholders).join(", ")} ON CONFLICT(city_id, ${dateColumn}, provider, dataset) DO UPDATE SET ${updates};`, // ADDED
+                params: chunk.reduce((params, record) => params.concat(columns.map(column => Object.prototype.hasOwnProperty.call(base, column) ? base[column] : (record[column] ?? null))), []) // ADDED
+            }); // ADDED
+        } // ADDED
+        return statements; // ADDED
+    } // ADDED
+
+    function buildWeatherImportStatements(cityId, plan, meta = {}) { // ADDED
+        const base = { // ADDED
+            city_id: cityId, // ADDED
+            provider: WEATHER_IMPORT_PROVIDER, // ADDED
+            dataset: WEATHER_IMPORT_DATASET, // ADDED
+            timezone: meta.timezone || null, // ADDED
+            fetched_at: meta.fetchedAt || new Date().toISOString(), // ADDED
+            source_url: meta.sourceName ? `import:${meta.sourceName}` : null // ADDED
+        }; // ADDED
+        return weatherImportUpsertStatements("CityWeatherDaily", "weather_date", plan.rows, base) // ADDED
+            .concat(weatherImportUpsertStatements("CityWeatherMonthly", "weather_month", plan.months, base)); // ADDED
+    } // ADDED
+
+    let weatherImportSchemaEnsured = false; // ADDED
+
+    async function ensureWeatherImportSchema() { // ADDED
+        if (weatherImportSchemaEnsured) return; // ADDED
+        // Same tables the seed tool creates, for databases that were never seeded with weather. // ADDED
+        await execSchemaStatements([ // ADDED
+            "CREATE TABLE IF NOT EXISTS CityWeatherDaily (city_id INTEGER NOT NULL REFERENCES Cities(city_id) ON DELETE CASCADE, weather_date TEXT NOT NULL, provider TEXT NOT NULL, dataset TEXT NOT NULL, timezone TEXT, temp_min_c REAL, temp_max_c REAL, temp_mean_c REAL, precipitation_mm REAL, rain_mm REAL, snowfall_cm REAL, gdd_base_5c REAL, fetched_at TEXT NOT NULL, source_url TEXT, PRIMARY KEY (city_id, weather_date, provider, dataset));", // ADDED
+            "CREATE INDEX IF NOT EXISTS idx_CityWeatherDaily_city_date ON CityWeatherDaily(city_id, weather_date);", // ADDED
+            "CREATE TABLE IF NOT EXISTS CityWeatherMonthly (city_id INTEGER NOT NULL REFERENCES Cities(city_id) ON DELETE CASCADE, weather_month TEXT NOT NULL, provider TEXT NOT NULL, dataset TEXT NOT NULL, timezone TEXT, temp_min_c REAL, temp_max_c REAL, temp_mean_c REAL, precipitation_mm REAL, gdd_base_5c REAL, fetched_at TEXT NOT NULL, source_url TEXT, PRIMARY KEY (city_id, weather_month, provider, dataset));", // ADDED
+            "CREATE INDEX IF NOT EXISTS idx_CityWeatherMonthly_city_month ON CityWeatherMonthly(city_id, weather_month);" // ADDED
+        ]); // ADDED
+        weatherImportSchemaEnsured = true; // ADDED
+    } // ADDED
+
+    async function saveWeatherStationImport(city, plan, sourceName) { // ADDED
+        const cityId = Number(city && city.city_id); // ADDED
+        if (!Number.isInteger(cityId) || cityId <= 0) throw new Error("Save the city before importing weather data."); // ADDED
+        if (plan.errors.length) throw new Error(plan.errors[0]); // ADDED
+        if (!plan.rows.length) throw new Error("The weather file has no valid daily rows to import."); // ADDED
+        await ensureWeatherImportSchema(); // ADDED
+        await execWriteTransaction(buildWeatherImportStatements(cityId, plan, { timezone: city.timezone, sourceName })); // ADDED
+        return { days: plan.rows.length, months: plan.months.length }; // ADDED
+    } // ADDED
+
     async function saveCityRecord(row, existingCityId = null) { // ADDED
         await ensureCityGeographySchema(); // ADDED
         const cityId = Number(row.city_id); // ADDED
@@ -1745,6 +2338,139 @@ Draw.loadPlugin(function (ui) {
             monthInputs[index + 1] = { low, high }; // ADDED
         }); // ADDED
 
+        const weatherTitle = document.createElement("div"); // ADDED
+        weatherTitle.textContent = "Weather station data"; // ADDED
+        weatherTitle.style.fontWeight = "600"; // ADDED
+        weatherTitle.style.margin = "12px 0 6px"; // ADDED
+        div.appendChild(weatherTitle); // ADDED
+        const weatherNote = document.createElement("div"); // ADDED
+        weatherNote.textContent = "Import daily temperatures and precipitation from a station or archive CSV/JSON export. The scheduler uses the imported months as this city's normals."; // ADDED
+        weatherNote.style.fontSize = "12px"; // ADDED
+        weatherNote.style.color = "#4b5563"; // ADDED
+        div.appendChild(weatherNote); // ADDED
+
+        let weatherTable = null; // ADDED
+        let weatherFileName = ""; // ADDED
+        let weatherPlan = null; // ADDED
+        const weatherFileLabel = document.createElement("span"); // ADDED
+        weatherFileLabel.textContent = "No file chosen"; // ADDED
+        weatherFileLabel.style.fontSize = "12px"; // ADDED
+        const weatherFileBtn = mxUtils.button("Choose File…", () => { // ADDED
+            const picker = document.createElement("input"); // ADDED
+            picker.type = "file"; // ADDED
+            picker.accept = ".csv,.txt,.json,text/csv,application/json"; // ADDED
+            picker.onchange = () => { // ADDED
+                const file = picker.files && picker.files[0]; // ADDED
+                if (!file) return; // ADDED
+                const reader = new FileReader(); // ADDED
+                reader.onload = () => { // ADDED
+                    clearError(); // ADDED
+                    try { // ADDED
+                        weatherTable = parseWeatherImportText(String(reader.result || "")); // ADDED
+                        weatherFileName = file.name; // ADDED
+                        weatherFileLabel.textContent = `${file.name} (${weatherTable.rows.length} rows)`; // ADDED
+                        fillWeatherMappingSelects(guessWeatherImportMapping(weatherTable.columns)); // ADDED
+                    } catch (e) { // ADDED
+                        weatherTable = null; // ADDED
+                        weatherFileLabel.textContent = "No file chosen"; // ADDED
+                        showError(`Could not read ${file.name}: ${e && e.message ? e.message : String(e)}`); // ADDED
+                    } // ADDED
+                    refreshWeatherPreview(); // ADDED
+                }; // ADDED
+                reader.readAsText(file); // ADDED
+            }; // ADDED
+            picker.click(); // ADDED
+        }); // ADDED
+        const weatherFileWrap = document.createElement("div"); // ADDED
+        weatherFileWrap.style.display = "flex"; // ADDED
+        weatherFileWrap.style.gap = "8px"; // ADDED
+        weatherFileWrap.style.alignItems = "center"; // ADDED
+        weatherFileWrap.appendChild(weatherFileBtn); // ADDED
+        weatherFileWrap.appendChild(weatherFileLabel); // ADDED
+        field("Weather file:", weatherFileWrap, "CSV (comma, semicolon or tab separated) or JSON export with one row per day."); // ADDED
+
+        const weatherMappingSelects = {}; // ADDED
+        WEATHER_IMPORT_FIELDS.forEach(def => { // ADDED
+            const select = document.createElement("select"); // ADDED
+            select.style.flex = "1"; // ADDED
+            select.style.padding = "5px"; // ADDED
+            select.addEventListener("change", () => refreshWeatherPreview()); // ADDED
+            weatherMappingSelects[def.key] = field(`${def.label} column:`, select, `Export column holding the daily ${def.label.toLowerCase()}; choose (none) when the export has no such column.`); // ADDED
+        }); // ADDED
+        function unitSelect(options) { // ADDED
+            const select = document.createElement("select"); // ADDED
+            select.style.padding = "5px"; // ADDED
+            options.forEach(([value, label]) => { // ADDED
+                const opt = document.createElement("option"); // ADDED
+                opt.value = value; // ADDED
+                opt.textContent = label; // ADDED
+                select.appendChild(opt); // ADDED
+            }); // ADDED
+            select.addEventListener("change", () => refreshWeatherPreview()); // ADDED
+            return select; // ADDED
+        } // ADDED
+        const weatherTempUnitSel = field("Temperature unit:", unitSelect([["auto", "Detect"], ["C", "°C"], ["F", "°F"]]), "Detect reads the unit from the column headers, or from the values when the headers have none."); // ADDED
+        const weatherPrecipUnitSel = field("Precipitation unit:", unitSelect([["auto", "Detect"], ["mm", "mm"], ["in", "in"]]), "Detect reads the unit from the precipitation header, or follows the temperature unit."); // ADDED
+
+        const weatherPreview = document.createElement("div"); // ADDED
+        weatherPreview.style.fontSize = "12px"; // ADDED
+        weatherPreview.style.whiteSpace = "pre-wrap"; // ADDED
+        weatherPreview.style.background = "#f5f7fa"; // ADDED
+        weatherPreview.style.border = "1px solid #d7dde5"; // ADDED
+        weatherPreview.style.borderRadius = "4px"; // ADDED
+        weatherPreview.style.padding = "8px"; // ADDED
+        weatherPreview.style.margin = "6px 0"; // ADDED
+        div.appendChild(weatherPreview); // ADDED
+        const weatherImportBtn = mxUtils.button("Import Weather Data", async () => { // ADDED
+            clearError(); // ADDED
+            if (!weatherPlan) return; // ADDED
+            const city = cities.find(item => Number(item.city_id) === editingExistingId) || current; // ADDED
+            weatherImportBtn.disabled = true; // ADDED
+            try { // ADDED
+                const result = await saveWeatherStationImport(city, weatherPlan, weatherFileName); // ADDED
+                weatherPreview.textContent = `Imported ${result.days} days and ${result.months} monthly normals into ${fullCityLabel(city)}. The scheduler now uses them for this city.`; // ADDED
+            } catch (e) { // ADDED
+                weatherImportBtn.disabled = false; // ADDED
+                showError(e && e.message ? e.message : String(e)); // ADDED
+            } // ADDED
+        }); // ADDED
+        setTooltip(weatherImportBtn, "Upsert the previewed rows into CityWeatherDaily and CityWeatherMonthly for the selected saved city."); // ADDED
+        const weatherImportRow = document.createElement("div"); // ADDED
+        weatherImportRow.style.display = "flex"; // ADDED
+        weatherImportRow.style.justifyContent = "flex-end"; // ADDED
+        weatherImportRow.appendChild(weatherImportBtn); // ADDED
+        div.appendChild(weatherImportRow); // ADDED
+
+        function fillWeatherMappingSelects(mapping) { // ADDED
+            WEATHER_IMPORT_FIELDS.forEach(def => { // ADDED
+                const select = weatherMappingSelects[def.key]; // ADDED
+                while (select.firstChild) select.removeChild(select.firstChild); // ADDED
+                [""].concat(weatherTable ? weatherTable.columns : []).forEach(column => { // ADDED
+                    const opt = document.createElement("option"); // ADDED
+                    opt.value = column; // ADDED
+                    opt.textContent = column || "(none)"; // ADDED
+                    select.appendChild(opt); // ADDED
+                }); // ADDED
+                select.value = mapping[def.key] || ""; // ADDED
+            }); // ADDED
+        } // ADDED
+
+        function refreshWeatherPreview() { // ADDED
+            if (!weatherTable) { // ADDED
+                weatherPlan = null; // ADDED
+                weatherPreview.textContent = "Choose a CSV or JSON export to preview it."; // ADDED
+                weatherImportBtn.disabled = true; // ADDED
+                return; // ADDED
+            } // ADDED
+            const mapping = {}; // ADDED
+            WEATHER_IMPORT_FIELDS.forEach(def => { mapping[def.key] = weatherMappingSelects[def.key].value; }); // ADDED
+            weatherPlan = buildWeatherImportPlan(weatherTable, { mapping, tempUnit: weatherTempUnitSel.value, precipUnit: weatherPrecipUnitSel.value }); // ADDED
+            const lines = describeWeatherImportPlan(weatherPlan); // ADDED
+            if (editingExistingId == null) lines.push("Save the city before importing weather data."); // ADDED
+            weatherPreview.textContent = lines.join("\n"); // ADDED
+            weatherImportBtn.disabled = editingExistingId == null || weatherPlan.errors.length > 0 || !weatherPlan.rows.length; // ADDED
+        } // ADDED
+
         function refreshPicker(selectedId) { // ADDED
             while (cityPicker.firstChild) cityPicker.removeChild(cityPicker.firstChild); // ADDED
             sortedCities(cities).forEach(city => { // CHANGED
@@ -1781,6 +2507,7 @@ Draw.loadPlugin(function (ui) {
                 monthInputs[m].low.value = cToDisplayTemp(current[`avg_monthly_low_c${m}`], displayUnits); // ADDED
                 monthInputs[m].high.value = cToDisplayTemp(current[`avg_monthly_high_c${m}`], displayUnits); // ADDED
             } // ADDED
+            refreshWeatherPreview(); // ADDED
         } // ADDED
 
         cityPicker.addEventListener("change", () => { // ADDED
@@ -2665,8 +3392,9 @@ Draw.loadPlugin(function (ui) {
             const abbr = groupCell.getAttribute("plant_abbr") || "?";
             const sx = toPx(Number(groupCell.getAttribute("spacing_x_cm") || groupCell.getAttribute("spacing_cm") || "30"));
             const sy = toPx(Number(groupCell.getAttribute("spacing_y_cm") || groupCell.getAttribute("spacing_cm") || "30"));
-            const { rows, cols, count } = computeGridStatsXY(groupCell, sx, sy);
-            pruneDisabledToGrid(model, groupCell, rows, cols);
+            const layout = computeGridStatsXY(groupCell, sx, sy); // CHANGE
+            const { count } = layout; // CHANGE
+            pruneDisabledToGrid(model, groupCell, layout); // CHANGE
             const disabledSet2 = readDisabledSet(groupCell);
             const { actual } = applyCounts(model, groupCell, count, disabledSet2);
             updateGroupYield(model, groupCell, { abbr, countOverride: actual });
@@ -2833,6 +3561,64 @@ Draw.loadPlugin(function (ui) {
         return chosen; // MOVED
     } // MOVED
 
+    // -------------------- Shaped bed clipping --------------------
+    // Ellipse and polygon beds (see Garden_Scale) keep rectangular bounds; slots whose // ADDED
+    // centers fall outside the drawn outline are dropped from the group's layout. // ADDED
+    function bedOutlineForCell(bed) { // ADDED
+        const scale = window.TrellisGardenScale; // ADDED
+        if (!bed || !scale || typeof scale.getBedOutline !== "function" || typeof scale.pointInOutline !== "function") return null; // ADDED
+        const outline = scale.getBedOutline(bed); // ADDED
+        return outline && outline.kind !== "rect" ? outline : null; // ADDED
+    } // ADDED
+
+    function pointInBedOutlineModel(point, bedRect, outline) { // ADDED
+        if (!pointInRotatedRectModel(point, bedRect)) return false; // ADDED
+        if (!outline) return true; // ADDED
+        const local = rotateModelPoint(point, bedRect.center, -bedRect.angleRad); // ADDED
+        return !!window.TrellisGardenScale.pointInOutline(outline, (local.x - bedRect.x) / bedRect.w, (local.y - bedRect.y) / bedRect.h); // ADDED
+    } // ADDED
+
+    function findShapedBedForGroup(groupCell) { // ADDED
+        const parent = groupCell ? graph.getModel().getParent(groupCell) : null; // ADDED
+        const rect = getRotatedRectModel(groupCell); // ADDED
+        if (!parent || !rect) return null; // ADDED
+        const bed = findSmallestContainingBedModel(parent, rect.center); // ADDED
+        const outline = bedOutlineForCell(bed); // ADDED
+        return outline ? { bed, outline, bedRect: getRotatedRectModel(bed) } : null; // ADDED
+    } // ADDED
+
+    function clipLayoutToBedOutline(groupCell, layout, spacingXpx, spacingYpx) { // ADDED
+        if (!layout || !layout.count) return layout; // ADDED
+        const shaped = findShapedBedForGroup(groupCell); // ADDED
+        const groupRect = shaped ? getModelRect(groupCell) : null; // ADDED
+        if (!shaped || !shaped.bedRect || !groupRect) return layout; // ADDED
+        const { bandPx } = groupLabelMetrics(groupCell); // ADDED
+        const rotationDeg = getTilerRotationDeg(groupCell); // ADDED
+        const clipped = new Set(); // ADDED
+        for (let r = 0; r < layout.rows; r++) { // ADDED
+            const cols = patternColsInRow(layout, r); // ADDED
+            for (let c = 0; c < cols; c++) { // ADDED
+                const local = visualCenterFromLogicalCenter(groupCell, layoutSlotCenterLocal(layout, r, c, spacingXpx, spacingYpx, bandPx), rotationDeg); // ADDED
+                const point = { x: groupRect.x + local.x, y: groupRect.y + local.y }; // ADDED
+                if (!pointInBedOutlineModel(point, shaped.bedRect, shaped.outline)) clipped.add(`${r},${c}`); // ADDED
+            } // ADDED
+        } // ADDED
+        if (!clipped.size) return layout; // ADDED
+        return Object.assign({}, layout, { clipped, count: Math.max(0, layout.count - clipped.size) }); // ADDED
+    } // ADDED
+
+    // Moving a group inside (or out of) a shaped bed changes which slots survive clipping. // ADDED
+    function retileMovedGroupsForBedOutlines(cells) { // ADDED
+        for (const g of getTilerGroupsFromEventCells(cells)) { // ADDED
+            if (isCollapsedLOD(g)) continue; // ADDED
+            const sx = toPx(Number(g.getAttribute("spacing_x_cm") || g.getAttribute("spacing_cm") || "30")); // ADDED
+            const sy = toPx(Number(g.getAttribute("spacing_y_cm") || g.getAttribute("spacing_cm") || "30")); // ADDED
+            const layout = computeGridStatsXY(g, sx, sy); // ADDED
+            if (!layout.clipped && String(layout.count) === getXmlAttr(g, ATTR_PLANT_COUNT_CAP, String(layout.count))) continue; // ADDED
+            retileGroup(graph, g, { preferInPlace: true }); // ADDED
+        } // ADDED
+    } // ADDED
+
     function largestChildPlantCircleDiameter(tg) { // MOVED
         const model = graph.getModel(); // MOVED
         let diameter = 0; // MOVED
@@ -3536,6 +4322,71 @@ Draw.loadPlugin(function (ui) {
     }
 
 
+    // -------------------- Bed shape presets --------------------
+    const BED_SHAPE_STYLE_KEYS = Object.freeze(["shape", "perimeter", "polyCoords", "polyline", "ellipse"]); // ADDED
+    const BED_SHAPE_PRESETS = Object.freeze({ // ADDED
+        rectangle: { label: "Rectangle", style: "" }, // ADDED
+        ellipse: { label: "Ellipse / circle", style: "shape=ellipse;perimeter=ellipsePerimeter" }, // ADDED
+        l_shape: { label: "L-shape", style: polygonBedStyle([[0, 0], [1, 0], [1, 0.5], [0.5, 0.5], [0.5, 1], [0, 1]]) }, // ADDED
+        keyhole: { label: "Keyhole", style: polygonBedStyle(keyholePolyCoords()) } // ADDED
+    }); // ADDED
+
+    function polygonBedStyle(coords) { // ADDED
+        return `shape=mxgraph.basic.polygon;polyCoords=${JSON.stringify(coords)};polyline=0`; // ADDED
+    } // ADDED
+
+    // Circle with an access path cut from the bottom edge to just below the center. // ADDED
+    function keyholePolyCoords() { // ADDED
+        const halfPath = 0.08; // ADDED
+        const gap = Math.asin(halfPath * 2); // ADDED
+        const bottomY = 0.5 + 0.5 * Math.cos(gap); // ADDED
+        const steps = 24; // ADDED
+        const coords = []; // ADDED
+        for (let i = 0; i <= steps; i++) { // ADDED
+            const a = Math.PI / 2 + gap + (i / steps) * (Math.PI * 2 - gap * 2); // ADDED
+            coords.push([Math.round((0.5 + 0.5 * Math.cos(a)) * 1000) / 1000, Math.round((0.5 + 0.5 * Math.sin(a)) * 1000) / 1000]); // ADDED
+        } // ADDED
+        const y = Math.round(bottomY * 1000) / 1000; // ADDED
+        coords.push([0.5 + halfPath, y], [0.5 + halfPath, 0.55], [0.5 - halfPath, 0.55], [0.5 - halfPath, y]); // ADDED
+        return coords; // ADDED
+    } // ADDED
+
+    function bedShapeStyle(style, shapeKey) { // ADDED
+        const parts = String(style || "").split(";").filter(part => part && !BED_SHAPE_STYLE_KEYS.includes(part.split("=")[0])); // ADDED
+        const preset = BED_SHAPE_PRESETS[shapeKey]; // ADDED
+        if (preset && preset.style) parts.push(preset.style); // ADDED
+        return parts.join(";"); // ADDED
+    } // ADDED
+
+    function currentBedShapeKey(bed) { // ADDED
+        const outline = bedOutlineForCell(bed); // ADDED
+        if (!outline) return "rectangle"; // ADDED
+        if (outline.kind === "ellipse") return "ellipse"; // ADDED
+        const style = getStyleSafe(bed); // ADDED
+        return Object.keys(BED_SHAPE_PRESETS).find(key => BED_SHAPE_PRESETS[key].style && style.includes(BED_SHAPE_PRESETS[key].style)) || null; // ADDED
+    } // ADDED
+
+    function setGardenBedShape(graph, bed, shapeKey) { // ADDED
+        if (!bed || !isGardenBed(bed) || !BED_SHAPE_PRESETS[shapeKey]) return 0; // ADDED
+        const model = graph.getModel(); // ADDED
+        const parent = model.getParent(bed); // ADDED
+        let retiled = 0; // ADDED
+        model.beginUpdate(); // ADDED
+        try { // ADDED
+            model.setStyle(bed, bedShapeStyle(getStyleSafe(bed), shapeKey)); // ADDED
+            for (const g of (graph.getChildVertices(parent) || []).filter(isTilerGroup)) { // ADDED
+                const rect = getRotatedRectModel(g); // ADDED
+                if (!rect || findSmallestContainingBedModel(parent, rect.center) !== bed) continue; // ADDED
+                retileGroup(graph, g, { preferInPlace: true, inTransaction: true }); // ADDED
+                retiled++; // ADDED
+            } // ADDED
+        } finally { // ADDED
+            model.endUpdate(); // ADDED
+        } // ADDED
+        graph.refresh(bed); // ADDED
+        return retiled; // ADDED
+    } // ADDED
+
     function collectBedCandidates(graph, cells) {
         const out = [];
         const seen = new Set();
@@ -3758,7 +4609,7 @@ Draw.loadPlugin(function (ui) {
         };
     }
 
-    function showSpacingDialog(ui, curX, curY, onOk) {
+    function showSpacingDialog(ui, curX, curY, curPattern, onOk) { // CHANGE
         const div = document.createElement("div");
         div.style.padding = "10px";
         div.style.minWidth = "280px";
@@ -3793,6 +4644,28 @@ Draw.loadPlugin(function (ui) {
         const inputX = row("Horizontal spacing X:", curX);
         const inputY = row("Vertical spacing Y:", curY);
 
+        const patternWrap = document.createElement("div"); // ADDED
+        patternWrap.style.display = "flex"; // ADDED
+        patternWrap.style.alignItems = "center"; // ADDED
+        patternWrap.style.gap = "8px"; // ADDED
+        patternWrap.style.marginBottom = "8px"; // ADDED
+        const patternLabel = document.createElement("label"); // ADDED
+        patternLabel.textContent = "Planting pattern:"; // ADDED
+        patternLabel.style.minWidth = "120px"; // ADDED
+        const patternSelect = document.createElement("select"); // ADDED
+        patternSelect.style.flex = "1"; // ADDED
+        for (const [key, text] of Object.entries(PLANTING_PATTERNS)) { // ADDED
+            const opt = document.createElement("option"); // ADDED
+            opt.value = key; // ADDED
+            opt.textContent = text; // ADDED
+            patternSelect.appendChild(opt); // ADDED
+        } // ADDED
+        patternSelect.value = normalizePlantingPattern(curPattern); // ADDED
+        setTooltip(patternSelect, "Hex and staggered rows offset every other row by half the X spacing; hex also tightens rows to 0.866 × Y."); // ADDED
+        patternWrap.appendChild(patternLabel); // ADDED
+        patternWrap.appendChild(patternSelect); // ADDED
+        div.appendChild(patternWrap); // ADDED
+
         const btnRow = document.createElement("div");
         btnRow.style.display = "flex";
         btnRow.style.justifyContent = "flex-end";
@@ -3806,7 +4679,7 @@ Draw.loadPlugin(function (ui) {
                 return;
             }
             ui.hideDialog();
-            onOk(x, y);
+            onOk(x, y, normalizePlantingPattern(patternSelect.value)); // CHANGE
         });
         const cancelBtn = mxUtils.button("Cancel", function () {
             ui.hideDialog();
@@ -3825,7 +4698,7 @@ Draw.loadPlugin(function (ui) {
             }
         });
 
-        ui.showDialog(div, 360, 170, true, true); // CHANGE
+        ui.showDialog(div, 360, 210, true, true); // CHANGE
         elevateTrellisDialog(); // NEW
         inputX.focus();
     }
@@ -3850,13 +4723,14 @@ Draw.loadPlugin(function (ui) {
             )
         );
 
-        showSpacingDialog(ui, curX, curY, function (x, y) {
+        showSpacingDialog(ui, curX, curY, getPlantingPattern(groupCell), function (x, y, pattern) { // CHANGE
             const model = graph.getModel();
             model.beginUpdate();
             try {
                 setCellAttrsNoTxn(model, groupCell, {
                     spacing_x_cm: String(x),
                     spacing_y_cm: String(y),
+                    [PLANTING_PATTERN_ATTR]: pattern === "square" ? null : pattern, // ADDED
                 });
                 retileGroup(graph, groupCell);
             } finally {
@@ -3864,10 +4738,240 @@ Draw.loadPlugin(function (ui) {
             }
             graph.refresh(groupCell);
 
-            log("[spacing] applied " + JSON.stringify({ x, y })); // CHANGE
+            log("[spacing] applied " + JSON.stringify({ x, y, pattern })); // CHANGE
         });
     }
 
+    // -------------------- Harvest log --------------------
+    function localTodayYmd() { // ADDED
+        const d = new Date(); // ADDED
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`; // ADDED
+    } // ADDED
+
+    function normalizeHarvestEntry(raw) { // ADDED
+        if (!raw || typeof raw !== "object") return null; // ADDED
+        const date = String(raw.date || "").slice(0, 10); // ADDED
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null; // ADDED
+        const kg = Number(raw.kg); // ADDED
+        const units = Number(raw.units); // ADDED
+        const safeKg = Number.isFinite(kg) && kg > 0 ? kg : 0; // ADDED
+        const safeUnits = Number.isFinite(units) && units > 0 ? Math.trunc(units) : 0; // ADDED
+        if (safeKg <= 0 && safeUnits <= 0) return null; // ADDED
+        const grade = String(raw.grade || "").trim(); // ADDED
+        return { // ADDED
+            id: String(raw.id || `h_${date}_${Math.random().toString(36).slice(2, 8)}`), // ADDED
+            date, // ADDED
+            kg: safeKg, // ADDED
+            units: safeUnits, // ADDED
+            grade, // ADDED
+            note: String(raw.note || "").trim() // ADDED
+        }; // ADDED
+    } // ADDED
+
+    /** Parses a stored harvest log; invalid rows are dropped and the result is sorted by date. */
+    function parseHarvestLog(raw) { // ADDED
+        let list = raw; // ADDED
+        if (typeof raw === "string") { // ADDED
+            try { list = raw ? JSON.parse(raw) : []; } catch (_) { list = []; } // ADDED
+        } // ADDED
+        if (list && !Array.isArray(list) && Array.isArray(list.entries)) list = list.entries; // ADDED
+        if (!Array.isArray(list)) return []; // ADDED
+        return list // ADDED
+            .map(normalizeHarvestEntry) // ADDED
+            .filter(Boolean) // ADDED
+            .sort((a, b) => a.date.localeCompare(b.date)); // ADDED
+    } // ADDED
+
+    function readHarvestLog(groupCell) { // ADDED
+        return parseHarvestLog(getXmlAttr(groupCell, ATTR_HARVEST_LOG, "")); // ADDED
+    } // ADDED
+
+    /** Totals a harvest log, optionally limited to entries dated in one calendar year. */
+    function summarizeHarvestLog(entries, year) { // ADDED
+        const prefix = Number.isFinite(Number(year)) && year !== null && year !== "" ? `${Number(year)}-` : ""; // ADDED
+        const summary = { count: 0, kg: 0, units: 0, byGrade: {}, firstDate: "", lastDate: "" }; // ADDED
+        for (const entry of parseHarvestLog(entries)) { // ADDED
+            if (prefix && !entry.date.startsWith(prefix)) continue; // ADDED
+            summary.count += 1; // ADDED
+            summary.kg += entry.kg; // ADDED
+            summary.units += entry.units; // ADDED
+            const grade = entry.grade || "Ungraded"; // ADDED
+            summary.byGrade[grade] = (summary.byGrade[grade] || 0) + entry.kg; // ADDED
+            if (!summary.firstDate || entry.date < summary.firstDate) summary.firstDate = entry.date; // ADDED
+            if (!summary.lastDate || entry.date > summary.lastDate) summary.lastDate = entry.date; // ADDED
+        } // ADDED
+        summary.kg = Math.round(summary.kg * 1000) / 1000; // ADDED
+        return summary; // ADDED
+    } // ADDED
+
+    function writeHarvestLog(graph, groupCell, entries) { // ADDED
+        const model = graph.getModel(); // ADDED
+        const clean = parseHarvestLog(entries); // ADDED
+        const total = summarizeHarvestLog(clean).kg; // ADDED
+        model.beginUpdate(); // ADDED
+        try { // ADDED
+            setCellAttrsNoTxn(model, groupCell, { // ADDED
+                [ATTR_HARVEST_LOG]: clean.length ? JSON.stringify(clean) : null, // ADDED
+                [ATTR_YIELD_ACTUAL]: String(total) // ADDED
+            }); // ADDED
+        } finally { // ADDED
+            model.endUpdate(); // ADDED
+        } // ADDED
+        graph.refresh(groupCell); // ADDED
+        return clean; // ADDED
+    } // ADDED
+
+    function addHarvestLogEntry(graph, groupCell, entry) { // ADDED
+        if (!groupCell || !isTilerGroup(groupCell)) throw new Error("Harvest can only be logged on a plant group."); // ADDED
+        const next = normalizeHarvestEntry(Object.assign({ date: localTodayYmd() }, entry || {})); // ADDED
+        if (!next) throw new Error("Enter a harvest date and a weight or unit count."); // ADDED
+        writeHarvestLog(graph, groupCell, readHarvestLog(groupCell).concat([next])); // ADDED
+        log("[harvest] logged " + JSON.stringify({ group: groupCell.id, entry: next })); // ADDED
+        return next; // ADDED
+    } // ADDED
+
+    function removeHarvestLogEntry(graph, groupCell, entryId) { // ADDED
+        const current = readHarvestLog(groupCell); // ADDED
+        const next = current.filter(entry => entry.id !== String(entryId)); // ADDED
+        if (next.length === current.length) return false; // ADDED
+        writeHarvestLog(graph, groupCell, next); // ADDED
+        return true; // ADDED
+    } // ADDED
+
+    function showHarvestLogDialog(ui, groupCell) { // ADDED
+        if (!groupCell || !isTilerGroup(groupCell)) { // ADDED
+            log("[harvest] not a tiler group"); // ADDED
+            return; // ADDED
+        } // ADDED
+        const div = document.createElement("div"); // ADDED
+        div.style.padding = "10px"; // ADDED
+        div.style.minWidth = "340px"; // ADDED
+
+        const title = document.createElement("div"); // ADDED
+        title.style.fontWeight = "600"; // ADDED
+        title.style.marginBottom = "8px"; // ADDED
+        title.textContent = `Log Harvest — ${getGroupDisplayName(groupCell, getXmlAttr(groupCell, "plant_abbr", "?"))}`; // ADDED
+        div.appendChild(title); // ADDED
+
+        const row = (labelTxt, input) => { // ADDED
+            const wrap = document.createElement("div"); // ADDED
+            wrap.style.display = "flex"; // ADDED
+            wrap.style.alignItems = "center"; // ADDED
+            wrap.style.gap = "8px"; // ADDED
+            wrap.style.marginBottom = "8px"; // ADDED
+            const lab = document.createElement("label"); // ADDED
+            lab.textContent = labelTxt; // ADDED
+            lab.style.minWidth = "90px"; // ADDED
+            input.style.flex = "1"; // ADDED
+            wrap.appendChild(lab); // ADDED
+            wrap.appendChild(input); // ADDED
+            div.appendChild(wrap); // ADDED
+            return input; // ADDED
+        }; // ADDED
+        const mkInput = (type, value) => { // ADDED
+            const inp = document.createElement("input"); // ADDED
+            inp.type = type; // ADDED
+            inp.value = value; // ADDED
+            if (type === "number") { inp.min = "0"; inp.step = "0.01"; } // ADDED
+            return inp; // ADDED
+        }; // ADDED
+
+        const dateInput = row("Date:", mkInput("date", localTodayYmd())); // ADDED
+        const kgInput = row(`Weight (${YIELD_UNIT}):`, mkInput("number", "")); // ADDED
+        const unitsInput = row("Units:", mkInput("number", "")); // ADDED
+        unitsInput.step = "1"; // ADDED
+        const gradeSelect = document.createElement("select"); // ADDED
+        for (const grade of [""].concat(HARVEST_GRADES)) { // ADDED
+            const opt = document.createElement("option"); // ADDED
+            opt.value = grade; // ADDED
+            opt.textContent = grade || "(none)"; // ADDED
+            gradeSelect.appendChild(opt); // ADDED
+        } // ADDED
+        row("Grade:", gradeSelect); // ADDED
+        const noteInput = row("Note:", mkInput("text", "")); // ADDED
+
+        const summaryLine = document.createElement("div"); // ADDED
+        summaryLine.style.cssText = "margin:6px 0;color:#444;"; // ADDED
+        const list = document.createElement("div"); // ADDED
+        list.style.cssText = "max-height:140px;overflow:auto;border-top:1px solid #ddd;margin-bottom:8px;"; // ADDED
+        const message = document.createElement("div"); // ADDED
+        message.style.cssText = "color:#b3261e;min-height:16px;"; // ADDED
+        div.appendChild(summaryLine); // ADDED
+        div.appendChild(list); // ADDED
+        div.appendChild(message); // ADDED
+
+        function renderEntries() { // ADDED
+            const entries = readHarvestLog(groupCell); // ADDED
+            const summary = summarizeHarvestLog(entries); // ADDED
+            const expected = getNumberAttr(groupCell, ATTR_YIELD_EXPECTED, 0); // ADDED
+            summaryLine.textContent = expected > 0 // ADDED
+                ? `Logged ${formatYield(summary.kg, YIELD_UNIT)} of ${formatYield(expected, YIELD_UNIT)} expected (${Math.round((summary.kg / expected) * 100)}%).` // ADDED
+                : `Logged ${formatYield(summary.kg, YIELD_UNIT)} in ${summary.count} harvest${summary.count === 1 ? "" : "s"}.`; // ADDED
+            list.innerHTML = ""; // ADDED
+            for (const entry of entries.slice().reverse()) { // ADDED
+                const line = document.createElement("div"); // ADDED
+                line.style.cssText = "display:flex;align-items:center;gap:8px;padding:3px 0;"; // ADDED
+                const text = document.createElement("span"); // ADDED
+                text.style.flex = "1"; // ADDED
+                const parts = [entry.date]; // ADDED
+                if (entry.kg > 0) parts.push(formatYield(entry.kg, YIELD_UNIT)); // ADDED
+                if (entry.units > 0) parts.push(`${entry.units} units`); // ADDED
+                if (entry.grade) parts.push(`grade ${entry.grade}`); // ADDED
+                if (entry.note) parts.push(entry.note); // ADDED
+                text.textContent = parts.join(" · "); // ADDED
+                const remove = mxUtils.button("Remove", function () { // ADDED
+                    removeHarvestLogEntry(graph, groupCell, entry.id); // ADDED
+                    renderEntries(); // ADDED
+                }); // ADDED
+                line.appendChild(text); // ADDED
+                line.appendChild(remove); // ADDED
+                list.appendChild(line); // ADDED
+            } // ADDED
+        } // ADDED
+
+        const btnRow = document.createElement("div"); // ADDED
+        btnRow.style.display = "flex"; // ADDED
+        btnRow.style.justifyContent = "flex-end"; // ADDED
+        btnRow.style.gap = "8px"; // ADDED
+
+        const addBtn = mxUtils.button("Add", function () { // ADDED
+            try { // ADDED
+                addHarvestLogEntry(graph, groupCell, { // ADDED
+                    date: dateInput.value, // ADDED
+                    kg: kgInput.value, // ADDED
+                    units: unitsInput.value, // ADDED
+                    grade: gradeSelect.value, // ADDED
+                    note: noteInput.value // ADDED
+                }); // ADDED
+            } catch (e) { // ADDED
+                message.textContent = e.message; // ADDED
+                return; // ADDED
+            } // ADDED
+            message.textContent = ""; // ADDED
+            kgInput.value = ""; // ADDED
+            unitsInput.value = ""; // ADDED
+            noteInput.value = ""; // ADDED
+            renderEntries(); // ADDED
+            kgInput.focus(); // ADDED
+        }); // ADDED
+        const closeBtn = mxUtils.button("Close", function () { // ADDED
+            ui.hideDialog(); // ADDED
+        }); // ADDED
+        btnRow.appendChild(closeBtn); // ADDED
+        btnRow.appendChild(addBtn); // ADDED
+        div.appendChild(btnRow); // ADDED
+
+        mxEvent.addListener(div, "keydown", function (evt) { // ADDED
+            if (evt.key === "Enter") addBtn.click(); // ADDED
+            if (evt.key === "Escape") ui.hideDialog(); // ADDED
+        }); // ADDED
+
+        renderEntries(); // ADDED
+        ui.showDialog(div, 420, 460, true, true); // ADDED
+        elevateTrellisDialog(); // ADDED
+        kgInput.focus(); // ADDED
+    } // ADDED
+
     function collectSelectedPlantTilesByGroup(graph, fallbackTarget) {
         const sel = graph.getSelectionCells ? (graph.getSelectionCells() || []) : [];
         const out = new Map(); // groupId -> { group, tiles: [] }
@@ -3941,8 +5045,9 @@ Draw.loadPlugin(function (ui) {
             const spacingXpx = toPx(spacingXcm);
             const spacingYpx = toPx(spacingYcm);
 
-            const { rows, cols, count } = computeGridStatsXY(groupCell, spacingXpx, spacingYpx);
-            pruneDisabledToGrid(model, groupCell, rows, cols);
+            const layout = computeGridStatsXY(groupCell, spacingXpx, spacingYpx); // CHANGE
+            const { count } = layout; // CHANGE
+            pruneDisabledToGrid(model, groupCell, layout); // CHANGE
             const disabledSet2 = readDisabledSet(groupCell);
             const { actual } = applyCounts(model, groupCell, count, disabledSet2);
             updateGroupYield(model, groupCell, { abbr, countOverride: actual });
@@ -4099,7 +5204,8 @@ Draw.loadPlugin(function (ui) {
                             getXmlAttr(target, "spacing_cm", "30")
                         )
                     );
-                    const label = `Set Plant Spacing (cm)…  [${curX} × ${curY}]`;
+                    const pattern = getPlantingPattern(target); // ADDED
+                    const label = `Set Plant Spacing (cm)…  [${curX} × ${curY}${pattern === "square" ? "" : `, ${PLANTING_PATTERNS[pattern]}`}]`; // CHANGE
                     log("[popup] adding spacing item " + JSON.stringify({ curX, curY })); // CHANGE
                     menu.addItem(label, null, function () {
                         try {
@@ -4115,6 +5221,17 @@ Draw.loadPlugin(function (ui) {
                             log("[popup] action error " + e.message); // CHANGE
                         }
                     });
+                    const logged = summarizeHarvestLog(readHarvestLog(target)); // ADDED
+                    menu.addItem(logged.count ? `Log Harvest…  [${formatYield(logged.kg, YIELD_UNIT)}]` : "Log Harvest…", null, function () { // ADDED
+                        showHarvestLogDialog(ui, target); // ADDED
+                    }); // ADDED
+                    const bedsApi = window.TrellisGardenBeds; // ADDED
+                    if (bedsApi && typeof bedsApi.showPestObservationDialog === "function") { // ADDED
+                        const observed = bedsApi.readPestObservations(target).length; // ADDED
+                        menu.addItem(observed ? `Log Pest / Disease…  [${observed}]` : "Log Pest / Disease…", null, function () { // ADDED
+                            bedsApi.showPestObservationDialog(target); // ADDED
+                        }); // ADDED
+                    } // ADDED
                 } else {
                     log("[popup] no tiler group under cursor"); // CHANGE
                 }
@@ -4163,6 +5280,25 @@ Draw.loadPlugin(function (ui) {
                     }
                 } catch (_) { }
 
+                // ----- Bed shape (single garden bed) ----- // ADDED
+                try { // ADDED
+                    const sel = graph.getSelectionCells ? (graph.getSelectionCells() || []) : []; // ADDED
+                    const shapeBed = sel.length === 1 && isGardenBed(sel[0]) ? sel[0] : (sel.length === 0 && cell && isGardenBed(cell) ? cell : null); // ADDED
+                    if (shapeBed) { // ADDED
+                        const currentShape = currentBedShapeKey(shapeBed); // ADDED
+                        const shapeMenu = menu.addItem("Bed Shape", null, null); // ADDED
+                        for (const [key, preset] of Object.entries(BED_SHAPE_PRESETS)) { // ADDED
+                            menu.addItem(preset.label, null, function () { // ADDED
+                                try { // ADDED
+                                    setGardenBedShape(graph, shapeBed, key); // ADDED
+                                } catch (e) { // ADDED
+                                    mxUtils.alert("Error changing bed shape: " + e.message); // ADDED
+                                } // ADDED
+                            }, shapeMenu, null, key !== currentShape); // ADDED
+                        } // ADDED
+                    } // ADDED
+                } catch (_) { } // ADDED
+
 
                 // ----- Expand/Collapse (selection-aware) ---------------------------------- 
                 const selectedGroups = collectSelectedTilerGroups(graph, target);
@@ -4242,6 +5378,42 @@ Draw.loadPlugin(function (ui) {
                             }
                         });
                     }
+
+                    const shapeGroups = selectedGroups.filter(g => !isVirtualPlantGroup(g)); // ADDED
+                    const virtualGroups = selectedGroups.filter(isVirtualPlantGroup); // ADDED
+                    if (shapeGroups.length) { // ADDED
+                        menu.addItem(`Draw ${noun} as virtual plants`, null, function () { // ADDED
+                            const model = graph.getModel(); // ADDED
+                            model.beginUpdate(); // ADDED
+                            try { // ADDED
+                                for (const g of shapeGroups) { // ADDED
+                                    setPlantRenderMode(model, g, "virtual"); // ADDED
+                                    retileGroup(graph, g, { inTransaction: true }); // ADDED
+                                    graph.refresh(g); // ADDED
+                                } // ADDED
+                            } finally { // ADDED
+                                model.endUpdate(); // ADDED
+                            } // ADDED
+                        }); // ADDED
+                    } // ADDED
+                    const fitsAsShapes = virtualGroups.filter(g => { // ADDED
+                        const { spacingXpx, spacingYpx } = virtualPlantSpacing(g); // ADDED
+                        return computeGridStatsXY(g, spacingXpx, spacingYpx).count <= MAX_TILES; // ADDED
+                    }); // ADDED
+                    if (fitsAsShapes.length) { // ADDED
+                        menu.addItem(`Draw ${noun} as plant shapes`, null, function () { // ADDED
+                            const model = graph.getModel(); // ADDED
+                            model.beginUpdate(); // ADDED
+                            try { // ADDED
+                                for (const g of fitsAsShapes) { // ADDED
+                                    retileGroup(graph, g, { forceExpand: true }); // ADDED
+                                    graph.refresh(g); // ADDED
+                                } // ADDED
+                            } finally { // ADDED
+                                model.endUpdate(); // ADDED
+                            } // ADDED
+                        }); // ADDED
+                    } // ADDED
                 }
 
                 // ----- Disable/Restore plant circles (selection-aware) ----------------------------- 
@@ -4267,6 +5439,17 @@ Draw.loadPlugin(function (ui) {
                         }
                     }
 
+                    // Virtual groups have no plant cells to select; toggle the slot under the cursor instead. // ADDED
+                    if (target && isVirtualPlantGroup(target) && evt) { // ADDED
+                        const slot = virtualSlotAtGraphPoint(graph, target, graph.getPointForEvent(evt)); // ADDED
+                        if (slot) { // ADDED
+                            const slotDisabled = readDisabledSet(target).has(slot.key); // ADDED
+                            menu.addItem(slotDisabled ? "Restore plant here" : "Disable plant here", null, function () { // ADDED
+                                setVirtualPlantDisabled(graph, target, slot.key, !slotDisabled); // ADDED
+                            }); // ADDED
+                        } // ADDED
+                    } // ADDED
+
                     // Restore: if any selected/target tiler groups have disabled tiles                   
                     const groupsForRestore = collectSelectedTilerGroups(graph, target);
                     const restorable = groupsForRestore.filter(g => groupHasDisabled(g));
@@ -4365,6 +5548,7 @@ Draw.loadPlugin(function (ui) {
         const plantId = first.getAttribute("plant_id") || "";
         const plantName = first.getAttribute("plant_name") || "";
         const varietyName = first.getAttribute("variety_name") || "";
+        const plantFamily = first.getAttribute("plant_family") || first.getAttribute("family") || "";
 
         const titleName = (varietyName && plantName)
             ? `${plantName} - ${varietyName}`
@@ -4407,6 +5591,7 @@ Draw.loadPlugin(function (ui) {
             plant_abbr: abbr,
             plant_id: plantId,
             plant_name: plantName,
+            plant_family: plantFamily,
             variety_name: varietyName,
             spacing_cm: spacingCm,
             spacing_x_cm: spacingXcm,
@@ -4448,6 +5633,36 @@ Draw.loadPlugin(function (ui) {
         return group;
     }
 
+    // Creates a planting group for a planned crop in a rectangle (bed parent coordinates) and tiles it. No creation // ADDED
+    // event is fired, so batch callers can place many groups without each one being selected in turn. // ADDED
+    function createScheduledTilerGroupInBed(graphArg, bedCell, opts = {}) { // ADDED
+        const activeGraphArg = graphArg || graph; // ADDED
+        if (!activeGraphArg || !bedCell || !isGardenBed(bedCell)) return null; // ADDED
+        const model = activeGraphArg.getModel && activeGraphArg.getModel(); // ADDED
+        const parent = model ? model.getParent(bedCell) : null; // ADDED
+        const rect = opts.rect || null; // ADDED
+        if (!parent || !rect || !(Number(rect.width) > 0) || !(Number(rect.height) > 0)) return null; // ADDED
+        const attrs = {}; // ADDED
+        for (const [key, value] of Object.entries(opts.attributes || {})) { // ADDED
+            if (value !== null && value !== undefined && value !== "") attrs[key] = value; // ADDED
+        } // ADDED
+        attrs.tiler_group = "1"; // ADDED
+        const group = new mxCell(createXmlValue("TilerGroup", attrs), new mxGeometry(Number(rect.x) || 0, Number(rect.y) || 0, Number(rect.width), Number(rect.height)), groupFrameStyle()); // ADDED
+        group.setVertex(true); // ADDED
+        group.setConnectable(false); // ADDED
+        group.setCollapsed(false); // ADDED
+        const ownsUpdate = !opts.inTransaction; // ADDED
+        if (ownsUpdate) model.beginUpdate(); // ADDED
+        try { // ADDED
+            activeGraphArg.addCell(group, parent); // ADDED
+            retileGroup(activeGraphArg, group, { inTransaction: true }); // ADDED
+            if (isGardenModule(parent)) reorderModuleChildrenForLayering(model, parent); // ADDED
+        } finally { // ADDED
+            if (ownsUpdate) model.endUpdate(); // ADDED
+        } // ADDED
+        return group; // ADDED
+    } // ADDED
+
     function createSiblingTilerGroupFromSource(graphArg, sourceCell, opts = {}) { // ADDED
         const activeGraphArg = graphArg || graph; // ADDED
         if (!activeGraphArg || !sourceCell || !isTilerGroup(sourceCell)) return null; // ADDED
@@ -4503,16 +5718,18 @@ Draw.loadPlugin(function (ui) {
     } // ADDED
 
     function computeGridStatsXY(groupCell, spacingXpx, spacingYpx) {
-        const g = groupCell.getGeometry();
-        const { bandPx } = groupLabelMetrics(groupCell);
-        const usableW = Math.max(0, g.width - GROUP_PADDING_PX * 2);
-        const usableH = Math.max(0, g.height - GROUP_PADDING_PX * 2 - bandPx);
-        if (usableW <= 0 || usableH <= 0) return { rows: 0, cols: 0, count: 0 };
-        const cols = Math.max(1, Math.floor(usableW / spacingXpx));
-        const rows = Math.max(1, Math.floor(usableH / spacingYpx));
-        return { rows, cols, count: rows * cols };
+        return clipLayoutToBedOutline(groupCell, computePlantingFrameLayout(groupCell, spacingXpx, spacingYpx), spacingXpx, spacingYpx); // CHANGE
     }
 
+    // Full pattern layout of the group's planting frame, before shaped-bed clipping. // ADDED
+    function computePlantingFrameLayout(groupCell, spacingXpx, spacingYpx) { // ADDED
+        const g = groupCell.getGeometry(); // MOVED
+        const { bandPx } = groupLabelMetrics(groupCell); // MOVED
+        const usableW = Math.max(0, g.width - GROUP_PADDING_PX * 2); // MOVED
+        const usableH = Math.max(0, g.height - GROUP_PADDING_PX * 2 - bandPx); // MOVED
+        return computePatternLayout(usableW, usableH, spacingXpx, spacingYpx, getPlantingPattern(groupCell)); // MOVED
+    } // ADDED
+
 
     function hasTileRC(cell) {
         if (!cell || !cell.getAttribute) return false;
@@ -4609,7 +5826,8 @@ Draw.loadPlugin(function (ui) {
         const iconDiam = Math.max(
             vegDiam > 0 ? toPx(vegDiam) : clamp(DEFAULT_ICON_DIAM_RATIO * Math.min(sx, sy), MIN_ICON_DIAM_PX, MAX_ICON_DIAM_PX), 6
         );
-        const { rows, cols, count } = computeGridStatsXY(groupCell, sx, sy);
+        const { count } = computeGridStatsXY(groupCell, sx, sy); // CHANGE
+        setPlantRenderMode(graph.getModel(), groupCell, count > MAX_TILES ? "virtual" : ""); // ADDED: explicit expand leaves virtual mode when cells fit
         if (count > MAX_TILES) {
             collapseToSummary(graph, groupCell, abbr, sx, sy, opts); // CHANGE
             return;
@@ -4722,7 +5940,7 @@ Draw.loadPlugin(function (ui) {
             collapseToSummary(graph, groupCell, abbr, spacingXpx, spacingYpx, { layoutSnapshot: opts.layoutSnapshot, previousRotationDeg: opts.previousRotationDeg, useLiveSnapshot: opts.useLiveSnapshot }); // CHANGE
             return;
         }
-        if (autoExpand && collapsed) {
+        if (autoExpand && collapsed && !isVirtualPlantGroup(groupCell)) { // CHANGE
             expandGroupDetail(graph, groupCell, { layoutSnapshot: opts.layoutSnapshot, previousRotationDeg: opts.previousRotationDeg, useLiveSnapshot: opts.useLiveSnapshot }); // CHANGE
             return;
         }
@@ -4894,6 +6112,7 @@ Draw.loadPlugin(function (ui) {
                 moveDx: evt.getProperty("dx"), // MOVED
                 moveDy: evt.getProperty("dy") // MOVED
             }); // MOVED
+            retileMovedGroupsForBedOutlines(cells); // ADDED
         }); // MOVED
 
         graph.addListener(mxEvent.CELLS_RESIZED, function (_sender, evt) { // MOVED
@@ -4902,6 +6121,109 @@ Draw.loadPlugin(function (ui) {
         }); // MOVED
     })(); // MOVED
 
+    (function installVirtualPlantLayer() { // ADDED
+        if (graph.__plantTilerVirtualLayerInstalled) return; // ADDED
+        graph.__plantTilerVirtualLayerInstalled = true; // ADDED
+
+        const model = graph.getModel(); // ADDED
+        const canvases = new Map(); // groupId -> canvas // ADDED
+        let timer = null; // ADDED
+
+        function scheduleRedraw() { // ADDED
+            if (timer != null) return; // ADDED
+            timer = setTimeout(function () { // ADDED
+                timer = null; // ADDED
+                try { redraw(); } catch (e) { log("[virtual] redraw failed", e && e.message ? e.message : e); } // ADDED
+            }, 0); // ADDED
+        } // ADDED
+
+        function virtualGroups() { // ADDED
+            return Object.values(model.cells || {}).filter(cell => isTilerGroup(cell) && isVirtualPlantGroup(cell) && isCollapsedLOD(cell)); // ADDED
+        } // ADDED
+
+        // Screen-space box of the (possibly rotated) group, clipped to the visible container area. // ADDED
+        function visibleBox(groupCell, state, container) { // ADDED
+            const center = { x: state.x + state.width / 2, y: state.y + state.height / 2 }; // ADDED
+            const rot = getTilerRotationDeg(groupCell); // ADDED
+            const corners = [[state.x, state.y], [state.x + state.width, state.y], [state.x + state.width, state.y + state.height], [state.x, state.y + state.height]] // ADDED
+                .map(([x, y]) => rotatePointAround({ x, y }, center, rot)); // ADDED
+            const left = Math.max(container.scrollLeft, Math.floor(Math.min(...corners.map(p => p.x)))); // ADDED
+            const top = Math.max(container.scrollTop, Math.floor(Math.min(...corners.map(p => p.y)))); // ADDED
+            const right = Math.min(container.scrollLeft + container.clientWidth, Math.ceil(Math.max(...corners.map(p => p.x)))); // ADDED
+            const bottom = Math.min(container.scrollTop + container.clientHeight, Math.ceil(Math.max(...corners.map(p => p.y)))); // ADDED
+            return right > left && bottom > top ? { left, top, width: right - left, height: bottom - top } : null; // ADDED
+        } // ADDED
+
+        function paintGroup(canvas, groupCell, state, box) { // ADDED
+            const ctx = canvas.getContext && canvas.getContext("2d"); // ADDED
+            if (!ctx) return; // ADDED
+            if (canvas.width !== box.width) canvas.width = box.width; // ADDED
+            if (canvas.height !== box.height) canvas.height = box.height; // ADDED
+            canvas.style.left = box.left + "px"; // ADDED
+            canvas.style.top = box.top + "px"; // ADDED
+            ctx.clearRect(0, 0, box.width, box.height); // ADDED
+
+            const scale = graph.view.scale || 1; // ADDED
+            const { spacingXpx, spacingYpx, iconDiamPx } = virtualPlantSpacing(groupCell); // ADDED
+            const { bandPx } = groupLabelMetrics(groupCell); // ADDED
+            const layout = computeGridStatsXY(groupCell, spacingXpx, spacingYpx); // ADDED
+            const centers = virtualPlantCenters(layout, readDisabledSet(groupCell), spacingXpx, spacingYpx, bandPx, snapshotTileMap(readLodLayoutSnapshot(groupCell))); // ADDED
+            const rot = getTilerRotationDeg(groupCell); // ADDED
+            const radius = (iconDiamPx * scale) / 2; // ADDED
+            const asPixels = radius < VIRTUAL_DOT_MIN_RADIUS_PX; // ADDED
+            ctx.fillStyle = asPixels ? "#111827" : "rgba(255,255,255,0.5)"; // ADDED
+            ctx.strokeStyle = "#111827"; // ADDED
+            ctx.lineWidth = 1; // ADDED
+            for (const p of centers) { // ADDED
+                const visual = visualCenterFromLogicalCenter(groupCell, p, rot); // ADDED
+                const x = state.x + visual.x * scale - box.left; // ADDED
+                const y = state.y + visual.y * scale - box.top; // ADDED
+                if (x < -radius || y < -radius || x > box.width + radius || y > box.height + radius) continue; // ADDED
+                if (asPixels) { // ADDED
+                    ctx.fillRect(Math.round(x), Math.round(y), 1, 1); // ADDED
+                    continue; // ADDED
+                } // ADDED
+                ctx.beginPath(); // ADDED
+                ctx.arc(x, y, radius, 0, Math.PI * 2); // ADDED
+                ctx.fill(); // ADDED
+                ctx.stroke(); // ADDED
+            } // ADDED
+        } // ADDED
+
+        function redraw() { // ADDED
+            const container = graph.container; // ADDED
+            if (!container) return; // ADDED
+            const live = new Set(); // ADDED
+            for (const groupCell of virtualGroups()) { // ADDED
+                const state = graph.view.getState(groupCell); // ADDED
+                const box = state ? visibleBox(groupCell, state, container) : null; // ADDED
+                if (!box) continue; // ADDED
+                live.add(groupCell.id); // ADDED
+                let canvas = canvases.get(groupCell.id); // ADDED
+                if (!canvas) { // ADDED
+                    canvas = document.createElement("canvas"); // ADDED
+                    canvas.className = "trellis-virtual-plants"; // ADDED
+                    canvas.style.cssText = `position:absolute;pointer-events:none;z-index:${GRAPH_OVERLAY_Z.ANNOTATION - 1};`; // ADDED
+                    container.appendChild(canvas); // ADDED
+                    canvases.set(groupCell.id, canvas); // ADDED
+                } // ADDED
+                paintGroup(canvas, groupCell, state, box); // ADDED
+            } // ADDED
+            for (const [id, canvas] of canvases) { // ADDED
+                if (live.has(id)) continue; // ADDED
+                if (canvas.parentNode) canvas.parentNode.removeChild(canvas); // ADDED
+                canvases.delete(id); // ADDED
+            } // ADDED
+        } // ADDED
+
+        model.addListener(mxEvent.CHANGE, scheduleRedraw); // ADDED
+        [mxEvent.SCALE, mxEvent.TRANSLATE, mxEvent.SCALE_AND_TRANSLATE, mxEvent.REPAINT].forEach(function (eventName) { // ADDED
+            if (eventName) graph.view.addListener(eventName, scheduleRedraw); // ADDED
+        }); // ADDED
+        if (graph.container && graph.container.addEventListener) graph.container.addEventListener("scroll", scheduleRedraw, { passive: true }); // ADDED
+        scheduleRedraw(); // ADDED
+    })(); // ADDED
+
     function minGroupSizePx(spacingXpx, spacingYpx, bandPx) {
         const b = Number.isFinite(Number(bandPx)) ? Number(bandPx) : GROUP_LABEL_BAND_PX;
         const minW = (GROUP_PADDING_PX * 2) + spacingXpx;
@@ -4925,7 +6247,7 @@ Draw.loadPlugin(function (ui) {
             spacingYpx: sy, // NEW
             iconDiamPx: iconDiam, // NEW
             bandPx, // NEW
-            rotated: includeLayout ? hasEffectiveRotation(groupCell) : false, // CHANGE
+            reflow: includeLayout ? hasEffectiveRotation(groupCell) || getPlantingPattern(groupCell) !== "square" || !!findShapedBedForGroup(groupCell) : false, // CHANGE: rotated groups, non-square patterns and shaped beds reposition existing slots on resize
             layoutSnapshot: includeLayout ? resolveLayoutSnapshot(graph, groupCell) : null // CHANGE
         }; // NEW
     } // NEW
@@ -4980,8 +6302,7 @@ Draw.loadPlugin(function (ui) {
 
 
     function gridSnapshot(groupCell, spacingXpx, spacingYpx) {
-        const { rows, cols, count } = computeGridStatsXY(groupCell, spacingXpx, spacingYpx);
-        return { rows, cols, count };
+        return computeGridStatsXY(groupCell, spacingXpx, spacingYpx); // CHANGE
     }
 
     function ensureLineSlotsPresent(graph, groupCell, abbr, rows, cols, spacingXpx, spacingYpx, iconDiamPx, opts = {}) { // CHANGE
@@ -5205,7 +6526,7 @@ Draw.loadPlugin(function (ui) {
         });
     }
 
-    function pruneDisabledToGrid(model, groupCell, rows, cols) {
+    function pruneDisabledToGrid(model, groupCell, layout) { // CHANGE
         const set = readDisabledSet(groupCell);
         if (!set.size) return { changed: false, set };
 
@@ -5213,7 +6534,7 @@ Draw.loadPlugin(function (ui) {
         for (const key of Array.from(set)) {
             const [rs, cs] = key.split(",");
             const r = Number(rs), c = Number(cs);
-            if (!Number.isFinite(r) || !Number.isFinite(c) || r < 0 || c < 0 || r >= rows || c >= cols) {
+            if (!Number.isFinite(r) || !Number.isFinite(c) || !patternHasSlot(layout, r, c)) { // CHANGE
                 set.delete(key);
                 changed = true;
             }
@@ -5390,13 +6711,13 @@ Draw.loadPlugin(function (ui) {
                     const nextBandPx = groupLabelMetrics(g).bandPx;
                     const deltaBandY = (Number(nextBandPx) || 0) - (Number(snap.bandPx) || 0);
                     if (deltaBandY) {
-                        if (snap.rotated) shiftLayoutSnapshotByDeltaY(snap.layoutSnapshot, deltaBandY); // NEW
+                        if (snap.reflow) shiftLayoutSnapshotByDeltaY(snap.layoutSnapshot, deltaBandY); // CHANGE
                         else shiftGroupChildrenByDeltaBand(graph, g, deltaBandY, { inTransaction: true }); // CHANGE
                         snap.bandPx = nextBandPx;
                     }
 
                     // Prune disabled entries now outside grid
-                    pruneDisabledToGrid(model, g, next.rows, next.cols);
+                    pruneDisabledToGrid(model, g, next); // CHANGE
 
                     // Update group count/yield to match new capacity
                     {
@@ -5412,19 +6733,19 @@ Draw.loadPlugin(function (ui) {
 
                     // LOD thresholds
                     if (next.count > MAX_TILES || next.count > LOD_TILE_THRESHOLD) {
-                        collapseToSummary(graph, g, abbr, snap.spacingXpx, snap.spacingYpx, snap.rotated ? { layoutSnapshot: snap.layoutSnapshot, useLiveSnapshot: false } : {}); // CHANGE
+                        collapseToSummary(graph, g, abbr, snap.spacingXpx, snap.spacingYpx, snap.reflow ? { layoutSnapshot: snap.layoutSnapshot, useLiveSnapshot: false } : {}); // CHANGE
                         groupsNeedingRefresh.push(g);
                         continue;
                     }
 
                     // If currently collapsed but now under thresholds, expand
                     if (isCollapsedLOD(g)) {
-                        expandTiles(graph, g, abbr, snap.spacingXpx, snap.spacingYpx, snap.iconDiamPx, snap.rotated ? { layoutSnapshot: snap.layoutSnapshot, useLiveSnapshot: false } : {}); // CHANGE
+                        expandTiles(graph, g, abbr, snap.spacingXpx, snap.spacingYpx, snap.iconDiamPx, snap.reflow ? { layoutSnapshot: snap.layoutSnapshot, useLiveSnapshot: false } : {}); // CHANGE
                         groupsNeedingRefresh.push(g);
                         continue;
                     }
 
-                    if (snap.rotated) { // NEW
+                    if (snap.reflow) { // CHANGE
                         const synced = syncAutoTileGeometriesInPlace(graph, g, abbr, snap.spacingXpx, snap.spacingYpx, snap.iconDiamPx, { layoutSnapshot: snap.layoutSnapshot, useLiveSnapshot: false, inTransaction: true }); // CHANGE
                         if (synced.fallback) expandTiles(graph, g, abbr, snap.spacingXpx, snap.spacingYpx, snap.iconDiamPx, { layoutSnapshot: snap.layoutSnapshot, useLiveSnapshot: false }); // CHANGE
                         groupsNeedingRefresh.push(g); // NEW
@@ -5469,8 +6790,19 @@ Draw.loadPlugin(function (ui) {
     window.USL.tiler = Object.assign({}, window.USL.tiler, {
         retileGroup, // CHANGE
         retileAndFitToContainingBed, // CHANGE
+        createScheduledTilerGroupInBed, // ADDED
         createSiblingTilerGroupFromSource // ADDED
     });
+    window.TrellisHarvestLog = { // ADDED
+        ATTR: ATTR_HARVEST_LOG, // ADDED
+        grades: HARVEST_GRADES.slice(), // ADDED
+        parse: parseHarvestLog, // ADDED
+        read: readHarvestLog, // ADDED
+        summarize: summarizeHarvestLog, // ADDED
+        add: (groupCell, entry) => addHarvestLogEntry(graph, groupCell, entry), // ADDED
+        remove: (groupCell, entryId) => removeHarvestLogEntry(graph, groupCell, entryId), // ADDED
+        showDialog: groupCell => showHarvestLogDialog(ui, groupCell) // ADDED
+    }; // ADDED
     installTrellisDebugSurface(); // NEW
     bedFitLog("loaded", bedFitStatus()); // NEW
 
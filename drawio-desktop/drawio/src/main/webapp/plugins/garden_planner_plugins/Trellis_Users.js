@@ -31,8 +31,11 @@ Draw.loadPlugin(function (ui) {
     const ATTR_ACTOR_ROLE = "trellis_actor_role";
     const ATTR_REMEMBER_DIAGRAM_ID = "trellis_users_diagram_id"; // NEW
     const ATTR_HISTORY_ID = "trellis_history_id"; // NEW
+    const ATTR_AUDIT_LOG = "trellis_users_audit_json"; // ADDED
 
-    const PROTECTED_ATTRS = new Set([ATTR_STORE, ATTR_OWNER, ATTR_ACCESS_USERS, ATTR_ACCESS_GRANTS, ATTR_ACCESS_OPEN, ATTR_ROLE_USER, ATTR_ROLE_GARDEN_MODULE, ATTR_ROLE_TEAM_MODULE, ATTR_ROLE_ARCHIVED_USER, ATTR_ROLE_INACTIVE, ATTR_GARDEN_TEAM_MODULE, ATTR_TEAM_GARDEN_MODULE, ATTR_TEAM_ROLE_ARCHIVE]); // CHANGE
+    const PROTECTED_ATTRS = new Set([ATTR_STORE, ATTR_OWNER, ATTR_ACCESS_USERS, ATTR_ACCESS_GRANTS, ATTR_ACCESS_OPEN, ATTR_ROLE_USER, ATTR_ROLE_GARDEN_MODULE, ATTR_ROLE_TEAM_MODULE, ATTR_ROLE_ARCHIVED_USER, ATTR_ROLE_INACTIVE, ATTR_GARDEN_TEAM_MODULE, ATTR_TEAM_GARDEN_MODULE, ATTR_TEAM_ROLE_ARCHIVE, ATTR_AUDIT_LOG]); // CHANGE
+    const AUDITED_ATTRS = [ATTR_OWNER, ATTR_CREATED_BY, ATTR_EDITED_BY, ATTR_ACCESS_GRANTS, ATTR_ACCESS_USERS, ATTR_ACCESS_OPEN]; // ADDED
+    const AUDIT_GENESIS = "genesis"; // ADDED
     const ACCESS_PRESETS = ["visitor", "gardener", "coordinator"]; // CHANGE
     const CAP_CREATE_PLANTINGS = "create_plantings"; // NEW
     const CAP_MANAGE_OWN_PLANTINGS = "manage_own_plantings"; // NEW
@@ -51,12 +54,16 @@ Draw.loadPlugin(function (ui) {
     const SCOPE_GRANT_ATTRS = new Set([ATTR_ACCESS_USERS, ATTR_ACCESS_GRANTS, ATTR_ACCESS_OPEN]); // NEW
     const USER_ID_PREFIX = "user_";
     const PIN_SALT_PREFIX = "salt_";
+    const SECRET_KDF = "pbkdf2-sha256"; // ADDED
+    const SECRET_KDF_ITERATIONS = 600000; // CHANGED
+    const SECRET_SALT_BYTES = 16; // ADDED
     const DIAGRAM_ID_PREFIX = "diagram_users_"; // NEW
     const INVITE_ID_PREFIX = "invite_"; // NEW
     const ACCESS_REQUEST_ID_PREFIX = "access_request_"; // NEW
     const ACCESS_MESSAGE_ID_PREFIX = "access_message_"; // NEW
     const INVITE_CODE_SALT_PREFIX = "invite_salt_"; // NEW
     const INVITE_EXPIRY_MS = 14 * 24 * 60 * 60 * 1000; // NEW
+    const LEGACY_PIN_GRACE_MS = 30 * 24 * 60 * 60 * 1000; // ADDED
     const REMEMBER_STORAGE_PREFIX = "trellis_users_remembered_login_v1:"; // NEW
     const USERS_UI_LAYER_Z = 2000000000; // NEW
     const AUTH_OVERLAY_Z = 2147483000; // NEW
@@ -96,6 +103,7 @@ Draw.loadPlugin(function (ui) {
     let rejectedEditDismissPaused = false; // NEW
     let rejectedEditKeyHandler = null; // NEW
     let rejectedEditOutsideHandler = null; // NEW
+    let authWork = Promise.resolve(); // ADDED
 
     function nowMs() {
         return Date.now();
@@ -131,10 +139,12 @@ Draw.loadPlugin(function (ui) {
         return value && typeof value === "object" && typeof value.cloneNode === "function" ? value.cloneNode(true) : value; // NEW
     } // NEW
 
-    function TrellisUsersValueChange(cell, previous, value) { // NEW
+    // `companion` is swapped together with this change (the audit-log entry recording the stamp). // ADDED
+    function TrellisUsersValueChange(cell, previous, value, companion) { // CHANGE
         this.cell = cell; // NEW
         this.previous = previous; // NEW
         this.value = value; // NEW
+        this.companion = companion || null; // ADDED
         this.__trellisUsersActorStamp = true; // NEW
     } // NEW
 
@@ -143,6 +153,7 @@ Draw.loadPlugin(function (ui) {
         const next = this.previous; // NEW
         this.previous = this.cell.value; // NEW
         this.cell.value = next; // NEW
+        if (this.companion) this.companion.execute(); // ADDED
     }; // NEW
 
     function getAttr(cell, key) {
@@ -153,9 +164,11 @@ Draw.loadPlugin(function (ui) {
         if (!cell || !key) return;
         const node = ensureXmlValue(cell);
         if (!node) return;
+        const auditBefore = AUDITED_ATTRS.indexOf(key) >= 0 && cell !== metadataCell() ? auditedValues(cell) : null; // ADDED
         if (value == null || value === "") node.removeAttribute(key);
         else node.setAttribute(key, String(value));
         if (model && typeof model.setValue === "function") model.setValue(cell, node);
+        if (auditBefore) recordAuditAttr(cell, key, auditBefore); // ADDED
     }
 
     function parseJson(text, fallback) {
@@ -273,7 +286,8 @@ Draw.loadPlugin(function (ui) {
         const invites = Array.isArray(source.invites) ? source.invites.map(normalizeInvite).filter(Boolean) : []; // NEW
         const accessRequests = Array.isArray(source.accessRequests) ? source.accessRequests.map(normalizeAccessRequest).filter(Boolean) : []; // NEW
         const accessMessages = Array.isArray(source.accessMessages) ? source.accessMessages.map(normalizeAccessMessage).filter(Boolean) : []; // NEW
-        return { schemaVersion: 1, usersEnabled: source.usersEnabled === true || source.usersEnabled === "1", users, pendingUsers, invites, accessRequests, accessMessages }; // CHANGE
+        const legacyPinsExpireAt = Number(source.legacyPinsExpireAt) || 0; // ADDED
+        return { schemaVersion: 1, usersEnabled: source.usersEnabled === true || source.usersEnabled === "1", users, pendingUsers, invites, accessRequests, accessMessages, legacyPinsExpireAt }; // CHANGED
     }
 
     function readStore() {
@@ -311,12 +325,163 @@ Draw.loadPlugin(function (ui) {
         return (h >>> 0).toString(16);
     }
 
+    // ---- Audit chain digest: SHA-256 ---- // ADDED
+    // Audit entries are appended inside undoable model edits, which cannot wait on crypto.subtle, // ADDED
+    // so the chain digest is computed here. PINs and invite codes go through WebCrypto below. // ADDED
+
+    const SHA256_K = [ // ADDED
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5, // ADDED
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, // ADDED
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da, // ADDED
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967, // ADDED
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, // ADDED
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070, // ADDED
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3, // ADDED
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2 // ADDED
+    ]; // ADDED
+    const SHA256_INIT = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]; // ADDED
+    const sha256Words = new Int32Array(64); // ADDED
+
+    function sha256Block(state, bytes, offset) { // ADDED
+        const w = sha256Words; // ADDED
+        for (let i = 0; i < 16; i++) { // ADDED
+            const j = offset + i * 4; // ADDED
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3]; // ADDED
+        } // ADDED
+        for (let i = 16; i < 64; i++) { // ADDED
+            const a = w[i - 15]; // ADDED
+            const b = w[i - 2]; // ADDED
+            const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3); // ADDED
+            const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10); // ADDED
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0; // ADDED
+        } // ADDED
+        let a = state[0], b = state[1], c = state[2], d = state[3], e = state[4], f = state[5], g = state[6], h = state[7]; // ADDED
+        for (let i = 0; i < 64; i++) { // ADDED
+            const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7)); // ADDED
+            const t1 = (h + s1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0; // ADDED
+            const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10)); // ADDED
+            const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0; // ADDED
+            h = g; g = f; f = e; e = (d + t1) | 0; d = c; c = b; b = a; a = (t1 + t2) | 0; // ADDED
+        } // ADDED
+        state[0] = (state[0] + a) | 0; state[1] = (state[1] + b) | 0; state[2] = (state[2] + c) | 0; state[3] = (state[3] + d) | 0; // ADDED
+        state[4] = (state[4] + e) | 0; state[5] = (state[5] + f) | 0; state[6] = (state[6] + g) | 0; state[7] = (state[7] + h) | 0; // ADDED
+    } // ADDED
+
+    function sha256Digest(bytes) { // CHANGED
+        const length = bytes.length; // ADDED
+        const total = ((length + 9 + 63) >> 6) << 6; // ADDED
+        const buffer = new Uint8Array(total); // ADDED
+        buffer.set(bytes); // ADDED
+        buffer[length] = 0x80; // ADDED
+        const bits = length * 8; // CHANGED
+        const high = Math.floor(bits / 0x100000000); // ADDED
+        for (let i = 0; i < 4; i++) { // ADDED
+            buffer[total - 8 + i] = (high >>> (24 - i * 8)) & 0xff; // ADDED
+            buffer[total - 4 + i] = (bits >>> (24 - i * 8)) & 0xff; // ADDED
+        } // ADDED
+        const next = SHA256_INIT.slice(); // CHANGED
+        for (let offset = 0; offset < total; offset += 64) sha256Block(next, buffer, offset); // ADDED
+        const out = new Uint8Array(32); // ADDED
+        for (let i = 0; i < 8; i++) { // ADDED
+            out[i * 4] = (next[i] >>> 24) & 0xff; // ADDED
+            out[i * 4 + 1] = (next[i] >>> 16) & 0xff; // ADDED
+            out[i * 4 + 2] = (next[i] >>> 8) & 0xff; // ADDED
+            out[i * 4 + 3] = next[i] & 0xff; // ADDED
+        } // ADDED
+        return out; // ADDED
+    } // ADDED
+
+    function utf8Bytes(text) { // ADDED
+        const binary = unescape(encodeURIComponent(String(text == null ? "" : text))); // ADDED
+        const out = new Uint8Array(binary.length); // ADDED
+        for (let i = 0; i < binary.length; i++) out[i] = binary.charCodeAt(i); // ADDED
+        return out; // ADDED
+    } // ADDED
+
+    function bytesToHex(bytes) { // ADDED
+        let out = ""; // ADDED
+        for (let i = 0; i < bytes.length; i++) out += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16); // ADDED
+        return out; // ADDED
+    } // ADDED
+
+    function sha256Hex(text) { // ADDED
+        return bytesToHex(sha256Digest(utf8Bytes(text))); // CHANGED
+    } // ADDED
+
     function makeId(prefix) {
         return prefix + nowMs().toString(36) + "_" + Math.random().toString(36).slice(2, 9);
     }
 
+    function makeSalt(prefix) { // ADDED
+        const source = (typeof window !== "undefined" && window.crypto) || (typeof crypto !== "undefined" ? crypto : null); // ADDED
+        if (!source || typeof source.getRandomValues !== "function") return makeId(prefix); // ADDED
+        const bytes = new Uint8Array(SECRET_SALT_BYTES); // ADDED
+        source.getRandomValues(bytes); // ADDED
+        return prefix + bytesToHex(bytes); // ADDED
+    } // ADDED
+
+    // ---- Secrets: WebCrypto PBKDF2-HMAC-SHA-256 ---- // ADDED
+
+    function subtleCrypto() { // ADDED
+        const sources = [typeof window !== "undefined" ? window.crypto : null, typeof crypto !== "undefined" ? crypto : null]; // ADDED
+        const source = sources.find(function (entry) { return entry && entry.subtle && typeof entry.subtle.deriveBits === "function"; }); // ADDED
+        return source ? source.subtle : null; // ADDED
+    } // ADDED
+
+    function pbkdf2Sha256Hex(secret, salt, iterations) { // ADDED
+        const subtle = subtleCrypto(); // ADDED
+        if (!subtle) return Promise.reject(new Error("Secure PIN hashing is unavailable in this window.")); // ADDED
+        return subtle.importKey("raw", utf8Bytes(secret), "PBKDF2", false, ["deriveBits"]).then(function (key) { // ADDED
+            return subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt: utf8Bytes(salt), iterations }, key, 256); // ADDED
+        }).then(function (bits) { // ADDED
+            return bytesToHex(new Uint8Array(bits)); // ADDED
+        }); // ADDED
+    } // ADDED
+
+    function secretFailure(err) { // ADDED
+        return { ok: false, reason: err && err.message ? err.message : String(err) }; // ADDED
+    } // ADDED
+
+    // Stored as "pbkdf2-sha256$<iterations>$<hex>"; anything else is a legacy stableHash value. // ADDED
+    function isSecretHash(stored) { // ADDED
+        return /^pbkdf2-sha256\$\d+\$[0-9a-f]{64}$/.test(String(stored || "")); // ADDED
+    } // ADDED
+
+    function hashSecret(material) { // ADDED
+        return pbkdf2Sha256Hex(material.secret, material.salt, SECRET_KDF_ITERATIONS).then(function (hex) { // CHANGED
+            return SECRET_KDF + "$" + SECRET_KDF_ITERATIONS + "$" + hex; // ADDED
+        }); // ADDED
+    } // ADDED
+
+    // Resolves { ok, legacy, stale }: `stale` hashes verify but should be re-hashed at the current iteration count. // ADDED
+    function verifySecret(material, stored) { // ADDED
+        if (isSecretHash(stored)) { // CHANGED
+            const parts = String(stored).split("$"); // CHANGED
+            const iterations = Number(parts[1]); // ADDED
+            if (!(iterations > 0)) return Promise.resolve({ ok: false, legacy: false, stale: false }); // CHANGED
+            return pbkdf2Sha256Hex(material.secret, material.salt, iterations).then(function (hex) { // CHANGED
+                return { ok: hex === parts[2], legacy: false, stale: iterations < SECRET_KDF_ITERATIONS }; // ADDED
+            }); // ADDED
+        } // ADDED
+        const ok = !!stored && !!material.legacy && stableHash(material.legacy) === stored; // ADDED
+        return Promise.resolve({ ok, legacy: true, stale: true }); // CHANGED
+    } // ADDED
+
+    function pinMaterial(pin, salt) { // ADDED
+        return { secret: String(pin || ""), salt: String(salt || ""), legacy: String(salt || "") + "::" + String(pin || "") }; // ADDED
+    } // ADDED
+
+    function inviteCodeMaterial(code, salt) { // ADDED
+        const clean = String(code || "").trim().toUpperCase(); // ADDED
+        return { secret: clean, salt: String(salt || "") + "::invite" }; // CHANGED
+    } // ADDED
+
     function hashPin(pin, salt) {
-        return stableHash(String(salt || "") + "::" + String(pin || ""));
+        return hashSecret(pinMaterial(pin, salt)); // CHANGE
+    } // ADDED
+
+    function verifyPin(user, pin) { // ADDED
+        return user ? verifySecret(pinMaterial(pin, user.pinSalt), user.pinHash) : Promise.resolve({ ok: false, legacy: false, stale: false }); // CHANGED
     }
 
     function normalizeEmail(email) { // NEW
@@ -332,9 +497,14 @@ Draw.loadPlugin(function (ui) {
     } // NEW
 
     function hashInviteCode(code, salt) { // NEW
-        return stableHash(String(salt || "") + "::invite::" + String(code || "").trim().toUpperCase()); // NEW
+        return hashSecret(inviteCodeMaterial(code, salt)); // CHANGE
     } // NEW
 
+    // Invite codes have no legacy fallback: pending invites with old hashes are expired by expireInvites(). // ADDED
+    function verifyInviteCode(invite, code) { // ADDED
+        return verifySecret(inviteCodeMaterial(code, invite && invite.codeSalt), invite && invite.codeHash).then(function (result) { return result.ok; }); // CHANGED
+    } // ADDED
+
     function userById(id) {
         return readStore().users.find(function (user) { return user.id === id && !user.disabled; }) || null;
     }
@@ -688,7 +858,7 @@ Draw.loadPlugin(function (ui) {
         const source = normalizeStore(store); // NEW
         let changed = false; // NEW
         source.invites.forEach(function (invite) { // NEW
-            if (invite.status === "pending" && nowMs() > invite.expiresAt) { // NEW
+            if (invite.status === "pending" && (nowMs() > invite.expiresAt || !isSecretHash(invite.codeHash))) { // CHANGED
                 invite.status = "expired"; // NEW
                 removeGrantsForUser(invite.pendingUserId, invite.scopeCellIds); // NEW
                 changed = true; // NEW
@@ -698,6 +868,19 @@ Draw.loadPlugin(function (ui) {
         return source; // NEW
     } // NEW
 
+    // Legacy 32-bit PIN hashes are re-hashed at their owner's next login. The first login after upgrade // ADDED
+    // starts a grace window; once it ends, the remaining legacy hashes are cleared and need an admin PIN reset. // ADDED
+    function expireLegacyPins(store) { // ADDED
+        const source = normalizeStore(store); // ADDED
+        const legacyUsers = source.users.filter(function (user) { return user.pinHash && !isSecretHash(user.pinHash); }); // ADDED
+        if (!legacyUsers.length) return source; // ADDED
+        if (!source.legacyPinsExpireAt) source.legacyPinsExpireAt = nowMs() + LEGACY_PIN_GRACE_MS; // ADDED
+        else if (nowMs() > source.legacyPinsExpireAt) legacyUsers.forEach(function (user) { user.pinHash = ""; }); // ADDED
+        else return source; // ADDED
+        writeStore(source); // ADDED
+        return source; // ADDED
+    } // ADDED
+
     function emailExists(store, email) { // NEW
         const clean = normalizeEmail(email); // NEW
         return store.users.some(function (user) { return normalizeEmail(user.email) === clean; }) || // NEW
@@ -705,23 +888,31 @@ Draw.loadPlugin(function (ui) {
             store.invites.some(function (invite) { return invite.status === "pending" && normalizeEmail(invite.email) === clean; }); // NEW
     } // NEW
 
-    function createUser(name, pin, admin) {
+    function createUserProblem(store, cleanName) { // ADDED
+        if (!store.usersEnabled) return "Enable users before adding accounts."; // CHANGED
+        if (store.users.length && !isAdmin()) return "Only admins can create users."; // CHANGED
+        if (store.users.some(function (user) { return user.name.toLowerCase() === cleanName.toLowerCase(); })) return "A user with that name already exists."; // CHANGED
+        return ""; // ADDED
+    } // ADDED
+
+    async function createUser(name, pin, admin) { // CHANGED
         const cleanName = String(name || "").trim();
         const cleanPin = String(pin || "");
         if (!cleanName || !cleanPin) return { ok: false, reason: "Enter a name and PIN." };
-        const store = readStore();
-        if (!store.usersEnabled) return { ok: false, reason: "Enable users before adding accounts." }; // NEW
-        const bootstrap = store.users.length === 0;
-        if (!bootstrap && !isAdmin()) return { ok: false, reason: "Only admins can create users." };
-        if (store.users.some(function (user) { return user.name.toLowerCase() === cleanName.toLowerCase(); })) { // CHANGE
-            return { ok: false, reason: "A user with that name already exists." };
-        }
-        const salt = makeId(PIN_SALT_PREFIX);
+        const problem = createUserProblem(readStore(), cleanName); // CHANGED
+        if (problem) return { ok: false, reason: problem }; // ADDED
+        const salt = makeSalt(PIN_SALT_PREFIX); // CHANGE
+        let pinHash = ""; // ADDED
+        try { pinHash = await hashPin(cleanPin, salt); } catch (err) { return secretFailure(err); } // ADDED
+        const store = readStore(); // CHANGED
+        const lateProblem = createUserProblem(store, cleanName); // ADDED
+        if (lateProblem) return { ok: false, reason: lateProblem }; // ADDED
+        const bootstrap = store.users.length === 0; // CHANGED
         const user = {
             id: makeId(USER_ID_PREFIX),
             name: cleanName,
             pinSalt: salt,
-            pinHash: hashPin(cleanPin, salt),
+            pinHash, // CHANGED
             admin: bootstrap ? true : !!admin,
             disabled: false,
             createdAt: nowMs()
@@ -738,14 +929,17 @@ Draw.loadPlugin(function (ui) {
         if (!hadAuthGate && message) showStatus(message); // NEW
     } // NEW
 
-    function enableUsersState(name, pin) { // NEW
-        const store = readStore(); // NEW
-        if (store.usersEnabled) return { ok: true, enabled: true }; // NEW
+    async function enableUsersState(name, pin) { // CHANGED
+        if (readStore().usersEnabled) return { ok: true, enabled: true }; // CHANGED
         const cleanName = String(name || "").trim(); // NEW
         const cleanPin = String(pin || ""); // NEW
         if (!cleanName || !cleanPin) return { ok: false, reason: "Enter a name and PIN to create the first admin." }; // NEW
-        const salt = makeId(PIN_SALT_PREFIX); // NEW
-        const user = { id: makeId(USER_ID_PREFIX), name: cleanName, pinSalt: salt, pinHash: hashPin(cleanPin, salt), admin: true, disabled: false, createdAt: nowMs() }; // NEW
+        const salt = makeSalt(PIN_SALT_PREFIX); // NEW
+        let pinHash = ""; // ADDED
+        try { pinHash = await hashPin(cleanPin, salt); } catch (err) { return secretFailure(err); } // ADDED
+        const store = readStore(); // ADDED
+        if (store.usersEnabled) return { ok: true, enabled: true }; // ADDED
+        const user = { id: makeId(USER_ID_PREFIX), name: cleanName, pinSalt: salt, pinHash, admin: true, disabled: false, createdAt: nowMs() }; // CHANGED
         store.usersEnabled = true; // NEW
         store.users = [user]; // NEW
         currentUserId = user.id; // NEW
@@ -753,44 +947,68 @@ Draw.loadPlugin(function (ui) {
         return { ok: true, user: publicUser(user) }; // NEW
     } // NEW
 
-    function enableUsers(name, pin) { // CHANGE
+    async function enableUsers(name, pin) { // CHANGED
         const hadAuthGate = !!authOverlay; // NEW
-        const result = enableUsersState(name, pin); // NEW
+        const result = await enableUsersState(name, pin); // CHANGED
         if (result.ok && result.user) finalizePublicAuthMutation("Users enabled. Created first admin: " + result.user.name, hadAuthGate); // NEW
         return result; // NEW
     } // NEW
 
-    function loginState(name, pin) { // NEW
+    async function loginState(name, pin) { // CHANGED
         if (!isEnabled()) return { ok: false, reason: "Users are not enabled for this diagram." }; // NEW
         if (canBootstrapAdmin()) {
-            const created = createUser(name, pin, true);
+            const created = await createUser(name, pin, true); // CHANGED
             if (!created.ok) return created;
             currentUserId = created.user.id;
             return { ok: true, user: created.user };
         }
+        expireLegacyPins(readStore()); // ADDED
         const user = userByName(name);
-        if (!user || user.pinHash !== hashPin(pin, user.pinSalt)) return { ok: false, reason: "Unknown user or incorrect PIN." };
+        if (user && !user.pinHash) return { ok: false, reason: "This PIN has expired. Ask an admin to reset it." }; // ADDED
+        let verified = null; // ADDED
+        try { verified = await verifyPin(user, pin); } catch (err) { return secretFailure(err); } // CHANGED
+        if (!verified.ok) return { ok: false, reason: "Unknown user or incorrect PIN." }; // ADDED
+        const current = userById(user.id); // ADDED
+        if (!current || current.pinHash !== user.pinHash) return { ok: false, reason: "Unknown user or incorrect PIN." }; // ADDED
         currentUserId = user.id;
-        return { ok: true, user: publicUser(user) };
-    } // NEW
-
-    function login(name, pin) { // CHANGE
+        if (verified.stale) await rehashPin(user, pin).catch(function () { return false; }); // CHANGED
+        return { ok: true, user: publicUser(current) }; // CHANGED
+    } // NEW
+
+    // Legacy and low-iteration PIN hashes can only be replaced once the PIN is known, i.e. at login. // CHANGED
+    async function rehashPin(verifiedUser, pin) { // CHANGED
+        const salt = makeSalt(PIN_SALT_PREFIX); // CHANGED
+        const pinHash = await hashPin(pin, salt); // CHANGED
+        const store = readStore(); // ADDED
+        const user = store.users.find(function (entry) { return entry.id === verifiedUser.id; }); // CHANGED
+        if (!user || user.pinHash !== verifiedUser.pinHash) return false; // CHANGED
+        user.pinSalt = salt; // CHANGED
+        user.pinHash = pinHash; // CHANGED
+        writeStore(store); // ADDED
+        return true; // ADDED
+    } // ADDED
+
+    async function login(name, pin) { // CHANGED
         const hadAuthGate = !!authOverlay; // NEW
-        const result = loginState(name, pin); // NEW
+        const result = await loginState(name, pin); // CHANGED
         if (result.ok && result.user) finalizePublicAuthMutation("Logged in as " + result.user.name, hadAuthGate); // NEW
         return result; // NEW
     }
 
-    function resetUserPin(userId, pin) { // NEW
+    async function resetUserPin(userId, pin) { // CHANGED
         if (!isAdmin()) return { ok: false, reason: "Only admins can reset PINs." }; // NEW
         const cleanPin = String(pin || ""); // NEW
         if (!cleanPin) return { ok: false, reason: "Enter a new PIN." }; // NEW
+        if (!storedUserById(userId)) return { ok: false, reason: "Unknown user." }; // ADDED
+        const salt = makeSalt(PIN_SALT_PREFIX); // NEW
+        let pinHash = ""; // ADDED
+        try { pinHash = await hashPin(cleanPin, salt); } catch (err) { return secretFailure(err); } // ADDED
+        if (!isAdmin()) return { ok: false, reason: "Only admins can reset PINs." }; // ADDED
         const store = readStore(); // NEW
         const user = store.users.find(function (entry) { return entry.id === userId; }); // NEW
         if (!user) return { ok: false, reason: "Unknown user." }; // NEW
-        const salt = makeId(PIN_SALT_PREFIX); // NEW
         user.pinSalt = salt; // NEW
-        user.pinHash = hashPin(cleanPin, salt); // NEW
+        user.pinHash = pinHash; // CHANGED
         writeStore(store); // NEW
         return { ok: true }; // NEW
     } // NEW
@@ -1922,8 +2140,10 @@ Draw.loadPlugin(function (ui) {
         const user = currentUser();
         if (!cell || !user) return false;
         const node = ensureXmlValueDirect(cell); // CHANGE
+        const auditBefore = auditedValues(cell); // ADDED
         const changed = applyActorStamp(node, user, kind, options); // NEW
         if (!changed) return false; // NEW
+        writeAuditLogDirect(auditLogAfterChange(cell, auditBefore, "stamp")); // ADDED
         refreshPanel();
         return true;
     }
@@ -1934,10 +2154,202 @@ Draw.loadPlugin(function (ui) {
         if (!edit || !Array.isArray(edit.changes)) return stampActorDirect(cell, kind, options); // NEW
         const previous = cloneCellValueForUndo(cell.value); // NEW
         const node = ensureXmlValueDirect(cell); // NEW
+        const auditBefore = auditedValues(cell); // ADDED
         if (!applyActorStamp(node, user, kind, options)) return false; // NEW
         const value = cloneCellValueForUndo(cell.value); // NEW
-        return addChangeToEdit(edit, new TrellisUsersValueChange(cell, previous, value)); // NEW
-    } // NEW
+        const auditChange = auditLogChange(auditLogAfterChange(cell, auditBefore, "stamp")); // CHANGE
+        return addChangeToEdit(edit, new TrellisUsersValueChange(cell, previous, value, auditChange)); // CHANGE
+    } // NEW
+
+    // ---- Attribution audit log ---- // ADDED
+    // Every accepted change to ownership, actor stamps or grants appends a snapshot of the cell's // ADDED
+    // audited attributes to a hash chain stored on the metadata cell. Anyone can recompute the whole // ADDED
+    // chain, so it is tamper-evident rather than tamper-proof: a coordinator who notes auditHead() // ADDED
+    // can later prove that the recorded history up to that point was not rewritten. // ADDED
+
+    function stableStringify(value) { // ADDED
+        if (Array.isArray(value)) return "[" + value.map(stableStringify).join(",") + "]"; // ADDED
+        if (value && typeof value === "object") return "{" + Object.keys(value).sort().map(function (key) { return JSON.stringify(key) + ":" + stableStringify(value[key]); }).join(",") + "}"; // ADDED
+        return JSON.stringify(value === undefined ? null : value); // ADDED
+    } // ADDED
+
+    function auditedValues(cell) { // ADDED
+        const out = {}; // ADDED
+        AUDITED_ATTRS.forEach(function (key) { // ADDED
+            const value = getAttr(cell, key); // ADDED
+            if (value != null && value !== "") out[key] = String(value); // ADDED
+        }); // ADDED
+        return out; // ADDED
+    } // ADDED
+
+    function auditEntryHash(entry) { // ADDED
+        const payload = Object.assign({}, entry); // ADDED
+        delete payload.hash; // ADDED
+        return sha256Hex(String(entry.prev || "") + "\n" + stableStringify(payload)); // ADDED
+    } // ADDED
+
+    function readAuditLog() { // ADDED
+        const parsed = parseJson(getAttr(metadataCell(), ATTR_AUDIT_LOG), []); // ADDED
+        return Array.isArray(parsed) ? parsed.filter(function (entry) { return entry && typeof entry === "object"; }) : []; // ADDED
+    } // ADDED
+
+    function auditHead(log) { // ADDED
+        const entries = log || readAuditLog(); // ADDED
+        return entries.length ? String(entries[entries.length - 1].hash || "") : AUDIT_GENESIS; // ADDED
+    } // ADDED
+
+    function appendAuditEntry(log, fields) { // ADDED
+        const user = currentUser(); // ADDED
+        const entry = Object.assign({ seq: log.length + 1, at: nowMs(), actorUserId: user ? user.id : "", actorName: user ? user.name : "" }, fields, { prev: auditHead(log) }); // ADDED
+        entry.hash = auditEntryHash(entry); // ADDED
+        log.push(entry); // ADDED
+        return entry; // ADDED
+    } // ADDED
+
+    // Replays the log into the last recorded values per cell id. // ADDED
+    function auditedStateFromLog(log) { // ADDED
+        const state = new Map(); // ADDED
+        log.forEach(function (entry) { // ADDED
+            if (entry.kind === "baseline") Object.keys(entry.cells || {}).forEach(function (id) { state.set(id, entry.cells[id] || {}); }); // ADDED
+            else if (entry.cellId) state.set(String(entry.cellId), entry.values || {}); // ADDED
+        }); // ADDED
+        return state; // ADDED
+    } // ADDED
+
+    function auditBaselineCells() { // ADDED
+        const cells = {}; // ADDED
+        traverseCells(model.getRoot && model.getRoot(), function (cell) { // ADDED
+            if (cell === metadataCell()) return; // ADDED
+            const values = auditedValues(cell); // ADDED
+            if (Object.keys(values).length) cells[cellId(cell)] = values; // ADDED
+        }); // ADDED
+        return cells; // ADDED
+    } // ADDED
+
+    // The first entry snapshots attribution that predates the log, using `beforeById` for cells that // ADDED
+    // are mid-change, so only later changes need their own entries. // ADDED
+    function auditLogForWrite(beforeById) { // ADDED
+        const log = readAuditLog(); // ADDED
+        if (log.length) return log; // ADDED
+        const cells = auditBaselineCells(); // ADDED
+        Object.keys(beforeById || {}).forEach(function (id) { // ADDED
+            if (Object.keys(beforeById[id]).length) cells[id] = beforeById[id]; // ADDED
+            else delete cells[id]; // ADDED
+        }); // ADDED
+        appendAuditEntry(log, { kind: "baseline", cells }); // ADDED
+        return log; // ADDED
+    } // ADDED
+
+    // `attrs` limits the entry to what the app just wrote; anything else keeps its last recorded value, // ADDED
+    // so a hand edit is still reported after the cell is next stamped. // ADDED
+    function appendAuditValues(log, cell, attrs, fields) { // ADDED
+        const id = cellId(cell); // ADDED
+        const known = auditedStateFromLog(log).get(id) || {}; // ADDED
+        const actual = auditedValues(cell); // ADDED
+        const values = attrs ? Object.assign({}, known) : actual; // ADDED
+        (attrs || []).forEach(function (key) { // ADDED
+            if (actual[key]) values[key] = actual[key]; // ADDED
+            else delete values[key]; // ADDED
+        }); // ADDED
+        if (stableStringify(known) === stableStringify(values)) return false; // ADDED
+        appendAuditEntry(log, Object.assign({ cellId: id, values }, fields)); // ADDED
+        return true; // ADDED
+    } // ADDED
+
+    function auditLogAfterChange(cell, before, kind, key) { // ADDED
+        const id = cellId(cell); // ADDED
+        if (!id || cell === metadataCell()) return null; // ADDED
+        const after = auditedValues(cell); // ADDED
+        const attrs = AUDITED_ATTRS.filter(function (attr) { return (before[attr] || "") !== (after[attr] || ""); }); // ADDED
+        if (!attrs.length) return null; // ADDED
+        const beforeById = {}; // ADDED
+        beforeById[id] = before; // ADDED
+        const log = auditLogForWrite(beforeById); // ADDED
+        return appendAuditValues(log, cell, attrs, key ? { kind, attr: key } : { kind }) ? log : null; // ADDED
+    } // ADDED
+
+    // Cells added by an accepted edit (paste, duplicate, library drop) carry their attribution with them. // ADDED
+    function auditLogForAddedCells(cells) { // ADDED
+        const log = readAuditLog(); // ADDED
+        let appended = false; // ADDED
+        (cells || []).forEach(function (root) { // ADDED
+            traverseCells(root, function (cell) { // ADDED
+                if (!Object.keys(auditedValues(cell)).length || cell === metadataCell()) return; // ADDED
+                if (!log.length) appendAuditEntry(log, { kind: "baseline", cells: auditBaselineCells() }); // ADDED
+                appended = appendAuditValues(log, cell, null, { kind: "created" }) || appended; // ADDED
+            }); // ADDED
+        }); // ADDED
+        return appended ? log : null; // ADDED
+    } // ADDED
+
+    function writeAuditLogDirect(log) { // ADDED
+        if (!log) return false; // ADDED
+        ensureXmlValueDirect(metadataCell()).setAttribute(ATTR_AUDIT_LOG, JSON.stringify(log)); // ADDED
+        return true; // ADDED
+    } // ADDED
+
+    function auditLogChange(log) { // ADDED
+        if (!log) return null; // ADDED
+        const meta = metadataCell(); // ADDED
+        const previous = cloneCellValueForUndo(meta.value); // ADDED
+        writeAuditLogDirect(log); // ADDED
+        return new TrellisUsersValueChange(meta, previous, cloneCellValueForUndo(meta.value)); // ADDED
+    } // ADDED
+
+    function recordAuditAttr(cell, key, before) { // ADDED
+        const log = auditLogAfterChange(cell, before, key === ATTR_OWNER ? "owner" : (key === ATTR_CREATED_BY || key === ATTR_EDITED_BY ? "stamp" : "grant"), key); // ADDED
+        if (!log) return false; // ADDED
+        const wasInternal = graph[INTERNAL_FLAG]; // ADDED
+        graph[INTERNAL_FLAG] = true; // ADDED
+        try { setAttr(metadataCell(), ATTR_AUDIT_LOG, JSON.stringify(log)); } finally { graph[INTERNAL_FLAG] = wasInternal; } // ADDED
+        return true; // ADDED
+    } // ADDED
+
+    function verifyAuditLog(options) { // ADDED
+        const opts = options || {}; // ADDED
+        const log = readAuditLog(); // ADDED
+        const result = { ok: true, entries: log.length, head: auditHead(log), brokenAt: 0, anchorFound: true, tampered: [], unlogged: [] }; // ADDED
+        let prev = AUDIT_GENESIS; // ADDED
+        for (let i = 0; i < log.length; i++) { // ADDED
+            const entry = log[i]; // ADDED
+            if (entry.seq !== i + 1 || entry.prev !== prev || entry.hash !== auditEntryHash(entry)) { // ADDED
+                result.brokenAt = i + 1; // ADDED
+                break; // ADDED
+            } // ADDED
+            prev = entry.hash; // ADDED
+        } // ADDED
+        if (opts.expectedHead && opts.expectedHead !== AUDIT_GENESIS) result.anchorFound = log.slice(0, result.brokenAt ? result.brokenAt - 1 : log.length).some(function (entry) { return entry.hash === opts.expectedHead; }); // ADDED
+        const state = auditedStateFromLog(log); // ADDED
+        traverseCells(model.getRoot && model.getRoot(), function (cell) { // ADDED
+            if (cell === metadataCell()) return; // ADDED
+            const id = cellId(cell); // ADDED
+            const actual = auditedValues(cell); // ADDED
+            if (!state.has(id)) { // ADDED
+                if (log.length && Object.keys(actual).length) result.unlogged.push({ cellId: id, values: actual }); // ADDED
+                return; // ADDED
+            } // ADDED
+            const expected = state.get(id); // ADDED
+            AUDITED_ATTRS.forEach(function (attr) { // ADDED
+                if ((expected[attr] || "") !== (actual[attr] || "")) result.tampered.push({ cellId: id, attr, expected: expected[attr] || "", actual: actual[attr] || "" }); // ADDED
+            }); // ADDED
+        }); // ADDED
+        result.ok = !result.brokenAt && result.anchorFound && !result.tampered.length && !result.unlogged.length; // ADDED
+        return result; // ADDED
+    } // ADDED
+
+    function getAuditLog() { // ADDED
+        return readAuditLog().map(function (entry) { return JSON.parse(JSON.stringify(entry)); }); // ADDED
+    } // ADDED
+
+    function describeAuditVerification(result) { // ADDED
+        if (result.ok) return "Audit log verified: " + result.entries + " entr" + (result.entries === 1 ? "y" : "ies") + ", no unrecorded attribution changes."; // ADDED
+        const problems = []; // ADDED
+        if (result.brokenAt) problems.push("chain broken at entry " + result.brokenAt); // ADDED
+        if (!result.anchorFound) problems.push("expected head missing"); // ADDED
+        if (result.tampered.length) problems.push(result.tampered.length + " attribute" + (result.tampered.length === 1 ? "" : "s") + " changed outside the app"); // ADDED
+        if (result.unlogged.length) problems.push(result.unlogged.length + " unrecorded cell" + (result.unlogged.length === 1 ? "" : "s")); // ADDED
+        return "Audit log check failed: " + problems.join("; ") + "."; // ADDED
+    } // ADDED
 
     function activeModelEdit() { // NEW
         return model && model.currentEdit && Array.isArray(model.currentEdit.changes) ? model.currentEdit : null; // NEW
@@ -2059,28 +2471,38 @@ Draw.loadPlugin(function (ui) {
         return { to: invite.email, subject: "Trellis garden canvas invite", body: lines.join("\n") }; // NEW
     } // NEW
 
-    function createPendingInvite(options) { // NEW
+    function pendingInviteProblem(store, email, actor) { // ADDED
+        if (!store.usersEnabled) return "Enable users before sharing this garden canvas."; // CHANGED
+        if (!actor) return "Log in before sharing this garden canvas."; // CHANGED
+        if (emailExists(store, email)) return "That email is already invited or already belongs to a user."; // CHANGED
+        return ""; // ADDED
+    } // ADDED
+
+    async function createPendingInvite(options) { // CHANGED
         const source = options || {}; // NEW
         const email = normalizeEmail(source.email); // NEW
         if (!validEmail(email)) return { ok: false, reason: "Enter a complete recipient email address." }; // NEW
-        const store = expireInvites(readStore()); // NEW
-        if (!store.usersEnabled) return { ok: false, reason: "Enable users before sharing this garden canvas." }; // NEW
-        const actor = currentUser(); // NEW
-        if (!actor) return { ok: false, reason: "Log in before sharing this garden canvas." }; // NEW
-        if (emailExists(store, email)) return { ok: false, reason: "That email is already invited or already belongs to a user." }; // NEW
+        const problem = pendingInviteProblem(expireInvites(readStore()), email, currentUser()); // CHANGED
+        if (problem) return { ok: false, reason: problem }; // ADDED
         const scopeCheck = canInviteScopes(source.scopeCellIds || source.cells || []); // NEW
         if (!scopeCheck.ok) return { ok: false, reason: scopeCheck.reason }; // NEW
         const preset = normalizePreset(source.preset || "visitor"); // CHANGE
         const capabilities = normalizeCapabilities(source.capabilities, preset); // NEW
         const code = makeInviteCode(); // NEW
-        const codeSalt = makeId(INVITE_CODE_SALT_PREFIX); // NEW
+        const codeSalt = makeSalt(INVITE_CODE_SALT_PREFIX); // NEW
+        let codeHash = ""; // ADDED
+        try { codeHash = await hashInviteCode(code, codeSalt); } catch (err) { return secretFailure(err); } // ADDED
+        const store = expireInvites(readStore()); // ADDED
+        const actor = currentUser(); // CHANGED
+        const lateProblem = pendingInviteProblem(store, email, actor); // ADDED
+        if (lateProblem) return { ok: false, reason: lateProblem }; // ADDED
         const pendingUser = { id: makeId(USER_ID_PREFIX), email, invitedBy: actor.id, invitedAt: nowMs(), disabled: false }; // NEW
         const invite = { // NEW
             id: makeId(INVITE_ID_PREFIX), // NEW
             pendingUserId: pendingUser.id, // NEW
             email, // NEW
             codeSalt, // NEW
-            codeHash: hashInviteCode(code, codeSalt), // NEW
+            codeHash, // CHANGED
             scopeCellIds: scopeCheck.scopes.map(function (scope) { return scope.id; }), // NEW
             scopeLabels: scopeCheck.scopes.map(function (scope) { return scope.label; }), // NEW
             preset, // NEW
@@ -2098,23 +2520,33 @@ Draw.loadPlugin(function (ui) {
         return { ok: true, invite: publicInvite(invite), code, emailDraft }; // NEW
     } // NEW
 
-    function acceptInviteState(options) { // NEW
+    function activeInviteForEmail(store, email) { // ADDED
+        return store.invites.find(function (entry) { return entry.status === "pending" && normalizeEmail(entry.email) === email; }); // ADDED
+    } // ADDED
+
+    async function acceptInviteState(options) { // CHANGED
         const source = options || {}; // NEW
         const email = normalizeEmail(source.email); // NEW
         const name = String(source.name || "").trim(); // NEW
         const pin = String(source.pin || ""); // NEW
         const code = String(source.code || "").trim().toUpperCase(); // NEW
         if (!validEmail(email) || !code || !name || !pin) return { ok: false, reason: "Enter email, invite code, display name, and PIN." }; // NEW
-        const store = expireInvites(readStore()); // NEW
-        const invite = store.invites.find(function (entry) { return entry.status === "pending" && normalizeEmail(entry.email) === email; }); // NEW
-        if (!invite) return { ok: false, reason: "No active invite matches that email." }; // NEW
-        if (nowMs() > invite.expiresAt) return { ok: false, reason: "That invite has expired." }; // NEW
-        if (invite.codeHash !== hashInviteCode(code, invite.codeSalt)) return { ok: false, reason: "Invite code is incorrect." }; // NEW
+        const checked = activeInviteForEmail(expireInvites(readStore()), email); // CHANGED
+        if (!checked) return { ok: false, reason: "No active invite matches that email." }; // CHANGED
+        if (nowMs() > checked.expiresAt) return { ok: false, reason: "That invite has expired." }; // CHANGED
+        const salt = makeSalt(PIN_SALT_PREFIX); // CHANGED
+        let pinHash = ""; // ADDED
+        try { // ADDED
+            if (!await verifyInviteCode(checked, code)) return { ok: false, reason: "Invite code is incorrect." }; // CHANGED
+            pinHash = await hashPin(pin, salt); // ADDED
+        } catch (err) { return secretFailure(err); } // ADDED
+        const store = expireInvites(readStore()); // CHANGED
+        const invite = activeInviteForEmail(store, email); // CHANGED
+        if (!invite || invite.id !== checked.id || invite.codeHash !== checked.codeHash) return { ok: false, reason: "That invite changed while it was being checked. Try again." }; // ADDED
         if (store.users.some(function (user) { return user.name.toLowerCase() === name.toLowerCase(); })) return { ok: false, reason: "A user with that name already exists." }; // NEW
         const pending = store.pendingUsers.find(function (entry) { return entry.id === invite.pendingUserId; }); // NEW
         if (!pending) return { ok: false, reason: "Invite user record is missing." }; // NEW
-        const salt = makeId(PIN_SALT_PREFIX); // NEW
-        const user = { id: pending.id, name, email, pinSalt: salt, pinHash: hashPin(pin, salt), admin: false, disabled: false, createdAt: nowMs() }; // NEW
+        const user = { id: pending.id, name, email, pinSalt: salt, pinHash, admin: false, disabled: false, createdAt: nowMs() }; // CHANGED
         store.users.push(user); // NEW
         store.pendingUsers = store.pendingUsers.filter(function (entry) { return entry.id !== pending.id; }); // NEW
         invite.status = "accepted"; // NEW
@@ -2126,9 +2558,9 @@ Draw.loadPlugin(function (ui) {
         return { ok: true, user: publicUser(user) }; // NEW
     } // NEW
 
-    function acceptInvite(options) { // CHANGE
+    async function acceptInvite(options) { // CHANGED
         const hadAuthGate = !!authOverlay; // NEW
-        const result = acceptInviteState(options); // NEW
+        const result = await acceptInviteState(options); // CHANGED
         if (result.ok && result.user) finalizePublicAuthMutation("Invite accepted. Logged in as " + result.user.name + ".", hadAuthGate); // NEW
         return result; // NEW
     } // NEW
@@ -2156,14 +2588,27 @@ Draw.loadPlugin(function (ui) {
         return { ok: true }; // NEW
     } // NEW
 
-    function resendInvite(inviteId, shareInfo) { // NEW
-        const store = expireInvites(readStore()); // NEW
+    function resendableInvite(inviteId) { // ADDED
+        const store = expireInvites(readStore()); // CHANGED
         const invite = store.invites.find(function (entry) { return entry.id === inviteId; }); // NEW
         if (!invite || invite.status !== "pending") return { ok: false, reason: "No pending invite was found." }; // NEW
         if (!canManageInvite(invite)) return { ok: false, reason: "You cannot resend this invite." }; // NEW
+        return { ok: true, store, invite }; // ADDED
+    } // ADDED
+
+    async function resendInvite(inviteId, shareInfo) { // CHANGED
+        const initial = resendableInvite(inviteId); // ADDED
+        if (!initial.ok) return initial; // ADDED
         const code = makeInviteCode(); // NEW
-        invite.codeSalt = makeId(INVITE_CODE_SALT_PREFIX); // NEW
-        invite.codeHash = hashInviteCode(code, invite.codeSalt); // NEW
+        const codeSalt = makeSalt(INVITE_CODE_SALT_PREFIX); // CHANGED
+        let codeHash = ""; // ADDED
+        try { codeHash = await hashInviteCode(code, codeSalt); } catch (err) { return secretFailure(err); } // ADDED
+        const checked = resendableInvite(inviteId); // ADDED
+        if (!checked.ok) return checked; // ADDED
+        const store = checked.store; // ADDED
+        const invite = checked.invite; // ADDED
+        invite.codeSalt = codeSalt; // CHANGED
+        invite.codeHash = codeHash; // CHANGED
         invite.expiresAt = nowMs() + INVITE_EXPIRY_MS; // NEW
         writeStore(store); // NEW
         return { ok: true, invite: publicInvite(invite), code, emailDraft: composeInviteEmail(invite, code, shareInfo || {}) }; // NEW
@@ -2358,6 +2803,9 @@ Draw.loadPlugin(function (ui) {
     function stampAcceptedActorMetadata(edit, changes) { // CHANGE
         const sourceChanges = (changes || []).slice(); // NEW
         const stamped = new Set(); // NEW
+        const added = sourceChanges.filter(function (change) { return change && !change.__trellisUsersActorStamp && change.constructor && change.constructor.name === "mxChildChange" && currentParentOfChange(change) && !previousParentOfChange(change); }).map(cellFromChange).filter(Boolean); // ADDED
+        const addedAudit = added.length ? auditLogChange(auditLogForAddedCells(added)) : null; // ADDED
+        if (addedAudit) addChangeToEdit(edit, addedAudit); // ADDED
         sourceChanges.forEach(function (change) { // CHANGE
             if (!change || change.__trellisUsersActorStamp) return; // NEW
             const name = change && change.constructor && change.constructor.name; // NEW
@@ -2532,6 +2980,17 @@ Draw.loadPlugin(function (ui) {
         stampAcceptedActorMetadata(edit, changes); // CHANGE
     }
 
+    // PIN hashing takes a noticeable moment, so the clicked button stays disabled until `start()` settles. // ADDED
+    function runAuthAction(evt, start, done) { // ADDED
+        const button = evt && evt.currentTarget; // ADDED
+        if (button) button.disabled = true; // ADDED
+        authWork = start().catch(secretFailure).then(function (result) { // ADDED
+            if (button) button.disabled = false; // ADDED
+            done(result); // ADDED
+        }); // ADDED
+        return authWork; // ADDED
+    } // ADDED
+
     function makeButton(label, onClick) {
         const button = document.createElement("button");
         button.type = "button";
@@ -2845,11 +3304,12 @@ Draw.loadPlugin(function (ui) {
         parent.appendChild(row); // NEW
         const keep = authKeepRow(); // NEW
         parent.appendChild(keep.row); // NEW
-        const action = makeButton(canBootstrapAdmin() ? "Create Admin" : "Login", function () { // NEW
-            const result = loginState(name.value, pin.value); // CHANGE
+        const action = makeButton(canBootstrapAdmin() ? "Create Admin" : "Login", function (evt) { // CHANGED
+            runAuthAction(evt, function () { return loginState(name.value, pin.value); }, function (result) { // CHANGED
+                if (!result.ok) { showAuthStatus(result.reason); return; } // CHANGED
+                finishAuthSuccess(keep.checkbox.checked); // CHANGED
+            }); // ADDED
             pin.value = ""; // NEW
-            if (!result.ok) { showAuthStatus(result.reason); return; } // NEW
-            finishAuthSuccess(keep.checkbox.checked); // CHANGE
         }); // NEW
         parent.appendChild(action); // NEW
     } // NEW
@@ -2868,11 +3328,12 @@ Draw.loadPlugin(function (ui) {
         parent.appendChild(row); // NEW
         const keep = authKeepRow(); // NEW
         parent.appendChild(keep.row); // NEW
-        parent.appendChild(makeButton("Enable Users", function () { // NEW
-            const result = enableUsersState(name.value, pin.value); // CHANGE
+        parent.appendChild(makeButton("Enable Users", function (evt) { // CHANGED
+            runAuthAction(evt, function () { return enableUsersState(name.value, pin.value); }, function (result) { // CHANGED
+                if (!result.ok) { showAuthStatus(result.reason); return; } // CHANGED
+                finishAuthSuccess(keep.checkbox.checked); // CHANGED
+            }); // ADDED
             pin.value = ""; // NEW
-            if (!result.ok) { showAuthStatus(result.reason); return; } // NEW
-            finishAuthSuccess(keep.checkbox.checked); // CHANGE
         })); // NEW
     } // NEW
 
@@ -2896,11 +3357,12 @@ Draw.loadPlugin(function (ui) {
         box.appendChild(row); // NEW
         const keep = authKeepRow(); // NEW
         box.appendChild(keep.row); // NEW
-        box.appendChild(makeButton("Accept Invite", function () { // NEW
-            const result = acceptInviteState({ email: email.value, code: code.value, name: name.value, pin: pin.value }); // CHANGE
+        box.appendChild(makeButton("Accept Invite", function (evt) { // CHANGED
+            runAuthAction(evt, function () { return acceptInviteState({ email: email.value, code: code.value, name: name.value, pin: pin.value }); }, function (result) { // CHANGED
+                if (!result.ok) { showAuthStatus(result.reason); return; } // CHANGED
+                finishAuthSuccess(keep.checkbox.checked); // CHANGED
+            }); // ADDED
             pin.value = ""; // NEW
-            if (!result.ok) { showAuthStatus(result.reason); return; } // NEW
-            finishAuthSuccess(keep.checkbox.checked); // CHANGE
         })); // NEW
         parent.appendChild(box); // NEW
     } // NEW
@@ -3160,9 +3622,10 @@ Draw.loadPlugin(function (ui) {
         row.style.cssText = "display:grid;grid-template-columns:1fr 1fr auto;gap:6px;align-items:center;margin-bottom:10px;";
         row.appendChild(loginNameInput);
         row.appendChild(loginPinInput);
-        row.appendChild(makeButton(canBootstrapAdmin() ? "Create admin" : "Login", function () {
-            const result = login(loginNameInput.value, loginPinInput.value);
-            if (!result.ok) showStatus(result.reason);
+        row.appendChild(makeButton(canBootstrapAdmin() ? "Create admin" : "Login", function (evt) { // CHANGED
+            runAuthAction(evt, function () { return login(loginNameInput.value, loginPinInput.value); }, function (result) { // CHANGED
+                if (!result.ok) showStatus(result.reason); // CHANGED
+            }); // ADDED
             loginPinInput.value = "";
         }));
         parent.appendChild(row);
@@ -3188,9 +3651,10 @@ Draw.loadPlugin(function (ui) {
         box.appendChild(row); // NEW
         const actions = document.createElement("div"); // NEW
         actions.style.cssText = "display:flex;justify-content:flex-end;margin-top:6px;"; // NEW
-        actions.appendChild(makeButton("Accept Invite", function () { // NEW
-            const result = acceptInvite({ email: email.value, code: code.value, name: name.value, pin: pin.value }); // NEW
-            if (!result.ok) showStatus(result.reason); // NEW
+        actions.appendChild(makeButton("Accept Invite", function (evt) { // CHANGED
+            runAuthAction(evt, function () { return acceptInvite({ email: email.value, code: code.value, name: name.value, pin: pin.value }); }, function (result) { // CHANGED
+                if (!result.ok) showStatus(result.reason); // CHANGED
+            }); // ADDED
             pin.value = ""; // NEW
         })); // NEW
         box.appendChild(actions); // NEW
@@ -3206,9 +3670,10 @@ Draw.loadPlugin(function (ui) {
         row.style.cssText = "display:grid;grid-template-columns:1fr 1fr auto;gap:6px;align-items:center;margin-bottom:10px;"; // NEW
         row.appendChild(loginNameInput); // NEW
         row.appendChild(loginPinInput); // NEW
-        row.appendChild(makeButton("Enable", function () { // NEW
-            const result = enableUsers(loginNameInput.value, loginPinInput.value); // NEW
-            if (!result.ok) showStatus(result.reason); // NEW
+        row.appendChild(makeButton("Enable", function (evt) { // CHANGED
+            runAuthAction(evt, function () { return enableUsers(loginNameInput.value, loginPinInput.value); }, function (result) { // CHANGED
+                if (!result.ok) showStatus(result.reason); // CHANGED
+            }); // ADDED
             loginPinInput.value = ""; // NEW
         })); // NEW
         parent.appendChild(row); // NEW
@@ -3231,10 +3696,11 @@ Draw.loadPlugin(function (ui) {
             label.textContent = invite.email + " - expires " + new Date(invite.expiresAt).toLocaleDateString(); // NEW
             label.title = (invite.scopeLabels || []).join(", "); // NEW
             row.appendChild(label); // NEW
-            row.appendChild(makeButton("Resend", function () { // NEW
-                const result = resendInvite(invite.id, {}); // NEW
-                if (!result.ok) { showStatus(result.reason); return; } // NEW
-                openEmailDraft(result.emailDraft); // NEW
+            row.appendChild(makeButton("Resend", function (evt) { // CHANGED
+                runAuthAction(evt, function () { return resendInvite(invite.id, {}); }, function (result) { // CHANGED
+                    if (!result.ok) { showStatus(result.reason); return; } // CHANGED
+                    openEmailDraft(result.emailDraft); // CHANGED
+                }); // ADDED
             })); // NEW
             row.appendChild(makeButton("Revoke", function () { // NEW
                 const result = revokeInvite(invite.id); // NEW
@@ -3252,6 +3718,7 @@ Draw.loadPlugin(function (ui) {
         const text = document.createElement("div");
         text.textContent = user ? user.name + " (" + (user.admin ? "admin" : "regular") + ")" : "Not logged in";
         row.appendChild(text);
+        if (user && user.admin) row.appendChild(makeButton("Verify audit log", function () { showStatus(describeAuditVerification(verifyAuditLog())); })); // ADDED
         row.appendChild(makeButton("Logout", logout));
         parent.appendChild(row);
     }
@@ -3261,13 +3728,14 @@ Draw.loadPlugin(function (ui) {
         resetRow.style.cssText = "display:grid;grid-template-columns:1fr auto auto;gap:6px;align-items:center;padding:0 0 6px 0;margin-left:12px;"; // NEW
         const pinInput = makeInput("password", "New PIN"); // NEW
         resetRow.appendChild(pinInput); // NEW
-        resetRow.appendChild(makeButton("Save", function () { // NEW
-            const result = resetUserPin(user.id, pinInput.value); // NEW
-            if (!result.ok) { showStatus(result.reason); return; } // NEW
-            pinInput.value = ""; // NEW
-            resetPinUserId = ""; // NEW
-            showStatus("PIN reset for " + user.name + "."); // NEW
-            refreshPanel(); // NEW
+        resetRow.appendChild(makeButton("Save", function (evt) { // CHANGED
+            runAuthAction(evt, function () { return resetUserPin(user.id, pinInput.value); }, function (result) { // CHANGED
+                if (!result.ok) { showStatus(result.reason); return; } // CHANGED
+                pinInput.value = ""; // CHANGED
+                resetPinUserId = ""; // CHANGED
+                showStatus("PIN reset for " + user.name + "."); // CHANGED
+                refreshPanel(); // CHANGED
+            }); // ADDED
         })); // NEW
         resetRow.appendChild(makeButton("Cancel", function () { // NEW
             resetPinUserId = ""; // NEW
@@ -3452,9 +3920,10 @@ Draw.loadPlugin(function (ui) {
         const pin = makeInput("password", "PIN"); // NEW
         addRow.appendChild(name); // NEW
         addRow.appendChild(pin); // NEW
-        addRow.appendChild(makeButton("Add local user", function () { // NEW
-            const result = createUser(name.value, pin.value, false); // NEW
-            if (!result.ok) showStatus(result.reason); // NEW
+        addRow.appendChild(makeButton("Add local user", function (evt) { // CHANGED
+            runAuthAction(evt, function () { return createUser(name.value, pin.value, false); }, function (result) { // CHANGED
+                if (!result.ok) showStatus(result.reason); // CHANGED
+            }); // ADDED
             name.value = ""; // NEW
             pin.value = ""; // NEW
         })); // NEW
@@ -4074,6 +4543,9 @@ Draw.loadPlugin(function (ui) {
         stampActorOnCell,
         stampActorDirect, // NEW
         stampActorIntoEdit, // NEW
+        verifyAuditLog, // ADDED
+        getAuditLog, // ADDED
+        auditHead: function () { return auditHead(); }, // ADDED
         attrs: {
             owner: ATTR_OWNER,
             accessUsers: ATTR_ACCESS_USERS,
@@ -4088,7 +4560,8 @@ Draw.loadPlugin(function (ui) {
             teamGardenModule: ATTR_TEAM_GARDEN_MODULE, // NEW
             teamRoleArchive: ATTR_TEAM_ROLE_ARCHIVE, // NEW
             createdBy: ATTR_CREATED_BY,
-            editedBy: ATTR_EDITED_BY
+            editedBy: ATTR_EDITED_BY, // CHANGE
+            auditLog: ATTR_AUDIT_LOG // ADDED
         },
         capabilities: { // NEW
             createPlantings: CAP_CREATE_PLANTINGS, // NEW
@@ -4103,6 +4576,11 @@ Draw.loadPlugin(function (ui) {
             writeStore,
             hashPin,
             hashInviteCode, // NEW
+            verifyPin, // ADDED
+            stableHash, // ADDED
+            sha256Hex, // ADDED
+            pbkdf2Sha256Hex, // ADDED
+            authSettled: function () { return authWork; }, // ADDED
             nearestOwnedAncestor,
             nearestAccessGrant,
             roleLinkedBoardGrantsForUser, // NEW
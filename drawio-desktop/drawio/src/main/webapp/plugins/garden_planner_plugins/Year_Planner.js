@@ -4,6 +4,8 @@
  * Listens:
  *   window event "usl:planYearRequested" with detail:
  *     { moduleCellId: string, dashCellId?: string, year: number }
+ *   window event "usl:allocatePlanRequested" with detail:
+ *     { moduleCellId: string, year: number }  -> previews and creates planting groups in beds
  *
  * Stores plan JSON on the module cell attribute:
  *   plan_year_json  -> JSON object keyed by year string
@@ -19,6 +21,11 @@ Draw.loadPlugin(function (ui) {
     const PLAN_TEMPLATES_ATTR = "plan_year_templates";      // (diagram-scoped)
     const PLAN_UNIT_DEFAULTS_ATTR = "plan_unit_defaults";   // (diagram-scoped, per plantId)
     const PLAN_METADATA_CELL_ATTR = "usl_year_planner_metadata"; // NEW
+    const SEED_INVENTORY_ATTR = "seed_inventory_json";      // (module-scoped, lots + schedule reservations) // ADDED
+    const COST_MODEL_ATTR = "cost_model_json";              // (module-scoped, wage rate + amendment costs) // ADDED
+    const IRRIGATION_SUMMARY_ATTR = "irrigation_dashboard_summary_json"; // (module-scoped, written by Garden_Irrigation_Planner) // ADDED
+    const PX_PER_CM = 5; // ADDED
+    const DRAW_SCALE = 0.18; // ADDED
     const EPS = 0.0001; // NEW
     const TRELLIS_DIALOG_Z = 2000000000; // NEW
     const __YP_GLOBAL = window.__uslYearPlannerGlobal || (window.__uslYearPlannerGlobal = {});
@@ -108,7 +115,10 @@ Draw.loadPlugin(function (ui) {
                 PLAN_YEARS_ATTR,
                 PLAN_TEMPLATES_ATTR,
                 PLAN_UNIT_DEFAULTS_ATTR,
-                PLAN_METADATA_CELL_ATTR // NEW
+                PLAN_METADATA_CELL_ATTR, // NEW
+                SEED_INVENTORY_ATTR, // ADDED
+                COST_MODEL_ATTR, // ADDED
+                IRRIGATION_SUMMARY_ATTR // ADDED
             }
         };
     })();
@@ -244,6 +254,18 @@ Draw.loadPlugin(function (ui) {
             return await queryAll(sql, [pid]); // NEW
         } // NEW
 
+        async function queryAllocationPlantRows(plantIds) { // ADDED
+            const ids = Array.from(new Set((plantIds || []).map(Number).filter(Number.isFinite))); // ADDED
+            if (!ids.length) return []; // ADDED
+            const sql = `
+        SELECT plant_id, plant_name, abbr, family, annual, biennial, perennial,
+               spacing_cm, spacing_x_cm, spacing_y_cm, veg_diameter_cm,
+               days_maturity, days_transplant, yield_per_plant_kg, yield_unit
+        FROM Plants
+        WHERE plant_id IN (${ids.map(() => "?").join(", ")});`;
+            return await queryAll(sql, ids); // ADDED
+        } // ADDED
+
         return {
             getDbPath,
             queryAll,
@@ -251,7 +273,8 @@ Draw.loadPlugin(function (ui) {
             getPlantsBasicCached,
             invalidatePlantsBasicCache,
             queryVarietiesByPlantId,
-            queryPlantingMethodsForPlantId // NEW
+            queryPlantingMethodsForPlantId, // CHANGE
+            queryAllocationPlantRows // ADDED
         };
     })();
 
@@ -623,6 +646,7 @@ Draw.loadPlugin(function (ui) {
             const surplus = source ? source.surplus : (weekly && weekly.surplusTotal) || []; // NEW
             const expired = source ? source.expired : (weekly && weekly.expiredTotal) || []; // NEW
             const endingInventory = source ? source.endingInventory : (weekly && weekly.endingInventoryTotal) || []; // NEW
+            const logged = (source ? source.logged : weekly && weekly.loggedTotal) || []; // ADDED
 
             return weeks.map((week, index) => ({ // NEW
                 week: week && week.iso ? String(week.iso) : "", // NEW
@@ -633,7 +657,8 @@ Draw.loadPlugin(function (ui) {
                 shortKg: Math.max(0, Number(short[index]) || 0), // NEW
                 surplusKg: Math.max(0, Number(surplus[index]) || 0), // NEW
                 expiredKg: Math.max(0, Number(expired[index]) || 0), // NEW
-                endingInventoryKg: Math.max(0, Number(endingInventory[index]) || 0) // NEW
+                endingInventoryKg: Math.max(0, Number(endingInventory[index]) || 0), // NEW
+                loggedKg: Math.max(0, Number(logged[index]) || 0) // ADDED
             })); // NEW
         } // NEW
 
@@ -645,6 +670,7 @@ Draw.loadPlugin(function (ui) {
                 usableSupplyKg: 0, // NEW
                 shortKg: 0, // NEW
                 expiredKg: 0, // NEW
+                loggedKg: 0, // ADDED
                 worstShortageKg: 0, // NEW
                 worstShortageWeek: "", // NEW
                 shortWeeks: 0 // NEW
@@ -656,6 +682,7 @@ Draw.loadPlugin(function (ui) {
                 summary.usableSupplyKg += Math.max(0, Number(row && row.usableSupplyKg) || 0); // NEW
                 summary.shortKg += Math.max(0, Number(row && row.shortKg) || 0); // NEW
                 summary.expiredKg += Math.max(0, Number(row && row.expiredKg) || 0); // NEW
+                summary.loggedKg += Math.max(0, Number(row && row.loggedKg) || 0); // ADDED
                 if (Number(row && row.shortKg) > 1e-9) summary.shortWeeks += 1; // NEW
                 if (Number(row && row.shortKg) > summary.worstShortageKg) { // NEW
                     summary.worstShortageKg = Number(row.shortKg); // NEW
@@ -683,11 +710,12 @@ Draw.loadPlugin(function (ui) {
             const surplusTotal = Array(n).fill(0); // NEW
             const expiredTotal = Array(n).fill(0); // NEW
             const endingInventoryTotal = Array(n).fill(0); // NEW
+            const loggedTotal = Array(n).fill(0); // ADDED
             const perCrop = new Map();
 
             function ensureCropArrays(cropId) {
                 if (!perCrop.has(cropId)) {
-                    perCrop.set(cropId, { target: Array(n).fill(0), supply: Array(n).fill(0) });
+                    perCrop.set(cropId, { target: Array(n).fill(0), supply: Array(n).fill(0), logged: Array(n).fill(0) }); // CHANGE
                 }
                 return perCrop.get(cropId);
             }
@@ -796,6 +824,10 @@ Draw.loadPlugin(function (ui) {
 
                 const arr = ensureCropArrays(crop.id); // NEW
 
+                // Logged harvest is reported beside supply and never replaces the planning estimate.
+                const loggedSeries = Array.isArray(crop.__loggedHarvestWeeklyKg) ? crop.__loggedHarvestWeeklyKg : []; // ADDED
+                for (let i = 0; i < n; i++) arr.logged[i] += Math.max(0, Number(loggedSeries[i]) || 0); // ADDED
+
                 const actualSeries = Array.isArray(crop.__actualHarvestWeeklyKg)
                     ? crop.__actualHarvestWeeklyKg
                     : null; // NEW
@@ -935,6 +967,7 @@ Draw.loadPlugin(function (ui) {
                     surplusTotal[i] += Math.max(0, Number(v.surplus[i]) || 0); // NEW
                     expiredTotal[i] += Math.max(0, Number(v.expired[i]) || 0); // NEW
                     endingInventoryTotal[i] += Math.max(0, Number(v.endingInventory[i]) || 0); // NEW
+                    loggedTotal[i] += Math.max(0, Number(v.logged[i]) || 0); // ADDED
                 } // CHANGE
             } // CHANGE
 
@@ -948,6 +981,7 @@ Draw.loadPlugin(function (ui) {
                 surplusTotal, // NEW
                 expiredTotal, // NEW
                 endingInventoryTotal, // NEW
+                loggedTotal, // ADDED
                 perCrop, // CHANGE
                 perDemandLine, // NEW
                 perChannel, // NEW
@@ -1107,6 +1141,8 @@ Draw.loadPlugin(function (ui) {
 
             for (const crop of (plan.crops || [])) {
                 delete crop.__actualHarvestWeeklyKg;
+                delete crop.__loggedHarvestWeeklyKg; // ADDED
+                delete crop.__loggedYieldCalibration; // ADDED
                 delete crop.__sync_lastHarvestStart;
                 delete crop.__sync_lastHarvestEnd;
                 delete crop.__sync_lastAvailEnd;
@@ -1536,6 +1572,494 @@ Draw.loadPlugin(function (ui) {
         };
     })();
 
+    // -------------------- SeedInventory --------------------
+    /**
+     * Seed and transplant lots per garden module, plus the reservations committed by the scheduler.
+     * Lot quantities are never decremented; availability is quantity minus every reservation allocation.
+     */
+    const SeedInventory = (() => { // ADDED
+        const SCHEMA_VERSION = 1; // ADDED
+        const LOT_KINDS = ["seed", "transplant"]; // ADDED
+
+        function finiteOr(value, fallback) { // ADDED
+            const number = Number(value); // ADDED
+            return Number.isFinite(number) ? number : fallback; // ADDED
+        } // ADDED
+
+        function positiveOrZero(value) { // ADDED
+            return Math.max(0, finiteOr(value, 0)); // ADDED
+        } // ADDED
+
+        function normalizeId(value) { // ADDED
+            return value === null || value === undefined ? "" : String(value).trim(); // ADDED
+        } // ADDED
+
+        function normalizeGermRate(value) { // ADDED
+            const rate = Number(value); // ADDED
+            return Number.isFinite(rate) && rate > 0 && rate <= 1 ? rate : null; // ADDED
+        } // ADDED
+
+        function normalizeLot(raw) { // ADDED
+            if (!raw || typeof raw !== "object") return null; // ADDED
+            const plantId = normalizeId(raw.plantId); // ADDED
+            if (!plantId) return null; // ADDED
+            const purchaseYear = Math.trunc(finiteOr(raw.purchaseYear, NaN)); // ADDED
+            return { // ADDED
+                id: normalizeId(raw.id) || Env.uid("lot"), // ADDED
+                kind: LOT_KINDS.includes(raw.kind) ? raw.kind : "seed", // ADDED
+                plantId, // ADDED
+                plantName: String(raw.plantName || ""), // ADDED
+                varietyId: normalizeId(raw.varietyId), // ADDED
+                varietyName: String(raw.varietyName || ""), // ADDED
+                lot: String(raw.lot || ""), // ADDED
+                count: Math.trunc(positiveOrZero(raw.count)), // ADDED
+                grams: positiveOrZero(raw.grams), // ADDED
+                seedsPerGram: positiveOrZero(raw.seedsPerGram), // ADDED
+                purchaseYear: Number.isFinite(purchaseYear) && purchaseYear >= 1900 ? purchaseYear : null, // ADDED
+                germRate: normalizeGermRate(raw.germRate), // ADDED
+                cost: positiveOrZero(raw.cost), // ADDED
+                note: String(raw.note || "") // ADDED
+            }; // ADDED
+        } // ADDED
+
+        function normalizeReservation(raw) { // ADDED
+            if (!raw || typeof raw !== "object") return null; // ADDED
+            const scheduleCellId = normalizeId(raw.scheduleCellId); // ADDED
+            if (!scheduleCellId) return null; // ADDED
+            return { // ADDED
+                id: normalizeId(raw.id) || Env.uid("reserve"), // ADDED
+                scheduleCellId, // ADDED
+                plantId: normalizeId(raw.plantId), // ADDED
+                varietyId: normalizeId(raw.varietyId), // ADDED
+                year: Math.trunc(finiteOr(raw.year, 0)), // ADDED
+                plants: Math.trunc(positiveOrZero(raw.plants)), // ADDED
+                allocations: (Array.isArray(raw.allocations) ? raw.allocations : []) // ADDED
+                    .map(item => ({ lotId: normalizeId(item && item.lotId), qty: Math.trunc(positiveOrZero(item && item.qty)), plants: positiveOrZero(item && item.plants) })) // ADDED
+                    .filter(item => item.lotId && item.qty > 0), // ADDED
+                shortPlants: Math.trunc(positiveOrZero(raw.shortPlants)), // ADDED
+                reservedAt: String(raw.reservedAt || "") // ADDED
+            }; // ADDED
+        } // ADDED
+
+        function normalize(raw) { // ADDED
+            const source = typeof raw === "string" ? Env.safeJsonStringParse(raw, null) : raw; // ADDED
+            const data = source && typeof source === "object" && !Array.isArray(source) ? source : {}; // ADDED
+            return { // ADDED
+                schemaVersion: SCHEMA_VERSION, // ADDED
+                lots: (Array.isArray(data.lots) ? data.lots : []).map(normalizeLot).filter(Boolean), // ADDED
+                reservations: (Array.isArray(data.reservations) ? data.reservations : []).map(normalizeReservation).filter(Boolean) // ADDED
+            }; // ADDED
+        } // ADDED
+
+        function isEmpty(inventory) { // ADDED
+            return !inventory || (!inventory.lots.length && !inventory.reservations.length); // ADDED
+        } // ADDED
+
+        function serialize(inventory) { // ADDED
+            const normalized = normalize(inventory); // ADDED
+            return isEmpty(normalized) ? null : JSON.stringify(normalized); // ADDED
+        } // ADDED
+
+        function read(moduleCell) { // ADDED
+            return normalize(DiagramStore.getCellAttr(moduleCell, Env.ATTRS.SEED_INVENTORY_ATTR, "")); // ADDED
+        } // ADDED
+
+        function write(moduleCell, inventory) { // ADDED
+            if (!moduleCell) return; // ADDED
+            Env.model.beginUpdate(); // ADDED
+            try { // ADDED
+                DiagramStore.setCellAttr(moduleCell, Env.ATTRS.SEED_INVENTORY_ATTR, serialize(inventory)); // ADDED
+            } finally { // ADDED
+                Env.model.endUpdate(); // ADDED
+            } // ADDED
+            Env.graph.refresh(moduleCell); // ADDED
+        } // ADDED
+
+        /** Seeds for seed lots (counted seeds win over grams), plants for transplant lots. */
+        function lotQuantity(lot) { // ADDED
+            if (!lot) return 0; // ADDED
+            if (lot.count > 0 || lot.kind === "transplant") return lot.count; // ADDED
+            return Math.floor(lot.grams * lot.seedsPerGram); // ADDED
+        } // ADDED
+
+        /** Price of one seed or transplant from the lot's total cost; zero when no cost was recorded. */
+        function unitCost(lot) { // ADDED
+            const quantity = lotQuantity(lot); // ADDED
+            return quantity > 0 && lot.cost > 0 ? lot.cost / quantity : 0; // ADDED
+        } // ADDED
+
+        function allocationCost(allocations, lotsById) { // ADDED
+            return (allocations || []).reduce((sum, allocation) => sum + allocation.qty * unitCost(lotsById.get(allocation.lotId)), 0); // ADDED
+        } // ADDED
+
+        /** Seeds still to order are priced like the most recently bought seed lot that has a cost. */
+        function orderSeedUnitCost(lots) { // ADDED
+            const priced = lots.filter(lot => lot.kind === "seed" && unitCost(lot) > 0); // ADDED
+            priced.sort((a, b) => (b.purchaseYear ?? 0) - (a.purchaseYear ?? 0)); // ADDED
+            return priced.length ? unitCost(priced[0]) : 0; // ADDED
+        } // ADDED
+
+        function reservedByLotId(inventory, exceptScheduleCellId) { // ADDED
+            const reserved = new Map(); // ADDED
+            for (const reservation of (inventory && inventory.reservations) || []) { // ADDED
+                if (exceptScheduleCellId && reservation.scheduleCellId === exceptScheduleCellId) continue; // ADDED
+                for (const allocation of reservation.allocations) { // ADDED
+                    reserved.set(allocation.lotId, (reserved.get(allocation.lotId) || 0) + allocation.qty); // ADDED
+                } // ADDED
+            } // ADDED
+            return reserved; // ADDED
+        } // ADDED
+
+        function lotMatches(lot, plantId, varietyId) { // ADDED
+            if (!lot || lot.plantId !== normalizeId(plantId)) return false; // ADDED
+            const wanted = normalizeId(varietyId); // ADDED
+            return !wanted || !lot.varietyId || lot.varietyId === wanted; // ADDED
+        } // ADDED
+
+        /** Transplants first, then exact-variety seed, then generic seed; oldest purchase year first within each tier. */
+        function matchingLotsInUseOrder(inventory, plantId, varietyId) { // ADDED
+            const wanted = normalizeId(varietyId); // ADDED
+            const tier = lot => lot.kind === "transplant" ? 0 : (wanted && lot.varietyId === wanted ? 1 : 2); // ADDED
+            return inventory.lots // ADDED
+                .filter(lot => lotMatches(lot, plantId, wanted)) // ADDED
+                .sort((a, b) => tier(a) - tier(b) || (a.purchaseYear ?? 9999) - (b.purchaseYear ?? 9999)); // ADDED
+        } // ADDED
+
+        function plantsPerUnit(lot, fallbackGermRate) { // ADDED
+            if (lot.kind === "transplant") return 1; // ADDED
+            return lot.germRate ?? normalizeGermRate(fallbackGermRate) ?? 1; // ADDED
+        } // ADDED
+
+        /**
+         * Draws plants from the free quantity of matching lots.
+         * `remainingByLotId` is updated in place so callers can share stock between several crops.
+         */
+        function drawPlants(lots, remainingByLotId, plantsWanted, fallbackGermRate) { // ADDED
+            const allocations = []; // ADDED
+            let remainingPlants = Math.max(0, plantsWanted); // ADDED
+            for (const lot of lots) { // ADDED
+                if (remainingPlants <= EPS) break; // ADDED
+                const free = remainingByLotId.get(lot.id) || 0; // ADDED
+                if (free <= 0) continue; // ADDED
+                const perUnit = plantsPerUnit(lot, fallbackGermRate); // ADDED
+                const qty = Math.min(free, Math.ceil(remainingPlants / perUnit - EPS)); // ADDED
+                const plants = Math.min(remainingPlants, qty * perUnit); // ADDED
+                remainingByLotId.set(lot.id, free - qty); // ADDED
+                allocations.push({ lotId: lot.id, qty, plants }); // ADDED
+                remainingPlants -= plants; // ADDED
+            } // ADDED
+            return { allocations, shortPlants: Math.max(0, remainingPlants) }; // ADDED
+        } // ADDED
+
+        function freeQuantityByLotId(inventory, exceptScheduleCellId) { // ADDED
+            const reserved = reservedByLotId(inventory, exceptScheduleCellId); // ADDED
+            return new Map(inventory.lots.map(lot => [lot.id, Math.max(0, lotQuantity(lot) - (reserved.get(lot.id) || 0))])); // ADDED
+        } // ADDED
+
+        function availableForCrop(inventory, plantId, varietyId) { // ADDED
+            const normalized = normalize(inventory); // ADDED
+            const free = freeQuantityByLotId(normalized, ""); // ADDED
+            const lots = matchingLotsInUseOrder(normalized, plantId, varietyId); // ADDED
+            return { // ADDED
+                lots: lots.length, // ADDED
+                seeds: lots.filter(lot => lot.kind === "seed").reduce((sum, lot) => sum + (free.get(lot.id) || 0), 0), // ADDED
+                transplants: lots.filter(lot => lot.kind === "transplant").reduce((sum, lot) => sum + (free.get(lot.id) || 0), 0) // ADDED
+            }; // ADDED
+        } // ADDED
+
+        /**
+         * Replaces the reservation held by one scheduled planting group.
+         * Returns the next inventory; the input inventory is not mutated.
+         */
+        function reserveForSchedule(inventory, request) { // ADDED
+            const next = normalize(inventory); // ADDED
+            const scheduleCellId = normalizeId(request && request.scheduleCellId); // ADDED
+            if (!scheduleCellId) return next; // ADDED
+            next.reservations = next.reservations.filter(reservation => reservation.scheduleCellId !== scheduleCellId); // ADDED
+            const plants = Math.trunc(positiveOrZero(request.plants)); // ADDED
+            if (!plants) return next; // ADDED
+            const plantId = normalizeId(request.plantId); // ADDED
+            const varietyId = normalizeId(request.varietyId); // ADDED
+            const drawn = drawPlants( // ADDED
+                matchingLotsInUseOrder(next, plantId, varietyId), // ADDED
+                freeQuantityByLotId(next, scheduleCellId), // ADDED
+                plants, // ADDED
+                request.germRate // ADDED
+            ); // ADDED
+            next.reservations.push({ // ADDED
+                id: Env.uid("reserve"), // ADDED
+                scheduleCellId, // ADDED
+                plantId, // ADDED
+                varietyId, // ADDED
+                year: Math.trunc(finiteOr(request.year, new Date().getFullYear())), // ADDED
+                plants, // ADDED
+                allocations: drawn.allocations, // ADDED
+                shortPlants: Math.max(0, Math.ceil(drawn.shortPlants - EPS)), // ADDED
+                reservedAt: String(request.reservedAt || new Date().toISOString()) // ADDED
+            }); // ADDED
+            return next; // ADDED
+        } // ADDED
+
+        /** Drops reservations whose planting group was deleted from the diagram. */
+        function pruneReservations(inventory, isLiveCellId) { // ADDED
+            const next = normalize(inventory); // ADDED
+            next.reservations = next.reservations.filter(reservation => isLiveCellId(reservation.scheduleCellId)); // ADDED
+            return next; // ADDED
+        } // ADDED
+
+        function releaseReservation(inventory, scheduleCellId) { // ADDED
+            const next = normalize(inventory); // ADDED
+            const key = normalizeId(scheduleCellId); // ADDED
+            next.reservations = next.reservations.filter(reservation => reservation.scheduleCellId !== key); // ADDED
+            return next; // ADDED
+        } // ADDED
+
+        /**
+         * Compares each crop's required plants with this year's reservations plus unreserved stock.
+         * Unreserved lots are shared across crops in plan order so generic lots are not counted twice.
+         * `seedCost` prices the reserved, drawn and still-to-order units from the lot costs.
+         */
+        function computeShortfalls(plan, inventory, year) { // ADDED
+            const normalized = normalize(inventory); // ADDED
+            const selectedYear = Math.trunc(finiteOr(year, plan && plan.year)); // ADDED
+            const free = freeQuantityByLotId(normalized, ""); // ADDED
+            const lotsById = new Map(normalized.lots.map(lot => [lot.id, lot])); // ADDED
+            const rows = []; // ADDED
+            for (const crop of (plan && plan.crops) || []) { // ADDED
+                if (!crop || !crop.id) continue; // ADDED
+                const plantId = normalizeId(crop.plantId); // ADDED
+                const varietyId = normalizeId(crop.varietyId); // ADDED
+                const plantsReq = Math.ceil(positiveOrZero(crop.plantsReq)); // ADDED
+                const reservations = normalized.reservations // CHANGE
+                    .filter(reservation => reservation.year === selectedYear && reservation.plantId === plantId && (!varietyId || reservation.varietyId === varietyId)); // CHANGE
+                const reservedPlants = reservations.reduce((sum, reservation) => sum + Math.max(0, reservation.plants - reservation.shortPlants), 0); // CHANGE
+                const lots = matchingLotsInUseOrder(normalized, plantId, varietyId); // CHANGE
+                const drawn = drawPlants(lots, free, plantsReq - reservedPlants, crop.germRate); // CHANGE
+                const stockPlants = drawn.allocations.reduce((sum, allocation) => sum + allocation.plants, 0); // ADDED
+                const shortPlants = plantsReq > 0 ? Math.max(0, Math.ceil(drawn.shortPlants - EPS)) : 0; // ADDED
+                const germRate = normalizeGermRate(crop.germRate) ?? 1; // ADDED
+                const orderSeeds = shortPlants > 0 ? Math.ceil(shortPlants / germRate - EPS) : 0; // CHANGE
+                const seedCost = reservations.reduce((sum, reservation) => sum + allocationCost(reservation.allocations, lotsById), 0) // ADDED
+                    + allocationCost(drawn.allocations, lotsById) // ADDED
+                    + orderSeeds * orderSeedUnitCost(lots); // ADDED
+                rows.push({ // ADDED
+                    cropId: String(crop.id), // ADDED
+                    plantId, // ADDED
+                    varietyId, // ADDED
+                    plant: String(crop.plant || ""), // ADDED
+                    variety: String(crop.variety || ""), // ADDED
+                    plantsReq, // ADDED
+                    reservedPlants, // ADDED
+                    stockPlants: Math.floor(stockPlants + EPS), // ADDED
+                    shortPlants, // ADDED
+                    germRate, // ADDED
+                    orderSeeds, // CHANGE
+                    seedCost // ADDED
+                }); // ADDED
+            } // ADDED
+            return rows; // ADDED
+        } // ADDED
+
+        function csvCell(value) { // ADDED
+            const text = String(value ?? ""); // ADDED
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text; // ADDED
+        } // ADDED
+
+        function buildSeedOrderCsv(shortfalls, year) { // ADDED
+            const header = ["Year", "Plant", "Variety", "Plants required", "Reserved plants", "Plants from stock", "Short plants", "Germination", "Seeds to order"]; // ADDED
+            const lines = [header.join(",")]; // ADDED
+            for (const row of shortfalls || []) { // ADDED
+                if (!(row.shortPlants > 0)) continue; // ADDED
+                lines.push([year, row.plant, row.variety, row.plantsReq, row.reservedPlants, row.stockPlants, row.shortPlants, row.germRate, row.orderSeeds].map(csvCell).join(",")); // ADDED
+            } // ADDED
+            return lines.join("\n") + "\n"; // ADDED
+        } // ADDED
+
+        return { // ADDED
+            ATTR: SEED_INVENTORY_ATTR, // ADDED
+            LOT_KINDS, // ADDED
+            normalize, // ADDED
+            serialize, // ADDED
+            read, // ADDED
+            write, // ADDED
+            lotQuantity, // ADDED
+            unitCost, // ADDED
+            lotMatches, // ADDED
+            reservedByLotId, // ADDED
+            availableForCrop, // ADDED
+            reserveForSchedule, // ADDED
+            releaseReservation, // ADDED
+            pruneReservations, // ADDED
+            computeShortfalls, // ADDED
+            buildSeedOrderCsv // ADDED
+        }; // ADDED
+    })(); // ADDED
+
+    // -------------------- CostModel --------------------
+    /**
+     * Wage rate and amendment costs per garden module, and the per-crop gross margin built from them.
+     * Seed cost comes from lot prices, irrigation from the irrigation report's per-bed part costs, and
+     * labor from the estimated hours of task cards linked to each crop's planting groups.
+     */
+    const CostModel = (() => { // ADDED
+        const SCHEMA_VERSION = 1; // ADDED
+
+        function nonNegative(value) { // ADDED
+            const number = Number(value); // ADDED
+            return Number.isFinite(number) && number > 0 ? number : 0; // ADDED
+        } // ADDED
+
+        function normalizeAmendment(raw) { // ADDED
+            if (!raw || typeof raw !== "object") return null; // ADDED
+            const label = String(raw.label || "").trim(); // ADDED
+            const cost = nonNegative(raw.cost); // ADDED
+            if (!label || !(cost > 0)) return null; // ADDED
+            return { // ADDED
+                id: String(raw.id || "").trim() || Env.uid("amend"), // ADDED
+                label, // ADDED
+                cost, // ADDED
+                cropId: String(raw.cropId || "").trim() // ADDED
+            }; // ADDED
+        } // ADDED
+
+        function normalize(raw) { // ADDED
+            const source = typeof raw === "string" ? Env.safeJsonStringParse(raw, null) : raw; // ADDED
+            const data = source && typeof source === "object" && !Array.isArray(source) ? source : {}; // ADDED
+            return { // ADDED
+                schemaVersion: SCHEMA_VERSION, // ADDED
+                wageRate: nonNegative(data.wageRate), // ADDED
+                irrigationYears: Math.max(1, Math.trunc(nonNegative(data.irrigationYears)) || 1), // ADDED
+                amendments: (Array.isArray(data.amendments) ? data.amendments : []).map(normalizeAmendment).filter(Boolean) // ADDED
+            }; // ADDED
+        } // ADDED
+
+        function isEmpty(costModel) { // ADDED
+            return !costModel || (!costModel.wageRate && costModel.irrigationYears === 1 && !costModel.amendments.length); // ADDED
+        } // ADDED
+
+        function serialize(costModel) { // ADDED
+            const normalized = normalize(costModel); // ADDED
+            return isEmpty(normalized) ? null : JSON.stringify(normalized); // ADDED
+        } // ADDED
+
+        function read(moduleCell) { // ADDED
+            return normalize(DiagramStore.getCellAttr(moduleCell, Env.ATTRS.COST_MODEL_ATTR, "")); // ADDED
+        } // ADDED
+
+        function write(moduleCell, costModel) { // ADDED
+            if (!moduleCell) return; // ADDED
+            Env.model.beginUpdate(); // ADDED
+            try { // ADDED
+                DiagramStore.setCellAttr(moduleCell, Env.ATTRS.COST_MODEL_ATTR, serialize(costModel)); // ADDED
+            } finally { // ADDED
+                Env.model.endUpdate(); // ADDED
+            } // ADDED
+            Env.graph.refresh(moduleCell); // ADDED
+        } // ADDED
+
+        /** Part cost per bed id from the last irrigation report; empty until a report has been generated. */
+        function readIrrigationBedCosts(moduleCell) { // ADDED
+            const summary = Env.safeJsonStringParse(DiagramStore.getCellAttr(moduleCell, Env.ATTRS.IRRIGATION_SUMMARY_ATTR, ""), null); // ADDED
+            const costs = summary && summary.bedPartCosts && typeof summary.bedPartCosts === "object" ? summary.bedPartCosts : {}; // ADDED
+            return new Map(Object.keys(costs).map(bedId => [bedId, nonNegative(costs[bedId])]).filter(entry => entry[1] > 0)); // ADDED
+        } // ADDED
+
+        function fulfilledRevenueByCropId(weekly) { // ADDED
+            const revenue = new Map(); // ADDED
+            for (const result of (weekly && weekly.perDemandLine ? weekly.perDemandLine.values() : [])) { // ADDED
+                const total = (result.fulfilledRevenue || []).reduce((sum, value) => sum + nonNegative(value), 0); // ADDED
+                revenue.set(result.cropId, (revenue.get(result.cropId) || 0) + total); // ADDED
+            } // ADDED
+            return revenue; // ADDED
+        } // ADDED
+
+        /**
+         * Sets fulfilled sales revenue against seed, amendment, irrigation and labor cost for each planned crop.
+         * Irrigation parts are split between the crops in a bed by planted bed-metres and spread over
+         * `irrigationYears`; amendments without a crop are shared by bed-metres across the whole plan.
+         */
+        function computeProfitability(plan, runtime, inputs) { // ADDED
+            const options = inputs || {}; // ADDED
+            const costModel = normalize(options.costModel); // ADDED
+            const seedCostByCropId = new Map((options.seedShortfalls || []).map(row => [String(row.cropId), nonNegative(row.seedCost)])); // ADDED
+            const irrigationBedCosts = options.irrigationBedCosts || new Map(); // ADDED
+            const plantedBedMetres = (runtime && runtime.plantedBedMetresByBedId) || new Map(); // ADDED
+            const revenueByCropId = fulfilledRevenueByCropId(runtime && runtime.weekly); // ADDED
+            const crops = ((plan && plan.crops) || []).filter(crop => crop && crop.id); // ADDED
+            const derivedFor = crop => (runtime && runtime.derivedByCropId && runtime.derivedByCropId.get(String(crop.id))) || {}; // ADDED
+            const totalBedMetres = crops.reduce((sum, crop) => sum + nonNegative(derivedFor(crop).bedMetres), 0); // ADDED
+            const sharedAmendmentCost = costModel.amendments // ADDED
+                .filter(amendment => !amendment.cropId || !crops.some(crop => String(crop.id) === amendment.cropId)) // ADDED
+                .reduce((sum, amendment) => sum + amendment.cost, 0); // ADDED
+
+            const rows = crops.map(crop => { // ADDED
+                const cropId = String(crop.id); // ADDED
+                const derived = derivedFor(crop); // ADDED
+                const bedMetres = nonNegative(derived.bedMetres); // ADDED
+                const laborHours = nonNegative(derived.laborHours); // ADDED
+                let irrigationCost = 0; // ADDED
+                for (const [bedId, metres] of (derived.bedMetresByBedId || new Map())) { // ADDED
+                    const bedTotal = nonNegative(plantedBedMetres.get(bedId)); // ADDED
+                    if (bedTotal > 0) irrigationCost += nonNegative(irrigationBedCosts.get(bedId)) * nonNegative(metres) / bedTotal; // ADDED
+                } // ADDED
+                irrigationCost /= costModel.irrigationYears; // ADDED
+                const amendmentCost = costModel.amendments.filter(amendment => amendment.cropId === cropId).reduce((sum, amendment) => sum + amendment.cost, 0) // ADDED
+                    + (totalBedMetres > 0 ? sharedAmendmentCost * bedMetres / totalBedMetres : 0); // ADDED
+                const seedCost = seedCostByCropId.get(cropId) || 0; // ADDED
+                const laborCost = laborHours * costModel.wageRate; // ADDED
+                const revenue = revenueByCropId.get(cropId) || 0; // ADDED
+                const totalCost = seedCost + amendmentCost + irrigationCost + laborCost; // ADDED
+                const grossMargin = revenue - totalCost; // ADDED
+                return { // ADDED
+                    crop, // ADDED
+                    cropId, // ADDED
+                    revenue, // ADDED
+                    seedCost, // ADDED
+                    amendmentCost, // ADDED
+                    irrigationCost, // ADDED
+                    laborHours, // ADDED
+                    laborCost, // ADDED
+                    totalCost, // ADDED
+                    grossMargin, // ADDED
+                    bedMetres, // ADDED
+                    marginPerBedMetre: bedMetres > 0 ? grossMargin / bedMetres : null, // ADDED
+                    marginPerLaborHour: laborHours > 0 ? grossMargin / laborHours : null, // ADDED
+                    unestimatedTasks: Math.max(0, Math.trunc(Number(derived.unestimatedTasks) || 0)), // ADDED
+                    losesMoney: grossMargin < -EPS // ADDED
+                }; // ADDED
+            }); // ADDED
+            const sum = field => rows.reduce((total, row) => total + row[field], 0); // ADDED
+            return { // ADDED
+                costModel, // ADDED
+                rows, // ADDED
+                rowsByCropId: new Map(rows.map(row => [row.cropId, row])), // ADDED
+                losingCropIds: rows.filter(row => row.losesMoney).map(row => row.cropId), // ADDED
+                totals: { // ADDED
+                    revenue: sum("revenue"), // ADDED
+                    seedCost: sum("seedCost"), // ADDED
+                    amendmentCost: sum("amendmentCost"), // ADDED
+                    irrigationCost: sum("irrigationCost"), // ADDED
+                    laborHours: sum("laborHours"), // ADDED
+                    laborCost: sum("laborCost"), // ADDED
+                    totalCost: sum("totalCost"), // ADDED
+                    grossMargin: sum("grossMargin"), // ADDED
+                    bedMetres: totalBedMetres, // ADDED
+                    unallocatedAmendmentCost: totalBedMetres > 0 ? 0 : sharedAmendmentCost // ADDED
+                } // ADDED
+            }; // ADDED
+        } // ADDED
+
+        return { // ADDED
+            ATTR: COST_MODEL_ATTR, // ADDED
+            normalize, // ADDED
+            serialize, // ADDED
+            read, // ADDED
+            write, // ADDED
+            readIrrigationBedCosts, // ADDED
+            computeProfitability // ADDED
+        }; // ADDED
+    })(); // ADDED
+
 
 
 
@@ -1566,6 +2090,8 @@ Draw.loadPlugin(function (ui) {
 
     // -------------------- DiagramPlanReader -------------------- // CHANGE
     const DiagramPlanReader = (() => { // CHANGE
+        const LOGGED_YIELD_CALIBRATION_YEARS = 3; // ADDED
+
         function isTilerGroupCell(cell) {
             return !!cell && typeof cell.getAttribute === "function" && cell.getAttribute("tiler_group") === "1";
         }
@@ -1812,15 +2338,161 @@ Draw.loadPlugin(function (ui) {
             }; // NEW
         } // NEW
 
+        /**
+         * Reads the Plant Tiler harvest log; entries need an ISO date and a positive weight.
+         */
+        function readHarvestLogEntries(tilerGroup) { // ADDED
+            const parsed = Env.safeJsonStringParse(DiagramStore.getCellAttr(tilerGroup, "harvest_log_json", ""), []); // ADDED
+            const list = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.entries) ? parsed.entries : []); // ADDED
+            return list // ADDED
+                .map(entry => ({ date: String(entry && entry.date || "").slice(0, 10), kg: Number(entry && entry.kg) })) // ADDED
+                .filter(entry => PlanMath.hasYmd(entry.date) && Number.isFinite(entry.kg) && entry.kg > 0); // ADDED
+        } // ADDED
+
+        function addLoggedHarvestToSeries(series, weekStarts, tilerGroup, year) { // ADDED
+            let total = 0; // ADDED
+            for (const entry of readHarvestLogEntries(tilerGroup)) { // ADDED
+                if (Number(entry.date.slice(0, 4)) !== Number(year)) continue; // ADDED
+                const index = PlanMath.weekIndexForDate(weekStarts, entry.date); // ADDED
+                if (index < 0) continue; // ADDED
+                series[index] += entry.kg; // ADDED
+                total += entry.kg; // ADDED
+            } // ADDED
+            return total; // ADDED
+        } // ADDED
+
+        /**
+         * Derives kg/plant per crop key from logged harvests in the seasons before `year`.
+         * Each group contributes its plant count once per calendar year it was harvested in.
+         */
+        function collectLoggedYieldCalibration(tilerGroups, year, plan) { // ADDED
+            const resolveCropKey = createPlanCropKeyResolver(plan, []); // ADDED
+            const firstYear = Number(year) - LOGGED_YIELD_CALIBRATION_YEARS; // ADDED
+            const totalsByCropKey = new Map(); // ADDED
+
+            for (const tilerGroup of tilerGroups) { // ADDED
+                const entries = readHarvestLogEntries(tilerGroup); // ADDED
+                if (!entries.length) continue; // ADDED
+                const plantCount = Math.trunc(Number(DiagramStore.getCellAttr(tilerGroup, "plant_count", ""))); // ADDED
+                if (!Number.isFinite(plantCount) || plantCount <= 0) continue; // ADDED
+                const key = resolveCropKey(tilerGroup); // ADDED
+                if (!key) continue; // ADDED
+
+                const kgByYear = new Map(); // ADDED
+                for (const entry of entries) { // ADDED
+                    const entryYear = Number(entry.date.slice(0, 4)); // ADDED
+                    if (entryYear < firstYear || entryYear >= Number(year)) continue; // ADDED
+                    kgByYear.set(entryYear, (kgByYear.get(entryYear) || 0) + entry.kg); // ADDED
+                } // ADDED
+                for (const [entryYear, kg] of kgByYear) { // ADDED
+                    const totals = totalsByCropKey.get(key) || { kg: 0, plantSeasons: 0, years: new Set() }; // ADDED
+                    totals.kg += kg; // ADDED
+                    totals.plantSeasons += plantCount; // ADDED
+                    totals.years.add(entryYear); // ADDED
+                    totalsByCropKey.set(key, totals); // ADDED
+                } // ADDED
+            } // ADDED
+
+            const calibrationByCropKey = new Map(); // ADDED
+            for (const [key, totals] of totalsByCropKey) { // ADDED
+                calibrationByCropKey.set(key, { // ADDED
+                    kgPerPlant: Math.round((totals.kg / totals.plantSeasons) * 1000) / 1000, // ADDED
+                    kg: totals.kg, // ADDED
+                    plantSeasons: totals.plantSeasons, // ADDED
+                    years: Array.from(totals.years).sort((a, b) => a - b) // ADDED
+                }); // ADDED
+            } // ADDED
+            return calibrationByCropKey; // ADDED
+        } // ADDED
+
+        function readLoggedYieldCalibration(moduleCell, year, plan) { // ADDED
+            return collectLoggedYieldCalibration(getTilerGroups(moduleCell), year, plan); // ADDED
+        } // ADDED
+
+        function cellIdOf(cell) { // ADDED
+            return cell && cell.getId ? String(cell.getId()) : String(cell && cell.id || ""); // ADDED
+        } // ADDED
+
+        function isGardenBedCell(cell) { // ADDED
+            return !!cell && typeof cell.getAttribute === "function" // ADDED
+                && (cell.getAttribute("garden_bed") === "1" || cell.getAttribute("gardenBed") === "1" || cell.getAttribute("is_garden_bed") === "1"); // ADDED
+        } // ADDED
+
+        function mapTilerGroupBeds(moduleCell) { // ADDED
+            const bedIdByTilerGroupId = new Map(); // ADDED
+            for (const bed of getAllDescendants(Env.model, moduleCell).filter(isGardenBedCell)) { // ADDED
+                for (const cell of getAllDescendants(Env.model, bed)) { // ADDED
+                    if (isTilerGroupCell(cell)) bedIdByTilerGroupId.set(cellIdOf(cell), cellIdOf(bed)); // ADDED
+                } // ADDED
+            } // ADDED
+            return bedIdByTilerGroupId; // ADDED
+        } // ADDED
+
+        /** Bed-metres covered by a planting group: its longer side converted from diagram units. */
+        function tilerGroupBedMetres(tilerGroup) { // ADDED
+            const geometry = Env.model.getGeometry ? Env.model.getGeometry(tilerGroup) : tilerGroup && tilerGroup.geometry; // ADDED
+            const longSide = Math.max(Number(geometry && geometry.width) || 0, Number(geometry && geometry.height) || 0); // ADDED
+            return longSide / (PX_PER_CM * DRAW_SCALE) / 100; // ADDED
+        } // ADDED
+
+        function readLinkedCells(cell) { // ADDED
+            return String(DiagramStore.getCellAttr(cell, "linkedTo", "") || "") // ADDED
+                .split(",") // ADDED
+                .map(id => id.trim()) // ADDED
+                .filter(Boolean) // ADDED
+                .map(id => Env.model.getCell(id)) // ADDED
+                .filter(Boolean); // ADDED
+        } // ADDED
+
+        /** Hours stored on the card, else the equipment plugin's estimate for its task type; null when neither exists. */
+        function estimateTaskCardHours(card, moduleCell) { // ADDED
+            const stored = Number(DiagramStore.getCellAttr(card, "task_estimated_hours", "")); // ADDED
+            if (Number.isFinite(stored) && stored > 0) return stored; // ADDED
+            const equipment = Env.graph.__trellisEquipment; // ADDED
+            if (!equipment || typeof equipment.estimateTaskHours !== "function" || !DiagramStore.getCellAttr(card, "task_type_id", "")) return null; // ADDED
+            const estimate = equipment.estimateTaskHours({ cell: card }, { moduleCell }); // ADDED
+            const hours = Number(estimate && estimate.estimatedHours); // ADDED
+            return Number.isFinite(hours) && hours > 0 ? hours : null; // ADDED
+        } // ADDED
+
+        /** Adds a planting group's bed-metres and linked task hours to its crop; cards shared by several groups split their hours. */
+        function addCropFootprint(footprintByCropKey, plantedBedMetresByBedId, key, tilerGroup, options) { // ADDED
+            if (!footprintByCropKey.has(key)) { // ADDED
+                footprintByCropKey.set(key, { bedMetres: 0, bedMetresByBedId: new Map(), laborHours: 0, unestimatedTasks: 0 }); // ADDED
+            } // ADDED
+            const footprint = footprintByCropKey.get(key); // ADDED
+            const metres = tilerGroupBedMetres(tilerGroup); // ADDED
+            const bedId = options.bedIdByTilerGroupId ? options.bedIdByTilerGroupId.get(cellIdOf(tilerGroup)) : ""; // ADDED
+            footprint.bedMetres += metres; // ADDED
+            if (bedId) { // ADDED
+                footprint.bedMetresByBedId.set(bedId, (footprint.bedMetresByBedId.get(bedId) || 0) + metres); // ADDED
+                plantedBedMetresByBedId.set(bedId, (plantedBedMetresByBedId.get(bedId) || 0) + metres); // ADDED
+            } // ADDED
+            for (const card of readLinkedCells(tilerGroup)) { // ADDED
+                if (DiagramStore.getCellAttr(card, "kanban_card", "") !== "1") continue; // ADDED
+                const hours = options.taskHours ? options.taskHours(card) : null; // ADDED
+                if (hours == null) { // ADDED
+                    footprint.unestimatedTasks++; // ADDED
+                    continue; // ADDED
+                } // ADDED
+                const sharedBy = readLinkedCells(card).filter(isTilerGroupCell).length; // ADDED
+                footprint.laborHours += hours / Math.max(1, sharedBy); // ADDED
+            } // ADDED
+        } // ADDED
+
         /**
          * Scans relevant tiler groups once so counts, weekly harvest, and exact ranges share one identity. // NEW
          */ // NEW
-        function collectYearFactsFromTilers(tilerGroups, year, weekStarts, cropKeyToKgPerPlant, plan) { // NEW
+        function collectYearFactsFromTilers(tilerGroups, year, weekStarts, cropKeyToKgPerPlant, plan, options) { // CHANGE
+            const footprintOptions = options || {}; // ADDED
             const diagnostics = []; // NEW
             const resolveCropKey = createPlanCropKeyResolver(plan, diagnostics); // NEW
             const actualPlantsByCropKey = new Map(); // NEW
             const actualHarvestSeriesByCropKey = new Map(); // NEW
             const actualHarvestDateRangeByCropKey = new Map(); // NEW
+            const loggedHarvestSeriesByCropKey = new Map(); // ADDED
+            const footprintByCropKey = new Map(); // ADDED
+            const plantedBedMetresByBedId = new Map(); // ADDED
             const ensureSeries = key => { // NEW
                 if (!actualHarvestSeriesByCropKey.has(key)) actualHarvestSeriesByCropKey.set(key, Array(weekStarts.length).fill(0)); // NEW
                 return actualHarvestSeriesByCropKey.get(key); // NEW
@@ -1835,6 +2507,9 @@ Draw.loadPlugin(function (ui) {
                 if (!key) continue; // NEW
 
                 actualPlantsByCropKey.set(key, (actualPlantsByCropKey.get(key) || 0) + count); // NEW
+                addCropFootprint(footprintByCropKey, plantedBedMetresByBedId, key, tilerGroup, footprintOptions); // ADDED
+                if (!loggedHarvestSeriesByCropKey.has(key)) loggedHarvestSeriesByCropKey.set(key, Array(weekStarts.length).fill(0)); // ADDED
+                addLoggedHarvestToSeries(loggedHarvestSeriesByCropKey.get(key), weekStarts, tilerGroup, year); // ADDED
                 const start = harvestStartYmd(tilerGroup); // NEW
                 const end = harvestEndYmd(tilerGroup); // NEW
                 const label = String(DiagramStore.getCellAttr(tilerGroup, "plant_name", "") || key).trim(); // NEW
@@ -1870,6 +2545,9 @@ Draw.loadPlugin(function (ui) {
                 actualPlantsByCropKey, // NEW
                 actualHarvestSeriesByCropKey, // NEW
                 actualHarvestDateRangeByCropKey, // NEW
+                loggedHarvestSeriesByCropKey, // ADDED
+                footprintByCropKey, // ADDED
+                plantedBedMetresByBedId, // ADDED
                 diagnostics // NEW
             }; // NEW
         } // NEW
@@ -1879,7 +2557,10 @@ Draw.loadPlugin(function (ui) {
          */
         function readYearFacts(moduleCell, year, weekStarts, cropKeyToKgPerPlant, plan) { // CHANGE
             const tilerGroups = getTilerGroups(moduleCell);
-            return collectYearFactsFromTilers(tilerGroups, year, weekStarts, cropKeyToKgPerPlant, plan); // CHANGE
+            return collectYearFactsFromTilers(tilerGroups, year, weekStarts, cropKeyToKgPerPlant, plan, { // CHANGE
+                bedIdByTilerGroupId: mapTilerGroupBeds(moduleCell), // ADDED
+                taskHours: card => estimateTaskCardHours(card, moduleCell) // ADDED
+            }); // ADDED
         }
 
         return {
@@ -1897,6 +2578,12 @@ Draw.loadPlugin(function (ui) {
             harvestWindowOverlapsYear,
             readGardenCropCandidates, // NEW
             createPlanCropKeyResolver, // NEW
+            readHarvestLogEntries, // ADDED
+            collectLoggedYieldCalibration, // ADDED
+            readLoggedYieldCalibration, // ADDED
+            isGardenBedCell, // ADDED
+            tilerGroupBedMetres, // ADDED
+            estimateTaskCardHours, // ADDED
             readYearFacts
         };
     })();
@@ -2100,9 +2787,14 @@ Draw.loadPlugin(function (ui) {
             const weekStartDow = plan.weekStartDow; // CHANGE
             const weekStarts = PlanMath.buildWeekStartsForYearLocal(selectedYear, weekStartDow);
             const kgPerPlantByCropKey = new Map();
+            const calibrationByCropKey = DiagramPlanReader.readLoggedYieldCalibration(moduleCell, selectedYear, plan); // ADDED
 
             for (const crop of plan.crops) {
                 const key = DiagramPlanReader.getCropKeyFromPlanCrop(crop);
+                crop.__loggedYieldCalibration = calibrationByCropKey.get(key) || null; // ADDED
+                if (crop.__loggedYieldCalibration && crop.kgPerPlantMode !== "manual") { // ADDED
+                    crop.kgPerPlant = crop.__loggedYieldCalibration.kgPerPlant; // ADDED
+                } // ADDED
                 const kgPerPlant = Number(crop.kgPerPlant);
                 if (Number.isFinite(kgPerPlant) && kgPerPlant > 0) kgPerPlantByCropKey.set(key, kgPerPlant);
             }
@@ -2126,6 +2818,8 @@ Draw.loadPlugin(function (ui) {
                 });
                 crop.__actualHarvestWeeklyKg = diagramFacts.actualHarvestSeriesByCropKey.get(key)
                     || Array(weekStarts.length).fill(0);
+                crop.__loggedHarvestWeeklyKg = diagramFacts.loggedHarvestSeriesByCropKey.get(key) // ADDED
+                    || Array(weekStarts.length).fill(0); // ADDED
                 const exactRange = diagramFacts.actualHarvestDateRangeByCropKey.get(key); // CHANGE
                 if (crop.useActualHarvest !== false && exactRange) { // CHANGE
                     crop.harvestStart = exactRange.start; // CHANGE
@@ -2153,13 +2847,20 @@ Draw.loadPlugin(function (ui) {
                     : 0;
                 crop.plantsReq = requiredPlants;
                 crop.seedsReq = requiredSeeds;
+                const footprint = diagramFacts.footprintByCropKey.get(DiagramPlanReader.getCropKeyFromPlanCrop(crop)); // ADDED
                 derivedByCropId.set(String(crop.id), {
                     actualPlants: crop.actualPlants,
                     requiredPlants,
                     requiredSeeds,
                     harvestStart: crop.harvestStart || "",
                     harvestEnd: crop.harvestEnd || "",
-                    actualHarvestWeeklyKg: crop.__actualHarvestWeeklyKg
+                    actualHarvestWeeklyKg: crop.__actualHarvestWeeklyKg, // CHANGE
+                    loggedHarvestWeeklyKg: crop.__loggedHarvestWeeklyKg, // ADDED
+                    loggedYieldCalibration: crop.__loggedYieldCalibration, // CHANGE
+                    bedMetres: footprint ? footprint.bedMetres : 0, // ADDED
+                    bedMetresByBedId: footprint ? footprint.bedMetresByBedId : new Map(), // ADDED
+                    laborHours: footprint ? footprint.laborHours : 0, // ADDED
+                    unestimatedTasks: footprint ? footprint.unestimatedTasks : 0 // ADDED
                 });
             }
 
@@ -2170,7 +2871,8 @@ Draw.loadPlugin(function (ui) {
                 weekly,
                 cropTotals,
                 warnings,
-                derivedByCropId
+                derivedByCropId, // CHANGE
+                plantedBedMetresByBedId: diagramFacts.plantedBedMetresByBedId // ADDED
             };
         }
 
@@ -2277,7 +2979,7 @@ Draw.loadPlugin(function (ui) {
 
         function formatMoney(value) { // NEW
             const number = Number(value); // NEW
-            return Number.isFinite(number) ? `$${number.toFixed(2)}` : "-"; // NEW
+            return Number.isFinite(number) ? `${number < 0 ? "-" : ""}$${Math.abs(number).toFixed(2)}` : "-"; // CHANGE
         } // NEW
 
         function summarizeDemandAggregate(aggregate) { // NEW
@@ -2502,8 +3204,11 @@ Draw.loadPlugin(function (ui) {
     // -------------------- Modal UI (dashboard) -------------------- // CHANGE
 
     function downloadJson(filename, obj) {
-        const txt = JSON.stringify(obj, null, 2);
-        const blob = new Blob([txt], { type: "application/json;charset=utf-8" });
+        downloadText(filename, JSON.stringify(obj, null, 2), "application/json;charset=utf-8"); // CHANGE
+    } // CHANGE
+
+    function downloadText(filename, txt, type) { // ADDED
+        const blob = new Blob([txt], { type }); // ADDED
         const url = URL.createObjectURL(blob);
         const a = document.createElement("a");
         a.href = url;
@@ -2526,6 +3231,7 @@ Draw.loadPlugin(function (ui) {
         dangerBg: "#fdebea", // NEW
         warning: "#b56a00", // NEW
         warningBg: "#fff4df", // NEW
+        accent: "#6a3d9a", // ADDED
         neutral900: "#222", // NEW
         neutral700: "#555", // NEW
         neutral500: "#777", // NEW
@@ -2540,7 +3246,8 @@ Draw.loadPlugin(function (ui) {
         { id: "usable", label: "Usable supply", tooltipLabel: "Usable", field: "usableSupplyKg", kind: "line", color: YP_COLORS.successSoft, lineWidth: 1.5, dash: [], help: "Available supply used to satisfy this week's demand." }, // CHANGE
         { id: "harvest", label: "Harvest", tooltipLabel: "Harvested", field: "harvestKg", kind: "bar", color: YP_COLORS.success, fill: YP_COLORS.successBg, help: "Estimated harvested weight added during the week." }, // CHANGE
         { id: "shortage", label: "Shortage", tooltipLabel: "Short", field: "shortKg", kind: "area", color: YP_COLORS.danger, fill: YP_COLORS.dangerBg, help: "Demand that remains unmet after available supply is used." }, // CHANGE
-        { id: "expired", label: "Expired", tooltipLabel: "Expired", field: "expiredKg", kind: "point", color: YP_COLORS.warning, help: "Stored harvest that reaches the end of its shelf life this week." } // CHANGE
+        { id: "expired", label: "Expired", tooltipLabel: "Expired", field: "expiredKg", kind: "point", color: YP_COLORS.warning, help: "Stored harvest that reaches the end of its shelf life this week." }, // CHANGE
+        { id: "logged", label: "Logged harvest", tooltipLabel: "Logged", field: "loggedKg", kind: "dashed-line", color: YP_COLORS.accent, lineWidth: 2, dash: [2, 3], help: "Harvest weight recorded in plant group harvest logs, for comparison with the planned harvest." } // ADDED
     ]); // NEW
 
     function isPlanChartSeriesVisible(visibleSeriesIds, seriesId) { // NEW
@@ -2572,7 +3279,8 @@ Draw.loadPlugin(function (ui) {
             row.harvestKg, // NEW
             row.availableSupplyKg, // NEW
             row.usableSupplyKg, // NEW
-            row.expiredKg // NEW
+            row.expiredKg, // NEW
+            row.loggedKg // ADDED
         ]).map(value => Math.max(0, Number(value) || 0))); // CHANGE
         const y = value => plotBottom - ((Math.max(0, Number(value) || 0) / maxValue) * plotHeight); // NEW
 
@@ -2695,6 +3403,8 @@ Draw.loadPlugin(function (ui) {
             let editorRefs = {}; // NEW
             let demandRefs = {}; // NEW
             let chartHitModel = null; // NEW
+            let seedShortfalls = []; // ADDED
+            let profitability = null; // ADDED
             const visibleChartSeriesIds = new Set(PLAN_CHART_SERIES.map(series => series.id)); // NEW
 
             const wrap = document.createElement("div"); // NEW
@@ -2863,6 +3573,32 @@ Draw.loadPlugin(function (ui) {
             const totalsBox = document.createElement("div"); // NEW
             const diagnosticsBox = document.createElement("div"); // NEW
             diagnosticsBox.style.marginTop = "10px"; // NEW
+            const seedBox = document.createElement("div"); // ADDED
+            seedBox.className = "yp-seed-inventory"; // ADDED
+            seedBox.style.cssText = "margin-top:12px;padding-top:10px;border-top:1px solid #eee;"; // ADDED
+            const seedShortfallBox = document.createElement("div"); // ADDED
+            const seedLotForm = document.createElement("div"); // ADDED
+            seedLotForm.className = "yp-row"; // ADDED
+            seedLotForm.style.margin = "8px 0"; // ADDED
+            const seedLotList = document.createElement("div"); // ADDED
+            seedBox.appendChild(seedShortfallBox); // ADDED
+            seedBox.appendChild(seedLotForm); // ADDED
+            seedBox.appendChild(seedLotList); // ADDED
+            const costBox = document.createElement("div"); // ADDED
+            costBox.className = "yp-cost-model"; // ADDED
+            costBox.style.cssText = "margin-top:12px;padding-top:10px;border-top:1px solid #eee;"; // ADDED
+            const costTableBox = document.createElement("div"); // ADDED
+            const costSettingsForm = document.createElement("div"); // ADDED
+            costSettingsForm.className = "yp-row"; // ADDED
+            costSettingsForm.style.margin = "8px 0"; // ADDED
+            const amendmentForm = document.createElement("div"); // ADDED
+            amendmentForm.className = "yp-row"; // ADDED
+            amendmentForm.style.margin = "8px 0"; // ADDED
+            const amendmentList = document.createElement("div"); // ADDED
+            costBox.appendChild(costTableBox); // ADDED
+            costBox.appendChild(costSettingsForm); // ADDED
+            costBox.appendChild(amendmentForm); // ADDED
+            costBox.appendChild(amendmentList); // ADDED
             chartControls.appendChild(document.createTextNode("Crop filter")); // NEW
             chartControls.appendChild(cropFilterSel); // NEW
             chartBox.appendChild(chartControls); // NEW
@@ -3027,6 +3763,15 @@ Draw.loadPlugin(function (ui) {
             } // NEW
 
             const formatKg = YearPlanDashboard.formatKg; // CHANGE
+
+            function yieldDefaultLabel(crop) { // ADDED
+                const calibration = crop && crop.__loggedYieldCalibration; // ADDED
+                if (!calibration) return "Using plant or variety default"; // ADDED
+                const years = calibration.years.length > 1 // ADDED
+                    ? `${calibration.years[0]}-${calibration.years[calibration.years.length - 1]}` // ADDED
+                    : String(calibration.years[0]); // ADDED
+                return `Calibrated from ${years} harvest log (${formatKg(calibration.kg)} over ${calibration.plantSeasons} plant-seasons)`; // ADDED
+            } // ADDED
             const formatMoney = YearPlanDashboard.formatMoney; // NEW
 
             function statusTone(status) { // NEW
@@ -3093,6 +3838,9 @@ Draw.loadPlugin(function (ui) {
                     else if (metric.status === "Short") add(`${cropLabel(metric.crop)} short ${formatKg(metric.shortKg)}`, "danger", () => selectCropFromAttention(metric.crop.id)); // NEW
                     else if (metric.status === "Expired / timing issue") add(`${cropLabel(metric.crop)} timing ${formatKg(metric.shortKg)}`, "warning", () => selectCropFromAttention(metric.crop.id)); // NEW
                 } // NEW
+                for (const row of (profitability ? profitability.rows : [])) { // ADDED
+                    if (row.losesMoney) add(`${cropLabel(row.crop)} loses ${formatMoney(-row.grossMargin)}`, "danger", () => selectCropFromAttention(row.cropId)); // ADDED
+                } // ADDED
                 if (chartSummary && chartSummary.expiredKg > EPS) add(`Expired ${formatKg(chartSummary.expiredKg)}`, "warning", () => { state.planCheckExpanded = true; renderPlanCheck(); }); // NEW
                 if (PlanSchema.validateDemand(plan).length) add("Demand dates invalid", "danger", () => { state.demandExpanded = true; renderDemandStrip(true); }); // NEW
                 if (PlanSchema.validateCsa(plan).length) add("CSA dates invalid", "danger", () => { state.csaExpanded = true; renderCsa(true); }); // NEW
@@ -3440,16 +4188,22 @@ Draw.loadPlugin(function (ui) {
                 const worstShortageText = chartSummary.worstShortageKg > 0 // NEW
                     ? `${formatKg(chartSummary.worstShortageKg)} \u00b7 Week of ${chartSummary.worstShortageWeek}` // NEW
                     : "-"; // NEW
+                const seedInventory = readLiveSeedInventory(); // ADDED
+                refreshProfitability(seedInventory); // CHANGE
+                const seedShortCount = seedShortfalls.filter(row => row.shortPlants > 0).length; // ADDED
                 const planCheckSummaryChips = [ // NEW
                     createChip("Target", formatKg(chartSummary.targetKg), "primary"), // NEW
                     createChip("Harvested", formatKg(chartSummary.harvestKg), chartSummary.harvestKg > EPS ? "success" : "neutral"), // NEW
+                    ...(chartSummary.loggedKg > EPS ? [createChip("Logged", formatKg(chartSummary.loggedKg), "neutral")] : []), // ADDED
                     createChip("Usable", formatKg(chartSummary.usableSupplyKg), chartSummary.usableSupplyKg > EPS ? "success" : "neutral"), // NEW
                     createChip("Short", formatKg(chartSummary.shortKg), chartSummary.shortKg > EPS ? "danger" : "success"), // NEW
                     createChip("Expired", formatKg(chartSummary.expiredKg), chartSummary.expiredKg > EPS ? "warning" : "neutral"), // NEW
                     createChip("Worst shortage", worstShortageText, chartSummary.worstShortageKg > EPS ? "danger" : "neutral"), // NEW
                     createChip("Short weeks", String(chartSummary.shortWeeks), chartSummary.shortWeeks > 0 ? "danger" : "success"), // NEW
                     createChip("Potential", formatMoney(dashboard.potentialRevenue), "neutral"), // NEW
-                    createChip("Fulfilled", formatMoney(dashboard.fulfilledRevenue), dashboard.fulfilledRevenue > EPS ? "success" : "neutral") // NEW
+                    createChip("Fulfilled", formatMoney(dashboard.fulfilledRevenue), dashboard.fulfilledRevenue > EPS ? "success" : "neutral"), // CHANGE
+                    createChip("Gross margin", formatMoney(profitability.totals.grossMargin), marginTone(profitability.totals.grossMargin)), // ADDED
+                    ...(seedShortCount ? [createChip("Seed short", `${seedShortCount} crop${seedShortCount === 1 ? "" : "s"}`, "danger")] : []) // ADDED
                 ]; // NEW
                 renderStripBox(planCheckBox, { // NEW
                     title: "Plan Check", // NEW
@@ -3457,7 +4211,7 @@ Draw.loadPlugin(function (ui) {
                     summaryChips: planCheckSummaryChips, // CHANGE
                     onToggle: () => { state.planCheckExpanded = !state.planCheckExpanded; renderPlanCheck(); }, // NEW
                     mountWhenCollapsed: true, // NEW
-                    renderDetails: details => { details.appendChild(planCheckGrid); details.appendChild(diagnosticsBox); } // NEW
+                    renderDetails: details => { details.appendChild(planCheckGrid); details.appendChild(costBox); details.appendChild(seedBox); details.appendChild(diagnosticsBox); } // CHANGE
                 }); // NEW
                 if (!state.planCheckExpanded) chartTooltip.style.display = "none"; // CHANGE
                 updateChartLegendState(); // NEW
@@ -3469,6 +4223,7 @@ Draw.loadPlugin(function (ui) {
                 setChipRow(planCheckSummary, [ // CHANGE
                     createChip("Target", formatKg(chartSummary.targetKg), "primary"), // NEW
                     createChip("Harvested", formatKg(chartSummary.harvestKg), chartSummary.harvestKg > EPS ? "success" : "neutral"), // NEW
+                    ...(chartSummary.loggedKg > EPS ? [createChip("Logged", formatKg(chartSummary.loggedKg), "neutral")] : []), // ADDED
                     createChip("Usable", formatKg(chartSummary.usableSupplyKg), chartSummary.usableSupplyKg > EPS ? "success" : "neutral"), // NEW
                     createChip("Short", formatKg(chartSummary.shortKg), chartSummary.shortKg > EPS ? "danger" : "success"), // NEW
                     createChip("Expired", formatKg(chartSummary.expiredKg), chartSummary.expiredKg > EPS ? "warning" : "neutral"), // NEW
@@ -3481,7 +4236,7 @@ Draw.loadPlugin(function (ui) {
                 const rows = visibleCrops.map(crop => { // CHANGE
                     const summary = PlanMath.summarizePlanChartModel(PlanMath.buildPlanChartModel(runtime.weekly, String(crop.id))); // NEW
                     const metric = dashboard.cropMetricsById.get(String(crop.id)); // CHANGE
-                    return `<tr><td>${mxUtils.htmlEntities(cropLabel(crop))}</td><td>${summary.targetKg.toFixed(1)}</td><td>${summary.harvestKg.toFixed(1)}</td><td>${summary.usableSupplyKg.toFixed(1)}</td><td>${summary.shortKg.toFixed(1)}</td><td>${summary.expiredKg.toFixed(1)}</td><td>${mxUtils.htmlEntities(metric ? metric.status : "Missing data")}</td></tr>`; // CHANGE
+                    return `<tr><td>${mxUtils.htmlEntities(cropLabel(crop))}</td><td>${summary.targetKg.toFixed(1)}</td><td>${summary.harvestKg.toFixed(1)}</td><td>${summary.loggedKg.toFixed(1)}</td><td>${summary.usableSupplyKg.toFixed(1)}</td><td>${summary.shortKg.toFixed(1)}</td><td>${summary.expiredKg.toFixed(1)}</td><td>${mxUtils.htmlEntities(metric ? metric.status : "Missing data")}</td></tr>`; // CHANGE
                 }).join(""); // CHANGE
                 const channelRows = dashboard.channelMetrics.map(metric => `<tr><td>${mxUtils.htmlEntities(metric.channel.label || metric.channel.id)}</td><td>${metric.targetKg.toFixed(1)}</td><td>${metric.usableSupplyKg.toFixed(1)}</td><td>${metric.shortKg.toFixed(1)}</td><td>${metric.lineCount}</td><td>${formatMoney(metric.potentialRevenue)}</td><td>${formatMoney(metric.fulfilledRevenue)}</td><td>${mxUtils.htmlEntities(metric.status)}</td></tr>`).join(""); // NEW
                 const priorityRows = dashboard.priorityMetrics.map(metric => `<tr><td>${mxUtils.htmlEntities(metric.priority)}</td><td>${metric.targetKg.toFixed(1)}</td><td>${metric.usableSupplyKg.toFixed(1)}</td><td>${metric.shortKg.toFixed(1)}</td><td>${formatMoney(metric.potentialRevenue)}</td><td>${formatMoney(metric.fulfilledRevenue)}</td></tr>`).join(""); // NEW
@@ -3489,7 +4244,7 @@ Draw.loadPlugin(function (ui) {
                 totalsBox.innerHTML = // CHANGE
                     `
                     <div style="font-weight:700;margin-bottom:6px;">Plan Check totals</div>
-                    <table style="width:100%;border-collapse:collapse;"><thead><tr><th>Crop</th><th>Target</th><th>Harvested</th><th>Usable</th><th>Short</th><th>Expired</th><th>Status</th></tr></thead><tbody>${rows || '<tr><td colspan="7">No crops.</td></tr>'}</tbody></table>
+                    <table style="width:100%;border-collapse:collapse;"><thead><tr><th>Crop</th><th>Target</th><th>Harvested</th><th>Logged</th><th>Usable</th><th>Short</th><th>Expired</th><th>Status</th></tr></thead><tbody>${rows || '<tr><td colspan="8">No crops.</td></tr>'}</tbody></table>
                     <div style="font-weight:700;margin:10px 0 6px;">Channels</div>
                     <table style="width:100%;border-collapse:collapse;"><thead><tr><th>Channel</th><th>Demand</th><th>Usable</th><th>Short</th><th>Lines</th><th>Potential</th><th>Fulfilled</th><th>Status</th></tr></thead><tbody>${channelRows || '<tr><td colspan="8">No channels.</td></tr>'}</tbody></table>
                     <div style="font-weight:700;margin:10px 0 6px;">Priorities</div>
@@ -3501,8 +4256,97 @@ Draw.loadPlugin(function (ui) {
                 diagnosticsBox.innerHTML = dashboard.diagnostics.length // NEW
                     ? `<div style="font-weight:700;margin-bottom:5px;">Plan Check</div><ul style="margin:0 0 0 18px;padding:0;">${dashboard.diagnostics.map(message => `<li>${mxUtils.htmlEntities(message)}</li>`).join("")}</ul>` // CHANGE
                     : `<div style="color:${YP_COLORS.success};font-weight:700;">Plan Check passed.</div>`; // CHANGE
+                renderSeedInventory(seedInventory); // ADDED
+                renderCosts(); // ADDED
             } // NEW
 
+            function refreshProfitability(seedInventory) { // ADDED
+                seedShortfalls = SeedInventory.computeShortfalls(plan, seedInventory, currentYear); // ADDED
+                profitability = CostModel.computeProfitability(plan, runtime, { // ADDED
+                    costModel: CostModel.read(moduleCell), // ADDED
+                    seedShortfalls, // ADDED
+                    irrigationBedCosts: CostModel.readIrrigationBedCosts(moduleCell) // ADDED
+                }); // ADDED
+            } // ADDED
+
+            function marginTone(value) { // ADDED
+                if (value < -EPS) return "danger"; // ADDED
+                return value > EPS ? "success" : "neutral"; // ADDED
+            } // ADDED
+
+            function formatPerUnitMargin(value) { // ADDED
+                return value == null ? "-" : formatMoney(value); // ADDED
+            } // ADDED
+
+            function renderCosts() { // ADDED
+                const costModel = profitability.costModel; // ADDED
+                const totals = profitability.totals; // ADDED
+                const costRows = profitability.rows.map(row => { // ADDED
+                    const hours = `${row.laborHours.toFixed(1)}${row.unestimatedTasks ? ` (+${row.unestimatedTasks} unestimated)` : ""}`; // ADDED
+                    return `<tr data-cost-crop-id="${mxUtils.htmlEntities(row.cropId)}"><td>${mxUtils.htmlEntities(cropLabel(row.crop))}</td><td>${formatMoney(row.revenue)}</td><td>${formatMoney(row.seedCost)}</td><td>${formatMoney(row.amendmentCost)}</td><td>${formatMoney(row.irrigationCost)}</td><td>${hours}</td><td>${formatMoney(row.laborCost)}</td><td${row.losesMoney ? " data-loses-money=\"true\"" : ""}>${formatMoney(row.grossMargin)}</td><td>${row.bedMetres.toFixed(1)}</td><td>${formatPerUnitMargin(row.marginPerBedMetre)}</td><td>${formatPerUnitMargin(row.marginPerLaborHour)}</td></tr>`; // ADDED
+                }).join(""); // ADDED
+                const unallocated = totals.unallocatedAmendmentCost > EPS // ADDED
+                    ? ` Shared amendments of ${formatMoney(totals.unallocatedAmendmentCost)} are not allocated until crops are placed in beds.` // ADDED
+                    : ""; // ADDED
+                costTableBox.innerHTML = // ADDED
+                    `
+                    <div style="font-weight:700;margin-bottom:6px;">Costs &amp; margins</div>
+                    <table style="width:100%;border-collapse:collapse;"><thead><tr><th>Crop</th><th>Revenue</th><th>Seed</th><th>Amendments</th><th>Irrigation</th><th>Labor h</th><th>Labor</th><th>Gross margin</th><th>Bed m</th><th>Margin/bed m</th><th>Margin/labor h</th></tr></thead><tbody>${costRows || '<tr><td colspan="11">No crops.</td></tr>'}</tbody></table>
+                    <div style="margin-top:6px;color:#555;">Revenue is fulfilled sales (CSA excluded). Labor hours come from task cards linked to each crop's planting groups; irrigation parts are split by planted bed-metres.${unallocated}</div>`;
+                const amendmentRows = costModel.amendments.map(amendment => { // ADDED
+                    const crop = (plan.crops || []).find(item => String(item.id) === amendment.cropId); // ADDED
+                    return `<tr><td>${mxUtils.htmlEntities(amendment.label)}</td><td>${formatMoney(amendment.cost)}</td><td>${mxUtils.htmlEntities(crop ? cropLabel(crop) : "All crops")}</td><td><button type="button" data-amendment-id="${mxUtils.htmlEntities(amendment.id)}">Remove</button></td></tr>`; // ADDED
+                }).join(""); // ADDED
+                amendmentList.innerHTML = // ADDED
+                    `
+                    <table style="width:100%;border-collapse:collapse;"><thead><tr><th>Amendment</th><th>Cost</th><th>Charged to</th><th></th></tr></thead><tbody>${amendmentRows || '<tr><td colspan="4">No amendment costs recorded.</td></tr>'}</tbody></table>`;
+                for (const cell of costBox.querySelectorAll("th,td")) cell.style.cssText = "border:1px solid #ddd;padding:4px;text-align:left;"; // ADDED
+                for (const cell of costBox.querySelectorAll("[data-loses-money]")) { cell.style.color = YP_COLORS.danger; cell.style.fontWeight = "700"; } // ADDED
+                if (document.activeElement !== wageRateInput) wageRateInput.value = costModel.wageRate ? String(costModel.wageRate) : ""; // ADDED
+                if (document.activeElement !== irrigationYearsInput) irrigationYearsInput.value = String(costModel.irrigationYears); // ADDED
+                const selected = amendmentCropSel.value; // ADDED
+                amendmentCropSel.innerHTML = ""; // ADDED
+                amendmentCropSel.appendChild(new Option("All crops (by bed-metre)", "")); // ADDED
+                for (const crop of (plan.crops || [])) { // ADDED
+                    if (crop && crop.id) amendmentCropSel.appendChild(new Option(cropLabel(crop), String(crop.id))); // ADDED
+                } // ADDED
+                if (Array.from(amendmentCropSel.options).some(option => option.value === selected)) amendmentCropSel.value = selected; // ADDED
+            } // ADDED
+
+            function readLiveSeedInventory() { // ADDED
+                return SeedInventory.pruneReservations(SeedInventory.read(moduleCell), cellId => !!Env.model.getCell(cellId)); // ADDED
+            } // ADDED
+
+            function seedLotCropLabel(lot) { // ADDED
+                return lot.varietyName ? `${lot.plantName} - ${lot.varietyName}` : (lot.plantName || `Plant ${lot.plantId}`); // ADDED
+            } // ADDED
+
+            function renderSeedInventory(inventory) { // ADDED
+                const shortfallRows = seedShortfalls.map(row => `<tr><td>${mxUtils.htmlEntities(row.variety ? `${row.plant} - ${row.variety}` : row.plant)}</td><td>${row.plantsReq}</td><td>${row.reservedPlants}</td><td>${row.stockPlants}</td><td>${row.shortPlants}</td><td>${row.orderSeeds}</td></tr>`).join(""); // ADDED
+                seedShortfallBox.innerHTML = // ADDED
+                    `
+                    <div style="font-weight:700;margin-bottom:6px;">Seed &amp; transplant stock</div>
+                    <table style="width:100%;border-collapse:collapse;"><thead><tr><th>Crop</th><th>Plants required</th><th>Reserved</th><th>From stock</th><th>Short</th><th>Seeds to order</th></tr></thead><tbody>${shortfallRows || '<tr><td colspan="6">No crops.</td></tr>'}</tbody></table>`;
+                const reserved = SeedInventory.reservedByLotId(inventory, ""); // ADDED
+                const lotRows = inventory.lots.map(lot => { // ADDED
+                    const quantity = SeedInventory.lotQuantity(lot); // ADDED
+                    const held = reserved.get(lot.id) || 0; // ADDED
+                    return `<tr><td>${mxUtils.htmlEntities(seedLotCropLabel(lot))}</td><td>${lot.kind === "transplant" ? "Transplants" : "Seed"}</td><td>${mxUtils.htmlEntities(lot.lot || "-")}</td><td>${quantity}</td><td>${held}</td><td>${Math.max(0, quantity - held)}</td><td>${lot.purchaseYear ?? "-"}</td><td>${lot.germRate == null ? "-" : `${Math.round(lot.germRate * 100)}%`}</td><td>${lot.cost > 0 ? formatMoney(lot.cost) : "-"}</td><td><button type="button" data-seed-lot-id="${mxUtils.htmlEntities(lot.id)}">Remove</button></td></tr>`; // ADDED
+                }).join(""); // ADDED
+                seedLotList.innerHTML = // ADDED
+                    `
+                    <table style="width:100%;border-collapse:collapse;"><thead><tr><th>Lot crop</th><th>Kind</th><th>Lot</th><th>Quantity</th><th>Reserved</th><th>Free</th><th>Bought</th><th>Tested germ.</th><th>Cost</th><th></th></tr></thead><tbody>${lotRows || '<tr><td colspan="10">No seed or transplant lots recorded.</td></tr>'}</tbody></table>`;
+                for (const cell of seedBox.querySelectorAll("th,td")) cell.style.cssText = "border:1px solid #ddd;padding:4px;text-align:left;"; // ADDED
+                const selected = seedLotCropSel.value; // ADDED
+                seedLotCropSel.innerHTML = ""; // ADDED
+                for (const crop of (plan.crops || [])) { // ADDED
+                    if (!crop || crop.plantId == null || crop.plantId === "") continue; // ADDED
+                    seedLotCropSel.appendChild(new Option(cropLabel(crop), String(crop.id))); // ADDED
+                } // ADDED
+                if (Array.from(seedLotCropSel.options).some(option => option.value === selected)) seedLotCropSel.value = selected; // ADDED
+                seedOrderButton.disabled = !seedShortfalls.some(row => row.shortPlants > 0); // ADDED
+            } // ADDED
+
             function renderFooter() { // NEW
                 const dirty = YearPlanDashboard.isDirty(state, plan); // NEW
                 reset.textContent = loadedExistingForCurrentYear ? "Reset" : "Clear"; // NEW
@@ -3543,6 +4387,7 @@ Draw.loadPlugin(function (ui) {
                 runtime = PlanRuntimeService.recalculate(moduleCell, currentYear, plan); // NEW
                 const dirty = state.baselineSnapshot ? YearPlanDashboard.isDirty(state, plan) : false; // NEW
                 dashboard = YearPlanDashboard.compute(plan, runtime, { dirty, extraDiagnostics: state.extraDiagnostics }); // NEW
+                refreshProfitability(readLiveSeedInventory()); // ADDED
                 const demandErrors = PlanSchema.validateDemand(plan); // NEW
                 const hadDemandErrors = state.hadDemandErrors; // NEW
                 const expansionChanges = YearPlanDashboard.syncExpansionState(state, dashboard, PlanSchema.validateCsa(plan), demandErrors); // CHANGE
@@ -3666,7 +4511,7 @@ Draw.loadPlugin(function (ui) {
                 harvestStart.disabled = harvestEnd.disabled = useActual.checked; // NEW
                 addField(grid, "Plant", plant); // NEW
                 addField(grid, "Variety", varietyRow); // NEW
-                addField(grid, "kg/plant", kg, crop.kgPerPlantMode === "manual" ? "Manual override" : "Using plant or variety default"); // NEW
+                addField(grid, "kg/plant", kg, crop.kgPerPlantMode === "manual" ? "Manual override" : yieldDefaultLabel(crop)); // CHANGE
                 addField(grid, "Germination rate", germ, "Value from 0.01 through 1.00"); // NEW
                 addField(grid, "Harvest start", harvestStart); // NEW
                 addField(grid, "Harvest end", harvestEnd); // NEW
@@ -4033,7 +4878,7 @@ Draw.loadPlugin(function (ui) {
                 const modeHost = document.createElement("div"); // NEW
                 modeHost.className = "yp-row"; // NEW
                 const mode = document.createElement("span"); // NEW
-                mode.textContent = crop.kgPerPlantMode === "manual" ? "Manual override" : "Automatic"; // NEW
+                mode.textContent = crop.kgPerPlantMode === "manual" ? "Manual override" : (crop.__loggedYieldCalibration ? "Automatic (harvest log)" : "Automatic"); // CHANGE
                 const resetYield = mkBtn("Reset to default", "secondary"); // CHANGE
                 modeHost.appendChild(mode); modeHost.appendChild(resetYield); // NEW
                 addField(grid, "Planting method", methodHost); // NEW
@@ -4245,6 +5090,8 @@ Draw.loadPlugin(function (ui) {
             const saveClose = mkBtn("Save & Close", "secondary"); // CHANGE
             const close = mkBtn("Close", "neutral"); // CHANGE
             const exportButton = mkBtn("Export", "neutral"); // CHANGE
+            const seedOrderButton = mkBtn("Seed order", "neutral"); // ADDED
+            seedOrderButton.title = "Download the seeds still to order for this season as CSV"; // ADDED
             const reset = mkBtn(loadedExistingForCurrentYear ? "Reset" : "Clear", "danger"); // CHANGE
             const promptSave = mkBtn("Save and Close", "primary"); // CHANGE
             const promptDiscard = mkBtn("Discard", "danger"); // CHANGE
@@ -4265,7 +5112,51 @@ Draw.loadPlugin(function (ui) {
             plantMessage.style.color = "#666"; // NEW
             addRow.appendChild(plantSelect); addRow.appendChild(addCrop); addRow.appendChild(reloadPlants); addRow.appendChild(plantMessage); // NEW
 
-            footerActions.appendChild(exportButton); footerActions.appendChild(reset); // CHANGE
+            footerActions.appendChild(exportButton); footerActions.appendChild(seedOrderButton); footerActions.appendChild(reset); // CHANGE
+
+            const seedLotCropSel = document.createElement("select"); // ADDED
+            seedLotCropSel.style.cssText = "padding:5px 6px;border:1px solid #bbb;border-radius:6px;min-width:170px;"; // ADDED
+            const seedLotKindSel = document.createElement("select"); // ADDED
+            seedLotKindSel.style.cssText = "padding:5px 6px;border:1px solid #bbb;border-radius:6px;"; // ADDED
+            seedLotKindSel.appendChild(new Option("Seed", "seed")); // ADDED
+            seedLotKindSel.appendChild(new Option("Transplants", "transplant")); // ADDED
+            const seedLotName = mkInput("text", "", 100); // ADDED
+            seedLotName.placeholder = "Lot"; // ADDED
+            const seedLotCount = mkInput("number", "", 90); // ADDED
+            seedLotCount.min = "0"; seedLotCount.placeholder = "Count"; // ADDED
+            const seedLotGrams = mkInput("number", "", 70); // ADDED
+            seedLotGrams.min = "0"; seedLotGrams.step = "0.1"; seedLotGrams.placeholder = "Grams"; // ADDED
+            const seedLotSeedsPerGram = mkInput("number", "", 80); // ADDED
+            seedLotSeedsPerGram.min = "0"; seedLotSeedsPerGram.placeholder = "Seeds/g"; // ADDED
+            const seedLotYear = mkInput("number", currentYear, 70); // ADDED
+            seedLotYear.min = "1900"; seedLotYear.max = "3000"; seedLotYear.title = "Purchase year"; // ADDED
+            const seedLotGerm = mkInput("number", "", 80); // ADDED
+            seedLotGerm.min = "0.01"; seedLotGerm.max = "1"; seedLotGerm.step = "0.01"; seedLotGerm.placeholder = "Tested germ."; // ADDED
+            const addSeedLot = mkBtn("Add lot", "secondary"); // ADDED
+            const seedLotMessage = document.createElement("span"); // ADDED
+            seedLotMessage.style.color = "#666"; // ADDED
+            const seedLotCost = mkInput("number", "", 80); // CHANGE
+            seedLotCost.min = "0"; seedLotCost.step = "0.01"; seedLotCost.placeholder = "Lot cost"; // ADDED
+            for (const control of [seedLotCropSel, seedLotKindSel, seedLotName, seedLotCount, seedLotGrams, seedLotSeedsPerGram, seedLotYear, seedLotGerm, seedLotCost, addSeedLot, seedLotMessage]) seedLotForm.appendChild(control); // CHANGE
+            const wageRateInput = mkInput("number", "", 80); // ADDED
+            wageRateInput.min = "0"; wageRateInput.step = "0.01"; wageRateInput.placeholder = "0.00"; // ADDED
+            const irrigationYearsInput = mkInput("number", 1, 60); // ADDED
+            irrigationYearsInput.min = "1"; irrigationYearsInput.step = "1"; // ADDED
+            irrigationYearsInput.title = "Irrigation parts are charged over this many seasons"; // ADDED
+            const costMessage = document.createElement("span"); // ADDED
+            costMessage.style.color = "#666"; // ADDED
+            costSettingsForm.appendChild(document.createTextNode("Wage per hour")); // ADDED
+            costSettingsForm.appendChild(wageRateInput); // ADDED
+            costSettingsForm.appendChild(document.createTextNode("Irrigation spread over (years)")); // ADDED
+            costSettingsForm.appendChild(irrigationYearsInput); // ADDED
+            const amendmentLabel = mkInput("text", "", 150); // ADDED
+            amendmentLabel.placeholder = "Amendment"; // ADDED
+            const amendmentCost = mkInput("number", "", 80); // ADDED
+            amendmentCost.min = "0"; amendmentCost.step = "0.01"; amendmentCost.placeholder = "Cost"; // ADDED
+            const amendmentCropSel = document.createElement("select"); // ADDED
+            amendmentCropSel.style.cssText = "padding:5px 6px;border:1px solid #bbb;border-radius:6px;min-width:170px;"; // ADDED
+            const addAmendment = mkBtn("Add amendment", "secondary"); // ADDED
+            for (const control of [amendmentLabel, amendmentCost, amendmentCropSel, addAmendment, costMessage]) amendmentForm.appendChild(control); // ADDED
             closePrompt.appendChild(promptSave); closePrompt.appendChild(promptDiscard); closePrompt.appendChild(promptCancel); // NEW
 
             function appendAddCropOptionGroup(label, options) { // NEW
@@ -4530,6 +5421,73 @@ Draw.loadPlugin(function (ui) {
                 const safeName = String(DiagramStore.getCellAttr(moduleCell, "label", "garden")).replace(/[^\w\-]+/g, "_").slice(0, 60); // NEW
                 downloadJson(`${safeName}_${currentYear}_plan.json`, PlanSchema.serializeForPersistence(plan)); // NEW
             }); // NEW
+            seedOrderButton.addEventListener("click", () => { // ADDED
+                const safeName = String(DiagramStore.getCellAttr(moduleCell, "label", "garden")).replace(/[^\w\-]+/g, "_").slice(0, 60); // ADDED
+                downloadText(`${safeName}_${currentYear}_seed_order.csv`, SeedInventory.buildSeedOrderCsv(seedShortfalls, currentYear), "text/csv;charset=utf-8"); // ADDED
+            }); // ADDED
+            addSeedLot.addEventListener("click", () => { // ADDED
+                const crop = (plan.crops || []).find(item => String(item.id) === seedLotCropSel.value); // ADDED
+                if (!crop) { seedLotMessage.textContent = "Add the crop to the plan first."; return; } // ADDED
+                const germText = String(seedLotGerm.value || "").trim(); // ADDED
+                const lot = { // ADDED
+                    kind: seedLotKindSel.value, // ADDED
+                    plantId: crop.plantId, // ADDED
+                    plantName: crop.plant, // ADDED
+                    varietyId: crop.varietyId, // ADDED
+                    varietyName: crop.variety, // ADDED
+                    lot: seedLotName.value.trim(), // ADDED
+                    count: seedLotCount.value, // ADDED
+                    grams: seedLotGrams.value, // ADDED
+                    seedsPerGram: seedLotSeedsPerGram.value, // ADDED
+                    purchaseYear: seedLotYear.value, // ADDED
+                    germRate: germText, // CHANGE
+                    cost: seedLotCost.value // ADDED
+                }; // ADDED
+                const normalizedLot = SeedInventory.normalize({ lots: [lot] }).lots[0]; // ADDED
+                if (germText && normalizedLot.germRate == null) { seedLotMessage.textContent = "Tested germination must be from 0.01 through 1.00."; return; } // ADDED
+                if (!(SeedInventory.lotQuantity(normalizedLot) > 0)) { seedLotMessage.textContent = "Enter a count, or grams with seeds per gram."; return; } // ADDED
+                const inventory = readLiveSeedInventory(); // ADDED
+                inventory.lots.push(normalizedLot); // ADDED
+                SeedInventory.write(moduleCell, inventory); // ADDED
+                seedLotMessage.textContent = ""; // ADDED
+                seedLotName.value = ""; seedLotCount.value = ""; seedLotGrams.value = ""; seedLotGerm.value = ""; seedLotCost.value = ""; // CHANGE
+                renderPlanCheck(); // ADDED
+                renderSummary(); // ADDED
+            }); // ADDED
+            seedLotList.addEventListener("click", event => { // ADDED
+                const button = event.target && event.target.closest ? event.target.closest("[data-seed-lot-id]") : null; // ADDED
+                if (!button) return; // ADDED
+                const lotId = button.getAttribute("data-seed-lot-id"); // ADDED
+                const inventory = readLiveSeedInventory(); // ADDED
+                const held = SeedInventory.reservedByLotId(inventory, "").get(lotId) || 0; // ADDED
+                if (held > 0 && !confirm("This lot is reserved by scheduled plantings. Remove it anyway?")) return; // ADDED
+                inventory.lots = inventory.lots.filter(lot => lot.id !== lotId); // ADDED
+                SeedInventory.write(moduleCell, inventory); // ADDED
+                renderPlanCheck(); // ADDED
+                renderSummary(); // ADDED
+            }); // ADDED
+            function updateCostModel(mutate) { // ADDED
+                const costModel = CostModel.read(moduleCell); // ADDED
+                mutate(costModel); // ADDED
+                CostModel.write(moduleCell, costModel); // ADDED
+                renderPlanCheck(); // ADDED
+                renderSummary(); // ADDED
+            } // ADDED
+            wageRateInput.addEventListener("change", () => updateCostModel(costModel => { costModel.wageRate = wageRateInput.value; })); // ADDED
+            irrigationYearsInput.addEventListener("change", () => updateCostModel(costModel => { costModel.irrigationYears = irrigationYearsInput.value; })); // ADDED
+            addAmendment.addEventListener("click", () => { // ADDED
+                const amendment = CostModel.normalize({ amendments: [{ label: amendmentLabel.value, cost: amendmentCost.value, cropId: amendmentCropSel.value }] }).amendments[0]; // ADDED
+                if (!amendment) { costMessage.textContent = "Enter an amendment name and a cost above zero."; return; } // ADDED
+                costMessage.textContent = ""; // ADDED
+                amendmentLabel.value = ""; amendmentCost.value = ""; // ADDED
+                updateCostModel(costModel => { costModel.amendments.push(amendment); }); // ADDED
+            }); // ADDED
+            amendmentList.addEventListener("click", event => { // ADDED
+                const button = event.target && event.target.closest ? event.target.closest("[data-amendment-id]") : null; // ADDED
+                if (!button) return; // ADDED
+                const amendmentId = button.getAttribute("data-amendment-id"); // ADDED
+                updateCostModel(costModel => { costModel.amendments = costModel.amendments.filter(amendment => amendment.id !== amendmentId); }); // ADDED
+            }); // ADDED
             reset.addEventListener("click", () => { // NEW
                 if (!confirm(`Clear the saved ${currentYear} plan?`)) return; // NEW
                 PlanRepository.deletePlanForYear(moduleCell, currentYear); // NEW
@@ -4589,6 +5547,488 @@ Draw.loadPlugin(function (ui) {
         return { open }; // NEW
     })(); // NEW
 
+    // -------------------- BedAllocation --------------------
+    /**
+     * Places a year plan's crops into the garden module's beds for the dashboard's Allocate plan button.
+     * A crop's still-unplanted plants become strips across the bed width, laid along the bed's long side
+     * in gaps that stay free for the crop's whole bed occupancy, from planting through harvest end.
+     */
+    const BedAllocation = (() => { // ADDED
+        const CM_PER_UNIT = 1 / (PX_PER_CM * DRAW_SCALE); // ADDED
+        const DEFAULT_SPACING_CM = 30; // ADDED
+        const VARIETY_OVERRIDE_KEYS = ["days_maturity", "days_transplant", "spacing_cm", "spacing_x_cm", "spacing_y_cm", "veg_diameter_cm", "yield_per_plant_kg"]; // ADDED
+        // Groups without schedule dates still hold their ground, so they block every window. // ADDED
+        const UNSCHEDULED_WINDOW = Object.freeze({ startISO: "0000-01-01", endISO: "9999-12-31" }); // ADDED
+        let activePreview = null; // ADDED
+
+        function positiveOrNull(value) { // ADDED
+            const number = Number(value); // ADDED
+            return Number.isFinite(number) && number > 0 ? number : null; // ADDED
+        } // ADDED
+
+        function addDaysYmd(ymd, days) { // ADDED
+            const ms = PlanMath.parseYmdLocalToMs(ymd); // ADDED
+            if (!Number.isFinite(ms)) return null; // ADDED
+            const date = new Date(ms); // ADDED
+            return PlanMath.toIsoDateLocal(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)); // ADDED
+        } // ADDED
+
+        function isTransplantMethod(methodId) { // ADDED
+            return /^transplant(\.|$)/.test(String(methodId || "").trim().toLowerCase()); // ADDED
+        } // ADDED
+
+        function rangesOverlap(a, b) { // ADDED
+            return a.startISO <= b.endISO && b.startISO <= a.endISO; // ADDED
+        } // ADDED
+
+        function cropLabel(crop) { // ADDED
+            const plant = String(crop && crop.plant || "").trim(); // ADDED
+            const variety = String(crop && crop.variety || "").trim(); // ADDED
+            return plant && variety ? `${plant} - ${variety}` : (plant || variety || String(crop && crop.id || "Crop")); // ADDED
+        } // ADDED
+
+        /** Plant row with the crop variety's overrides applied to the fields allocation depends on. */
+        function resolveCropPlant(plantRow, varietyRow) { // ADDED
+            const merged = Object.assign({}, plantRow || {}); // ADDED
+            const parsed = varietyRow ? Env.safeJsonStringParse(varietyRow.overrides_json, null) : null; // ADDED
+            const overrides = parsed && typeof parsed === "object" ? Object.assign({}, parsed, parsed.overrides || {}) : {}; // ADDED
+            for (const key of VARIETY_OVERRIDE_KEYS) { // ADDED
+                if (positiveOrNull(overrides[key]) != null) merged[key] = Number(overrides[key]); // ADDED
+            } // ADDED
+            if (varietyRow) merged.variety_name = String(varietyRow.variety_name || ""); // ADDED
+            return merged; // ADDED
+        } // ADDED
+
+        async function loadCropPlants(plan) { // ADDED
+            const crops = (plan && plan.crops) || []; // ADDED
+            const rows = await DbClient.queryAllocationPlantRows(crops.map(crop => crop.plantId)); // ADDED
+            const rowsById = new Map(rows.map(row => [String(row.plant_id), row])); // ADDED
+            const plantsByCropId = new Map(); // ADDED
+            for (const crop of crops) { // ADDED
+                const row = rowsById.get(String(crop.plantId || "").trim()); // ADDED
+                if (!row) continue; // ADDED
+                let varietyRow = null; // ADDED
+                if (crop.varietyId != null && crop.varietyId !== "") { // ADDED
+                    const varieties = await DbClient.queryVarietiesByPlantId(crop.plantId); // ADDED
+                    varietyRow = varieties.find(variety => String(variety.variety_id) === String(crop.varietyId)) || null; // ADDED
+                } // ADDED
+                plantsByCropId.set(String(crop.id), resolveCropPlant(row, varietyRow)); // ADDED
+            } // ADDED
+            return plantsByCropId; // ADDED
+        } // ADDED
+
+        /**
+         * Turns plan crops into allocation requests: plants still to place, spacing, and the bed occupancy
+         * window back-dated from the harvest start by the days the crop spends in the bed.
+         */
+        function prepareCrops(plan, plantsByCropId) { // ADDED
+            const crops = []; // ADDED
+            const skipped = []; // ADDED
+            for (const crop of (plan && plan.crops) || []) { // ADDED
+                const cropId = String(crop.id); // ADDED
+                const label = cropLabel(crop); // ADDED
+                const skip = reason => skipped.push({ cropId, label, reason }); // ADDED
+                const required = Math.max(0, Math.ceil(Number(crop.plantsReq) || 0)); // ADDED
+                const remaining = Math.max(0, required - Math.max(0, Math.trunc(Number(crop.actualPlants) || 0))); // ADDED
+                const plant = plantsByCropId.get(cropId) || null; // ADDED
+                if (!remaining) { skip(required ? "Already planted" : "No plants required"); continue; } // ADDED
+                if (!plant) { skip("Plant not found in the database"); continue; } // ADDED
+                if (Number(plant.perennial) === 1) { skip("Perennials are placed from the scheduler"); continue; } // ADDED
+                if (!PlanMath.hasYmd(crop.harvestStart) || !PlanMath.hasYmd(crop.harvestEnd) || crop.harvestEnd < crop.harvestStart) { skip("No harvest window"); continue; } // ADDED
+                const maturityDays = positiveOrNull(plant.days_maturity); // ADDED
+                if (maturityDays == null) { skip("No days to maturity"); continue; } // ADDED
+                const transplantDays = isTransplantMethod(crop.method) ? Math.min(Math.round(positiveOrNull(plant.days_transplant) || 0), Math.round(maturityDays) - 1) : 0; // ADDED
+                const plantingISO = addDaysYmd(crop.harvestStart, -(Math.round(maturityDays) - transplantDays)); // ADDED
+                const spacing = positiveOrNull(plant.spacing_cm) || DEFAULT_SPACING_CM; // ADDED
+                crops.push({ // ADDED
+                    cropId, // ADDED
+                    label, // ADDED
+                    crop, // ADDED
+                    plant, // ADDED
+                    plantsNeeded: remaining, // ADDED
+                    spacingXcm: positiveOrNull(plant.spacing_x_cm) || spacing, // ADDED
+                    spacingYcm: positiveOrNull(plant.spacing_y_cm) || spacing, // ADDED
+                    sowISO: addDaysYmd(plantingISO, -transplantDays), // ADDED
+                    transplantISO: transplantDays > 0 ? plantingISO : "", // ADDED
+                    startISO: plantingISO, // ADDED
+                    endISO: String(crop.harvestEnd) // ADDED
+                }); // ADDED
+            } // ADDED
+            return { crops, skipped }; // ADDED
+        } // ADDED
+
+        function rotationOf(cell) { // ADDED
+            const style = Env.model.getStyle ? Env.model.getStyle(cell) : cell && cell.style; // ADDED
+            const match = /(?:^|;)rotation=(-?[\d.]+)/.exec(String(style || "")); // ADDED
+            return match ? Number(match[1]) % 360 : 0; // ADDED
+        } // ADDED
+
+        /** Beds in the module as strips along their long side, with existing planting occupancy in cm along that side. */
+        function readBeds(moduleCell) { // ADDED
+            const navigator = Env.graph.__trellisBedSuccessionNavigator; // ADDED
+            if (!navigator || typeof navigator.getBedOccupancy !== "function") { // ADDED
+                throw new Error("Bed Succession Navigator is not loaded, so bed occupancy is unavailable."); // ADDED
+            } // ADDED
+            const beds = []; // ADDED
+            const skipped = []; // ADDED
+            for (const bed of DiagramPlanReader.getAllDescendants(Env.model, moduleCell).filter(DiagramPlanReader.isGardenBedCell)) { // ADDED
+                const id = String(bed.getId ? bed.getId() : bed.id); // ADDED
+                const label = String(DiagramStore.getCellAttr(bed, "label", "") || "").trim() || id; // ADDED
+                const geometry = Env.model.getGeometry ? Env.model.getGeometry(bed) : bed.geometry; // ADDED
+                if (!geometry || !(Number(geometry.width) > 0) || !(Number(geometry.height) > 0)) continue; // ADDED
+                if (rotationOf(bed)) { skipped.push({ bedId: id, label, reason: "Rotated beds are not allocated" }); continue; } // ADDED
+                const rect = { x: Number(geometry.x) || 0, y: Number(geometry.y) || 0, width: Number(geometry.width), height: Number(geometry.height) }; // ADDED
+                const horizontal = rect.width >= rect.height; // ADDED
+                const origin = horizontal ? rect.x : rect.y; // ADDED
+                const occupied = navigator.getBedOccupancy(bed).filter(item => item && item.rect).map(item => { // ADDED
+                    const window = item.startISO && item.endISO ? item : UNSCHEDULED_WINDOW; // ADDED
+                    const from = horizontal ? item.rect.x : item.rect.y; // ADDED
+                    const length = horizontal ? item.rect.w : item.rect.h; // ADDED
+                    return { startISO: window.startISO, endISO: window.endISO, fromCm: (from - origin) * CM_PER_UNIT, toCm: (from + length - origin) * CM_PER_UNIT }; // ADDED
+                }); // ADDED
+                beds.push({ // ADDED
+                    id, // ADDED
+                    label, // ADDED
+                    horizontal, // ADDED
+                    rect, // ADDED
+                    lengthCm: (horizontal ? rect.width : rect.height) * CM_PER_UNIT, // ADDED
+                    widthCm: (horizontal ? rect.height : rect.width) * CM_PER_UNIT, // ADDED
+                    occupied // ADDED
+                }); // ADDED
+            } // ADDED
+            beds.sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }) || a.id.localeCompare(b.id)); // ADDED
+            return { beds, skipped }; // ADDED
+        } // ADDED
+
+        function freeGaps(bed, window) { // ADDED
+            const busy = bed.occupied // ADDED
+                .filter(item => rangesOverlap(item, window)) // ADDED
+                .map(item => [Math.max(0, item.fromCm), Math.min(bed.lengthCm, item.toCm)]) // ADDED
+                .filter(([from, to]) => to > from) // ADDED
+                .sort((a, b) => a[0] - b[0]); // ADDED
+            const gaps = []; // ADDED
+            let cursor = 0; // ADDED
+            for (const [from, to] of busy) { // ADDED
+                if (from > cursor) gaps.push({ fromCm: cursor, toCm: from }); // ADDED
+                cursor = Math.max(cursor, to); // ADDED
+            } // ADDED
+            if (cursor < bed.lengthCm) gaps.push({ fromCm: cursor, toCm: bed.lengthCm }); // ADDED
+            return gaps; // ADDED
+        } // ADDED
+
+        /**
+         * First-fit allocation: crops in planting order (larger plantings first on the same day) take the earliest
+         * free gaps bed by bed, splitting across gaps and beds when one does not hold every plant.
+         */
+        function planAllocation(crops, beds) { // ADDED
+            const working = beds.map(bed => Object.assign({}, bed, { occupied: bed.occupied.slice() })); // ADDED
+            const proposals = []; // ADDED
+            const shortfalls = []; // ADDED
+            const ordered = crops.slice().sort((a, b) => a.startISO.localeCompare(b.startISO) || b.plantsNeeded - a.plantsNeeded); // ADDED
+            for (const crop of ordered) { // ADDED
+                let remaining = crop.plantsNeeded; // ADDED
+                for (const bed of working) { // ADDED
+                    if (remaining <= 0) break; // ADDED
+                    const alongCm = bed.horizontal ? crop.spacingXcm : crop.spacingYcm; // ADDED
+                    const acrossCm = bed.horizontal ? crop.spacingYcm : crop.spacingXcm; // ADDED
+                    const rows = Math.floor(bed.widthCm / acrossCm + EPS); // ADDED
+                    if (rows < 1) continue; // ADDED
+                    for (const gap of freeGaps(bed, crop)) { // ADDED
+                        if (remaining <= 0) break; // ADDED
+                        const columns = Math.min(Math.floor((gap.toCm - gap.fromCm) / alongCm + EPS), Math.ceil(remaining / rows)); // ADDED
+                        if (columns < 1) continue; // ADDED
+                        const lengthCm = columns * alongCm; // ADDED
+                        proposals.push({ // ADDED
+                            cropId: crop.cropId, // ADDED
+                            label: crop.label, // ADDED
+                            crop, // ADDED
+                            bedId: bed.id, // ADDED
+                            bedLabel: bed.label, // ADDED
+                            fromCm: gap.fromCm, // ADDED
+                            lengthCm, // ADDED
+                            rows, // ADDED
+                            plants: columns * rows, // ADDED
+                            startISO: crop.startISO, // ADDED
+                            endISO: crop.endISO // ADDED
+                        }); // ADDED
+                        bed.occupied.push({ startISO: crop.startISO, endISO: crop.endISO, fromCm: gap.fromCm, toCm: gap.fromCm + lengthCm }); // ADDED
+                        remaining -= columns * rows; // ADDED
+                    } // ADDED
+                } // ADDED
+                if (remaining > 0) shortfalls.push({ cropId: crop.cropId, label: crop.label, plantsShort: remaining }); // ADDED
+            } // ADDED
+            return { proposals, shortfalls }; // ADDED
+        } // ADDED
+
+        function proposalRect(bed, proposal) { // ADDED
+            const offset = proposal.fromCm / CM_PER_UNIT; // ADDED
+            const length = proposal.lengthCm / CM_PER_UNIT; // ADDED
+            return bed.horizontal // ADDED
+                ? { x: bed.rect.x + offset, y: bed.rect.y, width: length, height: bed.rect.height } // ADDED
+                : { x: bed.rect.x, y: bed.rect.y + offset, width: bed.rect.width, height: length }; // ADDED
+        } // ADDED
+
+        /** Planting group attributes for a proposal, carrying the same schedule fields the scheduler writes. */
+        function groupAttributes(proposal, year) { // ADDED
+            const { crop, plant } = proposal.crop; // ADDED
+            const plantName = String(plant.plant_name || crop.plant || ""); // ADDED
+            const varietyName = String(plant.variety_name || crop.variety || ""); // ADDED
+            const methodId = String(crop.method || ""); // ADDED
+            return { // ADDED
+                label: plantName && varietyName ? `${plantName} - ${varietyName}` : plantName, // ADDED
+                season_start_year: String(year), // ADDED
+                plant_id: String(crop.plantId || ""), // ADDED
+                plant_name: plantName, // ADDED
+                plant_abbr: plant.abbr || "", // ADDED
+                plant_family: plant.family || "", // ADDED
+                variety_id: crop.varietyId == null ? "" : String(crop.varietyId), // ADDED
+                variety_name: varietyName, // ADDED
+                annual: Number(plant.annual) === 1 ? "1" : "", // ADDED
+                biennial: Number(plant.biennial) === 1 ? "1" : "", // ADDED
+                spacing_cm: plant.spacing_cm || "", // ADDED
+                spacing_x_cm: proposal.crop.spacingXcm, // ADDED
+                spacing_y_cm: proposal.crop.spacingYcm, // ADDED
+                veg_diameter_cm: plant.veg_diameter_cm || "", // ADDED
+                yield_per_plant_kg: plant.yield_per_plant_kg || "", // ADDED
+                yield_unit: plant.yield_unit || "", // ADDED
+                method_id: methodId, // ADDED
+                method_category_id: methodId ? methodId.split(".")[0] : "", // ADDED
+                days_maturity: plant.days_maturity || "", // ADDED
+                days_transplant: proposal.crop.transplantISO ? plant.days_transplant : "", // ADDED
+                sow_date: proposal.crop.sowISO, // ADDED
+                transplant_date: proposal.crop.transplantISO, // ADDED
+                harvest_start: String(crop.harvestStart), // ADDED
+                harvest_end: String(crop.harvestEnd), // ADDED
+                plant_count: String(proposal.plants), // ADDED
+                plan_crop_id: proposal.cropId // ADDED
+            }; // ADDED
+        } // ADDED
+
+        /** Reads the saved plan, the diagram's beds and the plant database, and proposes planting groups. */
+        async function build(moduleCell, year) { // ADDED
+            const plan = PlanRepository.loadPlanForYear(moduleCell, year); // ADDED
+            if (!plan) throw new Error(`No ${year} plan is saved for this garden module.`); // ADDED
+            PlanRuntimeService.recalculate(moduleCell, year, plan); // ADDED
+            const bedRead = readBeds(moduleCell); // ADDED
+            const prepared = prepareCrops(plan, await loadCropPlants(plan)); // ADDED
+            const planned = planAllocation(prepared.crops, bedRead.beds); // ADDED
+            return { // ADDED
+                moduleCellId: String(moduleCell.getId ? moduleCell.getId() : moduleCell.id), // ADDED
+                year: Number(year), // ADDED
+                beds: bedRead.beds, // ADDED
+                proposals: planned.proposals, // ADDED
+                shortfalls: planned.shortfalls, // ADDED
+                skipped: prepared.skipped.concat(bedRead.skipped) // ADDED
+            }; // ADDED
+        } // ADDED
+
+        /** Creates every proposed planting group in a single model update, so one undo removes them all. */
+        function commit(allocation) { // ADDED
+            const tiler = window.USL && window.USL.tiler; // ADDED
+            if (!tiler || typeof tiler.createScheduledTilerGroupInBed !== "function") { // ADDED
+                throw new Error("Plant Tiler is not loaded, so planting groups cannot be created."); // ADDED
+            } // ADDED
+            const bedsById = new Map(allocation.beds.map(bed => [bed.id, bed])); // ADDED
+            const created = []; // ADDED
+            Env.model.beginUpdate(); // ADDED
+            try { // ADDED
+                for (const proposal of allocation.proposals) { // ADDED
+                    const bed = bedsById.get(proposal.bedId); // ADDED
+                    const bedCell = bed ? Env.model.getCell(bed.id) : null; // ADDED
+                    if (!bedCell) continue; // ADDED
+                    const group = tiler.createScheduledTilerGroupInBed(Env.graph, bedCell, { // ADDED
+                        rect: proposalRect(bed, proposal), // ADDED
+                        attributes: groupAttributes(proposal, allocation.year), // ADDED
+                        inTransaction: true // ADDED
+                    }); // ADDED
+                    if (group) created.push(group); // ADDED
+                } // ADDED
+            } finally { // ADDED
+                Env.model.endUpdate(); // ADDED
+            } // ADDED
+            if (created.length && typeof Env.graph.setSelectionCells === "function") Env.graph.setSelectionCells(created); // ADDED
+            return created; // ADDED
+        } // ADDED
+
+        function closePreview() { // ADDED
+            if (activePreview) { // ADDED
+                try { activePreview.remove(); } catch (_) { } // ADDED
+            } // ADDED
+            activePreview = null; // ADDED
+        } // ADDED
+
+        function el(tag, cssText, text) { // ADDED
+            const node = document.createElement(tag); // ADDED
+            if (cssText) node.style.cssText = cssText; // ADDED
+            if (text != null) node.textContent = String(text); // ADDED
+            return node; // ADDED
+        } // ADDED
+
+        function formatMetres(cm) { // ADDED
+            return `${(cm / 100).toFixed(2)} m`; // ADDED
+        } // ADDED
+
+        /** Shows the proposed planting groups per bed; Create commits them, Cancel leaves the diagram untouched. */
+        function openPreview(allocation, errorMessage) { // ADDED
+            closePreview(); // ADDED
+            const wrap = el("div", "position:fixed;inset:0;z-index:" + TRELLIS_DIALOG_Z + ";background:rgba(0,0,0,.35);display:flex;align-items:center;justify-content:center;"); // ADDED
+            wrap.setAttribute("data-bed-allocation-preview", "1"); // ADDED
+            const card = el("div", "width:720px;max-width:95vw;max-height:86vh;background:#fff;border:1px solid #777;border-radius:10px;box-shadow:0 10px 30px rgba(0,0,0,.25);display:flex;flex-direction:column;overflow:hidden;font:12px Arial,sans-serif;"); // ADDED
+            const header = el("div", "padding:10px 12px;border-bottom:1px solid " + YP_COLORS.neutral300 + ";font-size:15px;font-weight:700;color:" + YP_COLORS.neutral900 + ";", `Allocate plan${allocation ? " " + allocation.year : ""}`); // ADDED
+            const body = el("div", "padding:10px 12px;overflow:auto;flex:1 1 auto;"); // ADDED
+            const footer = el("div", "padding:9px 12px;border-top:1px solid #ccc;display:flex;justify-content:space-between;align-items:center;gap:10px;"); // ADDED
+            const status = el("div", "color:" + YP_COLORS.neutral700 + ";"); // ADDED
+            const actions = el("div", "display:flex;gap:8px;"); // ADDED
+            const cancel = el("button", "", allocation && !errorMessage ? "Cancel" : "Close"); // ADDED
+            cancel.addEventListener("click", closePreview); // ADDED
+            actions.appendChild(cancel); // ADDED
+
+            if (errorMessage || !allocation) { // ADDED
+                body.appendChild(el("div", "color:" + YP_COLORS.danger + ";", errorMessage || "Nothing to allocate.")); // ADDED
+            } else { // ADDED
+                const bedIds = new Set(allocation.proposals.map(proposal => proposal.bedId)); // ADDED
+                body.appendChild(el("div", "margin-bottom:8px;color:" + YP_COLORS.neutral700 + ";", // ADDED
+                    allocation.proposals.length // ADDED
+                        ? `${allocation.proposals.length} planting group${allocation.proposals.length === 1 ? "" : "s"} in ${bedIds.size} bed${bedIds.size === 1 ? "" : "s"}. Plant counts are approximate until the groups are tiled.` // ADDED
+                        : "No free bed space was found for the plan's crops.")); // ADDED
+                for (const bed of allocation.beds.filter(candidate => bedIds.has(candidate.id))) { // ADDED
+                    body.appendChild(el("div", "margin:10px 0 4px;font-weight:700;", `${bed.label} (${formatMetres(bed.lengthCm)} × ${formatMetres(bed.widthCm)})`)); // ADDED
+                    const table = el("table", "border-collapse:collapse;width:100%;"); // ADDED
+                    const head = el("tr"); // ADDED
+                    ["Crop", "Plants", "Position", "Length", "In bed"].forEach(label => head.appendChild(el("th", "text-align:left;border-bottom:1px solid " + YP_COLORS.neutral300 + ";padding:3px 6px;", label))); // ADDED
+                    table.appendChild(head); // ADDED
+                    for (const proposal of allocation.proposals.filter(candidate => candidate.bedId === bed.id)) { // ADDED
+                        const row = el("tr"); // ADDED
+                        row.setAttribute("data-bed-allocation-row", proposal.cropId); // ADDED
+                        [proposal.label, proposal.plants, `from ${formatMetres(proposal.fromCm)}`, formatMetres(proposal.lengthCm), `${proposal.startISO} to ${proposal.endISO}`] // ADDED
+                            .forEach(value => row.appendChild(el("td", "padding:3px 6px;border-bottom:1px solid " + YP_COLORS.neutral100 + ";", value))); // ADDED
+                        table.appendChild(row); // ADDED
+                    } // ADDED
+                    body.appendChild(table); // ADDED
+                } // ADDED
+                const unplaced = allocation.shortfalls.map(item => `${item.label}: ${item.plantsShort} plant${item.plantsShort === 1 ? "" : "s"} did not fit`) // ADDED
+                    .concat(allocation.skipped.map(item => `${item.label}: ${item.reason}`)); // ADDED
+                if (unplaced.length) { // ADDED
+                    const notes = el("div", "margin-top:12px;padding:6px 8px;border:1px solid " + YP_COLORS.warning + ";border-radius:6px;background:" + YP_COLORS.warningBg + ";"); // ADDED
+                    notes.setAttribute("data-bed-allocation-unplaced", "1"); // ADDED
+                    notes.appendChild(el("div", "font-weight:700;margin-bottom:4px;", "Not placed")); // ADDED
+                    unplaced.forEach(text => notes.appendChild(el("div", "", text))); // ADDED
+                    body.appendChild(notes); // ADDED
+                } // ADDED
+                const create = el("button", "font-weight:700;", "Create planting groups"); // ADDED
+                create.disabled = !allocation.proposals.length; // ADDED
+                create.addEventListener("click", () => { // ADDED
+                    try { // ADDED
+                        commit(allocation); // ADDED
+                        closePreview(); // ADDED
+                    } catch (e) { // ADDED
+                        status.textContent = String(e && e.message || e); // ADDED
+                        status.style.color = YP_COLORS.danger; // ADDED
+                    } // ADDED
+                }); // ADDED
+                actions.appendChild(create); // ADDED
+            } // ADDED
+
+            footer.appendChild(status); // ADDED
+            footer.appendChild(actions); // ADDED
+            card.appendChild(header); // ADDED
+            card.appendChild(body); // ADDED
+            card.appendChild(footer); // ADDED
+            wrap.appendChild(card); // ADDED
+            document.body.appendChild(wrap); // ADDED
+            activePreview = wrap; // ADDED
+            return wrap; // ADDED
+        } // ADDED
+
+        async function request(moduleCell, year) { // ADDED
+            let allocation = null; // ADDED
+            try { // ADDED
+                allocation = await build(moduleCell, year); // ADDED
+            } catch (e) { // ADDED
+                return openPreview(null, String(e && e.message || e)); // ADDED
+            } // ADDED
+            return openPreview(allocation); // ADDED
+        } // ADDED
+
+        return { // ADDED
+            prepareCrops, // ADDED
+            readBeds, // ADDED
+            planAllocation, // ADDED
+            proposalRect, // ADDED
+            groupAttributes, // ADDED
+            build, // ADDED
+            commit, // ADDED
+            openPreview, // ADDED
+            closePreview, // ADDED
+            request // ADDED
+        }; // ADDED
+    })(); // ADDED
+
+    // -------------------- Headless reports --------------------
+    /**
+     * Weekly supply and demand for every garden module with a stored plan, for the --trellis-report CLI. // ADDED
+     * Long format: one row per week for the module total ("All crops") and for each crop. // ADDED
+     */ // ADDED
+    function buildSupplyDemandReports(options) { // ADDED
+        const requestedYear = Number(options && options.year); // ADDED
+        const outputs = []; // ADDED
+        const usedNames = new Set(); // ADDED
+        const header = ["Garden module", "Year", "Week start", "Crop", "Target (kg)", "Harvest (kg)", "Usable (kg)", "Short (kg)", "Surplus (kg)", "Expired (kg)", "Logged (kg)"]; // ADDED
+        const kg = value => (Number(value) || 0).toFixed(2); // ADDED
+        const csvCell = value => { // ADDED
+            const text = String(value ?? ""); // ADDED
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text; // ADDED
+        }; // ADDED
+        const stack = [model.getRoot()]; // ADDED
+        while (stack.length) { // ADDED
+            const cell = stack.pop(); // ADDED
+            for (let i = model.getChildCount(cell) - 1; i >= 0; i--) stack.push(model.getChildAt(cell, i)); // ADDED
+            if (!DiagramStore.getCellAttr(cell, Env.ATTRS.PLAN_YEARS_ATTR, "")) continue; // ADDED
+            const moduleYear = Number(DiagramStore.getCellAttr(cell, "current_year", "")); // ADDED
+            const year = requestedYear > 1900 && requestedYear < 3000 // ADDED
+                ? requestedYear // ADDED
+                : (moduleYear > 1900 && moduleYear < 3000 ? moduleYear : new Date().getFullYear()); // ADDED
+            const plan = PlanRepository.loadPlanForYear(cell, year); // ADDED
+            if (!plan) continue; // ADDED
+            const runtime = PlanRuntimeService.recalculate(cell, year, plan); // ADDED
+            const moduleName = DiagramStore.getCellAttr(cell, "label", "") || cell.getId(); // ADDED
+            const cropsById = new Map((plan.crops || []).concat(plan.__carryoverCrops || []).map(crop => [String(crop.id), crop])); // ADDED
+            const lines = [header.map(csvCell).join(",")]; // ADDED
+            const series = [["All crops", { // ADDED
+                target: runtime.weekly.targetTotal, // ADDED
+                supply: runtime.weekly.supplyTotal, // ADDED
+                usableSupply: runtime.weekly.usableSupplyTotal, // ADDED
+                short: runtime.weekly.shortTotal, // ADDED
+                surplus: runtime.weekly.surplusTotal, // ADDED
+                expired: runtime.weekly.expiredTotal, // ADDED
+                logged: runtime.weekly.loggedTotal // ADDED
+            }]]; // ADDED
+            for (const [cropId, values] of runtime.weekly.perCrop) { // ADDED
+                const crop = cropsById.get(String(cropId)); // ADDED
+                const plant = String(crop && crop.plant || "").trim(); // ADDED
+                const variety = String(crop && crop.variety || "").trim(); // ADDED
+                series.push([plant && variety ? `${plant} - ${variety}` : (plant || variety || String(cropId)), values]); // ADDED
+            } // ADDED
+            for (const [label, values] of series) { // ADDED
+                runtime.weekStarts.forEach((week, i) => { // ADDED
+                    const at = key => kg(values[key] && values[key][i]); // ADDED
+                    lines.push([moduleName, year, week.iso, label, at("target"), at("supply"), at("usableSupply"), at("short"), at("surplus"), at("expired"), at("logged")].map(csvCell).join(",")); // ADDED
+                }); // ADDED
+            } // ADDED
+            let name = "supply-" + String(moduleName).replace(/[^\w\-]+/g, "_").slice(0, 60); // ADDED
+            if (usedNames.has(name)) name += "-" + cell.getId(); // ADDED
+            usedNames.add(name); // ADDED
+            outputs.push({ name, format: "csv", content: lines.join("\n") + "\n" }); // ADDED
+        } // ADDED
+        return outputs; // ADDED
+    } // ADDED
+
+    window.Trellis = window.Trellis || {}; // ADDED
+    window.Trellis.reports = window.Trellis.reports || {}; // ADDED
+    window.Trellis.reports.supply = buildSupplyDemandReports; // ADDED
+
+    window.TrellisSeedInventory = SeedInventory; // ADDED
+
     if (window.__USL_YEAR_PLANNER_TEST_HOOK__) { // NEW
         window.__uslYearPlannerTestApi = { // NEW
             Env,
@@ -4597,10 +6037,13 @@ Draw.loadPlugin(function (ui) {
             PlanMath,
             PlanSchema,
             PlanRepository,
+            SeedInventory, // ADDED
+            CostModel, // ADDED
             DiagramPlanReader,
             PlanRuntimeService,
             YearPlanDashboard, // NEW
             YearPlanModalController, // NEW
+            BedAllocation, // ADDED
             SessionController
         };
     }
@@ -4627,9 +6070,31 @@ Draw.loadPlugin(function (ui) {
         openPlanModal(moduleCell, year);
     }
 
+    function onAllocatePlanRequested(ev) { // ADDED
+        const d = ev && ev.detail ? ev.detail : null; // ADDED
+        if (!d) return; // ADDED
+
+        const moduleCellId = String(d.moduleCellId || "").trim(); // ADDED
+        const year = Number(d.year); // ADDED
+
+        if (!moduleCellId) return; // ADDED
+        if (!Number.isFinite(year) || year < 1900 || year > 3000) return; // ADDED
+
+        const moduleCell = model.getCell(moduleCellId); // ADDED
+        if (!moduleCell) return; // ADDED
+
+        BedAllocation.request(moduleCell, year); // ADDED
+    } // ADDED
+
     if (__YP_GLOBAL.planYearRequestedHandler) {
         window.removeEventListener("usl:planYearRequested", __YP_GLOBAL.planYearRequestedHandler);
     }
     __YP_GLOBAL.planYearRequestedHandler = onPlanYearRequested;
     window.addEventListener("usl:planYearRequested", __YP_GLOBAL.planYearRequestedHandler);
+
+    if (__YP_GLOBAL.allocatePlanRequestedHandler) { // ADDED
+        window.removeEventListener("usl:allocatePlanRequested", __YP_GLOBAL.allocatePlanRequestedHandler); // ADDED
+    } // ADDED
+    __YP_GLOBAL.allocatePlanRequestedHandler = onAllocatePlanRequested; // ADDED
+    window.addEventListener("usl:allocatePlanRequested", __YP_GLOBAL.allocatePlanRequestedHandler); // ADDED
 });
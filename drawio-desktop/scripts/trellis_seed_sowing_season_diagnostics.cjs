@@ -74,7 +74,8 @@ function loadSchedulerHooks(projectRoot = PROJECT_ROOT) {
     const corePaths = [
         'Garden_Scheduler_Shared_Core.js',
         'Garden_Scheduler_Annual_Core.js',
-        'Garden_Scheduler_Perennial_Core.js'
+        'Garden_Scheduler_Perennial_Core.js',
+        'Garden_Scheduler_Biennial_Core.js'
     ].map(fileName => path.join(pluginDir, fileName));
     const dialogPath = path.join(pluginDir, 'Garden_Scheduler_Dialog.js');
     const context = vm.createContext({
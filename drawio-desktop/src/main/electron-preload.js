@@ -9,6 +9,7 @@ const {
 let reqId = 1;
 let reqInfo = {};
 let fileChangedListeners = {};
+let syncConflictListeners = []; // NEW
 let msgListeners = {};
 
 function ensureMsgListener(action) {
@@ -82,6 +83,10 @@ ipcRenderer.on('fileChanged', (event, resp) =>
 	}
 });
 
+ipcRenderer.on('fileSyncConflicts', (event, resp) => { // NEW
+	syncConflictListeners.slice().forEach((listener) => listener(resp)); // NEW
+}); // NEW
+
 contextBridge.exposeInMainWorld(
 	'electron', {
 	  // simplified: use shared helper
@@ -146,6 +151,27 @@ contextBridge.exposeInMainWorld('trellisShare', { // NEW
 			); // NEW
 		}); // NEW
 	}, // NEW
+	listSyncConflicts(opts = {}) { // NEW
+		return new Promise((resolve, reject) => { // NEW
+			requestViaIPC( // NEW
+				{ action: 'listTrellisSyncConflicts', diagramPath: opts.diagramPath || null }, // NEW
+				(data) => resolve(data || {}), // NEW
+				(msg) => reject(new Error(msg || 'listTrellisSyncConflicts failed')) // NEW
+			); // NEW
+		}); // NEW
+	}, // NEW
+	resolveSyncConflict(opts = {}) { // NEW
+		return new Promise((resolve, reject) => { // NEW
+			requestViaIPC( // NEW
+				{ action: 'resolveTrellisSyncConflict', diagramPath: opts.diagramPath || null, conflictPath: opts.conflictPath || null }, // NEW
+				(data) => resolve(data || {}), // NEW
+				(msg) => reject(new Error(msg || 'resolveTrellisSyncConflict failed')) // NEW
+			); // NEW
+		}); // NEW
+	}, // NEW
+	onSyncConflicts(listener) { // NEW
+		if (typeof listener === 'function') syncConflictListeners.push(listener); // NEW
+	}, // NEW
 	openEmailDraft(payload = {}) { // NEW
 		return new Promise((resolve, reject) => { // NEW
 			requestViaIPC( // NEW
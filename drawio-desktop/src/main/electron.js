@@ -1,4 +1,4 @@
-// Trellis changes: file-system/database bridges, file-watch lifecycle management, forked support/update URLs, updater guards, app-info/release metadata. // CHANGE
+// Trellis changes: file-system/database bridges, file-watch lifecycle management, forked support/update URLs, updater guards, app-info/release metadata, headless Trellis report CLI. // CHANGE
 /*
  * Trellis update progress change (2026-06-24):
  * Download-only updater progress uses guarded helpers with indeterminate fallback,
@@ -27,6 +27,7 @@ import { spawn } from 'child_process';
 import { disableUpdate as disUpPkg } from './disableUpdate.js';
 import { createFileWatchRegistry } from './fileWatchRegistry.js'; // CHANGE
 import { createTrellisSplashBackgroundSelector } from './trellis-splash-backgrounds.js'; // NEW
+import { parseTrellisReportKinds, listTrellisReportInputs, writeTrellisReportOutputs } from './trellis-reports-cli.js'; // NEW
 
 // (ADD): SQLite
 import Database from 'better-sqlite3';
@@ -763,6 +764,10 @@ app.whenReady().then(() => {
 				'Target of links in the exported SVG image (auto [default], new-win, same-win)', linkTargetRegExp, 'auto')
 			.option('--enable-plugins',
 				'Enable Plugins')
+			.option('--trellis-report <reports>', // NEW
+				'writes Trellis reports for the input file/folder without opening the GUI (comma separated: dashboard, supply, irrigation, tasks, or all). Files are named <diagram>.<report>.<csv|json> next to the input or in --output; use "-o -" to print JSON to stdout') // NEW
+			.option('--report-year <year>', // NEW
+				'selects the season year for Trellis reports (default: each garden module\'s current year)', parseInt) // NEW
 			.parse(argv)
 	}
 	catch (e) {
@@ -777,6 +782,11 @@ app.whenReady().then(() => {
 		appZoom = options.zoom;
 	}
 
+	if (options.trellisReport) { // NEW
+		runTrellisReportCli(options, program.args); // NEW
+		return; // NEW
+	} // NEW
+
 	//Start export mode?
 	if (options.export) {
 		var dummyWin = new BrowserWindow({
@@ -1907,6 +1917,149 @@ function exportDiagram(event, args, directFinalize) {
 
 ipcMain.on('export', exportDiagram);
 
+const TRELLIS_REPORT_TIMEOUT_MS = 120000; // NEW
+
+// Loads each diagram into a hidden app window so the garden plugins compute reports exactly as the GUI would.
+function runTrellisReportCli(options, args) { // NEW
+	let kinds = null; // NEW
+	let files = null; // NEW
+
+	try { // NEW
+		kinds = parseTrellisReportKinds(options.trellisReport); // NEW
+		const paths = Array.isArray(args) ? args.filter(function (p) { return p != null && p != '--no-sandbox'; }) : []; // NEW
+
+		if (paths[0] == null) throw new Error('An input file must be specified'); // NEW
+
+		try { // NEW
+			files = listTrellisReportInputs(paths[0], { recursive: options.recursive }); // NEW
+		} // NEW
+		catch (e) { // NEW
+			throw new Error('input file/directory not found'); // NEW
+		} // NEW
+
+		if (files.length == 0) throw new Error('input directory contains no .drawio or .xml files'); // NEW
+	} // NEW
+	catch (e) { // NEW
+		console.error('Error: ' + e.message); // NEW
+		process.exitCode = 1; // NEW
+		cmdQPressed = true; // NEW
+		app.quit(); // NEW
+		return; // NEW
+	} // NEW
+
+	const toStdout = options.output == '-'; // NEW
+	const check = program.rawArgs.indexOf('-k') > -1 || program.rawArgs.indexOf('--check') > -1; // NEW
+	const stdoutResults = []; // NEW
+	let fileIndex = 0; // NEW
+	let current = null; // NEW
+	let failed = false; // NEW
+
+	const reportWin = new BrowserWindow({ // NEW
+		show: false, // NEW
+		webPreferences: { // NEW
+			preload: `${__dirname}/electron-preload.js`, // NEW
+			backgroundThrottling: false, // NEW
+			contextIsolation: true, // NEW
+			disableBlinkFeatures: 'Auxclick' // NEW
+		} // NEW
+	}); // NEW
+
+	windowsRegistry.push(reportWin); // NEW
+
+	function finish() { // NEW
+		ipcMain.removeListener('trellis-report-result', onResult); // NEW
+
+		if (toStdout) process.stdout.write(JSON.stringify(stdoutResults, null, 2) + '\n'); // NEW
+
+		process.exitCode = failed ? 1 : 0; // NEW
+		cmdQPressed = true; // NEW
+		reportWin.destroy(); // NEW
+	} // NEW
+
+	function runNext() { // NEW
+		if (fileIndex >= files.length) { // NEW
+			finish(); // NEW
+			return; // NEW
+		} // NEW
+
+		const curFile = files[fileIndex++]; // NEW
+		let xml = null; // NEW
+
+		try { // NEW
+			xml = fs.readFileSync(curFile, 'utf-8'); // NEW
+		} // NEW
+		catch (e) { // NEW
+			console.error('Error reading file: ' + curFile); // NEW
+			failed = true; // NEW
+			runNext(); // NEW
+			return; // NEW
+		} // NEW
+
+		current = { // NEW
+			reqId: fileIndex, // NEW
+			file: curFile, // NEW
+			timer: setTimeout(function () { // NEW
+				console.error('Error: Trellis reports timed out: ' + curFile); // NEW
+				failed = true; // NEW
+				current = null; // NEW
+				runNext(); // NEW
+			}, TRELLIS_REPORT_TIMEOUT_MS) // NEW
+		}; // NEW
+		reportWin.webContents.send('trellis-report-run', { // NEW
+			reqId: current.reqId, // NEW
+			xml: xml, // NEW
+			fileName: path.basename(curFile), // NEW
+			reports: kinds, // NEW
+			year: options.reportYear > 0 ? options.reportYear : null // NEW
+		}); // NEW
+	} // NEW
+
+	function onResult(e, result) { // NEW
+		if (!validateSender(e.senderFrame) || result == null || current == null || result.reqId != current.reqId) return; // NEW
+
+		const curFile = current.file; // NEW
+		const outputs = Array.isArray(result.outputs) ? result.outputs : []; // NEW
+		const errors = Array.isArray(result.errors) ? result.errors : []; // NEW
+
+		clearTimeout(current.timer); // NEW
+		current = null; // NEW
+		errors.forEach(function (message) { console.error('Error: ' + message + ': ' + curFile); }); // NEW
+
+		if (errors.length) failed = true; // NEW
+
+		if (toStdout) { // NEW
+			stdoutResults.push({ file: curFile, reports: outputs, errors: errors }); // NEW
+		} // NEW
+		else { // NEW
+			try { // NEW
+				writeTrellisReportOutputs(curFile, outputs, { output: options.output, check: check }).forEach(function (written) { // NEW
+					console.log(curFile + ' -> ' + written); // NEW
+				}); // NEW
+			} // NEW
+			catch (err) { // NEW
+				console.error('Error writing Trellis reports for ' + curFile + ': ' + err.message); // NEW
+				failed = true; // NEW
+			} // NEW
+		} // NEW
+
+		runNext(); // NEW
+	} // NEW
+
+	ipcMain.on('trellis-report-result', onResult); // NEW
+	ipcMain.once('app-load-finished', function (e) { // NEW
+		if (!validateSender(e.senderFrame)) return null; // NEW
+
+		runNext(); // NEW
+	}); // NEW
+
+	reportWin.loadURL(url.format({ // NEW
+		pathname: `${codeDir}/index.html`, // NEW
+		protocol: 'file:', // NEW
+		query: Object.assign({}, queryObj, { appLang: app.getLocale(), trellisReport: 1 }), // NEW
+		slashes: true // NEW
+	})); // NEW
+} // NEW
+
 //================================================================
 // Renderer Helper functions
 //================================================================
@@ -2555,6 +2708,19 @@ function getTrellisSyncthingShareInfo() { // NEW
 	}; // NEW
 } // NEW
 
+function listTrellisSyncConflicts(args) { // NEW
+	const diagramPath = args && args.diagramPath ? String(args.diagramPath) : ''; // NEW
+	if (!diagramPath) return { ok: false, conflicts: [], reason: 'Save the diagram to a file before checking for Syncthing conflicts.' }; // NEW
+	return { ok: true, conflicts: fileWatchRegistry.listConflictCopies(diagramPath) }; // NEW
+} // NEW
+
+async function resolveTrellisSyncConflict(args) { // NEW
+	const source = args || {}; // NEW
+	if (!fileWatchRegistry.isConflictCopyOf(source.conflictPath, source.diagramPath)) return { ok: false, reason: 'Only Syncthing conflict copies of the open diagram can be removed.' }; // NEW
+	await deleteFile(String(source.conflictPath)); // NEW
+	return { ok: true }; // NEW
+} // NEW
+
 function openTrellisEmailDraft(args) { // NEW
 	const source = args || {}; // NEW
 	const to = String(source.to || '').trim(); // NEW
@@ -2680,6 +2846,12 @@ ipcMain.on("rendererReq", async (event, args) => {
 			case 'getTrellisSyncthingShareInfo': // NEW
 				ret = getTrellisSyncthingShareInfo(args); // NEW
 				break; // NEW
+			case 'listTrellisSyncConflicts': // NEW
+				ret = listTrellisSyncConflicts(args); // NEW
+				break; // NEW
+			case 'resolveTrellisSyncConflict': // NEW
+				ret = await resolveTrellisSyncConflict(args); // NEW
+				break; // NEW
 			case 'openTrellisEmailDraft': // NEW
 				ret = openTrellisEmailDraft(args); // NEW
 				break; // NEW
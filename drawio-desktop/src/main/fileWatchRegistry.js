@@ -1,6 +1,27 @@
 import fs from 'fs';
 import path from 'path';
 
+const SYNC_CONFLICT_PATTERN = /^(.+)\.sync-conflict-(\d{8})-(\d{6})-([A-Z0-9]{7})(\.[^./\\]+)?$/;
+
+/**
+ * Parses a Syncthing conflict copy name such as `plan.sync-conflict-20250412-181530-ABCDEFG.drawio`.
+ * Returns the original file name, the conflict time and the short ID of the device whose edit lost.
+ */
+export function parseSyncConflictName(fileName) {
+	const match = SYNC_CONFLICT_PATTERN.exec(String(fileName || ''));
+
+	if (match == null) return null;
+
+	const date = match[2];
+	const time = match[3];
+
+	return {
+		originalName: match[1] + (match[5] || ''),
+		conflictAt: `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}`,
+		deviceId: match[4]
+	};
+}
+
 /**
  * Owns Electron file-watch subscriptions without stacking duplicate StatWatcher listeners.
  */
@@ -66,7 +87,42 @@ export function createFileWatchRegistry(options = {}) {
 		stopWatchIfUnused(watchKey, entry);
 	}
 
-	function sendChangeToSubscribers(watchKey, entry, curr, prev) {
+	function sameFileName(left, right) {
+		return platform === 'win32' ? left.toLowerCase() === right.toLowerCase() : left === right;
+	}
+
+	function listConflictCopies(filePath) {
+		if (typeof fsModule.readdirSync !== 'function') return [];
+
+		const resolvedPath = resolveFilePath(filePath);
+		const dir = pathModule.dirname(resolvedPath);
+		const baseName = pathModule.basename(resolvedPath);
+		let names = [];
+
+		try {
+			names = fsModule.readdirSync(dir);
+		}
+		catch (e) {
+			return [];
+		}
+
+		return names
+			.map((name) => ({ name: String(name), parsed: parseSyncConflictName(name) }))
+			.filter((item) => item.parsed != null && sameFileName(item.parsed.originalName, baseName))
+			.sort((left, right) => left.name.localeCompare(right.name))
+			.map((item) => ({
+				path: pathModule.join(dir, item.name),
+				name: item.name,
+				conflictAt: item.parsed.conflictAt,
+				deviceId: item.parsed.deviceId
+			}));
+	}
+
+	function conflictSignature(conflicts) {
+		return conflicts.map((conflict) => conflict.name).join('\n');
+	}
+
+	function sendToSubscribers(watchKey, entry, channel, payloadFor) {
 		for (const [winId, subscription] of Array.from(entry.windows.entries())) {
 			const win = subscription.win;
 
@@ -76,11 +132,7 @@ export function createFileWatchRegistry(options = {}) {
 			}
 
 			try {
-				win.webContents.send('fileChanged', {
-					path: subscription.responsePath,
-					curr,
-					prev
-				});
+				win.webContents.send(channel, payloadFor(subscription));
 			}
 			catch (e) {
 				// Ignore failed sends; later lifecycle cleanup will remove closed windows.
@@ -88,6 +140,27 @@ export function createFileWatchRegistry(options = {}) {
 		}
 	}
 
+	function sendChangeToSubscribers(watchKey, entry, curr, prev) {
+		sendToSubscribers(watchKey, entry, 'fileChanged', (subscription) => ({
+			path: subscription.responsePath,
+			curr,
+			prev
+		}));
+
+		// Syncthing swaps in the winning version and renames the losing one in the same pass,
+		// so a change to the watched file is the moment to look for new conflict copies.
+		const conflicts = listConflictCopies(entry.filePath);
+		const signature = conflictSignature(conflicts);
+
+		if (signature === entry.conflictSignature) return;
+
+		entry.conflictSignature = signature;
+		sendToSubscribers(watchKey, entry, 'fileSyncConflicts', (subscription) => ({
+			path: subscription.responsePath,
+			conflicts
+		}));
+	}
+
 	function getOrCreateEntry(filePath, watchKey) {
 		let entry = watchedFiles.get(watchKey);
 
@@ -97,7 +170,8 @@ export function createFileWatchRegistry(options = {}) {
 		entry = {
 			filePath: resolvedPath,
 			windows: new Map(),
-			listener: null
+			listener: null,
+			conflictSignature: conflictSignature(listConflictCopies(resolvedPath))
 		};
 		entry.listener = (curr, prev) => sendChangeToSubscribers(watchKey, entry, curr, prev);
 		watchedFiles.set(watchKey, entry);
@@ -151,6 +225,22 @@ export function createFileWatchRegistry(options = {}) {
 			}
 		},
 
+		listConflictCopies(filePath) {
+			return filePath == null ? [] : listConflictCopies(filePath);
+		},
+
+		isConflictCopyOf(conflictPath, filePath) {
+			if (conflictPath == null || filePath == null) return false;
+
+			const resolvedConflict = resolveFilePath(conflictPath);
+			const resolvedFile = resolveFilePath(filePath);
+			const parsed = parseSyncConflictName(pathModule.basename(resolvedConflict));
+
+			return parsed != null &&
+				sameFileName(pathModule.dirname(resolvedConflict), pathModule.dirname(resolvedFile)) &&
+				sameFileName(parsed.originalName, pathModule.basename(resolvedFile));
+		},
+
 		getWatchedFileCount() {
 			return watchedFiles.size;
 		}
@@ -0,0 +1,115 @@
+import fs from 'fs'; // NEW
+import path from 'path'; // NEW
+
+export const TRELLIS_REPORT_KINDS = Object.freeze(['dashboard', 'supply', 'irrigation', 'tasks']); // NEW
+
+const TRELLIS_REPORT_INPUT_EXTENSIONS = new Set(['.drawio', '.xml']); // NEW
+
+/**
+ * Parses the `--trellis-report` value: a comma separated list of report kinds, or `all`.
+ * Throws on unknown kinds so a typo fails the pipeline instead of silently writing nothing.
+ */
+export function parseTrellisReportKinds(value) { // NEW
+	const requested = String(value == null ? '' : value) // NEW
+		.split(',') // NEW
+		.map((kind) => kind.trim().toLowerCase()) // NEW
+		.filter(Boolean); // NEW
+
+	if (requested.length === 0 || requested.includes('all')) return TRELLIS_REPORT_KINDS.slice(); // NEW
+
+	const unknown = requested.filter((kind) => !TRELLIS_REPORT_KINDS.includes(kind)); // NEW
+
+	if (unknown.length) { // NEW
+		throw new Error(`Unknown Trellis report: ${unknown.join(', ')} (expected ${TRELLIS_REPORT_KINDS.join(', ')} or all)`); // NEW
+	} // NEW
+
+	return TRELLIS_REPORT_KINDS.filter((kind) => requested.includes(kind)); // NEW
+} // NEW
+
+/**
+ * Lists the diagrams a report run should load: the file itself, or the .drawio/.xml files in a folder.
+ */
+export function listTrellisReportInputs(inputPath, options = {}) { // NEW
+	const fsModule = options.fsModule || fs; // NEW
+	const pathModule = options.pathModule || path; // NEW
+	const stat = fsModule.statSync(inputPath); // NEW
+
+	if (stat.isFile()) return [inputPath]; // NEW
+
+	const files = []; // NEW
+
+	function addDirectoryFiles(dir) { // NEW
+		fsModule.readdirSync(dir).slice().sort().forEach((name) => { // NEW
+			const filePath = pathModule.join(dir, name); // NEW
+			const entry = fsModule.statSync(filePath); // NEW
+
+			if (entry.isFile() && name.charAt(0) !== '.' && TRELLIS_REPORT_INPUT_EXTENSIONS.has(pathModule.extname(name).toLowerCase())) { // NEW
+				files.push(filePath); // NEW
+			} // NEW
+			else if (entry.isDirectory() && options.recursive) { // NEW
+				addDirectoryFiles(filePath); // NEW
+			} // NEW
+		}); // NEW
+	} // NEW
+
+	if (stat.isDirectory()) addDirectoryFiles(inputPath); // NEW
+
+	return files; // NEW
+} // NEW
+
+function safeReportName(name) { // NEW
+	return String(name || 'report').replace(/[^\w\-]+/g, '_').slice(0, 80) || 'report'; // NEW
+} // NEW
+
+/**
+ * Resolves where each report of one diagram is written: `<diagram>.<report name>.<format>`
+ * next to the diagram, or inside the `--output` folder. Repeated names get a numeric suffix.
+ */
+export function planTrellisReportOutputs(inputFile, outputs, options = {}) { // NEW
+	const pathModule = options.pathModule || path; // NEW
+	const baseName = pathModule.basename(inputFile, pathModule.extname(inputFile)); // NEW
+	const dir = options.output ? options.output : pathModule.dirname(inputFile); // NEW
+	const seen = new Map(); // NEW
+
+	return (outputs || []).map((output) => { // NEW
+		const name = safeReportName(output.name); // NEW
+		const count = (seen.get(name) || 0) + 1; // NEW
+		const format = safeReportName(output.format || 'txt'); // NEW
+
+		seen.set(name, count); // NEW
+
+		return { // NEW
+			path: pathModule.join(dir, `${baseName}.${count > 1 ? `${name}-${count}` : name}.${format}`), // NEW
+			content: String(output.content == null ? '' : output.content) // NEW
+		}; // NEW
+	}); // NEW
+} // NEW
+
+/**
+ * Writes the planned report files. With `check`, existing files are kept and a `-1`, `-2`...
+ * suffix is used instead, matching `--export --check`.
+ */
+export function writeTrellisReportOutputs(inputFile, outputs, options = {}) { // NEW
+	const fsModule = options.fsModule || fs; // NEW
+	const pathModule = options.pathModule || path; // NEW
+	const planned = planTrellisReportOutputs(inputFile, outputs, options); // NEW
+
+	if (options.output) fsModule.mkdirSync(options.output, { recursive: true }); // NEW
+
+	return planned.map((entry) => { // NEW
+		let realPath = entry.path; // NEW
+
+		if (options.check) { // NEW
+			const ext = pathModule.extname(entry.path); // NEW
+			const stem = pathModule.join(pathModule.dirname(entry.path), pathModule.basename(entry.path, ext)); // NEW
+
+			for (let counter = 1; fsModule.existsSync(realPath); counter++) { // NEW
+				realPath = `${stem}-${counter}${ext}`; // NEW
+			} // NEW
+		} // NEW
+
+		fsModule.writeFileSync(realPath, entry.content, 'utf-8'); // NEW
+
+		return realPath; // NEW
+	}); // NEW
+} // NEW
@@ -153,6 +153,7 @@ function makeHarness(options = {}) { // NEW
         mxConstants: { STYLE_ROTATION: "rotation" } // NEW
     }; // NEW
 
+    if (options.gardenScale) dom.window.TrellisGardenScale = options.gardenScale; // ADDED
     vm.runInNewContext(fs.readFileSync(PLUGIN_PATH, "utf8"), context, { filename: PLUGIN_PATH }); // NEW
     return { document, graph, layer, bed, bed2: extraBeds[0] || null, tiler1, tiler2: extraCells[0] || null, getSelected: () => selectedCells.slice() }; // CHANGE
 } // NEW
@@ -209,6 +210,15 @@ test("selected singleton tiler outside garden beds does not show the bed-select
     assert.equal(visibleImageByAlt(document, "Select bed"), undefined); // CHANGE
 }); // NEW
 
+test("tilers in the clipped corner of a shaped bed are not treated as inside it", () => { // ADDED
+    const diamond = [{ x: 0.5, y: 0 }, { x: 1, y: 0.5 }, { x: 0.5, y: 1 }, { x: 0, y: 0.5 }]; // ADDED
+    const gardenScale = { bedOutlineConvexPieces(cell) { return cell.id === "bed" ? [diamond] : null; } }; // ADDED
+    const corner = makeHarness({ gardenScale, tiler1State: { x: 2, y: 2, width: 10, height: 10 } }); // ADDED
+    assert.equal(visibleImageByAlt(corner.document, "Select bed"), undefined); // ADDED
+    const middle = makeHarness({ gardenScale, tiler1State: { x: 45, y: 45, width: 10, height: 10 } }); // ADDED
+    assert.ok(visibleImageByAlt(middle.document, "Select bed"), "expected visible bed-select button"); // ADDED
+}); // ADDED
+
 test("two selected tilers in the same garden bed do not cluster unless they overlap", () => { // CHANGE
     const { document } = makeHarness({ secondTiler: true }); // NEW
 
@@ -290,6 +300,24 @@ test("selected cluster occupancy exposes derived relationship snapshots from eit
     assert.equal(fromDerived.items.find(item => item.cellId === "tiler1").relationship.recommendedStartOffsetDays, "3"); // ADDED
 }); // ADDED
 
+test("bed occupancy API lists contained planting windows with their rectangles", () => { // ADDED
+    const { graph, bed, bed2 } = makeHarness({ // ADDED
+        secondBed: true, // ADDED
+        bed2State: { x: 200, y: 0, width: 100, height: 100 }, // ADDED
+        secondTiler: true, // ADDED
+        tiler2State: { x: 230, y: 10, width: 20, height: 20 }, // ADDED
+        tiler1Attrs: { plant_name: "Tomato", sow_date: "2026-03-01", transplant_date: "2026-05-01", harvest_end: "2026-09-15" }, // ADDED
+        tiler2Attrs: { plant_name: "Lettuce", sow_date: "2026-02-10", harvest_end: "2026-04-10" } // ADDED
+    }); // ADDED
+    const api = graph.__trellisBedSuccessionNavigator; // ADDED
+
+    assert.deepEqual(JSON.parse(JSON.stringify(api.getBedOccupancy(bed))), [ // ADDED
+        { cellId: "tiler1", label: "Tomato", startISO: "2026-05-01", endISO: "2026-09-15", rect: { x: 10, y: 10, w: 20, h: 20 } } // ADDED
+    ]); // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(api.getBedOccupancy(bed2).map(item => item.cellId))), ["tiler2"]); // ADDED
+    assert.deepEqual(Array.from(api.getBedOccupancy(null)), []); // ADDED
+}); // ADDED
+
 test("bed-select returns beds behind tilers after selecting a tiler", () => { // NEW
     const { document, graph, layer, bed, tiler1 } = makeHarness(); // NEW
     const selectBeds = visibleImageByAlt(document, "Select bed"); // CHANGE
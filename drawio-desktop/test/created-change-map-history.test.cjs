@@ -3,7 +3,7 @@ const fs = require("node:fs"); // NEW
 const path = require("node:path"); // NEW
 const test = require("node:test"); // NEW
 const vm = require("node:vm"); // NEW
-const { JSDOM } = require("jsdom"); // NEW
+const { JSDOM, VirtualConsole } = require("jsdom"); // CHANGE
 
 const projectRoot = path.resolve(__dirname, ".."); // NEW
 const pluginPath = path.join(projectRoot, "drawio/src/main/webapp/plugins/garden_planner_plugins/Created_Change_Map.js"); // NEW
@@ -77,7 +77,7 @@ function createDbBridge() { // NEW
             if (/INSERT OR IGNORE INTO history_snapshots/.test(sql)) { // NEW
                 state.snapshots.set(params[0], { snapshot_id: params[0], diagram_id: params[1], hash: params[2], compressed_kind: params[3], compressed_xml: params[4], byte_size: params[5], checksum: params[6] }); // NEW
             } // NEW
-            if (/INSERT INTO history_events/.test(sql)) { // NEW
+            if (/INSERT (OR IGNORE )?INTO history_events/.test(sql)) { // CHANGE
                 state.events.push({ id: params[0], diagram_id: params[1], timestamp: params[2], category: params[3], action: params[4], origin: params[5], title: params[6], affected_cell_ids: params[7], change_types: params[8], counts_json: params[9], snapshot_id: params[10], parent_revision_id: params[11], restored_from_revision_id: params[12], tags_json: params[13], metadata_json: params[14], checkpoint: params[15], diagram_hash: params[16] }); // NEW
             } // NEW
             return Promise.resolve({ ok: true, changes: 1, lastInsertRowid: "1" }); // NEW
@@ -89,6 +89,9 @@ function createDbBridge() { // NEW
             if (/SELECT \* FROM history_events/.test(sql)) { // NEW
                 return Promise.resolve({ ok: true, rows: state.events.filter(row => row.diagram_id === params[0]) }); // NEW
             } // NEW
+            if (/SELECT \* FROM history_snapshots WHERE diagram_id = \? AND hash = \?/.test(sql)) { // ADDED
+                return Promise.resolve({ ok: true, rows: Array.from(state.snapshots.values()).filter(row => row.diagram_id === params[0] && row.hash === params[1]).slice(0, 1) }); // ADDED
+            } // ADDED
             if (/SELECT \* FROM history_snapshots/.test(sql)) { // NEW
                 return Promise.resolve({ ok: true, rows: [state.snapshots.get(params[0])].filter(Boolean) }); // NEW
             } // NEW
@@ -101,10 +104,10 @@ function loadPlugin(options = {}) { // NEW
     const dom = new JSDOM("<!doctype html><body><div id='host'><div id='format'><div id='native-format'>Format</div></div><div id='graph'></div></div></body>", { url: "https://app.test/" }); // CHANGE
     const document = dom.window.document; // NEW
     const root = new TestCell("root"); // NEW
-    const layer = appendChild(root, makeXmlCell(document, "layer", { label: "Layer" })); // NEW
+    const layer = appendChild(root, makeXmlCell(document, "layer", Object.assign({ label: "Layer" }, options.layerAttrs || {}))); // CHANGE
     const cell = appendChild(layer, makeXmlCell(document, "cell-a", { label: "A" })); // NEW
     cell.geometry = { x: 10, y: 20, width: 80, height: 40 }; // NEW
-    const model = new TestModel(root); // NEW
+    const model = options.model || new TestModel(root); // CHANGE
     let serialized = options.serialized || "<mxGraphModel><root><mxCell id='0'/><mxCell id='1' parent='0'/><mxCell id='cell-a' parent='1'><mxGeometry x='10' y='20' width='80' height='40' as='geometry'/></mxCell></root></mxGraphModel>"; // NEW
     let restoredXml = null; // NEW
     const graphListeners = new Map(); // NEW
@@ -173,6 +176,7 @@ function loadPlugin(options = {}) { // NEW
         mxUtils: { createXmlDocument() { return document.implementation.createDocument("", "", null); }, parseXml(xml) { return new dom.window.DOMParser().parseFromString(xml, "text/xml"); }, getXml(node) { return new dom.window.XMLSerializer().serializeToString(node); } }, // NEW
         requestAnimationFrame(fn) { fn(); } // NEW
     }; // NEW
+    if (options.mx) Object.keys(options.mx).filter(key => /^mx[A-Z]/.test(key) && !(key in context)).forEach(key => { context[key] = options.mx[key]; }); // ADDED
     context.window.dbBridge = dbBridge; // NEW
     context.window.confirm = () => true; // NEW
     if (options.users) context.window.Trellis = { users: options.users }; // NEW
@@ -180,6 +184,20 @@ function loadPlugin(options = {}) { // NEW
     return { context, document, graph, model, cell, layer, dbBridge, actions, restoredXml: () => restoredXml, setSerialized(xml) { serialized = xml; }, ui, formatContainer, firedEvents, fireEditorEvent(name) { (editorListeners.get(name) || []).forEach(fn => fn(editor, { name })); } }; // CHANGE
 } // NEW
 
+function loadMxGraph() { // ADDED
+    const dom = new JSDOM("<!doctype html><body></body>", { runScripts: "outside-only", url: "https://app.test/", virtualConsole: new VirtualConsole() }); // ADDED
+    Object.assign(dom.window, { mxLoadResources: false, mxLoadStylesheets: false, mxBasePath: "https://app.test/mxgraph" }); // ADDED
+    dom.window.eval(fs.readFileSync(path.join(projectRoot, "drawio/src/main/webapp/mxgraph/mxClient.js"), "utf8")); // ADDED
+    return dom.window; // ADDED
+} // ADDED
+
+function decodeMxModel(mx, xml) { // ADDED
+    const doc = mx.mxUtils.parseXml(xml); // ADDED
+    const model = new mx.mxGraphModel(); // ADDED
+    new mx.mxCodec(doc).decode(doc.documentElement, model); // ADDED
+    return model; // ADDED
+} // ADDED
+
 async function settle(ms = 0) { // NEW
     await Promise.resolve(); // NEW
     await new Promise(resolve => setTimeout(resolve, ms)); // NEW
@@ -476,6 +494,264 @@ test("history restore warns when after-restore rehydration mutates the graph", a
     assert.equal(restoreRevision.restoreAudit.warnings.some(entry => entry.code === "rehydrationMutatedGraph"), true); // NEW
 }); // NEW
 
+const SELECTIVE_PAST_XML = "<mxGraphModel><root><mxCell id='0'/><mxCell id='1' parent='0'/>" // ADDED
+    + "<object id='bed' label='Bed A'><mxCell parent='1' vertex='1'><mxGeometry x='0' y='0' width='200' height='100' as='geometry'/></mxCell></object>" // ADDED
+    + "<object id='p1' label='Carrot'><mxCell parent='bed' vertex='1'><mxGeometry x='10' y='10' width='20' height='20' as='geometry'/></mxCell></object>" // ADDED
+    + "<object id='p2' label='Beet'><mxCell parent='bed' vertex='1'><mxGeometry x='50' y='10' width='20' height='20' as='geometry'/></mxCell></object>" // ADDED
+    + "<mxCell id='e1' parent='bed' edge='1' source='p1' target='p2'><mxGeometry relative='1' as='geometry'/></mxCell>" // ADDED
+    + "<object id='grp' label='Herbs'><mxCell parent='1' vertex='1'><mxGeometry x='300' y='0' width='100' height='100' as='geometry'/></mxCell></object>" // ADDED
+    + "<object id='p4' label='Basil'><mxCell parent='grp' vertex='1'><mxGeometry x='5' y='5' width='20' height='20' as='geometry'/></mxCell></object>" // ADDED
+    + "<object id='other' label='Path'><mxCell parent='1' vertex='1'><mxGeometry x='0' y='200' width='40' height='40' as='geometry'/></mxCell></object>" // ADDED
+    + "</root></mxGraphModel>"; // ADDED
+const SELECTIVE_CURRENT_XML = "<mxGraphModel><root><mxCell id='0'/><mxCell id='1' parent='0'/>" // ADDED
+    + "<object id='bed' label='Bed A (renamed)'><mxCell parent='1' vertex='1'><mxGeometry x='0' y='0' width='200' height='100' as='geometry'/></mxCell></object>" // ADDED
+    + "<object id='p2' label='Beet'><mxCell parent='bed' vertex='1'><mxGeometry x='50' y='10' width='20' height='20' as='geometry'/></mxCell></object>" // ADDED
+    + "<object id='p3' label='Onion'><mxCell parent='bed' vertex='1'><mxGeometry x='90' y='10' width='20' height='20' as='geometry'/></mxCell></object>" // ADDED
+    + "<object id='other' label='Path (moved)'><mxCell parent='1' vertex='1'><mxGeometry x='60' y='200' width='40' height='40' as='geometry'/></mxCell></object>" // ADDED
+    + "</root></mxGraphModel>"; // ADDED
+
+test("selective restore plans resurrect deleted cells, ancestors and edges without touching unselected cells", async () => { // ADDED
+    const harness = loadPlugin(); // ADDED
+    await settle(); // ADDED
+    const plan = harness.context.window.Trellis.history._test.planSelectiveRestore; // ADDED
+    const bed = JSON.parse(JSON.stringify(plan(SELECTIVE_PAST_XML, SELECTIVE_CURRENT_XML, ["bed"]))); // ADDED
+    assert.deepEqual(bed.restore, ["bed"]); // ADDED
+    assert.deepEqual(bed.resurrect, ["p1", "e1"]); // ADDED
+    assert.deepEqual(bed.remove, ["p3"]); // ADDED
+    assert.deepEqual(bed.warnings, []); // ADDED
+    assert.equal(bed.cellIds.includes("other"), false); // ADDED
+
+    const shallow = JSON.parse(JSON.stringify(plan(SELECTIVE_PAST_XML, SELECTIVE_CURRENT_XML, ["bed"], { includeChildren: false }))); // ADDED
+    assert.deepEqual(shallow.cellIds, ["bed"]); // ADDED
+
+    const nested = JSON.parse(JSON.stringify(plan(SELECTIVE_PAST_XML, SELECTIVE_CURRENT_XML, ["p4"]))); // ADDED
+    assert.deepEqual(nested.resurrect, ["grp", "p4"]); // ADDED
+
+    const edge = JSON.parse(JSON.stringify(plan(SELECTIVE_PAST_XML, SELECTIVE_CURRENT_XML, ["e1", "ghost"]))); // ADDED
+    assert.deepEqual(edge.resurrect, ["e1"]); // ADDED
+    assert.deepEqual(edge.missing, ["ghost"]); // ADDED
+    assert.deepEqual(edge.warnings.map(entry => entry.code), ["missingTerminal"]); // ADDED
+
+    const diff = harness.context.window.Trellis.history._test.diffSnapshotWithCurrent(SELECTIVE_PAST_XML, SELECTIVE_CURRENT_XML); // ADDED
+    assert.deepEqual(Array.from(diff.changed), ["bed", "other"]); // ADDED
+}); // ADDED
+
+test("history compare pre-checks selected subtrees and restores checked cells as one undoable edit", async () => { // ADDED
+    const harness = loadPlugin({ instantTimers: true }); // ADDED
+    await settle(); // ADDED
+    harness.actions.trellisChangeMapHistory.funct(); // ADDED
+    harness.setSerialized(SELECTIVE_PAST_XML); // ADDED
+    await harness.context.window.Trellis.history.createCheckpoint("Before replanting"); // ADDED
+    await settle(); // ADDED
+    harness.setSerialized(SELECTIVE_CURRENT_XML); // ADDED
+    const revision = harness.context.window.Trellis.history.list().find(entry => entry.title === "Before replanting"); // ADDED
+    harness.context.window.Trellis.history._test.components.HistoryRail.select(revision.id); // ADDED
+    harness.graph.getSelectionCells = () => [{ id: "bed" }]; // ADDED
+    await harness.context.window.Trellis.history._test.components.ChangeMapRenderer.compare(); // ADDED
+    assert.deepEqual(Array.from(harness.graph.__ccHistoryCellPicks).sort(), ["bed", "e1", "p1", "p3"]); // ADDED
+    const button = Array.from(harness.document.querySelectorAll("button")).find(node => node.textContent === "Restore checked cells"); // ADDED
+    assert.ok(button, "missing restore checked cells button"); // ADDED
+
+    const applied = []; // ADDED
+    let updates = 0; // ADDED
+    harness.model.beginUpdate = () => { updates += 1; }; // ADDED
+    harness.graph.__trellisHistoryTestRestoreCells = plan => { applied.push(JSON.parse(JSON.stringify(plan))); assert.equal(harness.context.window.Trellis.history.isRestoring(), true); }; // ADDED
+    button.click(); // ADDED
+    await settle(); // ADDED
+    await settle(); // ADDED
+    assert.equal(applied.length, 1); // ADDED
+    assert.deepEqual(applied[0].cellIds.sort(), ["bed", "e1", "p1", "p3"]); // ADDED
+    assert.equal(updates, 1); // ADDED
+    assert.equal(harness.ui.undoCleared, undefined); // ADDED
+    assert.equal(harness.context.window.Trellis.history.isRestoring(), false); // ADDED
+    const audit = harness.context.window.Trellis.history.getLastRestoreAudit(); // ADDED
+    assert.equal(audit.selective, true); // ADDED
+    assert.equal(audit.sourceRevisionId, revision.id); // ADDED
+    const restoreRevision = harness.context.window.Trellis.history.list().find(entry => entry.restoredFromRevisionId === revision.id); // ADDED
+    assert.ok(restoreRevision, "missing selective restore revision"); // ADDED
+    assert.equal(restoreRevision.action, "selectiveRestore"); // ADDED
+    assert.deepEqual(Array.from(restoreRevision.affectedCellIds).sort(), ["bed", "e1", "p1", "p3"]); // ADDED
+}); // ADDED
+
+test("selective restore applies resurrected, restored, reconnected and removed cells to a real graph model", async () => { // ADDED
+    const mx = loadMxGraph(); // ADDED
+    const model = decodeMxModel(mx, SELECTIVE_CURRENT_XML); // ADDED
+    const harness = loadPlugin({ instantTimers: true, mx, model, serialized: SELECTIVE_PAST_XML }); // ADDED
+    await settle(); // ADDED
+    await harness.context.window.Trellis.history.createCheckpoint("Before replanting"); // ADDED
+    await settle(); // ADDED
+    harness.setSerialized(SELECTIVE_CURRENT_XML); // ADDED
+    const revision = harness.context.window.Trellis.history.list().find(entry => entry.title === "Before replanting"); // ADDED
+    let changeEvents = 0; // ADDED
+    model.addListener(mx.mxEvent.CHANGE, () => { changeEvents += 1; }); // ADDED
+
+    const plan = await harness.context.window.Trellis.history.restoreCells(revision.id, ["bed"]); // ADDED
+    assert.deepEqual(Array.from(plan.cellIds).sort(), ["bed", "e1", "p1", "p3"]); // ADDED
+    assert.equal(changeEvents, 1, "the plan is applied as one model edit"); // ADDED
+    const bed = model.getCell("bed"); // ADDED
+    assert.equal(bed.value.getAttribute("label"), "Bed A"); // ADDED
+    assert.equal(model.getCell("p3"), undefined); // ADDED
+    const carrot = model.getCell("p1"); // ADDED
+    assert.equal(model.getParent(carrot), bed); // ADDED
+    assert.equal(carrot.value.getAttribute("label"), "Carrot"); // ADDED
+    assert.equal(carrot.getGeometry().x, 10); // ADDED
+    const edge = model.getCell("e1"); // ADDED
+    assert.ok(model.isEdge(edge)); // ADDED
+    assert.equal(model.getParent(edge), bed); // ADDED
+    assert.equal(model.getTerminal(edge, true), carrot); // ADDED
+    assert.equal(model.getTerminal(edge, false), model.getCell("p2")); // ADDED
+    assert.deepEqual(Array.from({ length: model.getChildCount(bed) }, (_, index) => model.getChildAt(bed, index).id), ["p1", "p2", "e1"]); // ADDED
+    assert.equal(model.getCell("other").value.getAttribute("label"), "Path (moved)"); // ADDED
+    assert.equal(model.getCell("other").getGeometry().x, 60); // ADDED
+    assert.equal(model.getCell("grp"), undefined); // ADDED
+}); // ADDED
+
+test("history archives export, merge without duplicates and import from an embedded attachment", async () => { // ADDED
+    const source = loadPlugin({ instantTimers: true }); // ADDED
+    await settle(); // ADDED
+    source.setSerialized("<mxGraphModel><root><mxCell id='0'/><mxCell id='1' parent='0'/><mxCell id='cell-a' parent='1' value='planted'><mxGeometry x='10' y='20' width='80' height='40' as='geometry'/></mxCell></root></mxGraphModel>"); // ADDED
+    await source.context.window.Trellis.history.createCheckpoint("Planted beds"); // ADDED
+    await settle(); // ADDED
+    const archive = await source.context.window.Trellis.history.exportArchive(); // ADDED
+    const unpacked = source.context.window.Trellis.history._test.unpackHistoryArchive(archive); // ADDED
+    assert.equal(unpacked.events.length, 2); // ADDED
+    assert.equal(unpacked.snapshots.length, 2); // ADDED
+
+    const target = loadPlugin({ instantTimers: true }); // ADDED
+    await settle(); // ADDED
+    const first = await target.context.window.Trellis.history.importArchive(archive); // ADDED
+    assert.equal(first.imported, 2); // ADDED
+    assert.equal(first.snapshotsImported, 1); // ADDED
+    const imported = target.context.window.Trellis.history.list().find(entry => entry.title === "Planted beds"); // ADDED
+    assert.ok(imported, "missing imported checkpoint"); // ADDED
+    assert.equal(imported.diagramHistoryId, target.context.window.Trellis.history._test.getDiagramHistoryId()); // ADDED
+    assert.ok(target.dbBridge.state.snapshots.get(imported.snapshotId)); // ADDED
+    const second = await target.context.window.Trellis.history.importArchive(archive); // ADDED
+    assert.equal(second.imported, 0); // ADDED
+    assert.equal(second.duplicates, 2); // ADDED
+    assert.equal(target.context.window.Trellis.history.list().length, 3); // ADDED
+
+    const tampered = JSON.parse(JSON.stringify(unpacked)); // ADDED
+    tampered.events.forEach((row, index) => { row.id = "other-" + index; row.timestamp = Number(row.timestamp) + 1; }); // ADDED
+    tampered.snapshots.forEach(row => { row.compressed_xml += "<!-- edited -->"; }); // ADDED
+    const third = await target.context.window.Trellis.history.importArchive(source.context.window.Trellis.history._test.packHistoryArchive(tampered)); // ADDED
+    assert.equal(third.imported, 0); // ADDED
+    assert.equal(third.rejected, 2); // ADDED
+    await assert.rejects(() => target.context.window.Trellis.history.importArchive("{\"format\":\"something-else\"}"), /Not a Trellis history archive/); // ADDED
+
+    assert.equal(await source.context.window.Trellis.history.embedArchive(), true); // ADDED
+    const embedded = source.layer.getAttribute("trellis_history_archive"); // ADDED
+    assert.match(embedded, /"format":"trellis-history-archive"/); // ADDED
+    const opened = loadPlugin({ instantTimers: true, layerAttrs: { trellis_history_archive: embedded } }); // ADDED
+    await settle(); // ADDED
+    await settle(); // ADDED
+    assert.ok(opened.context.window.Trellis.history.list().some(entry => entry.title === "Planted beds")); // ADDED
+}); // ADDED
+
+const SYNC_BASE_XML = "<mxGraphModel><root><mxCell id='0'/><mxCell id='1' parent='0'/><object id='card' label='Sow' kanban_card='1'><mxCell vertex='1' parent='1'><mxGeometry x='0' y='0' width='80' height='40' as='geometry'/></mxCell></object><object id='card2' label='Weed' status='todo' kanban_card='1'><mxCell vertex='1' parent='1'><mxGeometry x='100' y='0' width='80' height='40' as='geometry'/></mxCell></object><mxCell id='note' value='n' vertex='1' parent='1'><mxGeometry x='0' y='100' width='40' height='20' as='geometry'/></mxCell><mxCell id='free' value='x' vertex='1' parent='1'><mxGeometry x='0' y='200' width='40' height='20' as='geometry'/></mxCell></root></mxGraphModel>"; // ADDED
+const SYNC_LOCAL_XML = SYNC_BASE_XML.replace("label='Weed'", "label='Weed beds'").replace("value='n'", "value='mine'"); // ADDED
+const SYNC_REMOTE_XML = SYNC_BASE_XML.replace("label='Sow'", "label='Sow peas'").replace("status='todo'", "status='doing'").replace("value='n'", "value='theirs'").replace("value='x'", "value='y'"); // ADDED
+
+test("sync conflict merge auto-merges task card changes and leaves overlapping edits for review", async () => { // ADDED
+    const harness = loadPlugin(); // ADDED
+    await settle(); // ADDED
+    const plan = harness.context.window.Trellis.history._test.planThreeWayMerge(SYNC_BASE_XML, SYNC_LOCAL_XML, SYNC_REMOTE_XML); // ADDED
+    assert.equal(plan.hasAncestor, true); // ADDED
+    assert.deepEqual(Array.from(plan.takeRemote), ["card"]); // ADDED
+    assert.deepEqual(Array.from(plan.fieldMerges, entry => entry.id), ["card2"]); // ADDED
+    assert.equal(plan.fieldMerges[0].fields["attr:label"], "Weed beds"); // ADDED
+    assert.equal(plan.fieldMerges[0].fields["attr:status"], "doing"); // ADDED
+    assert.deepEqual(Array.from(plan.conflicts, entry => [entry.id, entry.reason, entry.resolution]), [["note", "bothChanged", "local"], ["free", "outsideScope", "remote"]]); // ADDED
+    assert.equal(plan.conflicts[0].local.label, "mine"); // ADDED
+    assert.equal(plan.conflicts[0].remote.label, "theirs"); // ADDED
+
+    const clash = harness.context.window.Trellis.history._test.planThreeWayMerge(SYNC_BASE_XML, SYNC_LOCAL_XML, SYNC_BASE_XML.replace("label='Weed'", "label='Hoe'")); // ADDED
+    assert.deepEqual(Array.from(clash.conflicts, entry => [entry.id, entry.kind, Array.from(entry.fields)]), [["card2", "task", ["attr:label"]]]); // ADDED
+
+    const orphan = harness.context.window.Trellis.history._test.planThreeWayMerge(null, SYNC_LOCAL_XML, SYNC_REMOTE_XML); // ADDED
+    assert.equal(orphan.hasAncestor, false); // ADDED
+    assert.equal(orphan.takeRemote.length, 0); // ADDED
+    assert.deepEqual(Array.from(orphan.conflicts, entry => entry.id).sort(), ["card", "card2", "free", "note"]); // ADDED
+
+    const wrapped = "<mxfile><diagram id='page-1' name='Page'>" + SYNC_REMOTE_XML + "</diagram></mxfile>"; // ADDED
+    assert.match(harness.context.window.Trellis.history._test.extractPageModelXml(wrapped, "page-1"), /Sow peas/); // ADDED
+}); // ADDED
+
+test("sync conflict merge finds the ancestor in history and applies the merge as one undoable edit", async () => { // ADDED
+    const harness = loadPlugin({ instantTimers: true }); // ADDED
+    await settle(); // ADDED
+    harness.setSerialized(SYNC_BASE_XML); // ADDED
+    await harness.context.window.Trellis.history.createCheckpoint("Before sync"); // ADDED
+    await settle(); // ADDED
+    harness.setSerialized(SYNC_LOCAL_XML); // ADDED
+    const ancestor = harness.context.window.Trellis.history.list().find(entry => entry.title === "Before sync"); // ADDED
+
+    const applied = []; // ADDED
+    let updates = 0; // ADDED
+    harness.model.beginUpdate = () => { updates += 1; }; // ADDED
+    harness.graph.__trellisHistoryTestRestoreCells = (plan, xml) => { applied.push({ plan: JSON.parse(JSON.stringify(plan)), xml }); assert.equal(harness.context.window.Trellis.history.isRestoring(), true); }; // ADDED
+    const summary = await harness.context.window.Trellis.history.mergeSyncConflict({ name: "garden.sync-conflict-20261019-101500-ABCDEF1.drawio", text: SYNC_REMOTE_XML }, { resolutions: { note: "remote", free: "local" } }); // ADDED
+    await settle(); // ADDED
+    assert.equal(summary.ancestorRevisionId, ancestor.id); // ADDED
+    assert.equal(summary.autoMerged, 2); // ADDED
+    assert.equal(summary.conflictsTakenFromRemote, 1); // ADDED
+    assert.equal(applied.length, 1); // ADDED
+    assert.equal(updates, 1); // ADDED
+    assert.deepEqual(applied[0].plan.cellIds.sort(), ["card", "card2", "note"]); // ADDED
+    assert.match(applied[0].xml, /label="Weed beds"[^>]*status="doing"|status="doing"[^>]*label="Weed beds"/); // ADDED
+    assert.equal(harness.context.window.Trellis.history.isRestoring(), false); // ADDED
+    const merged = harness.context.window.Trellis.history.list().find(entry => entry.action === "syncMerge"); // ADDED
+    assert.ok(merged, "missing sync merge revision"); // ADDED
+    assert.equal(merged.restoredFromRevisionId, ancestor.id); // ADDED
+    assert.deepEqual(Array.from(merged.tags), ["sync"]); // ADDED
+}); // ADDED
+
+test("sync conflict merge keeps a multi-page conflict copy until every page is merged, saved and removal is confirmed", async () => { // ADDED
+    const harness = loadPlugin({ instantTimers: true }); // ADDED
+    await settle(); // ADDED
+    harness.setSerialized(SYNC_LOCAL_XML); // ADDED
+    const file = { fileObject: { path: "/gardens/garden.drawio" }, modified: false, isModified() { return this.modified; } }; // ADDED
+    let pageId = "page-1"; // ADDED
+    harness.ui.getCurrentFile = () => file; // ADDED
+    harness.ui.currentPage = { getId: () => pageId }; // ADDED
+    const resolved = []; // ADDED
+    const conflict = { name: "garden.sync-conflict-20261019-101500-ABCDEF1.drawio", path: "/gardens/garden.sync-conflict-20261019-101500-ABCDEF1.drawio" }; // ADDED
+    harness.context.window.trellisShare = { // ADDED
+        listSyncConflicts: async () => ({ conflicts: resolved.length ? [] : [conflict] }), // ADDED
+        resolveSyncConflict: async opts => { resolved.push(opts); return { ok: true }; } // ADDED
+    }; // ADDED
+    harness.graph.__trellisHistoryTestRestoreCells = () => {}; // ADDED
+    const text = "<mxfile><diagram id='page-1' name='Beds'>" + SYNC_REMOTE_XML + "</diagram><diagram id='page-2' name='Tasks'>" + SYNC_REMOTE_XML + "</diagram></mxfile>"; // ADDED
+    const history = harness.context.window.Trellis.history; // ADDED
+
+    const first = await history.mergeSyncConflict(Object.assign({ text }, conflict), { resolutions: {} }); // ADDED
+    await settle(); // ADDED
+    assert.equal(first.unmergedPages, 1); // ADDED
+    assert.deepEqual(resolved, []); // ADDED
+    assert.match(harness.graph.__ccHistoryRestoreStatus, /conflict copy is kept; 1 more page to merge/); // ADDED
+    const early = await history.removeSyncConflictCopy(conflict); // ADDED
+    assert.equal(early.ok, false); // ADDED
+    assert.match(early.reason, /1 page of the conflict copy still needs merging/); // ADDED
+
+    pageId = "page-2"; // ADDED
+    file.modified = true; // ADDED
+    const second = await history.mergeSyncConflict(Object.assign({ text }, conflict), { resolutions: {} }); // ADDED
+    await settle(); // ADDED
+    assert.equal(second.unmergedPages, 0); // ADDED
+    assert.deepEqual(resolved, []); // ADDED
+    assert.match((await history.removeSyncConflictCopy(conflict)).reason, /Save the merged diagram/); // ADDED
+
+    file.modified = false; // ADDED
+    const prompts = []; // ADDED
+    harness.context.window.confirm = message => { prompts.push(message); return false; }; // ADDED
+    assert.equal((await history.removeSyncConflictCopy(conflict)).cancelled, true); // ADDED
+    assert.deepEqual(resolved, []); // ADDED
+    assert.match(prompts[0], /8 versions from the other device that you did not keep will be lost/); // ADDED
+    harness.context.window.confirm = () => true; // ADDED
+    assert.equal((await history.removeSyncConflictCopy(conflict)).ok, true); // ADDED
+    assert.deepEqual(resolved.map(entry => entry.conflictPath), [conflict.path]); // ADDED
+}); // ADDED
+
 test("history degrades when dbBridge is unavailable", async () => { // NEW
     const harness = loadPlugin({ dbBridge: false }); // NEW
     await settle(); // NEW
@@ -2,7 +2,7 @@ import assert from 'node:assert/strict';
 import fs from 'node:fs';
 import path from 'node:path';
 import test from 'node:test';
-import { createFileWatchRegistry } from '../src/main/fileWatchRegistry.js';
+import { createFileWatchRegistry, parseSyncConflictName } from '../src/main/fileWatchRegistry.js';
 
 const projectRoot = path.resolve(import.meta.dirname, '..');
 
@@ -116,6 +116,46 @@ test('file watch registry broadcasts changes only to live subscribed windows', (
 	assert.equal(fakeFs.unwatchCalls.length, 1);
 });
 
+test('parseSyncConflictName recognises Syncthing conflict copies', () => {
+	assert.deepEqual(parseSyncConflictName('plan.sync-conflict-20250412-181530-ABCDEF1.drawio'), {
+		originalName: 'plan.drawio',
+		conflictAt: '2025-04-12T18:15:30',
+		deviceId: 'ABCDEF1'
+	});
+	assert.equal(parseSyncConflictName('plan.drawio'), null);
+	assert.equal(parseSyncConflictName('plan.sync-conflict-2025-ABCDEF1.drawio'), null);
+});
+
+test('file watch registry pushes new Syncthing conflict copies once per change', () => {
+	const fakeFs = createFakeFs();
+	let entries = ['plan.drawio', 'other.sync-conflict-20250412-181530-ABCDEF1.drawio'];
+	fakeFs.readdirSync = (dir) => {
+		assert.equal(dir, 'C:\\Garden');
+		return entries;
+	};
+	const registry = createFileWatchRegistry({ fsModule: fakeFs, pathModule: path.win32, platform: 'win32' });
+	const win = createFakeWindow(1);
+
+	registry.watch('C:\\Garden\\plan.drawio', win);
+	entries = entries.concat(['PLAN.sync-conflict-20250412-181530-ABCDEF1.drawio']);
+	fakeFs.watchCalls[0].listener({ mtimeMs: 2 }, { mtimeMs: 1 });
+	fakeFs.watchCalls[0].listener({ mtimeMs: 3 }, { mtimeMs: 2 });
+
+	assert.deepEqual(win.messages.map((message) => message.channel), ['fileChanged', 'fileSyncConflicts', 'fileChanged']);
+	assert.deepEqual(win.messages[1].payload, {
+		path: 'C:\\Garden\\plan.drawio',
+		conflicts: [{
+			path: 'C:\\Garden\\PLAN.sync-conflict-20250412-181530-ABCDEF1.drawio',
+			name: 'PLAN.sync-conflict-20250412-181530-ABCDEF1.drawio',
+			conflictAt: '2025-04-12T18:15:30',
+			deviceId: 'ABCDEF1'
+		}]
+	});
+	assert.equal(registry.isConflictCopyOf('C:\\Garden\\PLAN.sync-conflict-20250412-181530-ABCDEF1.drawio', 'C:\\Garden\\plan.drawio'), true);
+	assert.equal(registry.isConflictCopyOf('C:\\Other\\plan.sync-conflict-20250412-181530-ABCDEF1.drawio', 'C:\\Garden\\plan.drawio'), false);
+	assert.equal(registry.isConflictCopyOf('C:\\Garden\\plan.drawio', 'C:\\Garden\\plan.drawio'), false);
+});
+
 test('desktop file watch lifecycle integration is marked and wired', () => {
 	const electronSource = readProjectFile('src/main/electron.js');
 	const preloadSource = readProjectFile('src/main/electron-preload.js');
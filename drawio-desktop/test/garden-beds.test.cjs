@@ -68,6 +68,7 @@ function makeXmlCell(document, id, attrs, style = "") { // NEW
 
 function loadPlugin(options = {}) { // NEW
     const dom = new JSDOM("<!doctype html><body><div id='graph'></div></body>"); // NEW
+    if (options.dbBridge) dom.window.dbBridge = options.dbBridge; // ADDED
     if (options.innerHeight != null) Object.defineProperty(dom.window, "innerHeight", { value: options.innerHeight, configurable: true }); // ADDED
     const document = dom.window.document; // NEW
     const root = new TestCell("root"); // NEW
@@ -612,3 +613,315 @@ test("bed condition dialog caps to viewport and scrolls its body", () => { // AD
     assert.equal(body.style.overflowY, "auto"); // ADDED
     assert.equal(body.style.minHeight, "0px"); // ADDED
 }); // ADDED
+
+function makeSqlBridge(rowsById) { // ADDED
+    const queries = []; // ADDED
+    return { // ADDED
+        queries, // ADDED
+        async resolvePath() { return { dbPath: "trellis.sqlite" }; }, // ADDED
+        async open() { return { dbId: 1 }; }, // ADDED
+        async close() {}, // ADDED
+        async query(dbId, sql, params) { // ADDED
+            queries.push({ sql, params }); // ADDED
+            return { rows: params.map(id => rowsById[id]).filter(Boolean) }; // ADDED
+        } // ADDED
+    }; // ADDED
+} // ADDED
+
+function flushAsync() { // ADDED
+    return new Promise(resolve => setImmediate(resolve)); // ADDED
+} // ADDED
+
+const TOMATO = { plant_id: 5, plant_name: "Tomato", crop_category: "vine", sun_hours: "6-8", water: "Moderate", preferred_soil: "Loam", organic_matter: "Rich", annual: 1, perennial: 0, tmin_c: 10 }; // ADDED
+const MINT = { plant_id: 6, plant_name: "Mint", crop_category: "leaf", sun_hours: "4-6", water: "High", preferred_soil: "Moist Loam", organic_matter: "Medium", annual: 0, perennial: 1, tmin_c: -10 }; // ADDED
+
+test("bed suitability scores matching beds high and explains shortfalls", () => { // ADDED
+    const { api, bed } = loadPlugin(); // ADDED
+    api.writeBedConditions(bed, { sunExposure: "full_sun", soilMoisture: "moderate", drainage: "normal", soilTexture: "loamy", fertility: "high", trellis: "available", frostRisk: "low", bedUse: "annuals" }); // ADDED
+    const good = api.scoreBedSuitability(bed, TOMATO); // ADDED
+    assert.equal(good.score, 100); // ADDED
+    assert.equal(good.rating, "good"); // ADDED
+    assert.equal(good.compatible, true); // ADDED
+    assert.ok(good.reasons.some(reason => reason.factor === "trellis" && reason.impact === 0)); // ADDED
+
+    const poor = api.scoreBedSuitability({ sunExposure: "shade", fertility: "low", trellis: "none", frostRisk: "high", bedUse: "perennials" }, TOMATO); // ADDED
+    assert.equal(poor.rating, "poor"); // ADDED
+    assert.ok(poor.score < 55); // ADDED
+    assert.equal(poor.reasons[0].impact <= poor.reasons[poor.reasons.length - 1].impact, true); // ADDED
+    assert.deepEqual(Array.from(poor.reasons.filter(reason => reason.impact < 0), reason => reason.factor).sort(), ["bedUse", "fertility", "frostRisk", "sunExposure", "trellis"]); // ADDED
+}); // ADDED
+
+test("bed suitability treats unknown conditions as unscored and resting beds as unsuitable", () => { // ADDED
+    const { api, bed } = loadPlugin(); // ADDED
+    const unknown = api.scoreBedSuitability(bed, TOMATO); // ADDED
+    assert.equal(unknown.score, null); // ADDED
+    assert.equal(unknown.rating, "unknown"); // ADDED
+    assert.equal(api.formatSuitabilityScore(unknown), "No data"); // ADDED
+
+    api.writeBedConditions(bed, { bedUse: "resting", sunExposure: "full_sun" }); // ADDED
+    const resting = api.scoreBedSuitability(bed, MINT); // ADDED
+    assert.equal(resting.score, 0); // ADDED
+    assert.equal(resting.rating, "unsuitable"); // ADDED
+    const compatibility = api.isBedCompatibleWithCrop(bed, MINT); // ADDED
+    assert.equal(compatibility.compatible, false); // ADDED
+    assert.deepEqual(Array.from(compatibility.hardFailures), ["Bed is resting"]); // ADDED
+}); // ADDED
+
+test("greenhouse protection and irrigation soften tender and thirsty crop penalties", () => { // ADDED
+    const { api } = loadPlugin(); // ADDED
+    const open = api.scoreBedSuitability({ frostRisk: "high", soilMoisture: "dry", irrigation: "none" }, TOMATO); // ADDED
+    const covered = api.scoreBedSuitability({ frostRisk: "high", seasonExtension: "greenhouse", soilMoisture: "dry", irrigation: "drip" }, TOMATO); // ADDED
+    assert.ok(covered.score > open.score); // ADDED
+    assert.ok(covered.reasons.some(reason => reason.factor === "seasonExtension")); // ADDED
+    const mint = api.isBedCompatibleWithCrop({ soilMoisture: "dry", irrigation: "none" }, MINT); // ADDED
+    assert.equal(mint.compatible, true); // ADDED
+    assert.match(mint.warnings.join("\n"), /high-water crop/); // ADDED
+}); // ADDED
+
+test("dry and wet soil reasons name the crop's own water need", () => { // ADDED
+    const { api } = loadPlugin(); // ADDED
+    const moistureReason = (bed, plant) => api.scoreBedSuitability(bed, plant).reasons.find(reason => reason.factor === "soilMoisture").text; // ADDED
+    assert.equal(moistureReason({ soilMoisture: "dry", irrigation: "none" }, TOMATO), "Dry soil for a moderate-water crop"); // ADDED
+    assert.equal(moistureReason({ soilMoisture: "moderate", irrigation: "none" }, MINT), "Moderate soil for a high-water crop"); // ADDED
+    assert.equal(moistureReason({ soilMoisture: "wet", irrigation: "none" }, { ...TOMATO, water: "Low" }), "Wet soil for a low-water crop"); // ADDED
+}); // ADDED
+
+test("selected bed overlay lists crop fit for tiler groups in the bed", async () => { // ADDED
+    const bridge = makeSqlBridge({ 5: TOMATO, 6: MINT }); // ADDED
+    const { api, bed, graph, document } = loadPlugin({ dbBridge: bridge }); // ADDED
+    appendChild(bed, makeXmlCell(document, "tg-tomato", { tiler_group: "1", plant_id: "5" })); // ADDED
+    appendChild(bed, makeXmlCell(document, "tg-mint", { tiler_group: "1", plant_id: "6" })); // ADDED
+    api.writeBedConditions(bed, { sunExposure: "full_sun", soilMoisture: "dry", trellis: "none", bedUse: "annuals" }); // ADDED
+    graph.getSelectionCells = () => [bed]; // ADDED
+    api._test.syncSelectedBedOverlays(); // ADDED
+    await flushAsync(); // ADDED
+
+    assert.equal(bridge.queries.length, 1); // ADDED
+    assert.deepEqual(Array.from(bridge.queries[0].params), [5, 6]); // ADDED
+    const text = getSelectedBedOverlays(graph)[0].textContent; // ADDED
+    assert.match(text, /Crop fit/); // ADDED
+    assert.match(text, /Tomato65 \(Fair\)/); // ADDED
+    assert.match(text, /Mint55 \(Fair\)/); // ADDED
+    api._test.syncSelectedBedOverlays(); // ADDED
+    await flushAsync(); // ADDED
+    assert.equal(bridge.queries.length, 1); // ADDED
+}); // ADDED
+
+function addRotationGroup(document, bed, id, year, family) { // ADDED
+    return appendChild(bed, makeXmlCell(document, id, { tiler_group: "1", plant_id: "", plant_family: family, season_start_year: String(year) })); // ADDED
+} // ADDED
+
+test("crop rotation flags family repeats inside the configured gap", () => { // ADDED
+    const { api, bed, moduleCell, document } = loadPlugin(); // ADDED
+    addRotationGroup(document, bed, "kale-2024", 2024, "Brassicaceae"); // ADDED
+    addRotationGroup(document, bed, "cabbage-2025", 2025, "cruciferae"); // ADDED
+    addRotationGroup(document, bed, "tomato-2025", 2025, "Solanaceae"); // ADDED
+
+    const history = api.readBedRotationHistory(bed); // ADDED
+    assert.deepEqual(Array.from(history, entry => `${entry.year}:${entry.family}`), ["2024:Brassicaceae", "2025:Brassicaceae", "2025:Solanaceae"]); // ADDED
+    assert.deepEqual(plainRows(api.findRotationViolations(history, api.resolveRotationGaps(bed))), [ // ADDED
+        { family: "Brassicaceae", year: 2025, previousYear: 2024, yearsApart: 1, gapYears: 3 } // ADDED
+    ]); // ADDED
+
+    const repeat = api.checkCropRotation(bed, { family: "Brassicaceae" }, 2026); // ADDED
+    assert.equal(repeat.ok, false); // ADDED
+    assert.deepEqual(Array.from(repeat.conflicts, entry => entry.year), [2024, 2025]); // ADDED
+    assert.equal(api.formatRotationCheck(repeat), "Brassicaceae grown in this bed in 2024, 2025; allow 3 years between Brassicaceae crops."); // ADDED
+    assert.equal(api.checkCropRotation(bed, "Fabaceae", 2026).ok, true); // ADDED
+    assert.equal(api.checkCropRotation(bed, "Solanaceae", 2026, { excludeCell: bed.children[2] }).ok, true); // ADDED
+
+    api.writeModuleRotationGaps(bed, { Brassicaceae: 1, Solanaceae: 3 }); // ADDED
+    assert.equal(moduleCell.getAttribute("rotation_gaps_json"), JSON.stringify({ schemaVersion: 1, gaps: { Brassicaceae: 1 } })); // ADDED
+    assert.equal(api.findRotationViolations(api.readBedRotationHistory(bed), api.resolveRotationGaps(bed)).length, 0); // ADDED
+    assert.equal(api.checkCropRotation(bed, "Brassicaceae", 2026).ok, true); // ADDED
+}); // ADDED
+
+test("rotation overlay suggests a bed for each family next year", () => { // ADDED
+    const { api, bed, bed2, moduleCell, graph, document } = loadPlugin(); // ADDED
+    const bed3 = appendChild(moduleCell, makeXmlCell(document, "bed3", { garden_bed: "1", label: "Bed 3" })); // ADDED
+    const resting = appendChild(moduleCell, makeXmlCell(document, "bed4", { garden_bed: "1", label: "Bed 4" })); // ADDED
+    api.writeBedConditions(resting, { bedUse: "resting" }); // ADDED
+    addRotationGroup(document, bed, "kale-2024", 2024, "Brassicaceae"); // ADDED
+    addRotationGroup(document, bed, "cabbage-2025", 2025, "Brassicaceae"); // ADDED
+    addRotationGroup(document, bed, "tomato-2025", 2025, "Solanaceae"); // ADDED
+    addRotationGroup(document, bed2, "broccoli-2024", 2024, "Brassicaceae"); // ADDED
+
+    const suggestion = api.suggestRotationMoves(bed); // ADDED
+    assert.equal(suggestion.year, 2026); // ADDED
+    assert.deepEqual(plainRows(suggestion.moves), [ // ADDED
+        { family: "Brassicaceae", fromYear: 2025, bedId: "bed3", bedLabel: "Bed 3" }, // ADDED
+        { family: "Solanaceae", fromYear: 2025, bedId: "bed2", bedLabel: "Bed 2" } // ADDED
+    ]); // ADDED
+    assert.equal(bed3.children.length, 0); // ADDED
+
+    graph.getSelectionCells = () => [bed]; // ADDED
+    api._test.syncSelectedBedOverlays(); // ADDED
+    const text = getSelectedBedOverlays(graph)[0].textContent; // ADDED
+    assert.match(text, /Rotation/); // ADDED
+    assert.match(text, /2025Brassicaceae, Solanaceae/); // ADDED
+    assert.match(text, /2025Brassicaceae after 1 yr/); // ADDED
+    assert.match(text, /2026Brassicaceae to Bed 3/); // ADDED
+    assert.match(text, /2026Solanaceae to Bed 2/); // ADDED
+}); // ADDED
+
+test("bed dialog saves rotation gap overrides on the parent module", () => { // ADDED
+    const { api, bed, moduleCell, ui } = loadPlugin(); // ADDED
+    api._test.showConditionEditorDialog(bed); // ADDED
+    assert.ok(getSectionFieldLabels(ui, "Crop rotation").includes("Brassicaceae (years)")); // ADDED
+    getDialogFieldControl(ui, "Brassicaceae (years)").value = "4"; // ADDED
+    getDialogFieldControl(ui, "Fabaceae (years)").value = ""; // ADDED
+    getDialogButton(ui, "Save").click(); // ADDED
+    assert.deepEqual(JSON.parse(moduleCell.getAttribute("rotation_gaps_json")).gaps, { Brassicaceae: 4 }); // ADDED
+    assert.equal(api.resolveRotationGaps(bed).Fabaceae, 1); // ADDED
+}); // ADDED
+
+test("pest observations normalize on beds and groups and warn about susceptible families", () => { // ADDED
+    const { api, bed, document } = loadPlugin(); // ADDED
+    const group = addRotationGroup(document, bed, "kale-2025", 2025, "Brassicaceae"); // ADDED
+    const logged = api.addPestObservation(bed, { date: "2025-06-02", name: " clubroot ", severity: "severe", photoPath: "/photos/bed1.jpg" }); // ADDED
+    assert.equal(logged.name, "Clubroot"); // ADDED
+    assert.equal(logged.kind, "disease"); // ADDED
+    api.addPestObservation(group, { date: "2025-07-10", name: "Flea beetle", severity: "bogus" }); // ADDED
+    api.addPestObservation(bed, { date: "2026-05-01", kind: "pest", name: "Slugs", severity: "low" }); // ADDED
+    assert.throws(() => api.addPestObservation(bed, { date: "2026-05-01", name: "" }), /pest or disease name/); // ADDED
+    assert.throws(() => api.addPestObservation(document.createElement("div"), { name: "Aphids" }), /garden bed or plant group/); // ADDED
+
+    assert.equal(api.readPestObservations(group)[0].severity, "moderate"); // ADDED
+    assert.equal(JSON.parse(bed.getAttribute("pest_observations_json")).schemaVersion, 1); // ADDED
+    assert.deepEqual(Array.from(api.filterPestObservationsByWindow(api.readPestObservations(bed), { endDate: "2026-05-10", windowDays: 30 }), entry => entry.name), ["Slugs"]); // ADDED
+    assert.deepEqual(Array.from(api.filterPestObservationsByWindow(api.readPestObservations(bed), { endDate: "2026-05-10", windowDays: 0, kind: "disease" }), entry => entry.name), ["Clubroot"]); // ADDED
+
+    const brassica = api.checkPestPressure(bed, { family: "cruciferae" }, 2027); // ADDED
+    assert.equal(brassica.ok, false); // ADDED
+    assert.deepEqual(Array.from(brassica.hits, entry => entry.name), ["Clubroot"]); // ADDED
+    assert.equal(api.formatPestPressureCheck(brassica), "Brassicaceae crops are susceptible to Clubroot (severe, 2025) recorded in this bed."); // ADDED
+    assert.deepEqual(Array.from(api.checkPestPressure(bed, "Solanaceae", 2026).hits, entry => entry.name), ["Flea beetle"]); // ADDED
+    assert.equal(api.checkPestPressure(bed, "Solanaceae", 2027).ok, true); // ADDED
+    assert.equal(api.checkPestPressure(bed, "Solanaceae", 2024).ok, true); // ADDED
+    assert.equal(api.checkPestPressure(bed, "Fabaceae", 2026).ok, true); // ADDED
+
+    assert.equal(api.removePestObservation(bed, logged.id), true); // ADDED
+    assert.equal(api.checkPestPressure(bed, "Brassicaceae", 2027).ok, true); // ADDED
+}); // ADDED
+
+test("pest observation dialog logs entries and spawns treatment task cards", () => { // ADDED
+    const { api, bed, graph, ui, document } = loadPlugin(); // ADDED
+    const created = []; // ADDED
+    document.defaultView.USL = { tasks: { createTaskForCell(cell, task) { created.push([cell, task]); return "card-9"; } } }; // ADDED
+    graph.getSelectionCells = () => [bed]; // ADDED
+    api._test.syncSelectedBedOverlays(); // ADDED
+    const pestButton = Array.from(getSelectedBedOverlays(graph)[0].querySelectorAll("button")).find(button => button.textContent === "Log Pest / Disease"); // ADDED
+    assert.ok(pestButton); // ADDED
+    pestButton.click(); // ADDED
+
+    getDialogFieldControl(ui, "Date").value = "2026-05-14"; // ADDED
+    const name = getDialogFieldControl(ui, "Pest or disease"); // ADDED
+    name.value = "Late blight"; // ADDED
+    name.dispatchEvent(new document.defaultView.Event("change")); // ADDED
+    assert.equal(getDialogFieldControl(ui, "Type").value, "disease"); // ADDED
+    getDialogFieldControl(ui, "Severity").value = "high"; // ADDED
+    getDialogFieldControl(ui, "Photo path").value = "C:/photos/blight.jpg"; // ADDED
+    getDialogButton(ui, "Add").click(); // ADDED
+    assert.match(ui.lastDialog.querySelector("[data-pest-observation-list='1']").textContent, /2026-05-14 · Late blight \(disease\) · severity high · photo C:\/photos\/blight\.jpg/); // ADDED
+
+    getDialogButton(ui, "Treatment task").click(); // ADDED
+    assert.equal(created.length, 1); // ADDED
+    assert.equal(created[0][0], bed); // ADDED
+    assert.equal(created[0][1].title, "Treat Late blight"); // ADDED
+    assert.match(created[0][1].notes, /Late blight observed on Bed 1 \(2026-05-14, severity high\)\.\nPhoto: C:\/photos\/blight\.jpg/); // ADDED
+    assert.equal(created[0][1].attributes.pest_observation_cell_id, "bed"); // ADDED
+    assert.equal(api.readPestObservations(bed)[0].taskCardId, "card-9"); // ADDED
+    assert.equal(getDialogButton(ui, "Task created").disabled, true); // ADDED
+
+    api._test.syncSelectedBedOverlays(); // ADDED
+    assert.match(getSelectedBedOverlays(graph)[0].textContent, /Pests & disease2026-05-14Late blight, high/); // ADDED
+}); // ADDED
+
+test("pest map badges observed beds inside the selected time window", () => { // ADDED
+    const { api, bed, bed2, moduleCell, graph, document } = loadPlugin(); // ADDED
+    const group = addRotationGroup(document, bed2, "squash-2026", 2026, "Cucurbitaceae"); // ADDED
+    graph.__states.set(group, { x: 140, y: 30, width: 40, height: 20 }); // ADDED
+    api.addPestObservation(bed, { date: "2026-04-01", name: "Aphids", severity: "low" }); // ADDED
+    api.addPestObservation(bed, { date: "2026-05-20", name: "Aphids", severity: "high" }); // ADDED
+    api.addPestObservation(group, { date: "2026-05-25", name: "Powdery mildew", severity: "moderate" }); // ADDED
+
+    assert.equal(api.showPestMap(bed), true); // ADDED
+    assert.equal(api.isPestMapVisible(moduleCell), true); // ADDED
+    const panel = graph.container.querySelector(".trellis-pest-map-panel"); // ADDED
+    const [windowValue, windowUnit] = panel.querySelectorAll("input[type='number'], select"); // ADDED
+    const endDate = panel.querySelector("input[type='date']"); // ADDED
+    endDate.value = "2026-05-31"; // ADDED
+    endDate.dispatchEvent(new document.defaultView.Event("change")); // ADDED
+    const badges = () => Array.from(graph.container.querySelectorAll(".trellis-pest-map-badge"), badge => `${badge.style.left},${badge.style.top}:${badge.textContent}`); // ADDED
+    assert.deepEqual(badges(), ["14px,24px:1 Aphids", "144px,34px:1 Powdery mildew"]); // ADDED
+    assert.equal(panel.querySelector("[data-pest-map-summary='1']").textContent, "2 observations on 2 beds or groups"); // ADDED
+
+    windowValue.value = "9"; // ADDED
+    windowUnit.value = "weeks"; // ADDED
+    windowUnit.dispatchEvent(new document.defaultView.Event("change")); // ADDED
+    assert.deepEqual(badges(), ["14px,24px:2 Aphids", "144px,34px:1 Powdery mildew"]); // ADDED
+
+    const kind = panel.querySelectorAll("select")[1]; // ADDED
+    kind.value = "disease"; // ADDED
+    kind.dispatchEvent(new document.defaultView.Event("change")); // ADDED
+    assert.deepEqual(badges(), ["144px,34px:1 Powdery mildew"]); // ADDED
+
+    assert.equal(api.togglePestMap(moduleCell), false); // ADDED
+    assert.equal(graph.container.querySelector(".trellis-pest-map-panel"), null); // ADDED
+    assert.equal(badges().length, 0); // ADDED
+}); // ADDED
+
+test("soil tests normalize per bed and drive crop-specific amendment quantities", () => { // ADDED
+    const { api, bed } = loadPlugin(); // ADDED
+    bed.geometry = { x: 0, y: 0, width: 180, height: 90 }; // ADDED
+    assert.throws(() => api.addSoilTest(bed, { date: "2026-03-01", ph: 14 }), /at least one in-range soil measurement/); // ADDED
+    api.addSoilTest(bed, { date: "2026-03-10", ph: "5.8", organicMatterPct: "3", nitrogenPpm: "10", phosphorusPpm: "48", potassiumPpm: "150", cec: "30", lab: "County lab" }); // ADDED
+    const older = api.addSoilTest(bed, { date: "2025-09-01", ph: 6.1 }); // ADDED
+    assert.deepEqual(Array.from(api.readSoilTests(bed), entry => entry.date), ["2025-09-01", "2026-03-10"]); // ADDED
+    assert.equal(api.latestSoilTest(bed).lab, "County lab"); // ADDED
+    assert.equal(JSON.parse(bed.getAttribute("soil_tests_json")).schemaVersion, 1); // ADDED
+    assert.equal(api._test.bedAreaM2(bed), 2); // ADDED
+
+    const needs = api.resolveCropNutrientNeeds([Object.assign({ soil_ph_range: 6.5, ideal_NPK: "5-10-10", nutrients: "N, K" }, TOMATO)]); // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(needs)), { crops: ["Tomato"], targetPh: 6.5, organicMatterPct: 5, nitrogenPpm: 31, phosphorusPpm: 48, potassiumPpm: 200 }); // ADDED
+    const recs = api.recommendSoilAmendments(api.latestSoilTest(bed), needs, api._test.bedAreaM2(bed)); // ADDED
+    assert.deepEqual(Array.from(recs, rec => `${rec.key}:${rec.perM2}/${rec.amount} ${rec.unit}`), ["lime:0.35/0.7 kg", "compost:50/100 L", "nitrogen:0.03/0.07 kg", "potassium:0.02/0.05 kg"]); // ADDED
+    assert.match(recs[0].reason, /pH 5\.8 is below the 6\.5 target/); // ADDED
+    assert.deepEqual(Array.from(api.recommendSoilAmendments({ ph: 7.4, cec: 5 }, needs, 2), rec => `${rec.key}:${rec.amount}`), ["sulfur:0.07"]); // ADDED
+
+    assert.equal(api.removeSoilTest(bed, older.id), true); // ADDED
+    assert.equal(api.readSoilTests(bed).length, 1); // ADDED
+    assert.match(Array.from(api._test.buildSoilRows(bed), row => `${row.label}:${row.value || ""}`).join("|"), /Soil test:\|2026-03-10:pH 5\.8\|OM:3%/); // ADDED
+}); // ADDED
+
+test("soil test dialog records results and turns recommendations into bed tasks", async () => { // ADDED
+    const bridge = makeSqlBridge({ 5: Object.assign({ soil_ph_range: 6.5, ideal_NPK: "5-10-10", nutrients: "N, K" }, TOMATO) }); // ADDED
+    const { api, bed, graph, ui, document } = loadPlugin({ dbBridge: bridge }); // ADDED
+    bed.geometry = { x: 0, y: 0, width: 180, height: 90 }; // ADDED
+    appendChild(bed, makeXmlCell(document, "tg-tomato", { tiler_group: "1", plant_id: "5" })); // ADDED
+    const created = []; // ADDED
+    document.defaultView.USL = { tasks: { createTaskForCell(cell, task) { created.push([cell, task]); return `card-${created.length}`; } } }; // ADDED
+    graph.getSelectionCells = () => [bed]; // ADDED
+    api._test.syncSelectedBedOverlays(); // ADDED
+    await flushAsync(); // ADDED
+    Array.from(getSelectedBedOverlays(graph)[0].querySelectorAll("button")).find(button => button.textContent === "Soil Tests").click(); // ADDED
+    await flushAsync(); // ADDED
+
+    getDialogFieldControl(ui, "Date").value = "2026-03-10"; // ADDED
+    getDialogFieldControl(ui, "pH").value = "5.8"; // ADDED
+    getDialogFieldControl(ui, "Organic matter %").value = "4.5"; // ADDED
+    getDialogFieldControl(ui, "CEC (meq/100 g)").value = "30"; // ADDED
+    getDialogButton(ui, "Add").click(); // ADDED
+    assert.match(ui.lastDialog.querySelector("[data-soil-test-list='1']").textContent, /2026-03-10 · pH 5\.8 · Organic matter % 4\.5 · CEC 30/); // ADDED
+    const advice = ui.lastDialog.querySelector("[data-soil-amendments='1']").textContent; // ADDED
+    assert.match(advice, /Targets for Tomato: pH 6\.5, OM 5%, N 31 \/ P 48 \/ K 200 ppm over 2 m²/); // ADDED
+    assert.match(advice, /Ground limestone: 0\.7 kg \(0\.35 kg\/m²\)Compost: 25 L \(12\.5 L\/m²\)/); // ADDED
+
+    getDialogButton(ui, "Create amendment tasks").click(); // ADDED
+    assert.deepEqual(created.map(([cell, task]) => `${cell.id}:${task.title}:${task.attributes.soil_amendment}`), ["bed:Apply ground limestone to Bed 1:lime", "bed:Apply compost to Bed 1:compost"]); // ADDED
+    assert.match(created[0][1].notes, /Spread 0\.7 kg of Ground limestone \(0\.35 kg\/m² over 2 m²\)\.\npH 5\.8 is below the 6\.5 target \(soil test 2026-03-10\)\./); // ADDED
+    assert.equal(created[1][1].attributes.soil_test_cell_id, "bed"); // ADDED
+    assert.ok(created.every(([, task]) => task.linkToSource === true), "amendment cards link to their bed"); // ADDED
+    assert.deepEqual(Array.from(api.latestSoilTest(bed).taskCardIds), ["card-1", "card-2"]); // ADDED
+    assert.equal(getDialogButton(ui, "Tasks created").disabled, true); // ADDED
+}); // ADDED
@@ -146,3 +146,48 @@ test("legacy dashboard cells are inert and no longer created or attached", () =>
     assert.doesNotMatch(selectionListener, /ensureOverlayForDashboard\(dash\)/); // NEW
     assert.doesNotMatch(selectionListener, /recomputeAndRenderDashboard\(dash\)/); // NEW
 }); // NEW
+
+test("garden dashboard table and CSV compare logged harvest with plan targets", () => { // ADDED
+    const text = source(); // ADDED
+    const helper = text.slice(text.indexOf("function loggedHarvestKgForYear"), text.indexOf("function computeModuleMetrics")); // ADDED
+    const loggedHarvestKgForYear = new Function("safeJsonParse", "getCellAttr", `${helper}; return loggedHarvestKgForYear;`)( // ADDED
+        (value, fallback) => { try { return JSON.parse(String(value || "")); } catch (e) { return fallback; } }, // ADDED
+        (cell, key) => cell[key] || "" // ADDED
+    ); // ADDED
+    const tg = { harvest_log_json: JSON.stringify([{ date: "2025-07-01", kg: 2 }, { date: "2025-08-01", kg: 1.5 }, { date: "2024-07-01", kg: 9 }]) }; // ADDED
+    assert.equal(loggedHarvestKgForYear(tg, 2025), 3.5); // ADDED
+    assert.equal(loggedHarvestKgForYear({}, 2025), 0); // ADDED
+    assert.match(text, /cur\.logged_kg \+= loggedKg;/); // ADDED
+    assert.match(text, /<th style="border:1px solid #999; padding:6px; text-align:right;">Logged \(kg\)<\/th>/); // ADDED
+    assert.match(text, /fmtLoggedPct\(r\.logged_kg, r\.target_kg\)/); // ADDED
+    assert.match(text, /"Target \(kg\)", "Expected \(kg\)", "Logged \(kg\)"\]/); // ADDED
+}); // ADDED
+
+test("garden dashboard pests button toggles the garden beds pest map", () => { // ADDED
+    const text = viewportToolbarSource(); // ADDED
+    assert.match(text, /leftControls\.appendChild\(irrigationBtn\);[\s\S]*?leftControls\.appendChild\(pestsBtn\);[\s\S]*?leftControls\.appendChild\(allocateBtn\);/); // ADDED
+    assert.match(text, /bedsApi\.togglePestMap\(activeToolbarModule\);/); // ADDED
+    assert.match(text, /entry\.pestsBtn\.textContent = pestMapVisible \? "Hide Pests" : "Pests";/); // ADDED
+}); // ADDED
+
+test("garden dashboard registers a headless CSV report per garden module", () => { // ADDED
+    const text = source(); // ADDED
+    const section = text.slice(text.indexOf("function buildDashboardReports"), text.indexOf("window.Trellis = window.Trellis || {};", text.indexOf("function buildDashboardReports"))); // ADDED
+    const modules = [{ id: "m1", name: "North Bed" }, { id: "m2", name: "North Bed" }, { id: "m3", name: "South" }]; // ADDED
+    const years = []; // ADDED
+    const buildDashboardReports = new Function("model", "getDescendants", "isGardenModule", "toInt", "isValidYear", "getToolbarYear", "computeModuleMetrics", "buildDashboardCsvSingleTable", "cellId", `${section}; return buildDashboardReports;`)( // ADDED
+        { getRoot() { return "root"; } }, // ADDED
+        () => modules.concat([{ id: "bed" }]), // ADDED
+        cell => cell.id.startsWith("m"), // ADDED
+        (value, fallback) => { const n = parseInt(value, 10); return Number.isFinite(n) ? n : fallback; }, // ADDED
+        year => year >= 1900 && year <= 3000, // ADDED
+        () => 2024, // ADDED
+        (cell, year) => { years.push(year); return { moduleName: cell.name }; }, // ADDED
+        (metrics, year) => `${metrics.moduleName},${year}\n`, // ADDED
+        cell => cell.id // ADDED
+    ); // ADDED
+    assert.deepEqual(buildDashboardReports({}).map(output => output.name), ["dashboard-North_Bed", "dashboard-North_Bed-m2", "dashboard-South"]); // ADDED
+    assert.deepEqual(years, [2024, 2024, 2024], "defaults to the toolbar year"); // ADDED
+    assert.deepEqual(buildDashboardReports({ year: 2026 }).map(output => [output.format, output.content]), [["csv", "North Bed,2026\n"], ["csv", "North Bed,2026\n"], ["csv", "South,2026\n"]]); // ADDED
+    assert.match(text, /window\.Trellis\.reports\.dashboard = buildDashboardReports;/); // ADDED
+}); // ADDED
@@ -442,3 +442,142 @@ test("date normalization infers legacy overrides and blocks invalid saved dates"
     clickButton(document, "Save"); // NEW
     assert.equal(context.lastAlert, "Fix equipment validation errors before saving."); // NEW
 }); // NEW
+
+test("completed task cards accumulate equipment usage and file service cards once when due", () => { // ADDED
+    const { api, moduleCell, document, context, model } = loadPlugin(); // ADDED
+    api.writeEquipmentInventory(moduleCell, [{ // ADDED
+        id: "eq_tiller", name: "Tiller", status: "owned", maintenanceFrequency: { basis: "hours_used", every: 5 }, maintenanceTimeHours: 1.5, maintenanceCost: 40, // ADDED
+        purchaseDate: "2021-04-01", replacementDate: "2026-01-01", replacementDateOverride: true, replacementCost: 900, capabilities: [], relevantTaskTypes: [], efficiencyEffects: [] // ADDED
+    }]); // ADDED
+    appendChild(moduleCell, makeXmlCell(document, "card-1", { kanban_card: "1", completed: "2026-04-02", task_equipment_ids: "eq_tiller", task_estimated_hours: "3" })); // ADDED
+    appendChild(moduleCell, makeXmlCell(document, "card-2", { kanban_card: "1", completed: "2026-05-10", task_equipment_ids: "eq_tiller, eq_missing", task_estimated_hours: "2.5" })); // ADDED
+    appendChild(moduleCell, makeXmlCell(document, "card-3", { kanban_card: "1", task_equipment_ids: "eq_tiller", task_estimated_hours: "8" })); // ADDED
+    const created = []; // ADDED
+    context.window.USL = { tasks: { createTaskForCell(cell, task) { // ADDED
+        created.push([cell.id, task]); // ADDED
+        return appendChild(moduleCell, makeXmlCell(document, `svc-card-${created.length}`, { kanban_card: "1" })).id; // ADDED
+    } } }; // ADDED
+
+    const first = api.syncEquipmentService(moduleCell, { today: "2026-06-01" }); // ADDED
+    const tiller = api.readEquipmentInventory(moduleCell)[0]; // ADDED
+    assert.equal(first.usageRecorded, 2); // ADDED
+    assert.deepEqual([tiller.usage.hoursUsed, tiller.usage.taskCount, tiller.usage.lastUsedDate], [5.5, 2, "2026-05-10"]); // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(tiller.usage.seasons)), ["2026"]); // ADDED
+    assert.deepEqual(created.map(([cellId, task]) => [cellId, task.title, task.startISO, task.attributes.equipment_service_kind, task.attributes.task_estimated_hours]), [ // ADDED
+        ["module", "Service Tiller", "2026-06-01", "maintenance", 1.5], // ADDED
+        ["module", "Replace Tiller", "2026-06-01", "replacement", null] // ADDED
+    ]); // ADDED
+    assert.match(created[0][1].notes, /5\.5 h of use since the last service \(every 5 h\)\.\nAllow 1\.5 h\.\nBudgeted cost \$40\.00\./); // ADDED
+    assert.deepEqual(Array.from(tiller.serviceHistory, entry => [entry.kind, entry.status, entry.taskCardId, entry.dueDate]), [ // ADDED
+        ["maintenance", "scheduled", "svc-card-1", "2026-06-01"], // ADDED
+        ["replacement", "scheduled", "svc-card-2", "2026-01-01"] // ADDED
+    ]); // ADDED
+
+    const writes = model.valuesWritten; // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(api.syncEquipmentService(moduleCell, { today: "2026-06-01" }))), { usageRecorded: 0, closed: 0, created: [], pending: 0 }); // ADDED
+    assert.equal(model.valuesWritten, writes, "an up-to-date module is not rewritten"); // ADDED
+
+    moduleCell.children.find(cell => cell.id === "svc-card-1").value.setAttribute("completed", "2026-06-03"); // ADDED
+    moduleCell.children = moduleCell.children.filter(cell => cell.id !== "svc-card-2"); // ADDED
+    const second = api.syncEquipmentService(moduleCell, { today: "2026-06-04" }); // ADDED
+    const serviced = api.readEquipmentInventory(moduleCell)[0]; // ADDED
+    assert.deepEqual([second.closed, second.created.length], [2, 0]); // ADDED
+    assert.deepEqual(Array.from(serviced.serviceHistory, entry => [entry.kind, entry.status, entry.closedDate, entry.hoursUsed]), [ // ADDED
+        ["maintenance", "done", "2026-06-03", 5.5], // ADDED
+        ["replacement", "dismissed", "2026-06-04", 5.5] // ADDED
+    ]); // ADDED
+
+    api.openDialog(moduleCell); // ADDED
+    clickText(document, ".trellis-eq-editor-tab", "Maintenance & Costs"); // ADDED
+    const history = document.querySelector(".trellis-eq-service-history"); // ADDED
+    assert.match(history.textContent, /5\.5 h over 2 completed tasks in 1 season, last used 2026-05-10\./); // ADDED
+    assert.equal(history.querySelectorAll("[data-service-entry-id]").length, 2); // ADDED
+}); // ADDED
+
+test("yearly maintenance runs from the purchase date or last service and skips equipment owned by others", () => { // ADDED
+    const { api } = loadPlugin(); // ADDED
+    const yearly = api.__test.normalizeEquipment({ id: "eq_mower", name: "Mower", status: "owned", purchaseDate: "2025-03-01", maintenanceFrequency: { basis: "year", every: 1 } }); // ADDED
+    assert.equal(api.evaluateServiceDue(yearly, "2026-02-28").maintenance, null); // ADDED
+    assert.equal(api.evaluateServiceDue(yearly, "2026-03-01").maintenance.dueDate, "2026-03-01"); // ADDED
+    const serviced = api.__test.normalizeEquipment(Object.assign({}, yearly, { serviceHistory: [{ id: "svc_1", kind: "maintenance", status: "done", closedDate: "2026-03-05" }] })); // ADDED
+    assert.equal(api.evaluateServiceDue(serviced, "2027-03-04").maintenance, null); // ADDED
+    assert.equal(api.evaluateServiceDue(serviced, "2027-03-05").maintenance.dueDate, "2027-03-05"); // ADDED
+    const open = api.__test.normalizeEquipment(Object.assign({}, yearly, { serviceHistory: [{ id: "svc_2", kind: "maintenance", status: "scheduled" }] })); // ADDED
+    assert.equal(api.evaluateServiceDue(open, "2027-06-01").maintenance, null); // ADDED
+
+    const seasonal = api.__test.normalizeEquipment({ id: "eq_seeder", name: "Seeder", status: "needs_repair", maintenanceFrequency: { basis: "season", every: 2 }, usage: { seasons: ["2025", "2026"] } }); // ADDED
+    assert.match(api.evaluateServiceDue(seasonal, "2026-07-01").maintenance.reason, /2 seasons of use since the last service/); // ADDED
+    const rented = api.__test.normalizeEquipment(Object.assign({}, seasonal, { status: "rented", replacementDate: "2020-01-01", replacementDateOverride: true })); // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(api.evaluateServiceDue(rented, "2026-07-01"))), { maintenance: null, replacement: null }); // ADDED
+}); // ADDED
+
+test("booking conflicts flag same-day over-booking and short crews with free days and substitutes", () => { // ADDED
+    const { api } = loadPlugin(); // ADDED
+    const inventory = [ // ADDED
+        { id: "eq_tiller", name: "Tiller", capabilities: ["soil_tillage"] }, // ADDED
+        { id: "eq_cultivator", name: "Cultivator", capabilities: ["soil_tillage"] }, // ADDED
+        { id: "eq_broadfork", name: "Broadfork", capabilities: ["soil_tillage"], quantity: 2 }, // ADDED
+        { id: "eq_seeder", name: "Seeder", capabilities: ["seeding"], crewSizeMin: 2 }, // ADDED
+        { id: "eq_push_seeder", name: "Push Seeder", capabilities: ["seeding"], availability: { mode: "window", from: "2026-05-13", to: "2026-06-30" } } // ADDED
+    ].map(api.__test.normalizeEquipment); // ADDED
+    const days = ["2026-05-10", "2026-05-11", "2026-05-12", "2026-05-13", "2026-05-14", "2026-05-15", "2026-05-16"] // ADDED
+        .map((dateISO, index) => ({ dateISO, closed: index === 0 || index === 6 })); // ADDED
+    const records = [ // ADDED
+        { id: "card_a", dateISO: "2026-05-11", equipmentIds: "eq_tiller" }, // ADDED
+        { id: "card_b", dateISO: "2026-05-11", equipmentIds: "eq_tiller" }, // ADDED
+        { id: "card_c", dateISO: "2026-05-11", equipmentIds: "eq_cultivator" }, // ADDED
+        { id: "card_d", dateISO: "2026-05-12", equipmentIds: "eq_seeder", assigneeCount: 1 }, // ADDED
+        { id: "card_e", dateISO: "2026-05-13", equipmentIds: "eq_tiller" } // ADDED
+    ]; // ADDED
+
+    const conflicts = JSON.parse(JSON.stringify(api.findBookingConflicts(records, { inventory, days, headcount: 3, today: "2026-05-11" }))); // ADDED
+    assert.deepEqual(conflicts.map(conflict => conflict.id), ["card_a", "card_b"]); // CHANGED: card_d's crew of 2 fits the roster of 3
+    assert.deepEqual(conflicts[0], { // ADDED
+        id: "card_a", // ADDED
+        dateISO: "2026-05-11", // ADDED
+        equipment: [{ equipmentId: "eq_tiller", name: "Tiller", booked: 2, quantity: 1 }], // ADDED
+        crew: null, // ADDED
+        label: "Tiller", // ADDED
+        message: "Tiller is booked by 2 tasks on 2026-05-11; 1 available.", // ADDED
+        alternativeDays: ["2026-05-12", "2026-05-14", "2026-05-15"], // ADDED
+        substitutes: [{ equipmentId: "eq_tiller", substituteId: "eq_broadfork", name: "Broadfork" }] // ADDED
+    }); // ADDED
+    assert.equal(api.isEquipmentAvailableOn(inventory[4], "2026-05-12"), false); // ADDED
+    assert.equal(api.isEquipmentAvailableOn(inventory[4], "2026-05-13"), true); // ADDED
+
+    const later = JSON.parse(JSON.stringify(api.findBookingConflicts([Object.assign({}, records[3], { dateISO: "2026-05-14" })], { inventory, days, headcount: 1 }))); // CHANGED
+    assert.deepEqual(later[0].crew, { needed: 2, available: 1 }); // ADDED
+    assert.equal(later[0].label, "crew 2/1"); // ADDED
+    assert.deepEqual(later[0].alternativeDays, []); // ADDED
+    assert.deepEqual(later[0].substitutes, [{ equipmentId: "eq_seeder", substituteId: "eq_push_seeder", name: "Push Seeder" }]); // ADDED
+    assert.equal(api.__test.normalizeEquipment({ quantity: "0" }).quantity, 1); // ADDED
+}); // ADDED
+
+test("booking conflicts sum same-day crew demand against the roster and skip it without one", () => { // ADDED
+    const { api } = loadPlugin(); // ADDED
+    const inventory = [ // ADDED
+        { id: "eq_seeder", name: "Seeder", capabilities: ["seeding"], crewSizeMin: 2 }, // ADDED
+        { id: "eq_transplanter", name: "Transplanter", capabilities: ["transplanting"], crewSizeMin: 2 }, // ADDED
+        { id: "eq_jab_planter", name: "Jab Planter", capabilities: ["seeding"] } // ADDED
+    ].map(api.__test.normalizeEquipment); // ADDED
+    const days = ["2026-05-11", "2026-05-12", "2026-05-13", "2026-05-14"].map(dateISO => ({ dateISO })); // ADDED
+    const records = [ // ADDED
+        { id: "card_x", dateISO: "2026-05-12", equipmentIds: "eq_seeder" }, // ADDED
+        { id: "card_y", dateISO: "2026-05-12", equipmentIds: "eq_transplanter", assigneeCount: 1 }, // ADDED
+        { id: "card_z", dateISO: "2026-05-13", equipmentIds: "eq_jab_planter", assigneeCount: 2 } // ADDED
+    ]; // ADDED
+
+    const conflicts = JSON.parse(JSON.stringify(api.findBookingConflicts(records, { inventory, days, headcount: 3, today: "2026-05-11" }))); // ADDED
+    assert.deepEqual(conflicts.map(conflict => conflict.id), ["card_x", "card_y"]); // ADDED
+    assert.deepEqual(conflicts[0].crew, { needed: 4, available: 3 }); // ADDED
+    assert.equal(conflicts[0].label, "crew 4/3"); // ADDED
+    assert.equal(conflicts[0].message, "Cards on 2026-05-12 need a crew of 4; 3 on the roster."); // ADDED
+    assert.deepEqual(conflicts[0].alternativeDays, ["2026-05-11", "2026-05-14"]); // ADDED
+    assert.deepEqual(conflicts[0].substitutes, [{ equipmentId: "eq_seeder", substituteId: "eq_jab_planter", name: "Jab Planter" }]); // ADDED
+    assert.deepEqual(conflicts[1].crew, { needed: 4, available: 3 }); // ADDED
+    assert.deepEqual(conflicts[1].substitutes, []); // ADDED
+
+    assert.equal(api.findBookingConflicts(records, { inventory, days, headcount: 4 }).length, 0); // ADDED
+    assert.equal(api.findBookingConflicts(records, { inventory, days, headcount: 0 }).length, 0); // ADDED
+    assert.equal(api.findBookingConflicts(records, { inventory, days }).length, 0); // ADDED
+}); // ADDED
@@ -1587,6 +1587,79 @@ test("ZoneModel preserves inferred zones, manual overrides, ambiguous beds, and
     assert.equal(ambiguous.assignment.has(bedOne.assembly.getId()), false); // NEW
 }); // NEW
 
+test("watering schedule turns ET0, crop stage and zone application rate into daily run minutes", () => { // NEW
+    const { api } = loadPlugin(); // NEW
+    const watering = api.__test.WateringSchedule; // NEW
+    const round = value => Math.round(value * 1000) / 1000; // NEW
+    const timeline = { transplant_date: "2026-06-01", maturity_date: "2026-07-31", harvest_start: "2026-07-20", harvest_end: "2026-08-20" }; // NEW
+    assert.deepEqual(JSON.parse(JSON.stringify(watering.cropCoefficient(timeline, "2026-06-05"))), { stage: "initial", kc: 0.4 }); // NEW
+    assert.equal(round(watering.cropCoefficient(timeline, "2026-06-16").kc), round(0.4 + 0.05 / 0.3 * 0.65)); // NEW
+    assert.equal(watering.cropCoefficient(timeline, "2026-07-01").stage, "mid"); // NEW
+    assert.equal(round(watering.cropCoefficient(timeline, "2026-08-05").kc), round(1.05 - 16 / 31 * 0.25)); // NEW
+    assert.equal(watering.cropCoefficient(timeline, "2026-08-21"), null); // NEW
+    assert.equal(watering.cropCoefficient({ lifespan_start: "2024-04-01" }, "2026-07-01").stage, "perennial"); // NEW
+    const weather = watering.buildWeather({ // NEW
+        startISO: "2026-07-01", days: 4, latitude: 45, // NEW
+        forecastRows: [ // NEW
+            { forecast_date: "2026-07-01", run_timestamp: "2026-06-30T00:00", et0_fao_evapotranspiration_mm: 9, rain_mm: 0 }, // NEW
+            { forecast_date: "2026-07-01", run_timestamp: "2026-07-01T00:00", et0_fao_evapotranspiration_mm: 5, rain_mm: 0 }, // NEW
+            { forecast_date: "2026-07-02", run_timestamp: "2026-07-01T00:00", temp_min_c: 10, temp_max_c: 24, rain_mm: 10 } // NEW
+        ], // NEW
+        historyRows: [ // NEW
+            { weather_date: "2024-07-03", temp_min_c: 12, temp_max_c: 26, rain_mm: 0 }, // NEW
+            { weather_date: "2025-07-03", temp_min_c: 14, temp_max_c: 28, rain_mm: 2 } // NEW
+        ] // NEW
+    }); // NEW
+    assert.deepEqual(Array.from(weather, day => day.source), ["forecast", "forecast_hargreaves", "history", "missing"]); // NEW
+    assert.equal(weather[0].et0Mm, 5); // NEW
+    assert.equal(weather[1].et0Mm, Math.round(watering.hargreavesEt0Mm(10, 24, 45, 183) * 100) / 100); // NEW
+    assert.ok(weather[1].et0Mm > 4 && weather[1].et0Mm < 6.5); // NEW
+    assert.equal(weather[2].rainMm, 1); // NEW
+    const schedule = watering.build({ weather, zones: [{ id: "zone_a", name: "North", flowGpm: 0.5, areaM2: 2, targetCellId: "bed_assembly", beds: [{ id: "bed", crops: [{ timeline }] }] }] }); // NEW
+    const zone = schedule.zones[0]; // NEW
+    assert.equal(zone.rateMmPerHour, Math.round(0.5 * 227.1247 / 2 * 100) / 100); // NEW
+    assert.equal(zone.days[0].runMinutes, Math.round(5 * 1.05 / (0.5 * 227.1247 / 2 * 0.9) * 60)); // NEW
+    assert.equal(zone.days[1].runMinutes, 0, "8 mm of effective rain covers the day's crop demand"); // NEW
+    assert.equal(zone.days[3].runMinutes, 0); // NEW
+    assert.equal(schedule.warnings.length, 1); // NEW
+    const tasks = watering.buildTasks(zone); // NEW
+    assert.equal(tasks.length, zone.wateringDays); // NEW
+    assert.equal(tasks[0].title, "Irrigate North"); // NEW
+    assert.equal(tasks[0].scheduler_task_key, "irrigation|zone_a|2026-07-01"); // NEW
+    assert.match(tasks[0].notes, /^Run \d+ min to apply [\d.]+ mm \(ET0 5 mm x Kc 1.05/); // NEW
+    assert.equal(watering.build({ weather, zones: [{ id: "dry", name: "Dry", flowGpm: 0, areaM2: 2, beds: [] }] }).zones[0].warnings.length, 1); // NEW
+}); // NEW
+
+test("watering schedule reads bed crops and zone flow from the diagram and syncs one task series per zone", async () => { // NEW
+    const { api, model, moduleCell, bed, document } = loadPlugin(); // NEW
+    api.writeCatalog(moduleCell, sampleCatalog()); // NEW
+    const source = api.__test.createSourceAssembly(moduleCell, "Well", { connectorType: "barb", nominalSize: "1/2", pipeConnection: true, usableFlowGpm: 5, staticPressurePsi: 45 }, { x: 30, y: 40 }); // NEW
+    const bedAssembly = api.__test.createBedAssembly(moduleCell, bed, { x: 30, y: 220 }); // NEW
+    api.__test.commitBedTemplate(moduleCell, "bed_one", bed, { templateId: "drip_tape_bed" }); // NEW
+    assert.equal(api.__test.createAssemblyConnection(moduleCell, { cellId: api.__test.firstAssemblyPart(source.assembly).getId(), role: "output", index: 0 }, { cellId: bedAssembly.assembly.getId(), role: "input", index: 0 }).ok, true); // NEW
+    api.__test.ZoneModel.createManual(moduleCell, "North", [bedAssembly.assembly.getId()]); // NEW
+    appendChild(bed, makeXmlCell(document, "crop", { tiler_group: "1", plant_name: "Tomato", transplant_date: "2026-06-01", maturity_date: "2026-07-31", harvest_start: "2026-07-20", harvest_end: "2026-08-20" }, { x: 10, y: 10, width: 40, height: 30 })); // NEW
+    const weather = [1, 2, 3].map(day => ({ dateISO: "2026-07-0" + day, et0Mm: 6, rainMm: 0, source: "forecast" })); // NEW
+    const schedule = await api.planWateringSchedule(moduleCell, { startISO: "2026-07-01", weather }); // NEW
+    const zone = schedule.zones.find(item => item.name === "North"); // NEW
+    assert.equal(zone.targetCellId, bedAssembly.assembly.getId()); // NEW
+    assert.ok(zone.flowGpm > 0); // NEW
+    assert.equal(zone.areaM2, Math.round(api.__test.bedAreaM2(bed) * 100) / 100); // NEW
+    assert.deepEqual(Array.from(zone.days, day => day.stage), ["mid", "mid", "mid"]); // NEW
+    assert.deepEqual(Array.from(zone.days, day => day.runMinutes), [0, 3, 0], "runs shorter than two minutes roll into the next day"); // NEW
+    const calls = []; // NEW
+    document.defaultView.USL = { tasks: { applySchedulerTaskReplacement(detail, opts) { calls.push({ detail, opts }); } } }; // NEW
+    model.completedEdits = []; // NEW
+    const results = api.applyWateringSchedule(moduleCell, schedule); // NEW
+    assert.equal(calls.length, 1); // NEW
+    assert.equal(calls[0].detail.mode, "sync"); // NEW
+    assert.equal(calls[0].detail.targetGroupId, bedAssembly.assembly.getId()); // NEW
+    assert.equal(calls[0].opts.insideUpdate, true); // NEW
+    assert.deepEqual(Array.from(calls[0].detail.tasks, task => task.startISO), ["2026-07-02"]); // NEW
+    assert.equal(results[0].taskCount, 1); // NEW
+    assert.equal(model.completedEdits.length, 0, "the task manager owns the card writes"); // NEW
+}); // NEW
+
 test("report model builds summaries before explicit persistence", () => { // NEW
     const { api, model, moduleCell, bed } = loadPlugin(); // NEW
     api.writeCatalog(moduleCell, sampleCatalog()); // NEW
@@ -1600,6 +1673,8 @@ test("report model builds summaries before explicit persistence", () => { // NEW
     assert.equal(model.valuesWritten, writesBeforeBuild); // NEW
     assert.equal(moduleCell.getAttribute(api.attrs.REPORT_JSON), null); // NEW
     assert.ok(summary.percentIrrigated > 0); // NEW
+    assert.deepEqual(Object.keys(summary.bedPartCosts), [bed.getId()]); // ADDED
+    assert.ok(Math.abs(summary.bedPartCosts[bed.getId()] - summary.totalDesignValue) < 1e-9); // ADDED
     const writesBeforePersist = model.valuesWritten; // NEW
     api.__test.ReportModel.persistSummary(moduleCell, summary); // NEW
     assert.equal(model.valuesWritten, writesBeforePersist + 2); // NEW
@@ -1609,6 +1684,29 @@ test("report model builds summaries before explicit persistence", () => { // NEW
     assert.equal(moduleCell.getAttribute(api.attrs.ZONES_JSON), null); // NEW
 }); // NEW
 
+test("headless irrigation report returns summary and bill of materials without writing the diagram", () => { // ADDED
+    const { api, model, moduleCell, bed, document } = loadPlugin(); // ADDED
+    api.writeCatalog(moduleCell, sampleCatalog()); // ADDED
+    const source = api.__test.createSourceAssembly(moduleCell, "Well", { connectorType: "barb", nominalSize: "1/2", pipeConnection: true, usableFlowGpm: 5, staticPressurePsi: 45 }, { x: 30, y: 40 }); // ADDED
+    const bedAssembly = api.__test.createBedAssembly(moduleCell, bed, { x: 30, y: 220 }); // ADDED
+    api.__test.commitBedTemplate(moduleCell, "bed_one", bed, { templateId: "drip_tape_bed" }); // ADDED
+    assert.equal(api.__test.createAssemblyConnection(moduleCell, { cellId: api.__test.firstAssemblyPart(source.assembly).getId(), role: "output", index: 0 }, { cellId: bedAssembly.assembly.getId(), role: "input", index: 0 }).ok, true); // ADDED
+    const paths = api.__test.deriveAssemblyPaths(moduleCell); // ADDED
+    const summary = api.__test.ReportModel.buildSummary(moduleCell, { paths }); // ADDED
+    const bom = api.__test.buildReportBom(moduleCell, { paths }); // ADDED
+    assert.ok(bom.length > 0); // ADDED
+    assert.ok(Math.abs(bom.reduce((sum, line) => sum + line.cost, 0) - summary.totalDesignValue) < 1e-9, "BOM prices the same usage as the summary"); // ADDED
+    const writesBeforeReport = model.valuesWritten; // ADDED
+    const outputs = document.defaultView.Trellis.reports.irrigation({}); // ADDED
+    assert.equal(model.valuesWritten, writesBeforeReport); // ADDED
+    assert.equal(moduleCell.getAttribute(api.attrs.REPORT_JSON), null); // ADDED
+    assert.deepEqual(Array.from(outputs, output => [output.name, output.format]), [["irrigation-Garden", "json"]]); // ADDED
+    const report = JSON.parse(outputs[0].content); // ADDED
+    assert.deepEqual(report.module, { id: moduleCell.getId(), name: "Garden" }); // ADDED
+    assert.equal(report.summary.totalDesignValue, summary.totalDesignValue); // ADDED
+    assert.deepEqual(report.bom.map(line => line.partId), Array.from(bom, line => line.partId)); // ADDED
+}); // ADDED
+
 test("multi-pipe assembly hydraulics sum per-segment pipe losses", () => { // CHANGE
     const { api, moduleCell, bed } = loadPlugin(); // CHANGE
     const catalog = sampleCatalog(); // CHANGE
@@ -30,6 +30,30 @@ test('crop lifecycle classification requires exactly one lifecycle flag', () =>
     assert.equal(hooks.getCropLifecycle(makeCrop({ annual: 0, biennial: 0, perennial: 0 })), 'uncategorized'); // ADDED
 }); // ADDED
 
+test('schedule save reserves seed inventory on the module for the retiled plant count', () => { // ADDED
+    const requests = []; // ADDED
+    const api = { // ADDED
+        ATTR: 'seed_inventory_json', // ADDED
+        normalize: raw => raw ? JSON.parse(raw) : { lots: [], reservations: [] }, // ADDED
+        serialize: inventory => JSON.stringify(inventory), // ADDED
+        reserveForSchedule: (inventory, request) => { // ADDED
+            requests.push(request); // ADDED
+            return { ...inventory, reservations: [{ scheduleCellId: request.scheduleCellId, plants: request.plants }] }; // ADDED
+        } // ADDED
+    }; // ADDED
+    const attrs = cellAttrs => ({ getAttribute: key => cellAttrs[key] ?? null }); // ADDED
+    const group = { id: 'g1', ...attrs({ plant_count: '6' }) }; // ADDED
+    const inputs = { plant: { plant_id: 4 }, varietyId: 9, seasonStartYear: 2026 }; // ADDED
+
+    assert.equal(hooks.buildSeedReservationPatch(api, attrs({}), group, inputs), null); // ADDED
+    const moduleCell = attrs({ seed_inventory_json: JSON.stringify({ lots: [{ id: 'lot' }], reservations: [] }) }); // ADDED
+    const patch = hooks.buildSeedReservationPatch(api, moduleCell, group, inputs); // ADDED
+    assert.deepEqual(JSON.parse(patch.seed_inventory_json).reservations, [{ scheduleCellId: 'g1', plants: 6 }]); // ADDED
+    assert.deepEqual({ ...requests[0] }, { scheduleCellId: 'g1', plantId: 4, varietyId: 9, year: 2026, plants: 6, germRate: null }); // CHANGED
+    assert.match(schedulerSource, /retileAndFitGroupIfAvailable\(graph, cell, \{ source: 'schedule-save' \}\);[\s\S]*?buildSeedReservationPatch\(seedInventoryApi, seedInventoryModule, cell, inputs\)/); // ADDED
+    assert.match(schedulerSource, /restoreCellAttributeSnapshot\(seedInventoryModule, seedInventorySnapshot, model\)/); // ADDED
+}); // ADDED
+
 test('lifecycle filter control reads and persists the shared crop filter preference', () => { // ADDED
     const store = new Map([['trellis.scheduler.cropLifecycleFilter', 'perennial']]); // ADDED
     hooks.__testWindow.localStorage = { // ADDED
@@ -116,6 +140,72 @@ test('companion metadata annotates crop options without changing suitability ord
     assert.equal(groups[0].options[1].displayLabel, 'Late Crop - 25% window left - beneficial, interplant, +7d'); // ADDED
 }); // ADDED
 
+test('crop picker options annotate bed fit from the containing garden bed', () => { // ADDED
+    const crops = [ // ADDED
+        makeCrop({ plant_id: 1, plant_name: 'Tomato', annual: 1, biennial: 0, perennial: 0 }), // ADDED
+        makeCrop({ plant_id: 2, plant_name: 'Garlic', annual: 1, biennial: 0, perennial: 0 }) // ADDED
+    ]; // ADDED
+    const bed = { id: 'bed-1' }; // ADDED
+    const calls = []; // ADDED
+    hooks.__testWindow.TrellisGardenBeds = { // ADDED
+        scoreBedSuitability(bedCell, plant) { // ADDED
+            calls.push([bedCell, plant.plant_id]); // ADDED
+            return plant.plant_id === 1 ? { score: 72, compatible: true } : { score: 0, compatible: false }; // ADDED
+        } // ADDED
+    }; // ADDED
+    try { // ADDED
+        const options = hooks.makeCropPickerOptions(crops, new Map(), new Map(), bed); // ADDED
+        assert.deepEqual(Array.from(options, option => option.displayLabel), ['Tomato - bed fit 72', 'Garlic - bed unsuitable']); // ADDED
+        assert.equal(calls[0][0], bed); // ADDED
+        assert.equal(hooks.makeCropPickerOptions(crops)[0].displayLabel, 'Tomato'); // ADDED
+    } finally { // ADDED
+        delete hooks.__testWindow.TrellisGardenBeds; // ADDED
+    } // ADDED
+}); // ADDED
+
+test('crop rotation warning reports repeats from the containing garden bed', () => { // ADDED
+    const bed = { id: 'bed-1' }; // ADDED
+    const scheduleCell = { id: 'group-1' }; // ADDED
+    const calls = []; // ADDED
+    hooks.__testWindow.TrellisGardenBeds = { // ADDED
+        checkCropRotation(bedCell, plant, year, options) { // ADDED
+            calls.push([bedCell, plant.family, year, options.excludeCell]); // ADDED
+            return plant.family === 'Brassicaceae' ? { ok: false, family: 'Brassicaceae' } : { ok: true }; // ADDED
+        }, // ADDED
+        formatRotationCheck(check) { return `${check.family} repeat`; } // ADDED
+    }; // ADDED
+    try { // ADDED
+        assert.equal(hooks.cropRotationWarning({ family: 'Brassicaceae' }, bed, 2026, scheduleCell), 'Brassicaceae repeat'); // ADDED
+        assert.equal(hooks.cropRotationWarning({ family: 'Fabaceae' }, bed, 2026, scheduleCell), ''); // ADDED
+        assert.equal(hooks.cropRotationWarning({ family: 'Brassicaceae' }, null, 2026, scheduleCell), ''); // ADDED
+        assert.deepEqual(calls[0], [bed, 'Brassicaceae', 2026, scheduleCell]); // ADDED
+        assert.equal(calls.length, 2); // ADDED
+    } finally { // ADDED
+        delete hooks.__testWindow.TrellisGardenBeds; // ADDED
+    } // ADDED
+}); // ADDED
+
+test('pest pressure warning reports susceptible crops planned into affected beds', () => { // ADDED
+    const bed = { id: 'bed-1' }; // ADDED
+    const calls = []; // ADDED
+    hooks.__testWindow.TrellisGardenBeds = { // ADDED
+        checkPestPressure(bedCell, plant, year) { // ADDED
+            calls.push([bedCell, plant.family, year]); // ADDED
+            return plant.family === 'Brassicaceae' ? { ok: false, family: 'Brassicaceae' } : { ok: true }; // ADDED
+        }, // ADDED
+        formatPestPressureCheck(check) { return `${check.family} at risk`; } // ADDED
+    }; // ADDED
+    try { // ADDED
+        assert.equal(hooks.pestPressureWarning({ family: 'Brassicaceae' }, bed, 2027), 'Brassicaceae at risk'); // ADDED
+        assert.equal(hooks.pestPressureWarning({ family: 'Fabaceae' }, bed, 2027), ''); // ADDED
+        assert.equal(hooks.pestPressureWarning({ family: 'Brassicaceae' }, null, 2027), ''); // ADDED
+        assert.deepEqual(calls, [[bed, 'Brassicaceae', 2027], [bed, 'Fabaceae', 2027]]); // ADDED
+    } finally { // ADDED
+        delete hooks.__testWindow.TrellisGardenBeds; // ADDED
+    } // ADDED
+    assert.match(schedulerSource, /const pestText = pestPressureWarning\(selPlant, cropPickerBedCell, formState\.seasonStartYear\);/); // ADDED
+}); // ADDED
+
 test('scheduler crop combobox syncs selection and renders companion badges', () => { // ADDED
     const document = hooks.__testWindow.document; // ADDED
     document.querySelectorAll('.usl-crop-combobox-panel').forEach(panel => panel.remove()); // ADDED
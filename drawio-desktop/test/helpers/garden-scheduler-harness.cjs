@@ -19,7 +19,8 @@ const SCHEDULER_PATH = path.join(PLUGIN_DIR, 'Garden_Scheduler_Dialog.js');
 const SCHEDULER_CORE_PATHS = [
     'Garden_Scheduler_Shared_Core.js',
     'Garden_Scheduler_Annual_Core.js',
-    'Garden_Scheduler_Perennial_Core.js'
+    'Garden_Scheduler_Perennial_Core.js', // CHANGE
+    'Garden_Scheduler_Biennial_Core.js' // ADDED
 ].map(fileName => path.join(PLUGIN_DIR, fileName));
 
 function loadSchedulerHooks() {
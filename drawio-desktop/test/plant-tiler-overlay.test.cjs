@@ -128,6 +128,16 @@ test('scheduler sibling plant groups clone footprint and attrs without reusing s
     assert.match(source, /createSiblingTilerGroupFromSource \/\/ ADDED/); // ADDED
 }); // ADDED
 
+test('plan allocation creates tiled planting groups in a bed without per-group creation events', () => { // ADDED
+    const source = readPlantTilerSource(); // ADDED
+    const helperSource = sourceSlice(source, 'function createScheduledTilerGroupInBed', 'function createSiblingTilerGroupFromSource'); // ADDED
+    assert.match(helperSource, /if \(!activeGraphArg \|\| !bedCell \|\| !isGardenBed\(bedCell\)\) return null;/); // ADDED
+    assert.match(helperSource, /const ownsUpdate = !opts\.inTransaction;/); // ADDED
+    assert.match(helperSource, /activeGraphArg\.addCell\(group, parent\);[^\n]*\n\s*retileGroup\(activeGraphArg, group, \{ inTransaction: true \}\);/); // ADDED
+    assert.doesNotMatch(helperSource, /notifyTilerGroupCreated/); // ADDED
+    assert.match(source, /createScheduledTilerGroupInBed,/); // ADDED
+}); // ADDED
+
 test('interplant companion groups offset alternating tile slots during retile', () => { // ADDED
     const source = readPlantTilerSource(); // ADDED
     const slotSource = sourceSlice(source, 'function logicalSlotCenterLocal', 'function geometryFromVisualCenter'); // ADDED
@@ -230,3 +240,216 @@ test('Context menu and plant-circle wrap use the shared plant group finalizer',
     assert.match(wrapCreate, /model\.setGeometry\(c, local\);/); // NEW
     assert.doesNotMatch(wrapCreate, /retileGroup\(graph, group\);/); // NEW
 }); // NEW
+
+test('harvest log entries are normalized, summarized by year, and offered from the plant group menu', () => { // ADDED
+    const source = readPlantTilerSource(); // ADDED
+    const helperSource = sourceSlice(source, 'function localTodayYmd', 'function writeHarvestLog'); // ADDED
+    const api = new Function('getXmlAttr', `${helperSource}; return { parseHarvestLog, summarizeHarvestLog };`)(() => ''); // ADDED
+    const entries = api.parseHarvestLog(JSON.stringify([ // ADDED
+        { id: 'b', date: '2025-08-02', kg: '1.25', units: 3, grade: 'A' }, // ADDED
+        { id: 'a', date: '2025-07-15T09:00', kg: 2 }, // ADDED
+        { id: 'prior', date: '2024-07-15', kg: 4, grade: 'B' }, // ADDED
+        { id: 'empty', date: '2025-07-20', kg: 0 }, // ADDED
+        { id: 'undated', kg: 5 } // ADDED
+    ])); // ADDED
+    assert.deepEqual(entries.map(entry => entry.id), ['prior', 'a', 'b']); // ADDED
+    assert.equal(entries[1].date, '2025-07-15'); // ADDED
+    const summary = api.summarizeHarvestLog(entries, 2025); // ADDED
+    assert.equal(summary.count, 2); // ADDED
+    assert.equal(summary.kg, 3.25); // ADDED
+    assert.equal(summary.units, 3); // ADDED
+    assert.deepEqual({ ...summary.byGrade }, { Ungraded: 2, A: 1.25 }); // ADDED
+    assert.equal(api.summarizeHarvestLog(entries).kg, 7.25); // ADDED
+
+    const writeSource = sourceSlice(source, 'function writeHarvestLog', 'function addHarvestLogEntry'); // ADDED
+    assert.match(writeSource, /\[ATTR_HARVEST_LOG\]: clean\.length \? JSON\.stringify\(clean\) : null,/); // ADDED
+    assert.match(writeSource, /\[ATTR_YIELD_ACTUAL\]: String\(total\)/); // ADDED
+    assert.match(source, /menu\.addItem\(logged\.count \? `Log Harvest…  \[\$\{formatYield\(logged\.kg, YIELD_UNIT\)\}\]` : "Log Harvest…", null, function \(\) \{[\s\S]*?showHarvestLogDialog\(ui, target\);/); // ADDED
+    assert.match(source, /window\.TrellisHarvestLog = \{/); // ADDED
+}); // ADDED
+
+test('plant group menu opens the garden beds pest and disease log', () => { // ADDED
+    const source = readPlantTilerSource(); // ADDED
+    assert.match(source, /const observed = bedsApi\.readPestObservations\(target\)\.length;/); // ADDED
+    assert.match(source, /menu\.addItem\(observed \? `Log Pest \/ Disease…  \[\$\{observed\}\]` : "Log Pest \/ Disease…", null, function \(\) \{[\s\S]*?bedsApi\.showPestObservationDialog\(target\);/); // ADDED
+}); // ADDED
+
+test('planting patterns size hex, staggered and row layouts and keep r,c slot keys', () => { // ADDED
+    const source = readPlantTilerSource(); // ADDED
+    const helperSource = sourceSlice(source, 'const PLANTING_PATTERNS', 'function getPlantingPattern'); // ADDED
+    const api = new Function(`${helperSource}; return { normalizePlantingPattern, computePatternLayout, patternHasSlot, patternSlotOffset };`)(); // ADDED
+    const round = value => Math.round(value * 100) / 100; // ADDED
+    assert.deepEqual(['Hex', 'triangular', 'double-row', 'bogus', ''].map(api.normalizePlantingPattern), ['hex', 'hex', 'double_row', 'square', 'square']); // ADDED
+
+    const counts = {}; // ADDED
+    for (const pattern of ['square', 'hex', 'staggered', 'single_row', 'double_row']) { // ADDED
+        const layout = api.computePatternLayout(300, 230, 50, 50, pattern); // ADDED
+        counts[pattern] = `${layout.rows}x${layout.cols}/${layout.oddCols}=${layout.count}`; // ADDED
+    } // ADDED
+    assert.deepEqual(counts, { square: '4x6/6=24', hex: '5x6/5=28', staggered: '4x6/5=22', single_row: '1x6/6=6', double_row: '2x6/5=11' }); // ADDED
+    assert.equal(api.computePatternLayout(0, 230, 50, 50, 'hex').count, 0); // ADDED
+
+    const hex = api.computePatternLayout(300, 230, 50, 50, 'hex'); // ADDED
+    assert.equal(api.patternHasSlot(hex, 0, 5), true); // ADDED
+    assert.equal(api.patternHasSlot(hex, 1, 5), false); // ADDED
+    assert.equal(api.patternHasSlot(hex, 5, 0), false); // ADDED
+    const hexSlot = api.patternSlotOffset(hex, 1, 4, 50, 50); // ADDED
+    assert.deepEqual([round(hexSlot.x), round(hexSlot.y)], [250, 68.3]); // ADDED
+    const single = api.patternSlotOffset(api.computePatternLayout(300, 230, 50, 50, 'single_row'), 0, 2, 50, 50); // ADDED
+    assert.deepEqual([single.x, single.y], [125, 115]); // ADDED
+    const double = api.patternSlotOffset(api.computePatternLayout(300, 230, 50, 50, 'double_row'), 1, 0, 50, 50); // ADDED
+    assert.deepEqual([double.x, double.y], [50, 140]); // ADDED
+
+    assert.match(sourceSlice(source, 'function computePlantingFrameLayout', 'function hasTileRC'), /return computePatternLayout\(usableW, usableH, spacingXpx, spacingYpx, getPlantingPattern\(groupCell\)\);/); // CHANGE
+    assert.match(sourceSlice(source, 'function interplantSlotCenterLocal', 'function visualCenterFromLogicalCenter'), /const center = patternSlotCenterLocal\(groupCell, r, c, spacingXpx, spacingYpx, bandPx\);/); // ADDED
+    assert.match(sourceSlice(source, 'function expandTiles', 'function geometryNearlyEqual'), /if \(!patternHasSlot\(layout, r, c\)\) continue;/); // ADDED
+    assert.match(sourceSlice(source, 'function syncAutoTileGeometriesInPlace', 'function createXmlValue'), /if \(!patternHasSlot\(layout, r, c\) \|\| disabledSet2\.has\(key\)\) \{/); // ADDED
+    assert.match(sourceSlice(source, 'function pruneDisabledToGrid', 'function applyCounts'), /!patternHasSlot\(layout, r, c\)/); // ADDED
+    assert.match(source, /reflow: includeLayout \? hasEffectiveRotation\(groupCell\) \|\| getPlantingPattern\(groupCell\) !== "square" \|\| !!findShapedBedForGroup\(groupCell\) : false,/); // CHANGE
+    assert.match(source, /\[PLANTING_PATTERN_ATTR\]: pattern === "square" \? null : pattern,/); // ADDED
+}); // ADDED
+
+test('shaped garden beds clip pattern slots and retile groups on shape change', () => { // ADDED
+    const source = readPlantTilerSource(); // ADDED
+    const helperSource = [ // ADDED
+        sourceSlice(source, 'const PLANTING_PATTERNS', 'function getPlantingPattern'), // ADDED
+        sourceSlice(source, 'function layoutSlotCenterLocal', 'function patternSlotCenterLocal'), // ADDED
+        sourceSlice(source, 'function rotateModelPoint', 'function getRotatedRectModel'), // ADDED
+        sourceSlice(source, 'function pointInRotatedRectModel', 'function findSmallestContainingBedModel'), // ADDED
+        sourceSlice(source, 'function pointInBedOutlineModel', 'function findShapedBedForGroup'), // ADDED
+        sourceSlice(source, 'function clipLayoutToBedOutline', 'function retileMovedGroupsForBedOutlines') // ADDED
+    ].join('\n'); // ADDED
+    const stubs = ` // ADDED
+        const GROUP_PADDING_PX = 0, GROUP_LABEL_BAND_PX = 0, ROTATION_EPS_DEG = 0.000001; // ADDED
+        const window = { TrellisGardenScale: { pointInOutline(outline, u, v) { return (u - 0.5) ** 2 + (v - 0.5) ** 2 <= 0.25; } } }; // ADDED
+        const findShapedBedForGroup = () => ({ outline: { kind: 'ellipse' }, bedRect: { x: 0, y: 0, w: 200, h: 200, center: { x: 100, y: 100 }, angleRad: 0 } }); // ADDED
+        const getModelRect = () => ({ x: 0, y: 0, w: 200, h: 200 }); // ADDED
+        const groupLabelMetrics = () => ({ bandPx: 0 }); // ADDED
+        const getTilerRotationDeg = () => 0; // ADDED
+        const visualCenterFromLogicalCenter = (groupCell, point) => point; // ADDED
+    `; // ADDED
+    const api = new Function(`${stubs}${helperSource}; return { computePatternLayout, clipLayoutToBedOutline, patternHasSlot };`)(); // ADDED
+    const clipped = api.clipLayoutToBedOutline({}, api.computePatternLayout(200, 200, 50, 50, 'square'), 50, 50); // ADDED
+    assert.equal(clipped.count, 12); // ADDED
+    assert.deepEqual(Array.from(clipped.clipped).sort(), ['0,0', '0,3', '3,0', '3,3']); // ADDED
+    assert.equal(api.patternHasSlot(clipped, 0, 0), false); // ADDED
+    assert.equal(api.patternHasSlot(clipped, 0, 1), true); // ADDED
+
+    const shapeApi = new Function(`${sourceSlice(source, 'const BED_SHAPE_STYLE_KEYS', 'function currentBedShapeKey')}; return { bedShapeStyle, keyholePolyCoords };`)(); // ADDED
+    assert.equal(shapeApi.bedShapeStyle('ellipse;whiteSpace=wrap;perimeter=ellipsePerimeter;dashed=1', 'rectangle'), 'whiteSpace=wrap;dashed=1'); // ADDED
+    assert.equal(shapeApi.bedShapeStyle('whiteSpace=wrap', 'l_shape'), 'whiteSpace=wrap;shape=mxgraph.basic.polygon;polyCoords=[[0,0],[1,0],[1,0.5],[0.5,0.5],[0.5,1],[0,1]];polyline=0'); // ADDED
+    assert.ok(shapeApi.keyholePolyCoords().every(([x, y]) => x >= 0 && x <= 1 && y >= 0 && y <= 1)); // ADDED
+
+    assert.match(sourceSlice(source, 'function computeGridStatsXY', 'function computePlantingFrameLayout'), /return clipLayoutToBedOutline\(groupCell, computePlantingFrameLayout\(groupCell, spacingXpx, spacingYpx\), spacingXpx, spacingYpx\);/); // ADDED
+    assert.match(source, /moveDy: evt\.getProperty\("dy"\) \/\/ MOVED\s+\}\); \/\/ MOVED\s+retileMovedGroupsForBedOutlines\(cells\);/); // ADDED
+    assert.match(sourceSlice(source, 'function setGardenBedShape', 'function collectBedCandidates'), /retileGroup\(graph, g, \{ preferInPlace: true, inTransaction: true \}\);/); // ADDED
+    assert.match(source, /const shapeMenu = menu\.addItem\("Bed Shape", null, null\);/); // ADDED
+}); // ADDED
+
+test('virtual plant groups compute exact counts and per-slot disabling without plant cells', () => { // ADDED
+    const source = readPlantTilerSource(); // ADDED
+    const helperSource = [ // ADDED
+        sourceSlice(source, 'const PLANTING_PATTERNS', 'function getPlantingPattern'), // ADDED
+        sourceSlice(source, 'function layoutSlotCenterLocal', 'function patternSlotCenterLocal'), // ADDED
+        sourceSlice(source, 'function virtualPlantCenters', 'function virtualPlantSpacing') // ADDED
+    ].join('\n'); // ADDED
+    const api = new Function(`const GROUP_PADDING_PX = 4, GROUP_LABEL_BAND_PX = 20; ${helperSource}; return { computePatternLayout, virtualPlantCenters, virtualSlotAtLocalPoint };`)(); // ADDED
+    const layout = api.computePatternLayout(600, 500, 10, 10, 'square'); // ADDED
+    assert.equal(layout.count, 3000); // ADDED
+    const disabled = new Set(['0,0', '10,10']); // ADDED
+    const snapMap = new Map([['1,1', { x: 100, y: 100, w: 10, h: 10 }]]); // ADDED
+    const centers = api.virtualPlantCenters(layout, disabled, 10, 10, 20, snapMap); // ADDED
+    assert.equal(centers.length, 2998); // ADDED
+    assert.equal(centers.some(p => p.key === '0,0'), false); // ADDED
+    const moved = centers.find(p => p.key === '1,1'); // ADDED
+    assert.deepEqual([moved.x, moved.y], [105, 105]); // ADDED
+    const slot = api.virtualSlotAtLocalPoint(layout, { x: 81, y: 60 }, 10, 10, 20); // ADDED
+    assert.equal(slot.key, '3,7'); // ADDED
+    assert.equal(api.virtualSlotAtLocalPoint(layout, { x: -50, y: 60 }, 10, 10, 20), null); // ADDED
+
+    const expand = sourceSlice(source, 'function expandTiles', 'function geometryNearlyEqual'); // ADDED
+    assert.match(expand, /if \(isVirtualPlantGroup\(groupCell\)\) \{[^\n]*\n\s*collapseToSummary\(/); // ADDED
+    assert.match(expand, /if \(count > MAX_TILES\) \{[^\n]*\n\s*setCellAttrsNoTxn\(model, groupCell, \{ \[ATTR_PLANT_RENDER_MODE\]: "virtual" \}\);/); // ADDED
+    assert.match(source, /if \(autoExpand && collapsed && !isVirtualPlantGroup\(groupCell\)\) \{/); // ADDED
+    assert.match(source, /setPlantRenderMode\(graph\.getModel\(\), groupCell, count > MAX_TILES \? "virtual" : ""\);/); // ADDED
+    assert.match(source, /\(function installVirtualPlantLayer\(\) \{[\s\S]*?canvas\.style\.cssText = `position:absolute;pointer-events:none;/); // ADDED
+    assert.match(source, /menu\.addItem\(slotDisabled \? "Restore plant here" : "Disable plant here", null, function \(\) \{[^\n]*\n\s*setVirtualPlantDisabled\(graph, target, slot\.key, !slotDisabled\);/); // ADDED
+}); // ADDED
+
+test('weather station import maps columns, converts units and reports gaps before upserting', () => { // ADDED
+    const source = readPlantTilerSource(); // ADDED
+    const helperSource = sourceSlice(source, 'const WEATHER_IMPORT_PROVIDER', 'let weatherImportSchemaEnsured'); // ADDED
+    const api = new Function(`${helperSource}; return { parseWeatherImportText, guessWeatherImportMapping, buildWeatherImportPlan, describeWeatherImportPlan, buildWeatherImportStatements };`)(); // ADDED
+
+    const csv = api.parseWeatherImportText([ // ADDED
+        '# Station: North field', // ADDED
+        'Date/Time,Max Temp (°F),Min Temp (°F),Total Precip (in),Max Temp Flag', // ADDED
+        '2025-03-01,50,32,0.1,', // ADDED
+        '2025-03-02,59,41,T,', // ADDED
+        '2025-03-02,60,40,0,', // ADDED
+        '2025-03-05,"41",32,0,', // ADDED
+        '2025-02-30,50,40,0,', // ADDED
+        '2025-03-07,212,40,0,', // ADDED
+        '2025-03-08,40,50,0,', // ADDED
+        '2025-03-09,,,0.2,' // ADDED
+    ].join('\r\n')); // ADDED
+    assert.deepEqual(api.guessWeatherImportMapping(csv.columns), { date: 'Date/Time', tempMin: 'Min Temp (°F)', tempMax: 'Max Temp (°F)', tempMean: '', precipitation: 'Total Precip (in)' }); // ADDED
+    const plan = api.buildWeatherImportPlan(csv); // ADDED
+    assert.deepEqual(plan.units, { temperature: 'F', precipitation: 'in' }); // ADDED
+    assert.deepEqual(plan.rows.map(row => [row.weather_date, row.temp_min_c, row.temp_max_c, row.temp_mean_c, row.precipitation_mm, row.gdd_base_5c]), [ // ADDED
+        ['2025-03-01', 0, 10, 5, 2.54, 0], // ADDED
+        ['2025-03-02', 4.44, 15.56, 10, 0, 5], // ADDED
+        ['2025-03-05', 0, 5, 2.5, 0, 0] // ADDED
+    ]); // ADDED
+    assert.deepEqual(plan.gaps, [{ from: '2025-03-03', to: '2025-03-04', days: 2 }]); // ADDED
+    assert.equal(plan.errors.length, 0); // ADDED
+    assert.deepEqual(plan.rejected, [ // ADDED
+        'Row 5: unrecognised date "2025-02-30"; use YYYY-MM-DD.', // ADDED
+        'Row 6 (2025-03-07): temperature outside -90 to 60 °C; check the temperature unit.', // ADDED
+        'Row 7 (2025-03-08): minimum temperature is above the maximum.' // ADDED
+    ]); // ADDED
+    assert.deepEqual(plan.months, []); // ADDED
+    assert.deepEqual(plan.skippedMonths, ['2025-03']); // ADDED
+    assert.deepEqual(plan.warnings, [ // ADDED
+        '1 duplicate date; the last row for each date is kept.', // ADDED
+        '1 row has no temperature and was skipped.', // ADDED
+        '2 missing days in 1 gap; the largest runs 2025-03-03 to 2025-03-04.', // ADDED
+        '2025-03 has under 80% of days and will not be used for monthly normals.' // ADDED
+    ]); // ADDED
+
+    const time = []; // ADDED
+    for (let day = 1; day <= 30; day += 1) if (day !== 10) time.push(`2025-04-${String(day).padStart(2, '0')}`); // ADDED
+    const json = api.parseWeatherImportText(JSON.stringify({ // ADDED
+        daily: { time, temperature_2m_max: time.map(() => 20), temperature_2m_min: time.map(() => 10), precipitation_sum: time.map(() => 2) }, // ADDED
+        daily_units: { time: 'iso8601', temperature_2m_max: '°C', temperature_2m_min: '°C', precipitation_sum: 'mm' } // ADDED
+    })); // ADDED
+    const april = api.buildWeatherImportPlan(json); // ADDED
+    assert.equal(april.rows.length, 29); // ADDED
+    assert.equal(april.warnings.length, 1); // ADDED
+    assert.deepEqual(april.months, [{ weather_month: '2025-04', days: 29, temp_min_c: 10, temp_max_c: 20, temp_mean_c: 15, precipitation_mm: 60, gdd_base_5c: 300 }]); // ADDED
+    assert.equal(api.describeWeatherImportPlan(april)[0], '29 days from 2025-04-01 to 2025-04-30; 1 month for normals.'); // ADDED
+
+    const statements = api.buildWeatherImportStatements(7, april, { timezone: 'America/Vancouver', fetchedAt: '2026-10-19T00:00:00.000Z', sourceName: 'farm.json' }); // ADDED
+    assert.equal(statements.length, 2); // ADDED
+    assert.match(statements[0].sql, /^INSERT INTO CityWeatherDaily \(city_id, weather_date, provider, dataset, timezone, temp_min_c, temp_max_c, temp_mean_c, precipitation_mm, gdd_base_5c, fetched_at, source_url\) VALUES (\(\?(, \?){11}\), ){28}\(\?(, \?){11}\) ON CONFLICT\(city_id, weather_date, provider, dataset\) DO UPDATE SET timezone = excluded\.timezone,/); // ADDED
+    assert.deepEqual(statements[0].params.slice(0, 12), [7, '2025-04-01', 'local_station', 'station_import', 'America/Vancouver', 10, 20, 15, 2, 10, '2026-10-19T00:00:00.000Z', 'import:farm.json']); // ADDED
+    assert.match(statements[1].sql, /^INSERT INTO CityWeatherMonthly \(city_id, weather_month, [^)]*\) VALUES \([^)]*\) ON CONFLICT\(city_id, weather_month, provider, dataset\) DO UPDATE SET/); // ADDED
+    assert.deepEqual(statements[1].params, [7, '2025-04', 'local_station', 'station_import', 'America/Vancouver', 10, 20, 15, 60, 300, '2026-10-19T00:00:00.000Z', 'import:farm.json']); // ADDED
+
+    const unlabelled = api.buildWeatherImportPlan(api.parseWeatherImportText('date;tmax;tmin;rain\n2025-07-01;88,5;60;0,5')); // ADDED
+    assert.deepEqual(unlabelled.units, { temperature: 'F', precipitation: 'in' }); // ADDED
+    assert.equal(unlabelled.rows[0].temp_max_c, 31.39); // ADDED
+    assert.equal(unlabelled.rows[0].precipitation_mm, 12.7); // ADDED
+    const explicit = api.buildWeatherImportPlan(api.parseWeatherImportText('date;tmax;tmin\n2025-07-01;31;16'), { tempUnit: 'C' }); // ADDED
+    assert.equal(explicit.rows[0].temp_mean_c, 23.5); // ADDED
+    assert.ok(!explicit.warnings.some(warning => /unit/.test(warning))); // ADDED
+
+    const unmapped = api.buildWeatherImportPlan(api.parseWeatherImportText('when,rain\n2025-07-01,3')); // ADDED
+    assert.deepEqual(unmapped.errors, ['Choose the date column.', 'Choose the min and max temperature columns, or a mean temperature column.']); // ADDED
+    assert.deepEqual(api.describeWeatherImportPlan(unmapped), unmapped.errors); // ADDED
+    assert.throws(() => api.parseWeatherImportText('{"station":"x"}'), /array of daily records/); // ADDED
+
+    assert.match(source, /await run\("BEGIN;", \[\]\);[\s\S]*?await run\("COMMIT;", \[\]\);[\s\S]*?await run\("ROLLBACK;", \[\]\)/); // ADDED
+    assert.match(source, /await ensureWeatherImportSchema\(\);[^\n]*\n\s*await execWriteTransaction\(buildWeatherImportStatements\(cityId, plan, \{ timezone: city\.timezone, sourceName \}\)\);/); // ADDED
+    assert.match(source, /const weatherImportBtn = mxUtils\.button\("Import Weather Data", async \(\) => \{[\s\S]*?saveWeatherStationImport\(city, weatherPlan, weatherFileName\)/); // ADDED
+}); // ADDED
@@ -18,7 +18,8 @@ const schedulerPath = path.join(
 const schedulerCorePaths = [ // ADDED
     'Garden_Scheduler_Shared_Core.js', // ADDED
     'Garden_Scheduler_Annual_Core.js', // ADDED
-    'Garden_Scheduler_Perennial_Core.js' // ADDED
+    'Garden_Scheduler_Perennial_Core.js', // ADDED
+    'Garden_Scheduler_Biennial_Core.js' // ADDED
 ].map(fileName => path.join( // ADDED
     __dirname, // ADDED
     '..', // ADDED
@@ -191,7 +192,8 @@ function makeInputs({
     minYieldMultiplier = 0, // ADDED
     policy = null,
     bedProfile = null, // ADDED
-    dailyClimate = null
+    dailyClimate = null, // CHANGE
+    biennialMode = undefined // ADDED
 } = {}) {
     return new hooks.ScheduleInputs({
         plant,
@@ -210,7 +212,8 @@ function makeInputs({
         harvestWindowDays,
         minYieldMultiplier, // ADDED
         bedProfile, // ADDED
-        dailyClimate
+        dailyClimate, // CHANGE
+        biennialMode // ADDED
     });
 }
 
@@ -1650,6 +1653,226 @@ test('city climate unique-name fallback rejects ambiguous legacy names', async (
     } // ADDED
 }); // ADDED
 
+test('weather normals prefer imported farm station months over seeded providers', async () => { // ADDED
+    const testWindow = hooks.__testWindow; // ADDED
+    const previousBridge = testWindow.dbBridge; // ADDED
+    const queries = []; // ADDED
+    testWindow.dbBridge = { // ADDED
+        async resolvePath() { return { dbPath: 'mock.sqlite' }; }, // ADDED
+        async open() { return { dbId: 'mock-db' }; }, // ADDED
+        async close() {}, // ADDED
+        async query(_dbId, sql, params) { // ADDED
+            queries.push({ sql, params }); // ADDED
+            if (/FROM CityWeatherMonthly AS w/.test(sql)) { // ADDED
+                return { rows: Array.from({ length: 12 }, (_, index) => ({ month: index + 1, min: 1, max: 9, mean: 5 })) }; // ADDED
+            } // ADDED
+            return { rows: [] }; // ADDED
+        }, // ADDED
+        async exec() { return {}; } // ADDED
+    }; // ADDED
+    try { // ADDED
+        const city = new hooks.CityClimate({ city_id: 7, city_name: 'Farm', last_spring_frost_doy: 100 }); // ADDED
+        const series = await city.loadDailyClimateModel({ scanStart: new Date(Date.UTC(2026, 0, 1)), scanEndHard: new Date(Date.UTC(2026, 0, 31)) }); // ADDED
+        assert.equal(series.diagnostics.source, 'CityWeatherMonthly normals'); // ADDED
+        assert.equal(series.days['2026-01-15'].mean, 5); // ADDED
+        const monthly = queries.find(item => /FROM CityWeatherMonthly AS w/.test(item.sql)); // ADDED
+        assert.match(monthly.sql, /w\.provider = \? OR NOT EXISTS \([\s\S]*?own\.provider = \?[\s\S]*?substr\(own\.weather_month, 6, 2\) = substr\(w\.weather_month, 6, 2\)/); // ADDED
+        assert.deepEqual(Array.from(monthly.params), [7, 'local_station', 'local_station']); // ADDED
+        assert.ok(!queries.some(item => /FROM CityWeatherDaily/.test(item.sql)), 'daily fallback is skipped when monthly normals exist'); // ADDED
+    } finally { // ADDED
+        testWindow.dbBridge = previousBridge; // ADDED
+    } // ADDED
+}); // ADDED
+
+test('weather normals queries run against SQLite and report farm station months', async () => { // ADDED
+    const { DatabaseSync } = require('node:sqlite'); // ADDED
+    const db = new DatabaseSync(':memory:'); // ADDED
+    db.exec(`
+        CREATE TABLE CityWeatherDaily (city_id INTEGER NOT NULL, weather_date TEXT NOT NULL, provider TEXT NOT NULL, dataset TEXT NOT NULL, temp_min_c REAL, temp_max_c REAL, temp_mean_c REAL, fetched_at TEXT NOT NULL, PRIMARY KEY (city_id, weather_date, provider, dataset));
+        CREATE TABLE CityWeatherMonthly (city_id INTEGER NOT NULL, weather_month TEXT NOT NULL, provider TEXT NOT NULL, dataset TEXT NOT NULL, temp_min_c REAL, temp_max_c REAL, temp_mean_c REAL, fetched_at TEXT NOT NULL, PRIMARY KEY (city_id, weather_month, provider, dataset));
+    `); // ADDED
+    const insertMonth = db.prepare('INSERT INTO CityWeatherMonthly (city_id, weather_month, provider, dataset, temp_min_c, temp_max_c, temp_mean_c, fetched_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?);'); // ADDED
+    for (let month = 1; month <= 12; month++) insertMonth.run(7, `2025-${String(month).padStart(2, '0')}`, 'open_meteo', 'archive', 1, 9, 5, '2026-01-01'); // ADDED
+    insertMonth.run(7, '2025-01', 'local_station', 'farm.csv', 4, 12, 8, '2026-01-01'); // ADDED
+    insertMonth.run(7, '2025-02', 'local_station', 'farm.csv', 4, 12, 8, '2026-01-01'); // ADDED
+    const testWindow = hooks.__testWindow; // ADDED
+    const previousBridge = testWindow.dbBridge; // ADDED
+    testWindow.dbBridge = { // ADDED
+        async resolvePath() { return { dbPath: ':memory:' }; }, // ADDED
+        async open() { return { dbId: 'memory-db' }; }, // ADDED
+        async close() {}, // ADDED
+        async query(_dbId, sql, params) { return { rows: db.prepare(sql).all(...(params || [])).map(row => ({ ...row })) }; }, // ADDED: plain rows, as the IPC bridge returns
+        async exec() { return {}; } // ADDED
+    }; // ADDED
+    try { // ADDED
+        const status = await hooks.resolveWeatherNormalsSourceStatus({ city_id: 7 }, 'auto'); // ADDED
+        assert.equal(status.text, 'Auto: using CityWeatherMonthly (farm station for 2 months)'); // ADDED
+        assert.match(status.tooltip, /Monthly weather months: 12; daily weather months: 0;[\s\S]*farm station months: 2\./); // ADDED
+        const city = new hooks.CityClimate({ city_id: 7, city_name: 'Farm', last_spring_frost_doy: 100 }); // ADDED
+        const series = await city.loadDailyClimateModel({ scanStart: new Date(Date.UTC(2026, 0, 1)), scanEndHard: new Date(Date.UTC(2026, 0, 31)) }); // ADDED
+        assert.equal(series.diagnostics.source, 'CityWeatherMonthly normals'); // ADDED
+        assert.equal(series.days['2026-01-15'].mean, 8); // ADDED
+    } finally { // ADDED
+        testWindow.dbBridge = previousBridge; // ADDED
+        db.close(); // ADDED
+    } // ADDED
+}); // ADDED
+
+test('season tracking re-projects maturity from observed GDD and flags plantings off the planned curve', () => { // ADDED
+    const utc = iso => new Date(`${iso}T00:00:00Z`); // ADDED
+    const plannedRates = { 5: 10, 6: 10, 7: 10, 8: 10 }; // ADDED
+    const observedRates = {}; // ADDED
+    for (let day = 1; day <= 20; day++) observedRates[`2026-05-${String(day).padStart(2, '0')}`] = 5; // ADDED
+    delete observedRates['2026-05-10']; // ADDED
+    const plannedDates = { maturityISO: '2026-06-19', harvestStartISO: '2026-06-19', harvestEndISO: '2026-06-26' }; // ADDED
+    const behind = hooks.annualCore.projectSeasonGddProgress({ // ADDED
+        sowDate: utc('2026-05-01'), // ADDED
+        asOfDate: utc('2026-05-25'), // ADDED
+        targetGdd: 500, // ADDED
+        observedRates, // ADDED
+        plannedRates, // ADDED
+        plannedDates, // ADDED
+        thresholdDays: 5 // ADDED
+    }); // ADDED
+    assert.equal(behind.status, 'behind'); // ADDED
+    assert.equal(behind.lastObservedISO, '2026-05-20'); // ADDED
+    assert.equal(behind.observedDays, 19); // ADDED
+    assert.equal(behind.missingDays, 1); // ADDED
+    assert.equal(behind.observedGdd, 105); // ADDED
+    assert.equal(behind.plannedGdd, 200); // ADDED
+    assert.equal(behind.plannedCurveMaturityISO, '2026-06-19'); // ADDED
+    assert.equal(behind.projectedMaturityISO, '2026-06-29'); // ADDED
+    assert.equal(behind.shiftDays, 10); // ADDED
+    assert.equal(behind.harvestStartISO, '2026-06-29'); // ADDED
+    assert.equal(behind.harvestEndISO, '2026-07-06'); // ADDED
+
+    const tolerant = hooks.annualCore.projectSeasonGddProgress({ sowDate: utc('2026-05-01'), asOfDate: utc('2026-05-25'), targetGdd: 500, observedRates, plannedRates, plannedDates, thresholdDays: 14 }); // ADDED
+    assert.equal(tolerant.status, 'on_track'); // ADDED
+    assert.equal(tolerant.shiftDays, 10); // ADDED
+
+    const warm = hooks.annualCore.projectSeasonGddProgress({ sowDate: utc('2026-05-01'), asOfDate: utc('2026-05-25'), targetGdd: 100, observedRates: { '2026-05-01': 60, '2026-05-02': 60 }, plannedRates, plannedDates }); // ADDED
+    assert.equal(warm.matured, true); // ADDED
+    assert.equal(warm.projectedMaturityISO, '2026-05-02'); // ADDED
+    assert.equal(warm.status, 'ahead'); // ADDED
+
+    assert.equal(hooks.annualCore.projectSeasonGddProgress({ sowDate: utc('2026-05-01'), asOfDate: utc('2026-05-25'), targetGdd: 500, observedRates: {}, plannedRates, plannedDates }).status, 'no_observations'); // ADDED
+    assert.equal(hooks.annualCore.projectSeasonGddProgress({ sowDate: utc('2026-06-01'), asOfDate: utc('2026-05-25'), targetGdd: 500, observedRates, plannedRates, plannedDates }).status, 'not_started'); // ADDED
+}); // ADDED
+
+test('season tracking reads farm-station observations and shifts only linked harvest task cards', async () => { // ADDED
+    assert.match(hooks.seasonTrackingSkipReason(makeSchedulerGuardCell({ tiler_group: '1', sow_date: '2026-05-01', days_maturity: '60', city_id: '7' })), /days to maturity/); // ADDED
+    assert.match(hooks.seasonTrackingSkipReason(makeSchedulerGuardCell({ tiler_group: '1', perennial: '1', sow_date: '2026-05-01' })), /Perennial/); // ADDED
+    assert.equal(hooks.seasonTrackingSkipReason(makeSchedulerGuardCell({ tiler_group: '1', sow_date: '2026-05-01', gdd_to_maturity: '900', city_id: '7' })), ''); // ADDED
+
+    const testWindow = hooks.__testWindow; // ADDED
+    const previousBridge = testWindow.dbBridge; // ADDED
+    const queries = []; // ADDED
+    testWindow.dbBridge = { // ADDED
+        async resolvePath() { return { dbPath: 'mock.sqlite' }; }, // ADDED
+        async open() { return { dbId: 'mock-db' }; }, // ADDED
+        async close() {}, // ADDED
+        async query(_dbId, sql, params) { // ADDED
+            queries.push({ sql, params }); // ADDED
+            if (/FROM CityWeatherDaily AS w/.test(sql)) return { rows: [{ date: '2026-05-01', min: 8, max: 20, mean: null }, { date: '2026-05-02', min: null, max: null, mean: null }] }; // ADDED
+            return { rows: [] }; // ADDED
+        }, // ADDED
+        async exec() { return {}; } // ADDED
+    }; // ADDED
+    try { // ADDED
+        const city = new hooks.CityClimate({ city_id: 7, city_name: 'Farm' }); // ADDED
+        const observed = await city.loadObservedDailyWeather({ startDate: new Date(Date.UTC(2026, 4, 1)), endDate: new Date(Date.UTC(2026, 4, 20)) }); // ADDED
+        assert.deepEqual(Object.keys(observed.days), ['2026-05-01']); // ADDED
+        const daily = queries.find(item => /FROM CityWeatherDaily AS w/.test(item.sql)); // ADDED
+        assert.match(daily.sql, /w\.provider = \? OR NOT EXISTS \([\s\S]*?own\.provider = \?[\s\S]*?own\.weather_date = w\.weather_date/); // ADDED
+        assert.deepEqual(Array.from(daily.params), [7, '2026-05-01', '2026-05-20', 'local_station', 'local_station']); // ADDED
+    } finally { // ADDED
+        testWindow.dbBridge = previousBridge; // ADDED
+    } // ADDED
+
+    const cards = { // ADDED
+        harvest: makeSchedulerGuardCell({ kanban_card: '1', scheduler_anchor_stage: 'HARVEST_START', start: '2026-06-19', title: 'Harvest lettuce' }), // ADDED
+        harvestEnd: makeSchedulerGuardCell({ kanban_card: '1', scheduler_anchor_stage: 'HARVEST_END', start: '2026-06-26', title: 'Clear bed' }), // ADDED
+        sow: makeSchedulerGuardCell({ kanban_card: '1', scheduler_anchor_stage: 'SOW', start: '2026-05-01', title: 'Sow lettuce' }), // ADDED
+        legacy: makeSchedulerGuardCell({ kanban_card: '1', start: '2026-06-20', title: 'Harvest (manual)' }) // ADDED
+    }; // ADDED
+    const model = { getCell: id => cards[id] || null }; // ADDED
+    const group = makeSchedulerGuardCell({ tiler_group: '1', linkedTo: 'harvest,sow,legacy,harvestEnd,missing' }); // ADDED
+    const linked = hooks.findLinkedHarvestTaskCards(model, group); // ADDED
+    assert.deepEqual(Array.from(linked), [cards.harvest, cards.legacy, cards.harvestEnd]); // ADDED
+    assert.deepEqual(Array.from(hooks.buildHarvestTaskShiftEntries(linked, 10), entry => entry.startISO), ['2026-06-29', '2026-06-30', '2026-07-06']); // ADDED
+    assert.equal(hooks.buildHarvestTaskShiftEntries(linked, 0).length, 0); // ADDED
+    assert.deepEqual({ ...hooks.buildSeasonForecastPatch({ observedGdd: 104.6, shiftDays: 10, maturityISO: '2026-06-29', harvestStartISO: '2026-06-29', harvestEndISO: '2026-07-06' }, '2026-05-25') }, { // ADDED
+        gdd_observed: '105', // ADDED
+        season_tracked_on: '2026-05-25', // ADDED
+        season_shift_days: '10', // ADDED
+        maturity_forecast: '2026-06-29', // ADDED
+        harvest_start_forecast: '2026-06-29', // ADDED
+        harvest_end_forecast: '2026-07-06' // ADDED
+    }); // ADDED
+}); // ADDED
+
+test('season tracking records only the harvest shift each card actually took', () => { // ADDED
+    const makeCell = (id, attrs) => ({ id, value: { getAttribute: key => (key in attrs ? attrs[key] : null), setAttribute: (key, value) => { attrs[key] = String(value); } } }); // ADDED
+    const cards = { // ADDED
+        open: makeCell('open', { kanban_card: '1', scheduler_anchor_stage: 'HARVEST_START', start: '2026-06-19' }), // ADDED
+        locked: makeCell('locked', { kanban_card: '1', scheduler_anchor_stage: 'HARVEST_END', start: '2026-06-26' }) // ADDED
+    }; // ADDED
+    const group = makeCell('group', { tiler_group: '1', linkedTo: 'open,locked' }); // ADDED
+    const model = { getCell: id => cards[id] || null, beginUpdate() {}, endUpdate() {} }; // ADDED
+    const graph = { getModel: () => model, refresh() {} }; // ADDED
+    const tracking = { observedGdd: 105, shiftDays: 10, maturityISO: '2026-06-29', harvestStartISO: '2026-06-29', harvestEndISO: '2026-07-06' }; // ADDED
+    const testWindow = hooks.__testWindow; // ADDED
+    const previousUsl = testWindow.USL; // ADDED
+    const locked = new Set(['locked']); // ADDED
+    const calls = []; // ADDED
+    testWindow.USL = { tasks: { applyCardStartDates(entries) { // ADDED
+        const result = { changed: 0, skipped: 0, unchanged: 0 }; // ADDED
+        entries.forEach(entry => { // ADDED
+            calls.push(`${entry.card.id}:${entry.startISO}`); // ADDED
+            if (locked.has(entry.card.id)) { result.skipped += 1; return; } // ADDED
+            entry.card.value.setAttribute('start', entry.startISO); // ADDED
+            result.changed += 1; // ADDED
+        }); // ADDED
+        return result; // ADDED
+    } } }; // ADDED
+    try { // ADDED
+        assert.deepEqual({ ...hooks.applySeasonTrackingShift(graph, [{ cell: group, tracking }], '2026-05-25') }, { groups: 1, cards: 1, skippedCards: 1 }); // ADDED
+        assert.equal(hooks.readGraphCellAttribute(cards.open, 'start'), '2026-06-29'); // ADDED
+        assert.equal(hooks.readGraphCellAttribute(cards.open, 'season_shift_days'), '10'); // ADDED
+        assert.equal(hooks.readGraphCellAttribute(cards.locked, 'season_shift_days'), null); // ADDED
+        assert.equal(hooks.readGraphCellAttribute(group, 'season_shift_days'), '0'); // ADDED
+        assert.equal(hooks.readGraphCellAttribute(group, 'harvest_start_forecast'), '2026-06-29'); // ADDED
+
+        locked.clear(); // ADDED
+        assert.deepEqual({ ...hooks.applySeasonTrackingShift(graph, [{ cell: group, tracking }], '2026-05-26') }, { groups: 1, cards: 1, skippedCards: 0 }); // ADDED
+        assert.deepEqual(calls, ['open:2026-06-29', 'locked:2026-07-06', 'locked:2026-07-06']); // ADDED
+        assert.equal(hooks.readGraphCellAttribute(group, 'season_shift_days'), '10'); // ADDED
+
+        hooks.applySeasonTrackingShift(graph, [{ cell: group, tracking: { ...tracking, shiftDays: 12 } }], '2026-05-27'); // ADDED
+        assert.equal(hooks.readGraphCellAttribute(cards.open, 'start'), '2026-07-01'); // ADDED
+        assert.equal(hooks.readGraphCellAttribute(cards.locked, 'start'), '2026-07-08'); // ADDED
+
+        testWindow.USL = undefined; // ADDED
+        assert.deepEqual({ ...hooks.applySeasonTrackingShift(graph, [{ cell: group, tracking: { ...tracking, shiftDays: 15 } }], '2026-05-28') }, { groups: 1, cards: 0, skippedCards: 2 }); // ADDED
+        assert.equal(hooks.readGraphCellAttribute(group, 'season_shift_days'), '12'); // ADDED
+        assert.equal(hooks.readGraphCellAttribute(cards.open, 'season_shift_days'), '12'); // ADDED
+    } finally { // ADDED
+        testWindow.USL = previousUsl; // ADDED
+    } // ADDED
+}); // ADDED
+
+test('season tracking dates today by the local calendar day', () => { // ADDED
+    const previousTz = process.env.TZ; // ADDED
+    process.env.TZ = 'Pacific/Auckland'; // ADDED
+    try { // ADDED
+        assert.equal(hooks.localTodayISO(new Date('2026-05-24T13:00:00Z')), '2026-05-25'); // ADDED
+    } finally { // ADDED
+        if (previousTz === undefined) delete process.env.TZ; // ADDED
+        else process.env.TZ = previousTz; // ADDED
+    } // ADDED
+    assert.match(hooks.localTodayISO(), /^\d{4}-\d{2}-\d{2}$/); // ADDED
+}); // ADDED
+
 test('biennial scan window uses its configured lifespan', () => {
     const plant = makePlant({
         annual: 0,
@@ -1849,6 +2072,233 @@ test('perennial result does not initialize GDD rates', () => {
     assert.equal(result.lifespanEndISO, '2030-12-31');
 });
 
+const TEMPERATE_ORCHARD_MEANS = { 1: -2, 2: 0, 3: 5, 4: 10, 5: 15, 6: 20, 7: 23, 8: 22, 9: 17, 10: 11, 11: 5, 12: 0 }; // ADDED
+
+function makeOrchardPlant(overrides = {}) { // ADDED
+    return makePlant({ // ADDED
+        plant_name: 'Apple', // ADDED
+        annual: 0, // ADDED
+        perennial: 1, // ADDED
+        lifespan_years: 6, // ADDED
+        days_maturity: null, // ADDED
+        gdd_to_maturity: 1200, // ADDED
+        tbase_c: 5, // ADDED
+        years_to_first_harvest: 3, // ADDED
+        years_to_full_yield: 5, // ADDED
+        chilling_required_days: 60, // ADDED
+        ...overrides // ADDED
+    }); // ADDED
+} // ADDED
+
+test('perennial schedule yields a harvest window and yield ramp for each bearing year', () => { // ADDED
+    const result = hooks.computeScheduleResult(makeInputs({ // ADDED
+        plant: makeOrchardPlant(), // ADDED
+        city: makeSeasonalCity(TEMPERATE_ORCHARD_MEANS), // ADDED
+        startISO: '2026-03-15', // ADDED
+        seasonEndISO: '2032-12-31' // ADDED
+    })); // ADDED
+    assert.equal(result.kind, 'perennial'); // ADDED
+    assert.equal(result.lifespanEndISO, '2032-12-31'); // ADDED
+    assert.equal(result.timelines.map(timeline => timeline.cycleYear).join(','), '2026,2027,2028,2029,2030,2031,2032'); // ADDED
+    assert.equal(result.rows.map(row => row.mult).join(','), ',,,0.33,0.67,1.00,1.00'); // ADDED
+    assert.equal(result.rows[0].sow, '2026-03-15'); // ADDED
+    assert.equal(result.rows[1].sow, ''); // ADDED
+    assert.equal(result.bearingYears.length, 4); // ADDED
+    assert.equal(result.bearingYears[0].year, 2029); // ADDED
+    assert.equal(result.firstScheduledHarvestISO, result.bearingYears[0].harvestStartISO); // ADDED
+    assert.equal(result.lastScheduledHarvestEndISO, result.bearingYears[3].harvestEndISO); // ADDED
+    assert.match(result.firstScheduledHarvestISO, /^2029-0[6-8]-/); // ADDED
+    const bearing = result.timelines[3]; // ADDED
+    assert.ok(bearing.chillingMet); // ADDED
+    assert.ok(bearing.dormancyEnd < bearing.harvestStart); // ADDED
+    assert.ok(bearing.harvestEnd < bearing.dormancyStart); // ADDED
+    assert.equal(result.timelines[0].dormancyEnd, null); // ADDED
+    assert.equal(result.warnings.length, 0); // ADDED
+}); // ADDED
+
+test('perennial years without enough winter chill produce no harvest and a warning', () => { // ADDED
+    const result = hooks.computeScheduleResult(makeInputs({ // ADDED
+        plant: makeOrchardPlant({ years_to_first_harvest: 1, years_to_full_yield: 1, lifespan_years: 3 }), // ADDED
+        city: makeCity(20), // ADDED
+        startISO: '2026-03-15', // ADDED
+        seasonEndISO: '2029-12-31' // ADDED
+    })); // ADDED
+    assert.equal(result.bearingYears.length, 0); // ADDED
+    assert.equal(result.firstScheduledHarvestISO, null); // ADDED
+    assert.equal(result.timelines[1].chillingMet, false); // ADDED
+    assert.equal(result.warnings.length, 3); // ADDED
+    assert.equal(result.warnings.every(warning => warning.type === 'perennial_insufficient_chilling'), true); // ADDED
+}); // ADDED
+
+test('perennial yield multiplier ramps from first harvest to full yield', () => { // ADDED
+    const ages = hooks.perennialCore.resolvePerennialBearingAges({ years_to_first_harvest: 2, years_to_full_yield: 4 }); // ADDED
+    assert.equal([0, 1, 2, 3, 4, 8].map(age => hooks.perennialCore.perennialYieldMultiplier(age, ages).toFixed(2)).join(','), '0.00,0.00,0.33,0.67,1.00,1.00'); // ADDED
+    const defaults = hooks.perennialCore.resolvePerennialBearingAges({}); // ADDED
+    assert.equal(defaults.firstHarvestAge, 1); // ADDED
+    assert.equal(defaults.fullYieldAge, 3); // ADDED
+}); // ADDED
+
+test('perennial tasks repeat on dormancy anchors every year with planting tasks only once', async () => { // ADDED
+    const plant = makeOrchardPlant(); // ADDED
+    const result = hooks.computeScheduleResult(makeInputs({ // ADDED
+        plant, // ADDED
+        city: makeSeasonalCity(TEMPERATE_ORCHARD_MEANS), // ADDED
+        startISO: '2026-03-15', // ADDED
+        seasonEndISO: '2032-12-31' // ADDED
+    })); // ADDED
+    const library = hooks.perennialTaskRuleLibrary(); // ADDED
+    const tasks = await hooks.buildTasksForPlan({ // ADDED
+        plant, // ADDED
+        schedule: result.schedule, // ADDED
+        timelines: result.timelines, // ADDED
+        taskTemplate: { // ADDED
+            rules: [ // ADDED
+                { id: 'plant', title: 'Plant {plant}', startAnchorStage: 'SOW', endMode: 'fixed_days', durationDays: 0 }, // ADDED
+                library.prune, // ADDED
+                library.dormant_feed, // ADDED
+                { id: 'harvest', title: 'Harvest {plant}', startAnchorStage: 'HARVEST_START', endMode: 'anchor_range', endAnchorStage: 'HARVEST_END' } // ADDED
+            ] // ADDED
+        } // ADDED
+    }); // ADDED
+    const byRule = id => tasks.filter(task => task.rule_id === id); // ADDED
+    assert.equal(byRule('plant').length, 1); // ADDED
+    assert.equal(byRule('prune').length, 6); // ADDED
+    assert.equal(byRule('dormant_feed').length, 7); // ADDED
+    assert.equal(byRule('harvest').length, 4); // ADDED
+    assert.equal(byRule('prune').map(task => task.scheduler_occurrence_index).join(','), '0,1,2,3,4,5'); // ADDED
+    assert.equal(byRule('prune')[0].task_type_id, 'pruning'); // ADDED
+    assert.equal(byRule('dormant_feed')[0].task_type_id, 'compost_application'); // ADDED
+    assert.equal(byRule('prune')[0].startISO < result.timelines[1].dormancyEnd.toISOString().slice(0, 10), true); // ADDED
+}); // ADDED
+
+test('perennial plans add dormancy anchors to the method stages', async () => { // ADDED
+    const annualStages = await hooks.getAllowedAnchorStagesForMethod('transplant.purchased'); // ADDED
+    const perennialStages = await hooks.getAllowedAnchorStagesForMethod('transplant.purchased', { perennial: true }); // ADDED
+    assert.equal(annualStages.join(','), 'TRANSPLANT,HARVEST_START,HARVEST_END'); // ADDED
+    assert.equal(perennialStages.join(','), 'TRANSPLANT,HARVEST_START,HARVEST_END,DORMANCY_END,DORMANCY_START'); // ADDED
+    assert.doesNotThrow(() => hooks.validateTaskRule(hooks.perennialTaskRuleLibrary().prune, { allowedStages: perennialStages })); // ADDED
+    assert.throws(() => hooks.validateTaskRule(hooks.perennialTaskRuleLibrary().prune, { allowedStages: annualStages }), /not available/); // ADDED
+}); // ADDED
+
+test('perennial save patch records the yearly bearing plan', () => { // ADDED
+    const inputs = makeInputs({ // ADDED
+        plant: makeOrchardPlant({ lifespan_years: 4 }), // ADDED
+        city: makeSeasonalCity(TEMPERATE_ORCHARD_MEANS), // ADDED
+        startISO: '2026-03-15', // ADDED
+        seasonEndISO: '2030-12-31' // ADDED
+    }); // ADDED
+    const result = hooks.computeScheduleResult(inputs); // ADDED
+    const patch = hooks.buildScheduleAttributePatch(inputs, result); // ADDED
+    const plan = JSON.parse(patch.perennial_harvest_plan_json); // ADDED
+    assert.equal(plan.map(entry => `${entry.year}:${entry.yieldMultiplier}`).join(','), '2029:0.33,2030:0.67'); // ADDED
+    assert.equal(patch.harvest_start, ''); // ADDED
+    assert.equal(hooks.buildScheduleAttributePatch(makeInputs(), hooks.computeScheduleResult(makeInputs())).perennial_harvest_plan_json, null); // ADDED
+}); // ADDED
+
+function makeCarrotSeedPlant(overrides = {}) { // ADDED
+    return makePlant({ // ADDED
+        plant_name: 'Carrot', // ADDED
+        annual: 0, // ADDED
+        biennial: 1, // ADDED
+        lifespan_years: 2, // ADDED
+        days_maturity: 75, // ADDED
+        tbase_c: 4, // ADDED
+        tmin_c: -5, // ADDED
+        days_to_seed: 100, // ADDED
+        ...overrides // ADDED
+    }); // ADDED
+} // ADDED
+
+function makeCarrotSeedInputs(overrides = {}) { // ADDED
+    return makeInputs({ // ADDED
+        plant: makeCarrotSeedPlant(), // ADDED
+        city: makeSeasonalCity(TEMPERATE_ORCHARD_MEANS), // ADDED
+        startISO: '2026-04-15', // ADDED
+        seasonEndISO: '2027-12-31', // ADDED
+        biennialMode: 'seed', // ADDED
+        ...overrides // ADDED
+    }); // ADDED
+} // ADDED
+
+test('biennial seed schedule overwinters the crop and ripens seed in the second season', () => { // ADDED
+    const result = hooks.computeScheduleResult(makeCarrotSeedInputs()); // ADDED
+    const [vegetative, seed] = result.timelines; // ADDED
+    assert.equal(result.kind, 'biennial'); // ADDED
+    assert.equal(result.seedSeasonYear, 2027); // ADDED
+    assert.equal(result.rows.map(row => `${row.year}:${row.phase}`).join(','), '2026:vegetative,2027:seed'); // ADDED
+    assert.equal(result.rows[0].sow, '2026-04-15'); // ADDED
+    assert.equal(result.rows[0].maturity, '2026-06-29'); // ADDED
+    assert.equal(vegetative.harvestStart, null); // ADDED
+    assert.equal(seed.sow, null); // ADDED
+    assert.ok(seed.vernalizationMet); // ADDED
+    assert.ok(seed.vernalizationDays >= 42); // ADDED
+    assert.match(hooks.sharedCore.fmtISO(seed.bolting), /^2027-0[2-4]-/); // ADDED
+    assert.equal(hooks.sharedCore.fmtISO(seed.harvestStart), hooks.sharedCore.fmtISO(hooks.sharedCore.addDaysUTC(seed.bolting, 100))); // ADDED
+    assert.equal(result.firstScheduledHarvestISO, hooks.sharedCore.fmtISO(seed.harvestStart)); // ADDED
+    assert.equal(result.lastScheduledHarvestEndISO, hooks.sharedCore.fmtISO(hooks.sharedCore.addDaysUTC(seed.harvestStart, 7))); // ADDED
+    assert.equal(result.warnings.length, 0); // ADDED
+
+    const gddResult = hooks.computeScheduleResult(makeCarrotSeedInputs({ plant: makeCarrotSeedPlant({ gdd_to_seed: 900 }) })); // ADDED
+    assert.ok(gddResult.timelines[1].harvestStart > gddResult.timelines[1].bolting); // ADDED
+    assert.equal(hooks.computeScheduleResult(makeCarrotSeedInputs({ biennialMode: 'vegetative' })).kind, 'annual'); // ADDED
+}); // ADDED
+
+test('biennial seed schedule warns about missing vernalization and lethal winter cold', () => { // ADDED
+    const warm = hooks.computeScheduleResult(makeCarrotSeedInputs({ city: makeCity(20) })); // ADDED
+    assert.equal(warm.firstScheduledHarvestISO, null); // ADDED
+    assert.equal(warm.timelines[1].bolting, null); // ADDED
+    assert.equal(warm.warnings.map(warning => warning.type).join(','), 'biennial_insufficient_vernalization'); // ADDED
+
+    const cold = hooks.computeScheduleResult(makeCarrotSeedInputs({ city: makeLangleyColdCity() })); // ADDED
+    const winterKill = cold.warnings.find(warning => warning.type === 'biennial_winter_kill'); // ADDED
+    assert.ok(winterKill); // ADDED
+    assert.match(winterKill.date, /^(2026-1[12]|2027-0[1-3])-/); // ADDED
+}); // ADDED
+
+test('biennial seed tasks anchor to both seasons and the bolting stage', async () => { // ADDED
+    const result = hooks.computeScheduleResult(makeCarrotSeedInputs()); // ADDED
+    const library = hooks.biennialSeedTaskRuleLibrary(); // ADDED
+    const tasks = await hooks.buildTasksForPlan({ // ADDED
+        plant: result.plant, // ADDED
+        schedule: result.schedule, // ADDED
+        timelines: result.timelines, // ADDED
+        taskTemplate: { // ADDED
+            rules: [ // ADDED
+                { id: 'sow', title: 'Sow {plant}', startAnchorStage: 'SOW', endMode: 'fixed_days', durationDays: 0 }, // ADDED
+                library.stake_seed_stalks, // ADDED
+                { id: 'harvest', title: 'Harvest {plant}', startAnchorStage: 'HARVEST_START', endMode: 'anchor_range', endAnchorStage: 'HARVEST_END' } // ADDED
+            ] // ADDED
+        } // ADDED
+    }); // ADDED
+    const byRule = id => tasks.filter(task => task.rule_id === id); // ADDED
+    assert.equal(byRule('sow').length, 1); // ADDED
+    assert.equal(byRule('sow')[0].startISO, '2026-04-15'); // ADDED
+    assert.equal(byRule('stake_seed_stalks').length, 1); // ADDED
+    assert.equal(byRule('stake_seed_stalks')[0].task_type_id, 'trellising'); // ADDED
+    assert.equal(byRule('stake_seed_stalks')[0].startISO, hooks.sharedCore.fmtISO(hooks.sharedCore.addDaysUTC(result.timelines[1].bolting, 14))); // ADDED
+    assert.equal(byRule('harvest').length, 1); // ADDED
+    assert.equal(byRule('harvest')[0].startISO, result.firstScheduledHarvestISO); // ADDED
+
+    const seedStages = await hooks.getAllowedAnchorStagesForMethod('direct_sow.field', { biennialSeed: true }); // ADDED
+    assert.equal(seedStages.includes('BOLTING'), true); // ADDED
+    assert.equal((await hooks.getAllowedAnchorStagesForMethod('direct_sow.field')).includes('BOLTING'), false); // ADDED
+}); // ADDED
+
+test('biennial seed save patch records the seed season dates', () => { // ADDED
+    const inputs = makeCarrotSeedInputs(); // ADDED
+    const result = hooks.computeScheduleResult(inputs); // ADDED
+    const patch = hooks.buildScheduleAttributePatch(inputs, result); // ADDED
+    assert.equal(patch.biennial_mode, 'seed'); // ADDED
+    assert.equal(patch.season_start_year, '2026'); // ADDED
+    assert.equal(patch.maturity_date, '2026-06-29'); // ADDED
+    assert.equal(patch.bolting_date, hooks.sharedCore.fmtISO(result.timelines[1].bolting)); // ADDED
+    assert.equal(patch.harvest_start, result.firstScheduledHarvestISO); // ADDED
+    assert.equal(patch.harvest_end, result.lastScheduledHarvestEndISO); // ADDED
+    const annualPatch = hooks.buildScheduleAttributePatch(makeInputs(), hooks.computeScheduleResult(makeInputs())); // ADDED
+    assert.equal(annualPatch.biennial_mode, null); // ADDED
+    assert.equal(annualPatch.bolting_date, null); // ADDED
+}); // ADDED
+
 test('variety overrides change maturity and harvest window', () => {
     const base = makePlant();
     const overriddenRow = hooks.applyPlantOverrides(base, {
@@ -2994,6 +3444,181 @@ test('expanded repeat planning shows every eligible occurrence when any series c
     assert.equal(byId.get('hidden-year').repeatBadge, ''); // NEW
 }); // NEW
 
+test('calendar export folds an evenly spaced repeat series into one RRULE with stable scheduler UIDs', () => { // ADDED
+    const occurrence = (id, startISO) => ({ id, schedulerTaskKey: `plan|water|${id}`, title: 'Water; beds, east', startISO, endISO: startISO, seriesKey: 'water', state: 'TODO' }); // ADDED
+    const text = taskHooks.buildTaskIcsCalendar([ // ADDED
+        occurrence('w1', '2026-05-04'), // ADDED
+        occurrence('w2', '2026-05-18'), // ADDED
+        occurrence('w3', '2026-06-01'), // ADDED
+        { id: '42', title: 'Harvest', note: 'Bring crates', startISO: '2026-07-01', endISO: '2026-07-03', state: 'DOING', assignees: [{ id: 'r1', name: 'Ana', roleTitle: 'Lead, field' }] }, // ADDED
+        { id: 'undated', title: 'No dates', startISO: '', endISO: '' } // ADDED
+    ], { calendarName: 'North bed tasks', now: new Date(Date.UTC(2026, 3, 1, 8, 30, 0)) }); // ADDED
+
+    assert.match(text, /^BEGIN:VCALENDAR\r\nVERSION:2\.0\r\n/); // ADDED
+    const unfolded = text.replace(/\r\n /g, ''); // ADDED
+    assert.equal(text.split('BEGIN:VEVENT').length - 1, 2); // ADDED
+    assert.match(unfolded, /UID:task-plan_water_w1@trellis-garden\r\nDTSTAMP:20260401T083000Z\r\nDTSTART;VALUE=DATE:20260504\r\nDTEND;VALUE=DATE:20260505\r\nSUMMARY:Water\\; beds\\, east/); // ADDED
+    assert.match(unfolded, /RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=3\r\nX-TRELLIS-OCCURRENCES:task-plan_water_w1@trellis-garden,task-plan_water_w2@trellis-garden,task-plan_water_w3@trellis-garden\r\n/); // ADDED
+    assert.match(unfolded, /UID:card-42@trellis-garden[\s\S]*DTEND;VALUE=DATE:20260704[\s\S]*DESCRIPTION:Bring crates\\nState: DOING/); // ADDED
+    assert.match(unfolded, /ATTENDEE;CN="Ana \(Lead, field\)";ROLE=REQ-PARTICIPANT:urn:trellis:role:r1/); // ADDED
+    assert.ok(text.split('\r\n').every(line => line.length <= 75)); // ADDED
+    assert.doesNotMatch(text, /No dates/); // ADDED
+
+    const irregular = taskHooks.buildTaskIcsCalendar([occurrence('w1', '2026-05-04'), occurrence('w2', '2026-05-06'), occurrence('w3', '2026-05-20')]); // ADDED
+    assert.equal(irregular.split('BEGIN:VEVENT').length - 1, 3); // ADDED
+    assert.doesNotMatch(irregular, /RRULE/); // ADDED
+}); // ADDED
+
+test('calendar import maps edited series, single occurrences and plain events back to card start dates', () => { // ADDED
+    const records = [ // ADDED
+        { id: 'w1', schedulerTaskKey: 'k1', startISO: '2026-05-04', endISO: '2026-05-04', seriesKey: 's' }, // ADDED
+        { id: 'w2', schedulerTaskKey: 'k2', startISO: '2026-05-11', endISO: '2026-05-04', seriesKey: 's' }, // ADDED
+        { id: 'w3', schedulerTaskKey: 'k3', startISO: '2026-05-18', endISO: '2026-05-18', seriesKey: 's' }, // ADDED
+        { id: '42', startISO: '2026-07-01', endISO: '2026-07-03' }, // ADDED
+        { id: '43', startISO: '2026-07-10', endISO: '2026-07-10' } // ADDED
+    ]; // ADDED
+    const ics = [ // ADDED
+        'BEGIN:VCALENDAR', // ADDED
+        'BEGIN:VEVENT', // ADDED
+        'UID:task-k1@trellis-garden', // ADDED
+        'DTSTART;VALUE=DATE:20260505', // ADDED
+        'RRULE:FREQ=DAILY;INTERVAL=3;COUNT=3', // ADDED
+        'X-TRELLIS-OCCURRENCES:task-k1@trellis-garden,task-k2@trellis-garden,', // ADDED
+        ' task-k3@trellis-garden', // ADDED
+        'END:VEVENT', // ADDED
+        'BEGIN:VEVENT', // ADDED
+        'UID:task-k1@trellis-garden', // ADDED
+        'RECURRENCE-ID;VALUE=DATE:20260511', // CHANGED: third occurrence of the edited master
+        'DTSTART;VALUE=DATE:20260601', // ADDED
+        'END:VEVENT', // ADDED
+        'BEGIN:VEVENT', // ADDED
+        'UID:card-42@trellis-garden', // ADDED
+        'DTSTART;TZID=Europe/Berlin:20260702T090000', // ADDED
+        'END:VEVENT', // ADDED
+        'BEGIN:VEVENT', // ADDED
+        'UID:card-43@trellis-garden', // ADDED
+        'DTSTART;VALUE=DATE:20260710', // ADDED
+        'END:VEVENT', // ADDED
+        'BEGIN:VEVENT', // ADDED
+        'UID:someone-else@example.com', // ADDED
+        'DTSTART;VALUE=DATE:20260101', // ADDED
+        'END:VEVENT', // ADDED
+        'END:VCALENDAR' // ADDED
+    ].join('\r\n'); // ADDED
+    const events = taskHooks.parseTaskIcsEvents(ics); // ADDED
+    assert.equal(events.length, 5); // ADDED
+    assert.deepEqual({ ...events[0].rule }, { freq: 'DAILY', interval: 3, count: 3, until: null }); // ADDED
+
+    const plan = taskHooks.planTaskIcsImport(records, events); // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(plan.updates)), [ // ADDED
+        { id: 'w1', startISO: '2026-05-05' }, // ADDED
+        { id: 'w2', startISO: '2026-05-08' }, // ADDED
+        { id: 'w3', startISO: '2026-06-01' }, // ADDED
+        { id: '42', startISO: '2026-07-02' } // ADDED
+    ]); // ADDED
+    assert.equal(plan.unchanged, 1); // ADDED
+    assert.deepEqual(Array.from(plan.unmatched), ['someone-else@example.com']); // ADDED
+
+    const shifted = taskHooks.parseTaskIcsEvents([ // ADDED
+        'BEGIN:VCALENDAR', // ADDED
+        'BEGIN:VEVENT', // ADDED
+        'UID:task-k1@trellis-garden', // ADDED
+        'DTSTART;VALUE=DATE:20260505', // ADDED
+        'RRULE:FREQ=WEEKLY;INTERVAL=1;COUNT=3', // ADDED
+        'X-TRELLIS-OCCURRENCES:task-k1@trellis-garden,task-k2@trellis-garden,task-k3@trellis-garden', // ADDED
+        'END:VEVENT', // ADDED
+        'BEGIN:VEVENT', // ADDED
+        'UID:task-k1@trellis-garden', // ADDED
+        'RECURRENCE-ID;VALUE=DATE:20260519', // ADDED
+        'DTSTART;VALUE=DATE:20260601', // ADDED
+        'END:VEVENT', // ADDED
+        'END:VCALENDAR' // ADDED
+    ].join('\r\n')); // ADDED
+    const shiftedPlan = taskHooks.planTaskIcsImport(records, shifted); // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(shiftedPlan.updates)), [ // ADDED
+        { id: 'w1', startISO: '2026-05-05' }, // ADDED
+        { id: 'w2', startISO: '2026-05-12' }, // ADDED
+        { id: 'w3', startISO: '2026-06-01' } // ADDED
+    ]); // ADDED
+    assert.deepEqual(Array.from(shiftedPlan.unmatched), []); // ADDED
+}); // ADDED
+
+test('workload summary totals estimated hours of open scheduled cards against work windows per board and role', () => { // ADDED
+    assert.equal(taskHooks.resolveTaskEstimatedMinutes({ task_estimated_hours: '1.5' }, 3), 90); // ADDED
+    assert.equal(taskHooks.resolveTaskEstimatedMinutes({ task_estimated_hours: '0' }, 2), 120); // ADDED
+    assert.equal(taskHooks.resolveTaskEstimatedMinutes({}, 0.25), 15); // ADDED
+    assert.equal(taskHooks.resolveTaskEstimatedMinutes({}, null), null); // ADDED
+
+    const days = taskHooks.resolveWeekWorkHours(taskHooks.serializeWeekWorkHours([ // ADDED
+        { closed: true }, // ADDED
+        { startMinute: 1020, endMinute: 1140 }, { startMinute: 1020, endMinute: 1140 }, { startMinute: 1020, endMinute: 1140 }, // ADDED
+        { startMinute: 1020, endMinute: 1140 }, { startMinute: 1020, endMinute: 1140 }, // ADDED
+        { startMinute: 480, endMinute: 720 } // ADDED
+    ]), '', '2026-07-12'); // ADDED
+    const records = [ // ADDED
+        { id: 'a', state: 'TODO', assignedDay: '2026-07-13', minutes: 180, roleIds: ['r1'] }, // ADDED
+        { id: 'b', state: 'DOING', assignedDay: '2026-07-13', minutes: 90, roleIds: [] }, // ADDED
+        { id: 'c', state: 'DONE', assignedDay: '2026-07-14', minutes: 60 }, // ADDED
+        { id: 'd', state: 'TODO', assignedDay: '2026-07-15', minutes: null }, // ADDED
+        { id: 'e', state: 'TODO', assignedDay: '2026-07-12', minutes: 30, roleIds: ['r1', 'r2', 'gone'] }, // ADDED
+        { id: 'f', state: 'TODO', assignedDay: '2026-07-20', minutes: 600 } // ADDED
+    ]; // ADDED
+    const summary = taskHooks.buildWeekWorkloadSummary(records, { weekStartISO: '2026-07-15', days, roleIds: ['r2', 'r1'] }); // ADDED
+
+    assert.equal(summary.weekStartISO, '2026-07-12'); // ADDED
+    assert.equal(summary.headcount, 2); // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(summary.days.map(day => [day.dateISO, day.capacityMinutes, day.loadMinutes, day.overloaded]))), [ // ADDED
+        ['2026-07-12', 0, 30, true], // ADDED
+        ['2026-07-13', 240, 270, true], // ADDED
+        ['2026-07-14', 240, 0, false], // ADDED
+        ['2026-07-15', 240, 0, false], // ADDED
+        ['2026-07-16', 240, 0, false], // ADDED
+        ['2026-07-17', 240, 0, false], // ADDED
+        ['2026-07-18', 480, 0, false] // ADDED
+    ]); // ADDED
+    assert.deepEqual([summary.capacityMinutes, summary.loadMinutes, summary.overloaded, summary.overloadedDayCount], [1680, 300, false, 2]); // ADDED
+    assert.deepEqual(Array.from(summary.unestimatedIds), ['d']); // ADDED
+    const r1 = summary.roles.find(role => role.roleId === 'r1'); // ADDED
+    assert.deepEqual([r1.capacityMinutes, r1.loadMinutes, r1.overloaded, r1.days[1].overloaded, r1.days[0].loadMinutes], [840, 195, false, true, 15]); // ADDED
+
+    const busy = taskHooks.buildWeekWorkloadSummary([{ id: 'big', state: 'TODO', assignedDay: '2026-07-18', minutes: 2000 }], { weekStartISO: '2026-07-12', days }); // ADDED
+    assert.deepEqual([busy.headcount, busy.capacityMinutes, busy.overloaded], [1, 840, true]); // ADDED
+}); // ADDED
+
+test('staged rebalance fills the least-loaded open days from today without overrunning board or role hours', () => { // ADDED
+    const days = taskHooks.resolveWeekWorkHours(taskHooks.serializeWeekWorkHours([ // ADDED
+        { closed: true }, // ADDED
+        { startMinute: 1020, endMinute: 1140 }, { startMinute: 1020, endMinute: 1140 }, { startMinute: 1020, endMinute: 1140 }, // ADDED
+        { startMinute: 1020, endMinute: 1140 }, { startMinute: 1020, endMinute: 1140 }, // ADDED
+        { startMinute: 480, endMinute: 720 } // ADDED
+    ]), '', '2026-07-12'); // ADDED
+    const summary = taskHooks.buildWeekWorkloadSummary([ // ADDED
+        { id: 'a', state: 'TODO', assignedDay: '2026-07-13', minutes: 180, roleIds: ['r1'] }, // ADDED
+        { id: 'b', state: 'TODO', assignedDay: '2026-07-13', minutes: 90 } // ADDED
+    ], { weekStartISO: '2026-07-12', days, roleIds: ['r1', 'r2'] }); // ADDED
+    const plan = taskHooks.planStagedWorkloadRebalance(summary, [ // ADDED
+        { id: 's1', minutes: 120 }, // ADDED
+        { id: 's2', minutes: 90, roleIds: ['r2'] }, // ADDED
+        { id: 's3', minutes: 200, startISO: '2026-07-16' }, // ADDED
+        { id: 's4', minutes: null }, // ADDED
+        { id: 's5', minutes: 30, startISO: '2026-07-25' }, // ADDED
+        { id: 's6', minutes: 300 }, // ADDED
+        { id: 's7', minutes: 60, roleIds: ['r1'] } // ADDED
+    ], { today: '2026-07-14' }); // ADDED
+
+    assert.deepEqual(JSON.parse(JSON.stringify(plan.moves)), [ // ADDED
+        { id: 's1', dateISO: '2026-07-18', laneKey: 'WEEK_SAT', minutes: 120 }, // ADDED
+        { id: 's2', dateISO: '2026-07-18', laneKey: 'WEEK_SAT', minutes: 90 }, // ADDED
+        { id: 's3', dateISO: '2026-07-18', laneKey: 'WEEK_SAT', minutes: 200 }, // ADDED
+        { id: 's7', dateISO: '2026-07-14', laneKey: 'WEEK_TUE', minutes: 60 } // ADDED
+    ]); // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(plan.unplaced)), [ // ADDED
+        { id: 's4', reason: 'unestimated' }, // ADDED
+        { id: 's5', reason: 'startsLater' }, // ADDED
+        { id: 's6', reason: 'noCapacity' } // ADDED
+    ]); // ADDED
+}); // ADDED
+
 test('repeat planning clears stale state and uses deterministic malformed-date fallbacks', () => { // NEW
     const single = taskHooks.planRepeatSeriesVisibility([ // NEW
         { id: 'only', seriesKey: 'single', laneKey: 'DONE', startISO: 'bad-date', expanded: true } // NEW
@@ -831,6 +831,36 @@ test("scheduler task replacement API joins caller update when requested", () =>
     assert.equal(historyRunCount, 0); // NEW
 }); // NEW
 
+test("standalone task cards link back to their source cell only when asked", () => { // ADDED
+    const h = makeHarness(); // ADDED
+    const bed = new TestCell("soil-bed", makeValue(h.document, { garden_bed: "1" }), new TestGeometry(0, 0, 120, 80), ""); // ADDED
+    h.addCell(h.root, bed); // ADDED
+
+    const linkedId = h.window.USL.tasks.createTaskForCell(bed, { title: "Apply compost", startISO: "2026-07-20", endISO: "2026-07-20", linkToSource: true }); // ADDED
+    const plainId = h.window.USL.tasks.createTaskForCell(bed, { title: "Check pH", startISO: "2026-07-20", endISO: "2026-07-20" }); // ADDED
+
+    assert.equal(attr(h.model.getCell(linkedId), "linkedTo"), bed.id); // ADDED
+    assert.equal(attr(bed, "linkedTo"), linkedId); // ADDED
+    assert.ok(!attr(h.model.getCell(plainId), "linkedTo")); // ADDED
+}); // ADDED
+
+test("headless task report lists each board's cards as CSV without editing the diagram", () => { // ADDED
+    const h = makeHarness({ secondaryBoard: true }); // ADDED
+    h.resetCounters(); // ADDED
+
+    const outputs = h.window.Trellis.reports.tasks({}); // ADDED
+
+    assert.equal(h.modelBeginUpdateCount, 0); // ADDED
+    assert.equal(h.labelSetCount, 0); // ADDED
+    assert.deepEqual(Array.from(outputs, output => [output.name, output.format]), [["tasks-Task_board", "csv"], ["tasks-Task_board-secondaryBoard", "csv"]]); // ADDED
+    const [mainLines, secondaryLines] = Array.from(outputs, output => output.content.trim().split("\n")); // ADDED
+    assert.equal(mainLines[0], "Board,Task ID,Title,Lane,Workflow state,Start,End,Completed,Assigned day,Estimated hours,Assignees,Linked to"); // ADDED
+    const staged = mainLines.find(line => line.split(",")[1] === "stagedCard").split(","); // ADDED
+    assert.deepEqual(staged.slice(0, 7), ["Task board", "stagedCard", "Stage compost", "TODO_STAGED", "STAGED", "2026-07-14", "2026-07-14"]); // ADDED
+    assert.ok(!mainLines.some(line => line.includes("secondaryWeekWedCard")), "cards stay on their own board's report"); // ADDED
+    assert.deepEqual(secondaryLines.slice(1).map(line => line.split(",").slice(1, 4)), [["secondaryWeekWedCard", "Secondary Wednesday task", "WEEK_WED"]]); // ADDED
+}); // ADDED
+
 test("legacy tasksCreated event still performs standalone replacement", async () => { // NEW
     const h = makeHarness(); // NEW
     const group = new TestCell("legacy-schedule-group", makeValue(h.document, { tiler_group: "1" }), new TestGeometry(0, 0, 120, 80), "tiler_group=1;"); // NEW
@@ -2464,3 +2494,70 @@ test("task manager assignee badges expand to readable name stack, navigate, and
     assert.equal(expanded.querySelectorAll(".trellis-task-assignee-pill").length, 3); // CHANGE
     assert.doesNotMatch(expanded.title, /A One/); // NEW
 }); // NEW
+
+test("task manager harvest cards open the linked plant group's harvest log", () => { // ADDED
+    const source = fs.readFileSync(TASK_MANAGER_PATH, "utf8"); // ADDED
+    assert.match(source, /const harvestGroup = \/harvest\/i\.test\(getAttr\(card, 'title'\) \|\| ''\) \? getLinkedCellsOf\(card\)\.find\(isTilerGroup\) : null;/); // ADDED
+    assert.match(source, /menu\.addItem\('Log Harvest\.\.\.', null, function \(\) \{[\s\S]*?window\.TrellisHarvestLog\.showDialog\(harvestGroup\);/); // ADDED
+}); // ADDED
+
+test("task manager creates unlinked treatment cards for pest observations", () => { // ADDED
+    const source = fs.readFileSync(TASK_MANAGER_PATH, "utf8"); // ADDED
+    const command = source.slice(source.indexOf("function createTaskForCell"), source.indexOf("// -------------------- Linking and scheduler sync commands")); // ADDED
+    assert.match(command, /boardLayoutService\.ensureBoardTemplateIn\(gardenModule, \{ insideUpdate: true \}\)/); // ADDED
+    assert.match(command, /createCard\(parentLane, \{ title: task\.title, notes: task\.notes, startISO: task\.startISO, endISO: task\.endISO \}/); // ADDED
+    assert.match(command, /if \(task\.linkToSource && card\) linkBothWays\(card, sourceCell\);/); // CHANGED: linking is opt-in, pest cards do not ask for it
+    assert.match(source, /createTaskForCell: taskCommands\.createTaskForCell/); // ADDED
+    assert.match(source, /menu\.addItem\('Pest & Disease Log\.\.\.', null, function \(\) \{[\s\S]*?window\.TrellisGardenBeds\.showPestObservationDialog\(pestSource\);/); // ADDED
+}); // ADDED
+
+test("task manager card menu reopens soil tests for amendment cards", () => { // ADDED
+    const source = fs.readFileSync(TASK_MANAGER_PATH, "utf8"); // ADDED
+    assert.match(source, /getAttr\(card, 'soil_test_cell_id'\) \? model\.getCell\(getAttr\(card, 'soil_test_cell_id'\)\) : null/); // ADDED
+    assert.match(source, /menu\.addItem\('Soil Tests\.\.\.', null, function \(\) \{[\s\S]*?window\.TrellisGardenBeds\.showSoilTestDialog\(soilSource\);/); // ADDED
+}); // ADDED
+
+test("task manager badges equipment booking conflicts in week day lanes and clears them when resolved", () => { // ADDED
+    const h = makeHarness(); // ADDED
+    const calls = []; // ADDED
+    let conflicts = [{ // ADDED
+        id: "weekLaneCard", // ADDED
+        label: "Tiller", // ADDED
+        message: "Tiller is booked by 2 tasks on 2026-07-15; 1 available.", // ADDED
+        alternativeDays: ["2026-07-16"], // ADDED
+        substitutes: [{ equipmentId: "eq_tiller", substituteId: "eq_broadfork", name: "Broadfork" }] // ADDED
+    }]; // ADDED
+    h.graph.__trellisEquipment = { // ADDED
+        findBookingConflicts(records, options) { // ADDED
+            calls.push(JSON.parse(JSON.stringify({ records, options: { days: options.days, headcount: options.headcount } }))); // ADDED
+            return conflicts; // ADDED
+        } // ADDED
+    }; // ADDED
+    setAttr(h.weekLaneCard, "task_equipment_ids", "eq_tiller"); // ADDED
+    setAttr(h.weekTueCard, "task_equipment_ids", "eq_tiller"); // ADDED
+
+    h.document.dispatchEvent(new h.window.CustomEvent("trellisEquipmentChanged")); // ADDED
+
+    const call = calls[calls.length - 1]; // ADDED
+    assert.deepEqual(call.records.map(record => [record.id, record.dateISO, record.equipmentIds]).sort(), [ // ADDED
+        ["weekLaneCard", "2026-07-15", "eq_tiller"], // ADDED
+        ["weekTueCard", "2026-07-14", "eq_tiller"] // ADDED
+    ]); // ADDED
+    assert.deepEqual(call.options.days.map(day => day.dateISO), ["2026-07-12", "2026-07-13", "2026-07-14", "2026-07-15", "2026-07-16", "2026-07-17", "2026-07-18"]); // ADDED
+    assert.equal(call.options.headcount, 0); // ADDED
+    assert.equal(attr(h.weekLaneCard, "booking_conflict"), "Tiller"); // ADDED
+    assert.match(attr(h.weekLaneCard, "label"), /<b>Booking:<\/b> Tiller/); // ADDED
+    assert.deepEqual(JSON.parse(attr(h.weekLaneCard, "booking_suggestions_json")).alternativeDays, ["2026-07-16"]); // ADDED
+    assert.equal(attr(h.weekTueCard, "booking_conflict"), null); // ADDED
+
+    conflicts = []; // ADDED
+    h.document.dispatchEvent(new h.window.CustomEvent("trellisEquipmentChanged")); // ADDED
+    assert.equal(attr(h.weekLaneCard, "booking_conflict"), null); // ADDED
+    assert.equal(attr(h.weekLaneCard, "booking_suggestions_json"), null); // ADDED
+    assert.doesNotMatch(attr(h.weekLaneCard, "label"), /Booking/); // ADDED
+
+    const source = fs.readFileSync(TASK_MANAGER_PATH, "utf8"); // ADDED
+    assert.match(source, /const bookingMenu = menu\.addItem\('Booking Conflict', null, null\);/); // ADDED
+    assert.match(source, /resolveBooking\(\{ dateISO \}\);/); // ADDED
+    assert.match(source, /menu\.addItem\('Use ' \+ item\.name \+ ' instead', null, function \(\) \{[^\n]*\n\s*resolveBooking\(item\);/); // ADDED
+}); // ADDED
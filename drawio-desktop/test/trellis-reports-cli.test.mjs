@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict'; // NEW
+import fs from 'node:fs'; // NEW
+import os from 'node:os'; // NEW
+import path from 'node:path'; // NEW
+import test from 'node:test'; // NEW
+import { // NEW
+	TRELLIS_REPORT_KINDS, // NEW
+	listTrellisReportInputs, // NEW
+	parseTrellisReportKinds, // NEW
+	planTrellisReportOutputs, // NEW
+	writeTrellisReportOutputs // NEW
+} from '../src/main/trellis-reports-cli.js'; // NEW
+
+const projectRoot = path.resolve(import.meta.dirname, '..'); // NEW
+
+function makeTempDir() { // NEW
+	return fs.mkdtempSync(path.join(os.tmpdir(), 'trellis-reports-')); // NEW
+} // NEW
+
+test('report kinds parse in canonical order and reject unknown names', () => { // NEW
+	assert.deepEqual(parseTrellisReportKinds('tasks, Dashboard'), ['dashboard', 'tasks']); // NEW
+	assert.deepEqual(parseTrellisReportKinds('all'), TRELLIS_REPORT_KINDS.slice()); // NEW
+	assert.deepEqual(parseTrellisReportKinds(''), TRELLIS_REPORT_KINDS.slice()); // NEW
+	assert.throws(() => parseTrellisReportKinds('supply,harvest'), /Unknown Trellis report: harvest/); // NEW
+}); // NEW
+
+test('report inputs list diagrams in a folder, skipping dotfiles and other files', () => { // NEW
+	const dir = makeTempDir(); // NEW
+
+	try { // NEW
+		fs.writeFileSync(path.join(dir, 'b.drawio'), '<mxfile/>'); // NEW
+		fs.writeFileSync(path.join(dir, 'a.xml'), '<mxfile/>'); // NEW
+		fs.writeFileSync(path.join(dir, '.hidden.drawio'), '<mxfile/>'); // NEW
+		fs.writeFileSync(path.join(dir, 'notes.txt'), 'x'); // NEW
+		fs.mkdirSync(path.join(dir, 'nested')); // NEW
+		fs.writeFileSync(path.join(dir, 'nested', 'c.drawio'), '<mxfile/>'); // NEW
+
+		assert.deepEqual(listTrellisReportInputs(dir), [path.join(dir, 'a.xml'), path.join(dir, 'b.drawio')]); // NEW
+		assert.deepEqual(listTrellisReportInputs(dir, { recursive: true }), [path.join(dir, 'a.xml'), path.join(dir, 'b.drawio'), path.join(dir, 'nested', 'c.drawio')]); // NEW
+		assert.deepEqual(listTrellisReportInputs(path.join(dir, 'notes.txt')), [path.join(dir, 'notes.txt')]); // NEW
+		assert.throws(() => listTrellisReportInputs(path.join(dir, 'missing.drawio')), /ENOENT/); // NEW
+	} // NEW
+	finally { // NEW
+		fs.rmSync(dir, { recursive: true, force: true }); // NEW
+	} // NEW
+}); // NEW
+
+test('report outputs are named after the diagram and report, with repeated names numbered', () => { // NEW
+	const planned = planTrellisReportOutputs('/gardens/farm.drawio', [ // NEW
+		{ name: 'dashboard-North Bed', format: 'csv', content: 'a' }, // NEW
+		{ name: 'dashboard-North Bed', format: 'csv', content: 'b' }, // NEW
+		{ name: 'irrigation-../x', format: 'json', content: '{}' } // NEW
+	], { pathModule: path.posix }); // NEW
+
+	assert.deepEqual(planned.map((entry) => entry.path), [ // NEW
+		'/gardens/farm.dashboard-North_Bed.csv', // NEW
+		'/gardens/farm.dashboard-North_Bed-2.csv', // NEW
+		'/gardens/farm.irrigation-_x.json' // NEW
+	]); // NEW
+	assert.equal(planTrellisReportOutputs('/gardens/farm.drawio', [{ name: 'tasks', format: 'csv', content: '' }], { output: '/out', pathModule: path.posix })[0].path, '/out/farm.tasks.csv'); // NEW
+}); // NEW
+
+test('report writes create the output folder and keep existing files with --check', () => { // NEW
+	const dir = makeTempDir(); // NEW
+	const output = path.join(dir, 'reports'); // NEW
+
+	try { // NEW
+		const first = writeTrellisReportOutputs(path.join(dir, 'farm.drawio'), [{ name: 'tasks', format: 'csv', content: 'one' }], { output }); // NEW
+		const second = writeTrellisReportOutputs(path.join(dir, 'farm.drawio'), [{ name: 'tasks', format: 'csv', content: 'two' }], { output, check: true }); // NEW
+
+		assert.deepEqual(first, [path.join(output, 'farm.tasks.csv')]); // NEW
+		assert.deepEqual(second, [path.join(output, 'farm.tasks-1.csv')]); // NEW
+		assert.equal(fs.readFileSync(first[0], 'utf8'), 'one'); // NEW
+		assert.equal(fs.readFileSync(second[0], 'utf8'), 'two'); // NEW
+	} // NEW
+	finally { // NEW
+		fs.rmSync(dir, { recursive: true, force: true }); // NEW
+	} // NEW
+}); // NEW
+
+test('electron wires --trellis-report to a hidden renderer that runs the plugin report providers', () => { // NEW
+	const electronSource = fs.readFileSync(path.join(projectRoot, 'src/main/electron.js'), 'utf8'); // NEW
+	const appSource = fs.readFileSync(path.join(projectRoot, 'drawio/src/main/webapp/js/diagramly/ElectronApp.js'), 'utf8'); // NEW
+
+	assert.match(electronSource, /\.option\('--trellis-report <reports>'/); // NEW
+	assert.match(electronSource, /if \(options\.trellisReport\)[\s\S]*?runTrellisReportCli\(options, program\.args\);/); // NEW
+	assert.match(electronSource, /ipcMain\.on\('trellis-report-result', onResult\)/); // NEW
+	assert.match(appSource, /electron\.registerMsgListener\('trellis-report-run'/); // NEW
+	assert.match(appSource, /window\.Trellis\.reports/); // NEW
+	assert.match(appSource, /electron\.sendMessage\('trellis-report-result', result\)/); // NEW
+}); // NEW
@@ -192,6 +192,7 @@ function loadUsersPlugin(options = {}) { // CHANGE
     const testConsole = Object.prototype.hasOwnProperty.call(options, "console") ? options.console : console; // NEW
     const context = { // NEW
         window: dom.window, document, console: testConsole, Promise, Error, String, Number, Math, Date, Set, Map, JSON, // CHANGE
+        crypto: Object.prototype.hasOwnProperty.call(options, "crypto") ? options.crypto : globalThis.crypto, // ADDED
         setTimeout: setTestTimeout, // CHANGE
         clearTimeout: clearTestTimeout, // NEW
         Draw: { loadPlugin(callback) { callback(ui); } }, // NEW
@@ -279,21 +280,21 @@ function checkboxByLabelIn(root, text) { // NEW
     return labelByText(root, text)?.querySelector("input[type='checkbox']") || null; // CHANGE
 } // NEW
 
-test("disabled diagrams do not prompt or block edits", () => { // CHANGE
+test("disabled diagrams do not prompt or block edits", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
     assert.equal(users.isEnabled(), false); // NEW
     assert.equal(harness.document.querySelector(".trellis-users-auth-overlay"), null); // NEW
     assert.ok(harness.document.querySelector(".trellis-users-login-button")); // NEW
     assert.equal(users.canEditCell(harness.card), true); // NEW
-    assert.equal(users.login("Alice", "1234").ok, false); // NEW
+    assert.equal((await users.login("Alice", "1234")).ok, false); // CHANGED
     let undone = false; // NEW
     harness.model.fireChange({ changes: [{ constructor: { name: "mxValueChange" }, cell: harness.card }], undo() { undone = true; } }); // NEW
     assert.equal(undone, false); // NEW
     assert.ok(harness.actions.trellisUsers); // NEW
 }); // NEW
 
-test("toolbar login enables users and keeps the first admin logged in for this diagram", () => { // NEW
+test("toolbar login enables users and keeps the first admin logged in for this diagram", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
     harness.document.querySelector(".trellis-users-login-button").click(); // NEW
@@ -302,6 +303,7 @@ test("toolbar login enables users and keeps the first admin logged in for this d
     inputByPlaceholder(harness.document, "PIN").value = "1234"; // NEW
     harness.document.querySelector(".trellis-users-auth-overlay input[type='checkbox']").checked = true; // NEW
     buttonByText(harness.document, "Enable Users").click(); // NEW
+    await users._test.authSettled(); // ADDED
     assert.equal(users.isEnabled(), true); // NEW
     assert.equal(users.isLoggedIn(), true); // NEW
     assert.equal(harness.document.querySelector(".trellis-users-auth-overlay"), null); // NEW
@@ -316,10 +318,10 @@ test("users toolbar button is inserted beside an existing ChangeMap History butt
     assert.equal(buttons[1].className.includes("trellis-changemap-history-button"), true); // NEW
 }); // NEW
 
-test("enable users creates the first admin and persists usersEnabled", () => { // CHANGE
+test("enable users creates the first admin and persists usersEnabled", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    const result = users.enableUsers("Alice", "1234"); // NEW
+    const result = await users.enableUsers("Alice", "1234"); // CHANGED
     assert.equal(result.ok, true); // NEW
     assert.equal(users.isEnabled(), true); // NEW
     assert.equal(users.isLoggedIn(), true); // NEW
@@ -330,10 +332,10 @@ test("enable users creates the first admin and persists usersEnabled", () => { /
     assert.match(harness.layer.getAttribute("trellis_users_json"), /Alice/); // CHANGE
 }); // NEW
 
-test("accepted visible edits merge actor metadata into the same undoable edit", () => { // NEW
+test("accepted visible edits merge actor metadata into the same undoable edit", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     const edit = { changes: [{ constructor: { name: "mxGeometryChange" }, cell: harness.card }] }; // NEW
     harness.model.fireChange(edit); // NEW
     assert.equal(edit.changes.length, 2); // NEW
@@ -346,10 +348,10 @@ test("accepted visible edits merge actor metadata into the same undoable edit",
     assert.equal(harness.card.getAttribute(users.attrs.editedBy), users.getCurrentUser().id); // NEW
 }); // NEW
 
-test("created planting ownership metadata is included in the creation undo edit", () => { // NEW
+test("created planting ownership metadata is included in the creation undo edit", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     const planting = makeXmlCell(harness.document, "planting", { label: "Planting", tiler_group: "1" }); // NEW
     appendChild(harness.module, planting); // NEW
     const edit = { changes: [{ constructor: { name: "mxChildChange" }, child: planting, parent: harness.module }] }; // NEW
@@ -365,10 +367,10 @@ test("created planting ownership metadata is included in the creation undo edit"
     assert.equal(planting.getAttribute(users.attrs.owner), users.getCurrentUser().id); // NEW
 }); // NEW
 
-test("direct actor stamping mutates XML without model setValue calls", () => { // NEW
+test("direct actor stamping mutates XML without model setValue calls", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     const preInsert = new TestCell("pre-insert", "Pre Insert"); // NEW
     harness.model.setValueCalls = 0; // NEW
     assert.equal(users.stampActorDirect(preInsert, "created"), true); // NEW
@@ -376,10 +378,10 @@ test("direct actor stamping mutates XML without model setValue calls", () => { /
     assert.equal(preInsert.getAttribute(users.attrs.createdBy), users.getCurrentUser().id); // NEW
 }); // NEW
 
-test("logged-out enabled diagrams reject edits", () => { // NEW
+test("logged-out enabled diagrams reject edits", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.logout(); // NEW
     fireGraphPointer(harness, 100, 120); // NEW
     let undone = false; // NEW
@@ -393,15 +395,15 @@ test("logged-out enabled diagrams reject edits", () => { // NEW
     assert.equal(popover.style.zIndex, "2000000000"); // NEW
 }); // NEW
 
-test("permission rejected edits show a cursor popover with request access", () => { // CHANGE
+test("permission rejected edits show a cursor popover with request access", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    users.createUser("Bob", "5678", false); // NEW
+    await users.createUser("Bob", "5678", false); // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     fireGraphPointer(harness, 200, 210); // NEW
     let undone = false; // NEW
     harness.model.fireChange({ changes: [{ constructor: { name: "mxGeometryChange" }, cell: harness.card }], undo() { undone = true; } }); // NEW
@@ -417,10 +419,10 @@ test("permission rejected edits show a cursor popover with request access", () =
     assert.ok(harness.document.querySelector(".trellis-users-access-dialog")); // NEW
 }); // NEW
 
-test("rejected edit popover clamps to the viewport and replaces prior notices", () => { // NEW
+test("rejected edit popover clamps to the viewport and replaces prior notices", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.logout(); // NEW
     fireGraphPointer(harness, 1015, 760); // NEW
     harness.model.fireChange({ changes: [{ constructor: { name: "mxValueChange" }, cell: harness.card }], undo() {} }); // NEW
@@ -437,10 +439,10 @@ test("rejected edit popover clamps to the viewport and replaces prior notices",
     assert.equal(parseInt(popover.style.top, 10), 42); // NEW
 }); // NEW
 
-test("rejected edit popover auto-dismiss pauses while hovered or focused", () => { // NEW
+test("rejected edit popover auto-dismiss pauses while hovered or focused", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.logout(); // NEW
     harness.model.fireChange({ changes: [{ constructor: { name: "mxValueChange" }, cell: harness.card }], undo() {} }); // NEW
     let popover = rejectedPopover(harness.document); // NEW
@@ -460,10 +462,10 @@ test("rejected edit popover auto-dismiss pauses while hovered or focused", () =>
     assert.equal(rejectedPopover(harness.document), null); // NEW
 }); // NEW
 
-test("rejected edit popover login action opens auth dialog", () => { // NEW
+test("rejected edit popover login action opens auth dialog", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.logout(); // NEW
     harness.model.fireChange({ changes: [{ constructor: { name: "mxValueChange" }, cell: harness.card }], undo() {} }); // NEW
     const popover = rejectedPopover(harness.document); // NEW
@@ -483,10 +485,10 @@ test("rejected edit popover falls back to status when no host is available", ()
     assert.deepEqual(harness.ui.alerts, ["Fallback rejection."]); // NEW
 }); // NEW
 
-test("enabled diagram load changes are allowed while logged out but later edits are rejected", () => { // NEW
+test("enabled diagram load changes are allowed while logged out but later edits are rejected", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.logout(); // NEW
     let loadUndone = false; // NEW
     harness.ui.openingFile = true; // NEW
@@ -500,10 +502,10 @@ test("enabled diagram load changes are allowed while logged out but later edits
     assert.equal(editUndone, true); // NEW
 }); // NEW
 
-test("direct setGraphXml load changes are allowed and then show the auth gate", () => { // NEW
+test("direct setGraphXml load changes are allowed and then show the auth gate", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.logout(); // NEW
     harness.ui.setGraphXmlUndone = false; // NEW
     harness.ui.editor.setGraphXml(harness.document.createElement("mxGraphModel")); // NEW
@@ -512,35 +514,38 @@ test("direct setGraphXml load changes are allowed and then show the auth gate",
     assert.ok(harness.document.querySelector(".trellis-users-auth-overlay")); // NEW
 }); // NEW
 
-test("auth gate failed login stays inline without a Draw.io alert", () => { // NEW
+test("auth gate failed login stays inline without a Draw.io alert", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.logout(); // NEW
     resetUiNotifications(harness); // NEW
     const overlay = harness.document.querySelector(".trellis-users-auth-overlay"); // NEW
     inputByPlaceholder(overlay, "Name").value = "Alice"; // CHANGE
     inputByPlaceholder(overlay, "PIN").value = "bad"; // CHANGE
     buttonByTextIn(overlay, "Login").click(); // CHANGE
+    await users._test.authSettled(); // ADDED
     assert.equal(authOverlays(harness.document).length, 1); // NEW
     assert.match(harness.document.querySelector(".trellis-users-auth-overlay").textContent, /Unknown user or incorrect PIN\./); // NEW
     assert.deepEqual(harness.ui.alerts, []); // NEW
     assert.equal(harness.ui.dialog, null); // NEW
 }); // NEW
 
-test("auth gate successful login closes silently and leaves no stale failed alert", () => { // NEW
+test("auth gate successful login closes silently and leaves no stale failed alert", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.logout(); // NEW
     resetUiNotifications(harness); // NEW
     const overlay = harness.document.querySelector(".trellis-users-auth-overlay"); // NEW
     inputByPlaceholder(overlay, "Name").value = "Alice"; // CHANGE
     inputByPlaceholder(overlay, "PIN").value = "bad"; // CHANGE
     buttonByTextIn(overlay, "Login").click(); // CHANGE
+    await users._test.authSettled(); // ADDED
     inputByPlaceholder(overlay, "Name").value = "Alice"; // CHANGE
     inputByPlaceholder(overlay, "PIN").value = "1234"; // CHANGE
     buttonByTextIn(overlay, "Login").click(); // CHANGE
+    await users._test.authSettled(); // ADDED
     assert.equal(harness.document.querySelector(".trellis-users-auth-overlay"), null); // NEW
     assert.equal(harness.graph.enabled, true); // NEW
     assert.equal(harness.document.querySelector(".trellis-users-login-button").textContent, "Alice"); // NEW
@@ -548,10 +553,10 @@ test("auth gate successful login closes silently and leaves no stale failed aler
     assert.equal(harness.ui.dialog, null); // NEW
 }); // NEW
 
-test("repeated auth gate triggers reuse one overlay", () => { // NEW
+test("repeated auth gate triggers reuse one overlay", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.logout(); // NEW
     resetUiNotifications(harness); // NEW
     assert.equal(authOverlays(harness.document).length, 1); // NEW
@@ -562,24 +567,24 @@ test("repeated auth gate triggers reuse one overlay", () => { // NEW
     assert.match(harness.document.querySelector(".trellis-users-auth-overlay").textContent, /Log in to open this diagram\./); // NEW
 }); // NEW
 
-test("logged-out enabled diagrams show an opaque auth gate until login succeeds", () => { // NEW
+test("logged-out enabled diagrams show an opaque auth gate until login succeeds", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.logout(); // NEW
     assert.ok(harness.document.querySelector(".trellis-users-auth-overlay")); // NEW
     assert.equal(harness.graph.enabled, false); // NEW
-    assert.equal(users.login("Alice", "bad").ok, false); // NEW
+    assert.equal((await users.login("Alice", "bad")).ok, false); // CHANGED
     assert.ok(harness.document.querySelector(".trellis-users-auth-overlay")); // NEW
-    assert.equal(users.login("Alice", "1234").ok, true); // NEW
+    assert.equal((await users.login("Alice", "1234")).ok, true); // CHANGED
     assert.equal(harness.document.querySelector(".trellis-users-auth-overlay"), null); // NEW
     assert.equal(harness.graph.enabled, true); // NEW
 }); // NEW
 
-test("remembered login restores on file load and logout forgets it", () => { // NEW
+test("remembered login restores on file load and logout forgets it", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     const alice = users.getCurrentUser(); // NEW
     assert.equal(users.rememberLogin(alice.id, true).ok, true); // NEW
     harness.ui.fileLoaded({}); // NEW
@@ -591,11 +596,11 @@ test("remembered login restores on file load and logout forgets it", () => { //
     assert.ok(harness.document.querySelector(".trellis-users-auth-overlay")); // NEW
 }); // NEW
 
-test("remembered login is ignored when the stored user is disabled", () => { // NEW
+test("remembered login is ignored when the stored user is disabled", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.rememberLogin(bob.id, true).ok, true); // NEW
     users.setUserDisabled(bob.id, true); // NEW
     harness.ui.fileLoaded({}); // NEW
@@ -603,10 +608,10 @@ test("remembered login is ignored when the stored user is disabled", () => { //
     assert.ok(harness.document.querySelector(".trellis-users-auth-overlay")); // NEW
 }); // NEW
 
-test("logged-in toolbar button toggles a user panel below the button", () => { // CHANGE
+test("logged-in toolbar button toggles a user panel below the button", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     const button = harness.document.querySelector(".trellis-users-login-button"); // NEW
     assert.equal(button.textContent, "Alice"); // NEW
     button.click(); // NEW
@@ -632,33 +637,33 @@ test("logged-in toolbar button toggles a user panel below the button", () => { /
     assert.ok(harness.document.querySelector(".trellis-users-auth-overlay")); // NEW
 }); // NEW
 
-test("admin roster management supports PIN reset disable reactivate and last-admin guards", () => { // NEW
+test("admin roster management supports PIN reset disable reactivate and last-admin guards", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
-    assert.equal(users.resetUserPin(bob.id, "9999").ok, true); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
+    assert.equal((await users.resetUserPin(bob.id, "9999")).ok, true); // CHANGED
     users.logout(); // NEW
-    assert.equal(users.login("Bob", "5678").ok, false); // NEW
-    assert.equal(users.login("Bob", "9999").ok, true); // NEW
+    assert.equal((await users.login("Bob", "5678")).ok, false); // CHANGED
+    assert.equal((await users.login("Bob", "9999")).ok, true); // CHANGED
     assert.equal(users.setUserAdmin(bob.id, true).ok, false); // NEW
     users.logout(); // NEW
-    users.login("Alice", "1234"); // NEW
+    await users.login("Alice", "1234"); // CHANGED
     assert.equal(users.setUserAdmin(bob.id, true).ok, true); // NEW
     const alice = users.getCurrentUser(); // NEW
     assert.equal(users.setUserDisabled(alice.id, true).ok, true); // NEW
     assert.equal(users.isLoggedIn(), false); // NEW
-    users.login("Bob", "9999"); // NEW
+    await users.login("Bob", "9999"); // CHANGED
     assert.equal(users.setUserAdmin(bob.id, false).ok, false); // NEW
     assert.equal(users.setUserDisabled(bob.id, true).ok, false); // NEW
     assert.equal(users.setUserDisabled(alice.id, false).ok, true); // NEW
 }); // NEW
 
-test("admin roster PIN reset uses an inline form without native prompt", () => { // NEW
+test("admin roster PIN reset uses an inline form without native prompt", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
-    users.createUser("Bob", "5678", false); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
+    await users.createUser("Bob", "5678", false); // CHANGED
     harness.context.window.prompt = function () { throw new Error("prompt() is not supported"); }; // NEW
     harness.actions.trellisUsers.funct(); // NEW
     const firstPinButtons = Array.from(harness.document.querySelectorAll("button")).filter(button => button.textContent === "PIN"); // NEW
@@ -671,25 +676,26 @@ test("admin roster PIN reset uses an inline form without native prompt", () => {
     assert.doesNotThrow(() => secondPinButtons[1].click()); // NEW
     inputByPlaceholder(harness.document, "New PIN").value = "9999"; // NEW
     buttonByText(harness.document, "Save").click(); // NEW
+    await users._test.authSettled(); // ADDED
     assert.equal(inputByPlaceholder(harness.document, "New PIN"), undefined); // NEW
     users.logout(); // NEW
-    assert.equal(users.login("Bob", "5678").ok, false); // NEW
-    assert.equal(users.login("Bob", "9999").ok, true); // NEW
+    assert.equal((await users.login("Bob", "5678")).ok, false); // CHANGED
+    assert.equal((await users.login("Bob", "9999")).ok, true); // CHANGED
 }); // NEW
 
-test("admin panel groups networked local and pending users", () => { // NEW
+test("admin panel groups networked local and pending users", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bobInvite = users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }); // NEW
+    const bobInvite = await users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }); // CHANGED
     assert.equal(bobInvite.ok, true); // NEW
     users.logout(); // NEW
-    assert.equal(users.acceptInvite({ email: "bob@example.com", code: bobInvite.code, name: "Bob", pin: "5678" }).ok, true); // NEW
+    assert.equal((await users.acceptInvite({ email: "bob@example.com", code: bobInvite.code, name: "Bob", pin: "5678" })).ok, true); // CHANGED
     users.logout(); // NEW
-    assert.equal(users.login("Alice", "1234").ok, true); // NEW
-    assert.equal(users.createPendingInvite({ email: "carol@example.com", scopeCellIds: [harness.module.id] }).ok, true); // NEW
+    assert.equal((await users.login("Alice", "1234")).ok, true); // CHANGED
+    assert.equal((await users.createPendingInvite({ email: "carol@example.com", scopeCellIds: [harness.module.id] })).ok, true); // CHANGED
     harness.actions.trellisUsers.funct(); // NEW
     const networked = userGroupByTitle(harness.document, "Networked users"); // NEW
     const local = userGroupByTitle(harness.document, "Local users"); // NEW
@@ -704,25 +710,26 @@ test("admin panel groups networked local and pending users", () => { // NEW
     local.querySelector("input[placeholder='Local user']").value = "Dana"; // NEW
     local.querySelector("input[placeholder='PIN']").value = "2468"; // NEW
     buttonByText(harness.document, "Add local user").click(); // NEW
+    await users._test.authSettled(); // ADDED
     assert.ok(users.listUsers().find(user => user.name === "Dana" && !user.email)); // NEW
 }); // NEW
 
-test("people access panel title and filters search roster invites and access rows by name or email", () => { // NEW
+test("people access panel title and filters search roster invites and access rows by name or email", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bobInvite = users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }); // NEW
+    const bobInvite = await users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }); // CHANGED
     users.logout(); // NEW
-    const accepted = users.acceptInvite({ email: "bob@example.com", code: bobInvite.code, name: "Bob", pin: "5678" }); // NEW
+    const accepted = await users.acceptInvite({ email: "bob@example.com", code: bobInvite.code, name: "Bob", pin: "5678" }); // CHANGED
     assert.equal(accepted.ok, true); // NEW
     users.logout(); // NEW
-    assert.equal(users.login("Alice", "1234").ok, true); // NEW
-    const dana = users.createUser("Dana", "2468", false).user; // NEW
+    assert.equal((await users.login("Alice", "1234")).ok, true); // CHANGED
+    const dana = (await users.createUser("Dana", "2468", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: accepted.user.id, preset: "visitor" }).ok, true); // CHANGE
     assert.equal(users.setScopeGrant(harness.module, { userId: dana.id, preset: "visitor" }).ok, true); // CHANGE
-    assert.equal(users.createPendingInvite({ email: "carol@example.com", scopeCellIds: [harness.module.id] }).ok, true); // NEW
+    assert.equal((await users.createPendingInvite({ email: "carol@example.com", scopeCellIds: [harness.module.id] })).ok, true); // CHANGED
     harness.graph.setSelectionCell(harness.module); // NEW
     harness.actions.trellisUsers.funct(); // NEW
     assert.match(harness.document.body.textContent, /People & Access/); // NEW
@@ -751,15 +758,15 @@ test("people access panel title and filters search roster invites and access row
     assert.equal(harness.document.body.textContent.includes("Pending invites"), false); // NEW
 }); // NEW
 
-test("selected access summarizes scope labels and hides editor for multiple selections", () => { // NEW
+test("selected access summarizes scope labels and hides editor for multiple selections", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
     const bed = appendChild(harness.module, makeXmlCell(harness.document, "bed", { garden_bed: "1", label: "North Bed" })); // NEW
     const board = appendChild(harness.module, makeXmlCell(harness.document, "board", { board_key: "KANBAN_BOARD", label: "Harvest Board" })); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(board, { userId: bob.id, preset: "gardener" }).ok, true); // CHANGE
     harness.graph.setSelectionCell(bed); // NEW
     harness.actions.trellisUsers.funct(); // NEW
@@ -777,16 +784,16 @@ test("selected access summarizes scope labels and hides editor for multiple sele
     assert.doesNotMatch(harness.document.body.textContent, /Your effective access/); // NEW
 }); // NEW
 
-test("visitor grant keeps regular users view-only", () => { // CHANGE
+test("visitor grant keeps regular users view-only", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "visitor" }).ok, true); // CHANGE
     users.logout(); // NEW
-    assert.equal(users.login("Bob", "5678").ok, true); // NEW
+    assert.equal((await users.login("Bob", "5678")).ok, true); // CHANGED
     assert.equal(users.canEditCell(harness.card), false); // CHANGE
     assert.equal(users.canAddCell(harness.module), false); // NEW
     assert.equal(users.canDeleteCell(harness.card), false); // NEW
@@ -806,17 +813,17 @@ test("visitor grant keeps regular users view-only", () => { // CHANGE
     assert.equal(undone, true); // NEW
 }); // NEW
 
-test("access request from inaccessible child resolves to nearest shareable scope", () => { // NEW
+test("access request from inaccessible child resolves to nearest shareable scope", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
     const bed = appendChild(harness.module, makeXmlCell(harness.document, "request-bed", { garden_bed: "1", label: "North Bed" })); // NEW
     const child = appendChild(bed, makeXmlCell(harness.document, "request-child", { label: "Locked Planting" })); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     users.logout(); // NEW
-    assert.equal(users.login("Bob", "5678").ok, true); // NEW
+    assert.equal((await users.login("Bob", "5678")).ok, true); // CHANGED
     assert.equal(users.canEditCell(child), false); // NEW
     const result = users.requestAccess(child, { requestedPreset: "gardener", note: "Need to tend this bed." }); // NEW
     assert.equal(result.ok, true); // NEW
@@ -827,15 +834,15 @@ test("access request from inaccessible child resolves to nearest shareable scope
     assert.equal(users._test.readStore().accessRequests.length, 1); // NEW
 }); // NEW
 
-test("duplicate pending access request updates level note and timestamp", () => { // NEW
+test("duplicate pending access request updates level note and timestamp", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     users.requestAccess(harness.card, { requestedPreset: "visitor", note: "First ask" }); // NEW
     const first = users._test.readStore().accessRequests[0]; // NEW
     users.requestAccess(harness.card, { requestedPreset: "coordinator", note: "Updated ask" }); // NEW
@@ -848,22 +855,22 @@ test("duplicate pending access request updates level note and timestamp", () =>
     assert.ok(store.accessRequests[0].updatedAt >= first.updatedAt); // NEW
 }); // NEW
 
-test("denied access request persists with note and can be reopened", () => { // NEW
+test("denied access request persists with note and can be reopened", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    users.createUser("Bob", "5678", false); // NEW
+    await users.createUser("Bob", "5678", false); // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     const requested = users.requestAccess(harness.card, { requestedPreset: "gardener", note: "Need access" }).request; // NEW
     users.logout(); // NEW
-    users.login("Alice", "1234"); // NEW
+    await users.login("Alice", "1234"); // CHANGED
     const denied = users.denyAccessRequest(requested.id, "Not this week."); // NEW
     assert.equal(denied.ok, true); // NEW
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     assert.equal(users.getAccessRequestForCurrentUser(harness.card).status, "denied"); // NEW
     assert.equal(users.getAccessRequestForCurrentUser(harness.card).decisionNote, "Not this week."); // NEW
     const reopened = users.requestAccess(harness.card, { requestedPreset: "coordinator", note: "Updated reason" }); // NEW
@@ -873,36 +880,36 @@ test("denied access request persists with note and can be reopened", () => { //
     assert.equal(reopened.request.requestedPreset, "coordinator"); // NEW
 }); // NEW
 
-test("approving access request creates grant and removes request", () => { // NEW
+test("approving access request creates grant and removes request", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     const request = users.requestAccess(harness.card, { requestedPreset: "gardener" }).request; // NEW
     users.logout(); // NEW
-    users.login("Alice", "1234"); // NEW
+    await users.login("Alice", "1234"); // CHANGED
     const approved = users.approveAccessRequest(request.id, { preset: "gardener" }); // NEW
     assert.equal(approved.ok, true); // NEW
     assert.equal(users._test.readStore().accessRequests.length, 0); // NEW
     assert.deepEqual(JSON.parse(harness.module.getAttribute(users.attrs.accessGrants)), [{ userId: bob.id, preset: "gardener", capabilities: ["create_plantings", "edit_task_details", "manage_own_plantings", "move_tasks"] }]); // NEW
 }); // NEW
 
-test("approval creates unread requester message and supports read and dismiss lifecycle", () => { // NEW
+test("approval creates unread requester message and supports read and dismiss lifecycle", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    users.createUser("Bob", "5678", false); // NEW
+    await users.createUser("Bob", "5678", false); // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     const request = users.requestAccess(harness.card, { requestedPreset: "gardener" }).request; // NEW
     users.logout(); // NEW
-    users.login("Alice", "1234"); // NEW
+    await users.login("Alice", "1234"); // CHANGED
     const approved = users.approveAccessRequest(request.id, { preset: "gardener", decisionNote: "Welcome to the bed." }); // NEW
     assert.equal(approved.ok, true); // NEW
     let store = users._test.readStore(); // NEW
@@ -911,7 +918,7 @@ test("approval creates unread requester message and supports read and dismiss li
     assert.equal(store.accessMessages[0].decision, "approved"); // NEW
     assert.equal(store.accessMessages[0].note, "Welcome to the bed."); // NEW
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     let messages = users.listAccessMessages({ scopeCell: harness.module }); // NEW
     assert.equal(messages.length, 1); // NEW
     assert.equal(messages[0].decision, "approved"); // NEW
@@ -930,23 +937,23 @@ test("approval creates unread requester message and supports read and dismiss li
     assert.ok(store.accessMessages[0].dismissedAt > 0); // NEW
 }); // NEW
 
-test("denial creates requester message while denied request remains reopenable", () => { // NEW
+test("denial creates requester message while denied request remains reopenable", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    users.createUser("Bob", "5678", false); // NEW
+    await users.createUser("Bob", "5678", false); // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     const request = users.requestAccess(harness.card, { requestedPreset: "coordinator", note: "Need full access." }).request; // NEW
     users.logout(); // NEW
-    users.login("Alice", "1234"); // NEW
+    await users.login("Alice", "1234"); // CHANGED
     const denied = users.denyAccessRequest(request.id, "Not this season."); // NEW
     assert.equal(denied.ok, true); // NEW
     assert.equal(users._test.readStore().accessRequests.length, 1); // NEW
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     const messages = users.listAccessMessages({ scopeCell: harness.module }); // NEW
     assert.equal(messages.length, 1); // NEW
     assert.equal(messages[0].decision, "denied"); // NEW
@@ -955,18 +962,18 @@ test("denial creates requester message while denied request remains reopenable",
     assert.equal(users.getAccessRequestForCurrentUser(harness.card).status, "denied"); // NEW
 }); // NEW
 
-test("already-granted access request cleanup still creates requester message", () => { // CHANGE
+test("already-granted access request cleanup still creates requester message", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     const request = users.requestAccess(harness.card, { requestedPreset: "gardener" }).request; // NEW
     users.logout(); // NEW
-    users.login("Alice", "1234"); // NEW
+    await users.login("Alice", "1234"); // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "gardener" }).ok, true); // NEW
     const approved = users.approveAccessRequest(request.id, { preset: "gardener", decisionNote: "Already done." }); // NEW
     assert.equal(approved.ok, true); // NEW
@@ -978,21 +985,21 @@ test("already-granted access request cleanup still creates requester message", (
     assert.equal(store.accessMessages[0].note, "Already done."); // NEW
 }); // NEW
 
-test("selected access panel shows requester approval response without no-access contradiction", () => { // NEW
+test("selected access panel shows requester approval response without no-access contradiction", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    users.createUser("Bob", "5678", false); // NEW
+    await users.createUser("Bob", "5678", false); // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     const request = users.requestAccess(harness.card, { requestedPreset: "gardener" }).request; // NEW
     users.logout(); // NEW
-    users.login("Alice", "1234"); // NEW
+    await users.login("Alice", "1234"); // CHANGED
     assert.equal(users.approveAccessRequest(request.id, { preset: "gardener", decisionNote: "Welcome to the bed." }).ok, true); // NEW
     users.logout(); // NEW
-    assert.equal(users.login("Bob", "5678").ok, true); // NEW
+    assert.equal((await users.login("Bob", "5678")).ok, true); // CHANGED
     harness.graph.setSelectionCell(harness.card); // NEW
     harness.actions.trellisUsers.funct(); // NEW
     assert.match(harness.document.body.textContent, /Your effective access: Gardener/); // NEW
@@ -1002,55 +1009,55 @@ test("selected access panel shows requester approval response without no-access
     assert.doesNotMatch(harness.document.body.textContent, /You do not have access to this cell/); // NEW
 }); // NEW
 
-test("deleted scope response remains visible as unavailable in requester messages", () => { // NEW
+test("deleted scope response remains visible as unavailable in requester messages", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
     const bed = appendChild(harness.module, makeXmlCell(harness.document, "message-deleted-bed", { garden_bed: "1", label: "Old Bed" })); // NEW
     const child = appendChild(bed, makeXmlCell(harness.document, "message-deleted-child", { label: "Child" })); // NEW
-    users.createUser("Bob", "5678", false); // NEW
+    await users.createUser("Bob", "5678", false); // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     const request = users.requestAccess(child, { requestedPreset: "gardener" }).request; // NEW
     users.logout(); // NEW
-    users.login("Alice", "1234"); // NEW
+    await users.login("Alice", "1234"); // CHANGED
     assert.equal(users.denyAccessRequest(request.id, "Bed is gone.").ok, true); // NEW
     bed.parent = null; // NEW
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     const messages = users.listAccessMessages({ scopeCell: harness.module }); // NEW
     assert.equal(messages.length, 1); // NEW
     assert.equal(messages[0].scopeLabel, "Old Bed"); // NEW
     assert.equal(messages[0].scopeMissing, true); // NEW
 }); // NEW
 
-test("requester access messages are private to the requester", () => { // NEW
+test("requester access messages are private to the requester", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    users.createUser("Bob", "5678", false); // NEW
-    users.createUser("Cara", "9999", false); // NEW
+    await users.createUser("Bob", "5678", false); // CHANGED
+    await users.createUser("Cara", "9999", false); // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     const bobRequest = users.requestAccess(harness.card, { requestedPreset: "visitor" }).request; // NEW
     users.logout(); // NEW
-    users.login("Cara", "9999"); // NEW
+    await users.login("Cara", "9999"); // CHANGED
     const caraRequest = users.requestAccess(harness.card, { requestedPreset: "gardener" }).request; // NEW
     users.logout(); // NEW
-    users.login("Alice", "1234"); // NEW
+    await users.login("Alice", "1234"); // CHANGED
     assert.equal(users.denyAccessRequest(bobRequest.id, "No.").ok, true); // NEW
     assert.equal(users.denyAccessRequest(caraRequest.id, "Later.").ok, true); // NEW
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     const bobMessages = users.listAccessMessages({ scopeCell: harness.module }); // NEW
     assert.equal(bobMessages.length, 1); // NEW
     assert.equal(bobMessages[0].preset, "visitor"); // NEW
     users.logout(); // NEW
-    users.login("Cara", "9999"); // NEW
+    await users.login("Cara", "9999"); // CHANGED
     const caraMessages = users.listAccessMessages({ scopeCell: harness.module }); // NEW
     assert.equal(caraMessages.length, 1); // NEW
     assert.equal(caraMessages[0].preset, "gardener"); // NEW
@@ -1065,44 +1072,44 @@ test("messages dialog renders access request and response sections with response
     assert.match(text, /const result = dismissAccessMessage\(message\.id\);/); // NEW
 }); // NEW
 
-test("incoming access request count is visible only to owner or admin", () => { // NEW
+test("incoming access request count is visible only to owner or admin", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const owner = users.createUser("Olive", "1111", false).user; // NEW
+    const owner = (await users.createUser("Olive", "1111", false)).user; // CHANGED
     users.setOwner(harness.module, owner.id); // NEW
-    users.createUser("Bob", "5678", false); // NEW
-    users.createUser("Cara", "9999", false); // NEW
+    await users.createUser("Bob", "5678", false); // CHANGED
+    await users.createUser("Cara", "9999", false); // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     const request = users.requestAccess(harness.card, { requestedPreset: "gardener" }); // NEW
     assert.equal(request.ok, true); // NEW
     assert.equal(users.incomingAccessRequestCount({ scopeCell: harness.module }), 0); // NEW
     users.logout(); // NEW
-    users.login("Cara", "9999"); // NEW
+    await users.login("Cara", "9999"); // CHANGED
     assert.equal(users.incomingAccessRequestCount({ scopeCell: harness.module }), 0); // NEW
     users.logout(); // NEW
-    users.login("Olive", "1111"); // NEW
+    await users.login("Olive", "1111"); // CHANGED
     assert.equal(users.incomingAccessRequestCount({ scopeCell: harness.module }), 1); // NEW
     users.logout(); // NEW
-    users.login("Alice", "1234"); // NEW
+    await users.login("Alice", "1234"); // CHANGED
     assert.equal(users.incomingAccessRequestCount({ scopeCell: harness.module }), 1); // NEW
 }); // NEW
 
-test("disabled requester and deleted scope access requests cannot be approved", () => { // NEW
+test("disabled requester and deleted scope access requests cannot be approved", async () => { // CHANGED
     const disabledHarness = loadUsersPlugin(); // NEW
     const disabledUsers = disabledHarness.context.window.Trellis.users; // NEW
-    disabledUsers.enableUsers("Alice", "1234"); // NEW
+    await disabledUsers.enableUsers("Alice", "1234"); // CHANGED
     disabledHarness.module.style = "module=1"; // NEW
     disabledUsers.stampCreatedOwner(disabledHarness.module); // NEW
-    const bob = disabledUsers.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await disabledUsers.createUser("Bob", "5678", false)).user; // CHANGED
     disabledUsers.logout(); // NEW
-    disabledUsers.login("Bob", "5678"); // NEW
+    await disabledUsers.login("Bob", "5678"); // CHANGED
     const disabledRequest = disabledUsers.requestAccess(disabledHarness.card, { requestedPreset: "gardener" }).request; // NEW
     disabledUsers.logout(); // NEW
-    disabledUsers.login("Alice", "1234"); // NEW
+    await disabledUsers.login("Alice", "1234"); // CHANGED
     assert.equal(disabledUsers.setUserDisabled(bob.id, true).ok, true); // NEW
     const disabledApproval = disabledUsers.approveAccessRequest(disabledRequest.id, { preset: "gardener" }); // NEW
     assert.equal(disabledApproval.ok, false); // NEW
@@ -1110,32 +1117,32 @@ test("disabled requester and deleted scope access requests cannot be approved",
 
     const deletedHarness = loadUsersPlugin(); // NEW
     const deletedUsers = deletedHarness.context.window.Trellis.users; // NEW
-    deletedUsers.enableUsers("Alice", "1234"); // NEW
+    await deletedUsers.enableUsers("Alice", "1234"); // CHANGED
     deletedHarness.module.style = "module=1"; // NEW
     deletedUsers.stampCreatedOwner(deletedHarness.module); // NEW
     const bed = appendChild(deletedHarness.module, makeXmlCell(deletedHarness.document, "deleted-request-bed", { garden_bed: "1" })); // NEW
     const child = appendChild(bed, makeXmlCell(deletedHarness.document, "deleted-request-child", { label: "Child" })); // NEW
-    deletedUsers.createUser("Bob", "5678", false); // NEW
+    await deletedUsers.createUser("Bob", "5678", false); // CHANGED
     deletedUsers.logout(); // NEW
-    deletedUsers.login("Bob", "5678"); // NEW
+    await deletedUsers.login("Bob", "5678"); // CHANGED
     const deletedRequest = deletedUsers.requestAccess(child, { requestedPreset: "gardener" }).request; // NEW
     deletedUsers.logout(); // NEW
-    deletedUsers.login("Alice", "1234"); // NEW
+    await deletedUsers.login("Alice", "1234"); // CHANGED
     bed.parent = null; // NEW
     const deletedApproval = deletedUsers.approveAccessRequest(deletedRequest.id, { preset: "gardener" }); // NEW
     assert.equal(deletedApproval.ok, false); // NEW
     assert.match(deletedApproval.reason, /no longer available/); // NEW
 }); // NEW
 
-test("selected access panel shows request access action and requester status", () => { // NEW
+test("selected access panel shows request access action and requester status", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    users.createUser("Bob", "5678", false); // NEW
+    await users.createUser("Bob", "5678", false); // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     harness.graph.setSelectionCell(harness.card); // NEW
     harness.actions.trellisUsers.funct(); // NEW
     assert.ok(harness.document.querySelector(".trellis-users-request-access-button")); // NEW
@@ -1144,28 +1151,28 @@ test("selected access panel shows request access action and requester status", (
     assert.match(harness.document.querySelector(".trellis-users-access-request-status").textContent, /pending/i); // NEW
 }); // NEW
 
-test("permission diagnostics stay quiet unless explicitly enabled", () => { // NEW
+test("permission diagnostics stay quiet unless explicitly enabled", async () => { // CHANGED
     const calls = []; // NEW
     const fakeConsole = { groupCollapsed() { calls.push("group"); }, log() { calls.push("log"); }, table() { calls.push("table"); }, groupEnd() { calls.push("end"); } }; // NEW
     const harness = loadUsersPlugin({ console: fakeConsole }); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.stampCreatedOwner(harness.module); // NEW
-    users.createUser("Bob", "5678", false); // NEW
+    await users.createUser("Bob", "5678", false); // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     harness.model.fireChange({ changes: [{ constructor: { name: "mxGeometryChange" }, cell: harness.card }], undo() {} }); // NEW
     assert.equal(calls.length, 0); // NEW
 }); // NEW
 
-test("permission diagnostics do not throw when console is unavailable", () => { // NEW
+test("permission diagnostics do not throw when console is unavailable", async () => { // CHANGED
     const harness = loadUsersPlugin({ console: undefined }); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.stampCreatedOwner(harness.module); // NEW
-    users.createUser("Bob", "5678", false); // NEW
+    await users.createUser("Bob", "5678", false); // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     harness.context.window.localStorage.setItem("trellis_users_debug", "1"); // NEW
     assert.doesNotThrow(function () { // NEW
         harness.model.fireChange({ changes: [{ constructor: { name: "mxGeometryChange" }, cell: harness.card }], undo() {} }); // NEW
@@ -1199,20 +1206,20 @@ test("trellis debug surface reports users status and toggles debug flags", () =>
     assert.equal(disabled.windowFlags.bedFit, false); // NEW
 }); // NEW
 
-test("admin remains allowed for bed-fit relevant child geometry and style changes", () => { // NEW
+test("admin remains allowed for bed-fit relevant child geometry and style changes", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     const planting = appendChild(harness.module, makeXmlCell(harness.document, "admin-planting", { tiler_group: "1" })); // NEW
     assert.equal(users._test.changeAllowed({ constructor: { name: "mxChildChange" }, child: planting, parent: harness.module }), true); // NEW
     assert.equal(users._test.changeAllowed({ constructor: { name: "mxGeometryChange" }, cell: planting }), true); // NEW
     assert.equal(users._test.changeAllowed({ constructor: { name: "mxStyleChange" }, cell: planting }), true); // NEW
 }); // NEW
 
-test("admin planting creation allows generated plant tile churn in the same edit", () => { // NEW
+test("admin planting creation allows generated plant tile churn in the same edit", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     const planting = appendChild(harness.module, makeXmlCell(harness.document, "admin-planting-fit", { tiler_group: "1" })); // NEW
     const generatedTile = makeXmlCell(harness.document, "generated-tile", { plant_tiler: "1", auto: "1", tile_r: "0", tile_c: "0" }); // NEW
     let undone = false; // NEW
@@ -1226,11 +1233,11 @@ test("admin planting creation allows generated plant tile churn in the same edit
     assert.equal(undone, false); // NEW
 }); // NEW
 
-test("gardener grant creates and manages only owned planting groups", () => { // CHANGE
+test("gardener grant creates and manages only owned planting groups", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
     assert.deepEqual(Array.from(users._test.normalizeCapabilities(null, "gardener")), ["create_plantings", "edit_task_details", "manage_own_plantings", "move_tasks"]); // CHANGE
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
     const bed = appendChild(harness.module, makeXmlCell(harness.document, "bed", { garden_bed: "1" })); // NEW
@@ -1238,12 +1245,12 @@ test("gardener grant creates and manages only owned planting groups", () => { //
     const lane = appendChild(board, makeXmlCell(harness.document, "grower-lane", { lane_key: "TODO" })); // NEW
     const taskCard = appendChild(lane, makeXmlCell(harness.document, "gardener-task", { kanban_card: "1", title: "Water" })); // CHANGE
     const alicePlanting = appendChild(bed, makeXmlCell(harness.document, "alice-planting", { tiler_group: "1", [users.attrs.owner]: users.getCurrentUser().id })); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     const bobLinkedPlanting = appendChild(bed, makeXmlCell(harness.document, "bob-linked-planting", { tiler_group: "1", [users.attrs.owner]: bob.id })); // NEW
     linkCells(bobLinkedPlanting, taskCard); // NEW
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "gardener" }).ok, true); // CHANGE
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     assert.equal(users.canCreatePlanting(bed), true); // NEW
     assert.equal(users.canMoveTask(taskCard), true); // NEW
     assert.equal(users.canEditTaskDetails(taskCard), true); // NEW
@@ -1261,16 +1268,16 @@ test("gardener grant creates and manages only owned planting groups", () => { //
     assert.equal(users.setOwner(bed, bob.id).ok, false); // NEW
 }); // NEW
 
-test("gardener planting creation allows initialization edits and generated plant tile churn", () => { // CHANGE
+test("gardener planting creation allows initialization edits and generated plant tile churn", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "gardener" }).ok, true); // CHANGE
     users.logout(); // NEW
-    assert.equal(users.login("Bob", "5678").ok, true); // NEW
+    assert.equal((await users.login("Bob", "5678")).ok, true); // CHANGED
     const planting = appendChild(harness.module, makeXmlCell(harness.document, "bob-planting-fit", { tiler_group: "1" })); // NEW
     const previousValue = planting.value.cloneNode(true); // NEW
     planting.setAttribute("label", "?"); // NEW
@@ -1293,16 +1300,16 @@ test("gardener planting creation allows initialization edits and generated plant
     assert.equal(planting.getAttribute(users.attrs.owner), bob.id); // NEW
 }); // NEW
 
-test("gardener cannot create or delete garden beds in a granted module", () => { // CHANGE
+test("gardener cannot create or delete garden beds in a granted module", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "gardener" }).ok, true); // CHANGE
     users.logout(); // NEW
-    assert.equal(users.login("Bob", "5678").ok, true); // NEW
+    assert.equal((await users.login("Bob", "5678")).ok, true); // CHANGED
     const createdBed = appendChild(harness.module, makeXmlCell(harness.document, "grower-created-bed", { garden_bed: "1" })); // NEW
     let undone = false; // NEW
     harness.model.fireChange({ changes: [{ constructor: { name: "mxChildChange" }, child: createdBed, parent: harness.module }], undo() { undone = true; } }); // NEW
@@ -1314,43 +1321,43 @@ test("gardener cannot create or delete garden beds in a granted module", () => {
     assert.equal(undone, true); // NEW
 }); // NEW
 
-test("generated plant tile churn still requires a valid planting context", () => { // NEW
+test("generated plant tile churn still requires a valid planting context", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     const generatedTile = makeXmlCell(harness.document, "orphan-generated-tile", { plant_tiler: "1", auto: "1", tile_r: "0", tile_c: "0" }); // NEW
     let undone = false; // NEW
     harness.model.fireChange({ changes: [{ constructor: { name: "mxChildChange" }, child: generatedTile }], undo() { undone = true; } }); // NEW
     assert.equal(undone, true); // NEW
 }); // NEW
 
-test("generated plant tile initialization rejects outside the created planting context", () => { // NEW
+test("generated plant tile initialization rejects outside the created planting context", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
     const existingPlanting = appendChild(harness.module, makeXmlCell(harness.document, "existing-planting", { tiler_group: "1" })); // NEW
     const generatedTile = appendChild(existingPlanting, makeXmlCell(harness.document, "existing-generated-tile", { plant_tiler: "1", auto: "1", tile_r: "0", tile_c: "0" })); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "gardener" }).ok, true); // CHANGE
     users.logout(); // NEW
-    assert.equal(users.login("Bob", "5678").ok, true); // NEW
+    assert.equal((await users.login("Bob", "5678")).ok, true); // CHANGED
     let undone = false; // NEW
     harness.model.fireChange({ changes: [{ constructor: { name: "mxGeometryChange" }, cell: generatedTile }], undo() { undone = true; } }); // NEW
     assert.equal(undone, true); // NEW
 }); // NEW
 
-test("created planting context does not allow manual plant tile initialization", () => { // NEW
+test("created planting context does not allow manual plant tile initialization", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "gardener" }).ok, true); // CHANGE
     users.logout(); // NEW
-    assert.equal(users.login("Bob", "5678").ok, true); // NEW
+    assert.equal((await users.login("Bob", "5678")).ok, true); // CHANGED
     const planting = appendChild(harness.module, makeXmlCell(harness.document, "manual-tile-planting", { tiler_group: "1" })); // NEW
     const manualTile = appendChild(planting, makeXmlCell(harness.document, "manual-child-tile", { plant_tiler: "1", auto: "0" })); // NEW
     let undone = false; // NEW
@@ -1365,10 +1372,10 @@ test("created planting context does not allow manual plant tile initialization",
     assert.equal(undone, true); // NEW
 }); // NEW
 
-test("planting context does not allow ordinary or manual orphan child changes", () => { // NEW
+test("planting context does not allow ordinary or manual orphan child changes", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     const ordinary = makeXmlCell(harness.document, "ordinary-orphan", { label: "Ordinary" }); // NEW
     const manualTile = makeXmlCell(harness.document, "manual-tile", { plant_tiler: "1", auto: "0" }); // NEW
     let undone = false; // NEW
@@ -1393,30 +1400,30 @@ test("planting context does not allow ordinary or manual orphan child changes",
     assert.equal(undone, true); // NEW
 }); // NEW
 
-test("owner can transfer ownership to an active user", () => { // NEW
+test("owner can transfer ownership to an active user", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setOwner(harness.module, bob.id).ok, true); // NEW
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     assert.equal(users.canManageAccess(harness.module), true); // NEW
     assert.equal(users.canAddCell(harness.module), true); // NEW
 }); // NEW
 
-test("regular granted users cannot add delete move reparent or change protected access attributes", () => { // CHANGE
+test("regular granted users cannot add delete move reparent or change protected access attributes", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     users.setAccess(harness.module, { open: false, userIds: [bob.id] }); // NEW
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
 
     let undone = false; // NEW
     const added = appendChild(harness.module, makeXmlCell(harness.document, "added", { label: "Added" })); // NEW
@@ -1442,10 +1449,10 @@ test("regular granted users cannot add delete move reparent or change protected
     assert.equal(undone, true); // NEW
 }); // NEW
 
-test("owner and admin can add delete and move within owned scopes", () => { // NEW
+test("owner and admin can add delete and move within owned scopes", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.stampCreatedOwner(harness.module); // NEW
     let undone = false; // NEW
     const added = appendChild(harness.module, makeXmlCell(harness.document, "owner-added", { label: "Owner Added" })); // NEW
@@ -1467,13 +1474,13 @@ test("owner and admin can add delete and move within owned scopes", () => { // N
     assert.equal(undone, false); // NEW
 }); // NEW
 
-test("unowned modules are claimed on first allowed edit and only owner or admin can delete modules", () => { // NEW
+test("unowned modules are claimed on first allowed edit and only owner or admin can delete modules", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
+    await users.login("Bob", "5678"); // CHANGED
     harness.module.style = "module=1"; // NEW
     assert.equal(harness.module.getAttribute(users.attrs.owner), null); // NEW
     let undone = false; // NEW
@@ -1482,24 +1489,24 @@ test("unowned modules are claimed on first allowed edit and only owner or admin
     assert.equal(harness.module.getAttribute(users.attrs.owner), bob.id); // NEW
     assert.equal(users.canDeleteCell(harness.module), true); // NEW
     users.logout(); // NEW
-    users.login("Alice", "1234"); // NEW
+    await users.login("Alice", "1234"); // CHANGED
     assert.equal(users.canDeleteCell(harness.module), true); // NEW
-    const carol = users.createUser("Carol", "9999", false).user; // NEW
+    const carol = (await users.createUser("Carol", "9999", false)).user; // CHANGED
     users.logout(); // NEW
-    users.login("Carol", "9999"); // NEW
+    await users.login("Carol", "9999"); // CHANGED
     assert.equal(users.canDeleteCell(harness.module), false); // NEW
     assert.ok(carol); // NEW
 }); // NEW
 
-test("gardener grant allows only owned linked or created manual task edits", () => { // CHANGE
+test("gardener grant allows only owned linked or created manual task edits", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
     const board = appendChild(harness.module, makeXmlCell(harness.document, "board", { board_key: "KANBAN_BOARD" })); // NEW
     const lane = appendChild(board, makeXmlCell(harness.document, "lane", { lane_key: "TODO" })); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     const bobPlanting = appendChild(harness.module, makeXmlCell(harness.document, "task-bob-planting", { tiler_group: "1", [users.attrs.owner]: bob.id })); // NEW
     const alicePlanting = appendChild(harness.module, makeXmlCell(harness.document, "task-alice-planting", { tiler_group: "1", [users.attrs.owner]: users.getCurrentUser().id })); // NEW
     const ownedLinked = appendChild(lane, makeXmlCell(harness.document, "owned-linked-task", { kanban_card: "1", title: "Water" })); // NEW
@@ -1509,7 +1516,7 @@ test("gardener grant allows only owned linked or created manual task edits", ()
     linkCells(bobPlanting, ownedLinked); // NEW
     linkCells(alicePlanting, otherLinked); // NEW
     assert.equal(users.setScopeGrant(board, { userId: bob.id, preset: "gardener" }).ok, true); // CHANGE
-    users.logout(); users.login("Bob", "5678"); // NEW
+    users.logout(); await users.login("Bob", "5678"); // CHANGED
     assert.equal(users.canMoveTask(ownedLinked), true); // CHANGE
     assert.equal(users.canEditTaskDetails(ownedLinked), true); // CHANGE
     assert.equal(users.canMoveTask(otherLinked), false); // NEW
@@ -1527,16 +1534,16 @@ test("gardener grant allows only owned linked or created manual task edits", ()
     assert.equal(users._test.changeAllowed({ constructor: { name: "mxCellAttributeChange" }, cell: lane, attribute: "lane_key" }), false); // NEW
 }); // NEW
 
-test("coordinator grant can manage access but cannot transfer ownership", () => { // CHANGE
+test("coordinator grant can manage access but cannot transfer ownership", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
-    const carol = users.createUser("Carol", "9999", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
+    const carol = (await users.createUser("Carol", "9999", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "coordinator" }).ok, true); // CHANGE
-    users.logout(); users.login("Bob", "5678"); // NEW
+    users.logout(); await users.login("Bob", "5678"); // CHANGED
     assert.equal(users.canManageAccess(harness.module), true); // NEW
     assert.equal(users._test.changeAllowed({ constructor: { name: "mxCellAttributeChange" }, cell: harness.card, attribute: "label" }), true); // NEW
     assert.equal(users._test.changeAllowed({ constructor: { name: "mxCellAttributeChange" }, cell: harness.module, attribute: users.attrs.owner }), false); // NEW
@@ -1544,7 +1551,7 @@ test("coordinator grant can manage access but cannot transfer ownership", () =>
     assert.equal(users.setOwner(harness.module, carol.id).ok, false); // NEW
 }); // NEW
 
-test("coordinator preset manages all content and access", () => { // CHANGE
+test("coordinator preset manages all content and access", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
     assert.deepEqual(Array.from(users._test.normalizeCapabilities(null, "coordinator")), [ // CHANGE
@@ -1555,15 +1562,15 @@ test("coordinator preset manages all content and access", () => { // CHANGE
         users.capabilities.manageScopeContent, // NEW
         users.capabilities.moveTasks // NEW
     ]); // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
     const board = appendChild(harness.module, makeXmlCell(harness.document, "coordinator-board", { board_key: "KANBAN_BOARD" })); // NEW
     const card = appendChild(board, makeXmlCell(harness.document, "coordinator-card", { kanban_card: "1", title: "Task" })); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "coordinator" }).ok, true); // CHANGE
     users.logout(); // NEW
-    assert.equal(users.login("Bob", "5678").ok, true); // NEW
+    assert.equal((await users.login("Bob", "5678")).ok, true); // CHANGED
     assert.equal(users.canCreatePlanting(harness.module), true); // NEW
     const alicePlanting = appendChild(harness.module, makeXmlCell(harness.document, "coordinator-alice-planting", { tiler_group: "1", [users.attrs.owner]: users.listUsers().find(user => user.name === "Alice").id })); // NEW
     assert.equal(users.canManagePlanting(alicePlanting), true); // NEW
@@ -1573,13 +1580,13 @@ test("coordinator preset manages all content and access", () => { // CHANGE
     assert.equal(users.canManageAccess(harness.module), true); // CHANGE
 }); // NEW
 
-test("access editor exposes presets without granular capability checkboxes", () => { // CHANGE
+test("access editor exposes presets without granular capability checkboxes", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "visitor" }).ok, true); // CHANGE
     harness.graph.setSelectionCell(harness.module); // NEW
     harness.actions.trellisUsers.funct(); // NEW
@@ -1591,19 +1598,19 @@ test("access editor exposes presets without granular capability checkboxes", ()
     assert.equal(checkboxByLabel(harness.document, "Manage access"), null); // CHANGE
 }); // NEW
 
-test("child access view shows inherited coordinator without writing grants", () => { // CHANGE
+test("child access view shows inherited coordinator without writing grants", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
     const child = appendChild(harness.module, makeXmlCell(harness.document, "inherited-child", { label: "Child Cell" })); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "coordinator" }).ok, true); // CHANGE
     const parentGrantsBefore = harness.module.getAttribute(users.attrs.accessGrants); // NEW
     const writesBefore = harness.model.setValueCalls || 0; // NEW
     users.logout(); // NEW
-    assert.equal(users.login("Bob", "5678").ok, true); // NEW
+    assert.equal((await users.login("Bob", "5678")).ok, true); // CHANGED
     harness.graph.setSelectionCell(child); // NEW
     harness.actions.trellisUsers.funct(); // NEW
     assert.equal(accessRowByUserId(harness.document, bob.id), null); // CHANGE
@@ -1616,27 +1623,27 @@ test("child access view shows inherited coordinator without writing grants", ()
     assert.equal(harness.model.setValueCalls || 0, writesBefore); // NEW
 }); // NEW
 
-test("ordinary child cells cannot receive direct access grants", () => { // CHANGE
+test("ordinary child cells cannot receive direct access grants", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
     const child = appendChild(harness.module, makeXmlCell(harness.document, "direct-child-denied", { label: "Child Cell" })); // CHANGE
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(child, { userId: bob.id, preset: "coordinator" }).ok, false); // CHANGE
     assert.equal(users._test.changeAllowed({ constructor: { name: "mxCellAttributeChange" }, cell: child, attribute: users.attrs.accessGrants }), false); // NEW
     assert.equal(child.getAttribute(users.attrs.accessGrants), null); // CHANGE
 }); // NEW
 
-test("direct named child grants remain distinguishable from inherited parent access", () => { // CHANGE
+test("direct named child grants remain distinguishable from inherited parent access", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
     const bed = appendChild(harness.module, makeXmlCell(harness.document, "direct-and-inherited-bed", { garden_bed: "1", label: "North Bed" })); // CHANGE
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "coordinator" }).ok, true); // CHANGE
     assert.equal(users.setScopeGrant(bed, { userId: bob.id, preset: "visitor" }).ok, true); // CHANGE
     const parentGrantsBefore = harness.module.getAttribute(users.attrs.accessGrants); // NEW
@@ -1649,16 +1656,16 @@ test("direct named child grants remain distinguishable from inherited parent acc
     assert.equal(harness.module.getAttribute(users.attrs.accessGrants), parentGrantsBefore); // NEW
 }); // NEW
 
-test("coordinator can create and delete garden beds in a granted module", () => { // CHANGE
+test("coordinator can create and delete garden beds in a granted module", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "coordinator" }).ok, true); // CHANGE
     users.logout(); // NEW
-    assert.equal(users.login("Bob", "5678").ok, true); // NEW
+    assert.equal((await users.login("Bob", "5678")).ok, true); // CHANGED
     const createdBed = appendChild(harness.module, makeXmlCell(harness.document, "coordinator-created-bed", { garden_bed: "1" })); // CHANGE
     let undone = false; // NEW
     harness.model.fireChange({ changes: [{ constructor: { name: "mxChildChange" }, child: createdBed, parent: harness.module }], undo() { undone = true; } }); // NEW
@@ -1670,18 +1677,18 @@ test("coordinator can create and delete garden beds in a granted module", () =>
     assert.equal(undone, false); // NEW
 }); // NEW
 
-test("linked role cards do not bypass gardener task ownership rules", () => { // CHANGE
+test("linked role cards do not bypass gardener task ownership rules", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     users.stampCreatedOwner(harness.module); // NEW
     const board = appendChild(harness.module, makeXmlCell(harness.document, "board", { board_key: "KANBAN_BOARD", linkedTo: "role-bob" })); // NEW
     const lane = appendChild(board, makeXmlCell(harness.document, "lane", { lane_key: "TODO" })); // NEW
     const card = appendChild(lane, makeXmlCell(harness.document, "task", { kanban_card: "1", title: "Water" })); // NEW
     const role = appendChild(harness.module, new TestCell("role-bob", makeXmlCell(harness.document, "role-value", { label: "Bob Role", linkedTo: "board" }).value, "shape=swimlane;role_card=1;")); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setUserRoleCard(bob.id, role).ok, true); // NEW
-    users.logout(); users.login("Bob", "5678"); // NEW
+    users.logout(); await users.login("Bob", "5678"); // CHANGED
     assert.equal(users.canMoveTask(card), false); // CHANGE
     assert.equal(users.canEditTaskDetails(card), false); // NEW
     const duplicate = appendChild(harness.module, new TestCell("role-bob-2", makeXmlCell(harness.document, "role-value-2", { label: "Bob Role 2", linkedTo: "board", [users.attrs.roleUser]: bob.id }).value, "shape=swimlane;role_card=1;")); // NEW
@@ -1690,16 +1697,16 @@ test("linked role cards do not bypass gardener task ownership rules", () => { //
     assert.equal(users.canMoveTask(card), false); // NEW
 }); // NEW
 
-test("garden grant creates a garden-scoped role card and links it to garden task boards", () => { // NEW
+test("garden grant creates a garden-scoped role card and links it to garden task boards", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     installGardenRoleModuleApi(harness); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     harness.module.setAttribute("garden_module", "1"); // NEW
     users.stampCreatedOwner(harness.module); // NEW
     const board = appendChild(harness.module, makeXmlCell(harness.document, "garden-board", { board_key: "KANBAN_BOARD" })); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "gardener" }).ok, true); // NEW
     const team = harness.model.getCell(harness.module.getAttribute(users.attrs.gardenTeamModule)); // NEW
     const role = team.children.find(child => String(child.style || "").includes("role_card=1")); // NEW
@@ -1713,18 +1720,18 @@ test("garden grant creates a garden-scoped role card and links it to garden task
     assert.match(role.getAttribute("linkedTo") || "", new RegExp(board.id)); // NEW
 }); // NEW
 
-test("user can have separate active role cards in multiple gardens", () => { // NEW
+test("user can have separate active role cards in multiple gardens", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     installGardenRoleModuleApi(harness); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     harness.module.setAttribute("garden_module", "1"); // NEW
     users.stampCreatedOwner(harness.module); // NEW
     const secondGarden = appendChild(harness.layer, makeXmlCell(harness.document, "garden-two", { label: "Second Garden", garden_module: "1" })); // NEW
     secondGarden.style = "module=1"; // NEW
     users.stampCreatedOwner(secondGarden); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "gardener" }).ok, true); // NEW
     assert.equal(users.setScopeGrant(secondGarden, { userId: bob.id, preset: "coordinator" }).ok, true); // NEW
     const firstRole = users._test.getUserGardenRoleCard(bob.id, harness.module); // NEW
@@ -1735,15 +1742,15 @@ test("user can have separate active role cards in multiple gardens", () => { //
     assert.equal(users.getUserRoleCard(bob.id), null); // NEW
 }); // NEW
 
-test("removing garden access unlinks the user but preserves the role card", () => { // NEW
+test("removing garden access unlinks the user but preserves the role card", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     installGardenRoleModuleApi(harness); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     harness.module.setAttribute("garden_module", "1"); // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     users.setScopeGrant(harness.module, { userId: bob.id, preset: "gardener" }); // NEW
     const role = users._test.getUserGardenRoleCard(bob.id, harness.module).cell; // NEW
     const team = harness.model.getCell(harness.module.getAttribute(users.attrs.gardenTeamModule)); // NEW
@@ -1759,15 +1766,15 @@ test("removing garden access unlinks the user but preserves the role card", () =
     assert.equal(archive.roles[bob.id].preset, "gardener"); // NEW
 }); // NEW
 
-test("rechecking garden access restores the archived role card without duplicating profile data in archive", () => { // NEW
+test("rechecking garden access restores the archived role card without duplicating profile data in archive", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     installGardenRoleModuleApi(harness); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     harness.module.setAttribute("garden_module", "1"); // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "gardener" }).ok, true); // NEW
     const team = harness.model.getCell(harness.module.getAttribute(users.attrs.gardenTeamModule)); // NEW
     const role = users._test.getUserGardenRoleCard(bob.id, harness.module).cell; // NEW
@@ -1790,16 +1797,16 @@ test("rechecking garden access restores the archived role card without duplicati
     assert.equal(harness.moduleMarginCalls.filter(call => call.moduleCell === team).length, 2); // NEW
 }); // NEW
 
-test("admin roster garden access view does not repair missing companion teams", () => { // NEW
+test("admin roster garden access view does not repair missing companion teams", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     installGardenRoleModuleApi(harness); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     harness.module.setAttribute("garden_module", "1"); // NEW
     harness.module.setAttribute("label", "North Garden"); // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     harness.module.setAttribute(users.attrs.accessGrants, JSON.stringify([{ userId: bob.id, preset: "gardener", capabilities: [] }])); // NEW
     harness.actions.trellisUsers.funct(); // NEW
     openGardenAccessPopover(harness.document, bob.id); // NEW
@@ -1810,16 +1817,16 @@ test("admin roster garden access view does not repair missing companion teams",
     assert.equal(harness.model.getCell("team-" + harness.module.id), null); // NEW
 }); // NEW
 
-test("admin roster shows one garden access dropdown per user with checkbox rows", () => { // CHANGE
+test("admin roster shows one garden access dropdown per user with checkbox rows", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     installGardenRoleModuleApi(harness); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     harness.module.setAttribute("garden_module", "1"); // NEW
     harness.module.setAttribute("label", "North Garden"); // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     users.setScopeGrant(harness.module, { userId: bob.id, preset: "gardener" }); // NEW
     harness.actions.trellisUsers.funct(); // NEW
     const dropdown = harness.document.querySelector('.trellis-users-garden-access-dropdown[data-trellis-users-user-id="' + bob.id + '"]'); // NEW
@@ -1840,16 +1847,16 @@ test("admin roster shows one garden access dropdown per user with checkbox rows"
     assert.equal(row.querySelector("select").value, "gardener"); // CHANGE
 }); // NEW
 
-test("garden access dropdown checkbox creates archives and restores role cards", () => { // NEW
+test("garden access dropdown checkbox creates archives and restores role cards", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     installGardenRoleModuleApi(harness); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     harness.module.setAttribute("garden_module", "1"); // NEW
     harness.module.setAttribute("label", "North Garden"); // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     harness.actions.trellisUsers.funct(); // NEW
     openGardenAccessPopover(harness.document, bob.id); // NEW
     let row = gardenAccessRow(harness.document, bob.id, harness.module.id); // CHANGE
@@ -1887,11 +1894,11 @@ test("garden access dropdown checkbox creates archives and restores role cards",
     assert.equal(harness.moduleMarginCalls.filter(call => call.moduleCell === team).length, 2); // NEW
 }); // NEW
 
-test("garden access popover filters by garden name and preserves search after checkbox changes", () => { // NEW
+test("garden access popover filters by garden name and preserves search after checkbox changes", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     installGardenRoleModuleApi(harness); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     harness.module.setAttribute("garden_module", "1"); // NEW
     harness.module.setAttribute("label", "North Garden"); // NEW
@@ -1899,7 +1906,7 @@ test("garden access popover filters by garden name and preserves search after ch
     const southGarden = appendChild(harness.layer, makeXmlCell(harness.document, "south-filter-garden", { label: "South Garden", garden_module: "1" })); // NEW
     southGarden.style = "module=1"; // NEW
     users.stampCreatedOwner(southGarden); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     harness.actions.trellisUsers.funct(); // NEW
     let dropdown = openGardenAccessPopover(harness.document, bob.id); // NEW
     let search = dropdown.querySelector(".trellis-users-garden-access-search"); // NEW
@@ -1921,17 +1928,17 @@ test("garden access popover filters by garden name and preserves search after ch
     assert.equal(gardenAccessRow(harness.document, bob.id, harness.module.id), null); // NEW
 }); // NEW
 
-test("restored garden role keeps task assignment ids and relinks boards", () => { // NEW
+test("restored garden role keeps task assignment ids and relinks boards", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     installGardenRoleModuleApi(harness); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     harness.module.setAttribute("garden_module", "1"); // NEW
     users.stampCreatedOwner(harness.module); // NEW
     const board = appendChild(harness.module, makeXmlCell(harness.document, "assignment-board", { board_key: "KANBAN_BOARD" })); // NEW
     const task = appendChild(board, makeXmlCell(harness.document, "assigned-task", { kanban_card: "1" })); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "gardener" }).ok, true); // NEW
     const role = users._test.getUserGardenRoleCard(bob.id, harness.module).cell; // NEW
     task.setAttribute("task_assignee_role_ids_json", JSON.stringify([role.id])); // NEW
@@ -1946,11 +1953,11 @@ test("restored garden role keeps task assignment ids and relinks boards", () =>
     assert.match(role.getAttribute("linkedTo") || "", new RegExp(board.id)); // NEW
 }); // NEW
 
-test("garden access dropdown checkboxes keep multiple gardens independent for one user", () => { // NEW
+test("garden access dropdown checkboxes keep multiple gardens independent for one user", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     installGardenRoleModuleApi(harness); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     harness.module.setAttribute("garden_module", "1"); // NEW
     harness.module.setAttribute("label", "North Garden"); // NEW
@@ -1958,7 +1965,7 @@ test("garden access dropdown checkboxes keep multiple gardens independent for on
     const southGarden = appendChild(harness.layer, makeXmlCell(harness.document, "south-garden", { label: "South Garden", garden_module: "1" })); // NEW
     southGarden.style = "module=1"; // NEW
     users.stampCreatedOwner(southGarden); // NEW
-    const bob = users.createUser("Bob", "5678", false).user; // NEW
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
     harness.actions.trellisUsers.funct(); // NEW
     openGardenAccessPopover(harness.document, bob.id); // NEW
     const setGardenChecked = function (garden, checked, preset) { // NEW
@@ -1980,13 +1987,13 @@ test("garden access dropdown checkboxes keep multiple gardens independent for on
     assert.equal(southRole.getAttribute(users.attrs.roleUser), bob.id); // NEW
 }); // NEW
 
-test("pending invite creates regular pending user grants and email draft", () => { // NEW
+test("pending invite creates regular pending user grants and email draft", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "swimlane;module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const result = users.createPendingInvite({ email: "Bob@Example.com", scopeCellIds: [harness.module.id], shareInfo: { deviceId: "DEV", folderId: "FOL", folderLabel: "Garden", folderPath: "C:/Garden" } }); // NEW
+    const result = await users.createPendingInvite({ email: "Bob@Example.com", scopeCellIds: [harness.module.id], shareInfo: { deviceId: "DEV", folderId: "FOL", folderLabel: "Garden", folderPath: "C:/Garden" } }); // CHANGED
     assert.equal(result.ok, true); // NEW
     assert.equal(result.invite.email, "bob@example.com"); // NEW
     assert.match(result.emailDraft.body, /DEV/); // NEW
@@ -2001,91 +2008,91 @@ test("pending invite creates regular pending user grants and email draft", () =>
     assert.deepEqual(grants, [{ userId: store.pendingUsers[0].id, preset: "visitor", capabilities: [] }]); // CHANGE
 }); // NEW
 
-test("pending garden invite creates no role card until acceptance", () => { // NEW
+test("pending garden invite creates no role card until acceptance", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     installGardenRoleModuleApi(harness); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     harness.module.setAttribute("garden_module", "1"); // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const invite = users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id], preset: "gardener" }); // NEW
+    const invite = await users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id], preset: "gardener" }); // CHANGED
     assert.equal(invite.ok, true); // NEW
     assert.equal(harness.model.getCell(harness.module.getAttribute(users.attrs.gardenTeamModule)), null); // NEW
-    const accepted = users.acceptInvite({ email: "bob@example.com", code: invite.code, name: "Bob", pin: "5678" }); // NEW
+    const accepted = await users.acceptInvite({ email: "bob@example.com", code: invite.code, name: "Bob", pin: "5678" }); // CHANGED
     assert.equal(accepted.ok, true); // NEW
     const role = users._test.getUserGardenRoleCard(accepted.user.id, harness.module); // NEW
     assert.ok(role); // NEW
     assert.equal(roleFieldText(role.cell, "role_title"), "Gardener"); // NEW
 }); // NEW
 
-test("duplicate invite email is rejected for pending users", () => { // NEW
+test("duplicate invite email is rejected for pending users", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    assert.equal(users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }).ok, true); // NEW
-    const duplicate = users.createPendingInvite({ email: "BOB@example.com", scopeCellIds: [harness.module.id] }); // NEW
+    assert.equal((await users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] })).ok, true); // CHANGED
+    const duplicate = await users.createPendingInvite({ email: "BOB@example.com", scopeCellIds: [harness.module.id] }); // CHANGED
     assert.equal(duplicate.ok, false); // NEW
     assert.match(duplicate.reason, /already/); // NEW
 }); // NEW
 
-test("pending invite stores selected preset capabilities", () => { // NEW
+test("pending invite stores selected preset capabilities", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const invite = users.createPendingInvite({ email: "gardener@example.com", scopeCellIds: [harness.module.id], preset: "gardener" }); // CHANGE
+    const invite = await users.createPendingInvite({ email: "gardener@example.com", scopeCellIds: [harness.module.id], preset: "gardener" }); // CHANGED
     assert.equal(invite.ok, true); // NEW
     assert.equal(invite.invite.preset, "gardener"); // CHANGE
     assert.deepEqual(Array.from(invite.invite.capabilities), ["create_plantings", "edit_task_details", "manage_own_plantings", "move_tasks"]); // CHANGE
     assert.deepEqual(JSON.parse(harness.module.getAttribute(users.attrs.accessGrants))[0].capabilities, ["create_plantings", "edit_task_details", "manage_own_plantings", "move_tasks"]); // CHANGE
 }); // NEW
 
-test("accept invite activates pending regular user and prevents token reuse", () => { // NEW
+test("accept invite activates pending regular user and prevents token reuse", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const invite = users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }); // NEW
+    const invite = await users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }); // CHANGED
     users.logout(); // NEW
-    const accepted = users.acceptInvite({ email: "bob@example.com", code: invite.code, name: "Bob", pin: "5678" }); // NEW
+    const accepted = await users.acceptInvite({ email: "bob@example.com", code: invite.code, name: "Bob", pin: "5678" }); // CHANGED
     assert.equal(accepted.ok, true); // NEW
     assert.equal(users.getCurrentUser().email, "bob@example.com"); // NEW
     assert.equal(users.canEditCell(harness.card), false); // CHANGE
     assert.equal(users.canAddCell(harness.module), false); // NEW
     users.logout(); // NEW
-    const reuse = users.acceptInvite({ email: "bob@example.com", code: invite.code, name: "Bob 2", pin: "9999" }); // NEW
+    const reuse = await users.acceptInvite({ email: "bob@example.com", code: invite.code, name: "Bob 2", pin: "9999" }); // CHANGED
     assert.equal(reuse.ok, false); // NEW
     assert.match(reuse.reason, /No active invite/); // NEW
 }); // NEW
 
-test("revoking pending invite removes pending grants", () => { // NEW
+test("revoking pending invite removes pending grants", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const invite = users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }); // NEW
+    const invite = await users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }); // CHANGED
     const pendingId = invite.invite.pendingUserId; // NEW
     assert.match(harness.module.getAttribute(users.attrs.accessGrants), new RegExp(pendingId)); // CHANGE
     assert.equal(users.revokeInvite(invite.invite.id).ok, true); // NEW
     assert.doesNotMatch(harness.module.getAttribute(users.attrs.accessGrants) || "", new RegExp(pendingId)); // CHANGE
-    assert.equal(users.acceptInvite({ email: "bob@example.com", code: invite.code, name: "Bob", pin: "5678" }).ok, false); // NEW
+    assert.equal((await users.acceptInvite({ email: "bob@example.com", code: invite.code, name: "Bob", pin: "5678" })).ok, false); // CHANGED
 }); // NEW
 
-test("resend invite rotates code and expiry", () => { // NEW
+test("resend invite rotates code and expiry", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const invite = users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }); // NEW
+    const invite = await users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }); // CHANGED
     const firstHash = users._test.readStore().invites[0].codeHash; // NEW
-    const resent = users.resendInvite(invite.invite.id, { deviceId: "NEWDEV" }); // NEW
+    const resent = await users.resendInvite(invite.invite.id, { deviceId: "NEWDEV" }); // CHANGED
     assert.equal(resent.ok, true); // NEW
     const next = users._test.readStore().invites[0]; // NEW
     assert.notEqual(next.codeHash, firstHash); // NEW
@@ -2093,31 +2100,144 @@ test("resend invite rotates code and expiry", () => { // NEW
     assert.match(resent.emailDraft.body, /NEWDEV/); // NEW
 }); // NEW
 
-test("regular non-owner cannot invite selected scopes", () => { // NEW
-    const harness = loadUsersPlugin(); // NEW
-    const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+test("PINs are hashed with WebCrypto PBKDF2-SHA-256 and stale hashes are re-hashed on login", async () => { // CHANGED
+    const harness = loadUsersPlugin(); // ADDED
+    const users = harness.context.window.Trellis.users; // ADDED
+    assert.equal(users._test.sha256Hex("abc"), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"); // ADDED
+    assert.equal(await users._test.pbkdf2Sha256Hex("password", "salt", 1), "120fb6cffcf8b32c43e7225256c4f837a86548c92ccc35480805987cb70be17b"); // CHANGED
+    assert.equal(await users._test.pbkdf2Sha256Hex("password", "salt", 4096), "c5e478d59288c841aa530db6845c4c8d962893a001ce4e11a4963873aa98134a"); // CHANGED
+    await users.enableUsers("Alice", "1234"); // CHANGED
+    await users.createUser("Bob", "5678", false); // CHANGED
+    assert.match(users._test.readStore().users[1].pinHash, /^pbkdf2-sha256\$600000\$[0-9a-f]{64}$/); // CHANGED
+
+    const store = users._test.readStore(); // ADDED
+    store.users[1].pinSalt = "salt_old"; // ADDED
+    store.users[1].pinHash = "pbkdf2-sha256$4096$" + await users._test.pbkdf2Sha256Hex("5678", "salt_old", 4096); // ADDED
+    users._test.writeStore(store); // ADDED
+    users.logout(); // ADDED
+    assert.equal((await users.login("Bob", "5678")).ok, true); // ADDED
+    assert.match(users._test.readStore().users[1].pinHash, /^pbkdf2-sha256\$600000\$/); // ADDED
+
+    const legacyStore = users._test.readStore(); // ADDED
+    legacyStore.users[1].pinSalt = "salt_legacy"; // ADDED
+    legacyStore.users[1].pinHash = users._test.stableHash("salt_legacy::5678"); // ADDED
+    users._test.writeStore(legacyStore); // ADDED
+    users.logout(); // ADDED
+    assert.equal((await users.login("Bob", "0000")).ok, false); // CHANGED
+    assert.equal(users._test.readStore().users[1].pinHash, users._test.stableHash("salt_legacy::5678")); // ADDED
+    assert.ok(users._test.readStore().legacyPinsExpireAt > Date.now()); // ADDED
+    assert.equal((await users.login("Bob", "5678")).ok, true); // CHANGED
+    const upgraded = users._test.readStore().users[1]; // ADDED
+    assert.notEqual(upgraded.pinSalt, "salt_legacy"); // ADDED
+    assert.match(upgraded.pinHash, /^pbkdf2-sha256\$600000\$/); // CHANGED
+    users.logout(); // ADDED
+    assert.equal((await users.login("Bob", "5678")).ok, true); // CHANGED
+    assert.equal((await users._test.verifyPin(upgraded, "5679")).ok, false); // CHANGED
+}); // ADDED
+
+test("legacy PIN hashes expire after the grace window and legacy invites are expired", async () => { // ADDED
+    const harness = loadUsersPlugin(); // ADDED
+    const users = harness.context.window.Trellis.users; // ADDED
+    await users.enableUsers("Alice", "1234"); // ADDED
+    harness.module.style = "module=1"; // ADDED
+    users.stampCreatedOwner(harness.module); // ADDED
+    const cara = (await users.createUser("Cara", "2468", false)).user; // ADDED
+    const invite = await users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }); // ADDED
+    const store = users._test.readStore(); // ADDED
+    store.users[1].pinSalt = "salt_legacy"; // ADDED
+    store.users[1].pinHash = users._test.stableHash("salt_legacy::2468"); // ADDED
+    store.invites[0].codeHash = users._test.stableHash(store.invites[0].codeSalt + "::invite::" + invite.code); // ADDED
+    store.legacyPinsExpireAt = Date.now() - 1; // ADDED
+    users._test.writeStore(store); // ADDED
+
+    assert.deepEqual(Array.from(users.listPendingInvites()), []); // ADDED
+    assert.equal(users._test.readStore().invites[0].status, "expired"); // ADDED
+    assert.equal(users.getScopeGrants(harness.module).some(grant => grant.userId === invite.invite.pendingUserId), false); // ADDED
+    users.logout(); // ADDED
+    const accepted = await users.acceptInvite({ email: "bob@example.com", code: invite.code, name: "Bob", pin: "5678" }); // ADDED
+    assert.equal(accepted.ok, false); // ADDED
+
+    const expired = await users.login("Cara", "2468"); // ADDED
+    assert.equal(expired.ok, false); // ADDED
+    assert.match(expired.reason, /expired/); // ADDED
+    assert.equal(users._test.readStore().users[1].pinHash, ""); // ADDED
+    assert.equal((await users.login("Alice", "1234")).ok, true); // ADDED
+    assert.equal((await users.resetUserPin(cara.id, "1357")).ok, true); // ADDED
+    users.logout(); // ADDED
+    assert.equal((await users.login("Cara", "1357")).ok, true); // ADDED
+}); // ADDED
+
+test("PIN changes fail cleanly when WebCrypto is unavailable", async () => { // ADDED
+    const harness = loadUsersPlugin({ crypto: null }); // ADDED
+    const users = harness.context.window.Trellis.users; // ADDED
+    const result = await users.enableUsers("Alice", "1234"); // ADDED
+    assert.equal(result.ok, false); // ADDED
+    assert.match(result.reason, /Secure PIN hashing is unavailable/); // ADDED
+    assert.equal(users.isEnabled(), false); // ADDED
+}); // ADDED
+
+test("audit log chains attribution and grant changes and reports edits made outside the app", async () => { // CHANGED
+    const harness = loadUsersPlugin(); // ADDED
+    const users = harness.context.window.Trellis.users; // ADDED
+    await users.enableUsers("Alice", "1234"); // CHANGED
+    harness.module.style = "module=1"; // ADDED
+    harness.card.value.setAttribute(users.attrs.createdBy, "user_legacy"); // ADDED
+    users.stampCreatedOwner(harness.module); // ADDED
+    const bob = (await users.createUser("Bob", "5678", false)).user; // CHANGED
+    assert.equal(users.setScopeGrant(harness.module, { userId: bob.id, preset: "gardener" }).ok, true); // ADDED
+    harness.model.fireChange({ changes: [{ constructor: { name: "mxGeometryChange" }, cell: harness.card }] }); // ADDED
+    const log = users.getAuditLog(); // ADDED
+    assert.deepEqual(log.map(entry => entry.kind), ["baseline", "stamp", "grant", "stamp"]); // ADDED
+    assert.deepEqual(log[0].cells, { card: { [users.attrs.createdBy]: "user_legacy" } }); // ADDED
+    assert.equal(log[3].values[users.attrs.editedBy], users.getCurrentUser().id); // ADDED
+    assert.equal(log[3].values[users.attrs.createdBy], "user_legacy"); // ADDED
+    const head = users.auditHead(); // ADDED
+    assert.equal(head, log[3].hash); // ADDED
+    assert.equal(users.verifyAuditLog({ expectedHead: head }).ok, true); // ADDED
+    assert.equal(users.verifyAuditLog({ expectedHead: "0".repeat(64) }).anchorFound, false); // ADDED
+
+    harness.card.value.setAttribute(users.attrs.createdBy, bob.id); // ADDED
+    harness.module.value.setAttribute(users.attrs.accessGrants, "[]"); // ADDED
+    const tampered = users.verifyAuditLog(); // ADDED
+    assert.equal(tampered.ok, false); // ADDED
+    assert.deepEqual(Array.from(tampered.tampered, item => item.cellId + ":" + item.attr).sort(), ["card:" + users.attrs.createdBy, "module:" + users.attrs.accessGrants]); // ADDED
+    harness.model.fireChange({ changes: [{ constructor: { name: "mxGeometryChange" }, cell: harness.card }] }); // ADDED
+    assert.equal(users.verifyAuditLog().tampered.some(item => item.cellId === "card" && item.attr === users.attrs.createdBy), true); // ADDED
+
+    harness.card.value.setAttribute(users.attrs.createdBy, "user_legacy"); // ADDED
+    harness.module.value.setAttribute(users.attrs.accessGrants, log[2].values[users.attrs.accessGrants]); // ADDED
+    assert.equal(users.verifyAuditLog().ok, true); // ADDED
+    const rewritten = users.getAuditLog(); // ADDED
+    rewritten[1].values[users.attrs.owner] = bob.id; // ADDED
+    harness.layer.value.setAttribute(users.attrs.auditLog, JSON.stringify(rewritten)); // ADDED
+    assert.equal(users.verifyAuditLog().brokenAt, 2); // ADDED
+}); // ADDED
+
+test("regular non-owner cannot invite selected scopes", async () => { // CHANGED
+    const harness = loadUsersPlugin(); // NEW
+    const users = harness.context.window.Trellis.users; // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    users.createUser("Bob", "5678", false); // NEW
+    await users.createUser("Bob", "5678", false); // CHANGED
     users.logout(); // NEW
-    users.login("Bob", "5678"); // NEW
-    const result = users.createPendingInvite({ email: "carol@example.com", scopeCellIds: [harness.module.id] }); // NEW
+    await users.login("Bob", "5678"); // CHANGED
+    const result = await users.createPendingInvite({ email: "carol@example.com", scopeCellIds: [harness.module.id] }); // CHANGED
     assert.equal(result.ok, false); // NEW
     assert.match(result.reason, /own or administer/); // NEW
 }); // NEW
 
-test("expired invites are hidden and remove pending grants", () => { // NEW
+test("expired invites are hidden and remove pending grants", async () => { // CHANGED
     const harness = loadUsersPlugin(); // NEW
     const users = harness.context.window.Trellis.users; // NEW
-    users.enableUsers("Alice", "1234"); // NEW
+    await users.enableUsers("Alice", "1234"); // CHANGED
     harness.module.style = "module=1"; // NEW
     users.stampCreatedOwner(harness.module); // NEW
-    const invite = users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }); // NEW
+    const invite = await users.createPendingInvite({ email: "bob@example.com", scopeCellIds: [harness.module.id] }); // CHANGED
     const store = users._test.readStore(); // NEW
     store.invites[0].expiresAt = Date.now() - 1; // NEW
     users._test.writeStore(store); // NEW
     assert.deepEqual(users.listPendingInvites(), []); // NEW
     assert.doesNotMatch(harness.module.getAttribute(users.attrs.accessGrants) || "", new RegExp(invite.invite.pendingUserId)); // CHANGE
-    assert.equal(users.acceptInvite({ email: "bob@example.com", code: invite.code, name: "Bob", pin: "5678" }).ok, false); // NEW
+    assert.equal((await users.acceptInvite({ email: "bob@example.com", code: invite.code, name: "Bob", pin: "5678" })).ok, false); // CHANGED
 }); // NEW
@@ -662,6 +662,95 @@ test("Stale Add crop loads cannot replace newer grouped options", async t => { /
     assert.equal(harness.findButton("Add crop").disabled, false); // NEW
 }); // NEW
 
+test("Plan Check lists seed shortfalls and clears them when a lot is added", async t => { // ADDED
+    const harness = createYearPlannerHarness(); // ADDED
+    t.after(() => harness.dom.window.close()); // ADDED
+    savePlan(harness, 2026, plan => { addDemand(plan, { qty: 3 }); }); // ADDED
+
+    await harness.openModal(2026); // ADDED
+    setStripExpanded(harness.document, "plan-check", true); // ADDED
+    const details = findStripDetails(harness.document, "plan-check"); // ADDED
+    const seedOrder = harness.findButton("Seed order"); // ADDED
+    assert.match(details.textContent, /Seed & transplant stock[\s\S]*Tomato[\s\S]*No seed or transplant lots recorded/); // ADDED
+    assert.match(findStrip(harness.document, "plan-check").querySelector(".yp-strip-summary").textContent, /Seed short\s*1 crop/); // ADDED
+    assert.equal(seedOrder.disabled, false); // ADDED
+
+    const form = details.querySelector(".yp-seed-inventory .yp-row"); // ADDED
+    form.querySelector("input[placeholder='Count']").value = "10"; // ADDED
+    form.querySelector("input[placeholder='Tested germ.']").value = "0.5"; // ADDED
+    harness.findButton("Add lot").click(); // ADDED
+
+    const stored = JSON.parse(harness.moduleCell.getAttribute("seed_inventory_json")); // ADDED
+    assert.deepEqual([stored.lots[0].plantId, stored.lots[0].count, stored.lots[0].germRate], ["1", 10, 0.5]); // ADDED
+    assert.match(details.textContent, /Tomato\s*Seed\s*-\s*10\s*0\s*10\s*2026\s*50%/); // ADDED
+    assert.equal(seedOrder.disabled, true); // ADDED
+}); // ADDED
+
+test("Plan Check costs crops against revenue and flags crops that lose money", async t => { // ADDED
+    const harness = createYearPlannerHarness(); // ADDED
+    t.after(() => harness.dom.window.close()); // ADDED
+    savePlan(harness, 2026, plan => { addDemand(plan, { qty: 3 }); }); // ADDED
+
+    await harness.openModal(2026); // ADDED
+    setStripExpanded(harness.document, "plan-check", true); // ADDED
+    const details = findStripDetails(harness.document, "plan-check"); // ADDED
+    const costBox = details.querySelector(".yp-cost-model"); // ADDED
+    assert.match(costBox.textContent, /Costs & margins[\s\S]*Tomato[\s\S]*No amendment costs recorded/); // ADDED
+    assert.match(findStrip(harness.document, "plan-check").querySelector(".yp-strip-summary").textContent, /Gross margin/); // ADDED
+
+    const wage = costBox.querySelector("input[placeholder='0.00']"); // ADDED
+    wage.value = "18.5"; // ADDED
+    wage.dispatchEvent(new harness.dom.window.Event("change")); // ADDED
+    assert.equal(JSON.parse(harness.moduleCell.getAttribute("cost_model_json")).wageRate, 18.5); // ADDED
+
+    costBox.querySelector("input[placeholder='Amendment']").value = "Compost"; // ADDED
+    costBox.querySelector("input[placeholder='Cost']").value = "1000"; // ADDED
+    harness.findButton("Add amendment").click(); // ADDED
+    assert.match(costBox.textContent, /Shared amendments of \$1000\.00 are not allocated/); // ADDED
+
+    costBox.querySelector("input[placeholder='Amendment']").value = "Tomato feed"; // ADDED
+    costBox.querySelector("input[placeholder='Cost']").value = "1000"; // ADDED
+    costBox.querySelector("select").value = "crop_1"; // ADDED
+    harness.findButton("Add amendment").click(); // ADDED
+    const stored = JSON.parse(harness.moduleCell.getAttribute("cost_model_json")); // ADDED
+    assert.deepEqual(stored.amendments.map(amendment => [amendment.label, amendment.cost, amendment.cropId]), [["Compost", 1000, ""], ["Tomato feed", 1000, "crop_1"]]); // ADDED
+    assert.equal(costBox.querySelector("[data-cost-crop-id='crop_1'] [data-loses-money]").style.fontWeight, "700"); // ADDED
+    assert.match(harness.document.querySelector(".yp-attention-strip").textContent, /Tomato loses \$/); // ADDED
+
+    costBox.querySelector("[data-amendment-id]").click(); // ADDED
+    assert.equal(JSON.parse(harness.moduleCell.getAttribute("cost_model_json")).amendments.length, 1); // ADDED
+}); // ADDED
+
+test("Allocate plan previews bed placements and creates the planting groups in one undo step", async t => { // ADDED
+    const harness = createYearPlannerHarness(); // ADDED
+    t.after(() => harness.dom.window.close()); // ADDED
+    savePlan(harness, 2026, plan => { addDemand(plan, { qty: 3 }); }); // ADDED
+    const bed = harness.addCell(harness.moduleCell, new harness.TestCell("bed-1", { garden_bed: "1", label: "Bed 1" })); // ADDED
+    bed.geometry = { x: 0, y: 0, width: 270, height: 90 }; // ADDED
+    harness.api.DbClient.queryAllocationPlantRows = async () => [{ plant_id: 1, plant_name: "Tomato", annual: 1, days_maturity: 60, spacing_cm: 30, yield_per_plant_kg: 1 }]; // ADDED
+    harness.graph.__trellisBedSuccessionNavigator = { getBedOccupancy: () => [] }; // ADDED
+    const calls = []; // ADDED
+    let updateDepth = 0; // ADDED
+    harness.graph.getModel().beginUpdate = () => { updateDepth++; }; // ADDED
+    harness.graph.getModel().endUpdate = () => { updateDepth--; }; // ADDED
+    harness.window.USL = { tiler: { createScheduledTilerGroupInBed: (graph, bedCell, opts) => { calls.push({ bedId: bedCell.id, depth: updateDepth, opts }); return { id: `group_${calls.length}` }; } } }; // ADDED
+
+    harness.window.dispatchEvent(new harness.window.CustomEvent("usl:allocatePlanRequested", { detail: { moduleCellId: "module", year: 2026 } })); // ADDED
+    await harness.settle(10); // ADDED
+
+    const preview = harness.document.querySelector("[data-bed-allocation-preview]"); // ADDED
+    assert.ok(preview); // ADDED
+    assert.match(preview.textContent, /Allocate plan 2026[\s\S]*1 planting group in 1 bed[\s\S]*Bed 1 \(3\.00 m × 1\.00 m\)/); // ADDED
+    assert.ok(preview.querySelector("[data-bed-allocation-row='crop_1']")); // ADDED
+
+    harness.findButton("Create planting groups").click(); // ADDED
+
+    assert.equal(calls.length, 1); // ADDED
+    assert.deepEqual([calls[0].bedId, calls[0].depth, calls[0].opts.inTransaction, calls[0].opts.attributes.plant_name, calls[0].opts.attributes.harvest_start, calls[0].opts.attributes.plan_crop_id], ["bed-1", 1, true, "Tomato", "2026-06-01", "crop_1"]); // ADDED
+    assert.equal(updateDepth, 0); // ADDED
+    assert.equal(harness.document.querySelector("[data-bed-allocation-preview]"), null); // ADDED
+}); // ADDED
+
 test("Plan Check summary follows the crop filter and chart hover shows inventory details", async t => { // NEW
     const harness = createYearPlannerHarness(); // NEW
     t.after(() => harness.dom.window.close()); // NEW
@@ -736,7 +825,8 @@ test("interactive chart legend controls drawing and hover details without changi
         "Usable supply", // NEW
         "Harvest", // NEW
         "Shortage", // NEW
-        "Expired" // NEW
+        "Expired", // NEW
+        "Logged harvest" // ADDED
     ]); // NEW
     assert.deepEqual(buttons.map(button => button.querySelector(".yp-chart-legend-swatch").dataset.kind), [ // NEW
         "line", // NEW
@@ -744,7 +834,8 @@ test("interactive chart legend controls drawing and hover details without changi
         "line", // NEW
         "bar", // NEW
         "area", // NEW
-        "point" // NEW
+        "point", // NEW
+        "dashed-line" // ADDED
     ]); // NEW
     for (const button of buttons) { // NEW
         assert.equal(button.tagName, "BUTTON"); // NEW
@@ -126,7 +126,7 @@ function createHarness() {
         return cell;
     }
 
-    return { api: window.__uslYearPlannerTestApi, root, addCell, TestCell };
+    return { api: window.__uslYearPlannerTestApi, root, addCell, TestCell, window }; // CHANGE
 }
 
 function emptyCrop(overrides = {}) {
@@ -596,6 +596,321 @@ test("PlanRuntimeService derives actual harvest windows and returns calculation
     assert.ok(runtime.warnings.some(warning => warning.includes("missing dates")));
 });
 
+test("headless supply report writes weekly supply and demand per crop for each planned module", () => { // ADDED
+    const { api, root, addCell, TestCell: Cell, window } = createHarness(); // ADDED
+    const moduleCell = addCell(root, new Cell("module", { label: "North Garden" })); // ADDED
+    addCell(moduleCell, new Cell("tiler", { // ADDED
+        tiler_group: "1", // ADDED
+        plant_id: "1", // ADDED
+        plant_count: "4", // ADDED
+        season_start_year: "2025", // ADDED
+        harvest_start: "2025-06-02", // ADDED
+        harvest_end: "2025-06-08" // ADDED
+    })); // ADDED
+    const plan = api.PlanSchema.createEmptyPlan(2025); // ADDED
+    plan.crops.push(emptyCrop({ variety: "Sungold", useActualHarvest: true, harvestStart: "", harvestEnd: "" })); // ADDED
+    addDemand(plan, { from: "2025-06-02", to: "2025-06-08", qty: 3 }); // ADDED
+    api.PlanRepository.savePlanForYear(moduleCell, 2025, plan); // ADDED
+
+    assert.deepEqual(Array.from(window.Trellis.reports.supply({ year: 2024 })), [], "modules without a plan for the year are skipped"); // ADDED
+    const outputs = window.Trellis.reports.supply({ year: 2025 }); // ADDED
+    assert.deepEqual(Array.from(outputs, output => [output.name, output.format]), [["supply-North_Garden", "csv"]]); // ADDED
+    const lines = outputs[0].content.trim().split("\n"); // ADDED
+    assert.equal(lines[0], "Garden module,Year,Week start,Crop,Target (kg),Harvest (kg),Usable (kg),Short (kg),Surplus (kg),Expired (kg),Logged (kg)"); // ADDED
+    const rows = lines.slice(1).map(line => line.split(",")); // ADDED
+    assert.ok(rows.every(row => row[0] === "North Garden" && row[1] === "2025")); // ADDED
+    assert.deepEqual([...new Set(rows.map(row => row[3]))], ["All crops", "Tomato - Sungold"]); // ADDED
+    const total = rows.filter(row => row[3] === "All crops").reduce((sum, row) => ({ target: sum.target + Number(row[4]), harvest: sum.harvest + Number(row[5]) }), { target: 0, harvest: 0 }); // ADDED
+    assert.equal(total.target, 3); // ADDED
+    assert.ok(total.harvest > 0); // ADDED
+}); // ADDED
+
+test("BedAllocation back-dates bed occupancy from harvest start and skips crops it cannot place", () => { // ADDED
+    const { api } = createHarness(); // ADDED
+    const plan = api.PlanSchema.createEmptyPlan(2026); // ADDED
+    plan.crops.push( // ADDED
+        emptyCrop({ id: "lettuce", plant: "Lettuce", plantId: "2", method: "direct_sow.field", harvestStart: "2026-06-01", harvestEnd: "2026-06-20", plantsReq: 30, actualPlants: 6 }), // ADDED
+        emptyCrop({ id: "tomato", plant: "Tomato", variety: "Sungold", plantId: "1", method: "transplant.indoor", harvestStart: "2026-07-15", harvestEnd: "2026-09-30", plantsReq: 8 }), // ADDED
+        emptyCrop({ id: "asparagus", plant: "Asparagus", plantId: "3", harvestStart: "2026-05-01", harvestEnd: "2026-06-15", plantsReq: 4 }), // ADDED
+        emptyCrop({ id: "kale", plant: "Kale", plantId: "4", harvestStart: "", harvestEnd: "", plantsReq: 5 }), // ADDED
+        emptyCrop({ id: "beet", plant: "Beet", plantId: "5", harvestStart: "2026-07-01", harvestEnd: "2026-07-20", plantsReq: 10, actualPlants: 10 }) // ADDED
+    ); // ADDED
+    const plants = new Map([ // ADDED
+        ["lettuce", { plant_name: "Lettuce", days_maturity: 50, spacing_cm: 25 }], // ADDED
+        ["tomato", { plant_name: "Tomato", days_maturity: 110, days_transplant: 42, spacing_cm: 50, spacing_x_cm: 60, spacing_y_cm: 45 }], // ADDED
+        ["asparagus", { plant_name: "Asparagus", perennial: 1, days_maturity: 700 }], // ADDED
+        ["kale", { plant_name: "Kale", days_maturity: 60 }], // ADDED
+        ["beet", { plant_name: "Beet", days_maturity: 55 }] // ADDED
+    ]); // ADDED
+
+    const prepared = api.BedAllocation.prepareCrops(plan, plants); // ADDED
+
+    assert.deepEqual(JSON.parse(JSON.stringify(prepared.crops.map(crop => [crop.cropId, crop.plantsNeeded, crop.sowISO, crop.transplantISO, crop.startISO, crop.endISO, crop.spacingXcm, crop.spacingYcm]))), [ // ADDED
+        ["lettuce", 24, "2026-04-12", "", "2026-04-12", "2026-06-20", 25, 25], // ADDED
+        ["tomato", 8, "2026-03-27", "2026-05-08", "2026-05-08", "2026-09-30", 60, 45] // ADDED
+    ]); // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(prepared.skipped)), [ // ADDED
+        { cropId: "asparagus", label: "Asparagus", reason: "Perennials are placed from the scheduler" }, // ADDED
+        { cropId: "kale", label: "Kale", reason: "No harvest window" }, // ADDED
+        { cropId: "beet", label: "Beet", reason: "Already planted" } // ADDED
+    ]); // ADDED
+}); // ADDED
+
+test("BedAllocation fills free gaps in time and space and reports plants that do not fit", () => { // ADDED
+    const { api } = createHarness(); // ADDED
+    const plan = api.PlanSchema.createEmptyPlan(2026); // ADDED
+    plan.crops.push( // ADDED
+        emptyCrop({ id: "tomato", plant: "Tomato", plantId: "1", method: "transplant.indoor", harvestStart: "2026-07-15", harvestEnd: "2026-09-30", plantsReq: 8 }), // ADDED
+        emptyCrop({ id: "lettuce", plant: "Lettuce", plantId: "2", method: "direct_sow.field", harvestStart: "2026-06-01", harvestEnd: "2026-06-20", plantsReq: 24 }) // ADDED
+    ); // ADDED
+    const { crops } = api.BedAllocation.prepareCrops(plan, new Map([ // ADDED
+        ["tomato", { plant_name: "Tomato", days_maturity: 110, days_transplant: 42, spacing_x_cm: 60, spacing_y_cm: 45 }], // ADDED
+        ["lettuce", { plant_name: "Lettuce", days_maturity: 50, spacing_cm: 25 }] // ADDED
+    ])); // ADDED
+    const beds = [ // ADDED
+        { id: "bedA", label: "Bed A", horizontal: true, rect: { x: 10, y: 20, width: 270, height: 90 }, lengthCm: 300, widthCm: 100, occupied: [{ startISO: "2026-03-01", endISO: "2026-05-31", fromCm: 0, toCm: 150 }] }, // ADDED
+        { id: "bedB", label: "Bed B", horizontal: false, rect: { x: 400, y: 0, width: 54, height: 180 }, lengthCm: 200, widthCm: 60, occupied: [] } // ADDED
+    ]; // ADDED
+
+    const { proposals, shortfalls } = api.BedAllocation.planAllocation(crops, beds); // ADDED
+
+    assert.deepEqual(JSON.parse(JSON.stringify(proposals.map(proposal => [proposal.cropId, proposal.bedId, proposal.fromCm, proposal.lengthCm, proposal.rows, proposal.plants]))), [ // ADDED
+        ["lettuce", "bedA", 150, 150, 4, 24], // ADDED
+        ["tomato", "bedB", 0, 180, 1, 4] // ADDED
+    ]); // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(shortfalls)), [{ cropId: "tomato", label: "Tomato", plantsShort: 4 }]); // ADDED
+    assert.equal(beds[0].occupied.length, 1, "planning does not mutate the bed snapshots"); // ADDED
+
+    const lettuceRect = api.BedAllocation.proposalRect(beds[0], proposals[0]); // ADDED
+    assert.deepEqual([lettuceRect.x, lettuceRect.y, lettuceRect.width, lettuceRect.height].map(Math.round), [145, 20, 135, 90]); // ADDED
+    const tomatoRect = api.BedAllocation.proposalRect(beds[1], proposals[1]); // ADDED
+    assert.deepEqual([tomatoRect.x, tomatoRect.y, tomatoRect.width, tomatoRect.height].map(Math.round), [400, 0, 54, 162]); // ADDED
+
+    const attrs = api.BedAllocation.groupAttributes(proposals[1], 2026); // ADDED
+    assert.deepEqual([attrs.plant_name, attrs.method_category_id, attrs.sow_date, attrs.transplant_date, attrs.harvest_start, attrs.harvest_end, attrs.plant_count, attrs.plan_crop_id, attrs.season_start_year], // ADDED
+        ["Tomato", "transplant", "2026-03-27", "2026-05-08", "2026-07-15", "2026-09-30", "4", "tomato", "2026"]); // ADDED
+}); // ADDED
+
+test("PlanRuntimeService reports logged harvest weekly and calibrates automatic kg/plant from prior seasons", () => { // ADDED
+    const { api, root, addCell, TestCell: Cell } = createHarness(); // ADDED
+    const moduleCell = addCell(root, new Cell("module")); // ADDED
+    addCell(moduleCell, new Cell("last-season", { // ADDED
+        tiler_group: "1", // ADDED
+        plant_id: "1", // ADDED
+        plant_count: "4", // ADDED
+        season_start_year: "2024", // ADDED
+        harvest_start: "2024-07-01", // ADDED
+        harvest_end: "2024-07-31", // ADDED
+        harvest_log_json: JSON.stringify([ // ADDED
+            { id: "h1", date: "2024-07-03", kg: 3 }, // ADDED
+            { id: "h2", date: "2024-07-20", kg: 3, grade: "B" } // ADDED
+        ]) // ADDED
+    })); // ADDED
+    addCell(moduleCell, new Cell("this-season", { // ADDED
+        tiler_group: "1", // ADDED
+        plant_id: "1", // ADDED
+        plant_count: "2", // ADDED
+        season_start_year: "2025", // ADDED
+        harvest_start: "2025-07-01", // ADDED
+        harvest_end: "2025-07-14", // ADDED
+        harvest_log_json: JSON.stringify([ // ADDED
+            { id: "h3", date: "2025-07-02", kg: 1.5 }, // ADDED
+            { id: "h4", date: "2025-07-03", kg: 0.5 }, // ADDED
+            { id: "bad", date: "July", kg: 9 } // ADDED
+        ]) // ADDED
+    })); // ADDED
+    const plan = api.PlanSchema.createEmptyPlan(2025); // ADDED
+    plan.crops.push(emptyCrop({ kgPerPlant: 1, kgPerPlantMode: "auto" })); // ADDED
+    plan.crops.push(emptyCrop({ id: "crop_2", plantId: "2", kgPerPlant: 2, kgPerPlantMode: "auto" })); // ADDED
+
+    const runtime = api.PlanRuntimeService.recalculate(moduleCell, 2025, plan); // ADDED
+    const derived = runtime.derivedByCropId.get("crop_1"); // ADDED
+    const weekStarts = api.PlanMath.buildWeekStartsForYearLocal(2025, 1); // ADDED
+    const julyWeek = api.PlanMath.weekIndexForDate(weekStarts, "2025-07-02"); // ADDED
+
+    assert.equal(plan.crops[0].kgPerPlant, 1.5); // ADDED
+    assert.deepEqual(Array.from(derived.loggedYieldCalibration.years), [2024]); // ADDED
+    assert.equal(derived.loggedYieldCalibration.plantSeasons, 4); // ADDED
+    assert.equal(plan.crops[1].kgPerPlant, 2); // ADDED
+    assert.equal(derived.loggedHarvestWeeklyKg[julyWeek], 2); // ADDED
+    assert.equal(derived.loggedHarvestWeeklyKg.reduce((sum, value) => sum + value, 0), 2); // ADDED
+    const chart = api.PlanMath.buildPlanChartModel(runtime.weekly, "crop_1"); // ADDED
+    assert.equal(chart[julyWeek].loggedKg, 2); // ADDED
+    assert.equal(api.PlanMath.summarizePlanChartModel(chart).loggedKg, 2); // ADDED
+    assert.ok(chart[julyWeek].harvestKg > 0); // ADDED
+
+    plan.crops[0].kgPerPlantMode = "manual"; // ADDED
+    plan.crops[0].kgPerPlant = 0.8; // ADDED
+    api.PlanRuntimeService.recalculate(moduleCell, 2025, plan); // ADDED
+    assert.equal(plan.crops[0].kgPerPlant, 0.8); // ADDED
+    const persisted = api.PlanSchema.serializeForPersistence(plan); // ADDED
+    assert.equal("__loggedHarvestWeeklyKg" in persisted.crops[0], false); // ADDED
+    assert.equal("__loggedYieldCalibration" in persisted.crops[0], false); // ADDED
+}); // ADDED
+
+test("SeedInventory reserves stock for scheduled groups and lists seed shortfalls for the season", () => { // ADDED
+    const { api, root, addCell, TestCell: Cell } = createHarness(); // ADDED
+    const moduleCell = addCell(root, new Cell("module")); // ADDED
+    const inventory = api.SeedInventory.normalize({ // ADDED
+        lots: [ // ADDED
+            { id: "fresh", kind: "seed", plantId: 1, lot: "B-25", count: 100, purchaseYear: 2025, germRate: 0.9 }, // ADDED
+            { id: "old", kind: "seed", plantId: 1, lot: "A-23", count: 10, purchaseYear: 2023, germRate: 0.5 }, // ADDED
+            { id: "starts", kind: "transplant", plantId: 1, count: 3 }, // ADDED
+            { id: "other", kind: "seed", plantId: 3, grams: 2, seedsPerGram: 250 }, // ADDED
+            { kind: "seed", count: 5 } // ADDED
+        ] // ADDED
+    }); // ADDED
+    assert.equal(inventory.lots.length, 4); // ADDED
+    assert.equal(api.SeedInventory.lotQuantity(inventory.lots[3]), 500); // ADDED
+
+    const reserved = api.SeedInventory.reserveForSchedule(inventory, { scheduleCellId: "g1", plantId: "1", year: 2026, plants: 10 }); // ADDED
+    const reservation = reserved.reservations[0]; // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(reservation.allocations)), [ // ADDED
+        { lotId: "starts", qty: 3, plants: 3 }, // ADDED
+        { lotId: "old", qty: 10, plants: 5 }, // ADDED
+        { lotId: "fresh", qty: 3, plants: 2 } // ADDED
+    ]); // ADDED
+    assert.equal(reservation.shortPlants, 0); // ADDED
+    assert.equal(inventory.reservations.length, 0); // ADDED
+    const resaved = api.SeedInventory.reserveForSchedule(reserved, { scheduleCellId: "g1", plantId: "1", year: 2026, plants: 2 }); // ADDED
+    assert.equal(resaved.reservations.length, 1); // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(resaved.reservations[0].allocations)), [{ lotId: "starts", qty: 2, plants: 2 }]); // ADDED
+
+    api.SeedInventory.write(moduleCell, reserved); // ADDED
+    assert.equal(api.SeedInventory.read(moduleCell).reservations[0].scheduleCellId, "g1"); // ADDED
+    const plan = api.PlanSchema.createEmptyPlan(2026); // ADDED
+    plan.crops.push(emptyCrop({ plantsReq: 120 })); // ADDED
+    plan.crops.push(emptyCrop({ id: "crop_2", plantId: "2", plant: "Bean", plantsReq: 5 })); // ADDED
+    const shortfalls = api.SeedInventory.computeShortfalls(plan, api.SeedInventory.read(moduleCell), 2026); // ADDED
+    assert.deepEqual(JSON.parse(JSON.stringify(shortfalls.map(row => [row.cropId, row.reservedPlants, row.stockPlants, row.shortPlants, row.orderSeeds]))), [ // ADDED
+        ["crop_1", 10, 87, 23, 29], // ADDED
+        ["crop_2", 0, 0, 5, 7] // ADDED
+    ]); // ADDED
+    assert.equal(api.SeedInventory.computeShortfalls(plan, reserved, 2027)[0].reservedPlants, 0); // ADDED
+    assert.equal( // ADDED
+        api.SeedInventory.buildSeedOrderCsv(shortfalls, 2026), // ADDED
+        "Year,Plant,Variety,Plants required,Reserved plants,Plants from stock,Short plants,Germination,Seeds to order\n2026,Tomato,,120,10,87,23,0.8,29\n2026,Bean,,5,0,0,5,0.8,7\n" // ADDED
+    ); // ADDED
+    assert.equal(api.SeedInventory.pruneReservations(reserved, () => false).reservations.length, 0); // ADDED
+    assert.equal(api.SeedInventory.serialize(api.SeedInventory.releaseReservation({ reservations: reserved.reservations }, "g1")), null); // ADDED
+}); // ADDED
+
+test("schedule saves draw untested seed lots at the year plan's germination rate", () => { // ADDED
+    const { loadSchedulerHooks } = require("./helpers/garden-scheduler-harness.cjs"); // ADDED
+    const scheduler = loadSchedulerHooks(); // ADDED
+    const { api, root, addCell, TestCell: Cell } = createHarness(); // ADDED
+    const moduleCell = addCell(root, new Cell("module", { // ADDED
+        [api.SeedInventory.ATTR]: api.SeedInventory.serialize(api.SeedInventory.normalize({ lots: [{ id: "untested", kind: "seed", plantId: 1, count: 100 }] })), // ADDED
+        plan_year_json: JSON.stringify({ 2026: { crops: [ // ADDED
+            { id: "crop_1", plantId: "1", varietyId: null, germRate: 0.8 }, // ADDED
+            { id: "crop_2", plantId: "1", varietyId: "9", germRate: 0.5 } // ADDED
+        ] } }) // ADDED
+    })); // ADDED
+    const group = new Cell("g1", { plant_count: "10" }); // ADDED
+    const reserve = inputs => { // ADDED
+        const patch = scheduler.buildSeedReservationPatch(api.SeedInventory, moduleCell, group, { plant: { plant_id: 1 }, ...inputs }); // ADDED
+        return JSON.parse(JSON.stringify(api.SeedInventory.normalize(patch[api.SeedInventory.ATTR]).reservations[0].allocations)); // ADDED
+    }; // ADDED
+
+    assert.deepEqual(reserve({ varietyId: 9, seasonStartYear: 2026 }), [{ lotId: "untested", qty: 20, plants: 10 }]); // ADDED
+    assert.deepEqual(reserve({ varietyId: 4, seasonStartYear: 2026 }), [{ lotId: "untested", qty: 13, plants: 10 }]); // ADDED
+    assert.deepEqual(reserve({ varietyId: 9, seasonStartYear: 2027 }), [{ lotId: "untested", qty: 10, plants: 10 }]); // ADDED
+}); // ADDED
+
+test("SeedInventory prices reserved, stock and still-to-order seed from lot costs", () => { // ADDED
+    const { api } = createHarness(); // ADDED
+    const inventory = api.SeedInventory.normalize({ // ADDED
+        lots: [ // ADDED
+            { id: "tomato", kind: "seed", plantId: 1, count: 100, cost: 10, purchaseYear: 2025 }, // ADDED
+            { id: "bean_old", kind: "seed", plantId: 2, count: 4, cost: 2, germRate: 1, purchaseYear: 2023 }, // ADDED
+            { id: "bean_new", kind: "seed", plantId: 2, count: 0, grams: 0, cost: 3, purchaseYear: 2025 }, // ADDED
+            { id: "free", kind: "seed", plantId: 3, count: 10, cost: -4 } // ADDED
+        ] // ADDED
+    }); // ADDED
+    assert.equal(api.SeedInventory.unitCost(inventory.lots[0]), 0.1); // ADDED
+    assert.equal(api.SeedInventory.unitCost(inventory.lots[2]), 0); // ADDED
+    assert.equal(inventory.lots[3].cost, 0); // ADDED
+    const plan = api.PlanSchema.createEmptyPlan(2026); // ADDED
+    plan.crops.push(emptyCrop({ plantsReq: 20 })); // ADDED
+    plan.crops.push(emptyCrop({ id: "crop_2", plantId: "2", plant: "Bean", plantsReq: 5 })); // ADDED
+    const rows = api.SeedInventory.computeShortfalls(plan, inventory, 2026); // ADDED
+    assert.ok(Math.abs(rows[0].seedCost - 2.5) < 1e-9); // ADDED
+    assert.ok(Math.abs(rows[1].seedCost - 3) < 1e-9); // ADDED
+}); // ADDED
+
+test("CostModel sets seed, amendment, irrigation and labor cost against fulfilled crop revenue", () => { // ADDED
+    const { api, root, addCell, TestCell: Cell } = createHarness(); // ADDED
+    const moduleCell = addCell(root, new Cell("module", { // ADDED
+        irrigation_dashboard_summary_json: JSON.stringify({ bedPartCosts: { bed_1: 80, bed_gone: 5 } }) // ADDED
+    })); // ADDED
+    const bed = addCell(moduleCell, new Cell("bed_1", { garden_bed: "1" })); // ADDED
+    addCell(moduleCell, new Cell("card_1", { kanban_card: "1", task_estimated_hours: "3", linkedTo: "g_tomato,g_bean" })); // ADDED
+    addCell(moduleCell, new Cell("card_2", { kanban_card: "1", task_type_id: "weeding", linkedTo: "g_tomato" })); // ADDED
+    addCell(moduleCell, new Cell("card_3", { kanban_card: "1", linkedTo: "g_bean" })); // ADDED
+    const group = (id, plantId, linkedTo, width) => { // ADDED
+        const cell = addCell(bed, new Cell(id, { // ADDED
+            tiler_group: "1", // ADDED
+            plant_id: plantId, // ADDED
+            plant_count: "2", // ADDED
+            season_start_year: "2025", // ADDED
+            harvest_start: "2025-07-01", // ADDED
+            harvest_end: "2025-07-14", // ADDED
+            linkedTo // ADDED
+        })); // ADDED
+        cell.geometry = { width, height: 90 }; // ADDED
+        return cell; // ADDED
+    }; // ADDED
+    group("g_tomato", "1", "card_1,card_2,missing", 270); // ADDED
+    group("g_bean", "2", "card_1,card_3", 90); // ADDED
+    api.Env.graph.__trellisEquipment = { // ADDED
+        estimateTaskHours: (input, context) => ({ estimatedHours: context.moduleCell === moduleCell && input.cell.getId() === "card_2" ? 1.5 : null }) // ADDED
+    }; // ADDED
+    const plan = api.PlanSchema.createEmptyPlan(2025); // ADDED
+    plan.crops.push(emptyCrop({ packages: [{ unit: "kg", baseType: "kg", baseQty: 1, price: 6 }] })); // ADDED
+    plan.crops.push(emptyCrop({ id: "crop_2", plantId: "2", plant: "Bean" })); // ADDED
+    addDemand(plan, { from: "2025-07-01", to: "2025-07-14", qty: 1 }); // ADDED
+
+    const runtime = api.PlanRuntimeService.recalculate(moduleCell, 2025, plan); // ADDED
+    const rounded = values => values.map(value => Math.round(value * 1000) / 1000); // ADDED
+    assert.equal(rounded([runtime.derivedByCropId.get("crop_1").bedMetres])[0], 3); // ADDED
+    assert.equal(rounded([runtime.plantedBedMetresByBedId.get("bed_1")])[0], 4); // ADDED
+    const costModel = api.CostModel.normalize({ // ADDED
+        wageRate: 20, // ADDED
+        irrigationYears: 2.7, // ADDED
+        amendments: [ // ADDED
+            { label: "Compost", cost: 40 }, // ADDED
+            { label: "Tomato feed", cost: 6, cropId: "crop_1" }, // ADDED
+            { label: "", cost: 9 }, // ADDED
+            { label: "Lime", cost: 0 } // ADDED
+        ] // ADDED
+    }); // ADDED
+    assert.equal(costModel.irrigationYears, 2); // ADDED
+    assert.equal(costModel.amendments.length, 2); // ADDED
+    const profitability = api.CostModel.computeProfitability(plan, runtime, { // ADDED
+        costModel, // ADDED
+        seedShortfalls: [{ cropId: "crop_1", seedCost: 2.5 }], // ADDED
+        irrigationBedCosts: api.CostModel.readIrrigationBedCosts(moduleCell) // ADDED
+    }); // ADDED
+    const [tomato, bean] = profitability.rows; // ADDED
+    const revenue = Array.from(runtime.weekly.perDemandLine.values()) // ADDED
+        .reduce((sum, result) => sum + result.fulfilledRevenue.reduce((total, value) => total + value, 0), 0); // ADDED
+    assert.ok(revenue > 0); // ADDED
+    assert.deepEqual(rounded([tomato.seedCost, tomato.amendmentCost, tomato.irrigationCost, tomato.laborHours, tomato.laborCost, tomato.unestimatedTasks]), [2.5, 36, 30, 3, 60, 0]); // ADDED
+    assert.deepEqual(rounded([bean.seedCost, bean.amendmentCost, bean.irrigationCost, bean.laborHours, bean.laborCost, bean.unestimatedTasks]), [0, 10, 10, 1.5, 30, 1]); // ADDED
+    assert.ok(Math.abs(tomato.revenue - revenue) < 1e-9); // ADDED
+    assert.ok(Math.abs(tomato.grossMargin - (revenue - 128.5)) < 1e-9); // ADDED
+    assert.ok(Math.abs(tomato.marginPerBedMetre - tomato.grossMargin / 3) < 1e-9); // ADDED
+    assert.ok(Math.abs(tomato.marginPerLaborHour - tomato.grossMargin / 3) < 1e-9); // ADDED
+    assert.deepEqual(rounded([bean.grossMargin, bean.marginPerBedMetre]), [-50, -50]); // ADDED
+    assert.deepEqual(Array.from(profitability.losingCropIds), ["crop_1", "crop_2"]); // ADDED
+    assert.ok(Math.abs(profitability.totals.totalCost - 178.5) < 1e-9); // ADDED
+
+    api.CostModel.write(moduleCell, costModel); // ADDED
+    assert.equal(api.CostModel.read(moduleCell).wageRate, 20); // ADDED
+    api.CostModel.write(moduleCell, {}); // ADDED
+    assert.equal(moduleCell.getAttribute(api.CostModel.ATTR), null); // ADDED
+}); // ADDED
+
 test("PlanRuntimeService includes prior-year cross-year harvest as carryover supply without editable crop rows", () => { // NEW
     const { api, root, addCell, TestCell: Cell } = createHarness(); // NEW
     const moduleCell = addCell(root, new Cell("module")); // NEW
@@ -804,6 +1119,7 @@ test("PlanMath builds filtered and aggregate chart models with additive flow sum
         usableSupplyKg: 8, // NEW
         shortKg: 4, // NEW
         expiredKg: 2, // NEW
+        loggedKg: 0, // ADDED
         worstShortageKg: 4, // NEW
         worstShortageWeek: "2026-01-12", // NEW
         shortWeeks: 1 // NEW